@@ -16,7 +16,7 @@ $Log:data.js,v $
 /** 
  * @fileoverview
  * provides an object and methods to load, parse and process various data sources.<br>
- * The <b>sources</b> may be of the following type: <b>csv</b>, <b>json</b>, <b>geojson</b>, <b>kml</b>, <b>gml</b>, <b>rss</b>, and <b>parquet</b> (using DuckDB WASM).<br>
+ * The <b>sources</b> may be of the following type: <b>csv</b>, <b>json</b>, <b>geojson</b>, <b>kml</b>, <b>gml</b>, <b>rss</b>, <b>shapefile</b>, and <b>parquet</b> and <b>gpkg</b> (using DuckDB WASM).<br>
  * The <b>methods</b> to load data are: 
  * <ul><li>Data.<b>feed()</b> to load from url</li>
  * <li>Data.<b>import()</b> to import javascript objects and</li>
@@ -159,6 +159,190 @@ $Log:data.js,v $
         expose();
     }
 
+    // ---------------------------------
+    // E R R O R S
+    // ---------------------------------
+
+    /**
+     * Create a new Data.Error instance.  
+     * @class the error object passed to error callbacks (Data.Feed.error(), Data.Broker.error()), to {@link Data.onError} and to promise rejections
+     * @constructor
+     * @param {string} code the error code
+     *								   <table border='0' style='border-left: 1px solid #ddd;'>	
+     *								   <tr><th>code</th><th>description</th></tr>
+     *								   <tr><td><b>"NO_SOURCE"</b></td><td>no source defined</td></tr>
+     *								   <tr><td><b>"UNKNOWN_FORMAT"</b></td><td>the type of the source is not supported</td></tr>
+     *								   <tr><td><b>"PARSER_NOT_LOADED"</b></td><td>an external parser (Papa Parse, shpjs, DuckDB, ...) could not be loaded</td></tr>
+     *								   <tr><td><b>"LOAD_ERROR"</b></td><td>the source could not be loaded (network, HTTP status)</td></tr>
+     *								   <tr><td><b>"PARSE_ERROR"</b></td><td>the source could not be parsed</td></tr>
+     *								   <tr><td><b>"CANCELLED"</b></td><td>the loading has been cancelled</td></tr>
+     *								   <tr><td><b>"DEPENDENCY_ERROR"</b></td><td>a broker source could not be loaded, because a source it depends on failed</td></tr>
+     *								   <tr><td><b>"COLUMN_NOT_FOUND"</b></td><td>a column given to a table method does not exist</td></tr>
+     *								   <tr><td><b>"INVALID_OPTION"</b></td><td>a missing or invalid option of a table method</td></tr>
+     *								   <tr><td><b>"QUERY_ERROR"</b></td><td>a selection or SQL query could not be executed</td></tr>
+     *								   <tr><td><b>"NOT_STARTED"</b></td><td>a feed or broker is awaited before load() or realize()</td></tr>
+     *								   </table> 
+     * @param {string} message the error message
+     * @param {Object} [details] { <b>source</b>: <em>url or method</em>, <b>column</b>: <em>column name</em>, <b>row</b>: <em>row index</em>, <b>cause</b>: <em>the original error</em> }
+     * @type {Data.Error}
+     * @example
+     * Data.feed({"source":szUrl,"type":"csv"}).error(function(e){
+     *     console.log(e.code, e.message, e.source);
+     * }).load(function(mydata){
+     *     ...
+     * });
+     */
+    Data.Error = function (code, message, details) {
+        details = details || {};
+        this.name = "Data.Error";
+        this.code = code;
+        this.message = message;
+        this.source = (typeof (details.source) !== "undefined") ? details.source : null;
+        this.column = (typeof (details.column) !== "undefined") ? details.column : null;
+        this.row = (typeof (details.row) !== "undefined") ? details.row : null;
+        this.cause = details.cause || null;
+        this.stack = (new Error(message)).stack;
+    };
+
+    Data.Error.prototype = Object.create(Error.prototype);
+    Data.Error.prototype.constructor = Data.Error;
+
+    // the message, so that error callbacks which concatenate the error still get the text
+    Data.Error.prototype.toString = function () {
+        return this.message;
+    };
+
+    /**
+     * a user defined function called with every {@link Data.Error}, e.g. to log errors of embedded maps
+     * @type {function}
+     * @example
+     * Data.onError = function(e){
+     *     monitoring.log("data.js", e.code, e.message, e.source);
+     * };
+     */
+    Data.onError = null;
+
+    /**
+     * silent mode: if true, errors are not written to the console
+     * @type {boolean}
+     */
+    Data.silent = false;
+
+    /**
+     * the maximal number of errors kept in Data.errors; older errors are removed
+     * @type {number}
+     */
+    Data.maxErrors = 100;
+
+    // the number of errors reported so far (Data.errors keeps only the last Data.maxErrors)
+    let __nErrors = 0;
+
+    // create and report an error: Data.errors, Data.onError and console
+    const __error = function (code, message, details) {
+        const error = new Data.Error(code, message, details);
+        __nErrors++;
+        Data.errors.push(error);
+        if (Data.errors.length > Math.max(Data.maxErrors, 1)) {
+            Data.errors.splice(0, Data.errors.length - Math.max(Data.maxErrors, 1));
+        }
+        if (!Data.silent) {
+            console.log("data.js v" + Data.version + ": " + error.message);
+        }
+        if (typeof (Data.onError) === "function") {
+            try {
+                Data.onError(error);
+            } catch (e) {
+                console.log("data.js: error in Data.onError: " + e);
+            }
+        }
+        return error;
+    };
+
+    // report an error of a feed (or import) and pass it to its error callback
+    const __feedError = function (opt, code, message, details) {
+        opt = opt || {};
+        const szSource = opt.source || opt.src || opt.url || opt.ext;
+        // inline data (Data.import) is not a source
+        const error = (code instanceof Data.Error) ? code : __error(code, message, Object.assign({
+            source: ((typeof (szSource) === "string") && !szSource.match(/[\r\n]/)) ? szSource : null
+        }, details));
+        if (typeof (opt.error) === "function") {
+            opt.error(error);
+        }
+        return error;
+    };
+
+    // the message of an error, exception or jqXHR object
+    const __errorMessage = function (error) {
+        if (!error) {
+            return "unknown error";
+        }
+        if (typeof (error) === "string") {
+            return error;
+        }
+        return error.message || error.statusText || String(error);
+    };
+
+    // ---------------------------------
+    // P R O M I S E S
+    // ---------------------------------
+
+    // Data.Feed, Data.Broker and Data.Merger are thenables, so they can be awaited;
+    // the promise is created on demand by then(), so callback users get no unhandled rejections;
+    // load() and realize() set __started, awaiting before rejects with NOT_STARTED
+
+    // settle the result once; returns false, if already settled
+    const __settle = function (obj, error, result) {
+        if (obj.__settled) {
+            return false;
+        }
+        obj.__settled = {
+            error: error,
+            result: result
+        };
+        (obj.__waitA || []).forEach(function (wait) {
+            if (error) {
+                wait.reject(error);
+            } else {
+                wait.resolve(result);
+            }
+        });
+        obj.__waitA = [];
+        if (obj.__abort) {
+            obj.__abort.signal.removeEventListener("abort", obj.__abort.listener);
+            obj.__abort = null;
+        }
+        return true;
+    };
+
+    // then() of the thenables
+    const __then = function (onFulfilled, onRejected) {
+        const __this = this;
+        return new Promise(function (resolve, reject) {
+            if (__this.__settled) {
+                if (__this.__settled.error) {
+                    reject(__this.__settled.error);
+                } else {
+                    resolve(__this.__settled.result);
+                }
+            } else
+            if (!__this.__started) {
+                reject(__error("NOT_STARTED", "then(): nothing to wait for, call load() or realize() first"));
+            } else {
+                __this.__waitA = __this.__waitA || [];
+                __this.__waitA.push({
+                    resolve: resolve,
+                    reject: reject
+                });
+            }
+        }).then(onFulfilled, onRejected);
+    };
+
+    // catch() of the thenables
+    const __catch = function (onRejected) {
+        return this.then(null, onRejected);
+    };
+
     /**
      * Create a new Data.Object instance.  
      * @class It realizes an object to load and handle internal (already defined as JavaScript object) data sources (CSV,JSON,...)
@@ -251,13 +435,19 @@ $Log:data.js,v $
                     _LOG("Processing geoparquet ArrayBuffer directly: " + this.options.source.byteLength + " bytes");
                     this.feed.__processGeoParquetData(this.options.source, this.options);
                 }
+            } else
+            if ((this.options.type == "xlsx") || (this.options.type == "XLSX") || (this.options.type == "xls") || (this.options.type == "ods") || (this.options.type == "ODS")) {
+                // the spreadsheet file as ArrayBuffer (from File API); needs the parser (SheetJS) loaded
+                if (this.options.source instanceof ArrayBuffer) {
+                    this.feed.__processSpreadsheetData(this.options.source, this.options);
+                }
             }
             return this;
         },
         /**
          * error function
          * define a function to handle a loading error
-         * @param {function} function(errorText) a user defined function to call when an error occurs
+         * @param {function} function(error) a user defined function to call when an error occurs<br>it receives a {@link Data.Error} object { <b>code</b>, <b>message</b>, <b>source</b>, <b>column</b>, <b>row</b> }
          * @type {Data.Object}
          * @returns itself  
          */
@@ -309,11 +499,45 @@ $Log:data.js,v $
      *								   <tr><td><b>"json"</b></td><td>the source is JSON (Javascript Object Notation)</td></tr>
      *								   <tr><td><b>"geojson"</b></td><td>the source is a JSON object formatted in <a href="https://geojson.org/" target="_blank">GeoJson</a></td></tr>
      *								   <tr><td><b>"geoparquet"</b></td><td>the source is a GeoParquet file (using DuckDB WASM, converted to GeoJSON)</td></tr>
-     *								   <tr><td><b>"parquet"</b></td><td>the source is a Parquet file (using DuckDB WASM)</td></tr>
+     *								   <tr><td><b>"parquet"</b></td><td>the source is a Parquet file (using DuckDB WASM);<br>options <b>columns</b> and <b>where</b> (SQL condition), or <b>sql</b> (SQL query on the table <b>data</b>), are pushed down to the file,<br>so only the needed columns and rows are read</td></tr>
      *								   <tr><td><b>"JSON-stat"</b></td><td>the source is a JSON object formatted in <a href="https://json-stat.org/JSON-stat" target="_blank">JSON-stat</a></td></tr>
      *								   <tr><td><b>"jsonDB"</b></td><td>the source is in ixmaps internal data table format</td></tr>
      *								   <tr><td><b>"rss"</b></td><td>the source is an xml rss feed</td></tr>
+     *								   <tr><td><b>"sdmx"</b></td><td>the source is SDMX-CSV or SDMX-ML data;<br>option <b>structure</b>: url of the SDMX-ML structure with the codelists for label columns</td></tr>
+     *								   <tr><td><b>"shapefile"</b></td><td>the source is a zipped Shapefile (.shp, .dbf, .prj), reprojected into WGS84;<br>option <b>layer</b> selects the shapefile, if the zip contains more than one</td></tr>
+     *								   <tr><td><b>"gpkg"</b></td><td>the source is a GeoPackage (using DuckDB WASM with spatial extension), reprojected into WGS84;<br>option <b>layer</b> selects the layer, default is the first one</td></tr>
+     *								   <tr><td><b>"ogcapi"</b></td><td>the source is an OGC API Features collection (items url, or landing page with option <b>collection</b>)</td></tr>
+     *								   <tr><td><b>"wfs"</b></td><td>the source is a WFS 2.0 service; option <b>typeName</b> selects the feature type</td></tr>
+     *								   <tr><td><b>"xlsx"</b>, <b>"ods"</b></td><td>the source is an Excel or OpenDocument spreadsheet (using SheetJS);<br>options <b>sheet</b> (name or index), <b>range</b> (e.g. "A3:H200"), <b>header</b> (row number of the header, false for none), <b>headerRows</b> (rows of a multi row header) and <b>fillMerged</b> (merged data cells get the value of their first cell)</td></tr>
+     *								   </table> 
+     * <p><b>ogcapi</b> and <b>wfs</b> load all features page by page; options:</p>
+     *								   <table border='0' style='border-left: 1px solid #ddd;'>	
+     *								   <tr><th>option</th><th>description</th></tr>
+     *								   <tr><td><b>bbox</b></td><td>[west,south,east,north] in WGS84</td></tr>
+     *								   <tr><td><b>filter</b></td><td>CQL2 text filter (ogcapi), CQL filter or FES XML filter (wfs)</td></tr>
+     *								   <tr><td><b>geometryName</b></td><td>wfs: the geometry property for a bbox with CQL filter; default "the_geom"</td></tr>
+     *								   <tr><td><b>pageSize</b></td><td>features per request; default 1000</td></tr>
+     *								   <tr><td><b>maxFeatures</b></td><td>the maximal number of features to load</td></tr>
+     *								   <tr><td><b>params</b></td><td>more query parameters, e.g. {"properties":"name,population"}</td></tr>
+     *								   </table> 
+     * <p>big <b>csv</b> files can be loaded in chunks with the additional options:</p>
+     *								   <table border='0' style='border-left: 1px solid #ddd;'>	
+     *								   <tr><th>option</th><th>description</th></tr>
+     *								   <tr><td><b>stream</b></td><td>true: load and parse the file in chunks</td></tr>
+     *								   <tr><td><b>chunkSize</b></td><td>bytes per chunk (implies stream)</td></tr>
+     *								   <tr><td><b>worker</b></td><td>true: parse the chunks in a Web Worker (implies stream)</td></tr>
+     *								   <tr><td><b>progress</b></td><td>function(progress) called after every chunk, see {@link Data.Feed#progress}</td></tr>
      *								   </table> 
+     * <p>with the option <b>persist</b> (true or {ttl: seconds}) the loaded table is stored in a persistent cache, see {@link Data.cache}</p>
+     * <p>the column types of the loaded table are inferred from the values (see {@link Data.Table#inferTypes}); options:</p>
+     *								   <table border='0' style='border-left: 1px solid #ddd;'>	
+     *								   <tr><th>option</th><th>description</th></tr>
+     *								   <tr><td><b>schema</b></td><td>declared column types, e.g. {"PRO_COM_T":"string","value":"number"}, see {@link Data.Table#setTypes}</td></tr>
+     *								   <tr><td><b>decimal</b></td><td>the decimal mark of the numbers: "." or ","; default: detected</td></tr>
+     *								   <tr><td><b>convert</b></td><td>true: convert number, integer and boolean values to javascript types</td></tr>
+     *								   <tr><td><b>types</b></td><td>false: don't infer the column types</td></tr>
+     *								   </table> 
+     * <p>with the option <b>pipeline</b> the loaded table is transformed by a list of steps defined as JSON, see {@link Data.Table#apply}</p>
      * @type {Data.Feed}
      * @returns a new Data.Feed object
      * @example
@@ -340,16 +564,17 @@ $Log:data.js,v $
     Data.Feed = function (options) {
         this.options = options || {};
         this.debug = false;
-        this.options.error = function (e) {
-            Data.errors.push(e);
-        };
+        // errors are collected in Data.errors; .error() sets a user callback,
+        // options.error (and options.success) are called by load() too
     };
 
     Data.Feed.prototype = {
 
         /**
-         * load the data from the source specified in the Data.Feed instance and call a user defined callback function on success
-         * @param {function} function(data) the function to call when data is successfully loaded<br> it receives a {Data.Table} object with the loaded data
+         * load the data from the source specified in the Data.Feed instance and call a user defined callback function on success<br>
+         * the Data.Feed object is also a thenable: it can be awaited and resolves with the loaded {Data.Table}, or rejects with a {@link Data.Error}<br>
+         * with the option <b>signal</b> (an AbortSignal) the loading can be cancelled, see {@link Data.Feed#cancel}
+         * @param {function} [callback] function(data) the function to call when data is successfully loaded<br> it receives a {Data.Table} object with the loaded data
          * @type {Object}
          * @returns the {@link Data.Feed} object
          * @example
@@ -357,14 +582,69 @@ $Log:data.js,v $
          * var myfeed = Data.feed({"source":szUrl,"type":"csv"}).load(function(mydata){
          *	...
          *  });
+         * @example
+         * const controller = new AbortController();
+         * try {
+         *     const mydata = await Data.feed({"source":szUrl,"type":"csv","signal":controller.signal}).load();
+         *     ...
+         * } catch (e) {
+         *     console.log(e.code, e.message);
+         * }
          */
         load: function (callback) {
 
-            this.options.success = callback;
-
+            const __this = this;
             const option = this.options;
             const szUrl = option.source || option.src || option.url || option.ext;
 
+            // the importers call success or error; only the first call counts (e.g. not after cancel)
+            // success and error of the feed options are called too, after the load and error callbacks
+            if (!this.__optionCallbacks) {
+                this.__optionCallbacks = {
+                    success: option.success,
+                    error: option.error
+                };
+            }
+            const optionCallbacks = this.__optionCallbacks;
+            this.__settled = null;
+            this.__started = true;
+            this.cancelled = false;
+            option.success = function (table) {
+                if (__settle(__this, null, table)) {
+                    if (callback) {
+                        callback.call(this, table);
+                    }
+                    if (typeof (optionCallbacks.success) === "function") {
+                        optionCallbacks.success.call(this, table);
+                    }
+                }
+            };
+            option.error = function (error) {
+                if (__settle(__this, error)) {
+                    if (__this.onError) {
+                        __this.onError(error);
+                    }
+                    if (typeof (optionCallbacks.error) === "function") {
+                        optionCallbacks.error.call(this, error);
+                    }
+                }
+            };
+
+            if (option.signal) {
+                if (option.signal.aborted) {
+                    this.cancel();
+                    return this;
+                }
+                // removed by __settle(), so the signal does not keep the feed
+                this.__abort = {
+                    signal: option.signal,
+                    listener: function () {
+                        __this.cancel();
+                    }
+                };
+                option.signal.addEventListener("abort", this.__abort.listener);
+            }
+
             if (typeof (option.cache) === 'undefined') {
                 option.cache = true;
                 if (option.options && typeof (option.options.cache) !== 'undefined') {
@@ -372,14 +652,37 @@ $Log:data.js,v $
                 }
             }
 
-            const __this = this;
-
             if (!szUrl) {
-                _alert("Data.feed(...).load(): no source defined !", 2000);
+                __feedError(option, "NO_SOURCE", "Data.feed(...).load(): no source defined !");
+                return this;
+            }
+
+            // persistent cache: get the table from IndexedDB, or load it and store it
+            if (option.persist && (typeof (szUrl) === "string") && Data.cache.available()) {
+                this.__doCachedImport(szUrl, option);
+            } else {
+                this.__doImport(szUrl, option);
             }
+            return this;
+        },
+
+        /**
+         * load the data by the importer of the source type
+         * @param szUrl the source url
+         * @param option the feed options
+         * @type void
+         * @private
+         */
+        __doImport: function (szUrl, option) {
+
+            const __this = this;
 
             if ((option.type == "csv") || (option.type == "CSV")) {
-                this.__doCSVImport(szUrl, option);
+                if (option.stream || option.chunkSize || option.worker) {
+                    this.__doCSVStreamImport(szUrl, option);
+                } else {
+                    this.__doCSVImport(szUrl, option);
+                }
             } else
             if ((option.type == "rss") || (option.type == "RSS")) {
                 this.__doRSSImport(szUrl, option);
@@ -409,19 +712,40 @@ $Log:data.js,v $
                         return;
                     })
                     .fail(function (jqxhr, settings, exception) {
-                        _alert("'" + option.type + "' unknown format !");
+                        __feedError(option, "PARSER_NOT_LOADED", "'" + option.type + "' parser not loaded !");
                     });
             } else
+            if ((option.type == "sdmx") || (option.type == "SDMX")) {
+                this.__doLoadSDMX(szUrl, option);
+            } else
             if ((option.type == "parquet") || (option.type == "PARQUET")) {
-                this.__doParquetImport(szUrl, option);
+                if (option.sql || option.columns || option.where) {
+                    this.__doParquetQueryImport(szUrl, option);
+                } else {
+                    this.__doParquetImport(szUrl, option);
+                }
+            } else
+            if ((option.type == "shapefile") || (option.type == "SHAPEFILE") || (option.type == "shp") || (option.type == "SHP")) {
+                this.__doShapefileImport(szUrl, option);
+            } else
+            if ((option.type == "gpkg") || (option.type == "GPKG") || (option.type == "geopackage") || (option.type == "GeoPackage")) {
+                this.__doGeoPackageImport(szUrl, option);
+            } else
+            if ((option.type == "ogcapi") || (option.type == "OGCAPI") || (option.type == "ogcapi-features")) {
+                this.__doOGCFeaturesImport(szUrl, option);
+            } else
+            if ((option.type == "wfs") || (option.type == "WFS")) {
+                this.__doWFSImport(szUrl, option);
+            } else
+            if ((option.type == "xlsx") || (option.type == "XLSX") || (option.type == "xls") || (option.type == "ods") || (option.type == "ODS")) {
+                this.__doSpreadsheetImport(szUrl, option);
             } else {
-                _alert("'" + option.type + "' unknown format !");
+                __feedError(option, "UNKNOWN_FORMAT", "'" + option.type + "' unknown format !");
             }
-            return this;
         },
         /**
          * define a function to handle a loading error
-         * @param {function} function(errorText) a user defined function to call when an error occurs
+         * @param {function} function(error) a user defined function to call when an error occurs<br>it receives a {@link Data.Error} object { <b>code</b>, <b>message</b>, <b>source</b>, <b>column</b>, <b>row</b> }
          * @type {Object}
          * @returns the {@link Data.Feed} object
          * @example
@@ -434,9 +758,51 @@ $Log:data.js,v $
          *              });
          */
         error: function (callback) {
-            this.options.error = callback;
+            this.onError = callback;
             return this;
-        }
+        },
+        /**
+         * define a function to receive the loading progress of a streamed source (csv with option <b>stream</b>)
+         * @param {function} function(progress) a user defined function to call after every loaded chunk<br>
+         * it receives an object { <b>rows</b>: <em>rows parsed</em>, <b>bytes</b>: <em>bytes loaded</em>, <b>totalBytes</b>: <em>file size or null</em>, <b>percent</b>: <em>0-100 or null</em> }
+         * @type {Object}
+         * @returns the {@link Data.Feed} object
+         * @example
+         * var myfeed = Data.feed({"source":szUrl,"type":"csv","stream":true})
+         *
+         *              .progress(function(p){console.log(p.rows + " rows loaded");})
+         *
+         *              .load(function(mydata){
+         *	               ...
+         *              });
+         */
+        progress: function (callback) {
+            this.options.progress = callback;
+            return this;
+        },
+        /**
+         * cancel the loading<br>
+         * the load callback is not called, the error callback receives a {@link Data.Error} with code "CANCELLED";<br>
+         * streamed csv and the fetch based importers (parquet, shapefile, gpkg) stop loading
+         * @type {Object}
+         * @returns the {@link Data.Feed} object
+         */
+        cancel: function () {
+            if (this.cancelled || this.__settled) {
+                return this;
+            }
+            this.cancelled = true;
+            if (this.__parser) {
+                this.__parser.abort();
+            }
+            const szUrl = this.options.source || this.options.src || this.options.url || this.options.ext;
+            __feedError(this.options, "CANCELLED", "\"" + szUrl + "\" loading cancelled");
+            return this;
+        },
+
+        then: __then,
+
+        catch: __catch
     };
 
 
@@ -470,6 +836,262 @@ $Log:data.js,v $
     };
 
 
+    // ---------------------------------
+    // C A C H E 
+    // ---------------------------------
+
+    const __szCacheDB = "data.js-cache";
+    const __szCacheStore = "tables";
+
+    // open the cache database; creates the table store on first use
+    const __openCacheDB = function () {
+        return new Promise(function (resolve, reject) {
+            const request = window.indexedDB.open(__szCacheDB, 1);
+            request.onupgradeneeded = function () {
+                request.result.createObjectStore(__szCacheStore, {
+                    keyPath: "key"
+                });
+            };
+            request.onsuccess = function () {
+                resolve(request.result);
+            };
+            request.onerror = function () {
+                reject(request.error);
+            };
+        });
+    };
+
+    // run one request on the table store in its own transaction
+    const __cacheRequest = function (szMode, fRequest) {
+        return __openCacheDB().then(function (db) {
+            return new Promise(function (resolve, reject) {
+                let transaction = null;
+                let request = null;
+                try {
+                    transaction = db.transaction(__szCacheStore, szMode);
+                    // put() throws on values which can't be stored (DataCloneError)
+                    request = fRequest(transaction.objectStore(__szCacheStore));
+                } catch (e) {
+                    db.close();
+                    reject(e);
+                    return;
+                }
+                transaction.oncomplete = function () {
+                    db.close();
+                    resolve(request ? request.result : null);
+                };
+                transaction.onerror = transaction.onabort = function () {
+                    db.close();
+                    reject(transaction.error);
+                };
+            });
+        });
+    };
+
+    /**
+     * the persistent table cache (IndexedDB)<br>
+     * feeds with the option <b>persist</b> store the loaded table and reuse it on the next load:
+     * <ul><li>within the time to live (<b>ttl</b> in seconds, default Data.cache.ttl) the table is taken from the cache</li>
+     * <li>after it, the source is revalidated by its ETag or Last-Modified header and loaded only if changed</li></ul>
+     * @example
+     * Data.feed({"source":szUrl,"type":"csv","persist":{"ttl":3600}}).load(function(mydata){ ... });
+     *
+     * // remove all cached tables
+     * Data.cache.clear();
+     */
+    Data.cache = {
+
+        /** default time to live of cached tables in seconds */
+        ttl: 86400,
+
+        /**
+         * test if the cache can be used (IndexedDB supported)
+         * @type {boolean}
+         */
+        available: function () {
+            return !!(window.indexedDB);
+        },
+
+        /**
+         * make the cache key of a feed by source and options
+         * @param szUrl the source
+         * @param option the feed options
+         * @type {string}
+         */
+        key: function (szUrl, option) {
+            let szOptions = "";
+            try {
+                szOptions = JSON.stringify(option, function (key, value) {
+                    return ((typeof (value) === "function") || (key == "persist") || (key == "cache")) ? undefined : value;
+                });
+            } catch (e) {
+                szOptions = String(option.type);
+            }
+            return szUrl + "|" + szOptions;
+        },
+
+        /**
+         * get a cache entry
+         * @param szKey the cache key
+         * @type {Promise}
+         * @returns Promise resolving to the entry {key, url, time, etag, lastModified, fields, records, sdmx} or undefined
+         */
+        get: function (szKey) {
+            return __cacheRequest("readonly", function (store) {
+                return store.get(szKey);
+            });
+        },
+
+        /**
+         * store a cache entry
+         * @param entry the entry, must have the property key
+         * @type {Promise}
+         */
+        set: function (entry) {
+            return __cacheRequest("readwrite", function (store) {
+                return store.put(entry);
+            });
+        },
+
+        /**
+         * remove the cached tables of one source
+         * @param szUrl the source url
+         * @type {Promise}
+         */
+        remove: function (szUrl) {
+            return __cacheRequest("readwrite", function (store) {
+                const request = store.openCursor();
+                request.onsuccess = function () {
+                    const cursor = request.result;
+                    if (cursor) {
+                        if (cursor.value.url == szUrl) {
+                            cursor.delete();
+                        }
+                        cursor.continue();
+                    }
+                };
+                return null;
+            });
+        },
+
+        /**
+         * remove all cached tables
+         * @type {Promise}
+         */
+        clear: function () {
+            return __cacheRequest("readwrite", function (store) {
+                return store.clear();
+            });
+        }
+    };
+
+    /**
+     * __doCachedImport 
+     * gets the table from the persistent cache or loads it and stores it in the cache
+     * @param szUrl the source url
+     * @param opt the feed options; opt.persist: true or {ttl: seconds}
+     * @type void
+     */
+    Data.Feed.prototype.__doCachedImport = function (szUrl, opt) {
+
+        const __this = this;
+        const szKey = Data.cache.key(szUrl, opt);
+        const nTTL = ((typeof (opt.persist) === "object") && (typeof (opt.persist.ttl) === "number")) ? opt.persist.ttl : Data.cache.ttl;
+
+        // an exception in the cached table, the import or the success callback
+        const __cacheError = function (error) {
+            _LOG("Data.cache: " + error);
+            __feedError(opt, "LOAD_ERROR", "\"" + szUrl + "\" " + __errorMessage(error), {
+                cause: error
+            });
+        };
+
+        // success with the cached table
+        const __useEntry = function (entry) {
+            const table = new Data.Table({
+                table: {
+                    records: entry.records.length,
+                    fields: entry.fields.length
+                },
+                fields: entry.fields,
+                records: entry.records
+            });
+            if (entry.sdmx) {
+                table.sdmx = entry.sdmx;
+            }
+            __this.dbtable = table;
+            if (opt.success) {
+                opt.success(table);
+            }
+        };
+
+        // load from source and store the table with the validators
+        const __load = function (headers) {
+            const success = opt.success;
+            opt.success = function (table) {
+                opt.success = success;
+                Data.cache.set({
+                    key: szKey,
+                    url: szUrl,
+                    time: Date.now(),
+                    etag: headers ? headers.get("ETag") : null,
+                    lastModified: headers ? headers.get("Last-Modified") : null,
+                    fields: table.fields,
+                    records: table.records,
+                    sdmx: table.sdmx || null
+                }).catch(function (error) {
+                    _LOG("Data.cache: table not stored: " + error);
+                });
+                if (success) {
+                    success(table);
+                }
+            };
+            __this.__doImport(szUrl, opt);
+        };
+
+        // get the validators of the source
+        const __revalidate = function (entry) {
+            fetch(szUrl, {
+                    method: "HEAD",
+                    cache: "no-cache"
+                })
+                .then(function (response) {
+                    const headers = response.ok ? response.headers : null;
+                    if (entry && headers &&
+                        ((entry.etag && (headers.get("ETag") == entry.etag)) ||
+                            (!entry.etag && entry.lastModified && (headers.get("Last-Modified") == entry.lastModified)))) {
+                        _LOG("Data.cache: not modified: " + szUrl);
+                        entry.time = Date.now();
+                        Data.cache.set(entry).catch(function (error) {
+                            _LOG("Data.cache: table time not updated: " + error);
+                        });
+                        __useEntry(entry);
+                    } else {
+                        __load(headers);
+                    }
+                }, function () {
+                    // no HEAD request possible (e.g. CORS), load without validators
+                    __load(null);
+                })
+                .catch(__cacheError);
+        };
+
+        Data.cache.get(szKey)
+            .then(function (entry) {
+                if (entry && ((Date.now() - entry.time) < nTTL * 1000)) {
+                    _LOG("Data.cache: from cache: " + szUrl);
+                    __useEntry(entry);
+                } else {
+                    __revalidate(entry);
+                }
+            }, function (error) {
+                _LOG("Data.cache: not available: " + error);
+                __this.__doImport(szUrl, opt);
+            })
+            .catch(__cacheError);
+    };
+
+
     var ixmaps = ixmaps || {};
 
     // -----------------------------
@@ -533,23 +1155,310 @@ $Log:data.js,v $
     };
 
     // ---------------------------------
-    // J s o n D B 
+    // S D M X
     // ---------------------------------
 
     /**
-     * doJsonDBImport 
-     * reads JsonDB files from URL
-     * JsonDB files are regural JavaScript files, the data object is parsed automatically on load 
-     * @param file filename
-     * @param i filenumber
+     * __doLoadSDMX 
+     * reads SDMX data in SDMX-CSV or SDMX-ML (generic or structure specific) format
+     * parses the data into a table with one row per observation
+     * <ul><li>opt.<b>structure</b>: [optional] url of a SDMX-ML structure message (data structure and codelists)<br>
+     * with it, the coded dimensions get label columns (<em>dimension</em>_label)</li>
+     * <li>opt.<b>codelists</b>: [optional] codelists as object {<em>dimension</em>:{<em>code</em>:<em>label</em>}}</li>
+     * <li>opt.<b>lang</b>: [optional] the language of the labels; default "en"</li></ul>
+     * the table gets the property <b>sdmx</b> with the data structure: {dataflow, dimensions, timeDimension, measure, attributes, codelists}
+     * @param szUrl SDMX URL
+     * @param opt options
      * @type void
      */
-    Data.Feed.prototype.__doJsonDBImport = function (szUrl, opt) {
+    Data.Feed.prototype.__doLoadSDMX = function (szUrl, opt) {
 
-        _LOG("__doJsonDBImport: " + szUrl);
+        _LOG("__doLoadSDMX: " + szUrl);
         const __this = this;
 
-        opt.url = szUrl;
+        const __loadData = function (codelists) {
+            $.ajax({
+                type: "GET",
+                url: szUrl,
+                cache: opt.cache,
+                dataType: "text",
+                success: function (data) {
+                    __this.__processSDMXData(data, opt, codelists);
+                },
+                error: function (jqxhr, settings, exception) {
+                    __feedError(opt, "LOAD_ERROR", "\"" + szUrl + "\" " + exception);
+                }
+            });
+        };
+
+        if (opt.structure) {
+            $.ajax({
+                type: "GET",
+                url: opt.structure,
+                cache: opt.cache,
+                dataType: "text",
+                success: function (data) {
+                    __loadData(__this.__parseSDMXStructure(data, opt));
+                },
+                error: function (jqxhr, settings, exception) {
+                    _LOG("__doLoadSDMX: structure not loaded, no labels! " + exception);
+                    __loadData(opt.codelists || {});
+                }
+            });
+        } else {
+            __loadData(opt.codelists || {});
+        }
+    };
+
+    /**
+     * __parseSDMXStructure 
+     * gets the codelists of the dimensions from a SDMX-ML structure message
+     * @param szXML the structure message
+     * @param opt options (lang)
+     * @type {Object}
+     * @returns the codelists by dimension {<em>dimension</em>:{<em>code</em>:<em>label</em>}}
+     */
+    Data.Feed.prototype.__parseSDMXStructure = function (szXML, opt) {
+
+        const szLang = opt.lang || "en";
+        const xmlDoc = new DOMParser().parseFromString(szXML, "text/xml");
+        const __elements = function (node, szName) {
+            return Array.from(node.getElementsByTagNameNS("*", szName));
+        };
+        const __name = function (node) {
+            let szName = null;
+            for (const nameNode of __elements(node, "Name")) {
+                if (nameNode.parentNode != node) {
+                    continue;
+                }
+                if (!szName || (nameNode.getAttribute("xml:lang") == szLang)) {
+                    szName = nameNode.textContent;
+                }
+            }
+            return szName;
+        };
+
+        // all codelists by id
+        const codelistA = {};
+        for (const codelistNode of __elements(xmlDoc, "Codelist")) {
+            const codeA = {};
+            for (const codeNode of __elements(codelistNode, "Code")) {
+                codeA[codeNode.getAttribute("id")] = __name(codeNode) || codeNode.getAttribute("id");
+            }
+            codelistA[codelistNode.getAttribute("id")] = codeA;
+        }
+
+        // the codelists of the dimensions, as defined by the data structure
+        const codelists = Object.assign({}, opt.codelists);
+        for (const dimensionNode of __elements(xmlDoc, "Dimension").concat(__elements(xmlDoc, "Attribute"))) {
+            const szDimension = dimensionNode.getAttribute("id");
+            const enumeration = __elements(dimensionNode, "Enumeration")[0];
+            const ref = enumeration ? __elements(enumeration, "Ref")[0] : null;
+            if (szDimension && ref && codelistA[ref.getAttribute("id")] && !codelists[szDimension]) {
+                codelists[szDimension] = codelistA[ref.getAttribute("id")];
+            }
+        }
+        return codelists;
+    };
+
+    /**
+     * __processSDMXData 
+     * parses SDMX-CSV or SDMX-ML data and creates the data table
+     * @param data the SDMX text
+     * @param opt options
+     * @param codelists the codelists by dimension
+     * @type void
+     */
+    Data.Feed.prototype.__processSDMXData = function (data, opt, codelists) {
+
+        const __this = this;
+        let dataA = null;
+        let structure = null;
+
+        if (String(data).trim()[0] == "<") {
+
+            // SDMX-ML
+            // -------
+            const xmlDoc = new DOMParser().parseFromString(data, "text/xml");
+            const __elements = function (node, szName) {
+                return Array.from(node.getElementsByTagNameNS("*", szName));
+            };
+            const __attributes = function (node, target) {
+                for (const attribute of Array.from(node.attributes)) {
+                    if (!attribute.name.match(/^xmlns|:/)) {
+                        target[attribute.name] = attribute.value;
+                    }
+                }
+                return target;
+            };
+            const __values = function (node, target) {
+                for (const valueNode of __elements(node, "Value")) {
+                    target[valueNode.getAttribute("id") || valueNode.getAttribute("concept")] = valueNode.getAttribute("value");
+                }
+                return target;
+            };
+
+            const obsA = [];
+            let fGeneric = false;
+            for (const seriesNode of __elements(xmlDoc, "Series")) {
+                const seriesKey = __elements(seriesNode, "SeriesKey")[0];
+                fGeneric = fGeneric || !!seriesKey;
+                // generic: <SeriesKey><Value id= value=/>...; structure specific: attributes of <Series>
+                const series = seriesKey ? __values(seriesKey, {}) : __attributes(seriesNode, {});
+                if (seriesKey && __elements(seriesNode, "Attributes")[0]) {
+                    __values(__elements(seriesNode, "Attributes")[0], series);
+                }
+                for (const obsNode of __elements(seriesNode, "Obs")) {
+                    const obs = Object.assign({}, series);
+                    if (seriesKey) {
+                        const dimensionNode = __elements(obsNode, "ObsDimension")[0];
+                        const valueNode = __elements(obsNode, "ObsValue")[0];
+                        obs.TIME_PERIOD = dimensionNode ? dimensionNode.getAttribute("value") : "";
+                        obs.OBS_VALUE = valueNode ? valueNode.getAttribute("value") : "";
+                        if (__elements(obsNode, "Attributes")[0]) {
+                            __values(__elements(obsNode, "Attributes")[0], obs);
+                        }
+                    } else {
+                        __attributes(obsNode, obs);
+                    }
+                    obsA.push(obs);
+                }
+            }
+            // flat structure specific data without series
+            if (!obsA.length) {
+                for (const obsNode of __elements(xmlDoc, "Obs")) {
+                    obsA.push(__attributes(obsNode, {}));
+                }
+            }
+
+            const dataSetNode = __elements(xmlDoc, "DataSet")[0];
+            const structureNode = __elements(xmlDoc, "Structure")[0] || __elements(xmlDoc, "StructureUsage")[0];
+            const columnA = [];
+            for (const obs of obsA) {
+                for (const p in obs) {
+                    if (!columnA.includes(p)) {
+                        columnA.push(p);
+                    }
+                }
+            }
+            // the observation columns at the end, like in SDMX-CSV
+            const timeIndex = columnA.indexOf("TIME_PERIOD");
+            const valueIndex = columnA.indexOf("OBS_VALUE");
+            const dimensionA = columnA.filter(function (szColumn) {
+                return (szColumn != "TIME_PERIOD") && (szColumn != "OBS_VALUE");
+            });
+            const headerA = dimensionA.concat((timeIndex >= 0) ? ["TIME_PERIOD"] : [], (valueIndex >= 0) ? ["OBS_VALUE"] : []);
+
+            dataA = [headerA];
+            for (const obs of obsA) {
+                dataA.push(headerA.map(function (szColumn) {
+                    return (typeof (obs[szColumn]) === "undefined") ? "" : obs[szColumn];
+                }));
+            }
+            structure = {
+                dataflow: (dataSetNode && (dataSetNode.getAttribute("structureRef") || dataSetNode.getAttribute("ss:dataScope"))) ||
+                    (structureNode && structureNode.getAttribute("structureID")) || "",
+                dimensions: dimensionA.concat((timeIndex >= 0) ? ["TIME_PERIOD"] : [])
+            };
+            _LOG("__processSDMXData: SDMX-ML " + (fGeneric ? "generic" : "structure specific") + ", " + obsA.length + " observations");
+
+        } else {
+
+            // SDMX-CSV
+            // --------
+            if (typeof Papa === "undefined") {
+                $.getScript(__papaParseUrl())
+                    .done(function (script, textStatus) {
+                        __this.__processSDMXData(data, opt, codelists);
+                    })
+                    .fail(function (jqxhr, settings, exception) {
+                        __feedError(opt, "PARSER_NOT_LOADED", "'" + opt.type + "' parser not loaded !");
+                    });
+                return;
+            }
+            dataA = Papa.parse(data, {
+                skipEmptyLines: true
+            }).data;
+            if (dataA.length < 2) {
+                __feedError(opt, "PARSE_ERROR", "sdmx parsing error: insufficient rows in data !");
+                return;
+            }
+            // DATAFLOW (SDMX-CSV 1.0) or STRUCTURE, STRUCTURE_ID, ACTION (2.0), dimensions ..., TIME_PERIOD, OBS_VALUE, attributes ...
+            const headerA = dataA[0];
+            const nFirst = (headerA[0] == "STRUCTURE") ? (headerA[2] == "ACTION" ? 3 : 2) : 1;
+            const nTime = headerA.indexOf("TIME_PERIOD");
+            const nValue = headerA.indexOf("OBS_VALUE");
+            const nLast = (nTime >= 0) ? nTime : ((nValue >= 0) ? nValue - 1 : headerA.length - 1);
+            structure = {
+                dataflow: dataA[1][nFirst - 1] || "",
+                dimensions: headerA.slice(nFirst, nLast + 1)
+            };
+
+            // remove empty attribute columns
+            const nAttribute = (nValue >= 0) ? nValue + 1 : headerA.length;
+            for (let i = headerA.length - 1; i >= nAttribute; i--) {
+                let fEmpty = true;
+                for (let j = 1; (j < dataA.length) && fEmpty; j++) {
+                    fEmpty = !String(dataA[j][i] || "").length;
+                }
+                if (fEmpty) {
+                    for (const row of dataA) {
+                        row.splice(i, 1);
+                    }
+                }
+            }
+        }
+
+        structure.timeDimension = structure.dimensions.includes("TIME_PERIOD") ? "TIME_PERIOD" : null;
+        structure.measure = dataA[0].includes("OBS_VALUE") ? "OBS_VALUE" : null;
+        structure.attributes = dataA[0].filter(function (szColumn) {
+            return !structure.dimensions.includes(szColumn) && (szColumn != structure.measure) && !szColumn.match(/^(DATAFLOW|STRUCTURE|STRUCTURE_ID|ACTION)$/);
+        });
+        structure.codelists = codelists || {};
+
+        // label columns for the coded dimensions and attributes, after the code column
+        for (let i = dataA[0].length - 1; i >= 0; i--) {
+            const codelist = structure.codelists[dataA[0][i]];
+            if (codelist) {
+                dataA[0].splice(i + 1, 0, dataA[0][i] + "_label");
+                for (let j = 1; j < dataA.length; j++) {
+                    const szCode = dataA[j][i];
+                    dataA[j].splice(i + 1, 0, (typeof (codelist[szCode]) !== "undefined") ? codelist[szCode] : szCode);
+                }
+            }
+        }
+
+        // user defined callback
+        if (opt.callback) {
+            opt.callback(dataA, opt);
+            return;
+        }
+
+        // the structure is given to the table by __createDataTableObject
+        this.__sdmx = structure;
+
+        // finish the data table object 
+        this.__createDataTableObject(dataA, opt.type, opt);
+    };
+
+    // ---------------------------------
+    // J s o n D B 
+    // ---------------------------------
+
+    /**
+     * doJsonDBImport 
+     * reads JsonDB files from URL
+     * JsonDB files are regural JavaScript files, the data object is parsed automatically on load 
+     * @param file filename
+     * @param i filenumber
+     * @type void
+     */
+    Data.Feed.prototype.__doJsonDBImport = function (szUrl, opt) {
+
+        _LOG("__doJsonDBImport: " + szUrl);
+        const __this = this;
+
+        opt.url = szUrl;
 
         $.getScript(szUrl + ".gz")
             .done(function (script, textStatus) {
@@ -561,9 +1470,7 @@ $Log:data.js,v $
                         __this.__processJsonDBData(script, opt);
                     })
                     .fail(function (jqxhr, settings, exception) {
-                        if (__this.options.error) {
-                            __this.options.error("\"" + szUrl + "\" " + exception);
-                        }
+                        __feedError(opt, "LOAD_ERROR", "\"" + szUrl + "\" " + exception);
                     });
             });
     };
@@ -605,6 +1512,14 @@ $Log:data.js,v $
     // C S V 
     // ---------------------------------
 
+    // the PapaParse of iXMaps (ui/libs), or the same version from CDN, if data.js is used without iXMaps
+    const __papaParseUrl = function () {
+        if (window.ixmaps && (typeof (window.ixmaps.szResourceBase) === "string")) {
+            return window.ixmaps.szResourceBase + "ui/libs/PapaParse-4.6.0/papaparse.min.js";
+        }
+        return "https://cdnjs.cloudflare.com/ajax/libs/PapaParse/4.6.0/papaparse.min.js";
+    };
+
     /**
      * __doCSVImport 
      * reads CSV files from URL
@@ -626,9 +1541,7 @@ $Log:data.js,v $
                 __this.__processCSVData(data, opt);
             },
             error: function (jqxhr, settings, exception) {
-                if ((typeof (opt) != "undefined") && opt.error) {
-                    opt.error("\"" + szUrl + "\" " + exception);
-                }
+                __feedError(opt, "LOAD_ERROR", "\"" + szUrl + "\" " + exception);
             }
         });
     };
@@ -653,15 +1566,12 @@ $Log:data.js,v $
         if (typeof Papa === "undefined") {
             _LOG("__processCSVData:load csv parser!");
             const __this = this;
-            $.getScript("https://cdnjs.cloudflare.com/ajax/libs/PapaParse/4.1.2/papaparse.min.js")
+            $.getScript(__papaParseUrl())
                 .done(function (script, textStatus) {
                     __this.__processCSVData(csv, opt);
                 })
                 .fail(function (jqxhr, settings, exception) {
-                    _alert("'" + opt.type + "' parser not loaded !");
-                    if (opt.error) {
-                        opt.error("'" + opt.type + "' parser not loaded !");
-                    }
+                    __feedError(opt, "PARSER_NOT_LOADED", "'" + opt.type + "' parser not loaded !");
                 });
             return false; // Indicates that the function is waiting for the parser to load.
         }
@@ -670,20 +1580,16 @@ $Log:data.js,v $
         let parsedData = Papa.parse(csv, opt.parser);
         
         if (parsedData.errors.length){
-            _alert("csv parsing error: " + parsedData.errors.map(e=>e.message).join(';'));
-            if (opt.error) {
-                opt.error("csv parsing error: " + parsedData.errors.map(e=>e.message).join(';'));
-            }
+            __feedError(opt, "PARSE_ERROR", "csv parsing error: " + parsedData.errors.map(e=>e.message).join(';'), {
+                row: parsedData.errors[0].row
+            });
             return false;
         }
         let newData = parsedData.data;
 
         // Check if the parsing resulted in at least two rows.
         if (newData.length < 2 || typeof newData[0] === "undefined" || typeof newData[1] === "undefined") {
-            _alert("csv parsing error: insufficient rows in data !");
-            if (opt.error) {
-                opt.error("csv parsing error: insufficient rows in data !");
-            }
+            __feedError(opt, "PARSE_ERROR", "csv parsing error: insufficient rows in data !");
             return false;
         }
        
@@ -704,15 +1610,27 @@ $Log:data.js,v $
                     _LOG(`csv parser: delimiter = ${delimiter} failed`);
                 }
                 if (!success) {
-                    _alert("csv parsing error: unable to auto detect delimiter!");
-                    if (opt.error) {
-                        opt.error("csv parsing error: unable to auto detect delimiter!");
-                    }
+                    __feedError(opt, "PARSE_ERROR", "csv parsing error: unable to auto detect delimiter!");
                     return false;
                 }
             }
         }
 
+        this.__finishCSVData(newData, opt);
+
+        return false;
+    };
+
+    /**
+     * __finishCSVData
+     * Cleans up the parsed CSV rows and creates the data object.
+     *
+     * @param {Array} newData - The parsed rows; the first row contains the column names.
+     * @param {Object} opt - Optional options (see __processCSVData).
+     * @type void
+     */
+    Data.Feed.prototype.__finishCSVData = function (newData, opt) {
+
         // Clean up trailing empty rows and columns.
         if (newData[newData.length - 1].length !== newData[0].length && newData.length > 1) {
             newData.pop();
@@ -728,16 +1646,323 @@ $Log:data.js,v $
         // User-defined callback with raw data.
         if (opt.callback) {
             opt.callback(newData, opt);
-            return false;
+            return;
         }
 
         _LOG("__createDataTableObject: " + (opt.options ? " -> " + opt.options.name : ""));
         // Finish and create the data table object.
         this.__createDataTableObject(newData, opt.type, opt);
+    };
 
-        return false;
+    /**
+     * __doCSVStreamImport 
+     * reads CSV files from URL in chunks, to load big files without freezing the page
+     * <ul><li>opt.<b>chunkSize</b>: bytes per chunk (default: PapaParse RemoteChunkSize, 5 MB)</li>
+     * <li>opt.<b>worker</b>: true to load and parse the file in a Web Worker (see __doCSVWorkerImport)</li>
+     * <li>opt.<b>progress</b>: function(progress) called after every chunk (see Data.Feed.progress())</li></ul>
+     * without delimiter in opt.parser, the delimiter is detected like in __processCSVData: if the first rows differ in length, ";" and "," are tried;<br>
+     * the loading can be stopped by Data.Feed.cancel()
+     * @param szUrl csv file url
+     * @param opt optional options
+     * @type void
+     */
+    Data.Feed.prototype.__doCSVStreamImport = function (szUrl, opt) {
+
+        _LOG("__doCSVStreamImport: " + szUrl);
+        const __this = this;
+
+        // cancelled while loading the parser
+        if (this.cancelled) {
+            return;
+        }
+
+        if (opt.worker && window.Worker && window.Blob) {
+            this.__doCSVWorkerImport(szUrl, opt);
+            return;
+        }
+
+        // load the parser first
+        if (typeof Papa === "undefined") {
+            $.getScript(__papaParseUrl())
+                .done(function (script, textStatus) {
+                    __this.__doCSVStreamImport(szUrl, opt);
+                })
+                .fail(function (jqxhr, settings, exception) {
+                    __feedError(opt, "PARSER_NOT_LOADED", "'" + opt.type + "' parser not loaded !");
+                });
+            return;
+        }
+
+        const progress = this.__csvProgress(szUrl, opt);
+        const delimiterA = (opt.parser && opt.parser.delimiter) ? [opt.parser.delimiter] : [null, ";", ","];
+
+        this.__parser = null;
+
+        // parse with the delimiter delimiterA[nTry]; restarted with the next one, if the first rows differ in length
+        const __parse = function (nTry) {
+
+            const newData = [];
+            let errorA = [];
+            let fChecked = (delimiterA.length == 1);
+            let fRetry = false;
+
+            const config = Object.assign({}, opt.parser, {
+                download: true,
+                chunkSize: opt.chunkSize || Papa.RemoteChunkSize,
+                chunk: function (results, parser) {
+                    __this.__parser = parser;
+                    if (__this.cancelled) {
+                        parser.abort();
+                        return;
+                    }
+                    for (const row of results.data) {
+                        newData.push(row);
+                    }
+                    if (!fChecked && (newData.length >= 2)) {
+                        fChecked = true;
+                        if (newData[0].length !== newData[1].length) {
+                            _LOG("csv parser: delimiter " + (delimiterA[nTry] || "autodetect") + " failed");
+                            fRetry = true;
+                            parser.abort();
+                            return;
+                        }
+                    }
+                    if (results.errors.length) {
+                        errorA = errorA.concat(results.errors);
+                    }
+                    progress(Math.max(newData.length - 1, 0), results.meta.cursor);
+                },
+                complete: function () {
+                    __this.__parser = null;
+                    // cancel() has reported the error
+                    if (__this.cancelled) {
+                        _LOG("__doCSVStreamImport: cancelled " + szUrl);
+                        return;
+                    }
+                    if (fRetry) {
+                        if (nTry + 1 < delimiterA.length) {
+                            __parse(nTry + 1);
+                        } else {
+                            __feedError(opt, "PARSE_ERROR", "csv parsing error: unable to auto detect delimiter!");
+                        }
+                        return;
+                    }
+                    // GR: row errors (e.g. TooFewFields) are not fatal in a big file, log them
+                    if (errorA.length) {
+                        _LOG("csv parsing: " + errorA.length + " errors, first: " + errorA[0].message + " (row " + errorA[0].row + ")");
+                    }
+                    if (newData.length < 2) {
+                        __feedError(opt, "PARSE_ERROR", "csv parsing error: insufficient rows in data !");
+                        return;
+                    }
+                    __this.__finishCSVData(newData, opt);
+                },
+                error: function (error) {
+                    __this.__parser = null;
+                    __feedError(opt, "LOAD_ERROR", "\"" + szUrl + "\" " + __errorMessage(error), {
+                        cause: error
+                    });
+                }
+            });
+            if (delimiterA[nTry]) {
+                config.delimiter = delimiterA[nTry];
+            }
+
+            Papa.parse(szUrl, config);
+        };
+
+        __parse(0);
+    };
+
+    /**
+     * __csvProgress
+     * makes the function to report the progress of a streamed csv file to opt.progress;<br>
+     * gets the file size for the progress percentage, if the server tells it
+     * @param szUrl csv file url
+     * @param opt optional options
+     * @type function
+     * @returns function(rows, bytes)
+     */
+    Data.Feed.prototype.__csvProgress = function (szUrl, opt) {
+
+        let totalBytes = null;
+
+        if (!opt.progress) {
+            return function () {};
+        }
+        $.ajax({
+            type: "HEAD",
+            url: szUrl,
+            success: function (data, textStatus, jqxhr) {
+                const nLength = parseInt(jqxhr.getResponseHeader("Content-Length"), 10);
+                totalBytes = isNaN(nLength) ? null : nLength;
+            }
+        });
+
+        return function (nRows, nBytes) {
+            opt.progress({
+                rows: nRows,
+                bytes: nBytes,
+                totalBytes: totalBytes,
+                percent: totalBytes ? Math.min(100, Math.round(nBytes / totalBytes * 100)) : null
+            });
+        };
+    };
+
+    /**
+     * __doCSVWorkerImport 
+     * loads and parses a CSV file in a Web Worker;<br>
+     * the main thread gets the parsed rows and creates the table with __finishCSVData
+     * @param szUrl csv file url
+     * @param opt optional options (see __doCSVStreamImport)
+     * @type void
+     */
+    Data.Feed.prototype.__doCSVWorkerImport = function (szUrl, opt) {
+
+        _LOG("__doCSVWorkerImport: " + szUrl);
+        const __this = this;
+
+        const progress = this.__csvProgress(szUrl, opt);
+        const workerUrl = URL.createObjectURL(new Blob([__csvWorkerCode], {
+            type: 'application/javascript'
+        }));
+        const worker = new Worker(workerUrl);
+
+        const __stop = function () {
+            __this.__parser = null;
+            worker.terminate();
+            URL.revokeObjectURL(workerUrl);
+        };
+
+        // cancel() stops the worker
+        this.__parser = {
+            abort: __stop
+        };
+
+        worker.onmessage = function (e) {
+            const message = e.data;
+            if (message.type === "progress") {
+                progress(message.rows, message.bytes);
+            } else if (message.type === "complete") {
+                __stop();
+                if (message.errors) {
+                    _LOG("csv parsing: " + message.errors + " errors, first: " + message.firstError);
+                }
+                __this.__finishCSVData(message.rows, opt);
+            } else if (message.type === "error") {
+                __stop();
+                __feedError(opt, message.code, message.message);
+            }
+        };
+        worker.onerror = function (error) {
+            __stop();
+            __feedError(opt, "PARSER_NOT_LOADED", "'" + opt.type + "' parser worker: " + __errorMessage(error), {
+                cause: error
+            });
+        };
+
+        worker.postMessage({
+            url: new URL(szUrl, document.baseURI).href,
+            scriptUrl: new URL(__papaParseUrl(), document.baseURI).href,
+            parser: opt.parser ? JSON.parse(JSON.stringify(opt.parser)) : {},
+            chunkSize: opt.chunkSize || null
+        });
     };
 
+    // the CSV worker: loads the file in chunks with PapaParse, detects the delimiter and posts the parsed rows
+    const __csvWorkerCode = `
+        self.onmessage = function (e) {
+            const options = e.data;
+            try {
+                importScripts(options.scriptUrl);
+            } catch (error) {
+                self.postMessage({
+                    type: "error",
+                    code: "PARSER_NOT_LOADED",
+                    message: "'csv' parser not loaded !"
+                });
+                return;
+            }
+            const delimiterA = options.parser.delimiter ? [options.parser.delimiter] : [null, ";", ","];
+
+            const parse = function (nTry) {
+                const rows = [];
+                let errors = 0;
+                let firstError = null;
+                let fChecked = (delimiterA.length == 1);
+                let fRetry = false;
+
+                const config = Object.assign({}, options.parser, {
+                    download: true,
+                    chunkSize: options.chunkSize || Papa.RemoteChunkSize,
+                    chunk: function (results, parser) {
+                        for (const row of results.data) {
+                            rows.push(row);
+                        }
+                        if (!fChecked && (rows.length >= 2)) {
+                            fChecked = true;
+                            if (rows[0].length !== rows[1].length) {
+                                fRetry = true;
+                                parser.abort();
+                                return;
+                            }
+                        }
+                        if (results.errors.length) {
+                            errors += results.errors.length;
+                            firstError = firstError || (results.errors[0].message + " (row " + results.errors[0].row + ")");
+                        }
+                        self.postMessage({
+                            type: "progress",
+                            rows: Math.max(rows.length - 1, 0),
+                            bytes: results.meta.cursor
+                        });
+                    },
+                    complete: function () {
+                        if (fRetry) {
+                            if (nTry + 1 < delimiterA.length) {
+                                parse(nTry + 1);
+                            } else {
+                                self.postMessage({
+                                    type: "error",
+                                    code: "PARSE_ERROR",
+                                    message: "csv parsing error: unable to auto detect delimiter!"
+                                });
+                            }
+                            return;
+                        }
+                        if (rows.length < 2) {
+                            self.postMessage({
+                                type: "error",
+                                code: "PARSE_ERROR",
+                                message: "csv parsing error: insufficient rows in data !"
+                            });
+                            return;
+                        }
+                        self.postMessage({
+                            type: "complete",
+                            errors: errors,
+                            firstError: firstError,
+                            rows: rows
+                        });
+                    },
+                    error: function (error) {
+                        self.postMessage({
+                            type: "error",
+                            code: "LOAD_ERROR",
+                            message: "\\"" + options.url + "\\" " + ((error && error.message) || String(error))
+                        });
+                    }
+                });
+                if (delimiterA[nTry]) {
+                    config.delimiter = delimiterA[nTry];
+                }
+                Papa.parse(options.url, config);
+            };
+
+            parse(0);
+        };
+    `;
+
     // ---------------------------------
     // R S S
     // ---------------------------------
@@ -765,9 +1990,9 @@ $Log:data.js,v $
                 __this.__processRSSData(data, opt);
             },
             error: function (jqxhr, settings, exception) {
-                if ((typeof (opt) != "undefined") && opt.error) {
-                    opt.error(jqxhr, settings, exception);
-                }
+                __feedError(opt, "LOAD_ERROR", "\"" + szUrl + "\" " + (exception || __errorMessage(jqxhr)), {
+                    cause: jqxhr
+                });
             }
         });
 
@@ -788,10 +2013,10 @@ $Log:data.js,v $
                 this.__parseRSSData(data, opt);
             } else
             if ($(data).find('feed').length) {
-                _alert("feed not yet supported");
+                __feedError(opt, "UNKNOWN_FORMAT", "feed not yet supported");
             } else
             if ($(data).find('atom').length) {
-                _alert("atom not yet supported");
+                __feedError(opt, "UNKNOWN_FORMAT", "atom not yet supported");
             }
         }
     };
@@ -879,9 +2104,9 @@ $Log:data.js,v $
                 __this.__processKMLData(data, opt);
             },
             error: function (jqxhr, settings, exception) {
-                if ((typeof (opt) != "undefined") && opt.error) {
-                    opt.error(jqxhr, settings, exception);
-                }
+                __feedError(opt, "LOAD_ERROR", "\"" + szUrl + "\" " + (exception || __errorMessage(jqxhr)), {
+                    cause: jqxhr
+                });
             }
         });
 
@@ -910,9 +2135,9 @@ $Log:data.js,v $
                 __this.__processGMLData(data, opt);
             },
             error: function (jqxhr, settings, exception) {
-                if ((typeof (opt) != "undefined") && opt.error) {
-                    opt.error(jqxhr, settings, exception);
-                }
+                __feedError(opt, "LOAD_ERROR", "\"" + szUrl + "\" " + (exception || __errorMessage(jqxhr)), {
+                    cause: jqxhr
+                });
             }
         });
 
@@ -932,7 +2157,7 @@ $Log:data.js,v $
             if ($(data).find('kml').length) {
                 this.__parseKMLData(data, opt);
             } else {
-                _alert("feed not kml");
+                __feedError(opt, "PARSE_ERROR", "feed not kml");
             }
         }
     };
@@ -1009,7 +2234,7 @@ $Log:data.js,v $
             if ($(data).find('wfs\\:FeatureCollection, gml\\:FeatureCollection, FeatureCollection').length) {
                 this.__parseGMLData(data, opt);
             } else {
-                _alert("feed not gml");
+                __feedError(opt, "PARSE_ERROR", "feed not gml");
             }
         }
     };
@@ -1031,7 +2256,7 @@ $Log:data.js,v $
             const featureCollection = $(data).find('wfs\\:FeatureCollection, FeatureCollection').first();
             
             if (featureCollection.length === 0) {
-                _alert("No FeatureCollection found in GML data");
+                __feedError(opt, "PARSE_ERROR", "No FeatureCollection found in GML data");
                 return;
             }
 
@@ -1141,9 +2366,9 @@ $Log:data.js,v $
             function (data) {
                 __this.__processJsonData(data, opt);
             }).fail(function (e) {
-            if ((typeof (opt) != "undefined") && opt.error) {
-                opt.error(e);
-            }
+            __feedError(opt, "LOAD_ERROR", "\"" + szUrl + "\" " + __errorMessage(e), {
+                cause: e
+            });
         });
 
     };
@@ -1366,9 +2591,9 @@ $Log:data.js,v $
             function (data) {
                 __this.__processGeoJsonData(data, opt);
             }).fail(function (e) {
-            if ((typeof (opt) != "undefined") && opt.error) {
-                opt.error(e);
-            }
+            __feedError(opt, "LOAD_ERROR", "\"" + szUrl + "\" " + __errorMessage(e), {
+                cause: e
+            });
         });
 
     };
@@ -1524,9 +2749,9 @@ $Log:data.js,v $
             function (data) {
                 __this.__processTopoJsonData(data, opt);
             }).fail(function (e) {
-            if ((typeof (opt) != "undefined") && opt.error) {
-                opt.error(e);
-            }
+            __feedError(opt, "LOAD_ERROR", "\"" + szUrl + "\" " + __errorMessage(e), {
+                cause: e
+            });
         });
 
     };
@@ -1540,7 +2765,7 @@ $Log:data.js,v $
     Data.Feed.prototype.__processTopoJsonData = function (script, opt) {
 
         if (typeof (topojson) == "undefined") {
-            _alert("'" + opt.type + "' parser not loaded !");
+            __feedError(opt, "PARSER_NOT_LOADED", "'" + opt.type + "' parser not loaded !");
             return;
         }
         let data = null;
@@ -1574,13 +2799,607 @@ $Log:data.js,v $
         this.__processGeoJsonData(topoObject, opt);
     };
 
-    // ---------------------------------------
-    // P A R Q U E T   e   G E O P A R Q U E T 
-    // ---------------------------------------
+    // ---------------------------------------------
+    // S H A P E F I L E   e   G E O P A C K A G E 
+    // ---------------------------------------------
+
+    const __szShapefileParserUrl = "https://unpkg.com/shpjs@4.0.4/dist/shp.min.js";
 
     /**
-     * __doParquetImport
-     * reads parquet file from URL using DuckDB WASM module
+     * __doShapefileImport
+     * reads a zipped shapefile (.shp, .dbf, .prj) from URL
+     * the geometries are reprojected from the CRS defined in .prj into WGS84
+     * @param szUrl zip file url
+     * @param opt options object; opt.layer selects the shapefile by name, if the zip contains more than one
+     * @type void
+     */
+    Data.Feed.prototype.__doShapefileImport = function (szUrl, opt) {
+        _LOG("__doShapefileImport: " + szUrl);
+
+        const __this = this;
+
+        // load the parser first (shpjs, includes proj4 for the reprojection)
+        if (typeof (shp) === "undefined") {
+            $.getScript(__szShapefileParserUrl)
+                .done(function (script, textStatus) {
+                    __this.__doShapefileImport(szUrl, opt);
+                })
+                .fail(function (jqxhr, settings, exception) {
+                    __feedError(opt, "PARSER_NOT_LOADED", "'" + opt.type + "' parser not loaded !");
+                });
+            return;
+        }
+
+        fetch(szUrl, {
+                method: 'GET',
+                cache: opt.cache ? 'default' : 'no-cache',
+                signal: opt.signal
+            })
+            .then(function (response) {
+                if (!response.ok) {
+                    throw new Error("HTTP " + response.status + ": " + response.statusText);
+                }
+                return response.arrayBuffer();
+            })
+            .then(function (arrayBuffer) {
+                return shp(arrayBuffer);
+            })
+            .then(function (geojson) {
+                __this.__processShapefileData(geojson, opt);
+            })
+            .catch(function (error) {
+                _LOG("__doShapefileImport: " + error);
+                __feedError(opt, "LOAD_ERROR", "\"" + szUrl + "\" " + __errorMessage(error), {
+                    cause: error
+                });
+            });
+    };
+
+    /**
+     * __processShapefileData
+     * creates the data table from the parsed shapefile(s)
+     * @param geojson a FeatureCollection or, if the zip contains more shapefiles, an array of FeatureCollections (with .fileName)
+     * @param opt options object
+     * @type void
+     */
+    Data.Feed.prototype.__processShapefileData = function (geojson, opt) {
+
+        if (__isArray(geojson)) {
+            let layer = geojson[0];
+            if (opt.layer) {
+                layer = geojson.filter(function (collection) {
+                    return String(collection.fileName).split("/").pop() == opt.layer;
+                })[0];
+                if (!layer) {
+                    __feedError(opt, "INVALID_OPTION", "shapefile '" + opt.layer + "' not found in " + geojson.map(function (collection) {
+                        return collection.fileName;
+                    }).join(", "));
+                    return;
+                }
+            }
+            geojson = layer;
+        }
+        this.__processGeoJsonData(geojson, opt);
+    };
+
+    /**
+     * __doGeoPackageImport
+     * reads a GeoPackage file from URL using DuckDB WASM with the spatial extension
+     * the geometries are reprojected from the CRS of the layer into WGS84
+     * @param szUrl gpkg file url
+     * @param opt options object; opt.layer selects the layer, default is the first layer
+     * @type void
+     */
+    Data.Feed.prototype.__doGeoPackageImport = function (szUrl, opt) {
+        _LOG("__doGeoPackageImport: " + szUrl);
+
+        const __this = this;
+        const szFile = "__gpkg_" + Date.now() + ".gpkg";
+
+        const __loadError = function (error) {
+            _LOG("__doGeoPackageImport: " + error);
+            if (window.duckdb) {
+                window.duckdb.db.dropFile(szFile);
+            }
+            __feedError(opt, "LOAD_ERROR", "\"" + szUrl + "\" " + __errorMessage(error), {
+                cause: error
+            });
+        };
+
+        fetch(szUrl, {
+                method: 'GET',
+                cache: opt.cache ? 'default' : 'no-cache',
+                signal: opt.signal
+            })
+            .then(function (response) {
+                if (!response.ok) {
+                    throw new Error("HTTP " + response.status + ": " + response.statusText);
+                }
+                return response.arrayBuffer();
+            })
+            .then(function (arrayBuffer) {
+                __loadDuckDB(function () {
+                    __this.__processGeoPackageData(arrayBuffer, szFile, opt).catch(__loadError);
+                }, __loadError);
+            })
+            .catch(__loadError);
+    };
+
+    /**
+     * __processGeoPackageData
+     * reads one layer of a GeoPackage with DuckDB ST_Read and creates the data table
+     * @param arrayBuffer the GeoPackage file
+     * @param szFile the DuckDB file name to register the buffer
+     * @param opt options object
+     * @type {Promise}
+     */
+    Data.Feed.prototype.__processGeoPackageData = function (arrayBuffer, szFile, opt) {
+
+        const __this = this;
+        const db = window.duckdb.db;
+        const conn = window.duckdb.conn;
+        let layer = null;
+
+        const __rows = function (result) {
+            return result.toArray().map(function (row) {
+                return row.toJSON();
+            });
+        };
+        const __quote = function (szText) {
+            return "'" + String(szText).replace(/'/g, "''") + "'";
+        };
+
+        return db.registerFileBuffer(szFile, new Uint8Array(arrayBuffer))
+            .then(function () {
+                return conn.query("INSTALL spatial; LOAD spatial;");
+            })
+            .then(function () {
+                // the layers and their CRS
+                return conn.query("SELECT UNNEST(layers) AS layer FROM ST_Read_Meta(" + __quote(szFile) + ")");
+            })
+            .then(function (result) {
+                const layerA = __rows(result).map(function (row) {
+                    return row.layer;
+                });
+                layer = opt.layer ? layerA.filter(function (item) {
+                    return item.name == opt.layer;
+                })[0] : layerA[0];
+                if (!layer) {
+                    throw new Error("layer '" + (opt.layer || "") + "' not found");
+                }
+                const geometryField = layer.geometry_fields && layer.geometry_fields.toArray ? layer.geometry_fields.toArray()[0] : (layer.geometry_fields || [])[0];
+                const crs = geometryField && geometryField.crs;
+                const szCRS = (crs && crs.auth_name && crs.auth_code) ? (crs.auth_name + ":" + crs.auth_code) : null;
+                _LOG("__processGeoPackageData: layer " + layer.name + ", CRS " + (szCRS || "unknown"));
+
+                let szGeometry = "geom";
+                if (szCRS && (szCRS != "EPSG:4326")) {
+                    szGeometry = "ST_Transform(geom, " + __quote(szCRS) + ", 'EPSG:4326', always_xy := true)";
+                }
+                return conn.query("SELECT * EXCLUDE (geom), ST_AsGeoJSON(" + szGeometry + ") AS __geometry FROM ST_Read(" + __quote(szFile) + ", layer = " + __quote(layer.name) + ")");
+            })
+            .then(function (result) {
+                db.dropFile(szFile);
+
+                // make GeoJSON features, to get the same table as from GeoJSON sources
+                const featureA = __rows(result).map(function (row) {
+                    const properties = {};
+                    for (const p in row) {
+                        if (p != "__geometry") {
+                            properties[p] = (typeof (row[p]) === "bigint") ? Number(row[p]) : row[p];
+                        }
+                    }
+                    return {
+                        type: "Feature",
+                        properties: properties,
+                        geometry: row.__geometry ? JSON.parse(row.__geometry) : null
+                    };
+                });
+                __this.__processGeoJsonData({
+                    type: "FeatureCollection",
+                    features: featureA
+                }, opt);
+            });
+    };
+
+    // -----------------------------------------
+    // O G C   A P I   F E A T U R E S   e   W F S 
+    // -----------------------------------------
+
+    // append query parameters to an url; empty values are left out
+    const __urlWithParams = function (szUrl, params) {
+        const paramA = [];
+        for (const p in params) {
+            if ((params[p] != null) && (params[p] !== "")) {
+                paramA.push(encodeURIComponent(p) + "=" + encodeURIComponent(params[p]));
+            }
+        }
+        if (!paramA.length) {
+            return szUrl;
+        }
+        return szUrl + ((szUrl.indexOf("?") >= 0) ? "&" : "?") + paramA.join("&");
+    };
+
+    // the bbox option as "west,south,east,north"; it can be an array or a string
+    const __bboxParam = function (bbox) {
+        return __isArray(bbox) ? bbox.join(",") : (bbox ? String(bbox) : null);
+    };
+
+    /**
+     * __doOGCFeaturesImport
+     * reads the features of a collection from an OGC API Features service
+     * the items are loaded page by page, following the "next" links
+     * @param szUrl the items url (.../collections/{collectionId}/items), the collection url,<br>
+     * or the landing page url with the option collection
+     * @param opt options object; bbox, filter (CQL2 text), filterLang, pageSize, maxFeatures, params
+     * @type void
+     */
+    Data.Feed.prototype.__doOGCFeaturesImport = function (szUrl, opt) {
+        _LOG("__doOGCFeaturesImport: " + szUrl);
+
+        let szItemsUrl = szUrl.split("?")[0].replace(/\/+$/, "");
+        if (opt.collection) {
+            szItemsUrl += "/collections/" + encodeURIComponent(opt.collection);
+        }
+        if (!szItemsUrl.match(/\/items$/)) {
+            szItemsUrl += "/items";
+        }
+        if (szUrl.indexOf("?") >= 0) {
+            szItemsUrl += "?" + szUrl.split("?").slice(1).join("?");
+        }
+
+        const nPageSize = opt.pageSize || 1000;
+        const params = Object.assign({
+            "limit": opt.maxFeatures ? Math.min(nPageSize, opt.maxFeatures) : nPageSize,
+            "bbox": __bboxParam(opt.bbox)
+        }, opt.filter ? {
+            "filter": opt.filter,
+            "filter-lang": opt.filterLang || "cql2-text"
+        } : {}, opt.params);
+
+        this.__doFeaturePagesImport(__urlWithParams(szItemsUrl, params), opt, function (collection, szPageUrl) {
+            const next = (collection.links || []).filter(function (link) {
+                return (link.rel == "next") && (!link.type || link.type.match(/json/));
+            })[0];
+            return next ? new URL(next.href, szPageUrl).href : null;
+        });
+    };
+
+    /**
+     * __doWFSImport
+     * reads the features of a feature type from a WFS 2.0 service as GeoJSON
+     * the features are loaded page by page by STARTINDEX and COUNT
+     * @param szUrl the WFS service url
+     * @param opt options object; typeName (or layer), bbox, filter (CQL or FES XML), geometryName, pageSize, maxFeatures, params
+     * @type void
+     */
+    Data.Feed.prototype.__doWFSImport = function (szUrl, opt) {
+        _LOG("__doWFSImport: " + szUrl);
+
+        const szTypeName = opt.typeName || opt.typeNames || opt.layer;
+        if (!szTypeName) {
+            __feedError(opt, "INVALID_OPTION", "\"" + szUrl + "\" wfs: no typeName defined !");
+            return;
+        }
+
+        const nPageSize = opt.pageSize || 1000;
+        const params = {
+            "SERVICE": "WFS",
+            "VERSION": "2.0.0",
+            "REQUEST": "GetFeature",
+            "TYPENAMES": szTypeName,
+            "OUTPUTFORMAT": opt.outputFormat || "application/json",
+            "SRSNAME": "EPSG:4326"
+        };
+
+        // BBOX and filters exclude each other in WFS, so the bbox goes into a CQL filter
+        const szBBox = __bboxParam(opt.bbox);
+        if (opt.filter && String(opt.filter).match(/^\s*</)) {
+            params.FILTER = opt.filter;
+        } else
+        if (opt.filter) {
+            params.CQL_FILTER = szBBox ? "(" + opt.filter + ") AND BBOX(" + (opt.geometryName || "the_geom") + "," + szBBox + ",'EPSG:4326')" : opt.filter;
+        } else
+        if (szBBox) {
+            params.BBOX = szBBox + ",EPSG:4326";
+        }
+        Object.assign(params, opt.params);
+
+        let nStart = 0;
+        const __page = function () {
+            return __urlWithParams(szUrl, Object.assign({}, params, {
+                "COUNT": opt.maxFeatures ? Math.min(nPageSize, opt.maxFeatures - nStart) : nPageSize,
+                "STARTINDEX": nStart
+            }));
+        };
+
+        this.__doFeaturePagesImport(__page(), opt, function (collection) {
+            const nFeatures = (collection.features || []).length;
+            nStart += nFeatures;
+            // servers may return less than COUNT features per page (max features limit),
+            // so a short page only ends the import, if the number of matching features is unknown
+            const nMatched = parseInt(collection.numberMatched, 10);
+            if (!isNaN(nMatched) ? (nStart >= nMatched) : (nFeatures < nPageSize)) {
+                return null;
+            }
+            return __page();
+        });
+    };
+
+    /**
+     * __doFeaturePagesImport
+     * loads the GeoJSON pages of a feature service and creates one table from all features
+     * @param szUrl the url of the first page
+     * @param opt options object; maxFeatures limits the features, progress gets { rows, bytes, totalBytes, percent }
+     * @param nextPage function(collection, szPageUrl) returns the url of the next page or null
+     * @type void
+     * @private
+     */
+    Data.Feed.prototype.__doFeaturePagesImport = function (szUrl, opt, nextPage) {
+
+        const __this = this;
+        let featureA = [];
+        let nBytes = 0;
+
+        const __loadPage = function (szPageUrl) {
+            _LOG("feature page: " + szPageUrl);
+            fetch(szPageUrl, {
+                    method: 'GET',
+                    headers: {
+                        "Accept": "application/geo+json, application/json"
+                    },
+                    cache: opt.cache ? 'default' : 'no-cache',
+                    signal: opt.signal
+                })
+                .then(function (response) {
+                    return response.text().then(function (szText) {
+                        // services report errors as ows:ExceptionReport or as json with a description
+                        if (!response.ok || szText.match(/^\s*</)) {
+                            const exception = szText.match(/<(?:\w+:)?ExceptionText>([\s\S]*?)<\//);
+                            let szMessage = exception ? exception[1].trim() : null;
+                            try {
+                                szMessage = szMessage || JSON.parse(szText).description;
+                            } catch (e) {
+                                szMessage = szMessage || null;
+                            }
+                            throw new Error("HTTP " + response.status + ": " + (szMessage || response.statusText || "no GeoJSON"));
+                        }
+                        nBytes += szText.length;
+                        return JSON.parse(szText);
+                    });
+                })
+                .then(function (collection) {
+                    if (__this.cancelled) {
+                        return;
+                    }
+                    featureA = featureA.concat(collection.features || []);
+                    if (opt.maxFeatures && (featureA.length >= opt.maxFeatures)) {
+                        featureA.length = opt.maxFeatures;
+                    }
+                    if (opt.progress) {
+                        const nMatched = opt.maxFeatures ? Math.min(opt.maxFeatures, collection.numberMatched || opt.maxFeatures) : collection.numberMatched;
+                        opt.progress({
+                            rows: featureA.length,
+                            bytes: nBytes,
+                            totalBytes: null,
+                            percent: nMatched ? Math.min(100, Math.round(featureA.length / nMatched * 100)) : null
+                        });
+                    }
+                    const szNext = (collection.features && collection.features.length && !(opt.maxFeatures && (featureA.length >= opt.maxFeatures))) ? nextPage(collection, szPageUrl) : null;
+                    if (szNext) {
+                        __loadPage(szNext);
+                    } else {
+                        _LOG("features loaded: " + featureA.length);
+                        __this.__processGeoJsonData({
+                            type: "FeatureCollection",
+                            features: featureA
+                        }, opt);
+                    }
+                })
+                .catch(function (error) {
+                    _LOG("__doFeaturePagesImport: " + error);
+                    __feedError(opt, "LOAD_ERROR", "\"" + szPageUrl + "\" " + __errorMessage(error), {
+                        cause: error
+                    });
+                });
+        };
+
+        __loadPage(szUrl);
+    };
+
+    // ---------------------------------
+    // S P R E A D S H E E T 
+    // ---------------------------------
+
+    const __szSpreadsheetParserUrl = "https://cdn.sheetjs.com/xlsx-0.20.3/package/dist/xlsx.full.min.js";
+
+    /**
+     * __doSpreadsheetImport
+     * reads an Excel (.xlsx, .xls) or OpenDocument (.ods) spreadsheet from URL
+     * @param szUrl spreadsheet file url
+     * @param opt options object; sheet, range, header, headerRows, fillMerged
+     * @type void
+     */
+    Data.Feed.prototype.__doSpreadsheetImport = function (szUrl, opt) {
+        _LOG("__doSpreadsheetImport: " + szUrl);
+
+        const __this = this;
+
+        // load the parser first (SheetJS)
+        if (typeof (XLSX) === "undefined") {
+            $.getScript(__szSpreadsheetParserUrl)
+                .done(function (script, textStatus) {
+                    __this.__doSpreadsheetImport(szUrl, opt);
+                })
+                .fail(function (jqxhr, settings, exception) {
+                    __feedError(opt, "PARSER_NOT_LOADED", "'" + opt.type + "' parser not loaded !");
+                });
+            return;
+        }
+
+        fetch(szUrl, {
+                method: 'GET',
+                cache: opt.cache ? 'default' : 'no-cache',
+                signal: opt.signal
+            })
+            .then(function (response) {
+                if (!response.ok) {
+                    throw new Error("HTTP " + response.status + ": " + response.statusText);
+                }
+                return response.arrayBuffer();
+            })
+            .then(function (arrayBuffer) {
+                __this.__processSpreadsheetData(arrayBuffer, opt);
+            })
+            .catch(function (error) {
+                _LOG("__doSpreadsheetImport: " + error);
+                __feedError(opt, "LOAD_ERROR", "\"" + szUrl + "\" " + __errorMessage(error), {
+                    cause: error
+                });
+            });
+    };
+
+    // a spreadsheet date (days since 1899-12-30, or 1904-01-01, or a Date) as "yyyy-mm-dd" or "yyyy-mm-dd hh:mm:ss"
+    const __spreadsheetDate = function (date, f1904) {
+        if (!(date instanceof Date)) {
+            date = new Date(Math.round((date + (f1904 ? 1462 : 0) - 25569) * 86400) * 1000);
+        }
+        const szDate = date.toISOString();
+        return (szDate.substr(11, 8) == "00:00:00") ? szDate.substr(0, 10) : szDate.substr(0, 10) + " " + szDate.substr(11, 8);
+    };
+
+    /**
+     * __processSpreadsheetData
+     * creates the data table from one sheet of the spreadsheet;
+     * merged header cells get the value of their first cell (merged data cells only with opt.fillMerged),
+     * header rows spanning more rows are joined to one column name
+     * @param data the spreadsheet file as ArrayBuffer
+     * @param opt options object
+     * @type void
+     */
+    Data.Feed.prototype.__processSpreadsheetData = function (data, opt) {
+
+        // the range: A3:H200, or A3:H to the last row; the end not left of or above the start
+        if (opt.range != null) {
+            const matchA = String(opt.range).trim().toUpperCase().match(/^([A-Z]{1,3})([1-9][0-9]*):([A-Z]{1,3})([1-9][0-9]*)?$/);
+            if (!matchA || (XLSX.utils.decode_col(matchA[3]) < XLSX.utils.decode_col(matchA[1])) || (matchA[4] && (Number(matchA[4]) < Number(matchA[2])))) {
+                __feedError(opt, "INVALID_OPTION", "invalid range '" + opt.range + "', use e.g. 'A3:H200' or 'A3:H'");
+                return;
+            }
+        }
+
+        let workbook = null;
+        try {
+            workbook = XLSX.read(new Uint8Array(data), {
+                type: "array",
+                cellNF: true
+            });
+        } catch (e) {
+            __feedError(opt, "PARSE_ERROR", "spreadsheet parsing error: " + __errorMessage(e), {
+                cause: e
+            });
+            return;
+        }
+        const f1904 = !!(workbook.Workbook && workbook.Workbook.WBProps && workbook.Workbook.WBProps.date1904);
+
+        // the sheet by name or by index, default the first one
+        let szSheet = workbook.SheetNames[0];
+        if (opt.sheet != null) {
+            szSheet = (typeof (opt.sheet) === "number") ? workbook.SheetNames[opt.sheet] : String(opt.sheet);
+            if (!workbook.Sheets[szSheet]) {
+                __feedError(opt, "INVALID_OPTION", "sheet '" + opt.sheet + "' not found in " + workbook.SheetNames.join(", "));
+                return;
+            }
+        }
+        const sheet = workbook.Sheets[szSheet];
+        if (!sheet || !sheet["!ref"]) {
+            __feedError(opt, "PARSE_ERROR", "sheet '" + szSheet + "' is empty !");
+            return;
+        }
+
+        const range = XLSX.utils.decode_range(opt.range ? String(opt.range).trim().toUpperCase() : sheet["!ref"]);
+        if (opt.range) {
+            // a range without end row (A1:F) goes to the last row of the sheet
+            const used = XLSX.utils.decode_range(sheet["!ref"]);
+            range.e.r = (range.e.r < 0) ? used.e.r : Math.min(range.e.r, used.e.r);
+        }
+
+        // the merged cells: every cell of a merge refers to the first one
+        const mergeA = {};
+        for (const merge of (sheet["!merges"] || [])) {
+            for (let r = merge.s.r; r <= merge.e.r; r++) {
+                for (let c = merge.s.c; c <= merge.e.c; c++) {
+                    mergeA[XLSX.utils.encode_cell({
+                        r: r,
+                        c: c
+                    })] = XLSX.utils.encode_cell(merge.s);
+                }
+            }
+        }
+
+        // the cell value: numbers, booleans and dates typed, errors empty; fMerged: merged cells get the value of the first one
+        const __value = function (r, c, fMerged) {
+            let szCell = XLSX.utils.encode_cell({
+                r: r,
+                c: c
+            });
+            szCell = (fMerged && mergeA[szCell]) || szCell;
+            const cell = sheet[szCell];
+            if (!cell || (cell.v == null) || (cell.t == "e") || (cell.t == "z")) {
+                return "";
+            }
+            if ((cell.v instanceof Date) || ((cell.t == "n") && cell.z && XLSX.SSF.is_date(cell.z))) {
+                return __spreadsheetDate(cell.v, f1904);
+            }
+            return cell.v;
+        };
+
+        // the header rows: option header is the (first) header row number, false or 0 for no header
+        const nHeaderRows = (opt.header === false) || (opt.header === 0) ? 0 : (opt.headerRows || 1);
+        const nHeader = ((typeof (opt.header) === "number") && opt.header) ? (opt.header - 1) : range.s.r;
+
+        const nameA = [];
+        for (let c = range.s.c; c <= range.e.c; c++) {
+            const partA = [];
+            for (let r = nHeader; r < nHeader + nHeaderRows; r++) {
+                const szPart = String(__value(r, c, true)).trim();
+                if (szPart && (partA[partA.length - 1] != szPart)) {
+                    partA.push(szPart);
+                }
+            }
+            let szName = partA.join(" ") || XLSX.utils.encode_col(c);
+            for (let n = 2; nameA.includes(szName); n++) {
+                szName = (partA.join(" ") || XLSX.utils.encode_col(c)) + "_" + n;
+            }
+            nameA.push(szName);
+        }
+
+        // merged data cells are empty but the first one, like in the sheet, unless option fillMerged
+        const dataA = [nameA];
+        for (let r = nHeaderRows ? (nHeader + nHeaderRows) : range.s.r; r <= range.e.r; r++) {
+            const row = [];
+            let fEmpty = true;
+            for (let c = range.s.c; c <= range.e.c; c++) {
+                const value = __value(r, c, !!opt.fillMerged);
+                fEmpty = fEmpty && (value === "");
+                row.push(value);
+            }
+            if (!fEmpty) {
+                dataA.push(row);
+            }
+        }
+        _LOG("spreadsheet: sheet '" + szSheet + "', " + (dataA.length - 1) + " rows");
+
+        this.__createDataTableObject(dataA, "json", opt);
+    };
+
+    // ---------------------------------------
+    // P A R Q U E T   e   G E O P A R Q U E T 
+    // ---------------------------------------
+
+    /**
+     * __doParquetImport
+     * reads parquet file from URL using DuckDB WASM module
      * @param szUrl parquet file url
      * @param opt options object
      * @type void
@@ -1595,7 +3414,8 @@ $Log:data.js,v $
         
         fetch(szUrl, {
             method: 'GET',
-            cache: opt.cache ? 'default' : 'no-cache'
+            cache: opt.cache ? 'default' : 'no-cache',
+            signal: opt.signal
         })
         .then(response => {
             _LOG("Fetch response received, status: " + response.status);
@@ -1684,21 +3504,13 @@ $Log:data.js,v $
                 }
             } else {
                 _LOG("XHR failed with status: " + xhr.status + " " + xhr.statusText);
-                if (typeof opt !== "undefined" && opt.error) {
-                    opt.error("XHR failed: " + xhr.status + " " + xhr.statusText);
-                } else {
-                    _alert("XHR failed: " + xhr.status + " " + xhr.statusText);
-                }
+                __feedError(opt, "LOAD_ERROR", "XHR failed: " + xhr.status + " " + xhr.statusText);
             }
         };
         
         xhr.onerror = function() {
             _LOG("XHR network error");
-            if (typeof opt !== "undefined" && opt.error) {
-                opt.error("XHR network error");
-            } else {
-                _alert("XHR network error");
-            }
+            __feedError(opt, "LOAD_ERROR", "XHR network error");
         };
         
         xhr.send();
@@ -1829,7 +3641,7 @@ $Log:data.js,v $
     /**
      * Detect column types from DuckDB schema for optimized processing
      * @param {Object} schema - DuckDB result schema
-     * @returns {Array} Array of type strings ('string', 'number', 'boolean', 'date', 'geometry', 'array', 'other')
+     * @returns {Array} Array of type strings ('string', 'number', 'integer', 'boolean', 'date', 'geometry', 'array', 'other')
      */
     Data.Feed.prototype.__detectColumnTypes = function(schema) {
         if (!schema || !schema.fields) return null;
@@ -1852,7 +3664,9 @@ $Log:data.js,v $
                 detectedType = 'array';
             } else if (typeStr.includes('utf8') || typeStr.includes('string') || typeStr.includes('varchar')) {
                 detectedType = 'string';
-            } else if (typeStr.includes('int') || typeStr.includes('float') || typeStr.includes('double') || typeStr.includes('decimal')) {
+            } else if (typeStr.includes('int') && !typeStr.includes('interval')) {
+                detectedType = 'integer';
+            } else if (typeStr.includes('float') || typeStr.includes('double') || typeStr.includes('decimal')) {
                 detectedType = 'number';
             } else if (typeStr.includes('bool')) {
                 detectedType = 'boolean';
@@ -2096,6 +3910,7 @@ $Log:data.js,v $
                 case 'string':
                     return value; // Already string, no conversion!
                 case 'number':
+                case 'integer':
                 case 'boolean':
                     return String(value);
                 case 'date':
@@ -2462,9 +4277,9 @@ $Log:data.js,v $
             }
             
             // Call error callback
-            if (opt && typeof opt.error === 'function') {
-                opt.error(error);
-            }
+            __feedError(opt, "PARSE_ERROR", __errorMessage(error), {
+                cause: error
+            });
         });
     };
 
@@ -2582,9 +4397,9 @@ $Log:data.js,v $
             }
             
             // Call error callback
-            if (opt && typeof opt.error === 'function') {
-                opt.error(error);
-            }
+            __feedError(opt, "PARSE_ERROR", __errorMessage(error), {
+                cause: error
+            });
         });
     };
     
@@ -2655,14 +4470,20 @@ $Log:data.js,v $
     };
     
     /**
-     * __loadDuckDBAndProcess
-     * Loads DuckDB WASM module and processes parquet data
-     * @param parquetBuffer ArrayBuffer containing parquet data
-     * @param opt options object
+     * __loadDuckDB
+     * Loads and initializes the DuckDB WASM module once (window.duckdb = {db, conn, module})
+     * and calls callback, when it is ready
+     * @param callback function() to call when DuckDB is loaded
+     * @param errorCallback function(szError) to call on loading error or timeout
+     * @type void
      */
-    Data.Feed.prototype.__loadDuckDBAndProcess = function (parquetBuffer, opt) {
-        const __this = this;
-        
+    const __loadDuckDB = function (callback, errorCallback) {
+
+        if (window.duckdbLoaded && window.duckdb) {
+            callback();
+            return;
+        }
+
         // Load DuckDB WASM module dynamically
         _LOG("Loading DuckDB WASM module dynamically...");
         
@@ -2742,22 +4563,22 @@ $Log:data.js,v $
             `;
             
         // Add the script to the document
-        document.head.appendChild(script);
+        // only once, also if the module is requested by more than one source at the same time
+        if (!window.duckdbLoading) {
+            window.duckdbLoading = true;
+            document.head.appendChild(script);
+        }
         
         // Listen for when DuckDB is loaded
         const checkLoaded = setInterval(function() {
             if (window.duckdbLoaded && window.duckdb) {
                 clearInterval(checkLoaded);
                 _LOG("DuckDB WASM module loaded successfully");
-                __this.__processParquetWithDuckDB(parquetBuffer, opt);
+                callback();
             } else if (window.duckdbLoadError) {
                 clearInterval(checkLoaded);
                 _LOG("Failed to load DuckDB WASM module: " + window.duckdbLoadError);
-                if (typeof opt !== "undefined" && opt.error) {
-                    opt.error("Failed to load DuckDB WASM module: " + window.duckdbLoadError);
-                } else {
-                    _alert("Failed to load DuckDB WASM module: " + window.duckdbLoadError);
-                }
+                errorCallback("Failed to load DuckDB WASM module: " + window.duckdbLoadError);
             }
         }, 100);
         
@@ -2766,14 +4587,26 @@ $Log:data.js,v $
             if (!window.duckdbLoaded && !window.duckdbLoadError) {
                 clearInterval(checkLoaded);
                 _LOG("Timeout loading DuckDB WASM module");
-                if (typeof opt !== "undefined" && opt.error) {
-                    opt.error("Timeout loading DuckDB WASM module");
-                } else {
-                    _alert("Timeout loading DuckDB WASM module");
-                }
+                errorCallback("Timeout loading DuckDB WASM module");
             }
         }, 15000); // 15 second timeout
     };
+
+    /**
+     * __loadDuckDBAndProcess
+     * Loads DuckDB WASM module and processes parquet data
+     * @param parquetBuffer ArrayBuffer containing parquet data
+     * @param opt options object
+     */
+    Data.Feed.prototype.__loadDuckDBAndProcess = function (parquetBuffer, opt) {
+        const __this = this;
+
+        __loadDuckDB(function () {
+            __this.__processParquetWithDuckDB(parquetBuffer, opt);
+        }, function (szError) {
+            __feedError(opt, "PARSER_NOT_LOADED", szError);
+        });
+    };
     
     /**
      * __processWithDuckDB
@@ -2863,6 +4696,7 @@ $Log:data.js,v $
                         columns = result.schema.fields.map(field => field.name);
                         // Extract type information for optimization using helper
                         columnTypes = __this.__detectColumnTypes(result.schema);
+                        __this.__columnTypes = columnTypes;
                         if (columnTypes) {
                             _LOG("Schema-based optimization enabled - detected column types: " + columnTypes.join(', '));
                         }
@@ -3171,11 +5005,7 @@ $Log:data.js,v $
                     _LOG("Error in DuckDB parquet processing: " + error);
                     console.error("❌ DuckDB processing error:", error);
                     
-                    if (typeof opt !== "undefined" && opt.error) {
-                        opt.error("Error processing parquet file with DuckDB: " + error.message);
-                    } else {
-                        _alert("Error processing parquet file with DuckDB: " + error.message);
-                    }
+                    __feedError(opt, "PARSE_ERROR", "Error processing parquet file with DuckDB: " + error.message);
                 })
                 .finally(function() {
                     // Clean up the temporary file
@@ -3191,11 +5021,7 @@ $Log:data.js,v $
             _LOG("Error in DuckDB parquet processing setup: " + error);
             console.error("❌ DuckDB setup error:", error);
             
-            if (typeof opt !== "undefined" && opt.error) {
-                opt.error("Error setting up DuckDB parquet processing: " + error.message);
-            } else {
-                _alert("Error setting up DuckDB parquet processing: " + error.message);
-            }
+            __feedError(opt, "PARSE_ERROR", "Error setting up DuckDB parquet processing: " + error.message);
         }
     };
     
@@ -3244,11 +5070,7 @@ $Log:data.js,v $
                 if (!window.geoparquetLoaded) {
                     clearInterval(checkLoaded);
                     _LOG("Failed to load GeoParquet module");
-                    if (typeof opt !== "undefined" && opt.error) {
-                        opt.error("Failed to load GeoParquet module");
-                    } else {
-                        _alert("Failed to load GeoParquet module");
-                    }
+                    __feedError(opt, "PARSER_NOT_LOADED", "Failed to load GeoParquet module");
                 }
             }, 10000); // 10 second timeout
             
@@ -3359,11 +5181,7 @@ $Log:data.js,v $
                         }
                     } else {
                         // Other error - report to user
-                        if (typeof opt !== "undefined" && opt.error) {
-                            opt.error("Error converting GeoParquet to GeoJSON: " + error);
-                        } else {
-                            _alert("Error converting GeoParquet to GeoJSON: " + error);
-                        }
+                        __feedError(opt, "PARSE_ERROR", "Error converting GeoParquet to GeoJSON: " + error);
                     }
                 });
             } else {
@@ -3383,12 +5201,243 @@ $Log:data.js,v $
             
         } catch (error) {
             _LOG("Error processing GeoParquet data: " + error);
-            if (typeof opt !== "undefined" && opt.error) {
-                opt.error("Error processing GeoParquet data: " + error);
-            } else {
-                _alert("Error processing GeoParquet data: " + error);
-            }
+            __feedError(opt, "PARSE_ERROR", "Error processing GeoParquet data: " + error);
+        }
+    };
+
+
+    // ---------------------------------
+    // S Q L   ( D u c k D B )
+    // ---------------------------------
+
+    // quote a SQL identifier
+    const __sqlName = function (szName) {
+        return '"' + String(szName).replace(/"/g, '""') + '"';
+    };
+
+    // quote a SQL string literal
+    const __sqlString = function (szText) {
+        return "'" + String(szText).replace(/'/g, "''") + "'";
+    };
+
+    // unique names for temporary DuckDB tables and files
+    let __duckDBSerial = 0;
+    const __duckDBName = function (szPrefix) {
+        return szPrefix + Date.now() + "_" + (__duckDBSerial++);
+    };
+
+    // Data.sql() calls share the DuckDB connection and the table names of the query, so they run one after the other
+    let __duckDBQueue = Promise.resolve();
+
+    // drop a temporary DuckDB table or file; a failure is only logged
+    const __dropDuckDBTable = function (szName) {
+        return window.duckdb.conn.query("DROP TABLE IF EXISTS " + __sqlName(szName))
+            .catch(function (error) {
+                _LOG("DuckDB: drop table " + szName + ": " + error);
+            });
+    };
+    const __dropDuckDBFile = function (szFile) {
+        return Promise.resolve()
+            .then(function () {
+                return window.duckdb.db.dropFile(szFile);
+            })
+            .catch(function (error) {
+                _LOG("DuckDB: drop file " + szFile + ": " + error);
+            });
+    };
+
+    /**
+     * __registerDuckDBTable
+     * creates a DuckDB temporary table from a Data.Table;
+     * the column types are taken from the table schema (see inferTypes())
+     * @param table the Data.Table
+     * @param szName the name of the DuckDB table
+     * @type {Promise}
+     */
+    const __registerDuckDBTable = function (table, szName) {
+
+        const db = window.duckdb.db;
+        const szCSVFile = __duckDBName("__table_") + ".csv";
+
+        // write the values as CSV with javascript number and date formats and cast them by the schema
+        const csvTable = new Data.Table();
+        csvTable.fields = table.fields.map(function (field, i) {
+            return {
+                id: "c" + i
+            };
+        });
+        csvTable.records = table.records.map(function (row) {
+            return row.map(function (value, i) {
+                const typedValue = __typedValue(value, table.fields[i]);
+                return (typedValue instanceof Date) ? typedValue.toISOString() : typedValue;
+            });
+        });
+
+        const sqlTypeA = {
+            number: "DOUBLE",
+            integer: "BIGINT",
+            boolean: "BOOLEAN",
+            date: "TIMESTAMP"
+        };
+        const szColumnA = table.fields.map(function (field, i) {
+            const szType = sqlTypeA[field.type];
+            return (szType ? 'TRY_CAST("c' + i + '" AS ' + szType + ')' : '"c' + i + '"') + ' AS ' + __sqlName(field.id);
+        });
+
+        return db.registerFileText(szCSVFile, csvTable.toCSV())
+            .then(function () {
+                return window.duckdb.conn.query("CREATE OR REPLACE TEMP TABLE " + __sqlName(szName) + " AS SELECT " + szColumnA.join(", ") + " FROM read_csv(" + __sqlString(szCSVFile) + ", header = true, all_varchar = true)");
+            })
+            .finally(function () {
+                return __dropDuckDBFile(szCSVFile);
+            });
+    };
+
+    /**
+     * __processDuckDBResult
+     * creates the data table from the result of a DuckDB query;<br>
+     * the column types of the result become the table schema
+     * @param result the DuckDB (Arrow) query result
+     * @param opt options object
+     * @type void
+     */
+    Data.Feed.prototype.__processDuckDBResult = function (result, opt) {
+
+        const columns = result.schema.fields.map(field => field.name);
+        const columnTypes = this.__detectColumnTypes(result.schema) || columns.map(() => "other");
+        const dataA = [columns];
+
+        result.toArray().forEach(function (row) {
+            // DuckDB gives timestamps as milliseconds
+            columnTypes.forEach(function (szType, i) {
+                if ((szType == "date") && (typeof (row[columns[i]]) === "number")) {
+                    row[columns[i]] = new Date(row[columns[i]]);
+                }
+            });
+            dataA.push(this.__processRow(row, columns, columnTypes, false, true));
+        }, this);
+
+        this.__columnTypes = columnTypes;
+        this.__createDataTableObject(dataA, "sql", opt);
+    };
+
+    /**
+     * __doParquetQueryImport
+     * reads a parquet file with a SQL query, which DuckDB pushes down to the file;<br>
+     * only the selected columns and the row groups which may match are read (by HTTP range requests)
+     * @param szUrl parquet file url
+     * @param opt options object; <b>sql</b> (the query, the file is the table <b>data</b>), or <b>columns</b> and <b>where</b>
+     * @type void
+     */
+    Data.Feed.prototype.__doParquetQueryImport = function (szUrl, opt) {
+        _LOG("__doParquetQueryImport: " + szUrl);
+
+        const __this = this;
+        const szFile = __duckDBName("__query_") + ".parquet";
+
+        const __loadError = function (error) {
+            _LOG("__doParquetQueryImport: " + error);
+            __feedError(opt, "QUERY_ERROR", "\"" + szUrl + "\" " + __errorMessage(error), {
+                cause: error
+            });
+        };
+
+        let szQuery = opt.sql;
+        if (!szQuery) {
+            const columnA = opt.columns ? __toArray(opt.columns).map(function (szColumn) {
+                return __sqlName(String(szColumn).trim());
+            }) : ["*"];
+            szQuery = "SELECT " + columnA.join(", ") + " FROM data" + (opt.where ? (" WHERE " + opt.where) : "");
         }
+
+        __loadDuckDB(function () {
+            const db = window.duckdb.db;
+            const szHref = new URL(szUrl, document.baseURI).href;
+            db.registerFileURL(szFile, szHref, window.duckdb.module.DuckDBDataProtocol.HTTP, false)
+                .then(function () {
+                    return window.duckdb.conn.query("WITH data AS (SELECT * FROM read_parquet(" + __sqlString(szFile) + ")) " + szQuery);
+                })
+                .then(function (result) {
+                    __dropDuckDBFile(szFile);
+                    __this.__processDuckDBResult(result, opt);
+                })
+                .catch(function (error) {
+                    __dropDuckDBFile(szFile);
+                    __loadError(error);
+                });
+        }, __loadError);
+    };
+
+    /**
+     * executes a SQL query on one or more Data.Table objects with DuckDB WASM
+     * and creates a new Data.Table with the result
+     * @param {string} szQuery the SQL query
+     * @param {Object} tables the tables of the query, as <code>{name: Data.Table, ...}</code>
+     * @param {function} [callback] function(table) called with the resulting Data.Table
+     * @type {Promise}
+     * @returns a Promise resolving to the resulting Data.Table
+     * @example
+     * Data.sql("SELECT a.comune, a.votes / b.population AS share FROM a JOIN b ON a.istat = b.istat", {a: votes, b: population})
+     *     .then(function(table){
+     *         ...
+     *     });
+     */
+    Data.sql = function (szQuery, tables, callback) {
+
+        return new Promise(function (resolve, reject) {
+            __loadDuckDB(function () {
+
+                const szNameA = Object.keys(tables || {});
+                const feed = new Data.Feed({
+                    success: function (table) {
+                        if (callback) {
+                            callback(table);
+                        }
+                        resolve(table);
+                    }
+                });
+                const __dropTables = function () {
+                    return Promise.all(szNameA.map(__dropDuckDBTable));
+                };
+
+                // wait for the previous query, the temporary tables have the names of the query tables
+                const query = __duckDBQueue
+                    .then(function () {
+                        return Promise.all(szNameA.map(function (szName) {
+                            return __registerDuckDBTable(tables[szName], szName);
+                        }));
+                    })
+                    .then(function () {
+                        return window.duckdb.conn.query(szQuery);
+                    })
+                    .then(function (result) {
+                        return __dropTables().then(function () {
+                            return result;
+                        });
+                    }, function (error) {
+                        return __dropTables().then(function () {
+                            throw error;
+                        });
+                    });
+                __duckDBQueue = query.catch(function () {});
+
+                query
+                    .then(function (result) {
+                        feed.__processDuckDBResult(result, feed.options);
+                    })
+                    .catch(function (error) {
+                        _LOG("Data.sql: " + error);
+                        reject(__error("QUERY_ERROR", __errorMessage(error), {
+                            source: "Data.sql",
+                            cause: error
+                        }));
+                    });
+            }, function (szError) {
+                reject(__error("PARSER_NOT_LOADED", szError, {
+                    source: "Data.sql"
+                }));
+            });
+        });
     };
 
 
@@ -3408,13 +5457,54 @@ $Log:data.js,v $
             this.dbtable = new Data.Table().setArray(dataA);
             dataA = null;
 
-            if ((typeof (opt) != "undefined") && opt.success) {
-                opt.success(this.dbtable);
-            } else {
-                _LOG("callback to call on succes is 'undefined'!");
+            this.__completeDataTableObject(opt);
+        }
+    };
+
+    /**
+     * __completeDataTableObject 
+     * sets the column types of the created data table, applies the pipeline and calls the success callback
+     * @param opt options object
+     * @type void
+     */
+    Data.Feed.prototype.__completeDataTableObject = function (opt) {
+
+        // column types: inferred from the values, declared by the source (parquet) or by the feed options
+        opt = opt || {};
+        if (opt.types !== false) {
+            this.dbtable.inferTypes({
+                decimal: opt.decimal
+            });
+        }
+        if (this.__columnTypes && (this.__columnTypes.length == this.dbtable.fields.length)) {
+            this.__columnTypes.forEach(function (szType, i) {
+                if (String(szType).match(/^(number|integer|date|boolean|string|geometry)$/)) {
+                    this.dbtable.fields[i].type = szType;
+                }
+            }, this);
+        }
+        if (opt.schema) {
+            this.dbtable.setTypes(opt.schema);
+        }
+        if (opt.convert) {
+            this.dbtable.convertTypes();
+        }
+        if (this.__sdmx) {
+            this.dbtable.sdmx = this.__sdmx;
+        }
+        if (opt.pipeline) {
+            const result = __applyPipeline(this.dbtable, opt.pipeline);
+            if (!result.table) {
+                __feedError(opt, result.error);
+                return;
             }
+            this.dbtable = result.table;
+        }
 
-            return;
+        if ((typeof (opt) != "undefined") && opt.success) {
+            opt.success(this.dbtable);
+        } else {
+            _LOG("callback to call on succes is 'undefined'!");
         }
     };
 
@@ -3642,10 +5732,16 @@ $Log:data.js,v $
 
             let lookupA = [];
             if (!this.column(szLookup)) {
-                alert("'" + szLookup + "' column not found!");
+                __error("COLUMN_NOT_FOUND", "'" + szLookup + "' column not found!", {
+                    source: "lookup",
+                    column: szLookup
+                });
             }
             if (!this.column(szValue)) {
-                alert("'" + szValue + "' column not found!");
+                __error("COLUMN_NOT_FOUND", "'" + szValue + "' column not found!", {
+                    source: "lookup",
+                    column: szValue
+                });
             }
 
             const idA = this.column(szLookup).values();
@@ -3706,10 +5802,16 @@ $Log:data.js,v $
 
             let lookupA = [];
             if (!this.column(szLookup)) {
-                alert("'" + szLookup + "' column not found!");
+                __error("COLUMN_NOT_FOUND", "'" + szLookup + "' column not found!", {
+                    source: "lookup",
+                    column: szLookup
+                });
             }
             if (!this.column(szValue)) {
-                alert("'" + szValue + "' column not found!");
+                __error("COLUMN_NOT_FOUND", "'" + szValue + "' column not found!", {
+                    source: "lookup",
+                    column: szValue
+                });
             }
 
             const idA = this.column(szLookup).values();
@@ -3772,12 +5874,14 @@ $Log:data.js,v $
 
         /**
          * creates a new column based on existing ones<br>
-         * the values of the new column are defined by a user function, which receives data from the actual row and must returns the new value
+         * the values of the new column are defined by a user function, which receives data from the actual row and must returns the new value,<br>
+         * or by a formula (see {@link Data.Formula})
          * @param {Object} options the creation parameter
          *								   <table border='0' style='border-left: 1px solid #ddd;'>	
          *								   <tr><th>property</th><th>description</th></tr>
          *								   <tr><td><b>"source"</b></td><td>[optional] the name of the source column </td></tr>
          *								   <tr><td><b>"destination"</b></td><td>the name of the new colmn to create</td></tr>
+         *								   <tr><td><b>"expr"</b></td><td>[optional] a formula to calculate the values, instead of the function</td></tr>
          *								   </table> 
          * @param {function(currentValue)} function(currentValue) Required: A function to be run for each element in the array
          *								   <br>Function arguments:<br>
@@ -3796,12 +5900,16 @@ $Log:data.js,v $
          *            var d = new Date(__normalizeTime(value));
          *            return( String(d.getDate()) + "." + String(d.getMonth()+1) + "." + String(d.getFullYear()) );
          *     });
+         * @example
+         *    mydata = mydata.addColumn({'destination':'density','expr':'round(population / area, 1)'});
          *
          */
         addColumn: function (options, callback) {
 
             if (!options.destination) {
-                alert("'data.addColumn' no destination defined!");
+                __error("INVALID_OPTION", "'data.addColumn' no destination defined!", {
+                    source: "addColumn"
+                });
                 return null;
             }
             var column = null;
@@ -3812,10 +5920,25 @@ $Log:data.js,v $
                     }
                 }
                 if (column == null) {
-                    alert("'data.addColumn' source column '" + options.source + "' not found!");
+                    __error("COLUMN_NOT_FOUND", "'data.addColumn' source column '" + options.source + "' not found!", {
+                        source: "addColumn",
+                        column: options.source
+                    });
                     return null;
                 }
             }
+            if (options.expr) {
+                const formula = Data.formula(options.expr);
+                callback = formula.compile(this.fields);
+                if (!callback) {
+                    __error("INVALID_OPTION", "'data.addColumn' " + formula.error, {
+                        source: "addColumn"
+                    });
+                    return null;
+                }
+                // the formula gets the row
+                column = null;
+            }
 
             // add new column name
             this.fields.push({
@@ -3866,7 +5989,9 @@ $Log:data.js,v $
         addRow: function (options) {
 
             if (!options || (typeof options !== "object")) {
-                alert("'data.addRow' no options defined!");
+                __error("INVALID_OPTION", "'data.addRow' no options defined!", {
+                    source: "addRow"
+                });
                 return null;
             }
             // create new empty row
@@ -3879,7 +6004,10 @@ $Log:data.js,v $
                 if (this.column(i)) {
                     row[this.column(i).index] = options[i];
                 } else {
-                    alert("'data.addRow' column '" + i + "' not found!");
+                    __error("COLUMN_NOT_FOUND", "'data.addRow' column '" + i + "' not found!", {
+                        source: "addRow",
+                        column: i
+                    });
                 }
             }
             // add the new row to the data table
@@ -3912,6 +6040,10 @@ $Log:data.js,v $
             }
             this.selection.fields = this.fields.slice();
             this.selection.table.fields = this.table.fields;
+            // the rows are a subset, the SDMX structure is still valid
+            if (this.sdmx) {
+                this.selection.sdmx = this.sdmx;
+            }
             return this.selection;
         },
 
@@ -3953,7 +6085,7 @@ $Log:data.js,v $
          * </tr>
          * <tr>
          *   <td>LIKE</td>
-         *   <td>Search for a pattern</td>
+         *   <td>Search for a pattern; the pattern is contained in the value,<br>or, if it contains <b>%</b> (any characters) or <b>_</b> (one character), matches the whole value;<br> example: WHERE "<em>column</em>" LIKE "<em>Mont%</em>"</td>
          * </tr>
          * <tr>
          *   <td>NOT</td>
@@ -3961,215 +6093,55 @@ $Log:data.js,v $
          * </tr>
          *  <tr>
          *    <td>IN</td>
-         *   <td>To specify multiple possible values for a column;<br> example: WHERE "<em>column</em>" IN "<em>value1,value2,value3</em>"</td>
+         *   <td>To specify multiple possible values for a column;<br> example: WHERE "<em>column</em>" IN "<em>value1,value2,value3</em>"<br> or WHERE "<em>column</em>" IN ("<em>value1</em>","<em>value2</em>")</td>
          *  </tr>
+         * <tr>
+         *   <td>REGEXP</td>
+         *   <td>Matches a regular expression;<br> example: WHERE "<em>column</em>" REGEXP "<em>/^A[0-9]+$/i</em>"</td>
+         * </tr>
+         * <tr>
+         *   <td>IS NULL</td>
+         *   <td>The value is empty;<br> example: WHERE "<em>column</em>" IS NOT NULL</td>
+         * </tr>
          *</table>
+         * <p>LIKE, IN, BETWEEN and REGEXP may be negated by a preceding NOT ("<em>column</em>" NOT IN ...).<br>
+         * Conditions are combined by <b>AND</b> and <b>OR</b>, negated by a leading <b>NOT</b> and grouped by parentheses.<br>
+         * A value written as $<em>column name</em>$ compares with the value of that column in the same row.</p>
          * @type {Data.Table}
          * @returns {Data.Table} object with the selection result in dbTable format
          * @example
          * var mydata   =  mydata.select('WHERE description like "montana"');
          * var ageTotal = rawdata.select('WHERE "Age" = "Total" AND "SEX" = "MW" AND "Series" = "Labour force participation rate"');
          * var ageWork  = rawdata.select('WHERE "Age" BETWEEN "18" AND "65"');
+         * var mixed    = rawdata.select('WHERE ("SEX" = "M" OR "SEX" = "F") AND NOT "Age" IN ("Total","Unknown")');
+         * var changed  = rawdata.select('WHERE "value2020" > $value2019$ AND "comment" IS NULL');
          */
         select: function (szSelection) {
 
-            if (szSelection.match(/WHERE/)) {
-
-                // first time ?
-                // get query parts
-
-                if (1) {
-
-                    // tokenize
-                    // ---------
-                    let szTokenA = szSelection.split('WHERE')[1].trim().split(' ');
-
-                    // test for quotes and join the included text parts
-                    for (let ii = 0; ii < szTokenA.length; ii++) {
-                        if (szTokenA[ii].length) {
-                            if ((szTokenA[ii][0] == '"') && (szTokenA[ii][szTokenA[ii].length - 1] != '"')) {
-                                do {
-                                    szTokenA[ii] = szTokenA[ii] + " " + szTokenA[ii + 1];
-                                    szTokenA.splice(ii + 1, 1);
-                                }
-                                while (szTokenA[ii][szTokenA[ii].length - 1] != '"');
-                            }
-                            if ((szTokenA[ii][0] == '(') && (szTokenA[ii][szTokenA[ii].length - 1] != ')')) {
-                                do {
-                                    szTokenA[ii] = szTokenA[ii] + " " + szTokenA[ii + 1];
-                                    szTokenA.splice(ii + 1, 1);
-                                }
-                                while (szTokenA[ii][szTokenA[ii].length - 1] != ')');
-                            }
-                        } else {
-                            szTokenA.splice(ii, 1);
-                            ii--;
-                        }
-                    }
-                    this.filterQueryA = [];
-                    let filterObj = {};
-
-                    let szCombineOp = "";
-
-                    // make the query object(s)
-                    // ------------------------
-                    do {
-                        let nToken = 0;
-
-                        if (szTokenA.length >= 3) {
-                            filterObj = {};
-                            filterObj.szSelectionField = szTokenA[0].replace(/("|)/g, "");
-                            filterObj.szSelectionOp = szTokenA[1];
-                            filterObj.szSelectionValue = szTokenA[2].replace(/("|)/g, "");
-                            nToken = 3;
-                        }
-                        if (filterObj.szSelectionOp == "BETWEEN") {
-                            if (szTokenA.length >= 5) {
-                                if (szTokenA[3] == "AND") {
-                                    filterObj.szSelectionValue2 = szTokenA[4];
-                                    nToken = 5;
-                                }
-                            }
-                        }
-
-                        if (nToken) {
-
-                            // get data table column index for query field
-                            for (let ii = 0; ii < this.fields.length; ii++) {
-                                if (this.fields[ii].id == filterObj.szSelectionField) {
-                                    filterObj.nFilterFieldIndex = ii;
-                                }
-                                // GR 26.12.2019 filter value may be column name (defined by $column name$)
-                                if (("$" + this.fields[ii].id + "$") == filterObj.szSelectionValue) {
-                                    filterObj.nFilterValueIndex = ii;
-                                }
-                            }
-                            // set query combine operator 
-                            filterObj.szCombineOp = szCombineOp;
-
-                            // add the query object
-                            this.filterQueryA.push(filterObj);
-                            szTokenA.splice(0, nToken);
-
-                        } else {
-                            _alert("data.js - selection error - incomplete query!\nquery: " + szSelection);
-                            break;
-                        }
-
-                        // only 'AND' combination (OR tdb)
-                        if (szTokenA.length && (szTokenA[0] == "AND")) {
-                            szCombineOp = "AND";
-                            szTokenA.splice(0, 1);
-                        } else
-                        if (szTokenA.length && (szTokenA[0] == "OR")) {
-                            szCombineOp = "OR";
-                            szTokenA.splice(0, 1);
-                        } else {
-                            break;
-                        }
-                    }
-                    while (szTokenA.length);
-
-                }
-
-                this.selection = new Data.Table();
-
-                for (let i = 0; i < this.filterQueryA.length; i++) {
-                    if (typeof this.filterQueryA[i].nFilterFieldIndex === "undefined") {
-                        this.selection.fields = this.fields.slice();
-                        this.selection.table.fields = this.table.fields;
-                        _LOG("Selection: invalid query: " + szSelection);
-                        return this.selection;
-                    }
-                }
-
-                for (let j = 0, len = this.records.length; j < len; j++) {
-
-                    let allResult = null;
-
-                    for (let i = 0, lenQA = this.filterQueryA.length; i < lenQA; i++) {
+            this.selection = new Data.Table();
+            this.selection.fields = this.fields.slice();
+            this.selection.table.fields = this.table.fields;
+            // the rows are a subset, the SDMX structure is still valid
+            if (this.sdmx) {
+                this.selection.sdmx = this.sdmx;
+            }
 
-                        let result = true;
-                        // get the value to test
-                        this.__szValue = String(this.records[j][this.filterQueryA[i].nFilterFieldIndex]);
-                        this.__szSelectionOp = this.filterQueryA[i].szSelectionOp.toUpperCase();
-                        this.__szSelectionValue = this.filterQueryA[i].szSelectionValue;
-                        this.__szSelectionValue2 = this.filterQueryA[i].szSelectionValue2;
-                        this.__szCombineOp = this.filterQueryA[i].szCombineOp;
+            const expression = Data.expression(szSelection);
+            const test = expression.compile(this.fields);
 
-                        // GR 26.12.2019 filter value may be column name
-                        if (this.filterQueryA[i].nFilterValueIndex != null) {
-                            this.__szSelectionValue = String(this.records[j][this.filterQueryA[i].nFilterValueIndex]);
-                        }
+            if (!test) {
+                __error("QUERY_ERROR", "data.js - " + expression.error, {
+                    source: "select"
+                });
+                return this.selection;
+            }
 
-                        // do the query 
-                        // ------------
-                        let nValue = __scanValue(this.__szValue);
-                        if (this.__szSelectionOp == "=") {
-                            if (this.__szSelectionValue == '*') {
-                                result = (this.__szValue.replace(/ /g, "") != "");
-                            } else {
-                                result = ((this.__szValue == this.__szSelectionValue) || (nValue == Number(this.__szSelectionValue)));
-                            }
-                        } else
-                        if (this.__szSelectionOp == "<>") {
-                            result = !((this.__szValue == this.__szSelectionValue) || (nValue == Number(this.__szSelectionValue)));
-                        } else
-                        if (this.__szSelectionOp == ">") {
-                            result = (nValue > Number(this.__szSelectionValue));
-                        } else
-                        if (this.__szSelectionOp == "<") {
-                            result = (nValue < Number(this.__szSelectionValue));
-                        } else
-                        if (this.__szSelectionOp == ">=") {
-                            result = (nValue >= Number(this.__szSelectionValue));
-                        } else
-                        if (this.__szSelectionOp == "<=") {
-                            result = (nValue <= Number(this.__szSelectionValue));
-                        } else
-                        if (this.__szSelectionOp == "LIKE") {
-                            if (this.__szSelectionValue == "*") {
-                                result = this.__szValue.length;
-                            } else {
-                                // Escape regex special characters in the value
-                                const pattern = this.__szSelectionValue.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-                                const regex = new RegExp(pattern, "i");
-                                result = regex.test(this.__szValue);
-                            }
-                        } else
-                        if (this.__szSelectionOp == "NOT") {
-                            const pattern = this.__szSelectionValue.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-                            const regex = new RegExp(pattern, "i");
-                            result = !regex.test(this.__szValue);
-                        } else
-                        if (this.__szSelectionOp == "IN") {
-                            // Assume values are comma-separated
-                            const values = this.__szSelectionValue.split(",").map(v => v.trim());
-                            result = values.includes(this.__szValue);
-                        } else
-                        if ((this.__szSelectionOp == "BETWEEN")) {
-                            result = ((nValue >= Number(this.__szSelectionValue)) &&
-                                (nValue <= Number(this.__szSelectionValue2)));
-                        } else {
-                            // default operator
-                            const pattern = this.__szSelectionValue.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-                            const regex = new RegExp(pattern, "i");
-                            result = regex.test(this.__szValue);
-                        }
-                        if (this.__szCombineOp == "AND") {
-                            allResult = (allResult && result);
-                        } else {
-                            allResult = (allResult || result);
-                        }
-                    }
-                    if (allResult) {
-                        this.selection.records.push(this.records[j].slice());
-                        this.selection.table.records++;
-                    }
+            for (let j = 0, len = this.records.length; j < len; j++) {
+                if (test(this.records[j])) {
+                    this.selection.records.push(this.records[j].slice());
+                    this.selection.table.records++;
                 }
             }
-            this.selection.fields = this.fields.slice();
-            this.selection.table.fields = this.table.fields;
             return this.selection;
         },
 
@@ -4234,8 +6206,15 @@ $Log:data.js,v $
 
             this.aggregation = new Data.Table();
 
-            xRecords = [];
-            xCount = [];
+            // number columns with known decimal mark
+            const valueField = this.fields[nValueIndex];
+            const __value = (valueField && String(valueField.type).match(/^(number|integer)$/)) ? function (value) {
+                return __typedValue(value, valueField) || 0;
+            } : __scanValue;
+
+            // the aggregated rows and row counts by the joined lead values
+            const xRecords = {};
+            const xCount = {};
             for (let j = 0, len = this.records.length; j < len; j++) {
                 const fieldParts = [];
                 for (let i = 0, lenA = nAggregateIndexA.length; i < lenA; i++) {
@@ -4243,11 +6222,11 @@ $Log:data.js,v $
                 }
                 const xField = fieldParts.join("");
                 if (xRecords[xField]) {
-                    xRecords[xField][nAggregateIndexA.length] += __scanValue(this.records[j][nValueIndex]);
+                    xRecords[xField][nAggregateIndexA.length] += __value(this.records[j][nValueIndex]);
                     xCount[xField][nAggregateIndexA.length]++;
                 } else {
                     xRecords[xField] = [];
-                    xRecords[xField][nAggregateIndexA.length] = __scanValue(this.records[j][nValueIndex]);
+                    xRecords[xField][nAggregateIndexA.length] = __value(this.records[j][nValueIndex]);
                     for (let i = 0; i < nAggregateIndexA.length; i++) {
                         xRecords[xField][i] = this.records[j][nAggregateIndexA[i]];
                     }
@@ -4256,7 +6235,7 @@ $Log:data.js,v $
                 }
             }
 
-            for (let j = 0, len = xRecords.length; j < len; j++) {
+            for (const j in xRecords) {
                 if (mean) {
                     xRecords[j][nAggregateIndexA.length] /= xCount[j][nAggregateIndexA.length];
                 }
@@ -4470,6 +6449,26 @@ $Log:data.js,v $
          */
         pivot: function (options) {
 
+            options = options || {};
+
+            // SDMX tables: defaults by the data structure, the time dimension becomes the columns
+            if (this.sdmx) {
+                const sdmx = this.sdmx;
+                options.cols = options.cols || options.columns || sdmx.timeDimension;
+                options.value = options.value || sdmx.measure;
+                if (!(options.lead || options.rows)) {
+                    // the dimensions with more than one value
+                    options.lead = sdmx.dimensions.filter(function (szDimension) {
+                        return (szDimension != options.cols) && (this.column(szDimension).uniqueValues().length > 1);
+                    }, this);
+                    options.keep = options.keep || options.lead.map(function (szDimension) {
+                        return szDimension + "_label";
+                    }).filter(function (szColumn) {
+                        return this.columnIndex(szColumn) != null;
+                    }, this);
+                }
+            }
+
             options.lead = options.lead || options.rows;
             options.cols = options.cols || options.columns;
             options.keep = options.keep || [];
@@ -4495,27 +6494,42 @@ $Log:data.js,v $
 
             for (let i = 0, len = options.lead.length; i < len; i++) {
                 if (typeof (indexA[options.lead[i]]) == 'undefined') {
-                    _alert("data.pivot - pivot keep column '" + options.lead[i] + "' not found");
+                    __error("COLUMN_NOT_FOUND", "data.pivot - pivot keep column '" + options.lead[i] + "' not found", {
+                        source: "pivot",
+                        column: options.lead[i]
+                    });
                 }
             }
             for (let i = 0, len = options.cols.length; i < len; i++) {
                 if (options.cols && (typeof (indexA[options.cols[i]]) == 'undefined')) {
-                    _alert("data.pivot - pivot columns source column '" + options.cols[i] + "' not found");
+                    __error("COLUMN_NOT_FOUND", "data.pivot - pivot columns source column '" + options.cols[i] + "' not found", {
+                        source: "pivot",
+                        column: options.cols[i]
+                    });
                 }
             }
             for (let i = 0, len = options.keep.length; i < len; i++) {
                 if (typeof (indexA[options.keep[i]]) == 'undefined') {
-                    _alert("data.pivot - pivot keep column '" + options.keep[i] + "' not found");
+                    __error("COLUMN_NOT_FOUND", "data.pivot - pivot keep column '" + options.keep[i] + "' not found", {
+                        source: "pivot",
+                        column: options.keep[i]
+                    });
                 }
             }
             for (let i = 0, len = options.sum.length; i < len; i++) {
                 if (typeof (indexA[options.sum[i]]) == 'undefined') {
-                    _alert("data.pivot - pivot sum column '" + options.sum[i] + "' not found");
+                    __error("COLUMN_NOT_FOUND", "data.pivot - pivot sum column '" + options.sum[i] + "' not found", {
+                        source: "pivot",
+                        column: options.sum[i]
+                    });
                 }
             }
             for (let i = 0, len = options.value.length; i < len; i++) {
                 if (typeof (indexA[options.value[i]]) == 'undefined') {
-                    _alert("data.pivot - pivot value column '" + options.value[i] + "' not found");
+                    __error("COLUMN_NOT_FOUND", "data.pivot - pivot value column '" + options.value[i] + "' not found", {
+                        source: "pivot",
+                        column: options.value[i]
+                    });
                 }
             }
 
@@ -4681,60 +6695,267 @@ $Log:data.js,v $
         },
 
         /**
-         * creates a sub table <br>
-         * which only contains the specified columns
-         * @param options {Object} the subtable columns definition; use either 'columns' or 'fields'
+         * creates a long table from a wide table (the inverse of pivot) <br>
+         * every row of the source table becomes one row per unpivoted column, with the column name and the value
+         * @param {Object} options the unpivot parameter
          *<table class="w3-table-all notranslate">
          * <tr>
          *    <th style="width:20%">Property</th>
          *    <th>Description</th>
          *  </tr>
          *  <tr>
+         *    <td>keep</td>
+         *    <td>columns of the sourcetable to copy into every row (default: all columns not in 'columns')</td>
+         *  </tr>
+         *  <tr>
          *    <td>columns</td>
-         *    <td>array of column indices</td>
+         *    <td>columns of the sourcetable to unpivot (default: all columns not in 'keep')</td>
          *  </tr>
          *  <tr>
-         *    <td>fields</td>
-         *    <td>array of column names</td>
+         *    <td>names_to</td>
+         *    <td>name of the new column with the names of the unpivoted columns (default: "name")</td>
+         *  </tr>
+         *  <tr>
+         *    <td>values_to</td>
+         *    <td>name of the new column with the values (default: "value")</td>
          *  </tr>
          *</table>
+         * the kept columns keep their field definition (type, ...); the value column gets the type of the unpivoted columns, if they have the same type;<br>
+         * names_to and values_to must differ from the kept columns
          * @type {Data.Table}
-         * @returns the generated sub table
+         * @returns the unpivoted table
          * @example
-         * subTable = table.subtable({"columns":[1,2,3]});
-         * @example
-         * subTable = table.subtable({"fields":['comune_scr','provincia_scr','Lat','Lon']});
+         * 
+         * // we have a table 'popolazione' with one column per year:
+         *	
+         * comune  2019    2020    2021
+         * -----------------------------
+         * Roma    2837332 2808293 2783809
+         * ...
+         *
+         * var long = popolazione.unpivot({
+         *              "keep":	    ['comune'],
+         *              "names_to":  'anno',
+         *              "values_to": 'popolazione'
+         *              });
+         *
+         * // the resulting table is:
+         *
+         * comune  anno  popolazione
+         * -------------------------
+         * Roma    2019  2837332
+         * Roma    2020  2808293
+         * Roma    2021  2783809
+         * ...
          */
-        subtable: function (options) {
+        unpivot: function (options) {
 
-            this.__subt = new Data.Table();
+            options = options || {};
 
-            if (options.fields) {
-                options.columns = [];
-                for (let i = 0; i < options.fields.length; i++) {
-                    for (let ii = 0; ii < this.fields.length; ii++) {
-                        if (this.fields[ii].id == options.fields[i]) {
-                            options.columns.push(ii);
-                        }
-                    }
-                }
+            const szNamesTo = options.names_to || "name";
+            const szValuesTo = options.values_to || "value";
+
+            let keepA = options.keep ? __toArray(options.keep) : null;
+            let columnA = options.columns ? __toArray(options.columns) : null;
+            if (!keepA && !columnA) {
+                __error("INVALID_OPTION", "unpivot: define 'keep' or 'columns'", {
+                    source: "unpivot"
+                });
+                return null;
             }
+            keepA = keepA || this.fields.map(field => field.id).filter(szId => columnA.indexOf(szId) < 0);
+            columnA = columnA || this.fields.map(field => field.id).filter(szId => keepA.indexOf(szId) < 0);
 
-            for (let i = 0; i < options.columns.length; i++) {
-                this.__subt.fields.push({
-                    id: String(this.fields[options.columns[i]].id)
+            const keepIndexA = keepA.map(szColumn => this.columnIndex(szColumn));
+            const columnIndexA = columnA.map(szColumn => this.columnIndex(szColumn));
+            const missingA = keepA.concat(columnA).filter((szColumn, i) => (keepIndexA.concat(columnIndexA)[i] == null));
+            if (missingA.length) {
+                __error("COLUMN_NOT_FOUND", "unpivot: column(s) '" + missingA.join(",") + "' not found", {
+                    source: "unpivot",
+                    column: missingA.join(",")
                 });
-                this.__subt.table.fields++;
+                return null;
             }
-            for (const j in this.records) {
-                let records = [];
-                for (let i = 0; i < options.columns.length; i++) {
-                    records.push(this.records[j][options.columns[i]]);
-                }
-                this.__subt.records.push(records);
-                this.__subt.table.records++;
+            // the new columns must not have the name of a kept column (or the same name)
+            const duplicateA = [szNamesTo, szValuesTo].filter((szColumn, i) => keepA.includes(szColumn) || ((i == 1) && (szColumn == szNamesTo)));
+            if (duplicateA.length) {
+                __error("INVALID_OPTION", "unpivot: column '" + duplicateA[0] + "' exists already, define another 'names_to' or 'values_to'", {
+                    source: "unpivot",
+                    column: duplicateA[0]
+                });
+                return null;
             }
-            return this.__subt;
+
+            this.__unpivot = new Data.Table();
+
+            keepIndexA.forEach(function (i) {
+                this.__unpivot.fields.push(Object.assign({}, this.fields[i]));
+            }, this);
+
+            const nameField = {
+                id: szNamesTo
+            };
+            Object.assign(nameField, __inferType(columnA.map(field => String(field))));
+            this.__unpivot.fields.push(nameField);
+
+            // the values keep the type of the unpivoted columns, if it is the same for all
+            const valueField = {
+                id: szValuesTo
+            };
+            const fieldA = columnIndexA.map(i => this.fields[i]);
+            if (fieldA[0].type && fieldA.every(field => (field.type == fieldA[0].type) && (field.decimalMark == fieldA[0].decimalMark))) {
+                valueField.type = fieldA[0].type;
+                if (fieldA[0].decimalMark) {
+                    valueField.decimalMark = fieldA[0].decimalMark;
+                }
+            }
+            this.__unpivot.fields.push(valueField);
+
+            for (let j = 0; j < this.records.length; j++) {
+                const keepValueA = keepIndexA.map(i => this.records[j][i]);
+                for (let c = 0; c < columnIndexA.length; c++) {
+                    this.__unpivot.records.push(keepValueA.concat([columnA[c], this.records[j][columnIndexA[c]]]));
+                }
+            }
+
+            this.__unpivot.table = {
+                records: this.__unpivot.records.length,
+                fields: this.__unpivot.fields.length
+            };
+
+            return this.__unpivot;
+        },
+
+        /**
+         * transposes the table: rows become columns and columns become rows <br>
+         * the values of the lead column (default: the first column) become the new column names;
+         * the names of the other columns become the values of the new lead column<br>
+         * the field definitions of the transposed columns are stored in the new table, 
+         * so that transposing it again restores them
+         * @param {Object} [options] {<b>lead</b>: the column with the new column names}
+         * @type {Data.Table}
+         * @returns the transposed table
+         * @example
+         * 
+         * indicatore   Roma     Milano
+         * ----------------------------
+         * popolazione  2783809  1374582
+         * superficie   1287     181
+         *
+         * var byComune = table.transpose();
+         *
+         * indicatore  popolazione  superficie
+         * -----------------------------------
+         * Roma        2783809      1287
+         * Milano      1374582      181
+         */
+        transpose: function (options) {
+
+            options = options || {};
+
+            const leadIndex = (typeof (options.lead) !== "undefined") ? this.columnIndex(options.lead) : 0;
+            const nLead = Number(leadIndex);
+            if ((leadIndex == null) || isNaN(nLead) || !this.fields[nLead]) {
+                __error("COLUMN_NOT_FOUND", "transpose: lead column '" + options.lead + "' not found", {
+                    source: "transpose",
+                    column: options.lead
+                });
+                return null;
+            }
+            const fieldA = this.fields.filter((field, i) => i != nLead);
+            const savedFieldA = this.transposedFields || [];
+
+            this.__transpose = new Data.Table();
+
+            this.__transpose.fields.push(Object.assign({}, savedFieldA[0] || {
+                id: this.fields[nLead].id,
+                type: "string"
+            }));
+            for (let j = 0; j < this.records.length; j++) {
+                const szId = String(this.records[j][nLead]);
+                const savedField = savedFieldA.filter(field => field.id == szId)[0];
+                this.__transpose.fields.push(savedField ? Object.assign({}, savedField) : {
+                    id: szId
+                });
+            }
+
+            fieldA.forEach(function (field) {
+                const i = this.fields.indexOf(field);
+                this.__transpose.records.push([field.id].concat(this.records.map(row => row[i])));
+            }, this);
+
+            // types of the new columns: restored or inferred from the values
+            this.__transpose.fields.forEach(function (field, i) {
+                if (i && !field.type) {
+                    Object.assign(field, __inferType(this.__transpose.records.map(row => row[i])));
+                }
+            }, this);
+
+            this.__transpose.transposedFields = [this.fields[nLead]].concat(fieldA).map(field => Object.assign({}, field));
+
+            this.__transpose.table = {
+                records: this.__transpose.records.length,
+                fields: this.__transpose.fields.length
+            };
+
+            return this.__transpose;
+        },
+
+        /**
+         * creates a sub table <br>
+         * which only contains the specified columns
+         * @param options {Object} the subtable columns definition; use either 'columns' or 'fields'
+         *<table class="w3-table-all notranslate">
+         * <tr>
+         *    <th style="width:20%">Property</th>
+         *    <th>Description</th>
+         *  </tr>
+         *  <tr>
+         *    <td>columns</td>
+         *    <td>array of column indices</td>
+         *  </tr>
+         *  <tr>
+         *    <td>fields</td>
+         *    <td>array of column names</td>
+         *  </tr>
+         *</table>
+         * @type {Data.Table}
+         * @returns the generated sub table
+         * @example
+         * subTable = table.subtable({"columns":[1,2,3]});
+         * @example
+         * subTable = table.subtable({"fields":['comune_scr','provincia_scr','Lat','Lon']});
+         */
+        subtable: function (options) {
+
+            this.__subt = new Data.Table();
+
+            if (options.fields) {
+                options.columns = [];
+                for (let i = 0; i < options.fields.length; i++) {
+                    for (let ii = 0; ii < this.fields.length; ii++) {
+                        if (this.fields[ii].id == options.fields[i]) {
+                            options.columns.push(ii);
+                        }
+                    }
+                }
+            }
+
+            for (let i = 0; i < options.columns.length; i++) {
+                this.__subt.fields.push({
+                    id: String(this.fields[options.columns[i]].id)
+                });
+                this.__subt.table.fields++;
+            }
+            for (const j in this.records) {
+                let records = [];
+                for (let i = 0; i < options.columns.length; i++) {
+                    records.push(this.records[j][options.columns[i]]);
+                }
+                this.__subt.records.push(records);
+                this.__subt.table.records++;
+            }
+            return this.__subt;
         },
 
         /**
@@ -4745,6 +6966,36 @@ $Log:data.js,v $
          */
         sort: function (szColumn, szFlag) {
             let valuesA = this.column(szColumn).values();
+            const field = this.fields[this.columnIndex(szColumn)];
+
+            // typed column: sort by the typed values, empty values at the end
+            if (field && String(field.type).match(/^(number|integer|date|boolean)$/)) {
+                const sortA = valuesA.map(function (value, index) {
+                    const typedValue = __typedValue(value, field);
+                    return {
+                        index: index,
+                        value: (typedValue == null) ? null : Number(typedValue)
+                    };
+                });
+                const nDirection = (szFlag && szFlag == "DOWN") ? -1 : 1;
+                sortA.sort(function (a, b) {
+                    if (a.value === b.value) {
+                        return a.index - b.index;
+                    }
+                    if (a.value === null) {
+                        return 1;
+                    }
+                    if (b.value === null) {
+                        return -1;
+                    }
+                    return (a.value - b.value) * nDirection;
+                });
+                this.records = sortA.map(function (item) {
+                    return this.records[item.index];
+                }, this);
+                return this;
+            }
+
             let number = 0;
             for (let i = 0; i < Math.min(valuesA.length,10); i++) {
                  if (!isNaN(parseFloat(String(valuesA[i]).replace(",",".")))){
@@ -4808,6 +7059,311 @@ $Log:data.js,v $
             return this;
         },
 
+        /**
+         * infer the types of the columns from their values<br>
+         * the type is stored in the field (column definition) as <b>type</b>: "number", "integer", "date", "boolean", "string" or "geometry"<br>
+         * number columns get also the <b>decimalMark</b> ("." or ",")
+         * @param {Object} [options] {<b>sample</b>: max. values per column to test (default 1000), <b>decimal</b>: force the decimal mark ("." or ",")}
+         * @type {Data.Table}
+         * @returns itself
+         * @example
+         * mydata.inferTypes({"decimal":","});
+         * console.log(mydata.schema());
+         */
+        inferTypes: function (options) {
+            for (let i = 0, len = this.fields.length; i < len; i++) {
+                const valuesA = [];
+                for (let j = 0, lenR = this.records.length; (j < lenR) && (valuesA.length < ((options && options.sample) || 1000) * 2); j++) {
+                    valuesA.push(this.records[j][i]);
+                }
+                const typeObj = __inferType(valuesA, options);
+                this.fields[i].type = typeObj.type;
+                if (typeObj.decimalMark) {
+                    this.fields[i].decimalMark = typeObj.decimalMark;
+                } else {
+                    delete this.fields[i].decimalMark;
+                }
+            }
+            return this;
+        },
+
+        /**
+         * declare the types of columns
+         * @param {Object} schema object with column name: type or column name: {type: type, decimalMark: "." or ","}<br>
+         * types: "number", "integer", "date", "boolean", "string" or "geometry";<br>
+         * unknown columns and types are reported as {@link Data.Error} and skipped, the other columns get their type
+         * @type {Data.Table}
+         * @returns itself
+         * @example
+         * mydata.setTypes({"PRO_COM_T":"string","population":"integer","area":{"type":"number","decimalMark":","}});
+         */
+        setTypes: function (schema) {
+            for (const szColumn in schema) {
+                const index = this.columnIndex(szColumn);
+                if (index == null) {
+                    __error("COLUMN_NOT_FOUND", "setTypes: '" + szColumn + "' column not found!", {
+                        source: "setTypes",
+                        column: szColumn
+                    });
+                    continue;
+                }
+                const typeObj = (typeof (schema[szColumn]) === "object") ? schema[szColumn] : {
+                    type: schema[szColumn]
+                };
+                if (!String(typeObj.type).match(/^(number|integer|date|boolean|string|geometry)$/)) {
+                    __error("INVALID_OPTION", "setTypes: '" + typeObj.type + "' unknown type!", {
+                        source: "setTypes",
+                        column: szColumn
+                    });
+                    continue;
+                }
+                this.fields[index].type = typeObj.type;
+                if (typeObj.decimalMark) {
+                    this.fields[index].decimalMark = typeObj.decimalMark;
+                }
+            }
+            return this;
+        },
+
+        /**
+         * get the schema of the table, i.e. the column names and types
+         * @type {Array}
+         * @returns {Array} array of {id: column name, type: type, decimalMark: decimal mark of number columns}
+         */
+        schema: function () {
+            return this.fields.map(function (field) {
+                const column = {
+                    id: field.id,
+                    type: field.type || "string"
+                };
+                if (field.decimalMark) {
+                    column.decimalMark = field.decimalMark;
+                }
+                return column;
+            });
+        },
+
+        /**
+         * convert the values of number, integer and boolean columns to real javascript types<br>
+         * empty or invalid values become null; date, geometry and string columns are not changed
+         * @type {Data.Table}
+         * @returns itself
+         */
+        convertTypes: function () {
+            for (let i = 0, len = this.fields.length; i < len; i++) {
+                const field = this.fields[i];
+                if (String(field.type).match(/^(number|integer|boolean)$/)) {
+                    for (let j = 0, lenR = this.records.length; j < lenR; j++) {
+                        this.records[j][i] = __typedValue(this.records[j][i], field);
+                    }
+                    // values are now javascript numbers
+                    delete field.decimalMark;
+                }
+            }
+            return this;
+        },
+
+        /**
+         * join the rows of another table to the rows of this table by one or more key columns
+         * @param {Data.Table} otherTable the table to join
+         * @param {Object} options the join parameter
+         *								   <table border='0' style='border-left: 1px solid #ddd;'>	
+         *								   <tr><th>property</th><th>description</th></tr>
+         *								   <tr><td><b>"on"</b></td><td>the key column name or array of names, if equal in both tables,<br>or {"left":<em>names</em>,"right":<em>names</em>}</td></tr>
+         *								   <tr><td><b>"how"</b></td><td>[optional] "left" (default): all rows of this table,<br>"inner": only rows with match,<br>"outer": all rows of both tables,<br>"anti": only the rows of this table without match</td></tr>
+         *								   <tr><td><b>"suffixes"</b></td><td>[optional] suffixes for column names present in both tables; default: ["","_2"]</td></tr>
+         *								   <tr><td><b>"normalize"</b></td><td>[optional] key normalization, like the theme styles lookupdigits, lookuptonumber, lookuptoupper:<br>
+         *                                 {"trim":true,"digits":<em>n</em> (left pad with zeros),"tonumber":true,"toupper":true} or function(value)</td></tr>
+         *								   </table> 
+         * @type {Data.Table}
+         * @returns a new table with the joined rows;<br>
+         * its property <b>report</b> gives { <b>matched</b>: <em>count of joined rows of this table</em>, <b>unmatchedLeft</b>: <em>keys of this table without match</em>, <b>unmatchedRight</b>: <em>keys of otherTable without match</em> }
+         * @example
+         * var joined = comuni.join(population, {"on":{"left":"PRO_COM_T","right":"codice"},"how":"left","normalize":{"digits":6}});
+         * console.log(joined.report.unmatchedLeft);
+         * @example
+         * var joined = sales.join(targets, {"on":["region","year"],"how":"inner","suffixes":["_sales","_target"]});
+         */
+        join: function (otherTable, options) {
+
+            options = options || {};
+            const szHow = String(options.how || "left").toLowerCase();
+            const suffixA = options.suffixes || ["", "_2"];
+
+            if (!options.on) {
+                __error("INVALID_OPTION", "join: no key column ('on') defined!", {
+                    source: "join"
+                });
+                return null;
+            }
+            if (!szHow.match(/^(left|inner|outer|anti)$/)) {
+                __error("INVALID_OPTION", "join: '" + szHow + "' unknown join type!", {
+                    source: "join"
+                });
+                return null;
+            }
+
+            const leftKeyA = __toArray(options.on.left || options.on);
+            const rightKeyA = __toArray(options.on.right || options.on);
+
+            if (leftKeyA.length != rightKeyA.length) {
+                __error("INVALID_OPTION", "join: key column count differs!", {
+                    source: "join"
+                });
+                return null;
+            }
+
+            const __columnIndex = function (table, szColumn) {
+                for (let i = 0; i < table.fields.length; i++) {
+                    if (table.fields[i].id == szColumn) {
+                        return i;
+                    }
+                }
+                __error("COLUMN_NOT_FOUND", "join: '" + szColumn + "' column not found!", {
+                    source: "join",
+                    column: szColumn
+                });
+                return -1;
+            };
+
+            const leftIndexA = leftKeyA.map(function (szColumn) {
+                return __columnIndex(this, szColumn);
+            }, this);
+            const rightIndexA = rightKeyA.map(function (szColumn) {
+                return __columnIndex(otherTable, szColumn);
+            });
+            if (leftIndexA.includes(-1) || rightIndexA.includes(-1)) {
+                return null;
+            }
+
+            // key normalization
+            const normalize = options.normalize || {};
+            const __normalize = (typeof (normalize) === "function") ? normalize : function (value) {
+                let szValue = (value == null) ? "" : String(value);
+                if (normalize.trim) {
+                    szValue = szValue.trim();
+                }
+                if (normalize.digits) {
+                    szValue = ("000000000000000" + szValue).slice(-normalize.digits);
+                }
+                if (normalize.tonumber) {
+                    szValue = String(Number(szValue));
+                }
+                if (normalize.toupper) {
+                    szValue = szValue.toUpperCase();
+                }
+                return szValue;
+            };
+            const __key = function (row, indexA) {
+                return indexA.map(function (index) {
+                    return String(__normalize(row[index]));
+                }).join("|");
+            };
+
+            // index the rows of the other table by key
+            const rightRowsA = {};
+            for (let j = 0; j < otherTable.records.length; j++) {
+                const szKey = __key(otherTable.records[j], rightIndexA);
+                (rightRowsA[szKey] = rightRowsA[szKey] || []).push(j);
+            }
+
+            // the result columns: all of this table, the non key columns of the other table
+            const result = new Data.Table();
+            const rightColumnA = [];
+            for (let i = 0; i < otherTable.fields.length; i++) {
+                if (!rightIndexA.includes(i)) {
+                    rightColumnA.push(i);
+                }
+            }
+            const leftNameA = this.fields.map(function (field) {
+                return String(field.id);
+            });
+            const rightNameA = rightColumnA.map(function (i) {
+                return String(otherTable.fields[i].id);
+            });
+            for (let i = 0; i < leftNameA.length; i++) {
+                const fDouble = rightNameA.includes(leftNameA[i]) && !leftKeyA.includes(leftNameA[i]);
+                result.fields.push({
+                    id: leftNameA[i] + (fDouble ? suffixA[0] : "")
+                });
+            }
+            if (szHow != "anti") {
+                for (let i = 0; i < rightNameA.length; i++) {
+                    const fDouble = leftNameA.includes(rightNameA[i]);
+                    result.fields.push({
+                        id: rightNameA[i] + (fDouble ? suffixA[1] : "")
+                    });
+                }
+            }
+            result.table.fields = result.fields.length;
+
+            const report = {
+                matched: 0,
+                unmatchedLeft: [],
+                unmatchedRight: []
+            };
+            const usedA = {};
+            const emptyRightA = rightColumnA.map(function () {
+                return "";
+            });
+
+            for (let j = 0; j < this.records.length; j++) {
+                const szKey = __key(this.records[j], leftIndexA);
+                const matchA = rightRowsA[szKey];
+                if (matchA) {
+                    report.matched++;
+                    usedA[szKey] = true;
+                    if (szHow == "anti") {
+                        continue;
+                    }
+                    for (const r of matchA) {
+                        const row = this.records[j].slice();
+                        for (const i of rightColumnA) {
+                            row.push(otherTable.records[r][i]);
+                        }
+                        result.records.push(row);
+                    }
+                } else {
+                    report.unmatchedLeft.push(szKey);
+                    if (szHow == "inner") {
+                        continue;
+                    }
+                    result.records.push((szHow == "anti") ? this.records[j].slice() : this.records[j].concat(emptyRightA));
+                }
+            }
+
+            for (const szKey in rightRowsA) {
+                if (usedA[szKey]) {
+                    continue;
+                }
+                report.unmatchedRight.push(szKey);
+                if (szHow == "outer") {
+                    // rows only in the other table get the keys in the key columns of this table
+                    for (const r of rightRowsA[szKey]) {
+                        const row = this.fields.map(function () {
+                            return "";
+                        });
+                        for (let k = 0; k < leftIndexA.length; k++) {
+                            row[leftIndexA[k]] = otherTable.records[r][rightIndexA[k]];
+                        }
+                        for (const i of rightColumnA) {
+                            row.push(otherTable.records[r][i]);
+                        }
+                        result.records.push(row);
+                    }
+                }
+            }
+            result.table.records = result.records.length;
+            result.report = report;
+
+            if (report.unmatchedLeft.length || report.unmatchedRight.length) {
+                _LOG("join: " + report.unmatchedLeft.length + " keys without match in this table, " + report.unmatchedRight.length + " in the other table");
+            }
+
+            this.__join = result;
+            return result;
+        },
+
         /**
          * creates a json object array from the table <br>
          * every row creates an array element 
@@ -4816,125 +7372,3247 @@ $Log:data.js,v $
          */
         json: function () {
 
-            this.__json = [];
-            for (const r in this.records) {
-                let row = {};
-                for (const c in this.fields) {
-                    row[String(this.fields[c].id)] = this.records[r][c];
-                }
-                this.__json.push(row);
+            this.__json = [];
+            for (const r in this.records) {
+                let row = {};
+                for (const c in this.fields) {
+                    row[String(this.fields[c].id)] = this.records[r][c];
+                }
+                this.__json.push(row);
+            }
+            return this.__json;
+        },
+
+        /**
+         * creates a CSV text from the table
+         * @param {Object} [options] the CSV format
+         *								   <table border='0' style='border-left: 1px solid #ddd;'>	
+         *								   <tr><th>property</th><th>description</th></tr>
+         *								   <tr><td><b>"delimiter"</b></td><td>[optional] the column delimiter; default: ","</td></tr>
+         *								   <tr><td><b>"decimal"</b></td><td>[optional] the decimal mark of number columns ("." or ","); default: unchanged values</td></tr>
+         *								   <tr><td><b>"header"</b></td><td>[optional] false: don't write the column names</td></tr>
+         *								   <tr><td><b>"newline"</b></td><td>[optional] the line separator; default: "\r\n"</td></tr>
+         *								   </table> 
+         * @type {string}
+         * @returns the CSV text; values containing delimiter, quotes or newlines are quoted
+         * @example
+         * var szCSV = mydata.select('WHERE "region" = "Lazio"').toCSV({"delimiter":";","decimal":","});
+         */
+        toCSV: function (options) {
+            options = options || {};
+            const szDelimiter = options.delimiter || ",";
+            const szNewline = options.newline || "\r\n";
+            const fields = this.fields;
+
+            const __cell = function (value, field) {
+                if (value == null) {
+                    return "";
+                }
+                if (options.decimal && field && String(field.type).match(/^(number|integer)$/)) {
+                    const number = __typedValue(value, field);
+                    value = (number == null) ? "" : String(number).replace(".", options.decimal);
+                } else
+                if (typeof (value) === "object") {
+                    value = (value instanceof Date) ? value.toISOString() : JSON.stringify(value);
+                }
+                const szValue = String(value);
+                if ((szValue.indexOf(szDelimiter) >= 0) || szValue.match(/["\r\n]/)) {
+                    return '"' + szValue.replace(/"/g, '""') + '"';
+                }
+                return szValue;
+            };
+
+            const lineA = [];
+            if (options.header !== false) {
+                lineA.push(fields.map(function (field) {
+                    return __cell(field.id);
+                }).join(szDelimiter));
+            }
+            for (let j = 0, len = this.records.length; j < len; j++) {
+                lineA.push(this.records[j].map(function (value, i) {
+                    return __cell(value, fields[i]);
+                }).join(szDelimiter));
+            }
+            return lineA.join(szNewline) + szNewline;
+        },
+
+        /**
+         * creates a GeoJSON FeatureCollection from the table<br>
+         * the geometry is defined by two coordinate columns or by one geometry column (GeoJSON or WKT point)<br>
+         * all other columns become feature properties
+         * @param {Object} [options] {<b>lat</b>: latitude column, <b>lon</b>: longitude column} or {<b>geometry</b>: geometry column};<br>
+         * default: a column of type geometry or columns named lat/latitude and lon/lng/longitude
+         * @type {Object}
+         * @returns the GeoJSON object; rows without valid geometry get a null geometry
+         * @example
+         * var geojson = mydata.toGeoJSON({"lat":"Lat","lon":"Lon"});
+         */
+        toGeoJSON: function (options) {
+            const fields = this.fields;
+            const reader = __geometryReader(this, options);
+            if (!reader) {
+                __error("INVALID_OPTION", "toGeoJSON: no geometry or lat/lon columns found!", {
+                    source: "toGeoJSON"
+                });
+                return null;
+            }
+            const geometryIndex = reader.geometryIndex;
+            const latIndex = reader.latIndex;
+            const lonIndex = reader.lonIndex;
+
+            const featureA = [];
+            for (let j = 0, len = this.records.length; j < len; j++) {
+                const row = this.records[j];
+                const properties = {};
+                for (let i = 0; i < fields.length; i++) {
+                    if ((i != geometryIndex) && (i != latIndex) && (i != lonIndex)) {
+                        const value = fields[i].type ? __typedValue(row[i], fields[i]) : row[i];
+                        properties[String(fields[i].id)] = (value instanceof Date) ? row[i] : value;
+                    }
+                }
+                featureA.push({
+                    type: "Feature",
+                    geometry: reader.read(row),
+                    properties: properties
+                });
+            }
+            return {
+                type: "FeatureCollection",
+                features: featureA
+            };
+        },
+
+        /**
+         * creates a JSON-stat 2.0 dataset from the table
+         * @param {Object} options {<b>value</b>: the value column, <b>dimensions</b>: [optional] the dimension columns (default: all other columns), <b>label</b>: [optional] dataset label}
+         * @type {Object}
+         * @returns the JSON-stat dataset object
+         * @example
+         * var jsonstat = mydata.toJSONstat({"value":"population","dimensions":["region","year"]});
+         */
+        toJSONstat: function (options) {
+            options = options || {};
+            const valueIndex = this.columnIndex(options.value);
+            if (valueIndex == null) {
+                __error("COLUMN_NOT_FOUND", "toJSONstat: value column '" + options.value + "' not found!", {
+                    source: "toJSONstat",
+                    column: options.value
+                });
+                return null;
+            }
+            const szDimensionA = options.dimensions ? __toArray(options.dimensions) : this.fields.filter(function (field, i) {
+                return i != valueIndex;
+            }).map(function (field) {
+                return String(field.id);
+            });
+            const dimensionIndexA = [];
+            for (const szDimension of szDimensionA) {
+                const index = this.columnIndex(szDimension);
+                if (index == null) {
+                    __error("COLUMN_NOT_FOUND", "toJSONstat: dimension column '" + szDimension + "' not found!", {
+                        source: "toJSONstat",
+                        column: szDimension
+                    });
+                    return null;
+                }
+                dimensionIndexA.push(index);
+            }
+
+            // categories of the dimensions in order of appearance
+            const categoryA = dimensionIndexA.map(function () {
+                return {};
+            });
+            const sizeA = dimensionIndexA.map(function () {
+                return 0;
+            });
+            for (let j = 0, len = this.records.length; j < len; j++) {
+                dimensionIndexA.forEach(function (index, d) {
+                    const szCategory = String(this.records[j][index]);
+                    if (typeof (categoryA[d][szCategory]) === "undefined") {
+                        categoryA[d][szCategory] = sizeA[d]++;
+                    }
+                }, this);
+            }
+
+            // values in row-major order, the last dimension changes fastest
+            const nValues = sizeA.reduce(function (a, b) {
+                return a * b;
+            }, 1);
+            const valueA = new Array(nValues).fill(null);
+            const valueField = this.fields[valueIndex];
+            for (let j = 0, len = this.records.length; j < len; j++) {
+                let nPos = 0;
+                dimensionIndexA.forEach(function (index, d) {
+                    nPos = nPos * sizeA[d] + categoryA[d][String(this.records[j][index])];
+                }, this);
+                const value = valueField.type ? __typedValue(this.records[j][valueIndex], valueField) : __parseNumber(this.records[j][valueIndex]);
+                valueA[nPos] = ((value == null) || (typeof (value) === "number" && isNaN(value))) ? null : value;
+            }
+
+            const dimension = {};
+            szDimensionA.forEach(function (szDimension, d) {
+                const label = {};
+                for (const szCategory in categoryA[d]) {
+                    label[szCategory] = szCategory;
+                }
+                dimension[szDimension] = {
+                    label: szDimension,
+                    category: {
+                        index: categoryA[d],
+                        label: label
+                    }
+                };
+            });
+
+            return {
+                version: "2.0",
+                class: "dataset",
+                label: options.label || String(options.value),
+                id: szDimensionA,
+                size: sizeA,
+                dimension: dimension,
+                value: valueA
+            };
+        },
+
+        /**
+         * creates a Parquet file from the table (using DuckDB WASM)<br>
+         * the column types are taken from the table schema (see inferTypes())
+         * @param {function} [callback] function(buffer) called with the Parquet file as Uint8Array
+         * @type {Promise}
+         * @returns a Promise resolving to the Parquet file as Uint8Array
+         * @example
+         * mydata.toParquet().then(function(buffer){
+         *     var blob = new Blob([buffer], {type: "application/vnd.apache.parquet"});
+         *     ...
+         * });
+         */
+        toParquet: function (callback) {
+            const __this = this;
+
+            return new Promise(function (resolve, reject) {
+                __loadDuckDB(function () {
+                    const szName = __duckDBName("__table_");
+                    const szParquetFile = szName + ".parquet";
+                    const db = window.duckdb.db;
+
+                    __registerDuckDBTable(__this, szName)
+                        .then(function () {
+                            return window.duckdb.conn.query("COPY " + __sqlName(szName) + " TO " + __sqlString(szParquetFile) + " (FORMAT PARQUET)");
+                        })
+                        .then(function () {
+                            return db.copyFileToBuffer(szParquetFile);
+                        })
+                        .then(function (buffer) {
+                            __dropDuckDBTable(szName);
+                            __dropDuckDBFile(szParquetFile);
+                            if (callback) {
+                                callback(buffer);
+                            }
+                            resolve(buffer);
+                        })
+                        .catch(function (error) {
+                            _LOG("toParquet: " + error);
+                            __dropDuckDBTable(szName);
+                            __dropDuckDBFile(szParquetFile);
+                            reject(__error("QUERY_ERROR", __errorMessage(error), {
+                                source: "toParquet",
+                                cause: error
+                            }));
+                        });
+                }, function (szError) {
+                    reject(__error("PARSER_NOT_LOADED", szError, {
+                        source: "toParquet"
+                    }));
+                });
+            });
+        }
+
+    };
+
+
+    //...................................................................
+    // local helper
+    //...................................................................
+    __myNumber = function (value) {
+        let number = parseFloat(value.replace(/\./g, "").replace(/\,/g, "."));
+        return isNaN(number) ? 0 : number;
+    };
+
+    __scanValue = function (nValue) {
+        // strips blanks inside numbers (e.g. 1 234 456 --> 1234456)
+        let number = null;
+        if (String(nValue).match(/,/)) {
+            number = parseFloat(String(nValue).replace(/\./gi, "").replace(/,/gi, "."));
+            return isNaN(number) ? 0 : number;
+        } else {
+            number = parseFloat(String(nValue).replace(/ /gi, ""));
+            return isNaN(number) ? 0 : number;
+        }
+    };
+
+    // like __scanValue, but returns NaN for non numeric values
+    // strict == true: the whole string must be a number (used for query values)
+    const __parseNumber = function (value, strict) {
+        if (value == null) {
+            return NaN;
+        }
+        let szValue = String(value).trim();
+        if (szValue.match(/,/)) {
+            szValue = szValue.replace(/\./g, "").replace(/,/g, ".");
+        } else {
+            szValue = szValue.replace(/ /g, "");
+        }
+        if (!szValue.length) {
+            return NaN;
+        }
+        return strict ? Number(szValue) : parseFloat(szValue);
+    };
+
+    const __escapeRegExp = function (szText) {
+        return String(szText).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    };
+
+    // ---------------------------------
+    // T Y P E S
+    // ---------------------------------
+
+    // number formats with '.' or ',' as decimal mark (and the other one as thousands separator)
+    const __numberPatternA = {
+        ".": /^[-+]?(\d+|\d{1,3}(,\d{3})+)(\.\d+)?([eE][-+]?\d+)?$/,
+        ",": /^[-+]?(\d+|\d{1,3}(\.\d{3})+)(,\d+)?$/
+    };
+
+    const __isEmptyValue = function (value) {
+        return (value == null) || (String(value).trim() === "") || (value === "null");
+    };
+
+    /**
+     * convert a number string with a known decimal mark
+     * @param value the value to convert
+     * @param szDecimalMark "." or ","; if undefined, like __scanValue
+     * @returns the number or NaN
+     */
+    const __toNumber = function (value, szDecimalMark) {
+        if (typeof (value) === "number") {
+            return value;
+        }
+        if (__isEmptyValue(value)) {
+            return NaN;
+        }
+        const szValue = String(value).trim().replace(/ /g, "");
+        if (szDecimalMark == ",") {
+            return Number(szValue.replace(/\./g, "").replace(",", "."));
+        }
+        if (szDecimalMark == ".") {
+            return Number(szValue.replace(/,/g, ""));
+        }
+        return __parseNumber(szValue, true);
+    };
+
+    /**
+     * infer the type of a column from its values
+     * @param valuesA the column values
+     * @param options {sample: max values to test, decimal: "." or "," to force the decimal mark}
+     * @returns {Object} {type: "number"|"integer"|"date"|"boolean"|"string"|"geometry", decimalMark: "."|","}
+     */
+    const __inferType = function (valuesA, options) {
+        options = options || {};
+        const nSample = options.sample || 1000;
+        const sampleA = [];
+        for (let i = 0; (i < valuesA.length) && (sampleA.length < nSample); i++) {
+            if (!__isEmptyValue(valuesA[i])) {
+                sampleA.push(valuesA[i]);
+            }
+        }
+        if (!sampleA.length) {
+            return {
+                type: "string"
+            };
+        }
+        const __all = function (test) {
+            return sampleA.every(test);
+        };
+
+        // already typed values (parquet, json)
+        if (__all(function (v) {
+                return (typeof (v) === "object") && (v.coordinates || v.geometries || (v.type == "Feature"));
+            }) || __all(function (v) {
+                return String(v).match(/^\s*(\{\s*"type"\s*:\s*"(Point|MultiPoint|LineString|MultiLineString|Polygon|MultiPolygon|GeometryCollection)"|(POINT|LINESTRING|POLYGON|MULTIPOINT|MULTILINESTRING|MULTIPOLYGON|GEOMETRYCOLLECTION)\s*\()/i);
+            })) {
+            return {
+                type: "geometry"
+            };
+        }
+        if (__all(function (v) {
+                return (typeof (v) === "boolean") || String(v).match(/^(true|false)$/i);
+            })) {
+            return {
+                type: "boolean"
+            };
+        }
+
+        // numbers; codes with leading zeros (e.g. ISTAT codes) remain strings
+        if (__all(function (v) {
+                return (typeof (v) === "number") || !String(v).trim().match(/^[-+]?0\d/);
+            })) {
+            let markA = [".", ","].filter(function (szMark) {
+                return __all(function (v) {
+                    return (typeof (v) === "number") || __numberPatternA[szMark].test(String(v).trim().replace(/ /g, ""));
+                });
+            });
+            if (options.decimal) {
+                markA = markA.filter(function (szMark) {
+                    return szMark == options.decimal;
+                });
+            }
+            if (markA.length) {
+                // ambiguous (1,234 or 1.234): like __scanValue, a comma is the decimal mark
+                const szMark = (markA.length == 1) ? markA[0] : (sampleA.some(function (v) {
+                    return String(v).match(/,/);
+                }) ? "," : ".");
+                const fInteger = __all(function (v) {
+                    return (typeof (v) === "number") ? Number.isInteger(v) : !String(v).match(szMark == "," ? /,|[eE]/ : /\.|[eE]/);
+                });
+                return {
+                    type: fInteger ? "integer" : "number",
+                    decimalMark: szMark
+                };
+            }
+        }
+
+        if (__all(function (v) {
+                return (v instanceof Date) ||
+                    (String(v).match(/^\d{4}-\d{2}-\d{2}([T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/) && !isNaN(Date.parse(String(v).replace(" ", "T")))) ||
+                    String(v).match(/^\d{1,2}[./]\d{1,2}[./]\d{4}$/);
+            })) {
+            return {
+                type: "date"
+            };
+        }
+
+        return {
+            type: "string"
+        };
+    };
+
+    /**
+     * get the value of a table cell as typed value, defined by the type of the column
+     * @param value the cell value
+     * @param field the field (column definition) with the properties type and decimalMark
+     * @returns the typed value (number, boolean, Date, object) or null if empty or invalid
+     */
+    const __typedValue = function (value, field) {
+        if (__isEmptyValue(value)) {
+            return null;
+        }
+        switch (field && field.type) {
+            case "number":
+            case "integer": {
+                const number = __toNumber(value, field.decimalMark);
+                return isNaN(number) ? null : number;
+            }
+            case "boolean":
+                if (typeof (value) === "boolean") {
+                    return value;
+                }
+                return String(value).match(/^true$/i) ? true : String(value).match(/^false$/i) ? false : null;
+            case "date": {
+                if (value instanceof Date) {
+                    return value;
+                }
+                // dd.mm.yyyy or dd/mm/yyyy
+                const dmy = String(value).match(/^(\d{1,2})[./](\d{1,2})[./](\d{4})$/);
+                const date = dmy ? new Date(Number(dmy[3]), Number(dmy[2]) - 1, Number(dmy[1])) : new Date(String(value).replace(" ", "T"));
+                return isNaN(date.getTime()) ? null : date;
+            }
+            case "geometry":
+                if (typeof (value) === "object") {
+                    return value;
+                }
+                try {
+                    return JSON.parse(value);
+                } catch (e) {
+                    return String(value);
+                }
+            default:
+                return value;
+        }
+    };
+
+    // ---------------------------------
+    // E X P R E S S I O N
+    // ---------------------------------
+
+    /**
+     * Create a new Data.Expression instance.
+     * <p>parses a selection query into a boolean expression tree, which can be compiled against the fields of a table.</p>
+     * <p>It is used by <b>Data.Table.select()</b> and by the theme <b>filter</b> style of iXmaps.</p>
+     * <p>Conditions are of the form "<em>column</em>" [operator] "<em>value</em>" and may be combined by <b>AND</b>, <b>OR</b>, <b>NOT</b> and nested parentheses.
+     * A value written as $<em>column</em>$ is taken from the named column of the same row.</p>
+     * @class It realizes a parsed selection query
+     * @constructor
+     * @param {string} szQuery the query string, optionally starting with WHERE
+     * @param {Object} [options] parser options; <b>likeAsRegExp</b>: treat the values of LIKE and NOT as regular expressions
+     * @type {Data.Expression}
+     * @returns A new Data.Expression object
+     * @example
+     * var test = Data.expression('WHERE ("Age" >= 18 AND "Age" <= 65) OR NOT "SEX" IN ("M","F")').compile(mydata.fields);
+     * if (test(mydata.records[0])) { ... }
+     */
+    Data.Expression = function (szQuery, options) {
+        this.szQuery = String(szQuery || "");
+        this.options = options || {};
+        this.tree = null;
+        this.error = null;
+        this.parse();
+    };
+
+    Data.Expression.prototype = {
+
+        /**
+         * parse the query string into the expression tree
+         * on syntax errors the tree is null and .error contains the message
+         * @type {Data.Expression}
+         * @returns itself
+         */
+        parse: function () {
+            // everything before WHERE is ignored
+            const szWhere = this.szQuery.match(/\bWHERE\b/) ? this.szQuery.split(/\bWHERE\b/).slice(1).join("WHERE") : this.szQuery;
+            try {
+                this.tokenA = this.__tokenize(szWhere);
+                this.nToken = 0;
+                if (!this.tokenA.length) {
+                    throw new Error("empty query");
+                }
+                this.tree = this.__parseOr();
+                if (this.nToken < this.tokenA.length) {
+                    throw new Error("unexpected '" + this.tokenA[this.nToken].value + "'");
+                }
+            } catch (e) {
+                this.tree = null;
+                this.error = "selection error - " + e.message + "!\nquery: " + this.szQuery;
+            }
+            return this;
+        },
+
+        /**
+         * get the names of all columns referenced by the expression
+         * @type {Array}
+         * @returns {Array} the column names
+         */
+        columns: function () {
+            const columnsA = [];
+            const __collect = function (node) {
+                if (!node) {
+                    return;
+                }
+                for (const operand of [node.field, node.value, node.value2].concat(node.list || [])) {
+                    if (operand && operand.column && (operand.column != "*") && !columnsA.includes(operand.column)) {
+                        columnsA.push(operand.column);
+                    }
+                }
+                __collect(node.left);
+                __collect(node.right);
+                __collect(node.expr);
+            };
+            __collect(this.tree);
+            return columnsA;
+        },
+
+        /**
+         * compile the expression against the fields of a table
+         * @param {Array} fields the fields of a Data.Table (array of {id:"column name"})
+         * @type {function}
+         * @returns {function} function(row) which returns true, if the row (array of values) passes the expression,<br>
+         * or null, if the query is invalid or refers to unknown columns (see .error)
+         */
+        compile: function (fields) {
+            if (!this.tree) {
+                return null;
+            }
+            const indexA = {};
+            for (let i = 0, len = fields.length; i < len; i++) {
+                if (typeof (indexA[fields[i].id]) === "undefined") {
+                    indexA[fields[i].id] = i;
+                }
+            }
+            const missingA = this.columns().filter(function (column) {
+                return typeof (indexA[column]) === "undefined";
+            });
+            if (missingA.length) {
+                this.error = "selection error - column '" + missingA.join("', '") + "' not found!\nquery: " + this.szQuery;
+                return null;
+            }
+            return this.__compileNode(this.tree, indexA);
+        },
+
+        // ---------------------------------
+        // tokenizer
+        // ---------------------------------
+
+        __tokenize: function (szText) {
+            const tokenA = [];
+            let i = 0;
+            while (i < szText.length) {
+                const c = szText[i];
+                if (c.match(/\s/)) {
+                    i++;
+                } else
+                if ((c == '"') || (c == "'")) {
+                    const end = szText.indexOf(c, i + 1);
+                    if (end < 0) {
+                        throw new Error("missing closing quote");
+                    }
+                    tokenA.push({
+                        type: "string",
+                        value: szText.substring(i + 1, end)
+                    });
+                    i = end + 1;
+                } else
+                if ((c == "(") || (c == ")")) {
+                    tokenA.push({
+                        type: c,
+                        value: c
+                    });
+                    i++;
+                } else {
+                    const op = szText.substr(i, 2).match(/^(<=|>=|<>|!=|==)/) || c.match(/^[=<>]/);
+                    if (op) {
+                        tokenA.push({
+                            type: "op",
+                            value: op[0]
+                        });
+                        i += op[0].length;
+                    } else {
+                        let end = i;
+                        while ((end < szText.length) && !szText[end].match(/[\s"'()=<>!]/)) {
+                            end++;
+                        }
+                        if (end == i) {
+                            throw new Error("unexpected '" + c + "'");
+                        }
+                        tokenA.push({
+                            type: "word",
+                            value: szText.substring(i, end)
+                        });
+                        i = end;
+                    }
+                }
+            }
+            return tokenA;
+        },
+
+        // ---------------------------------
+        // parser (recursive descent)
+        // ---------------------------------
+
+        __peek: function () {
+            return this.tokenA[this.nToken];
+        },
+
+        __next: function () {
+            const token = this.tokenA[this.nToken++];
+            if (!token) {
+                throw new Error("incomplete query");
+            }
+            return token;
+        },
+
+        __isKeyword: function (token, szKeyword) {
+            return token && (token.type == "word") && (token.value.toUpperCase() == szKeyword);
+        },
+
+        __parseOr: function () {
+            let node = this.__parseAnd();
+            while (this.__isKeyword(this.__peek(), "OR")) {
+                this.nToken++;
+                node = {
+                    type: "or",
+                    left: node,
+                    right: this.__parseAnd()
+                };
+            }
+            return node;
+        },
+
+        __parseAnd: function () {
+            let node = this.__parseNot();
+            while (this.__isKeyword(this.__peek(), "AND")) {
+                this.nToken++;
+                node = {
+                    type: "and",
+                    left: node,
+                    right: this.__parseNot()
+                };
+            }
+            return node;
+        },
+
+        __parseNot: function () {
+            if (this.__isKeyword(this.__peek(), "NOT")) {
+                this.nToken++;
+                return {
+                    type: "not",
+                    expr: this.__parseNot()
+                };
+            }
+            const token = this.__peek();
+            if (token && (token.type == "(")) {
+                this.nToken++;
+                const node = this.__parseOr();
+                if (this.__next().type != ")") {
+                    throw new Error("missing ')'");
+                }
+                return node;
+            }
+            return this.__parseCondition();
+        },
+
+        __parseCondition: function () {
+            const fieldToken = this.__next();
+            if ((fieldToken.type != "string") && (fieldToken.type != "word")) {
+                throw new Error("column name expected instead of '" + fieldToken.value + "'");
+            }
+            const node = {
+                field: {
+                    column: fieldToken.value
+                },
+                negate: false
+            };
+
+            let token = this.__next();
+
+            // comparison operators
+            if (token.type == "op") {
+                node.type = "compare";
+                node.op = (token.value == "==") ? "=" : (token.value == "!=") ? "<>" : token.value;
+                node.value = this.__parseValue();
+                return node;
+            }
+            if (token.type != "word") {
+                throw new Error("operator expected instead of '" + token.value + "'");
+            }
+
+            let szOp = token.value.toUpperCase();
+
+            if (szOp == "IS") {
+                node.type = "null";
+                if (this.__isKeyword(this.__peek(), "NOT")) {
+                    this.nToken++;
+                    node.negate = true;
+                }
+                if (!this.__isKeyword(this.__next(), "NULL")) {
+                    throw new Error("NULL expected after IS");
+                }
+                return node;
+            }
+
+            if (szOp == "NOT") {
+                const next = this.__peek();
+                if (next && (next.type == "word") && next.value.toUpperCase().match(/^(LIKE|IN|BETWEEN|REGEXP|MATCH)$/)) {
+                    node.negate = true;
+                    token = this.__next();
+                    szOp = token.value.toUpperCase();
+                } else {
+                    // "column" NOT "pattern" : must not contain pattern
+                    node.type = "like";
+                    node.negate = true;
+                    node.value = this.__parseValue();
+                    return node;
+                }
+            }
+
+            if (szOp == "LIKE") {
+                node.type = "like";
+                node.value = this.__parseValue();
+            } else
+            if ((szOp == "REGEXP") || (szOp == "MATCH")) {
+                node.type = "regexp";
+                node.value = this.__parseValue();
+            } else
+            if (szOp == "IN") {
+                node.type = "in";
+                node.list = this.__parseList();
+            } else
+            if (szOp == "BETWEEN") {
+                node.type = "between";
+                node.value = this.__parseValue();
+                if (!this.__isKeyword(this.__next(), "AND")) {
+                    throw new Error("AND expected in BETWEEN");
+                }
+                node.value2 = this.__parseValue();
+            } else {
+                // unknown operator: the value must be contained in the column value
+                node.type = "like";
+                node.value = this.__parseValue();
+            }
+            return node;
+        },
+
+        __parseValue: function () {
+            const token = this.__next();
+            if ((token.type != "string") && (token.type != "word")) {
+                throw new Error("value expected instead of '" + token.value + "'");
+            }
+            // GR 26.12.2019 filter value may be column name (defined by $column name$)
+            const column = token.value.match(/^\$(.+)\$$/);
+            if (column) {
+                return {
+                    column: column[1]
+                };
+            }
+            return {
+                value: token.value
+            };
+        },
+
+        __parseList: function () {
+            const listA = [];
+            const __add = function (operand) {
+                if (operand.column) {
+                    listA.push(operand);
+                } else {
+                    for (const value of String(operand.value).split(",")) {
+                        if (value.trim().length) {
+                            listA.push({
+                                value: value.trim()
+                            });
+                        }
+                    }
+                }
+            };
+            const token = this.__peek();
+            if (token && (token.type == "(")) {
+                this.nToken++;
+                while (this.__peek() && (this.__peek().type != ")")) {
+                    const item = this.__next();
+                    if (item.type == "string") {
+                        listA.push({
+                            value: item.value
+                        });
+                    } else {
+                        this.nToken--;
+                        __add(this.__parseValue());
+                    }
+                }
+                if (this.__next().type != ")") {
+                    throw new Error("missing ')'");
+                }
+            } else {
+                __add(this.__parseValue());
+            }
+            if (!listA.length) {
+                throw new Error("empty IN list");
+            }
+            return listA;
+        },
+
+        // ---------------------------------
+        // compiler
+        // ---------------------------------
+
+        __compileOperand: function (operand, indexA) {
+            if (operand.column == "*") {
+                return function (row) {
+                    return row.join("|");
+                };
+            }
+            if (operand.column) {
+                const index = indexA[operand.column];
+                return function (row) {
+                    return row[index];
+                };
+            }
+            const value = operand.value;
+            return function () {
+                return value;
+            };
+        },
+
+        __compileRegExp: function (operand, indexA, fSQL) {
+            const fRegExp = this.options.likeAsRegExp;
+            const __make = function (szPattern) {
+                szPattern = String(szPattern);
+                const slashed = szPattern.match(/^\/(.*)\/([gimsuy]*)$/);
+                if (slashed) {
+                    return new RegExp(slashed[1], slashed[2].replace("g", ""));
+                }
+                // SQL pattern with % (any characters) and _ (one character)
+                if (fSQL && szPattern.match(/%/)) {
+                    return new RegExp("^" + szPattern.split("%").map(function (part) {
+                        return part.split("_").map(__escapeRegExp).join(".");
+                    }).join(".*") + "$", "i");
+                }
+                if (fRegExp) {
+                    try {
+                        return new RegExp(szPattern, "i");
+                    } catch (e) {
+                        return new RegExp(__escapeRegExp(szPattern), "i");
+                    }
+                }
+                return new RegExp(__escapeRegExp(szPattern), "i");
+            };
+            if (operand.column) {
+                const getValue = this.__compileOperand(operand, indexA);
+                return function (row) {
+                    return __make(getValue(row));
+                };
+            }
+            const regex = __make(operand.value);
+            return function () {
+                return regex;
+            };
+        },
+
+        __compileNode: function (node, indexA) {
+            const __this = this;
+
+            if ((node.type == "and") || (node.type == "or")) {
+                const left = this.__compileNode(node.left, indexA);
+                const right = this.__compileNode(node.right, indexA);
+                return (node.type == "and") ?
+                    function (row) {
+                        return left(row) && right(row);
+                    } :
+                    function (row) {
+                        return left(row) || right(row);
+                    };
+            }
+            if (node.type == "not") {
+                const expr = this.__compileNode(node.expr, indexA);
+                return function (row) {
+                    return !expr(row);
+                };
+            }
+
+            const getField = this.__compileOperand(node.field, indexA);
+            let test = null;
+
+            switch (node.type) {
+                case "compare": {
+                    const getValue = this.__compileOperand(node.value, indexA);
+                    const op = node.op;
+                    test = function (row) {
+                        const fieldValue = getField(row);
+                        const value = getValue(row);
+                        if (op == "=") {
+                            if (value == "*") {
+                                return String(fieldValue).replace(/ /g, "") != "";
+                            }
+                            return __this.__compare(fieldValue, value) === 0;
+                        }
+                        if (op == "<>") {
+                            return __this.__compare(fieldValue, value) !== 0;
+                        }
+                        const result = __this.__compare(fieldValue, value);
+                        if (result === null) {
+                            return false;
+                        }
+                        return (op == ">") ? (result > 0) :
+                            (op == "<") ? (result < 0) :
+                            (op == ">=") ? (result >= 0) :
+                            (result <= 0);
+                    };
+                    break;
+                }
+                case "between": {
+                    const getValue = this.__compileOperand(node.value, indexA);
+                    const getValue2 = this.__compileOperand(node.value2, indexA);
+                    test = function (row) {
+                        const fieldValue = getField(row);
+                        const lower = __this.__compare(fieldValue, getValue(row));
+                        const upper = __this.__compare(fieldValue, getValue2(row));
+                        return (lower !== null) && (upper !== null) && (lower >= 0) && (upper <= 0);
+                    };
+                    break;
+                }
+                case "like":
+                case "regexp": {
+                    const getRegExp = this.__compileRegExp(node.value, indexA, node.type == "like");
+                    const fAny = (node.type == "like") && !node.value.column && (node.value.value == "*");
+                    test = function (row) {
+                        const fieldValue = (getField(row) == null) ? "" : String(getField(row));
+                        return fAny ? (fieldValue.length > 0) : getRegExp(row).test(fieldValue);
+                    };
+                    break;
+                }
+                case "in": {
+                    const getValueA = node.list.map(function (operand) {
+                        return __this.__compileOperand(operand, indexA);
+                    });
+                    test = function (row) {
+                        const fieldValue = String(getField(row));
+                        for (let i = 0; i < getValueA.length; i++) {
+                            if (String(getValueA[i](row)) == fieldValue) {
+                                return true;
+                            }
+                        }
+                        return false;
+                    };
+                    break;
+                }
+                case "null":
+                    test = function (row) {
+                        return __this.__isNull(getField(row));
+                    };
+                    break;
+            }
+
+            if (node.negate) {
+                return function (row) {
+                    return !test(row);
+                };
+            }
+            return test;
+        },
+
+        /**
+         * compare a cell value with a query value<br>
+         * numeric, if the query value is a number, else as string
+         * @returns -1, 0, 1 or null if not comparable
+         * @private
+         */
+        __compare: function (fieldValue, value) {
+            const nValue = __parseNumber(value, true);
+            if (!isNaN(nValue)) {
+                const nFieldValue = __parseNumber(fieldValue);
+                if (isNaN(nFieldValue)) {
+                    return (String(fieldValue) == String(value)) ? 0 : null;
+                }
+                return (nFieldValue < nValue) ? -1 : (nFieldValue > nValue) ? 1 : 0;
+            }
+            if (this.__isNull(fieldValue)) {
+                return (String(value) == "") ? 0 : null;
+            }
+            const szFieldValue = String(fieldValue);
+            const szValue = String(value);
+            return (szFieldValue < szValue) ? -1 : (szFieldValue > szValue) ? 1 : 0;
+        },
+
+        // empty cells, and 'null' as created by the JSON import, are NULL
+        __isNull: function (value) {
+            return (value == null) || (String(value).trim() === "") || (value === "null");
+        }
+    };
+
+    // @factory Data.expression(query: string, options?: Object)
+    // Instantiates a parsed selection query
+    //
+
+    Data.expression = function (szQuery, options) {
+        return new Data.Expression(szQuery, options);
+    };
+
+    // ---------------------------------
+    // F O R M U L A
+    // ---------------------------------
+
+    /**
+     * Create a new Data.Formula instance.
+     * <p>parses an arithmetic formula, which calculates a new value from the values of one table row.</p>
+     * <p>It is used by <b>Data.Table.addColumn()</b> with the option <b>expr</b>, and so by pipelines (see <b>Data.Table.apply()</b>), which must not contain javascript code.</p>
+     * <p>Column names are written as they are, if they contain only letters, digits, '_' and '.', else in double quotes or as $<em>column</em>$;
+     * strings are written in single quotes.</p>
+     *								   <table border='0' style='border-left: 1px solid #ddd;'>	
+     *								   <tr><th>element</th><th>description</th></tr>
+     *								   <tr><td><b>+ - * / % ^</b></td><td>arithmetic operators; + concatenates, if one of the operands is not a number</td></tr>
+     *								   <tr><td><b>round(x,digits)</b></td><td>rounds x to the given number of decimal digits (default 0)</td></tr>
+     *								   <tr><td><b>floor, ceil, abs, sqrt, log, exp</b></td><td>the javascript Math functions</td></tr>
+     *								   <tr><td><b>min, max, pow</b></td><td>the javascript Math functions; min and max ignore empty values</td></tr>
+     *								   <tr><td><b>coalesce(a,b,...)</b></td><td>the first not empty value</td></tr>
+     *								   <tr><td><b>concat(a,b,...), upper, lower, trim, substr(s,start,length)</b></td><td>string functions</td></tr>
+     *								   <tr><td><b>number(x)</b></td><td>the value as number</td></tr>
+     *								   </table> 
+     * <p>Empty or not numeric values make the result of arithmetic operators and functions empty (null).</p>
+     * @class It realizes a parsed formula
+     * @constructor
+     * @param {string} szFormula the formula
+     * @type {Data.Formula}
+     * @returns A new Data.Formula object
+     * @example
+     * var density = Data.formula('round(population / "area km2", 1)').compile(mydata.fields);
+     * var value = density(mydata.records[0]);
+     */
+    Data.Formula = function (szFormula) {
+        this.szFormula = String(szFormula || "");
+        this.tree = null;
+        this.error = null;
+        this.parse();
+    };
+
+    // a value as number; NaN if empty or not numeric
+    const __formulaNumber = function (value) {
+        if (typeof (value) === "number") {
+            return value;
+        }
+        if (typeof (value) === "boolean") {
+            return NaN;
+        }
+        return (value instanceof Date) ? value.getTime() : __parseNumber(value, true);
+    };
+
+    // the result of a numeric operation; null for NaN or infinite results
+    const __formulaResult = function (nValue) {
+        return isFinite(nValue) ? nValue : null;
+    };
+
+    // the functions available in formulas; arguments are the evaluated values
+    const __formulaFunctionA = {
+        round: function (value, digits) {
+            const nFactor = Math.pow(10, __formulaNumber(digits) || 0);
+            return __formulaResult(Math.round(__formulaNumber(value) * nFactor) / nFactor);
+        },
+        floor: function (value) {
+            return __formulaResult(Math.floor(__formulaNumber(value)));
+        },
+        ceil: function (value) {
+            return __formulaResult(Math.ceil(__formulaNumber(value)));
+        },
+        abs: function (value) {
+            return __formulaResult(Math.abs(__formulaNumber(value)));
+        },
+        sqrt: function (value) {
+            return __formulaResult(Math.sqrt(__formulaNumber(value)));
+        },
+        log: function (value) {
+            return __formulaResult(Math.log(__formulaNumber(value)));
+        },
+        exp: function (value) {
+            return __formulaResult(Math.exp(__formulaNumber(value)));
+        },
+        pow: function (value, exponent) {
+            return __formulaResult(Math.pow(__formulaNumber(value), __formulaNumber(exponent)));
+        },
+        min: function () {
+            const valuesA = Array.prototype.map.call(arguments, __formulaNumber).filter(function (nValue) {
+                return !isNaN(nValue);
+            });
+            return valuesA.length ? Math.min.apply(null, valuesA) : null;
+        },
+        max: function () {
+            const valuesA = Array.prototype.map.call(arguments, __formulaNumber).filter(function (nValue) {
+                return !isNaN(nValue);
+            });
+            return valuesA.length ? Math.max.apply(null, valuesA) : null;
+        },
+        number: function (value) {
+            return __formulaResult(__formulaNumber(value));
+        },
+        coalesce: function () {
+            for (let i = 0; i < arguments.length; i++) {
+                if (!__isEmptyValue(arguments[i])) {
+                    return arguments[i];
+                }
+            }
+            return null;
+        },
+        concat: function () {
+            return Array.prototype.map.call(arguments, function (value) {
+                return (value == null) ? "" : String(value);
+            }).join("");
+        },
+        upper: function (value) {
+            return (value == null) ? null : String(value).toUpperCase();
+        },
+        lower: function (value) {
+            return (value == null) ? null : String(value).toLowerCase();
+        },
+        trim: function (value) {
+            return (value == null) ? null : String(value).trim();
+        },
+        substr: function (value, start, length) {
+            if (value == null) {
+                return null;
+            }
+            const nStart = __formulaNumber(start) || 0;
+            return (length == null) ? String(value).substr(nStart) : String(value).substr(nStart, __formulaNumber(length));
+        }
+    };
+
+    Data.Formula.prototype = {
+
+        /**
+         * parse the formula into the expression tree
+         * on syntax errors the tree is null and .error contains the message
+         * @type {Data.Formula}
+         * @returns itself
+         */
+        parse: function () {
+            try {
+                this.tokenA = this.__tokenize(this.szFormula);
+                this.nToken = 0;
+                if (!this.tokenA.length) {
+                    throw new Error("empty formula");
+                }
+                this.tree = this.__parseSum();
+                if (this.nToken < this.tokenA.length) {
+                    throw new Error("unexpected '" + this.tokenA[this.nToken].value + "'");
+                }
+            } catch (e) {
+                this.tree = null;
+                this.error = "formula error - " + e.message + "!\nformula: " + this.szFormula;
+            }
+            return this;
+        },
+
+        /**
+         * get the names of all columns referenced by the formula
+         * @type {Array}
+         * @returns {Array} the column names
+         */
+        columns: function () {
+            const columnsA = [];
+            const __collect = function (node) {
+                if (!node) {
+                    return;
+                }
+                if ((node.type == "column") && !columnsA.includes(node.column)) {
+                    columnsA.push(node.column);
+                }
+                __collect(node.left);
+                __collect(node.right);
+                __collect(node.expr);
+                (node.args || []).forEach(__collect);
+            };
+            __collect(this.tree);
+            return columnsA;
+        },
+
+        /**
+         * compile the formula against the fields of a table
+         * @param {Array} fields the fields of a Data.Table (array of {id:"column name"})
+         * @type {function}
+         * @returns {function} function(row) which returns the calculated value for a row (array of values),<br>
+         * or null, if the formula is invalid or refers to unknown columns (see .error)
+         */
+        compile: function (fields) {
+            if (!this.tree) {
+                return null;
+            }
+            const indexA = {};
+            for (let i = 0, len = fields.length; i < len; i++) {
+                if (typeof (indexA[fields[i].id]) === "undefined") {
+                    indexA[fields[i].id] = i;
+                }
+            }
+            const missingA = this.columns().filter(function (column) {
+                return typeof (indexA[column]) === "undefined";
+            });
+            if (missingA.length) {
+                this.error = "formula error - column '" + missingA.join("', '") + "' not found!\nformula: " + this.szFormula;
+                return null;
+            }
+            return this.__compileNode(this.tree, indexA, fields);
+        },
+
+        // ---------------------------------
+        // tokenizer
+        // ---------------------------------
+
+        __tokenize: function (szText) {
+            const tokenA = [];
+            let i = 0;
+            while (i < szText.length) {
+                const c = szText[i];
+                if (c.match(/\s/)) {
+                    i++;
+                } else
+                if ((c == '"') || (c == "'") || (c == "$")) {
+                    const end = szText.indexOf(c, i + 1);
+                    if (end < 0) {
+                        throw new Error("missing closing " + c);
+                    }
+                    tokenA.push({
+                        type: (c == "'") ? "string" : "column",
+                        value: szText.substring(i + 1, end)
+                    });
+                    i = end + 1;
+                } else
+                if ("+-*/%^(),".indexOf(c) >= 0) {
+                    tokenA.push({
+                        type: c,
+                        value: c
+                    });
+                    i++;
+                } else {
+                    const number = szText.substr(i).match(/^(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?(?![\w.])/);
+                    if (number) {
+                        tokenA.push({
+                            type: "number",
+                            value: Number(number[0])
+                        });
+                        i += number[0].length;
+                        continue;
+                    }
+                    let end = i;
+                    while ((end < szText.length) && !szText[end].match(/[\s"'$+\-*/%^(),]/)) {
+                        end++;
+                    }
+                    tokenA.push({
+                        type: "word",
+                        value: szText.substring(i, end)
+                    });
+                    i = end;
+                }
+            }
+            return tokenA;
+        },
+
+        // ---------------------------------
+        // parser (recursive descent)
+        // ---------------------------------
+
+        __peek: function () {
+            return this.tokenA[this.nToken];
+        },
+
+        __next: function () {
+            const token = this.tokenA[this.nToken++];
+            if (!token) {
+                throw new Error("incomplete formula");
+            }
+            return token;
+        },
+
+        __parseSum: function () {
+            let node = this.__parseProduct();
+            while (this.__peek() && ((this.__peek().type == "+") || (this.__peek().type == "-"))) {
+                node = {
+                    type: "op",
+                    op: this.__next().type,
+                    left: node,
+                    right: this.__parseProduct()
+                };
+            }
+            return node;
+        },
+
+        __parseProduct: function () {
+            let node = this.__parseUnary();
+            while (this.__peek() && this.__peek().type.match(/^[*/%]$/)) {
+                node = {
+                    type: "op",
+                    op: this.__next().type,
+                    left: node,
+                    right: this.__parseUnary()
+                };
+            }
+            return node;
+        },
+
+        __parseUnary: function () {
+            const token = this.__peek();
+            if (token && (token.type == "-")) {
+                this.nToken++;
+                return {
+                    type: "neg",
+                    expr: this.__parseUnary()
+                };
+            }
+            if (token && (token.type == "+")) {
+                this.nToken++;
+                return this.__parseUnary();
+            }
+            const node = this.__parsePrimary();
+            if (this.__peek() && (this.__peek().type == "^")) {
+                this.nToken++;
+                return {
+                    type: "op",
+                    op: "^",
+                    left: node,
+                    right: this.__parseUnary()
+                };
+            }
+            return node;
+        },
+
+        __parsePrimary: function () {
+            const token = this.__next();
+            if ((token.type == "number") || (token.type == "string")) {
+                return {
+                    type: "value",
+                    value: token.value
+                };
+            }
+            if (token.type == "column") {
+                return {
+                    type: "column",
+                    column: token.value
+                };
+            }
+            if (token.type == "(") {
+                const node = this.__parseSum();
+                if (this.__next().type != ")") {
+                    throw new Error("missing ')'");
+                }
+                return node;
+            }
+            if (token.type == "word") {
+                // a word followed by '(' is a function
+                if (!this.__peek() || (this.__peek().type != "(")) {
+                    return {
+                        type: "column",
+                        column: token.value
+                    };
+                }
+                const szFunction = token.value.toLowerCase();
+                if (!Object.prototype.hasOwnProperty.call(__formulaFunctionA, szFunction)) {
+                    throw new Error("unknown function '" + token.value + "'");
+                }
+                this.nToken++;
+                const argsA = [];
+                if (this.__peek() && (this.__peek().type == ")")) {
+                    this.nToken++;
+                } else {
+                    argsA.push(this.__parseSum());
+                    let next = this.__next();
+                    while (next.type == ",") {
+                        argsA.push(this.__parseSum());
+                        next = this.__next();
+                    }
+                    if (next.type != ")") {
+                        throw new Error("missing ')'");
+                    }
+                }
+                return {
+                    type: "function",
+                    fn: szFunction,
+                    args: argsA
+                };
+            }
+            throw new Error("unexpected '" + token.value + "'");
+        },
+
+        // ---------------------------------
+        // compiler
+        // ---------------------------------
+
+        __compileNode: function (node, indexA, fields) {
+            switch (node.type) {
+                case "value": {
+                    const value = node.value;
+                    return function () {
+                        return value;
+                    };
+                }
+                case "column": {
+                    const index = indexA[node.column];
+                    const field = fields[index];
+                    // typed columns give their typed values (numbers with decimal comma, dates, ...)
+                    if (field.type && (field.type != "string")) {
+                        return function (row) {
+                            return __typedValue(row[index], field);
+                        };
+                    }
+                    return function (row) {
+                        return row[index];
+                    };
+                }
+                case "neg": {
+                    const expr = this.__compileNode(node.expr, indexA, fields);
+                    return function (row) {
+                        return __formulaResult(-__formulaNumber(expr(row)));
+                    };
+                }
+                case "function": {
+                    const fn = __formulaFunctionA[node.fn];
+                    const argsA = node.args.map(function (arg) {
+                        return this.__compileNode(arg, indexA, fields);
+                    }, this);
+                    return function (row) {
+                        return fn.apply(null, argsA.map(function (arg) {
+                            return arg(row);
+                        }));
+                    };
+                }
+                case "op": {
+                    const left = this.__compileNode(node.left, indexA, fields);
+                    const right = this.__compileNode(node.right, indexA, fields);
+                    const op = node.op;
+                    return function (row) {
+                        const leftValue = left(row);
+                        const rightValue = right(row);
+                        const nLeft = __formulaNumber(leftValue);
+                        const nRight = __formulaNumber(rightValue);
+                        if (op == "+") {
+                            if (__isEmptyValue(leftValue) || __isEmptyValue(rightValue)) {
+                                return null;
+                            }
+                            if (isNaN(nLeft) || isNaN(nRight)) {
+                                return String(leftValue) + String(rightValue);
+                            }
+                            return nLeft + nRight;
+                        }
+                        return __formulaResult((op == "-") ? (nLeft - nRight) :
+                            (op == "*") ? (nLeft * nRight) :
+                            (op == "/") ? (nLeft / nRight) :
+                            (op == "%") ? (nLeft % nRight) :
+                            Math.pow(nLeft, nRight));
+                    };
+                }
+            }
+            return null;
+        }
+    };
+
+    // @factory Data.formula(formula: string)
+    // Instantiates a parsed formula
+    //
+
+    Data.formula = function (szFormula) {
+        return new Data.Formula(szFormula);
+    };
+
+
+    // ---------------------------------------------------------------------------------
+    //
+    // additional specific functions (not core, can also be realized by above functions)
+    //
+    // ---------------------------------------------------------------------------------
+
+    /**
+     * creates new columns on base of a timestamp that contain the following time orders <br>
+     * date,year,month,day,hour
+     * <br>
+     * @param data the input tabel (array of arrarys)
+     * @param options generation options
+     * @type {Array}
+     * @returns the pivot table
+     * @example
+     * <br><br>
+     * <strong>options definition object:</strong>
+     *		var options = { "source":	'name of timestamp column',
+     *						"create":	['date','year','month','day','hour']
+     *					}
+     *	<br>
+     *  source: the sourcetable field that contains the toime stamp
+     *  create: [optional] an array of columns to creaate
+     *          to define only if not wished to create all of above listed time columns
+     */
+    Data.Table.prototype.addTimeColumns = function (options) {
+
+        if (!options.source) {
+            return null;
+        }
+
+        for (const column in this.fields) {
+            if (this.fields[column].id == options.source) {
+
+                // make fields object
+                // ------------------
+
+                // copy orig fields 
+                let timeCollA = options.create || ['date', 'year', 'month', 'day', 'hour'];
+
+                // add new time columns 
+                for (let i = 0; i < timeCollA.length; i++) {
+                    this.fields.push({
+                        id: String(timeCollA[i])
+                    });
+                    this.table.fields++;
+                }
+
+                // make values 
+                // ------------------
+                let length = this.records.length;
+                let j = 0;
+                for (j = 0; j < length; j++) {
+
+                    // add new time column values
+                    let d = new Date(this.records[j][column]);
+                    if (d) {
+                        for (let i = 0; i < timeCollA.length; i++) {
+                            switch (timeCollA[i]) {
+                                case 'date':
+                                    let date = String(d.getDate()) + "." + String(d.getMonth() + 1) + "." + String(d.getFullYear());
+                                    this.records[j].push(date);
+                                    break;
+                                case 'year':
+                                    this.records[j].push(d.getFullYear());
+                                    break;
+                                case 'month':
+                                    this.records[j].push(d.getMonth() + 1);
+                                    break;
+                                case 'day':
+                                    this.records[j].push(d.getDay());
+                                    break;
+                                case 'hour':
+                                    this.records[j].push(d.getHours());
+                                    break;
+                            }
+                        }
+                    }
+                }
+
+            }
+        }
+
+        return this;
+    };
+
+    /**
+     * creates new columns with window functions, calculated for the rows of every partition in a given order<br>
+     * the order of the table rows is not changed
+     * <br>
+     * @param options window definition
+     * @type {Data.Table}
+     * @returns the table with the new column(s)
+     * @example
+     * <br><br>
+     * <strong>options definition object:</strong>
+     *		var options = { "partition":	'name of the column(s) that define the groups',
+     *						"order":		'name of the column to order the rows of a group',
+     *						"column":		'name of the value column',
+     *						"fn":			'rank' | 'cumsum' | 'lag' | 'lead' | 'rolling_mean',
+     *						"size":			7
+     *					}
+     *	<br>
+     *  partition:   [optional] one or more columns (array or '|' separated); without partition the whole table is one group
+     *  order:       [optional] the order column; typed number and date columns and all numeric columns are sorted as numbers,
+     *               others as strings (ISO dates); default is the row order
+     *  descending:  [optional] true to order descending
+     *  column:      the value column (for rank: [optional], default is the order column)
+     *  fn:          the window function or an array of functions
+     *               rank:         rank of the row within the group by the order column, or without order by the value column;
+     *                             1 = smallest or, if descending, biggest; equal values get the same rank
+     *               cumsum:       running total of the values; empty for rows without value
+     *               lag:          the value 'size' rows before (default 1)
+     *               lead:         the value 'size' rows after (default 1)
+     *               rolling_mean: mean of the values of the last 'size' rows including the actual one; empty, if there are less rows
+     *                             or no values; empty and not numeric values are not counted
+     *               the values are read as numbers by the decimal mark of a typed column (see setTypes())
+     *  size:        [optional] offset for lag/lead, window size for rolling_mean
+     *  destination: [optional] the name of the new column; default: column + '_' + fn
+     *
+     * // year over year change and 7 day moving average per region
+     * mydata.window({"partition":"region","order":"date","column":"cases","fn":["lag","rolling_mean"],"size":7});
+     *
+     * // a blank value is skipped: the rolling mean of 10 and "" is 10
+     * mydata.window({"column":"cases","fn":"rolling_mean","size":2});
+     */
+    Data.Table.prototype.window = function (options) {
+
+        const fnA = __toArray(options.fn);
+        const szValueColumn = options.column || options.order;
+
+        if (!fnA.length) {
+            __error("INVALID_OPTION", "'data.window' no function defined!", {
+                source: "window"
+            });
+            return null;
+        }
+        // check all functions before adding any column
+        for (const szFn of fnA) {
+            if (!['rank', 'cumsum', 'lag', 'lead', 'rolling_mean'].includes(szFn)) {
+                __error("INVALID_OPTION", "'data.window' unknown function '" + szFn + "'!", {
+                    source: "window"
+                });
+                return null;
+            }
+        }
+
+        const partitionA = [];
+        for (const szColumn of __toArray(options.partition)) {
+            const index = this.columnIndex(szColumn);
+            if (index == null) {
+                __error("COLUMN_NOT_FOUND", "'data.window' partition column '" + szColumn + "' not found!", {
+                    source: "window",
+                    column: szColumn
+                });
+                return null;
+            }
+            partitionA.push(index);
+        }
+        const orderIndex = options.order ? this.columnIndex(options.order) : null;
+        if (options.order && (orderIndex == null)) {
+            __error("COLUMN_NOT_FOUND", "'data.window' order column '" + options.order + "' not found!", {
+                source: "window",
+                column: options.order
+            });
+            return null;
+        }
+        const valueIndex = szValueColumn ? this.columnIndex(szValueColumn) : null;
+        if (valueIndex == null) {
+            __error("COLUMN_NOT_FOUND", "'data.window' value column '" + (szValueColumn || "") + "' not found!", {
+                source: "window",
+                column: szValueColumn
+            });
+            return null;
+        }
+
+        // group the row indices by partition
+        const groupsA = {};
+        for (let j = 0, len = this.records.length; j < len; j++) {
+            const szKey = partitionA.map(function (index) {
+                return String(this.records[j][index]);
+            }, this).join("|");
+            (groupsA[szKey] = groupsA[szKey] || []).push(j);
+        }
+
+        // sort every group by the order column (rank without order: by the value column)
+        const sortIndex = (orderIndex != null) ? orderIndex : (fnA.includes('rank') ? valueIndex : null);
+        if (sortIndex != null) {
+            // typed number and date columns by the typed value, untyped columns as numbers only if all values are numbers,
+            // else as strings (ISO dates sort correctly as strings); empty values at the end
+            const records = this.records;
+            const sortField = this.fields[sortIndex];
+            const fTyped = sortField && String(sortField.type).match(/^(number|integer|date)$/);
+            const fNumber = !fTyped && records.every(function (row) {
+                return __isEmptyValue(row[sortIndex]) || !isNaN(__parseNumber(row[sortIndex], true));
+            });
+            const orderA = records.map(function (row) {
+                if (__isEmptyValue(row[sortIndex])) {
+                    return null;
+                }
+                if (fTyped) {
+                    const typedValue = __typedValue(row[sortIndex], sortField);
+                    return (typedValue == null) ? null : Number(typedValue);
+                }
+                return fNumber ? __parseNumber(row[sortIndex], true) : String(row[sortIndex]);
+            });
+            const nDirection = options.descending ? -1 : 1;
+            for (const szKey in groupsA) {
+                groupsA[szKey].sort(function (a, b) {
+                    const va = orderA[a];
+                    const vb = orderA[b];
+                    if (va === vb) {
+                        return a - b;
+                    }
+                    if (va === null) {
+                        return 1;
+                    }
+                    if (vb === null) {
+                        return -1;
+                    }
+                    return ((va < vb) ? -1 : (va > vb) ? 1 : (a - b)) * nDirection;
+                });
+            }
+        }
+
+        const nSize = Number(options.size) || 1;
+        const valueField = this.fields[valueIndex];
+
+        for (const szFn of fnA) {
+
+            const valuesA = new Array(this.records.length).fill("");
+
+            for (const szKey in groupsA) {
+                const rowA = groupsA[szKey];
+                // NaN for empty and not numeric values
+                const nValueA = rowA.map(function (j) {
+                    return __toNumber(this.records[j][valueIndex], valueField.decimalMark);
+                }, this);
+
+                switch (szFn) {
+                    case 'rank': {
+                        let nRank = 0;
+                        for (let i = 0; i < rowA.length; i++) {
+                            if ((i == 0) || (String(this.records[rowA[i]][sortIndex]) != String(this.records[rowA[i - 1]][sortIndex]))) {
+                                nRank = i + 1;
+                            }
+                            valuesA[rowA[i]] = nRank;
+                        }
+                        break;
+                    }
+                    case 'cumsum': {
+                        let nSum = 0;
+                        for (let i = 0; i < rowA.length; i++) {
+                            if (!isNaN(nValueA[i])) {
+                                nSum += nValueA[i];
+                                valuesA[rowA[i]] = nSum;
+                            }
+                        }
+                        break;
+                    }
+                    case 'lag':
+                    case 'lead': {
+                        const nOffset = (szFn == 'lag') ? -nSize : nSize;
+                        for (let i = 0; i < rowA.length; i++) {
+                            if ((i + nOffset >= 0) && (i + nOffset < rowA.length)) {
+                                valuesA[rowA[i]] = this.records[rowA[i + nOffset]][valueIndex];
+                            }
+                        }
+                        break;
+                    }
+                    case 'rolling_mean': {
+                        let nSum = 0;
+                        let nCount = 0;
+                        for (let i = 0; i < rowA.length; i++) {
+                            if (!isNaN(nValueA[i])) {
+                                nSum += nValueA[i];
+                                nCount++;
+                            }
+                            if ((i >= nSize) && !isNaN(nValueA[i - nSize])) {
+                                nSum -= nValueA[i - nSize];
+                                nCount--;
+                            }
+                            if ((i >= nSize - 1) && nCount) {
+                                valuesA[rowA[i]] = nSum / nCount;
+                            }
+                        }
+                        break;
+                    }
+                }
+            }
+
+            // add the new column
+            this.fields.push({
+                id: String((options.destination && (fnA.length == 1)) ? options.destination : (szValueColumn + "_" + szFn)),
+                created: true
+            });
+            this.table.fields++;
+            for (let j = 0, len = this.records.length; j < len; j++) {
+                this.records[j].push(valuesA[j]);
+            }
+        }
+
+        return this;
+    };
+
+    /**
+     * iterate the rows of the table asynchronously, yielding to the browser after every batch of rows<br>
+     * so that large tables can be processed without blocking the page
+     * @param {Object} [options] iteration options
+     *								   <table border='0' style='border-left: 1px solid #ddd;'>	
+     *								   <tr><td><b>"objects"</b></td><td>if true, every row is yielded as object with the column names as keys; default: the row array</td></tr>
+     *								   <tr><td><b>"batch"</b></td><td>number of rows between two yields to the browser (default 10000)</td></tr>
+     *								   <tr><td><b>"signal"</b></td><td>an AbortSignal to stop the iteration</td></tr>
+     *								   </table> 
+     * @type {AsyncGenerator}
+     * @returns an async iterator over the rows
+     * @example
+     * for await (const row of mydata.rows({objects: true})) {
+     *     total += row.population;
+     * }
+     * // or, iterating the row arrays
+     * for await (const row of mydata) {
+     *     ...
+     * }
+     */
+    Data.Table.prototype.rows = async function* (options) {
+
+        const opt = options || {};
+        const nBatch = opt.batch || 10000;
+        const fieldsA = this.fields.map(function (field) {
+            return field.id;
+        });
+
+        for (let j = 0, len = this.records.length; j < len; j++) {
+            if (j && !(j % nBatch)) {
+                await new Promise(function (resolve) {
+                    setTimeout(resolve, 0);
+                });
+            }
+            if (opt.signal && opt.signal.aborted) {
+                return;
+            }
+            const row = this.records[j];
+            if (opt.objects) {
+                const rowObj = {};
+                for (let i = 0; i < fieldsA.length; i++) {
+                    rowObj[fieldsA[i]] = row[i];
+                }
+                yield rowObj;
+            } else {
+                yield row;
+            }
+        }
+    };
+
+    /**
+     * makes the table usable with <b>for await</b>; iterates the row arrays
+     * @type {AsyncGenerator}
+     * @returns an async iterator over the rows
+     */
+    Data.Table.prototype[Symbol.asyncIterator] = function () {
+        return this.rows();
+    };
+
+    // the steps of a pipeline (see Data.Table.apply); every step gets the table and the step argument
+    // and returns the resulting table
+    const __pipelineStepA = {
+        select: function (table, szSelection) {
+            return table.select(szSelection);
+        },
+        addColumn: function (table, options) {
+            if (!options.expr && !options.values) {
+                __error("INVALID_OPTION", "'data.apply' addColumn needs 'expr' or 'values'!", {
+                    source: "apply"
+                });
+                return null;
+            }
+            return table.addColumn(options);
+        },
+        aggregate: function (table, options) {
+            return table.aggregate(options);
+        },
+        condense: function (table, options) {
+            return table.condense(options);
+        },
+        groupColumns: function (table, options) {
+            return table.groupColumns(options);
+        },
+        pivot: function (table, options) {
+            return table.pivot(options);
+        },
+        unpivot: function (table, options) {
+            return table.unpivot(options);
+        },
+        transpose: function (table, options) {
+            return table.transpose(options);
+        },
+        subtable: function (table, options) {
+            return table.subtable(__isArray(options) ? {
+                fields: options
+            } : options);
+        },
+        sort: function (table, options) {
+            const szColumn = (typeof (options) == "string") ? options : options.column;
+            if (table.columnIndex(szColumn) == null) {
+                __error("COLUMN_NOT_FOUND", "'data.apply' sort column '" + szColumn + "' not found!", {
+                    source: "apply",
+                    column: szColumn
+                });
+                return null;
+            }
+            return table.sort(szColumn, options.order);
+        },
+        rename: function (table, columnsObj) {
+            for (const szColumn in columnsObj) {
+                const column = table.column(szColumn);
+                if (!column) {
+                    __error("COLUMN_NOT_FOUND", "'data.apply' rename column '" + szColumn + "' not found!", {
+                        source: "apply",
+                        column: szColumn
+                    });
+                    return null;
+                }
+                column.rename(columnsObj[szColumn]);
+            }
+            return table;
+        },
+        remove: function (table, columns) {
+            for (const szColumn of __toArray(columns)) {
+                const column = table.column(szColumn);
+                if (!column) {
+                    __error("COLUMN_NOT_FOUND", "'data.apply' remove column '" + szColumn + "' not found!", {
+                        source: "apply",
+                        column: szColumn
+                    });
+                    return null;
+                }
+                column.remove();
+            }
+            return table;
+        },
+        window: function (table, options) {
+            return table.window(options);
+        },
+        addTimeColumns: function (table, options) {
+            return table.addTimeColumns(options);
+        },
+        inferTypes: function (table, options) {
+            return table.inferTypes((typeof (options) == "object") ? options : {});
+        },
+        setTypes: function (table, schema) {
+            return table.setTypes(schema);
+        },
+        convertTypes: function (table) {
+            return table.convertTypes();
+        },
+        revert: function (table) {
+            return table.revert();
+        },
+        reverse: function (table) {
+            return table.reverse();
+        }
+    };
+
+    // a copy of a table to run a pipeline on; fields and rows are copied, so the steps don't change the original table
+    const __copyTable = function (table) {
+        const copy = new Data.Table();
+        copy.table = Object.assign({}, table.table);
+        copy.fields = table.fields.map(function (field) {
+            return Object.assign({}, field);
+        });
+        copy.records = table.records.map(function (row) {
+            return row.slice();
+        });
+        if (table.sdmx) {
+            copy.sdmx = table.sdmx;
+        }
+        return copy;
+    };
+
+    // run a pipeline on a table; returns {table} or {error}, the error is already reported
+    // the steps may change the given table, run it on a copy (__copyTable) if the table is used elsewhere
+    const __applyPipeline = function (table, pipeline) {
+
+        let stepA = null;
+        try {
+            // a copy, because some methods change their options; also checks that the pipeline is plain JSON
+            stepA = JSON.parse((typeof (pipeline) == "string") ? pipeline : JSON.stringify(pipeline));
+        } catch (e) {
+            return {
+                error: __error("INVALID_OPTION", "'data.apply' pipeline is not valid JSON: " + e.message, {
+                    source: "apply",
+                    cause: e
+                })
+            };
+        }
+        if (!__isArray(stepA)) {
+            return {
+                error: __error("INVALID_OPTION", "'data.apply' pipeline must be an array of steps!", {
+                    source: "apply"
+                })
+            };
+        }
+
+        for (let i = 0; i < stepA.length; i++) {
+            const keysA = (stepA[i] && (typeof (stepA[i]) == "object")) ? Object.keys(stepA[i]) : [];
+            const szStep = keysA[0];
+            if ((keysA.length != 1) || !Object.prototype.hasOwnProperty.call(__pipelineStepA, szStep)) {
+                return {
+                    error: __error("INVALID_OPTION", "'data.apply' step " + (i + 1) + ": unknown step '" + keysA.join(",") + "'!", {
+                        source: "apply"
+                    })
+                };
+            }
+            _LOG("Data.apply: step " + (i + 1) + " " + szStep);
+
+            // a step fails, if it returns nothing or reports an error
+            const nErrors = __nErrors;
+            let result = null;
+            try {
+                result = __pipelineStepA[szStep](table, stepA[i][szStep]);
+            } catch (e) {
+                return {
+                    error: __error("INVALID_OPTION", "'data.apply' step " + (i + 1) + " '" + szStep + "' failed: " + e.message, {
+                        source: "apply",
+                        cause: e
+                    })
+                };
+            }
+            if (!result || (__nErrors > nErrors)) {
+                return {
+                    error: (__nErrors > nErrors) ? Data.errors[Data.errors.length - 1] : __error("INVALID_OPTION", "'data.apply' step " + (i + 1) + " '" + szStep + "' failed!", {
+                        source: "apply"
+                    })
+                };
+            }
+            table = result;
+        }
+
+        return {
+            table: table
+        };
+    };
+
+    /**
+     * executes a pipeline: a list of transformation steps defined as JSON, so it can be stored in a theme or project definition<br>
+     * every step is an object with one property: the name of the step and its argument;<br>
+     * the steps are executed like the Data.Table method of the same name, the result of one step is the input of the next;<br>
+     * the pipeline runs on a copy, the table itself is not changed
+     * <br>
+     * @param {Array|string} pipeline the array of steps, or its JSON string
+     *								   <table border='0' style='border-left: 1px solid #ddd;'>	
+     *								   <tr><th>step</th><th>argument</th></tr>
+     *								   <tr><td><b>select</b></td><td>the selection query, see {@link Data.Table#select}</td></tr>
+     *								   <tr><td><b>addColumn</b></td><td>{destination, expr} with a formula (see {@link Data.Formula}), or {destination, values}</td></tr>
+     *								   <tr><td><b>aggregate</b></td><td>{column, lead, calc}, see {@link Data.Table#aggregate}</td></tr>
+     *								   <tr><td><b>condense</b></td><td>{lead, keep, calc}, see {@link Data.Table#condense}</td></tr>
+     *								   <tr><td><b>groupColumns</b></td><td>{source, destination}, see {@link Data.Table#groupColumns}</td></tr>
+     *								   <tr><td><b>pivot, unpivot, transpose, window, addTimeColumns</b></td><td>the options of the method</td></tr>
+     *								   <tr><td><b>subtable</b></td><td>the array of column names, or {fields} or {columns}</td></tr>
+     *								   <tr><td><b>sort</b></td><td>the column name, or {column, order}; order "DOWN" sorts descending</td></tr>
+     *								   <tr><td><b>rename</b></td><td>{"old name": "new name", ...}</td></tr>
+     *								   <tr><td><b>remove</b></td><td>the column name or an array of column names</td></tr>
+     *								   <tr><td><b>inferTypes, setTypes, convertTypes</b></td><td>the options, the schema, or true</td></tr>
+     *								   <tr><td><b>revert, reverse</b></td><td>true</td></tr>
+     *								   </table> 
+     * @type {Data.Table}
+     * @returns the resulting table, or null, if a step fails (the error is reported, see {@link Data.Error})
+     * @example
+     * var result = mydata.apply([
+     *     {"select": 'WHERE "year" >= "2020"'},
+     *     {"addColumn": {"destination": "density", "expr": "round(population / area, 1)"}},
+     *     {"aggregate": {"column": "density", "lead": "region", "calc": "mean"}},
+     *     {"sort": {"column": "density", "order": "DOWN"}}
+     * ]);
+     */
+    Data.Table.prototype.apply = function (pipeline) {
+        return __applyPipeline(__copyTable(this), pipeline).table || null;
+    };
+
+    // ---------------------------------
+    // S P A T I A L   J O I N
+    // ---------------------------------
+
+    /**
+     * get the geometry of the rows of a table: from a geometry column (GeoJSON or WKT) or from lat/lon columns;<br>
+     * without options the first column of type geometry, or named geometry/geom, or lat/lon columns are used
+     * @param {Data.Table} table the table
+     * @param {Object} options {geometry: column, lat: column, lon: column}
+     * @returns {Object} {read: function(row) returning the GeoJSON geometry or null, geometryIndex, latIndex, lonIndex,
+     * unsupported: count of the WKT geometries read, which are not POINT (only POINT WKT is converted)}, or null if not found
+     * @private
+     */
+    const __geometryReader = function (table, options) {
+        options = options || {};
+        const fields = table.fields;
+
+        const __find = function (regex) {
+            for (let i = 0; i < fields.length; i++) {
+                if (String(fields[i].id).match(regex)) {
+                    return fields[i].id;
+                }
+            }
+            return null;
+        };
+
+        let szGeometry = options.geometry;
+        let szLat = options.lat;
+        let szLon = options.lon || options.lng;
+        if (!szGeometry && !(szLat && szLon)) {
+            szGeometry = fields.filter(function (field) {
+                return field.type == "geometry";
+            }).map(function (field) {
+                return field.id;
+            })[0] || __find(/^(geometry|geom)$/i);
+            if (!szGeometry) {
+                szLat = __find(/^(lat|latitude)$/i);
+                szLon = __find(/^(lon|lng|long|longitude)$/i);
+            }
+        }
+        const geometryIndex = szGeometry ? table.columnIndex(szGeometry) : null;
+        const latIndex = szLat ? table.columnIndex(szLat) : null;
+        const lonIndex = szLon ? table.columnIndex(szLon) : null;
+        if ((geometryIndex == null) && ((latIndex == null) || (lonIndex == null))) {
+            return null;
+        }
+
+        const reader = {
+            geometryIndex: (geometryIndex == null) ? null : Number(geometryIndex),
+            latIndex: (latIndex == null) ? null : Number(latIndex),
+            lonIndex: (lonIndex == null) ? null : Number(lonIndex),
+            unsupported: 0,
+            read: function (row) {
+                if (geometryIndex != null) {
+                    let geometry = row[geometryIndex];
+                    if (typeof (geometry) === "string") {
+                        if (geometry.match(/^\s*[A-Z]+\s*\(/i)) {
+                            geometry = Data.Feed.prototype.__wktToGeoJSON(geometry);
+                        }
+                        try {
+                            geometry = JSON.parse(geometry);
+                        } catch (e) {
+                            return null;
+                        }
+                        // __wktToGeoJSON converts only POINT
+                        if (geometry && (geometry.type == "WKT")) {
+                            reader.unsupported++;
+                            return null;
+                        }
+                    }
+                    return (geometry && (geometry.coordinates || geometry.geometries)) ? geometry : (geometry && geometry.geometry) ? geometry.geometry : null;
+                }
+                const nLat = __toNumber(row[latIndex], fields[latIndex].decimalMark);
+                const nLon = __toNumber(row[lonIndex], fields[lonIndex].decimalMark);
+                return (isNaN(nLat) || isNaN(nLon)) ? null : {
+                    type: "Point",
+                    coordinates: [nLon, nLat]
+                };
+            }
+        };
+        return reader;
+    };
+
+    // km per degree of latitude; of longitude at the equator
+    const __KM_PER_DEGREE_LAT = 110.574;
+    const __KM_PER_DEGREE_LON = 111.320;
+
+    // make a shape from a GeoJSON geometry, to test and measure it:
+    // {points: all vertices, lines: all lines and polygon rings, polygons: arrays of rings, box: [minx,miny,maxx,maxy]}
+    const __shape = function (geometry) {
+        const shape = {
+            points: [],
+            lines: [],
+            polygons: []
+        };
+        const __add = function (geometry) {
+            if (!geometry) {
+                return;
+            }
+            const coordinates = geometry.coordinates;
+            switch (geometry.type) {
+                case "Point":
+                    shape.points.push(coordinates);
+                    break;
+                case "MultiPoint":
+                    shape.points.push.apply(shape.points, coordinates);
+                    break;
+                case "LineString":
+                    shape.lines.push(coordinates);
+                    break;
+                case "MultiLineString":
+                    shape.lines.push.apply(shape.lines, coordinates);
+                    break;
+                case "Polygon":
+                    shape.polygons.push(coordinates);
+                    break;
+                case "MultiPolygon":
+                    shape.polygons.push.apply(shape.polygons, coordinates);
+                    break;
+                case "GeometryCollection":
+                    (geometry.geometries || []).forEach(__add);
+                    break;
+            }
+        };
+        __add(geometry);
+
+        shape.fPoint = !shape.lines.length && !shape.polygons.length;
+        for (const rings of shape.polygons) {
+            shape.lines.push.apply(shape.lines, rings);
+        }
+        for (const line of shape.lines) {
+            shape.points.push.apply(shape.points, line);
+        }
+        shape.points = shape.points.filter(function (point) {
+            return point && isFinite(point[0]) && isFinite(point[1]);
+        });
+        if (!shape.points.length) {
+            return null;
+        }
+        const box = [Infinity, Infinity, -Infinity, -Infinity];
+        for (const point of shape.points) {
+            box[0] = Math.min(box[0], point[0]);
+            box[1] = Math.min(box[1], point[1]);
+            box[2] = Math.max(box[2], point[0]);
+            box[3] = Math.max(box[3], point[1]);
+        }
+        shape.box = box;
+        return shape;
+    };
+
+    // point in polygon (with holes) by the even-odd rule
+    const __pointInPolygon = function (x, y, rings) {
+        let fInside = false;
+        for (const ring of rings) {
+            for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+                const xi = ring[i][0];
+                const yi = ring[i][1];
+                const xj = ring[j][0];
+                const yj = ring[j][1];
+                if (((yi > y) != (yj > y)) && (x < (xj - xi) * (y - yi) / (yj - yi) + xi)) {
+                    fInside = !fInside;
+                }
+            }
+        }
+        return fInside;
+    };
+
+    const __pointInShape = function (point, shape) {
+        for (const rings of shape.polygons) {
+            if (__pointInPolygon(point[0], point[1], rings)) {
+                return true;
+            }
+        }
+        return false;
+    };
+
+    // segment a-b crosses or touches segment c-d
+    const __segmentsCross = function (a, b, c, d) {
+        const __orientation = function (p, q, r) {
+            const value = (q[1] - p[1]) * (r[0] - q[0]) - (q[0] - p[0]) * (r[1] - q[1]);
+            return (value > 0) ? 1 : (value < 0) ? -1 : 0;
+        };
+        const __onSegment = function (p, q, r) {
+            return (q[0] <= Math.max(p[0], r[0])) && (q[0] >= Math.min(p[0], r[0])) &&
+                (q[1] <= Math.max(p[1], r[1])) && (q[1] >= Math.min(p[1], r[1]));
+        };
+        const o1 = __orientation(a, b, c);
+        const o2 = __orientation(a, b, d);
+        const o3 = __orientation(c, d, a);
+        const o4 = __orientation(c, d, b);
+        if ((o1 != o2) && (o3 != o4)) {
+            return true;
+        }
+        return ((o1 == 0) && __onSegment(a, c, b)) || ((o2 == 0) && __onSegment(a, d, b)) ||
+            ((o3 == 0) && __onSegment(c, a, d)) || ((o4 == 0) && __onSegment(c, b, d));
+    };
+
+    const __linesCross = function (shapeA, shapeB) {
+        for (const lineA of shapeA.lines) {
+            for (let i = 1; i < lineA.length; i++) {
+                for (const lineB of shapeB.lines) {
+                    for (let j = 1; j < lineB.length; j++) {
+                        if (__segmentsCross(lineA[i - 1], lineA[i], lineB[j - 1], lineB[j])) {
+                            return true;
+                        }
+                    }
+                }
+            }
+        }
+        return false;
+    };
+
+    const __boxOverlap = function (boxA, boxB) {
+        return (boxA[0] <= boxB[2]) && (boxA[2] >= boxB[0]) && (boxA[1] <= boxB[3]) && (boxA[3] >= boxB[1]);
+    };
+
+    // shape a lies inside the polygons of shape b
+    const __shapeWithin = function (shapeA, shapeB) {
+        if (!shapeB.polygons.length || !__boxOverlap(shapeA.box, shapeB.box)) {
+            return false;
+        }
+        for (const point of shapeA.points) {
+            if (!__pointInShape(point, shapeB)) {
+                return false;
+            }
+        }
+        return shapeA.fPoint || !__linesCross(shapeA, shapeB);
+    };
+
+    // shape a and shape b have at least one point in common
+    const __shapeIntersects = function (shapeA, shapeB) {
+        if (!__boxOverlap(shapeA.box, shapeB.box)) {
+            return false;
+        }
+        if (shapeA.fPoint && shapeB.fPoint) {
+            return shapeA.points.some(function (a) {
+                return shapeB.points.some(function (b) {
+                    return (a[0] == b[0]) && (a[1] == b[1]);
+                });
+            });
+        }
+        return shapeA.points.some(function (point) {
+            return __pointInShape(point, shapeB);
+        }) || shapeB.points.some(function (point) {
+            return __pointInShape(point, shapeA);
+        }) || __linesCross(shapeA, shapeB);
+    };
+
+    // approximate distance in km from a point to a shape (0 if inside); local equirectangular projection
+    const __shapeDistance = function (x, y, shape) {
+        if (__pointInShape([x, y], shape)) {
+            return 0;
+        }
+        const nKmX = Math.cos(y * Math.PI / 180) * __KM_PER_DEGREE_LON;
+        const nKmY = __KM_PER_DEGREE_LAT;
+        let nMin = Infinity;
+        const __point = function (p) {
+            const dx = (p[0] - x) * nKmX;
+            const dy = (p[1] - y) * nKmY;
+            nMin = Math.min(nMin, Math.sqrt(dx * dx + dy * dy));
+        };
+        if (!shape.lines.length) {
+            shape.points.forEach(__point);
+            return nMin;
+        }
+        for (const line of shape.lines) {
+            if (line.length == 1) {
+                __point(line[0]);
+            }
+            for (let i = 1; i < line.length; i++) {
+                const ax = (line[i - 1][0] - x) * nKmX;
+                const ay = (line[i - 1][1] - y) * nKmY;
+                const bx = (line[i][0] - x) * nKmX;
+                const by = (line[i][1] - y) * nKmY;
+                const dx = bx - ax;
+                const dy = by - ay;
+                const nLength = dx * dx + dy * dy;
+                const t = nLength ? Math.max(0, Math.min(1, -(ax * dx + ay * dy) / nLength)) : 0;
+                const px = ax + t * dx;
+                const py = ay + t * dy;
+                nMin = Math.min(nMin, Math.sqrt(px * px + py * py));
+            }
+        }
+        return nMin;
+    };
+
+    /**
+     * a grid index of the boxes of the shapes, to find the candidates of a spatial test
+     * @param {Array} shapeA the shapes to index (null entries are skipped)
+     * @private
+     */
+    const __SpatialIndex = function (shapeA) {
+        this.shapeA = shapeA;
+        const box = [Infinity, Infinity, -Infinity, -Infinity];
+        let nShapes = 0;
+        for (const shape of shapeA) {
+            if (shape) {
+                box[0] = Math.min(box[0], shape.box[0]);
+                box[1] = Math.min(box[1], shape.box[1]);
+                box[2] = Math.max(box[2], shape.box[2]);
+                box[3] = Math.max(box[3], shape.box[3]);
+                nShapes++;
+            }
+        }
+        this.box = box;
+        // about one cell per shape
+        const nWidth = Math.max(box[2] - box[0], 1e-9);
+        const nHeight = Math.max(box[3] - box[1], 1e-9);
+        const nCells = Math.max(1, Math.min(nShapes, 250000));
+        this.nCols = Math.max(1, Math.round(Math.sqrt(nCells * nWidth / nHeight)));
+        this.nRows = Math.max(1, Math.round(nCells / this.nCols));
+        this.nCellWidth = nWidth / this.nCols;
+        this.nCellHeight = nHeight / this.nRows;
+        this.cellA = {};
+        shapeA.forEach(function (shape, index) {
+            if (shape) {
+                const range = this.__range(shape.box);
+                for (let c = range[0]; c <= range[2]; c++) {
+                    for (let r = range[1]; r <= range[3]; r++) {
+                        (this.cellA[c + "|" + r] = this.cellA[c + "|" + r] || []).push(index);
+                    }
+                }
+            }
+        }, this);
+        // the smallest cosine of the latitudes within the box, for the lower bound of distances
+        this.nMinCos = Math.max(0, Math.min(Math.cos(box[1] * Math.PI / 180), Math.cos(box[3] * Math.PI / 180)));
+    };
+
+    __SpatialIndex.prototype = {
+
+        __col: function (x) {
+            return Math.max(0, Math.min(this.nCols - 1, Math.floor((x - this.box[0]) / this.nCellWidth)));
+        },
+
+        __row: function (y) {
+            return Math.max(0, Math.min(this.nRows - 1, Math.floor((y - this.box[1]) / this.nCellHeight)));
+        },
+
+        __range: function (box) {
+            return [this.__col(box[0]), this.__row(box[1]), this.__col(box[2]), this.__row(box[3])];
+        },
+
+        /**
+         * get the indices of the shapes whose box overlaps a box
+         */
+        search: function (box) {
+            const resultA = [];
+            if (!__boxOverlap(box, this.box)) {
+                return resultA;
+            }
+            const range = this.__range(box);
+            const doneA = {};
+            for (let c = range[0]; c <= range[2]; c++) {
+                for (let r = range[1]; r <= range[3]; r++) {
+                    for (const index of (this.cellA[c + "|" + r] || [])) {
+                        if (!doneA[index] && __boxOverlap(box, this.shapeA[index].box)) {
+                            doneA[index] = true;
+                            resultA.push(index);
+                        }
+                    }
+                }
+            }
+            return resultA;
+        },
+
+        /**
+         * get the nearest shape of a point: searches the grid cells in rings around the point,
+         * until the next ring can't contain a nearer shape
+         * @returns {Object} {index, distance} or null, if no shape within nMaxDistance (km)
+         */
+        nearest: function (x, y, nMaxDistance) {
+            const nCol = this.__col(x);
+            const nRow = this.__row(y);
+            const nCellKm = Math.min(this.nCellWidth * this.nMinCos * __KM_PER_DEGREE_LON, this.nCellHeight * __KM_PER_DEGREE_LAT);
+            const nMaxRing = Math.max(this.nCols, this.nRows);
+            const doneA = {};
+            let best = null;
+            for (let ring = 0; ring <= nMaxRing; ring++) {
+                for (let c = nCol - ring; c <= nCol + ring; c++) {
+                    for (let r = nRow - ring; r <= nRow + ring; r++) {
+                        if ((Math.abs(c - nCol) != ring) && (Math.abs(r - nRow) != ring)) {
+                            continue;
+                        }
+                        for (const index of (this.cellA[c + "|" + r] || [])) {
+                            if (!doneA[index]) {
+                                doneA[index] = true;
+                                const nDistance = __shapeDistance(x, y, this.shapeA[index]);
+                                if (!best || (nDistance < best.distance)) {
+                                    best = {
+                                        index: index,
+                                        distance: nDistance
+                                    };
+                                }
+                            }
+                        }
+                    }
+                }
+                // shapes not yet found are at least 'ring' cells away
+                const nBound = ring * nCellKm;
+                if ((best && (best.distance <= nBound)) || (nBound > nMaxDistance)) {
+                    break;
+                }
+            }
+            return (best && (best.distance <= nMaxDistance)) ? best : null;
+        }
+    };
+
+    /**
+     * joins the rows of this table with the features of a polygon table by their location<br>
+     * the geometries are GeoJSON or WKT geometry columns (as created by the geojson, topojson, shapefile, gpkg and geoparquet feeds) or lat/lon columns;<br>
+     * a spatial index on the polygon table makes it fast also for 100.000 points
+     * @param {Data.Table} polygonTable the table with the polygons (or other features) to join
+     * @param {Object} options the join parameter
+     *								   <table border='0' style='border-left: 1px solid #ddd;'>	
+     *								   <tr><th>property</th><th>description</th></tr>
+     *								   <tr><td><b>"predicate"</b></td><td>[optional] "within" (default): the geometry of the row lies inside the polygon,<br>"intersects": the geometries have at least one point in common,<br>"nearest": the nearest feature (for lines or polygons of this table: nearest to the center of their box)</td></tr>
+     *								   <tr><td><b>"geometry"</b> or <b>"lat"</b>,<b>"lon"</b></td><td>[optional] the geometry column or the lat/lon columns of this table; default: detected</td></tr>
+     *								   <tr><td><b>"polygonGeometry"</b></td><td>[optional] the geometry column of the polygon table; default: detected</td></tr>
+     *								   <tr><td><b>"columns"</b></td><td>[optional] the columns of the polygon table to add; default: all but the geometry</td></tr>
+     *								   <tr><td><b>"how"</b></td><td>[optional] "left" (default): all rows of this table, "inner": only rows with match</td></tr>
+     *								   <tr><td><b>"maxDistance"</b></td><td>[optional] for "nearest": the maximal distance in km</td></tr>
+     *								   <tr><td><b>"distance"</b></td><td>[optional] for "nearest": the name of the column for the distance in km (default "distance")</td></tr>
+     *								   <tr><td><b>"suffixes"</b></td><td>[optional] suffixes for column names present in both tables; default: ["","_2"]</td></tr>
+     *								   <tr><td><b>"aggregate"</b></td><td>[optional] aggregate the rows of this table by polygon: the result is the polygon table with new columns;<br>
+     *                                 "count", or {"column":<em>name</em>,"calc":"sum"|"mean"|"min"|"max"|"count","destination":<em>name</em>}, or an array of them</td></tr>
+     *								   </table> 
+     * @type {Data.Table}
+     * @returns a new table with the joined rows (one row for every match), or with aggregate the polygon table with the aggregated values;<br>
+     * its property <b>report</b> gives { <b>matched</b>: <em>count of rows of this table with match</em>, <b>unmatched</b>: <em>indices of the rows of this table without match</em>, <b>noGeometry</b>: <em>indices of the rows without valid geometry</em> }
+     * @example
+     * // count the incidents per comune
+     * var comuniCount = incidents.spatialJoin(comuni, {"aggregate": ["count", {"column": "damage", "calc": "sum"}]});
+     * @example
+     * // the comune of every incident
+     * var located = incidents.spatialJoin(comuni, {"columns": ["PRO_COM_T", "COMUNE"]});
+     * @example
+     * // the nearest station within 5 km
+     * var nearest = incidents.spatialJoin(stations, {"predicate": "nearest", "maxDistance": 5});
+     */
+    Data.Table.prototype.spatialJoin = function (polygonTable, options) {
+
+        options = options || {};
+        const szPredicate = String(options.predicate || "within").toLowerCase();
+        const szHow = String(options.how || "left").toLowerCase();
+        const suffixA = options.suffixes || ["", "_2"];
+        const nMaxDistance = (options.maxDistance != null) ? Number(options.maxDistance) : Infinity;
+
+        if (!polygonTable || !polygonTable.fields) {
+            __error("INVALID_OPTION", "spatialJoin: no polygon table defined!", {
+                source: "spatialJoin"
+            });
+            return null;
+        }
+        if (!szPredicate.match(/^(within|intersects|nearest)$/)) {
+            __error("INVALID_OPTION", "spatialJoin: '" + szPredicate + "' unknown predicate!", {
+                source: "spatialJoin"
+            });
+            return null;
+        }
+        if (!szHow.match(/^(left|inner)$/)) {
+            __error("INVALID_OPTION", "spatialJoin: '" + szHow + "' unknown join type!", {
+                source: "spatialJoin"
+            });
+            return null;
+        }
+
+        const reader = __geometryReader(this, options);
+        const polygonReader = __geometryReader(polygonTable, {
+            geometry: options.polygonGeometry
+        });
+        if (!reader || !polygonReader) {
+            __error("COLUMN_NOT_FOUND", "spatialJoin: no geometry or lat/lon columns found in the " + (reader ? "polygon" : "point") + " table!", {
+                source: "spatialJoin"
+            });
+            return null;
+        }
+
+        // the aggregations
+        const aggregateA = __toArray(options.aggregate).map(function (aggregate) {
+            if (typeof (aggregate) == "string") {
+                aggregate = {
+                    calc: aggregate
+                };
+            }
+            const szCalc = String(aggregate.calc || (aggregate.column ? "sum" : "count")).toLowerCase();
+            return {
+                column: aggregate.column,
+                index: aggregate.column ? this.columnIndex(aggregate.column) : null,
+                calc: szCalc,
+                destination: aggregate.destination || ((szCalc == "count") ? "count" : (aggregate.column + "_" + szCalc))
+            };
+        }, this);
+        for (const aggregate of aggregateA) {
+            if (!aggregate.calc.match(/^(count|sum|mean|min|max)$/)) {
+                __error("INVALID_OPTION", "spatialJoin: '" + aggregate.calc + "' unknown aggregation!", {
+                    source: "spatialJoin"
+                });
+                return null;
+            }
+            if (aggregate.column && (aggregate.index == null)) {
+                __error("COLUMN_NOT_FOUND", "spatialJoin: '" + aggregate.column + "' column not found!", {
+                    source: "spatialJoin",
+                    column: aggregate.column
+                });
+                return null;
+            }
+        }
+
+        // the polygon columns to add
+        const columnA = [];
+        for (const szColumn of (options.columns ? __toArray(options.columns) : polygonTable.fields.map(function (field) {
+                return field.id;
+            }))) {
+            const index = polygonTable.columnIndex(szColumn);
+            if (index == null) {
+                __error("COLUMN_NOT_FOUND", "spatialJoin: '" + szColumn + "' column not found!", {
+                    source: "spatialJoin",
+                    column: szColumn
+                });
+                return null;
+            }
+            if (options.columns || (Number(index) != polygonReader.geometryIndex)) {
+                columnA.push(Number(index));
+            }
+        }
+
+        // index the polygons
+        const polygonShapeA = polygonTable.records.map(function (row) {
+            return __shape(polygonReader.read(row));
+        });
+        const index = new __SpatialIndex(polygonShapeA);
+
+        const report = {
+            matched: 0,
+            unmatched: [],
+            noGeometry: []
+        };
+
+        // the matching polygons of every row
+        const __match = function (shape) {
+            if (szPredicate == "nearest") {
+                const nearest = index.nearest((shape.box[0] + shape.box[2]) / 2, (shape.box[1] + shape.box[3]) / 2, nMaxDistance);
+                return nearest ? [nearest] : [];
+            }
+            const __test = (szPredicate == "within") ? __shapeWithin : __shapeIntersects;
+            return index.search(shape.box).filter(function (p) {
+                return __test(shape, polygonShapeA[p]);
+            }).map(function (p) {
+                return {
+                    index: p
+                };
+            });
+        };
+
+        const matchA = [];
+        for (let j = 0, len = this.records.length; j < len; j++) {
+            const shape = __shape(reader.read(this.records[j]));
+            if (!shape) {
+                report.noGeometry.push(j);
+                matchA.push([]);
+                continue;
+            }
+            const match = __match(shape);
+            if (match.length) {
+                report.matched++;
+            } else {
+                report.unmatched.push(j);
+            }
+            matchA.push(match);
+        }
+
+        // WKT other than POINT is not converted; these rows are in report.noGeometry, polygons never match
+        if (reader.unsupported || polygonReader.unsupported) {
+            __error("PARSE_ERROR", "spatialJoin: only POINT WKT geometries are supported; " + reader.unsupported + " rows without geometry, " + polygonReader.unsupported + " polygons ignored (convert them to GeoJSON)!", {
+                source: "spatialJoin"
+            });
+        }
+
+        const result = new Data.Table();
+
+        // aggregate the rows by polygon
+        // -----------------------------
+        if (aggregateA.length) {
+            const fields = this.fields;
+            result.fields = polygonTable.fields.map(function (field) {
+                return Object.assign({}, field);
+            });
+            const valuesA = polygonTable.records.map(function () {
+                return aggregateA.map(function () {
+                    return [];
+                });
+            });
+            matchA.forEach(function (match, j) {
+                for (const m of match) {
+                    aggregateA.forEach(function (aggregate, a) {
+                        if (aggregate.index == null) {
+                            valuesA[m.index][a].push(1);
+                            return;
+                        }
+                        const value = this.records[j][aggregate.index];
+                        const nValue = fields[aggregate.index].type ? __typedValue(value, fields[aggregate.index]) : __parseNumber(value);
+                        if ((aggregate.calc == "count") ? !__isEmptyValue(value) : ((nValue != null) && !isNaN(nValue))) {
+                            valuesA[m.index][a].push(Number(nValue));
+                        }
+                    }, this);
+                }
+            }, this);
+            for (const aggregate of aggregateA) {
+                result.fields.push({
+                    id: String(aggregate.destination),
+                    type: "number",
+                    created: true
+                });
+            }
+            result.records = polygonTable.records.map(function (row, p) {
+                return row.concat(aggregateA.map(function (aggregate, a) {
+                    const nA = valuesA[p][a];
+                    switch (aggregate.calc) {
+                        case "count":
+                            return nA.length;
+                        case "sum":
+                            return nA.reduce(function (a, b) {
+                                return a + b;
+                            }, 0);
+                        case "mean":
+                            return nA.length ? nA.reduce(function (a, b) {
+                                return a + b;
+                            }, 0) / nA.length : null;
+                        case "min":
+                            return nA.length ? nA.reduce(function (a, b) {
+                                return (b < a) ? b : a;
+                            }) : null;
+                        case "max":
+                            return nA.length ? nA.reduce(function (a, b) {
+                                return (b > a) ? b : a;
+                            }) : null;
+                    }
+                    return null;
+                }));
+            });
+            result.table.fields = result.fields.length;
+            result.table.records = result.records.length;
+            result.report = report;
+            return result;
+        }
+
+        // join the polygon columns to the rows
+        // ------------------------------------
+        const leftNameA = this.fields.map(function (field) {
+            return String(field.id);
+        });
+        const rightNameA = columnA.map(function (i) {
+            return String(polygonTable.fields[i].id);
+        });
+        const szDistance = options.distance || "distance";
+        for (let i = 0; i < leftNameA.length; i++) {
+            result.fields.push(Object.assign({}, this.fields[i], {
+                id: leftNameA[i] + (rightNameA.includes(leftNameA[i]) ? suffixA[0] : "")
+            }));
+        }
+        for (let i = 0; i < rightNameA.length; i++) {
+            result.fields.push(Object.assign({}, polygonTable.fields[columnA[i]], {
+                id: rightNameA[i] + (leftNameA.includes(rightNameA[i]) ? suffixA[1] : "")
+            }));
+        }
+        if (szPredicate == "nearest") {
+            result.fields.push({
+                id: szDistance,
+                type: "number",
+                created: true
+            });
+        }
+        result.table.fields = result.fields.length;
+
+        const emptyRightA = result.fields.slice(leftNameA.length).map(function () {
+            return "";
+        });
+        matchA.forEach(function (match, j) {
+            if (!match.length) {
+                if (szHow == "left") {
+                    result.records.push(this.records[j].concat(emptyRightA));
+                }
+                return;
+            }
+            for (const m of match) {
+                const row = this.records[j].slice();
+                for (const i of columnA) {
+                    row.push(polygonTable.records[m.index][i]);
+                }
+                if (szPredicate == "nearest") {
+                    row.push(Math.round(m.distance * 1000) / 1000);
+                }
+                result.records.push(row);
+            }
+        }, this);
+        result.table.records = result.records.length;
+        result.report = report;
+
+        if (report.unmatched.length || report.noGeometry.length) {
+            _LOG("spatialJoin: " + report.unmatched.length + " rows without match, " + report.noGeometry.length + " rows without geometry");
+        }
+
+        return result;
+    };
+
+    // ---------------------------------
+    // G E O C O D I N G
+    // ---------------------------------
+
+    // a place name for matching: case, accents, apostrophes, punctuation and multiple blanks don't count
+    const __normalizeName = function (value) {
+        return String((value == null) ? "" : value).normalize("NFD").replace(/[\u0300-\u036f]/g, "").toLowerCase()
+            .replace(/[^\p{L}\p{N}]+/gu, " ").trim();
+    };
+
+    // Levenshtein distance of two strings; stops with nMax + 1, if the distance is bigger than nMax
+    const __editDistance = function (a, b, nMax) {
+        if (Math.abs(a.length - b.length) > nMax) {
+            return nMax + 1;
+        }
+        let previousA = [];
+        for (let j = 0; j <= b.length; j++) {
+            previousA[j] = j;
+        }
+        for (let i = 1; i <= a.length; i++) {
+            const currentA = [i];
+            let nRowMin = i;
+            for (let j = 1; j <= b.length; j++) {
+                currentA[j] = Math.min(previousA[j] + 1, currentA[j - 1] + 1, previousA[j - 1] + ((a[i - 1] == b[j - 1]) ? 0 : 1));
+                nRowMin = Math.min(nRowMin, currentA[j]);
+            }
+            if (nRowMin > nMax) {
+                return nMax + 1;
+            }
+            previousA = currentA;
+        }
+        return previousA[b.length];
+    };
+
+    /**
+     * finds the place names of a column in a gazetteer table (e.g. the list of the municipalities with their coordinates or codes)<br>
+     * and adds the lat/lon, or other columns of the gazetteer, to the rows;<br>
+     * names are compared without case, accents and punctuation, and with the option <b>fuzzy</b> also with spelling errors.<br>
+     * Names found more than once (e.g. municipalities with the same name in different provinces) are ambiguous and get no values;
+     * with the option <b>context</b> more columns can be compared to distinguish them.
+     * @param {Object} options the geocoding parameter
+     *								   <table border='0' style='border-left: 1px solid #ddd;'>	
+     *								   <tr><th>property</th><th>description</th></tr>
+     *								   <tr><td><b>"column"</b></td><td>the column of this table with the place names</td></tr>
+     *								   <tr><td><b>"gazetteer"</b></td><td>the gazetteer table</td></tr>
+     *								   <tr><td><b>"name"</b></td><td>[optional] the name column of the gazetteer; default: the same as column</td></tr>
+     *								   <tr><td><b>"add"</b></td><td>[optional] the gazetteer columns to add; default: its lat/lon or geometry columns</td></tr>
+     *								   <tr><td><b>"context"</b></td><td>[optional] more columns which must be equal: {"<em>column of this table</em>":"<em>column of the gazetteer</em>", ...}</td></tr>
+     *								   <tr><td><b>"fuzzy"</b></td><td>[optional] true: names not found are compared by their similarity (Levenshtein distance)</td></tr>
+     *								   <tr><td><b>"threshold"</b></td><td>[optional] the minimal similarity of fuzzy matches, from 0 to 1 (default 0.8)</td></tr>
+     *								   <tr><td><b>"status"</b></td><td>[optional] the name of a new column with the result of every row: "exact", "fuzzy", "ambiguous" or "unmatched"</td></tr>
+     *								   <tr><td><b>"suffixes"</b></td><td>[optional] suffixes for column names present in both tables; default: ["","_2"]</td></tr>
+     *								   </table> 
+     * @type {Data.Table}
+     * @returns a new table with the added columns;<br>
+     * its property <b>report</b> gives { <b>matched</b>: <em>count of found rows</em>, <b>fuzzy</b>: [{row, value, match, score}], <b>ambiguous</b>: [{row, value, candidates}], <b>unmatched</b>: [{row, value}] }<br>
+     * (<em>row</em> is the row index of this table, <em>candidates</em> the row indices of the gazetteer)
+     * @example
+     * var located = incidents.geocode({"column": "comune", "gazetteer": comuni, "name": "COMUNE", "fuzzy": true});
+     * console.log(located.report.ambiguous, located.report.unmatched);
+     * @example
+     * // add the ISTAT code; the province distinguishes municipalities with the same name
+     * var coded = schools.geocode({"column": "comune", "gazetteer": comuni, "name": "COMUNE", "add": "PRO_COM_T", "context": {"prov": "SIGLA"}});
+     */
+    Data.Table.prototype.geocode = function (options) {
+
+        options = options || {};
+        const gazetteer = options.gazetteer;
+        const suffixA = options.suffixes || ["", "_2"];
+        const nThreshold = (options.threshold != null) ? Number(options.threshold) : 0.8;
+
+        if (!gazetteer || !gazetteer.fields) {
+            __error("INVALID_OPTION", "geocode: no gazetteer table defined!", {
+                source: "geocode"
+            });
+            return null;
+        }
+        if (!options.column) {
+            __error("INVALID_OPTION", "geocode: no name column defined!", {
+                source: "geocode"
+            });
+            return null;
+        }
+
+        // szHint: added to the message, e.g. which option defines the column
+        const __columnIndex = function (table, szColumn, szHint) {
+            const index = table.columnIndex(szColumn);
+            if (index == null) {
+                __error("COLUMN_NOT_FOUND", "geocode: " + ((table == gazetteer) ? "gazetteer " : "") + "column '" + szColumn + "' not found" + (szHint || "") + "!", {
+                    source: "geocode",
+                    column: szColumn
+                });
+                return -1;
+            }
+            return Number(index);
+        };
+
+        const nColumn = __columnIndex(this, options.column);
+        const nName = __columnIndex(gazetteer, options.name || options.column, options.name ? "" : " (define the gazetteer name column by 'name')");
+        const contextA = [];
+        for (const szColumn in (options.context || {})) {
+            contextA.push([__columnIndex(this, szColumn), __columnIndex(gazetteer, options.context[szColumn])]);
+        }
+
+        // the columns to add: default lat/lon or geometry of the gazetteer
+        let addA = options.add ? __toArray(options.add) : null;
+        if (!addA) {
+            const reader = __geometryReader(gazetteer, {});
+            if (!reader) {
+                __error("INVALID_OPTION", "geocode: the gazetteer has no lat/lon or geometry columns, define the columns to add!", {
+                    source: "geocode"
+                });
+                return null;
+            }
+            addA = ((reader.geometryIndex != null) ? [reader.geometryIndex] : [reader.latIndex, reader.lonIndex]).map(function (index) {
+                return gazetteer.fields[index].id;
+            });
+        }
+        const addIndexA = addA.map(function (szColumn) {
+            return __columnIndex(gazetteer, szColumn);
+        });
+        if ((nColumn < 0) || (nName < 0) || addIndexA.includes(-1) || contextA.some(function (context) {
+                return context.includes(-1);
+            })) {
+            return null;
+        }
+
+        // index the gazetteer by the normalized names
+        const nameRowsA = {};
+        for (let j = 0; j < gazetteer.records.length; j++) {
+            const szKey = __normalizeName(gazetteer.records[j][nName]);
+            if (szKey) {
+                (nameRowsA[szKey] = nameRowsA[szKey] || []).push(j);
             }
-            return this.__json;
         }
+        const nameA = Object.keys(nameRowsA);
+
+        // the most similar names; more than one, if they have the same similarity
+        const __fuzzy = function (szKey) {
+            let bestA = [];
+            let nBest = nThreshold;
+            for (const szName of nameA) {
+                const nLength = Math.max(szKey.length, szName.length);
+                const nMax = Math.floor(nLength * (1 - nBest));
+                const nDistance = __editDistance(szKey, szName, nMax);
+                if (nDistance <= nMax) {
+                    const nScore = 1 - nDistance / nLength;
+                    if (nScore > nBest) {
+                        nBest = nScore;
+                        bestA = [];
+                    }
+                    if (nScore >= nBest) {
+                        bestA.push(szName);
+                    }
+                }
+            }
+            return {
+                names: bestA,
+                score: Math.round(nBest * 1000) / 1000
+            };
+        };
 
-    };
+        const report = {
+            matched: 0,
+            fuzzy: [],
+            ambiguous: [],
+            unmatched: []
+        };
+        const cacheA = {};
+
+        const __geocode = function (row) {
+            const szKey = __normalizeName(row[nColumn]);
+            const szContext = contextA.map(function (context) {
+                return __normalizeName(row[context[0]]);
+            }).join("|");
+            const szCacheKey = szKey + "|" + szContext;
+            if (cacheA[szCacheKey]) {
+                return cacheA[szCacheKey];
+            }
+
+            let szStatus = "exact";
+            let candidateA = nameRowsA[szKey] || [];
+            let fuzzy = null;
+            if (!candidateA.length && options.fuzzy && szKey) {
+                fuzzy = __fuzzy(szKey);
+                candidateA = [].concat.apply([], fuzzy.names.map(function (szName) {
+                    return nameRowsA[szName];
+                }));
+                szStatus = "fuzzy";
+            }
+            candidateA = candidateA.filter(function (j) {
+                return contextA.every(function (context) {
+                    return __normalizeName(gazetteer.records[j][context[1]]) == __normalizeName(row[context[0]]);
+                });
+            });
 
+            // gazetteer rows with the same values to add are one place
+            const placeA = {};
+            for (const j of candidateA) {
+                const szValues = JSON.stringify(addIndexA.map(function (index) {
+                    return gazetteer.records[j][index];
+                }));
+                if (!(szValues in placeA)) {
+                    placeA[szValues] = j;
+                }
+            }
+            const placeIndexA = Object.keys(placeA).map(function (szValues) {
+                return placeA[szValues];
+            });
 
-    //...................................................................
-    // local helper
-    //...................................................................
-    __myNumber = function (value) {
-        let number = parseFloat(value.replace(/\./g, "").replace(/\,/g, "."));
-        return isNaN(number) ? 0 : number;
-    };
+            const result = {
+                status: !placeIndexA.length ? "unmatched" : (placeIndexA.length > 1) ? "ambiguous" : szStatus,
+                candidates: placeIndexA,
+                match: (fuzzy && (placeIndexA.length == 1)) ? gazetteer.records[placeIndexA[0]][nName] : null,
+                score: fuzzy ? fuzzy.score : 1
+            };
+            cacheA[szCacheKey] = result;
+            return result;
+        };
 
-    __scanValue = function (nValue) {
-        // strips blanks inside numbers (e.g. 1 234 456 --> 1234456)
-        let number = null;
-        if (String(nValue).match(/,/)) {
-            number = parseFloat(String(nValue).replace(/\./gi, "").replace(/,/gi, "."));
-            return isNaN(number) ? 0 : number;
-        } else {
-            number = parseFloat(String(nValue).replace(/ /gi, ""));
-            return isNaN(number) ? 0 : number;
+        // the result table
+        const result = new Data.Table();
+        const leftNameA = this.fields.map(function (field) {
+            return String(field.id);
+        });
+        for (let i = 0; i < leftNameA.length; i++) {
+            result.fields.push(Object.assign({}, this.fields[i], {
+                id: leftNameA[i] + (addA.includes(leftNameA[i]) ? suffixA[0] : "")
+            }));
+        }
+        for (let i = 0; i < addIndexA.length; i++) {
+            result.fields.push(Object.assign({}, gazetteer.fields[addIndexA[i]], {
+                id: String(addA[i]) + (leftNameA.includes(String(addA[i])) ? suffixA[1] : "")
+            }));
+        }
+        if (options.status) {
+            result.fields.push({
+                id: String(options.status),
+                type: "string",
+                created: true
+            });
+        }
+        result.table.fields = result.fields.length;
+
+        for (let j = 0, len = this.records.length; j < len; j++) {
+            const row = this.records[j];
+            const geocode = __geocode(row);
+            const newRow = row.slice();
+            for (const index of addIndexA) {
+                newRow.push((geocode.candidates.length == 1) ? gazetteer.records[geocode.candidates[0]][index] : "");
+            }
+            if (options.status) {
+                newRow.push(geocode.status);
+            }
+            result.records.push(newRow);
+
+            switch (geocode.status) {
+                case "exact":
+                    report.matched++;
+                    break;
+                case "fuzzy":
+                    report.matched++;
+                    report.fuzzy.push({
+                        row: j,
+                        value: row[nColumn],
+                        match: geocode.match,
+                        score: geocode.score
+                    });
+                    break;
+                case "ambiguous":
+                    report.ambiguous.push({
+                        row: j,
+                        value: row[nColumn],
+                        candidates: geocode.candidates
+                    });
+                    break;
+                default:
+                    report.unmatched.push({
+                        row: j,
+                        value: row[nColumn]
+                    });
+            }
         }
+        result.table.records = result.records.length;
+        result.report = report;
+
+        if (report.ambiguous.length || report.unmatched.length) {
+            _LOG("geocode: " + report.ambiguous.length + " ambiguous and " + report.unmatched.length + " unmatched rows");
+        }
+
+        return result;
     };
 
+    // ---------------------------------
+    // P R O F I L E
+    // ---------------------------------
 
-    // ---------------------------------------------------------------------------------
-    //
-    // additional specific functions (not core, can also be realized by above functions)
-    //
-    // ---------------------------------------------------------------------------------
+    // the quantile of sorted numbers, interpolated between the two nearest values
+    const __quantile = function (sortedA, p) {
+        const nPos = (sortedA.length - 1) * p;
+        const nLow = Math.floor(nPos);
+        const nHigh = Math.ceil(nPos);
+        return sortedA[nLow] + (sortedA[nHigh] - sortedA[nLow]) * (nPos - nLow);
+    };
 
     /**
-     * creates new columns on base of a timestamp that contain the following time orders <br>
-     * date,year,month,day,hour
-     * <br>
-     * @param data the input tabel (array of arrarys)
-     * @param options generation options
-     * @type {Array}
-     * @returns the pivot table
+     * profiles the columns of the table: type, missing and distinct values, statistics, histogram and most frequent values;<br>
+     * to see what's in the data, before making a theme (e.g. to define the classes from the quantiles)
+     * @param {Object} [options] the profile parameter
+     *								   <table border='0' style='border-left: 1px solid #ddd;'>	
+     *								   <tr><th>property</th><th>description</th></tr>
+     *								   <tr><td><b>"columns"</b></td><td>[optional] the columns to profile; default: all</td></tr>
+     *								   <tr><td><b>"bins"</b></td><td>[optional] the number of histogram bins (default 10)</td></tr>
+     *								   <tr><td><b>"top"</b></td><td>[optional] the number of most frequent values (default 5)</td></tr>
+     *								   <tr><td><b>"quantiles"</b></td><td>[optional] the quantiles to compute (default [0.25,0.5,0.75])</td></tr>
+     *								   </table> 
+     * @type {Object}
+     * @returns { <b>rows</b>: <em>number of rows</em>, <b>columns</b>: [ <em>one profile per column</em> ] }<br>
+     * a column profile is { <b>name</b>, <b>type</b>, <b>nulls</b>, <b>distinct</b>, <b>top</b>: [{value, count}] },<br>
+     * for number and integer columns also { <b>min</b>, <b>max</b>, <b>mean</b>, <b>stddev</b>, <b>sum</b>, <b>quantiles</b>: {"0.25": value, ...}, <b>histogram</b>: [{from, to, count}], <b>invalid</b>: <em>values not numbers</em> },<br>
+     * for date columns { <b>min</b>, <b>max</b> } as Date; geometry columns have no distinct and top values
      * @example
-     * <br><br>
-     * <strong>options definition object:</strong>
-     *		var options = { "source":	'name of timestamp column',
-     *						"create":	['date','year','month','day','hour']
-     *					}
-     *	<br>
-     *  source: the sourcetable field that contains the toime stamp
-     *  create: [optional] an array of columns to creaate
-     *          to define only if not wished to create all of above listed time columns
+     * var profile = mydata.profile();
+     * profile.columns.forEach(function(column){
+     *     console.log(column.name, column.type, column.nulls, column.distinct, column.quantiles);
+     * });
      */
-    Data.Table.prototype.addTimeColumns = function (options) {
+    Data.Table.prototype.profile = function (options) {
+
+        options = options || {};
+        const nBins = options.bins || 10;
+        const nTop = (options.top != null) ? options.top : 5;
+        const quantileA = options.quantiles || [0.25, 0.5, 0.75];
+        const columnA = options.columns ? __toArray(options.columns) : this.fields.map(function (field) {
+            return field.id;
+        });
 
-        if (!options.source) {
-            return null;
-        }
+        const profile = {
+            rows: this.records.length,
+            columns: []
+        };
 
-        for (const column in this.fields) {
-            if (this.fields[column].id == options.source) {
+        for (const szColumn of columnA) {
+            const index = this.columnIndex(szColumn);
+            if (index == null) {
+                __error("COLUMN_NOT_FOUND", "profile: '" + szColumn + "' column not found!", {
+                    source: "profile",
+                    column: szColumn
+                });
+                continue;
+            }
+            const field = this.fields[Number(index)];
+            const valuesA = this.records.map(function (row) {
+                return row[Number(index)];
+            });
 
-                // make fields object
-                // ------------------
+            // the declared or inferred type
+            const typeObj = field.type ? {
+                type: field.type,
+                decimalMark: field.decimalMark
+            } : __inferType(valuesA);
+            const column = {
+                name: field.id,
+                type: typeObj.type,
+                nulls: 0
+            };
+            const typedField = Object.assign({}, field, typeObj);
+
+            const countA = new Map();
+            const numberA = [];
+            let minDate = null;
+            let maxDate = null;
+            let nInvalid = 0;
+
+            for (const value of valuesA) {
+                if (__isEmptyValue(value)) {
+                    column.nulls++;
+                    continue;
+                }
+                if (column.type != "geometry") {
+                    const szValue = String(value);
+                    countA.set(szValue, (countA.get(szValue) || 0) + 1);
+                }
+                if ((column.type == "number") || (column.type == "integer")) {
+                    const number = __typedValue(value, typedField);
+                    if (number == null) {
+                        nInvalid++;
+                    } else {
+                        numberA.push(number);
+                    }
+                } else
+                if (column.type == "date") {
+                    const date = __typedValue(value, typedField);
+                    if (date) {
+                        minDate = (!minDate || (date < minDate)) ? date : minDate;
+                        maxDate = (!maxDate || (date > maxDate)) ? date : maxDate;
+                    }
+                }
+            }
 
-                // copy orig fields 
-                let timeCollA = options.create || ['date', 'year', 'month', 'day', 'hour'];
+            if (column.type != "geometry") {
+                column.distinct = countA.size;
+                column.top = Array.from(countA.entries()).sort(function (a, b) {
+                    return b[1] - a[1];
+                }).slice(0, nTop).map(function (entry) {
+                    return {
+                        value: entry[0],
+                        count: entry[1]
+                    };
+                });
+            }
 
-                // add new time columns 
-                for (let i = 0; i < timeCollA.length; i++) {
-                    this.fields.push({
-                        id: String(timeCollA[i])
+            if (((column.type == "number") || (column.type == "integer")) && numberA.length) {
+                numberA.sort(function (a, b) {
+                    return a - b;
+                });
+                const nMin = numberA[0];
+                const nMax = numberA[numberA.length - 1];
+                let nSum = 0;
+                for (const number of numberA) {
+                    nSum += number;
+                }
+                const nMean = nSum / numberA.length;
+                let nSquares = 0;
+                for (const number of numberA) {
+                    nSquares += (number - nMean) * (number - nMean);
+                }
+                column.min = nMin;
+                column.max = nMax;
+                column.sum = nSum;
+                column.mean = nMean;
+                column.stddev = Math.sqrt(nSquares / numberA.length);
+                column.quantiles = {};
+                for (const p of quantileA) {
+                    column.quantiles[p] = __quantile(numberA, p);
+                }
+                column.invalid = nInvalid;
+
+                // equal width bins from min to max; the last bin includes max
+                const nCount = (nMax > nMin) ? nBins : 1;
+                const nWidth = (nMax - nMin) / nCount;
+                column.histogram = [];
+                for (let i = 0; i < nCount; i++) {
+                    column.histogram.push({
+                        from: nMin + i * nWidth,
+                        to: (i == nCount - 1) ? nMax : nMin + (i + 1) * nWidth,
+                        count: 0
                     });
-                    this.table.fields++;
                 }
-
-                // make values 
-                // ------------------
-                let length = this.records.length;
-                let j = 0;
-                for (j = 0; j < length; j++) {
-
-                    // add new time column values
-                    let d = new Date(this.records[j][column]);
-                    if (d) {
-                        for (let i = 0; i < timeCollA.length; i++) {
-                            switch (timeCollA[i]) {
-                                case 'date':
-                                    let date = String(d.getDate()) + "." + String(d.getMonth() + 1) + "." + String(d.getFullYear());
-                                    this.records[j].push(date);
-                                    break;
-                                case 'year':
-                                    this.records[j].push(d.getFullYear());
-                                    break;
-                                case 'month':
-                                    this.records[j].push(d.getMonth() + 1);
-                                    break;
-                                case 'day':
-                                    this.records[j].push(d.getDay());
-                                    break;
-                                case 'hour':
-                                    this.records[j].push(d.getHours());
-                                    break;
-                            }
-                        }
-                    }
+                for (const number of numberA) {
+                    column.histogram[nWidth ? Math.min(nCount - 1, Math.floor((number - nMin) / nWidth)) : 0].count++;
                 }
+            }
 
+            if ((column.type == "date") && minDate) {
+                column.min = minDate;
+                column.max = maxDate;
             }
+
+            profile.columns.push(column);
         }
 
-        return this;
+        return profile;
     };
 
     /**
@@ -4958,13 +10636,22 @@ $Log:data.js,v $
         /**
          * get the values of the column
          * <br>
+         * @param {Object} [options] {<b>typed</b>: true to get the values converted by the column type (see Data.Table.inferTypes())}
          * @type {Array}
          * @returns {Array} an array with the values of the column
          * @example
          *    var sumArray = mydata.column('total').values();
+         *    var numbers  = mydata.column('total').values({"typed":true});
          */
-        values: function () {
+        values: function (options) {
             this.valueA = [];
+            if (options && options.typed) {
+                const field = this.table.fields[this.index];
+                for (const i in this.table.records) {
+                    this.valueA.push(__typedValue(this.table.records[i][this.index], field));
+                }
+                return this.valueA;
+            }
             for (const i in this.table.records) {
                 this.valueA.push(this.table.records[i][this.index]);
             }
@@ -5117,6 +10804,36 @@ $Log:data.js,v $
         return this.dbtable.subtable(options);
     };
 
+    /**
+     * iterate the rows asynchronously
+     * @param options ( see Data.Table.prototype.rows )
+     * @type {AsyncGenerator}
+     * @returns an async iterator over the rows of the loaded table
+     */
+    Data.Feed.prototype.rows = function (options) {
+        return this.dbtable.rows(options);
+    };
+
+    /**
+     * execute a pipeline
+     * @param pipeline ( see Data.Table.prototype.apply )
+     * @type {Data.Table}
+     * @returns the resulting table or null
+     */
+    Data.Feed.prototype.apply = function (pipeline) {
+        return this.dbtable.apply(pipeline);
+    };
+
+    /**
+     * profile the columns of the table
+     * @param options ( see Data.Table.prototype.profile )
+     * @type {Object}
+     * @returns the profile
+     */
+    Data.Feed.prototype.profile = function (options) {
+        return this.dbtable.profile(options);
+    };
+
     /**
      * add time fields to table by a timestamp column 
      * @param options ( see Data.Table.prototype.addTimeColumns )
@@ -5135,11 +10852,23 @@ $Log:data.js,v $
      * This is the Data.Broker class.  
      * <br>
      * It realizes an object to load <b>one or more</b> data sources 
-     * and call a user defined function if all sources have been successfully loaded.<br>
-     * It passes an array with the loaded data (Data.Table objects) to the user function
-     * 
+     * and call a user defined function if all sources have been loaded.<br>
+     * It passes an array with the loaded data (Data.Table objects) to the user function.<br>
+     * A source that fails to load is passed as empty Data.Table; the second argument of the user function
+     * is a result object which tells which sources failed, so the caller can use what has been loaded.<br>
+     * <br>
+     * Sources can depend on other sources (see {@link Data.Broker.addSource}); independent sources are loaded in parallel.
      * @class realizes an object to load <b>one or more</b> data sources
      * @constructor
+     * @param {Object} options (optional) the broker options
+     *								   <table border='0' style='border-left: 1px solid #ddd;'>	
+     *								   <tr><td><b>"concurrency"</b></td><td>max number of sources loaded at the same time (default 4)</td></tr>
+     *								   <tr><td><b>"retries"</b></td><td>number of retries of a failed source (default 0)</td></tr>
+     *								   <tr><td><b>"retryDelay"</b></td><td>delay in ms before the first retry; doubled with every further retry (default 500)</td></tr>
+     *								   <tr><td><b>"signal"</b></td><td>an AbortSignal to cancel the loading of all sources</td></tr>
+     *								   </table> 
+     * the broker is a thenable: after realize() it can be awaited and resolves with the array of the loaded data; 
+     * the array has the property <b>result</b> (see {@link Data.Broker.realize})
      * @type {Data.Broker}
      * @returns a new Data.Broker object
      * @example
@@ -5160,11 +10889,14 @@ $Log:data.js,v $
     Data.Broker = function (options) {
         this.souceQueryA = [];
         this.options = options || {};
+        this.concurrency = 4;
+        this.retries = 0;
+        this.retryDelay = 500;
         if (options) {
             this.parseDefinition(options);
         }
         this.onNotify = function () {};
-        this.onError = function (e) {alert("error loading data:" + e)};
+        this.onError = function () {};
     };
 
     /**
@@ -5175,7 +10907,8 @@ $Log:data.js,v $
     Data.Broker.prototype = {
         /**
          * add one source to the broker
-         * @param {string} szUrl the url of the data source
+         * @param {string|function} szUrl the url of the data source<br>
+         * or a function which gets the Data.Table objects of the sources in <b>depends</b> and returns the url
          * @param {string} szType type of the data (csv,...)
          *								   <table border='0' style='border-left: 1px solid #ddd;'>	
          *								   <tr><td><b>"csv"</b></td><td>the source is 'plain text' formatted as Comma Separated Values<br>delimiter supported: <span style='background:#dddddd'>,</span> and <span style='background:#dddddd'>;</span></td></tr>
@@ -5187,14 +10920,37 @@ $Log:data.js,v $
          *								   <tr><td><b>"jsonDB"</b></td><td>the source is in ixmaps internal data table format</td></tr>
          *								   <tr><td><b>"rss"</b></td><td>the source is an xml rss feed</td></tr>
          *								   </table> 
+         * @param {Object} options (optional) source options
+         *								   <table border='0' style='border-left: 1px solid #ddd;'>	
+         *								   <tr><td><b>"name"</b></td><td>name of the source, to be referenced in <b>depends</b></td></tr>
+         *								   <tr><td><b>"depends"</b></td><td>name or index (or array of them) of the sources to load before this one</td></tr>
+         *								   <tr><td><b>"retries"</b></td><td>number of retries, overrides the broker option</td></tr>
+         *								   </table> 
          * @type {Data.Broker}
          * @returns the Data.Broker object
+         * @example
+         *	var broker = new Data.Broker({concurrency: 2, retries: 2})
+         *		.addSource("regions.csv", "csv", {name: "regions"})
+         *		.addSource(function(regions) {
+         *			return "detail_" + regions.column("code").values()[0] + ".csv";
+         *		}, "csv", {depends: "regions"})
+         *		.realize(function(dataA, result) {
+         *			if (result.failed.length) {
+         *				...
+         *			}
+         *		});
          */
-        addSource: function (szUrl, szType) {
+        addSource: function (szUrl, szType, options) {
             _LOG("Data.Broker.addSource: " + szUrl);
+            options = options || {};
             this.souceQueryA.push({
                 url: szUrl,
                 type: szType,
+                name: options.name || null,
+                depends: options.depends ? __toArray(options.depends) : [],
+                retries: options.retries,
+                attempts: 0,
+                error: null,
                 data: null,
                 result: null,
                 next: this
@@ -5227,14 +10983,21 @@ $Log:data.js,v $
         /**
          * start the broker<br>
          * initiate the process to load the added sources and [optional] define a user function to be called 
-         * on success.<br>the argument passed to the user function is an array with the loaded data as {@link "-_anonymous_-Data.Table"} objects
-         * @param {function} callback type of the data (csv,...)
+         * when all sources are loaded or have failed.<br>the first argument passed to the user function is an array with the loaded data as {@link "-_anonymous_-Data.Table"} objects;
+         * a failed source is an empty Data.Table.<br>
+         * the second argument is the result object:
+         *								   <table border='0' style='border-left: 1px solid #ddd;'>	
+         *								   <tr><td><b>"complete"</b></td><td>true, if all sources have been loaded</td></tr>
+         *								   <tr><td><b>"loaded"</b></td><td>array with the indices of the loaded sources</td></tr>
+         *								   <tr><td><b>"failed"</b></td><td>array of <code>{index, name, url, error, attempts}</code> for every failed or skipped source; <b>error</b> is a {@link Data.Error}</td></tr>
+         *								   </table> 
+         * @param {function} callback the function to call with the loaded data
          * @type void
          * @see {@link Data.Broker.setCallback}
          * @example
          *		...
          *		.realize(
-         *	function(dataA) {
+         *	function(dataA, result) {
          *		var scrutini                    = dataA[0];
          *		var comuniViminaleISTAT         = dataA[1];
          *		var camera_geopolitico_italia   = dataA[2];
@@ -5243,23 +11006,17 @@ $Log:data.js,v $
          */
         realize: function (callback) {
             this.callback = callback || this.callback;
-            for (const i in this.souceQueryA) {
-                if (this.souceQueryA[i].url && !this.souceQueryA[i].result) {
-                    this.getData(this.souceQueryA[i]);
-                    return this;
-                }
-            }
-            this.data = [];
-            for (const i in this.souceQueryA) {
-                this.data.push(this.souceQueryA[i].data || new Data.Table());
-            }
-            this.callback(this.data);
+            this.running = 0;
+            this.__settled = null;
+            this.__started = true;
+            this.__schedule();
             return this;
         },
 
         /**
          * define error function
-         * @param {function(exception)} onError a user defined function to call when error occurs 
+         * @param {function(error,query)} onError a user defined function to call for every source which fails;<br>
+         * it gets the {@link Data.Error} (<b>source</b> is the url) and the source query object with <b>attempts</b>
          * @type {Data.Broker}
          * @returns the Data.Broker object
          * @example
@@ -5298,7 +11055,11 @@ $Log:data.js,v $
         notify: function (onNotify) {
             this.onNotify = onNotify || this.onNotify;
             return this;
-        }
+        },
+
+        then: __then,
+
+        catch: __catch
     };
 
     /**
@@ -5311,32 +11072,200 @@ $Log:data.js,v $
      */
     Data.Broker.prototype.parseDefinition = function (definition) {
         this.callback = definition.callback || null;
+        if (typeof (definition.concurrency) === "number") {
+            this.concurrency = Math.max(1, definition.concurrency);
+        }
+        if (typeof (definition.retries) === "number") {
+            this.retries = definition.retries;
+        }
+        if (typeof (definition.retryDelay) === "number") {
+            this.retryDelay = definition.retryDelay;
+        }
+    };
+
+    /**
+     * internal method to get the source query referenced by name or index
+     * @method __getQuery
+     * @param ref the name or index of the source
+     * @private
+     * @type Object
+     */
+    Data.Broker.prototype.__getQuery = function (ref) {
+        for (let i = 0; i < this.souceQueryA.length; i++) {
+            if (this.souceQueryA[i].name && (this.souceQueryA[i].name == ref)) {
+                return this.souceQueryA[i];
+            }
+        }
+        if (String(ref).match(/^\d+$/)) {
+            return this.souceQueryA[Number(ref)] || null;
+        }
+        return null;
+    };
+
+    /**
+     * internal method to start the loading of all sources which are ready,
+     * i.e. whose dependencies have been loaded, up to the concurrency limit;<br>
+     * calls the user function when nothing is left to load
+     * @method __schedule
+     * @private
+     * @type void
+     */
+    Data.Broker.prototype.__schedule = function () {
+
+        let fChanged = true;
+
+        // sources with failed or unknown dependencies can't be loaded
+        while (fChanged) {
+            fChanged = false;
+            for (let i = 0; i < this.souceQueryA.length; i++) {
+                const query = this.souceQueryA[i];
+                if (query.result || query.loading) {
+                    continue;
+                }
+                for (let d = 0; d < query.depends.length; d++) {
+                    const depQuery = this.__getQuery(query.depends[d]);
+                    if (!depQuery || (depQuery === query) || (depQuery.result === "error")) {
+                        query.result = "error";
+                        query.error = __error("DEPENDENCY_ERROR", !depQuery || (depQuery === query) ? ("unknown dependency '" + query.depends[d] + "'") : ("dependency '" + query.depends[d] + "' failed"), {
+                            source: (typeof (query.url) === "string") ? query.url : null
+                        });
+                        this.onError(query.error, query);
+                        fChanged = true;
+                        break;
+                    }
+                }
+            }
+        }
+
+        // start the sources whose dependencies are loaded
+        for (let i = 0; i < this.souceQueryA.length && this.running < this.concurrency; i++) {
+            const query = this.souceQueryA[i];
+            if (query.result || query.loading || !query.url) {
+                continue;
+            }
+            const depA = query.depends.map(ref => this.__getQuery(ref));
+            if (depA.every(depQuery => depQuery.result === "success")) {
+                if (typeof (query.url) === "function") {
+                    let szError = null;
+                    try {
+                        query.url = query.url.apply(this, depA.map(depQuery => depQuery.data));
+                    } catch (e) {
+                        query.url = null;
+                        szError = "source url function: " + e;
+                    }
+                    if (!query.url) {
+                        query.result = "error";
+                        query.error = __error("DEPENDENCY_ERROR", szError || "source url function returned no url");
+                        this.onError(query.error, query);
+                        // a failed source may change the state of its dependents
+                        this.__schedule();
+                        return;
+                    }
+                }
+                query.loading = true;
+                this.running++;
+                this.getData(query);
+            }
+        }
+
+        if (this.running) {
+            return;
+        }
+
+        // nothing is running and nothing can be started: dependency cycle
+        for (let i = 0; i < this.souceQueryA.length; i++) {
+            const query = this.souceQueryA[i];
+            if (query.url && !query.result) {
+                query.result = "error";
+                query.error = __error("DEPENDENCY_ERROR", "circular dependency", {
+                    source: (typeof (query.url) === "string") ? query.url : null
+                });
+                this.onError(query.error, query);
+            }
+        }
+
+        this.data = [];
+        this.result = {
+            complete: true,
+            loaded: [],
+            failed: []
+        };
+        for (let i = 0; i < this.souceQueryA.length; i++) {
+            const query = this.souceQueryA[i];
+            this.data.push(query.data || new Data.Table());
+            if (query.result === "success") {
+                this.result.loaded.push(i);
+            } else
+            if (query.result === "error") {
+                this.result.complete = false;
+                this.result.failed.push({
+                    index: i,
+                    name: query.name,
+                    url: (typeof (query.url) === "string") ? query.url : null,
+                    error: query.error,
+                    attempts: query.attempts
+                });
+            }
+        }
+        this.data.result = this.result;
+        __settle(this, null, this.data);
+        if (this.callback) {
+            this.callback(this.data, this.result);
+        }
     };
+
     /**
-     * internal method to get one data from the specified source
+     * internal method to get one data from the specified source;<br>
+     * retries a failed source with exponential backoff
      * @method getData
      * @param query object with the definition of the data source
      * @private
      * @type void
      */
     Data.Broker.prototype.getData = function (query) {
+        const __this = this;
+        const nRetries = (typeof (query.retries) === "number") ? query.retries : this.retries;
+        const nAttempt = ++query.attempts;
         this.onNotify(query);
         query.feed = Data.feed({
             "source": query.url,
             "type": query.type,
             "options": query.next.options,
+            "signal": this.options.signal,
+            "persist": this.options.persist,
             parent: this
         }).load(function (mydata) {
+            if (!query.loading || (nAttempt !== query.attempts)) {
+                return;
+            }
             query.data = mydata;
             query.data.raw = query.feed.data;
-            this.parent.onNotify(query);
+            __this.onNotify(query);
             query.result = "success";
-            query.next.realize();
+            query.error = null;
+            query.loading = false;
+            __this.running--;
+            __this.__schedule();
         }).error(function (e) {
-            this.parent.onError(query.url);
+            if (!query.loading || (nAttempt !== query.attempts)) {
+                return;
+            }
+            query.error = (e instanceof Data.Error) ? e : __error("LOAD_ERROR", __errorMessage(e), {
+                source: query.url
+            });
+            if ((query.attempts <= nRetries) && (query.error.code != "CANCELLED")) {
+                _LOG("Data.Broker: retry " + query.attempts + " " + query.url);
+                setTimeout(function () {
+                    __this.getData(query);
+                }, __this.retryDelay * Math.pow(2, query.attempts - 1));
+                return;
+            }
+            __this.onError(query.error, query);
             query.data = null;
             query.result = "error";
-            query.next.realize();
+            query.loading = false;
+            __this.running--;
+            __this.__schedule();
         });
     };
     /**
@@ -5364,8 +11293,8 @@ $Log:data.js,v $
     // Instantiates a Data.Broker
     //
 
-    Data.broker = function () {
-        return new Data.Broker();
+    Data.broker = function (options) {
+        return new Data.Broker(options);
     };
 
     // @factory Data.provider()
@@ -5409,6 +11338,7 @@ $Log:data.js,v $
     Data.Merger = function (options) {
         this.sourceA = [];
         this.options = options || {};
+        this.onError = function () {};
         if (options) {
             this.parseDefinition(options);
         }
@@ -5467,6 +11397,8 @@ $Log:data.js,v $
         realize: function (callback) {
 
             this.callback = callback || this.callback;
+            this.__settled = null;
+            this.__started = true;
 
             _LOG("DataMerger: >>>");
 
@@ -5483,7 +11415,9 @@ $Log:data.js,v $
                 source.opt.label = __toArray(source.opt.label);
                 
                 if (!this.sourceA[i].data) {
-                    _alert("DataMerger: source '" + i + "' not found");
+                    this.onError(__error("INVALID_OPTION", "DataMerger: source '" + i + "' not found", {
+                        source: "Data.Merger"
+                    }));
                 }
 
                 if (!this.sourceA[i].data[0]) {
@@ -5491,7 +11425,9 @@ $Log:data.js,v $
                 }
 
                 if (!this.sourceA[i].data[0]) {
-                    _alert("DataMerger: source '" + i + "' not found or not of type Array");
+                    this.onError(__error("INVALID_OPTION", "DataMerger: source '" + i + "' not found or not of type Array", {
+                        source: "Data.Merger"
+                    }));
                 }
 
                 let index = [];
@@ -5590,7 +11526,12 @@ $Log:data.js,v $
                             }
                         }
                     } else {
-                        _alert("DataMerger - missing \"" + this.outColumnsA[ii] + "\" in label:[...]");
+                        const error = __error("COLUMN_NOT_FOUND", "DataMerger - missing \"" + this.outColumnsA[ii] + "\" in label:[...]", {
+                            source: "Data.Merger",
+                            column: this.outColumnsA[ii]
+                        });
+                        __settle(this, error);
+                        this.onError(error);
                         return null;
                     }
                 }
@@ -5603,6 +11544,7 @@ $Log:data.js,v $
             let dbTable = new Data.Table();
             dbTable.setArray(newData);
 
+            __settle(this, null, dbTable);
             if (this.callback) {
                 this.callback(dbTable);
             }
@@ -5629,7 +11571,24 @@ $Log:data.js,v $
         error: function (onError) {
             this.onError = onError || this.onError;
             return this;
-        }
+        },
+
+        /**
+         * the merger is a thenable: awaiting it realizes the merge (if not yet done)
+         * and resolves with the merged table, or rejects with a {@link Data.Error}
+         * @example
+         *  const newData = await Data.merger()
+         *      .addSource(prezzi, {lookup:"idImpianto", columns:["descCarburante","prezzo"]})
+         *      .addSource(impianti, {lookup:"idImpianto", columns:["Latitudine","Longitudine"]});
+         */
+        then: function (onFulfilled, onRejected) {
+            if (!this.__settled) {
+                this.realize();
+            }
+            return __then.call(this, onFulfilled, onRejected);
+        },
+
+        catch: __catch
     };
 
     // @factory Data.merger()
@@ -5647,11 +11606,6 @@ $Log:data.js,v $
     // version message
     console.log("*** data.js " + Data.version + " ***");
 
-    // alert handling
-    var _alert = function (szAlert) {
-        console.log("data.js v" + Data.version + ": " + szAlert);
-    };
-
     /**
      * end of namespace
      */
@@ -1,7 +1,7 @@
 /** 
  * @fileoverview
  * provides an object and methods to load, parse and process various data sources.<br>
- * The <b>sources</b> may be of the following type: <b>csv</b>, <b>json</b>, <b>geojson</b>, <b>kml</b>, <b>gml</b>, <b>rss</b>, and <b>parquet</b> (using DuckDB WASM).<br>
+ * The <b>sources</b> may be of the following type: <b>csv</b>, <b>json</b>, <b>geojson</b>, <b>kml</b>, <b>gml</b>, <b>rss</b>, <b>shapefile</b>, and <b>parquet</b> and <b>gpkg</b> (using DuckDB WASM).<br>
  * The <b>methods</b> to load data are: 
  * <ul><li>Data.<b>feed()</b> to load from url</li>
  * <li>Data.<b>import()</b> to import javascript objects and</li>
@@ -57,4 +57,4 @@
  * @copyright CC BY SA
  * @license MIT
  */
-!function(e,t,o){new Date;_LOG=function(e){new Date};const r=function(e){return e&&void 0!==e?function(e){return"[object Array]"===Object.prototype.toString.call(e)}(e)?e:String(e).match(/\|/)?String(e).split("|"):String(e).split(","):[]},s=function(e,t,o){return o.indexOf(e)===t};var n={version:"1.56",errors:[],log:function(e){}};"object"==typeof module&&"object"==typeof module.exports?module.exports=n:"function"==typeof define&&define.amd&&define(n),void 0!==e&&function(){const t=e.Data;n.noConflict=function(){return e.Data=t,this},e.Data=n}(),n.Object=function(e){this.options=e,this.debug=!1},n.Object.prototype={import:function(e){return this.options.success=this.options.success||e,this.feed=n.feed({}),this.feed.options=this.options,"csv"==this.options.type||"CSV"==this.options.type?this.feed.__processCSVData(this.options.source,this.options):"rss"==this.options.type||"RSS"==this.options.type?(this.options.format="xml",this.feed.__processRSSData(this.options.source,this.options)):"kml"==this.options.type||"KML"==this.options.type?(this.options.format="xml",this.feed.__processKMLData(this.options.source,this.options)):"gml"==this.options.type||"GML"==this.options.type?(this.options.format="xml",this.feed.__processGMLData(this.options.source,this.options)):"json"==this.options.type||"JSON"==this.options.type||"Json"==this.options.type?this.feed.__processJsonData(this.options.source,this.options):"geojson"==this.options.type||"GEOJSON"==this.options.type||"GeoJson"==this.options.type?this.feed.__processGeoJsonData(this.options.source,this.options):"topojson"==this.options.type||"TOPOJSON"==this.options.type||"TopoJson"==this.options.type?this.feed.__processTopoJsonData(this.options.source,this.options):"jsonDB"==this.options.type||"JSONDB"==this.options.type||"JsonDB"==this.options.type||"jsondb"==this.options.type?this.feed.__processJsonDBData(this.options.source,this.options):"parquet"==this.options.type||"PARQUET"==this.options.type?this.options.source instanceof ArrayBuffer&&(_LOG("Processing parquet ArrayBuffer directly: "+this.options.source.byteLength+" bytes"),this.feed.__processParquetData(this.options.source,this.options)):"geoparquet"!=this.options.type&&"GEOPARQUET"!=this.options.type||this.options.source instanceof ArrayBuffer&&(_LOG("Processing geoparquet ArrayBuffer directly: "+this.options.source.byteLength+" bytes"),this.feed.__processGeoParquetData(this.options.source,this.options)),this},error:function(e){return this.options.error=e,this}},n.Import=function(e){this.options=e,this.debug=!1},n.Feed=function(e){this.options=e||{},this.debug=!1,this.options.error=function(e){n.errors.push(e)}},n.Feed.prototype={load:function(e){this.options.success=e;const t=this.options,o=t.source||t.src||t.url||t.ext;void 0===t.cache&&(t.cache=!0,t.options&&void 0!==t.options.cache&&(t.cache=t.options.cache));const r=this;return o||a("Data.feed(...).load(): no source defined !",2e3),"csv"==t.type||"CSV"==t.type?this.__doCSVImport(o,t):"rss"==t.type||"RSS"==t.type?this.__doRSSImport(o,t):"kml"==t.type||"KML"==t.type?this.__doKMLImport(o,t):"gml"==t.type||"GML"==t.type?this.__doGMLImport(o,t):"json"==t.type||"JSON"==t.type||"Json"==t.type?this.__doJSONImport(o,t):"geojson"==t.type||"GEOJSON"==t.type||"GeoJson"==t.type?this.__doGeoJSONImport(o,t):"topojson"==t.type||"TOPOJSON"==t.type||"TopoJson"==t.type?this.__doTopoJSONImport(o,t):"jsonDB"==t.type||"JSONDB"==t.type||"JsonDB"==t.type||"jsondb"==t.type?this.__doJsonDBImport(o,t):"jsonstat"==t.type||"jsonStat"==t.type||"JSONSTAT"==t.type?$.getScript("http://json-stat.org/lib/json-stat.js").done((function(e,s){r.__doLoadJSONstat(o,t)})).fail((function(e,o,r){a("'"+t.type+"' unknown format !")})):"parquet"==t.type||"PARQUET"==t.type?this.__doParquetImport(o,t):a("'"+t.type+"' unknown format !"),this},error:function(e){return this.options.error=e,this}},n.feed=function(e){return new n.Feed(e)},n.object=function(e){return new n.Object(e)},n.import=function(e){return new n.Object(e).import().feed.dbtable};n.Feed.prototype.__doLoadJSONstat=function(e,t){const o=this;JSONstat(e,(function(){const e=[];let r=[this.Dataset(0).Dimension(0).label];const s=this.Dataset(0).Dimension(1).id;for(let e=0;e<s.length;e++)r.push(this.Dataset(0).Dimension(1).Category(s[e]).label);e.push(r);for(let t=0;t<this.Dataset(0).Dimension(0).length;t++){r=[],r.push(this.Dataset(0).Dimension(0).Category(this.Dataset(0).Dimension(0).id[t]).label);for(let e=0;e<this.Dataset(0).Dimension(1).length;e++)r.push(this.Dataset(0).Data([t,e]).value);e.push(r)}t.callback?t.callback(e,t):o.__createDataTableObject(e,t.type,t)}))},n.Feed.prototype.__doJsonDBImport=function(e,t){_LOG("__doJsonDBImport: "+e);const o=this;t.url=e,$.getScript(e+".gz").done((function(e,r){o.__processJsonDBData(e,t)})).fail((function(r,s,n){$.getScript(e).done((function(e,r){o.__processJsonDBData(e,t)})).fail((function(t,r,s){o.options.error&&o.options.error('"'+e+'" '+s)}))}))},n.Feed.prototype.__processJsonDBData=function(t,o){_LOG("__processJsonDBData:"),this.dbtable=new n.Table;let r=null;if("string"==typeof t){const t=o.source.split(/\//).pop().split(/\./)[0];r=void 0!==e?e[t]:global[t]}else r=o.source;this.dbtable.table=r.table,this.dbtable.fields=r.fields,this.dbtable.records=r.records,o.callback?o.callback(newData,o):void 0!==o&&o.success&&o.success(this.dbtable)},n.Feed.prototype.__doCSVImport=function(e,t){_LOG("__doCSVImport: "+e);const o=this;$.ajax({type:"GET",url:e,cache:t.cache,dataType:"text",success:function(e){o.__processCSVData(e,t)},error:function(o,r,s){void 0!==t&&t.error&&t.error('"'+e+'" '+s)}})},n.Feed.prototype.__processCSVData=function(e,t){if(_LOG("__processCSVData - start"),"undefined"==typeof Papa){_LOG("__processCSVData:load csv parser!");const o=this;return $.getScript("https://cdnjs.cloudflare.com/ajax/libs/PapaParse/4.1.2/papaparse.min.js").done((function(r,s){o.__processCSVData(e,t)})).fail((function(e,o,r){a("'"+t.type+"' parser not loaded !"),t.error&&t.error("'"+t.type+"' parser not loaded !")})),!1}let o=Papa.parse(e,t.parser);if(o.errors.length)return a("csv parsing error: "+o.errors.map((e=>e.message)).join(";")),t.error&&t.error("csv parsing error: "+o.errors.map((e=>e.message)).join(";")),!1;let r=o.data;if(r.length<2||void 0===r[0]||void 0===r[1])return a("csv parsing error: insufficient rows in data !"),t.error&&t.error("csv parsing error: insufficient rows in data !"),!1;if(!(t.parser&&t.parser.delimiter||r[0].length===r[1].length)){_LOG("csv parser: autodetect failed");const o=[";",","];let s=!1;for(const t of o){if(_LOG(`csv parser: delimiter = ${t}`),r=Papa.parse(e,{delimiter:t}).data,r[0].length===r[1].length){s=!0;break}_LOG(`csv parser: delimiter = ${t} failed`)}if(!s)return a("csv parsing error: unable to auto detect delimiter!"),t.error&&t.error("csv parsing error: unable to auto detect delimiter!"),!1}return r[r.length-1].length!==r[0].length&&r.length>1&&r.pop(),r[0].length-r[1].length==1&&""===r[0][r[0].length-1].trim()&&r[0].pop(),t.callback?(t.callback(r,t),!1):(_LOG("__createDataTableObject: "+(t.options?" -> "+t.options.name:"")),this.__createDataTableObject(r,t.type,t),!1)},n.Feed.prototype.__doRSSImport=function(e,t){_LOG("__doRSSImport: "+e);const o=this;t.format="xml",$.ajax({type:"GET",url:e,dataType:"xml",success:function(e){o.__processRSSData(e,t)},error:function(e,o,r){void 0!==t&&t.error&&t.error(e,o,r)}})},n.Feed.prototype.__processRSSData=function(e,t){"xml"==t.format&&($(e).find("rss").length?this.__parseRSSData(e,t):$(e).find("feed").length?a("feed not yet supported"):$(e).find("atom").length&&a("atom not yet supported"))},n.Feed.prototype.__parseRSSData=function(e,t){const o=this;"xml"==t.format&&$(e).find("channel").each((function(){const r=[];let s=null;$(e).find("item").each((function(){if(!s){const e=[];s=[];const t=$(this).children();for(let o=0;o<t.length;o++){let t=$(this).children()[o].nodeName;for(;e[t];)t+="*";e[t]=t,s[o]=t}r.push(s)}const e=[];for(let t=0;t<s.length;t++)"enclosure"==s[t]?e.push($(this).find(s[t]+":first").attr("url")||""):e.push($(this).find(s[t]+":first").text()||"");r.push(e)})),o.__createDataTableObject(r,"rss",t)}))},n.Feed.prototype.__doKMLImport=function(e,t){_LOG("__doKMLImport: "+e);const o=this;t.format="xml",$.ajax({type:"GET",url:e,dataType:"xml",success:function(e){o.__processKMLData(e,t)},error:function(e,o,r){void 0!==t&&t.error&&t.error(e,o,r)}})},n.Feed.prototype.__doGMLImport=function(e,t){_LOG("__doGMLImport: "+e);const o=this;t.format="xml",$.ajax({type:"GET",url:e,dataType:"xml",success:function(e){o.__processGMLData(e,t)},error:function(e,o,r){void 0!==t&&t.error&&t.error(e,o,r)}})},n.Feed.prototype.__processKMLData=function(e,t){"xml"==t.format&&($(e).find("kml").length?this.__parseKMLData(e,t):a("feed not kml"))},n.Feed.prototype.__parseKMLData=function(e,t){const o=this;if("xml"==t.format){const r=$(e).find("Document"),s=[];let n=null;r.find("Placemark").each((function(){const e=$(this).find("ExtendedData")||$(this);n||(n=[],e.find("Data").each((function(){n.push($(this).attr("name"))})),$(this).find("Point").find("coordinates")&&n.push("KML.Point"),s.push(n));const t=[];e.find("Data").each((function(){t.push($(this).find("value").text())})),$(this).find("Point").find("coordinates")&&t.push($(this).find("Point").find("coordinates").text()),s.push(t)})),o.__createDataTableObject(s,"kml",t)}},n.Feed.prototype.__processGMLData=function(e,t){"xml"==t.format&&("string"==typeof e&&(parser=new DOMParser,e=parser.parseFromString(e,"text/xml")),$(e).find("wfs\\:FeatureCollection, gml\\:FeatureCollection, FeatureCollection").length?this.__parseGMLData(e,t):a("feed not gml"))},n.Feed.prototype.__parseGMLData=function(e,t){const o=this;if("xml"==t.format){const r=$(e).find("wfs\\:FeatureCollection, FeatureCollection").first();if(0===r.length)return void a("No FeatureCollection found in GML data");const s=[];let n=null;r.find("wfs\\:member, gml\\:featureMember, featureMember, gml\\:featureMembers, featureMembers").each((function(){const e=$(this).find("gml\\:*, *").first();if(0===e.length)return;n||(n=[],e.find("gml\\:*, *").each((function(){const e=$(this).prop("tagName");e&&!e.match(/^(gml:)?(boundedBy|location|pos|coordinates|geometry|geometryProperty)$/i)&&n.push(e.replace(/^gml:/,""))})),n.push("GML.Geometry"),s.push(n));const t=[];e.find("gml\\:*, *").each((function(){const e=$(this).prop("tagName");e&&!e.match(/^(gml:)?(boundedBy|location|pos|coordinates|geometry|geometryProperty)$/i)&&t.push($(this).text())}));const o=e.find("gml\\:Polygon").first();if(o.length>0){let e='{"type":"Polygon","coordinates":[[',s=o.text().split(" "),n=0;for(var r=0;r<s.length;r++)if(Number(s[r])&&!isNaN(Number(s[r]))){n=r;break}if(n<s.length-1)for(r=n;r<s.length-1;r+=2)s[r]&&s[r+1]&&!isNaN(Number(s[r]))&&!isNaN(Number(s[r+1]))&&(e+=(r>n?",":"")+"["+s[r+1]+","+s[r]+"]");e+="]]}",t.push(e)}else t.push("");s.push(t)})),o.__createDataTableObject(s,"gml",t)}},n.Feed.prototype.__doJSONImport=function(e,t){const o=this;$.get(e,(function(e){o.__processJsonData(e,t)})).fail((function(e){void 0!==t&&t.error&&t.error(e)}))},__getNestedPaths=function(e,t=""){const o=[];if("object"!=typeof e||null===e||Array.isArray(e))Array.isArray(e)?e.forEach(((e,r)=>{const s=t?`${t}.${r}`:String(r);o.push(...__getNestedPaths(e,s))})):o.push(t);else for(const r in e)if(Object.prototype.hasOwnProperty.call(e,r)){const s=e[r],n=t?`${t}.${r}`:r;o.push(...__getNestedPaths(s,n))}return o},__extractValuesRecursive=function(e,t){let r=[];if(null==e)r.push("null");else if("object"!=typeof t||null===t||Array.isArray(t))if(Array.isArray(t))for(let s=0;s<t.length;s++){const n=s<e.length?e[s]:o;r=r.concat(__extractValuesRecursive(n,t[s]))}else r.push(e);else for(const s in t)if(Object.prototype.hasOwnProperty.call(t,s)){const n=Object.prototype.hasOwnProperty.call(e,s)?e[s]:o;r=r.concat(__extractValuesRecursive(n,t[s]))}return r},n.Feed.prototype.__processJsonData=function(e,t){let o=null;if("string"==typeof e)try{o=JSON.parse(e)}catch(e){this.__createDataTableObject([],"json",t)}else o=e;this.data=o;let r=[],s=[];if(o&&o.data&&o.data.columns&&o.data.rows){const e=o.data.columns,t=o.data.rows;for(let t=0,o=e.length;t<o;t++)s.push(e[t]);r.push(s);for(let e=0,o=t.length;e<o;e++){s=[];for(let o=0,r=t[0].length;o<r;o++)s.push(t[e][o]);r.push(s)}}else{if(o&&o.data&&(o=o.data),!Array.isArray(o)){__findAllArraysInJson=function(e){const t=[];return function e(o){if(Array.isArray(o))t.push(o);else if("object"==typeof o&&null!==o)for(const t in o)o.hasOwnProperty(t)&&e(o[t])}(e),t},o=__findAllArraysInJson(o)[0]}if(!o){let o=[];o.push(["unknown type"]);const r=e.split("\n");for(let e=0,t=r.length;e<t;e++)o.push([r[e]]);return void this.__createDataTableObject(o,"json",t)}r.push(__getNestedPaths(o[0]));for(let e=0;e<o.length;e++)r.push(__extractValuesRecursive(o[e],o[0]))}this.__createDataTableObject(r,"json",t)},n.Feed.prototype.__doGeoJSONImport=function(e,t){const o=this;$.get(e,(function(e){o.__processGeoJsonData(e,t)})).fail((function(e){void 0!==t&&t.error&&t.error(e)}))},n.Feed.prototype.__processGeoJsonData=function(e,t){let r=null;if("string"==typeof e)try{r=JSON.parse(e)}catch(e){return void this.__createDataTableObject([],"json",t)}else r=e;this.data=r;const s=[],n={};if(r&&r.features&&r.features.length){for(const e of r.features)if(e.properties)for(const t in e.properties)n[t]=!0;const e=Object.keys(n);e.push("geometry"),s.push(e);for(const t of r.features){const r=[],n=t.properties||{};for(let t=0;t<e.length-1;t++){const s=n[e[t]];"object"==typeof s?r.push(JSON.stringify(s)):r.push(s!==o?s:"")}r.push(JSON.stringify(t.geometry)),s.push(r)}}this.__createDataTableObject(s,"json",t)},n.Feed.prototype.__processGeoJsonData_expandProperty=function(e,t){let o=null;if("string"==typeof e)try{o=JSON.parse(e)}catch(e){this.__createDataTableObject([],"json",t)}else o=e;this.data=o;let r=[],s=[];const n=[];if(o&&o.features&&o.features.length){for(let e=0;e<o.features.length;e++)for(const t in o.features[e].properties)if("string"==typeof o.features[e].properties[t]||"number"==typeof o.features[e].properties[t])n[t]=!0;else for(const r in o.features[e].properties[t])n[t+"."+r]=!0;for(const e in n)s.push(e);s.push("geometry"),r.push(s);for(let e=0;e<o.features.length;e++){s=[];for(let t=0;t<r[0].length-1;t++){const n=r[0][t].split(".");n.length>=2?s.push(o.features[e].properties[n[0]][n[1]]||""):s.push(o.features[e].properties[r[0][t]]||"")}s.push(JSON.stringify(o.features[e].geometry)),r.push(s)}}this.__createDataTableObject(r,"json",t)},n.Feed.prototype.__doTopoJSONImport=function(e,t){const o=this;$.get(e,(function(e){o.__processTopoJsonData(e,t)})).fail((function(e){void 0!==t&&t.error&&t.error(e)}))},n.Feed.prototype.__processTopoJsonData=function(e,t){if("undefined"==typeof topojson)return void a("'"+t.type+"' parser not loaded !");let o=null;if("string"==typeof e)try{o=JSON.parse(e)}catch(e){this.__createDataTableObject([],"json",t)}else o=e;this.data=o;let r=null;if(t.options&&t.options.name&&o.objects[t.options.name])r=topojson.feature(o,o.objects[t.options.name]);else for(var s in o.objects){r=topojson.feature(o,o.objects[s]);break}for(const e in r.features)r.features[e].properties.id=r.features[e].id;this.__processGeoJsonData(r,t)},n.Feed.prototype.__doParquetImport=function(e,t){_LOG("__doParquetImport: "+e);const o=this;_LOG("Attempting to load parquet file using Fetch API..."),fetch(e,{method:"GET",cache:t.cache?"default":"no-cache"}).then((e=>{if(_LOG("Fetch response received, status: "+e.status),_LOG("Response headers: "+JSON.stringify([...e.headers.entries()])),!e.ok)throw new Error(`HTTP ${e.status}: ${e.statusText}`);return e.arrayBuffer()})).then((e=>{_LOG("Successfully loaded parquet as ArrayBuffer: "+e.byteLength+" bytes");const r=new Uint8Array(e);if(r.length>=4){const s=String.fromCharCode(...r.slice(0,4));_LOG("Magic number: "+s),"PAR1"===s?(_LOG("✅ SUCCESS: Valid parquet file detected!"),o.__processParquetData(e,t)):(_LOG("⚠️ Warning: Magic number is not PAR1: "+s),_LOG("First 16 bytes: "+Array.from(r.slice(0,16)).map((e=>e.toString(16).padStart(2,"0"))).join(" ")),_LOG("Attempting to process anyway..."),o.__processParquetData(e,t))}else _LOG("⚠️ Warning: Response too short to check magic number"),o.__processParquetData(e,t)})).catch((r=>{_LOG("Fetch failed: "+r.message),_LOG("Falling back to XMLHttpRequest..."),o.__loadParquetWithXHR(e,t)}))},n.Feed.prototype.__loadParquetWithXHR=function(e,t){const o=this;_LOG("Loading parquet with XMLHttpRequest...");const r=new XMLHttpRequest;r.open("GET",e,!0),r.responseType="arraybuffer",r.onload=function(){if(200===r.status){const e=r.response;_LOG("XHR successful: "+e.byteLength+" bytes");const s=new Uint8Array(e);if(s.length>=4){const r=String.fromCharCode(...s.slice(0,4));_LOG("XHR magic number: "+r),"PAR1"===r?(_LOG("✅ SUCCESS: Valid parquet file via XHR!"),o.__processParquetData(e,t)):(_LOG("⚠️ Warning: XHR magic number is not PAR1: "+r),_LOG("First 16 bytes: "+Array.from(s.slice(0,16)).map((e=>e.toString(16).padStart(2,"0"))).join(" ")),_LOG("Attempting to process anyway..."),o.__processParquetData(e,t))}else _LOG("⚠️ Warning: XHR response too short to check magic number"),o.__processParquetData(e,t)}else _LOG("XHR failed with status: "+r.status+" "+r.statusText),void 0!==t&&t.error?t.error("XHR failed: "+r.status+" "+r.statusText):a("XHR failed: "+r.status+" "+r.statusText)},r.onerror=function(){_LOG("XHR network error"),void 0!==t&&t.error?t.error("XHR network error"):a("XHR network error")},r.send()},n.Feed.prototype.__checkGeoParquetMetadataWithDuckDB=function(t,o,r){try{const r=t.slice(),s="temp_parquet_"+Date.now()+".parquet";e.duckdb.db.registerFileBuffer(s,new Uint8Array(r)).then((function(){const t=`\n                        SELECT * FROM read_parquet('${s}') LIMIT 1\n                    `;return e.duckdb.conn.query(t)})).then((function(e){let t,r=!1;if("function"==typeof e.toArray)t=e.toArray();else if("function"==typeof e.fetchAll)t=e.fetchAll();else if(Array.isArray(e))t=e;else{if(!e.data||!Array.isArray(e.data))return void o(!1);t=e.data}if(t&&t.length>0){const e=t[0],o=Object.keys(e),s=["geometry","geom","the_geom","wkb_geometry","shape"];for(const e of o){const t=e.toLowerCase();if(s.includes(t)){r=!0;break}}for(const e of o){const t=e.toLowerCase();if(t.includes("wkb")||t.includes("geojson")||t.includes("wkt")||t.includes("coordinates")){r=!0;break}}}o(r)})).catch((function(e){o(!1)})).finally((function(){try{e.duckdb.db.dropFile(s)}catch(e){}}))}catch(e){r(e)}},n.Feed.prototype.__detectColumnTypes=function(e){if(!e||!e.fields)return null;return e.fields.map((e=>{const t=e.type.toString().toLowerCase(),o=e.name.toLowerCase();let r;return r=t.includes("geometry")||t.includes("wkb")||t.includes("wkt")||t.includes("blob")||t.includes("binary")||"geometry"===o||"geom"===o||"wkb_geometry"===o||"wkt_geometry"===o||o.includes("shape")?"geometry":t.includes("list")||t.includes("array")?"array":t.includes("utf8")||t.includes("string")||t.includes("varchar")?"string":t.includes("int")||t.includes("float")||t.includes("double")||t.includes("decimal")?"number":t.includes("bool")?"boolean":t.includes("date")||t.includes("timestamp")?"date":"other","geometry"===r?n.log(`🗺️ Detected geometry column: "${e.name}" (type: ${t})`):"array"===r&&n.log(`📋 Detected array column: "${e.name}" (type: ${t})`),r}))},n.Feed.prototype.__convertGeometryToGeoJSON=function(e){if(!e)return"";try{if(e instanceof ArrayBuffer||e instanceof Uint8Array){const t=e instanceof Uint8Array?e:new Uint8Array(e);return this.__parseWKB(t)}return"string"==typeof e?e.match(/^(POINT|LINESTRING|POLYGON|MULTIPOINT|MULTILINESTRING|MULTIPOLYGON|GEOMETRYCOLLECTION)\s*\(/i)?this.__wktToGeoJSON(e):(e.trim().startsWith("{"),e):"object"==typeof e?JSON.stringify(e):String(e)}catch(t){try{return JSON.stringify(e)}catch(t){return String(e||"")}}},n.Feed.prototype.__parseWKB=function(e){try{if(e.length<5)return"";const t=1===e[0],o=new DataView(e.buffer,e.byteOffset,e.byteLength),r=o.getUint32(1,t);switch(r){case 1:return this.__parseWKBPoint(o,t);case 2:return this.__parseWKBLineString(o,t);case 3:return this.__parseWKBPolygon(o,t);case 4:case 5:case 6:case 7:const s=Array.from(e).map((e=>e.toString(16).padStart(2,"0"))).join("");return JSON.stringify({type:"WKB",wkb:s,geomType:r});default:const n=Array.from(e).map((e=>e.toString(16).padStart(2,"0"))).join("");return JSON.stringify({type:"WKB",wkb:n,geomType:r})}}catch(t){const o=Array.from(e).map((e=>e.toString(16).padStart(2,"0"))).join("");return JSON.stringify({type:"WKB",wkb:o})}},n.Feed.prototype.__parseWKBPoint=function(e,t){const o=e.getFloat64(5,t),r=e.getFloat64(13,t);return JSON.stringify({type:"Point",coordinates:[o,r]})},n.Feed.prototype.__parseWKBLineString=function(e,t){const o=e.getUint32(5,t),r=[];for(let s=0;s<o;s++){const o=9+16*s,n=e.getFloat64(o,t),i=e.getFloat64(o+8,t);r.push([n,i])}return JSON.stringify({type:"LineString",coordinates:r})},n.Feed.prototype.__parseWKBPolygon=function(e,t){const o=e.getUint32(5,t),r=[];let s=9;for(let n=0;n<o;n++){const o=e.getUint32(s,t);s+=4;const n=[];for(let r=0;r<o;r++){const o=e.getFloat64(s,t),r=e.getFloat64(s+8,t);n.push([o,r]),s+=16}r.push(n)}return JSON.stringify({type:"Polygon",coordinates:r})},n.Feed.prototype.__wktToGeoJSON=function(e){try{const t=e.match(/POINT\s*\(\s*([^\s]+)\s+([^\s]+)\s*\)/i);return t?JSON.stringify({type:"Point",coordinates:[parseFloat(t[1]),parseFloat(t[2])]}):JSON.stringify({type:"WKT",wkt:e})}catch(t){return e}},n.Feed.prototype.__convertValue=function(e,t){if(null==e)return"";if(t)switch(t){case"geometry":return this.__convertGeometryToGeoJSON(e);case"array":if(Array.isArray(e))return JSON.stringify(e);if(e&&"object"==typeof e&&"function"==typeof e.toArray)return JSON.stringify(e.toArray());if(e&&"object"==typeof e)try{return JSON.stringify(Array.from(e))}catch(t){return JSON.stringify(e)}return String(e);case"string":return e;case"number":case"boolean":return String(e);case"date":return e instanceof Date?e.toISOString():String(e);default:return"string"==typeof e?e:"object"==typeof e?JSON.stringify(e):String(e)}else{if("string"==typeof e)return e;if("number"==typeof e||"boolean"==typeof e)return String(e);if(e instanceof Date)return e.toISOString();if(Array.isArray(e))return JSON.stringify(e);if(e&&"object"==typeof e&&"function"==typeof e.toArray)try{return JSON.stringify(e.toArray())}catch(t){return JSON.stringify(e)}else try{return JSON.stringify(e)}catch(t){return String(e)}}},n.Feed.prototype.__processRow=function(e,t,o,r,s){const n=new Array(t.length);for(let i=0;i<t.length;i++){let a;a=r?e[i]:s?e[t[i]]:e,n[i]=this.__convertValue(a,o?o[i]:null)}return n},n.Feed.prototype.__createParquetWorker=function(){const e=new Blob(["\n            // Web Worker for processing parquet data\n            self.onmessage = function(e) {\n                const { rows, columns, isArrayFormat, isObjectFormat, batchSize } = e.data;\n                \n                try {\n                    const cellsPerRow = columns.length;\n                    const totalRows = rows.length;\n                    let processedRows = 0;\n                    \n                    // Process data in batches\n                    for (let batchStart = 0; batchStart < totalRows; batchStart += batchSize) {\n                        const batchEnd = Math.min(batchStart + batchSize, totalRows);\n                        const batchData = [];\n                        \n                        // Process batch\n                        for (let i = batchStart; i < batchEnd; i++) {\n                            const row = new Array(cellsPerRow);\n                            \n                            for (let j = 0; j < cellsPerRow; j++) {\n                                let value;\n                                \n                                // Get value based on pre-detected format\n                                if (isArrayFormat) {\n                                    value = rows[i][j];\n                                } else if (isObjectFormat) {\n                                    value = rows[i][columns[j]];\n                                } else {\n                                    value = rows[i];\n                                }\n                                \n                                // Optimized type handling\n                                if (value == null) {\n                                    row[j] = '';\n                                } else if (typeof value === 'string') {\n                                    row[j] = value;\n                                } else if (typeof value === 'number' || typeof value === 'boolean') {\n                                    row[j] = String(value);\n                                } else if (value instanceof Date) {\n                                    row[j] = value.toISOString();\n                                } else {\n                                    try {\n                                        row[j] = JSON.stringify(value);\n                                    } catch (e) {\n                                        row[j] = String(value);\n                                    }\n                                }\n                            }\n                            batchData.push(row);\n                        }\n                        \n                        processedRows = batchEnd;\n                        \n                        // Send batch back to main thread\n                        self.postMessage({\n                            type: 'batch',\n                            data: batchData,\n                            processed: processedRows,\n                            total: totalRows,\n                            progress: Math.round((processedRows / totalRows) * 100)\n                        });\n                        \n                        // Clear batch to free memory\n                        batchData.length = 0;\n                    }\n                    \n                    // Send completion message\n                    self.postMessage({\n                        type: 'complete',\n                        processed: processedRows,\n                        total: totalRows\n                    });\n                    \n                } catch (error) {\n                    self.postMessage({\n                        type: 'error',\n                        error: error.message || String(error)\n                    });\n                }\n            };\n        "],{type:"application/javascript"}),t=URL.createObjectURL(e);return new Worker(t)},n.Feed.prototype.__processStreamingDataset=function(t,o,r,s,n){const i=this;if(!("undefined"!=typeof Worker))return i.__processStreamingDatasetFallback(t,o,r,s,n);const a=t.length>0&&Array.isArray(t[0]),l=t.length>0&&"object"==typeof t[0]&&null!==t[0]&&!Array.isArray(t[0]),c=new Array(t.length+1);c[0]=o;const u=o.length,h=(t.length,Math.min(5e6,Math.max(5e5,Math.floor(1e7/u))));if(t.length*u*50/1048576>500)return i.__processStreamingDatasetFallback(t,o,r,s,n);return(async()=>{const e=[],r=1e5;for(let s=0;s<t.length;s+=r)await new Promise((n=>{setTimeout((()=>{const i=Math.min(s+r,t.length);for(let r=s;r<i;r++)if(a)e.push(Array.from(t[r]));else if(l){const s={};for(let e=0;e<o.length;e++)s[o[e]]=t[r][o[e]];e.push(s)}else e.push(t[r]);i%5e5==0||t.length,n()}),0)}));return e})().then((function(u){return new Promise(((d,p)=>{try{const t=i.__createParquetWorker();let r=null;t.onmessage=function(o){const{type:a,data:l,processed:u,total:h,progress:f,error:g}=o.data;if("batch"===a){const e=u-l.length+1;for(let t=0;t<l.length;t++)c[e+t]=l[t];u%2e6!=0&&u!==h||performance.memory&&(Math.round(performance.memory.usedJSHeapSize/1024/1024),Math.round(performance.memory.totalJSHeapSize/1024/1024))}else if("complete"===a){t.terminate(),r&&URL.revokeObjectURL(r);try{e.duckdb.db.dropFile(s)}catch(e){}_LOG("Worker converted: "+c.length+" total rows (including header)"),i.__createDataTableObject(c,"parquet",n),d()}else if("error"===a){t.terminate(),r&&URL.revokeObjectURL(r);try{e.duckdb.db.dropFile(s)}catch(e){}p(new Error(g))}},t.onerror=function(e){t.terminate(),r&&URL.revokeObjectURL(r),p(e)},t.postMessage({rows:u,columns:o,isArrayFormat:a,isObjectFormat:l,batchSize:h})}catch(e){return i.__processStreamingDatasetFallback(t,o,r,s,n)}}))})).catch((function(t){try{e.duckdb.db.dropFile(s)}catch(e){}n&&"function"==typeof n.error&&n.error(t)}))},n.Feed.prototype.__processStreamingDatasetFallback=function(t,o,r,s,i){const a=this,l=t.length>0&&Array.isArray(t[0]),c=t.length>0&&"object"==typeof t[0]&&null!==t[0]&&!Array.isArray(t[0]),u=new Array(t.length+1);u[0]=o;const h=o.length,d=t.length*h,p=1e6;n.log(`📊 Processing ${t.length.toLocaleString()} rows (${d.toLocaleString()} cells) in batches of ${p.toLocaleString()} rows`),r&&n.log("⚡ Schema-based optimization active for faster processing");const f=async(e,s)=>new Promise((n=>{setTimeout((()=>{for(let n=e;n<s;n++)u[n+1]=a.__processRow(t[n],o,r,l,c);n()}),0)}));return(async()=>{const e=Date.now();let o=e;for(let r=0;r<t.length;r+=p){const s=Math.min(r+p,t.length);await f(r,s);const i=Date.now(),a=i-o;if(s%5e5==0||s===t.length||a>2e3){const r=((i-e)/1e3).toFixed(1),a=Math.round(s/((i-e)/1e3));let l="";if(performance.memory){l=` | Memory: ${Math.round(performance.memory.usedJSHeapSize/1024/1024)}MB / ${Math.round(performance.memory.totalJSHeapSize/1024/1024)}MB`}n.log(` ${s.toLocaleString()} / ${t.length.toLocaleString()} rows (${Math.round(s/t.length*100)}%) | ${a.toLocaleString()} rows/sec | ${r}s${l}`),o=i}}})().then((function(){_LOG("Fallback converted: "+u.length+" total rows (including header)");try{e.duckdb.db.dropFile(s)}catch(e){}a.__createDataTableObject(u,"parquet",i)})).catch((function(t){try{e.duckdb.db.dropFile(s)}catch(e){}i&&"function"==typeof i.error&&i.error(t)}))},n.Feed.prototype.__processParquetData=function(t,o){const r=this;_LOG("Processing parquet data with DuckDB WASM..."),void 0!==e.duckdb&&e.duckdbLoaded?r.__processParquetWithDuckDB(t,o):r.__loadDuckDBAndProcess(t,o)},n.Feed.prototype.__processParquetWithDuckDB=function(e,t){const o=this;_LOG("Detecting if parquet file is GeoParquet..."),o.__checkGeoParquetMetadataWithDuckDB(e,(function(r){r?(_LOG("✅ GeoParquet detected! Switching to GeoParquet processing..."),"function"==typeof o.__processGeoParquetData?o.__processGeoParquetData(e,t):(_LOG("⚠️ GeoParquet processing function not found, falling back to regular parquet processing"),o.__processWithDuckDB(e,t))):(_LOG("✅ Regular parquet file detected, proceeding with standard processing..."),o.__processWithDuckDB(e,t))}),(function(r){_LOG("⚠️ Error detecting GeoParquet, falling back to regular parquet processing: "+r),o.__processWithDuckDB(e,t)}))},n.Feed.prototype.__loadDuckDBAndProcess=function(o,r){const s=this;_LOG("Loading DuckDB WASM module dynamically...");const n=t.createElement("script");n.type="module",n.textContent='\n            // Try to load DuckDB WASM from CDN\n            let duckdb;\n            try {\n                // Try jsDelivr first (most reliable for DuckDB WASM)\n                duckdb = await import("https://cdn.jsdelivr.net/npm/@duckdb/duckdb-wasm@latest/+esm");\n                console.log("✅ DuckDB loaded from jsDelivr");\n            } catch (e1) {\n                try {\n                    // Fallback to ESM.sh\n                    duckdb = await import("https://esm.sh/@duckdb/duckdb-wasm@1.30.0");\n                    console.log("✅ DuckDB loaded from ESM.sh");\n                } catch (e2) {\n                    try {\n                        // Fallback to unpkg\n                        duckdb = await import("https://unpkg.com/@duckdb/duckdb-wasm@1.30.0");\n                        console.log("✅ DuckDB loaded from unpkg");\n                    } catch (e3) {\n                        throw new Error("Failed to load DuckDB from any CDN: " + e3.message);\n                    }\n                }\n            }\n            \n            console.log("DuckDB WASM module imported:", duckdb);\n            console.log("Available DuckDB methods:", Object.keys(duckdb));\n            \n            // Initialize DuckDB\n            try {\n                console.log(\'🔧 Selecting bundle from jsDelivr CDN...\');\n                const JSDELIVR_BUNDLES = duckdb.getJsDelivrBundles();\n                const bundle = await duckdb.selectBundle(JSDELIVR_BUNDLES);\n                \n                console.log("👷 Creating worker from bundle...");\n                // Create worker using blob URL approach to avoid CORS issues\n                const worker_url = URL.createObjectURL(\n                    new Blob([`importScripts("${bundle.mainWorker}");`], { type: \'text/javascript\' })\n                );\n                const worker = new Worker(worker_url);\n                console.log("✅ Worker created successfully");\n                \n                const logger = new duckdb.ConsoleLogger();\n                const db = new duckdb.AsyncDuckDB(logger, worker);\n                \n                console.log("🚀 Instantiating DuckDB with WASM module...");\n                await db.instantiate(bundle.mainModule, bundle.pthreadWorker);\n                console.log("✅ DuckDB WASM instantiated successfully");\n                \n                // Revoke the blob URL to free memory\n                URL.revokeObjectURL(worker_url);\n                \n                // Create connection\n                const conn = await db.connect();\n                \n                console.log("✅ DuckDB WASM initialized successfully");\n                console.log("📊 DuckDB connection object type:", typeof conn);\n                console.log("📊 DuckDB connection methods:", Object.getOwnPropertyNames(conn));\n                console.log("📊 DuckDB connection constructor:", conn.constructor.name);\n                \n                // Store references globally\n                window.duckdb = {\n                    db: db,\n                    conn: conn,\n                    module: duckdb\n                };\n                window.duckdbLoaded = true;\n            \n            } catch (error) {\n                console.error("❌ Failed to initialize DuckDB WASM:", error);\n                window.duckdbLoadError = error;\n            }\n            ',t.head.appendChild(n);const i=setInterval((function(){e.duckdbLoaded&&e.duckdb?(clearInterval(i),_LOG("DuckDB WASM module loaded successfully"),s.__processParquetWithDuckDB(o,r)):e.duckdbLoadError&&(clearInterval(i),_LOG("Failed to load DuckDB WASM module: "+e.duckdbLoadError),void 0!==r&&r.error?r.error("Failed to load DuckDB WASM module: "+e.duckdbLoadError):a("Failed to load DuckDB WASM module: "+e.duckdbLoadError))}),100);setTimeout((function(){e.duckdbLoaded||e.duckdbLoadError||(clearInterval(i),_LOG("Timeout loading DuckDB WASM module"),void 0!==r&&r.error?r.error("Timeout loading DuckDB WASM module"):a("Timeout loading DuckDB WASM module"))}),15e3)},n.Feed.prototype.__processWithDuckDB=function(t,o){const r=this;try{if(_LOG("Processing parquet data with DuckDB WASM, buffer size: "+t.byteLength+" bytes"),n.log("🦆 Starting DuckDB parquet processing..."),t.byteLength<4)throw new Error("File too small to be a valid parquet file");const s=new Uint8Array(t),i=String.fromCharCode(...s.slice(0,4));if(_LOG("Parquet file magic number: "+i),"PAR1"!==i)throw new Error("File does not appear to be a valid parquet file (missing PAR1 magic number). Magic: "+i);_LOG("Valid parquet file detected, processing with DuckDB WASM...");const l="temp_parquet_"+Date.now()+".parquet",c=new Uint8Array(s);e.duckdb.db.registerFileBuffer(l,c).then((function(){const t=`SELECT * FROM read_parquet('${l}') LIMIT 10000000`;return e.duckdb.conn.query(t)})).then((async function(e){if(_LOG("DuckDB query result type: "+typeof e),!e)throw new Error("DuckDB query returned null/undefined");let t,s;if("function"==typeof e.toArray)t=e.toArray();else if("function"==typeof e.fetchAll)t=e.fetchAll();else if(Array.isArray(e))t=e;else{if(!e.data||!Array.isArray(e.data))throw new Error("Cannot convert DuckDB result to array. Available methods: "+Object.getOwnPropertyNames(e).join(", "));t=e.data}if(0===t.length)throw new Error("No rows found in parquet file");let i=null;if(e.schema&&e.schema.fields)s=e.schema.fields.map((e=>e.name)),i=r.__detectColumnTypes(e.schema),i&&_LOG("Schema-based optimization enabled - detected column types: "+i.join(", "));else if(e.columns)s=e.columns;else{if(!(t.length>0&&"object"==typeof t[0]))throw new Error("Cannot determine column names from DuckDB result");s=Object.keys(t[0])}if(_LOG("Extracted columns: "+s.join(", ")),0===s.length)throw new Error("No columns found in parquet file");const a=[];if(t.length>1e7)throw new Error(`Dataset too large (${t.length} rows). Maximum supported: 10,000,000 rows. Consider using a smaller LIMIT in your query.`);if(t.length>5e5&&n.log(`⚠️ Processing very large dataset (${t.length} rows). This may take a while and use significant memory.`),t.length>1e5)return n.log("📊 Large dataset detected, using streaming processing..."),r.__processStreamingDataset(t,s,i,l,o);if(t.length>5e4){const e=t.length>0&&Array.isArray(t[0]),o=t.length>0&&"object"==typeof t[0]&&null!==t[0]&&!Array.isArray(t[0]),l=s.length,c=(t.length,Math.min(2e6,Math.max(1e5,Math.floor(1e7/l))));i&&n.log("⚡ Schema-based optimization active for medium dataset");try{const l=async(n,l)=>new Promise((c=>{setTimeout((()=>{for(let c=n;c<l;c++)a.push(r.__processRow(t[c],s,i,e,o));c()}),0)})),u=Date.now();let h=u;for(let e=0;e<t.length;e+=c){const o=Math.min(e+c,t.length);await l(e,o);const r=Date.now(),s=r-h;if(o%5e5==0||o===t.length||s>2e3){const e=((r-u)/1e3).toFixed(1),s=Math.round(o/((r-u)/1e3));let i="";if(performance.memory){const e=Math.round(performance.memory.usedJSHeapSize/1024/1024);i=` | Memory: ${e}MB / ${Math.round(performance.memory.totalJSHeapSize/1024/1024)}MB`}n.log(`📊 Processing: ${o.toLocaleString()} / ${t.length.toLocaleString()} rows (${Math.round(o/t.length*100)}%) | ${s.toLocaleString()} rows/sec | ${e}s${i}`),h=r}}}catch(e){const o=t.length>0&&Array.isArray(t[0]),r=t.length>0&&"object"==typeof t[0]&&null!==t[0]&&!Array.isArray(t[0]),i=1e4,l=Date.now();let c=l;if(o)for(let e=0;e<t.length;e+=i){const o=Math.min(e+i,t.length);for(let r=e;r<o;r++){const e=new Array(s.length);for(let o=0;o<s.length;o++){const s=t[r][o];if(null==s)e[o]="";else if("string"==typeof s)e[o]=s;else if("number"==typeof s||"boolean"==typeof s)e[o]=String(s);else if(s instanceof Date)e[o]=s.toISOString();else try{e[o]=JSON.stringify(s)}catch(t){e[o]=String(s)}}a.push(e)}const r=Date.now(),u=r-c;if(o%5e4==0||o===t.length||u>2e3){const e=((r-l)/1e3).toFixed(1),s=Math.round(o/((r-l)/1e3));let i="";if(performance.memory){i=` | Memory: ${Math.round(performance.memory.usedJSHeapSize/1024/1024)}MB / ${Math.round(performance.memory.totalJSHeapSize/1024/1024)}MB`}n.log(`📊 Fallback: ${o.toLocaleString()} / ${t.length.toLocaleString()} rows (${Math.round(o/t.length*100)}%) | ${s.toLocaleString()} rows/sec | ${e}s${i}`),c=r}}else if(r)for(let e=0;e<t.length;e+=i){const o=Math.min(e+i,t.length);for(let r=e;r<o;r++){const e=new Array(s.length);for(let o=0;o<s.length;o++){const n=t[r][s[o]];if(null==n)e[o]="";else if("string"==typeof n)e[o]=n;else if("number"==typeof n||"boolean"==typeof n)e[o]=String(n);else if(n instanceof Date)e[o]=n.toISOString();else try{e[o]=JSON.stringify(n)}catch(t){e[o]=String(n)}}a.push(e)}const r=Date.now(),u=r-c;if(o%5e4==0||o===t.length||u>2e3){const e=((r-l)/1e3).toFixed(1),s=Math.round(o/((r-l)/1e3));let i="";if(performance.memory){i=` | Memory: ${Math.round(performance.memory.usedJSHeapSize/1024/1024)}MB / ${Math.round(performance.memory.totalJSHeapSize/1024/1024)}MB`}n.log(`📊 Fallback: ${o.toLocaleString()} / ${t.length.toLocaleString()} rows (${Math.round(o/t.length*100)}%) | ${s.toLocaleString()} rows/sec | ${e}s${i}`),c=r}}else for(let e=0;e<t.length;e+=i){const o=Math.min(e+i,t.length);for(let r=e;r<o;r++){const e=new Array(s.length);for(let o=0;o<s.length;o++){const s=t[r];if(null==s)e[o]="";else if("string"==typeof s)e[o]=s;else if("number"==typeof s||"boolean"==typeof s)e[o]=String(s);else if(s instanceof Date)e[o]=s.toISOString();else try{e[o]=JSON.stringify(s)}catch(t){e[o]=String(s)}}a.push(e)}const r=Date.now(),u=r-c;if(o%5e4==0||o===t.length||u>2e3){const e=((r-l)/1e3).toFixed(1),s=Math.round(o/((r-l)/1e3));let i="";if(performance.memory){i=` | Memory: ${Math.round(performance.memory.usedJSHeapSize/1024/1024)}MB / ${Math.round(performance.memory.totalJSHeapSize/1024/1024)}MB`}n.log(`📊 Fallback: ${o.toLocaleString()} / ${t.length.toLocaleString()} rows (${Math.round(o/t.length*100)}%) | ${s.toLocaleString()} rows/sec | ${e}s${i}`),c=r}}}}else{const e=t.length>0&&Array.isArray(t[0]),o=t.length>0&&"object"==typeof t[0]&&null!==t[0]&&!Array.isArray(t[0]);for(let r=0;r<t.length;r++){const n=new Array(s.length);for(let i=0;i<s.length;i++){let a;if(a=e?t[r][i]:o?t[r][s[i]]:t[r],null==a)n[i]="";else if("string"==typeof a)n[i]=a;else if("number"==typeof a||"boolean"==typeof a)n[i]=String(a);else if(a instanceof Date)n[i]=a.toISOString();else try{n[i]=JSON.stringify(a)}catch(e){n[i]=String(a)}}a.push(n)}}_LOG("Converted "+a.length+" rows with "+s.length+" columns");const c=[s];c.push(...a),r.__createDataTableObject(c,"parquet",o)})).catch((function(e){_LOG("Error in DuckDB parquet processing: "+e),void 0!==o&&o.error?o.error("Error processing parquet file with DuckDB: "+e.message):a("Error processing parquet file with DuckDB: "+e.message)})).finally((function(){try{e.duckdb.db.dropFile(l)}catch(e){}}))}catch(e){_LOG("Error in DuckDB parquet processing setup: "+e),void 0!==o&&o.error?o.error("Error setting up DuckDB parquet processing: "+e.message):a("Error setting up DuckDB parquet processing: "+e.message)}},n.Feed.prototype.__processGeoParquetData=function(o,r){const s=this;if(void 0!==e.geoparquet)_LOG("GeoParquet library already loaded, processing data..."),s.__processWithGeoParquet(o,r,e.geoparquet);else{_LOG("Loading GeoParquet library dynamically...");const n=t.createElement("script");n.type="module",n.textContent='\n                import { asyncBufferFromUrl, toGeoJson } from \'https://cdn.jsdelivr.net/npm/geoparquet@0.5.0/+esm\';\n                \n                console.log("GeoParquet module imported");\n                console.log("Available geoparquet methods:", Object.keys({ asyncBufferFromUrl, toGeoJson }));\n                \n                // Make geoparquet available globally\n                window.geoparquet = { asyncBufferFromUrl, toGeoJson };\n                window.geoparquetLoaded = true;\n            ';const i=setInterval((function(){e.geoparquetLoaded&&e.geoparquet&&(clearInterval(i),_LOG("GeoParquet module loaded successfully"),s.__processWithGeoParquet(o,r,e.geoparquet))}),100);setTimeout((function(){e.geoparquetLoaded||(clearInterval(i),_LOG("Failed to load GeoParquet module"),void 0!==r&&r.error?r.error("Failed to load GeoParquet module"):a("Failed to load GeoParquet module"))}),1e4),t.head.appendChild(n)}},n.Feed.prototype.__processWithGeoParquet=function(t,o,r){const s=this;try{if(_LOG("Processing GeoParquet data, buffer size: "+t.byteLength+" bytes"),_LOG("GeoParquet object: "+JSON.stringify(r)),_LOG("Available geoparquet methods: "+Object.keys(r).join(", ")),t.byteLength<4)throw new Error("File too small to be a valid parquet file");const n=new Uint8Array(t),i=String.fromCharCode(...n.slice(0,4));if(_LOG("Parquet file magic number: "+i),"PAR1"!==i)throw new Error("File does not appear to be a valid parquet file (missing PAR1 magic number). Magic: "+i);if(_LOG("Valid parquet file detected, processing with geoparquet..."),"function"!=typeof r.toGeoJson)throw new Error("toGeoJson method not found in geoparquet. Available methods: "+Object.keys(r).join(", "));let l;_LOG("Calling geoparquet.toGeoJson...");try{l=r.toGeoJson({file:t})}catch(r){if(r.message&&r.message.includes("non-delta field"))return _LOG("GeoParquet library failed with encoding issue, using DuckDB fallback"),e.duckdb&&e.duckdb.db?s.__processWithDuckDB(t,o):s.__loadDuckDBAndProcess(t,o);throw r}if(_LOG("GeoJSON conversion result type: "+typeof l),_LOG("GeoJSON conversion result: "+JSON.stringify(l)),l&&"function"==typeof l.then)_LOG("GeoJSON conversion is a Promise, waiting for resolution..."),l.then((function(e){try{_LOG("GeoJSON conversion completed successfully"),_LOG("GeoJSON type: "+e.type),_LOG("Number of features: "+(e.features?e.features.length:"unknown")),s.__processGeoJsonData(e,o)}catch(e){throw _LOG("Error processing GeoJSON data: "+e),new Error("Error processing GeoJSON data: "+e)}})).catch((function(r){_LOG("Error in GeoJSON conversion: "+r),_LOG("Error stack: "+r.stack),_LOG("Error message: "+r.message),r.message&&r.message.includes("non-delta field")?(_LOG("GeoParquet library failed with encoding issue, using DuckDB fallback"),e.duckdb&&e.duckdb.db?s.__processWithDuckDB(t,o):s.__loadDuckDBAndProcess(t,o)):void 0!==o&&o.error?o.error("Error converting GeoParquet to GeoJSON: "+r):a("Error converting GeoParquet to GeoJSON: "+r)}));else{if(_LOG("GeoJSON conversion returned directly"),!l)throw new Error("GeoJSON conversion returned null or undefined");_LOG("GeoJSON type: "+l.type),_LOG("Number of features: "+(l.features?l.features.length:"unknown")),this.__processGeoJsonData(l,o)}}catch(e){_LOG("Error processing GeoParquet data: "+e),void 0!==o&&o.error?o.error("Error processing GeoParquet data: "+e):a("Error processing GeoParquet data: "+e)}},n.Feed.prototype.__createDataTableObject=function(e,t,o){if(e)return this.dbtable=(new n.Table).setArray(e),e=null,void(void 0!==o&&o.success?o.success(this.dbtable):_LOG("callback to call on succes is 'undefined'!"))},n.Table=function(e){e?(this.table=e.table,this.fields=e.fields,this.records=e.records):(this.table={records:0,fields:0},this.fields=[],this.records=[])},n.Table.prototype={getArray:function(){let e=[[]];for(let t=0,o=this.fields.length;t<o;t++)e[0].push(this.fields[t].id);for(let t=0,o=this.records.length;t<o;t++)e.push(this.records[t]);return e},setArray:function(e){if(e.length<2)return this;this.fields=[];for(let t=0,o=e[0].length;t<o;t++)this.fields.push({id:(e[0][t]||" ").trim(),typ:0,width:60,decimals:0});e.shift(),this.records=[];for(let t=0,o=e.length;t<o;t++)e[t].length==this.fields.length&&this.records.push(e[t]);return this.table={records:this.records.length,fields:this.fields.length},this},revert:function(){let e=[];for(let t=this.records.length-1;t>=0;t--)e.push(this.records[t]);return this.records=e,this},reverse:function(){let e=[];for(let t=this.records.length-1;t>=0;t--)e.push(this.records[t]);return this.records=e,this},columnNames:function(){const e=[];for(let t=0,o=this.fields.length;t<o;t++)e.push(this.fields[t].id);return e},columnIndex:function(e){for(var t in this.fields)if(this.fields[t].id==e)return t;return null},column:function(e){for(let t in this.fields)if(this.fields[t].id==e){const e=new n.Column;return e.index=t,e.table=this,e}return null},lookupArray:function(e,t){let o="overwrite";e&&e.key&&(o=e.calc||o,t=e.key,e=e.value);let r=[];this.column(t)||alert("'"+t+"' column not found!"),this.column(e)||alert("'"+e+"' column not found!");const s=this.column(t).values(),n=this.column(e).values();if("sum"==o)for(let e=0,t=s.length;e<t;e++)r[String(s[e])]=(r[String(s[e])]||0)+n[e];else if("max"==o)for(let e=0,t=s.length;e<t;e++)r[String(s[e])]=Math.max(r[String(s[e])]||0,n[e]);else for(let e=0,t=s.length;e<t;e++)r[String(s[e])]=n[e];return r},lookupStringArray:function(e,t){e&&e.key&&(t=e.key,e=e.value);let o=[];this.column(t)||alert("'"+t+"' column not found!"),this.column(e)||alert("'"+e+"' column not found!");const r=this.column(t).values(),s=this.column(e).values();for(let e=0,t=r.length;e<t;e++)o[String(r[e])]=o[String(r[e])]?o[String(r[e])]+", "+s[e]:s[e];return o},lookup:function(e,t){const o=t.value,r=t.lookup,s=o+"_"+r;return this.lookupsA&&this.lookupsA[s]||(this.lookupsA=this.lookupsA||[],this.lookupsA[s]=this.lookupArray(o,r)),this.lookupsA[s][e]||"-"},toKeyValue:function(e){return this.lookupArray(e.value,e.key)},addColumn:function(e,t){if(!e.destination)return alert("'data.addColumn' no destination defined!"),null;var o=null;if(e.source){for(let t=0,r=this.fields.length;t<r;t++)this.fields[t].id==e.source&&(o=t);if(null==o)return alert("'data.addColumn' source column '"+e.source+"' not found!"),null}if(this.fields.push({id:String(e.destination),created:!0}),this.table.fields++,t&&"function"==typeof t)for(let e=0,r=this.records.length;e<r;e++)this.records[e].push(null!=o?t(this.records[e][o],this.records[e]):t(this.records[e]));else if(t&&"object"==typeof t)for(let e=0,o=this.records.length;e<o;e++)this.records[e].push(t[e]||0);else if(e.values&&"object"==typeof e.values)for(let t=0,o=this.records.length;t<o;t++)this.records[t].push(e.values[t]||0);else for(let e=0,t=this.records.length;e<t;e++)this.records[e].push(0);return this},addRow:function(e){if(!e||"object"!=typeof e)return alert("'data.addRow' no options defined!"),null;var t=[];for(let e=0,o=this.fields.length;e<o;e++)t.push("");for(var o in e)this.column(o)?t[this.column(o).index]=e[o]:alert("'data.addRow' column '"+o+"' not found!");return this.records.push(t),this.table.records++,this},filter:function(e){this.selection=new n.Table;for(const t in this.records)e&&e(this.records[t])&&(this.selection.records.push(this.records[t]),this.selection.table.records++);return this.selection.fields=this.fields.slice(),this.selection.table.fields=this.table.fields,this.selection},select:function(e){if(e.match(/WHERE/)){if(1){let t=e.split("WHERE")[1].trim().split(" ");for(let e=0;e<t.length;e++)if(t[e].length){if('"'==t[e][0]&&'"'!=t[e][t[e].length-1])do{t[e]=t[e]+" "+t[e+1],t.splice(e+1,1)}while('"'!=t[e][t[e].length-1]);if("("==t[e][0]&&")"!=t[e][t[e].length-1])do{t[e]=t[e]+" "+t[e+1],t.splice(e+1,1)}while(")"!=t[e][t[e].length-1])}else t.splice(e,1),e--;this.filterQueryA=[];let o={},r="";do{let s=0;if(t.length>=3&&(o={},o.szSelectionField=t[0].replace(/("|)/g,""),o.szSelectionOp=t[1],o.szSelectionValue=t[2].replace(/("|)/g,""),s=3),"BETWEEN"==o.szSelectionOp&&t.length>=5&&"AND"==t[3]&&(o.szSelectionValue2=t[4],s=5),!s){a("data.js - selection error - incomplete query!\nquery: "+e);break}for(let e=0;e<this.fields.length;e++)this.fields[e].id==o.szSelectionField&&(o.nFilterFieldIndex=e),"$"+this.fields[e].id+"$"==o.szSelectionValue&&(o.nFilterValueIndex=e);if(o.szCombineOp=r,this.filterQueryA.push(o),t.splice(0,s),t.length&&"AND"==t[0])r="AND",t.splice(0,1);else{if(!t.length||"OR"!=t[0])break;r="OR",t.splice(0,1)}}while(t.length)}this.selection=new n.Table;for(let t=0;t<this.filterQueryA.length;t++)if(void 0===this.filterQueryA[t].nFilterFieldIndex)return this.selection.fields=this.fields.slice(),this.selection.table.fields=this.table.fields,_LOG("Selection: invalid query: "+e),this.selection;for(let e=0,t=this.records.length;e<t;e++){let t=null;for(let o=0,r=this.filterQueryA.length;o<r;o++){let r=!0;this.__szValue=String(this.records[e][this.filterQueryA[o].nFilterFieldIndex]),this.__szSelectionOp=this.filterQueryA[o].szSelectionOp.toUpperCase(),this.__szSelectionValue=this.filterQueryA[o].szSelectionValue,this.__szSelectionValue2=this.filterQueryA[o].szSelectionValue2,this.__szCombineOp=this.filterQueryA[o].szCombineOp,null!=this.filterQueryA[o].nFilterValueIndex&&(this.__szSelectionValue=String(this.records[e][this.filterQueryA[o].nFilterValueIndex]));let s=__scanValue(this.__szValue);if("="==this.__szSelectionOp)r="*"==this.__szSelectionValue?""!=this.__szValue.replace(/ /g,""):this.__szValue==this.__szSelectionValue||s==Number(this.__szSelectionValue);else if("<>"==this.__szSelectionOp)r=!(this.__szValue==this.__szSelectionValue||s==Number(this.__szSelectionValue));else if(">"==this.__szSelectionOp)r=s>Number(this.__szSelectionValue);else if("<"==this.__szSelectionOp)r=s<Number(this.__szSelectionValue);else if(">="==this.__szSelectionOp)r=s>=Number(this.__szSelectionValue);else if("<="==this.__szSelectionOp)r=s<=Number(this.__szSelectionValue);else if("LIKE"==this.__szSelectionOp)if("*"==this.__szSelectionValue)r=this.__szValue.length;else{const e=this.__szSelectionValue.replace(/[.*+?^${}()|[\]\\]/g,"\\$&");r=new RegExp(e,"i").test(this.__szValue)}else if("NOT"==this.__szSelectionOp){const e=this.__szSelectionValue.replace(/[.*+?^${}()|[\]\\]/g,"\\$&");r=!new RegExp(e,"i").test(this.__szValue)}else if("IN"==this.__szSelectionOp){r=this.__szSelectionValue.split(",").map((e=>e.trim())).includes(this.__szValue)}else if("BETWEEN"==this.__szSelectionOp)r=s>=Number(this.__szSelectionValue)&&s<=Number(this.__szSelectionValue2);else{const e=this.__szSelectionValue.replace(/[.*+?^${}()|[\]\\]/g,"\\$&");r=new RegExp(e,"i").test(this.__szValue)}t="AND"==this.__szCombineOp?t&&r:t||r}t&&(this.selection.records.push(this.records[e].slice()),this.selection.table.records++)}}return this.selection.fields=this.fields.slice(),this.selection.table.fields=this.table.fields,this.selection},aggregate:function(e,t){let o=!1;e.lead&&(o=e.calc&&"mean"==e.calc,t=e.lead,e=e.column||e.value);const r=t.split("|"),s=[];let i=null;for(let t=0;t<r.length;t++)for(let o=0;o<this.fields.length;o++)this.fields[o].id==r[t]&&(s[t]=o),this.fields[o].id==e&&(i=o);this.aggregation=new n.Table,xRecords=[],xCount=[];for(let e=0,t=this.records.length;e<t;e++){const t=[];for(let o=0,r=s.length;o<r;o++)t.push(this.records[e][s[o]]);const o=t.join("");if(xRecords[o])xRecords[o][s.length]+=__scanValue(this.records[e][i]),xCount[o][s.length]++;else{xRecords[o]=[],xRecords[o][s.length]=__scanValue(this.records[e][i]);for(let t=0;t<s.length;t++)xRecords[o][t]=this.records[e][s[t]];xCount[o]=[],xCount[o][s.length]=1}}for(let e=0,t=xRecords.length;e<t;e++)o&&(xRecords[e][s.length]/=xCount[e][s.length]),this.aggregation.records.push(xRecords[e]),this.aggregation.table.records++;const a=[];for(let e=0;e<r.length;e++)a[e]={id:r[e]};return a[r.length]={id:e},this.aggregation.fields=a,this.aggregation.table.fields=a,this.aggregation},condense:function(e,t){const o={},r=[];e&&e.lead&&(e=(t=e).lead);const s=this.columnIndex(e);if(t&&t.keep)if("string"==typeof t.keep)r[this.columnIndex(t.keep)]=!0;else for(i=0;i<t.keep.length;i++)r[this.columnIndex(t.keep[i])]=!0;const a=[];for(let e=0;e<this.records.length;e++){const n=String(this.records[e][s]);if(null!=o[n]){const s=o[n];for(let o=0,n=this.records[e].length;o<n;o++)if(!r[o])if(isNaN(this.records[e][o])){if(isNaN(this.records[e][o])&&a[s][o]!=this.records[e][o]){let e=parseFloat(String(a[s][o]).split(" (+")[1])||0;a[s][o]=String(a[s][o]).split(" (+")[0]+" (+"+ ++e+") "}}else t&&"max"==t.calc?a[s][o]=Math.max(Number(a[s][o]),Number(this.records[e][o])):a[s][o]=Number(a[s][o])+Number(this.records[e][o])}else a.push(this.records[e].slice()),o[n]=a.length-1}return this.__condense=new n.Table,this.__condense.fields=this.fields,this.__condense.table.fields=this.fields,this.__condense.records=a.slice(),this.__condense.table.records=this.__condense.records.length,this.__condense},groupColumns:function(e){let t=e.source,o=[];for(let e=0,r=t.length;e<r;e++)o[e]=this.column(t[e]).index;return this.addColumn({destination:e.destination},(function(e){let t=0;for(let r=0,s=o.length;r<s;r++)t+=Number(e[o[r]]);return t})),this},pivot:function(e){e.lead=e.lead||e.rows,e.cols=e.cols||e.columns,e.keep=e.keep||[],e.sum=e.sum||[],e.lead=r(e.lead),e.cols=r(e.cols),e.keep=r(e.keep),e.sum=r(e.sum),e.value=r(e.value),e.forced=r(e.forced);let t=[];for(let e=0;e<this.fields.length;e++)t[String(this.fields[e].id)]=e;for(let o=0,r=e.lead.length;o<r;o++)void 0===t[e.lead[o]]&&a("data.pivot - pivot keep column '"+e.lead[o]+"' not found");for(let o=0,r=e.cols.length;o<r;o++)e.cols&&void 0===t[e.cols[o]]&&a("data.pivot - pivot columns source column '"+e.cols[o]+"' not found");for(let o=0,r=e.keep.length;o<r;o++)void 0===t[e.keep[o]]&&a("data.pivot - pivot keep column '"+e.keep[o]+"' not found");for(let o=0,r=e.sum.length;o<r;o++)void 0===t[e.sum[o]]&&a("data.pivot - pivot sum column '"+e.sum[o]+"' not found");for(let o=0,r=e.value.length;o<r;o++)void 0===t[e.value[o]]&&a("data.pivot - pivot value column '"+e.value[o]+"' not found");let o=[],s=[],i=this.records;if(e.forced)for(let t=0;t<e.forced.length;t++)s[String(e.forced[t])]=0;for(let r=0,n=i.length;r<n;r++){const n=[i[r][t[e.lead[0]]]];for(let o=1;o<e.lead.length;o++)n.push(i[r][t[e.lead[o]]]);const a=n.join("|");let l=String(i[r][t[e.cols[0]]]),c=null;if("string"==e.calc)c=i[r][t[e.value[0]]];else if(c=1,e.value&&e.value.length){c=0;for(let o=0;o<e.value.length;o++)c+=e.value[o]?__scanValue(i[r][t[e.value[o]]]):1}if((!l||l.length<1)&&(l="undefined"),void 0===s[l]&&(s[l]=0),o[a]){for(let s=0;s<e.keep.length;s++)i[r][t[e.keep[s]]]&&i[r][t[e.keep[s]]].length&&o[a][e.keep[s]]!=i[r][t[e.keep[s]]]&&(o[a][e.keep[s]]=i[r][t[e.keep[s]]]);for(let s=0;s<e.sum.length;s++)o[a][e.sum[s]]+=Number(i[r][t[e.sum[s]]])}else{o[a]={Total:0};for(let s=0;s<e.keep.length;s++)o[a][e.keep[s]]=i[r][t[e.keep[s]]];for(let s=0;s<e.sum.length;s++)o[a][e.sum[s]]=Number(i[r][t[e.sum[s]]])}o[a].Total+=c,o[a][l]?(e.calc,"max"==e.calc?o[a][l]=Math.max(c,o[a][l]):(o[a][l]+=c,o[a][l+"count"]++)):(o[a][l]=c,o[a][l+"count"]=1)}this.__pivot=new n.Table;for(let t=0;t<e.lead.length;t++)this.__pivot.fields.push({id:e.lead[t]});for(let t=0;t<e.keep.length;t++)this.__pivot.fields.push({id:e.keep[t]});for(let t=0;t<e.sum.length;t++)this.__pivot.fields.push({id:e.sum[t]});if(e.cols&&e.cols.length)for(let e in s)Object.prototype.hasOwnProperty.call(s,e)&&this.__pivot.fields.push({id:e});this.__pivot.fields.push({id:"Total"});for(let t in o)if(Object.prototype.hasOwnProperty.call(o,t)){const r=[],n=t.split("|");if(e.lead&&e.lead.length)for(let e=0;e<n.length;e++)r.push(n[e]);for(let s=0;s<e.keep.length;s++)r.push(o[t][e.keep[s]]);for(let s=0;s<e.sum.length;s++)r.push(o[t][e.sum[s]]);if(e.cols&&e.cols.length)for(let n in s)Object.prototype.hasOwnProperty.call(s,n)&&("mean"==e.calc?r.push((o[t][n]||0)/(o[t][n+"count"]||1)):r.push(o[t][n]||0));r.push(o[t].Total),this.__pivot.records.push(r),this.__pivot.table.records++}return this.__pivot},subtable:function(e){if(this.__subt=new n.Table,e.fields){e.columns=[];for(let t=0;t<e.fields.length;t++)for(let o=0;o<this.fields.length;o++)this.fields[o].id==e.fields[t]&&e.columns.push(o)}for(let t=0;t<e.columns.length;t++)this.__subt.fields.push({id:String(this.fields[e.columns[t]].id)}),this.__subt.table.fields++;for(const t in this.records){let o=[];for(let r=0;r<e.columns.length;r++)o.push(this.records[t][e.columns[r]]);this.__subt.records.push(o),this.__subt.table.records++}return this.__subt},sort:function(e,t){let o=this.column(e).values(),r=0;for(let e=0;e<Math.min(o.length,10);e++)isNaN(parseFloat(String(o[e]).replace(",",".")))||r++;let s=[];if(r)for(let e=0;e<o.length;e++)s.push({index:e,value:Number(String(o[e]).replace(",","."))});else for(let e=0;e<o.length;e++)s.push({index:e,value:o[e]});t&&"DOWN"==t?s.sort((function(e,t){return e.value>t.value?-1:1})):s.sort((function(e,t){return e.value<t.value?-1:1}));let n=[];for(let e=0;e<s.length;e++)n.push(this.records[s[e].index]);return this.records=n,this},append:function(e){if(this.table.fields.length!=e.table.fields.length)return null;for(let t=0;t<this.table.fields.length;t++)if(this.table.fields[t].id!=e.table.fields[t].id)return null;let t=e.records;for(let e=0;e<t.length;e++)this.records.push(t[e]);return this.table.records=this.records.length,this},json:function(){this.__json=[];for(const e in this.records){let t={};for(const o in this.fields)t[String(this.fields[o].id)]=this.records[e][o];this.__json.push(t)}return this.__json}},__myNumber=function(e){let t=parseFloat(e.replace(/\./g,"").replace(/\,/g,"."));return isNaN(t)?0:t},__scanValue=function(e){let t=null;return String(e).match(/,/)?(t=parseFloat(String(e).replace(/\./gi,"").replace(/,/gi,".")),isNaN(t)?0:t):(t=parseFloat(String(e).replace(/ /gi,"")),isNaN(t)?0:t)},n.Table.prototype.addTimeColumns=function(e){if(!e.source)return null;for(const t in this.fields)if(this.fields[t].id==e.source){let o=e.create||["date","year","month","day","hour"];for(let e=0;e<o.length;e++)this.fields.push({id:String(o[e])}),this.table.fields++;let r=this.records.length,s=0;for(s=0;s<r;s++){let e=new Date(this.records[s][t]);if(e)for(let t=0;t<o.length;t++)switch(o[t]){case"date":let t=String(e.getDate())+"."+String(e.getMonth()+1)+"."+String(e.getFullYear());this.records[s].push(t);break;case"year":this.records[s].push(e.getFullYear());break;case"month":this.records[s].push(e.getMonth()+1);break;case"day":this.records[s].push(e.getDay());break;case"hour":this.records[s].push(e.getHours());break}}}return this},n.Column=function(){this.table=null,this.index=null,this.valueA=null},n.Column.prototype={values:function(){this.valueA=[];for(const e in this.table.records)this.valueA.push(this.table.records[e][this.index]);return this.valueA},uniqueValues:function(){this.valueA=[];for(const e in this.table.records)this.valueA.push(this.table.records[e][this.index]);return this.valueA.filter(s)},map:function(e){for(const t in this.table.records)this.table.records[t][this.index]=e(this.table.records[t][this.index],this.table.records[t],this.index);return this},rename:function(e){return this.table.fields[this.index].id=e,this},remove:function(){this.table.fields.splice(this.index,1);for(const e in this.table.records)this.table.records[e].splice(this.index,1);return this.table.table.fields--,this}},n.Feed.prototype.column=function(e){return this.dbtable.column(e)},n.Feed.prototype.select=function(e){return this.dbtable.select(e)},n.Feed.prototype.aggregate=function(e,t){return this.dbtable.aggregate(e,t)},n.Feed.prototype.revert=function(){return this.dbtable.revert()},n.Feed.prototype.reverse=function(){return this.dbtable.reverse()},n.Feed.prototype.pivot=function(e){return this.dbtable.pivot(e)},n.Feed.prototype.subtable=function(e){return this.dbtable.subtable(e)},n.Feed.prototype.addTimeColumns=function(e){return this.dbtable.addTimeColumns(e)},n.Broker=function(e){this.souceQueryA=[],this.options=e||{},e&&this.parseDefinition(e),this.onNotify=function(){},this.onError=function(e){alert("error loading data:"+e)}},n.Broker.prototype=new n.Feed,n.Broker.prototype={addSource:function(e,t){return _LOG("Data.Broker.addSource: "+e),this.souceQueryA.push({url:e,type:t,data:null,result:null,next:this}),this},setCallback:function(e){return this.callback=e,this},realize:function(e){this.callback=e||this.callback;for(const e in this.souceQueryA)if(this.souceQueryA[e].url&&!this.souceQueryA[e].result)return this.getData(this.souceQueryA[e]),this;this.data=[];for(const e in this.souceQueryA)this.data.push(this.souceQueryA[e].data||new n.Table);return this.callback(this.data),this},error:function(e){return this.onError=e||this.onError,this},notify:function(e){return this.onNotify=e||this.onNotify,this}},n.Broker.prototype.parseDefinition=function(e){this.callback=e.callback||null},n.Broker.prototype.getData=function(e){this.onNotify(e),e.feed=n.feed({source:e.url,type:e.type,options:e.next.options,parent:this}).load((function(t){e.data=t,e.data.raw=e.feed.data,this.parent.onNotify(e),e.result="success",e.next.realize()})).error((function(t){this.parent.onError(e.url),e.data=null,e.result="error",e.next.realize()}))},n.Broker.prototype.setData=function(e){this.parent.__doCreateTableDataObject(e,null,this.parent.options)},n.Feed.prototype.broker=function(e){let t=new n.Broker(e);return t.parent=this,t},n.broker=function(){return new n.Broker},n.provider=function(){return new n.Broker},n.Merger=function(e){this.sourceA=[],this.options=e||{},e&&this.parseDefinition(e)},n.Merger.prototype={addSource:function(e,t){return this.sourceA.push({data:e,opt:t}),this},setOutputColumns:function(e){return this.outColumnsA=e,this},realize:function(e){this.callback=e||this.callback,_LOG("DataMerger: >>>");let t=[];for(const e in this.sourceA){let o=this.sourceA[e];o.opt.columns=o.opt.columns||o.data.columnNames(),o.opt.label=o.opt.label||[],o.opt.columns=r(o.opt.columns),o.opt.label=r(o.opt.label),this.sourceA[e].data||a("DataMerger: source '"+e+"' not found"),this.sourceA[e].data[0]||(this.sourceA[e].data=this.sourceA[e].data.getArray()),this.sourceA[e].data[0]||a("DataMerger: source '"+e+"' not found or not of type Array");let s=[];for(const t in this.sourceA[e].data[0]){this.sourceA[e].data[0][t]==this.sourceA[e].opt.lookup&&(s[this.sourceA[e].opt.lookup]=t);for(const o in this.sourceA[e].opt.columns)this.sourceA[e].opt.label[o]||(this.sourceA[e].opt.label[o]=this.sourceA[e].opt.columns[o]+"."+(Number(e)+1)),this.sourceA[e].data[0][t]==this.sourceA[e].opt.columns[o]&&(s[this.sourceA[e].opt.label[o]]=t)}for(const t in this.sourceA[e].opt.columns)s[this.sourceA[e].opt.label[t]]||_LOG("DataMerger: '"+this.sourceA[e].opt.label[t]+"' not found");t.push(s)}let o=[];for(const e in this.sourceA)for(const t in this.sourceA[e].opt.label)o.push(this.sourceA[e].opt.label[t]);if(!this.outColumnsA){this.outColumnsA=[];for(const e in o)this.outColumnsA.push(o[e])}let s=[];for(const e in this.outColumnsA)for(const o in t)for(const r in t[o])r==this.outColumnsA[e]&&(s[r]={input:o,index:t[o][r]});for(const e in this.outColumnsA)if(!s[this.outColumnsA[e]])for(const t in this.sourceA[0].data[0])this.sourceA[0].data[0][t]==this.outColumnsA[e]&&(s[this.outColumnsA[e]]={input:0,index:t});this.namedSourceA=[];for(let e=1;e<this.sourceA.length;e++){this.namedSourceA[e]=[];for(let o=1;o<this.sourceA[e].data.length;o++)this.namedSourceA[e][String(this.sourceA[e].data[o][t[e][this.sourceA[e].opt.lookup]])]=this.sourceA[e].data[o]}let i=[];i.push(this.outColumnsA);for(let e=1;e<this.sourceA[0].data.length;e++){let o=String(this.sourceA[0].data[e][[t[0][this.sourceA[0].opt.lookup]]]),r=[];for(const t in this.outColumnsA){let n=s[this.outColumnsA[t]];if(!n)return a('DataMerger - missing "'+this.outColumnsA[t]+'" in label:[...]'),null;0==n.input?r.push(this.sourceA[0].data[e][n.index]):this.namedSourceA[n.input][o]?r.push(this.namedSourceA[n.input][o][n.index]):r.push(" ")}i.push(r)}_LOG("DataMerger: done");let l=new n.Table;return l.setArray(i),this.callback&&this.callback(l),l},error:function(e){return this.onError=e||this.onError,this}},n.merger=function(){return new n.Merger};var a=function(e){}}(window,document);
\ No newline at end of file
+!function(e,t,n){const o=new Date;_LOG=function(e){var t=(new Date-o)/1e3;console.log("_LOG: time[sec.ms] "+t+"\n"+e)};const r=function(e){return"[object Array]"===Object.prototype.toString.call(e)},s=function(e){return e&&void 0!==e?r(e)?e:String(e).match(/\|/)?String(e).split("|"):String(e).split(","):[]},l=function(e,t,n){return n.indexOf(e)===t};var c={version:"1.56",errors:[],log:function(e){console.log(e)}};"object"==typeof module&&"object"==typeof module.exports?module.exports=c:"function"==typeof define&&define.amd&&define(c),void 0!==e&&function(){const t=e.Data;c.noConflict=function(){return e.Data=t,this},e.Data=c}(),c.Error=function(e,t,n){n=n||{},this.name="Data.Error",this.code=e,this.message=t,this.source=void 0!==n.source?n.source:null,this.column=void 0!==n.column?n.column:null,this.row=void 0!==n.row?n.row:null,this.cause=n.cause||null,this.stack=new Error(t).stack},c.Error.prototype=Object.create(Error.prototype),c.Error.prototype.constructor=c.Error,c.Error.prototype.toString=function(){return this.message},c.onError=null,c.silent=!1,c.maxErrors=100;let a=0;const u=function(e,t,n){const o=new c.Error(e,t,n);if(a++,c.errors.push(o),c.errors.length>Math.max(c.maxErrors,1)&&c.errors.splice(0,c.errors.length-Math.max(c.maxErrors,1)),c.silent||console.log("data.js v"+c.version+": "+o.message),"function"==typeof c.onError)try{c.onError(o)}catch(e){console.log("data.js: error in Data.onError: "+e)}return o},h=function(e,t,n,o){const r=(e=e||{}).source||e.src||e.url||e.ext,s=t instanceof c.Error?t:u(t,n,Object.assign({source:"string"!=typeof r||r.match(/[\r\n]/)?null:r},o));return"function"==typeof e.error&&e.error(s),s},f=function(e){return e?"string"==typeof e?e:e.message||e.statusText||String(e):"unknown error"},p=function(e,t,n){return!e.__settled&&(e.__settled={error:t,result:n},(e.__waitA||[]).forEach(function(e){t?e.reject(t):e.resolve(n)}),e.__waitA=[],e.__abort&&(e.__abort.signal.removeEventListener("abort",e.__abort.listener),e.__abort=null),!0)},d=function(e,t){const n=this;return new Promise(function(e,t){n.__settled?n.__settled.error?t(n.__settled.error):e(n.__settled.result):n.__started?(n.__waitA=n.__waitA||[],n.__waitA.push({resolve:e,reject:t})):t(u("NOT_STARTED","then(): nothing to wait for, call load() or realize() first"))}).then(e,t)},g=function(e){return this.then(null,e)};c.Object=function(e){this.options=e,this.debug=!1},c.Object.prototype={import:function(e){return this.options.success=this.options.success||e,this.feed=c.feed({}),this.feed.options=this.options,"csv"==this.options.type||"CSV"==this.options.type?this.feed.__processCSVData(this.options.source,this.options):"rss"==this.options.type||"RSS"==this.options.type?(this.options.format="xml",this.feed.__processRSSData(this.options.source,this.options)):"kml"==this.options.type||"KML"==this.options.type?(this.options.format="xml",this.feed.__processKMLData(this.options.source,this.options)):"gml"==this.options.type||"GML"==this.options.type?(this.options.format="xml",this.feed.__processGMLData(this.options.source,this.options)):"json"==this.options.type||"JSON"==this.options.type||"Json"==this.options.type?this.feed.__processJsonData(this.options.source,this.options):"geojson"==this.options.type||"GEOJSON"==this.options.type||"GeoJson"==this.options.type?this.feed.__processGeoJsonData(this.options.source,this.options):"topojson"==this.options.type||"TOPOJSON"==this.options.type||"TopoJson"==this.options.type?this.feed.__processTopoJsonData(this.options.source,this.options):"jsonDB"==this.options.type||"JSONDB"==this.options.type||"JsonDB"==this.options.type||"jsondb"==this.options.type?this.feed.__processJsonDBData(this.options.source,this.options):"parquet"==this.options.type||"PARQUET"==this.options.type?this.options.source instanceof ArrayBuffer&&(_LOG("Processing parquet ArrayBuffer directly: "+this.options.source.byteLength+" bytes"),this.feed.__processParquetData(this.options.source,this.options)):"geoparquet"==this.options.type||"GEOPARQUET"==this.options.type?this.options.source instanceof ArrayBuffer&&(_LOG("Processing geoparquet ArrayBuffer directly: "+this.options.source.byteLength+" bytes"),this.feed.__processGeoParquetData(this.options.source,this.options)):"xlsx"!=this.options.type&&"XLSX"!=this.options.type&&"xls"!=this.options.type&&"ods"!=this.options.type&&"ODS"!=this.options.type||this.options.source instanceof ArrayBuffer&&this.feed.__processSpreadsheetData(this.options.source,this.options),this},error:function(e){return this.options.error=e,this}},c.Import=function(e){this.options=e,this.debug=!1},c.Feed=function(e){this.options=e||{},this.debug=!1},c.Feed.prototype={load:function(e){const t=this,n=this.options,o=n.source||n.src||n.url||n.ext;this.__optionCallbacks||(this.__optionCallbacks={success:n.success,error:n.error});const r=this.__optionCallbacks;if(this.__settled=null,this.__started=!0,this.cancelled=!1,n.success=function(n){p(t,null,n)&&(e&&e.call(this,n),"function"==typeof r.success&&r.success.call(this,n))},n.error=function(e){p(t,e)&&(t.onError&&t.onError(e),"function"==typeof r.error&&r.error.call(this,e))},n.signal){if(n.signal.aborted)return this.cancel(),this;this.__abort={signal:n.signal,listener:function(){t.cancel()}},n.signal.addEventListener("abort",this.__abort.listener)}return void 0===n.cache&&(n.cache=!0,n.options&&void 0!==n.options.cache&&(n.cache=n.options.cache)),o?(n.persist&&"string"==typeof o&&c.cache.available()?this.__doCachedImport(o,n):this.__doImport(o,n),this):(h(n,"NO_SOURCE","Data.feed(...).load(): no source defined !"),this)},__doImport:function(e,t){const n=this;"csv"==t.type||"CSV"==t.type?t.stream||t.chunkSize||t.worker?this.__doCSVStreamImport(e,t):this.__doCSVImport(e,t):"rss"==t.type||"RSS"==t.type?this.__doRSSImport(e,t):"kml"==t.type||"KML"==t.type?this.__doKMLImport(e,t):"gml"==t.type||"GML"==t.type?this.__doGMLImport(e,t):"json"==t.type||"JSON"==t.type||"Json"==t.type?this.__doJSONImport(e,t):"geojson"==t.type||"GEOJSON"==t.type||"GeoJson"==t.type?this.__doGeoJSONImport(e,t):"topojson"==t.type||"TOPOJSON"==t.type||"TopoJson"==t.type?this.__doTopoJSONImport(e,t):"jsonDB"==t.type||"JSONDB"==t.type||"JsonDB"==t.type||"jsondb"==t.type?this.__doJsonDBImport(e,t):"jsonstat"==t.type||"jsonStat"==t.type||"JSONSTAT"==t.type?$.getScript("http://json-stat.org/lib/json-stat.js").done(function(o,r){n.__doLoadJSONstat(e,t)}).fail(function(e,n,o){h(t,"PARSER_NOT_LOADED","'"+t.type+"' parser not loaded !")}):"sdmx"==t.type||"SDMX"==t.type?this.__doLoadSDMX(e,t):"parquet"==t.type||"PARQUET"==t.type?t.sql||t.columns||t.where?this.__doParquetQueryImport(e,t):this.__doParquetImport(e,t):"shapefile"==t.type||"SHAPEFILE"==t.type||"shp"==t.type||"SHP"==t.type?this.__doShapefileImport(e,t):"gpkg"==t.type||"GPKG"==t.type||"geopackage"==t.type||"GeoPackage"==t.type?this.__doGeoPackageImport(e,t):"ogcapi"==t.type||"OGCAPI"==t.type||"ogcapi-features"==t.type?this.__doOGCFeaturesImport(e,t):"wfs"==t.type||"WFS"==t.type?this.__doWFSImport(e,t):"xlsx"==t.type||"XLSX"==t.type||"xls"==t.type||"ods"==t.type||"ODS"==t.type?this.__doSpreadsheetImport(e,t):h(t,"UNKNOWN_FORMAT","'"+t.type+"' unknown format !")},error:function(e){return this.onError=e,this},progress:function(e){return this.options.progress=e,this},cancel:function(){if(this.cancelled||this.__settled)return this;this.cancelled=!0,this.__parser&&this.__parser.abort();const e=this.options.source||this.options.src||this.options.url||this.options.ext;return h(this.options,"CANCELLED",'"'+e+'" loading cancelled'),this},then:d,catch:g},c.feed=function(e){return new c.Feed(e)},c.object=function(e){return new c.Object(e)},c.import=function(e){return new c.Object(e).import().feed.dbtable};const m="tables",_=function(t,n){return new Promise(function(t,n){const o=e.indexedDB.open("data.js-cache",1);o.onupgradeneeded=function(){o.result.createObjectStore(m,{keyPath:"key"})},o.onsuccess=function(){t(o.result)},o.onerror=function(){n(o.error)}}).then(function(e){return new Promise(function(o,r){let s=null,i=null;try{s=e.transaction(m,t),i=n(s.objectStore(m))}catch(t){return e.close(),void r(t)}s.oncomplete=function(){e.close(),o(i?i.result:null)},s.onerror=s.onabort=function(){e.close(),r(s.error)}})})};c.cache={ttl:86400,available:function(){return!!e.indexedDB},key:function(e,t){let o="";try{o=JSON.stringify(t,function(e,t){return"function"==typeof t||"persist"==e||"cache"==e?n:t})}catch(e){o=String(t.type)}return e+"|"+o},get:function(e){return _("readonly",function(t){return t.get(e)})},set:function(e){return _("readwrite",function(t){return t.put(e)})},remove:function(e){return _("readwrite",function(t){const n=t.openCursor();return n.onsuccess=function(){const t=n.result;t&&(t.value.url==e&&t.delete(),t.continue())},null})},clear:function(){return _("readwrite",function(e){return e.clear()})}},c.Feed.prototype.__doCachedImport=function(e,t){const n=this,o=c.cache.key(e,t),r="object"==typeof t.persist&&"number"==typeof t.persist.ttl?t.persist.ttl:c.cache.ttl,s=function(n){_LOG("Data.cache: "+n),h(t,"LOAD_ERROR",'"'+e+'" '+f(n),{cause:n})},i=function(e){const o=new c.Table({table:{records:e.records.length,fields:e.fields.length},fields:e.fields,records:e.records});e.sdmx&&(o.sdmx=e.sdmx),n.dbtable=o,t.success&&t.success(o)},l=function(r){const s=t.success;t.success=function(n){t.success=s,c.cache.set({key:o,url:e,time:Date.now(),etag:r?r.get("ETag"):null,lastModified:r?r.get("Last-Modified"):null,fields:n.fields,records:n.records,sdmx:n.sdmx||null}).catch(function(e){_LOG("Data.cache: table not stored: "+e)}),s&&s(n)},n.__doImport(e,t)};c.cache.get(o).then(function(t){t&&Date.now()-t.time<1e3*r?(_LOG("Data.cache: from cache: "+e),i(t)):function(t){fetch(e,{method:"HEAD",cache:"no-cache"}).then(function(n){const o=n.ok?n.headers:null;t&&o&&(t.etag&&o.get("ETag")==t.etag||!t.etag&&t.lastModified&&o.get("Last-Modified")==t.lastModified)?(_LOG("Data.cache: not modified: "+e),t.time=Date.now(),c.cache.set(t).catch(function(e){_LOG("Data.cache: table time not updated: "+e)}),i(t)):l(o)},function(){l(null)}).catch(s)}(t)},function(o){_LOG("Data.cache: not available: "+o),n.__doImport(e,t)}).catch(s)};c.Feed.prototype.__doLoadJSONstat=function(e,t){const n=this;JSONstat(e,function(){const e=[];let o=[this.Dataset(0).Dimension(0).label];const r=this.Dataset(0).Dimension(1).id;for(let e=0;e<r.length;e++)o.push(this.Dataset(0).Dimension(1).Category(r[e]).label);e.push(o);for(let t=0;t<this.Dataset(0).Dimension(0).length;t++){o=[],o.push(this.Dataset(0).Dimension(0).Category(this.Dataset(0).Dimension(0).id[t]).label);for(let e=0;e<this.Dataset(0).Dimension(1).length;e++)o.push(this.Dataset(0).Data([t,e]).value);e.push(o)}t.callback?t.callback(e,t):n.__createDataTableObject(e,t.type,t)})},c.Feed.prototype.__doLoadSDMX=function(e,t){_LOG("__doLoadSDMX: "+e);const n=this,o=function(o){$.ajax({type:"GET",url:e,cache:t.cache,dataType:"text",success:function(e){n.__processSDMXData(e,t,o)},error:function(n,o,r){h(t,"LOAD_ERROR",'"'+e+'" '+r)}})};t.structure?$.ajax({type:"GET",url:t.structure,cache:t.cache,dataType:"text",success:function(e){o(n.__parseSDMXStructure(e,t))},error:function(e,n,r){_LOG("__doLoadSDMX: structure not loaded, no labels! "+r),o(t.codelists||{})}}):o(t.codelists||{})},c.Feed.prototype.__parseSDMXStructure=function(e,t){const n=t.lang||"en",o=(new DOMParser).parseFromString(e,"text/xml"),r=function(e,t){return Array.from(e.getElementsByTagNameNS("*",t))},s=function(e){let t=null;for(const o of r(e,"Name"))o.parentNode==e&&(t&&o.getAttribute("xml:lang")!=n||(t=o.textContent));return t},i={};for(const e of r(o,"Codelist")){const t={};for(const n of r(e,"Code"))t[n.getAttribute("id")]=s(n)||n.getAttribute("id");i[e.getAttribute("id")]=t}const l=Object.assign({},t.codelists);for(const e of r(o,"Dimension").concat(r(o,"Attribute"))){const t=e.getAttribute("id"),n=r(e,"Enumeration")[0],o=n?r(n,"Ref")[0]:null;t&&o&&i[o.getAttribute("id")]&&!l[t]&&(l[t]=i[o.getAttribute("id")])}return l},c.Feed.prototype.__processSDMXData=function(e,t,n){const o=this;let r=null,s=null;if("<"==String(e).trim()[0]){const t=(new DOMParser).parseFromString(e,"text/xml"),n=function(e,t){return Array.from(e.getElementsByTagNameNS("*",t))},o=function(e,t){for(const n of Array.from(e.attributes))n.name.match(/^xmlns|:/)||(t[n.name]=n.value);return t},i=function(e,t){for(const o of n(e,"Value"))t[o.getAttribute("id")||o.getAttribute("concept")]=o.getAttribute("value");return t},l=[];let c=!1;for(const e of n(t,"Series")){const t=n(e,"SeriesKey")[0];c=c||!!t;const r=t?i(t,{}):o(e,{});t&&n(e,"Attributes")[0]&&i(n(e,"Attributes")[0],r);for(const s of n(e,"Obs")){const e=Object.assign({},r);if(t){const t=n(s,"ObsDimension")[0],o=n(s,"ObsValue")[0];e.TIME_PERIOD=t?t.getAttribute("value"):"",e.OBS_VALUE=o?o.getAttribute("value"):"",n(s,"Attributes")[0]&&i(n(s,"Attributes")[0],e)}else o(s,e);l.push(e)}}if(!l.length)for(const e of n(t,"Obs"))l.push(o(e,{}));const a=n(t,"DataSet")[0],u=n(t,"Structure")[0]||n(t,"StructureUsage")[0],h=[];for(const e of l)for(const t in e)h.includes(t)||h.push(t);const f=h.indexOf("TIME_PERIOD"),p=h.indexOf("OBS_VALUE"),d=h.filter(function(e){return"TIME_PERIOD"!=e&&"OBS_VALUE"!=e}),g=d.concat(f>=0?["TIME_PERIOD"]:[],p>=0?["OBS_VALUE"]:[]);r=[g];for(const e of l)r.push(g.map(function(t){return void 0===e[t]?"":e[t]}));s={dataflow:a&&(a.getAttribute("structureRef")||a.getAttribute("ss:dataScope"))||u&&u.getAttribute("structureID")||"",dimensions:d.concat(f>=0?["TIME_PERIOD"]:[])},_LOG("__processSDMXData: SDMX-ML "+(c?"generic":"structure specific")+", "+l.length+" observations")}else{if("undefined"==typeof Papa)return void $.getScript(y()).done(function(r,s){o.__processSDMXData(e,t,n)}).fail(function(e,n,o){h(t,"PARSER_NOT_LOADED","'"+t.type+"' parser not loaded !")});if(r=Papa.parse(e,{skipEmptyLines:!0}).data,r.length<2)return void h(t,"PARSE_ERROR","sdmx parsing error: insufficient rows in data !");const i=r[0],l="STRUCTURE"==i[0]?"ACTION"==i[2]?3:2:1,c=i.indexOf("TIME_PERIOD"),a=i.indexOf("OBS_VALUE"),u=c>=0?c:a>=0?a-1:i.length-1;s={dataflow:r[1][l-1]||"",dimensions:i.slice(l,u+1)};const f=a>=0?a+1:i.length;for(let e=i.length-1;e>=f;e--){let t=!0;for(let n=1;n<r.length&&t;n++)t=!String(r[n][e]||"").length;if(t)for(const t of r)t.splice(e,1)}}s.timeDimension=s.dimensions.includes("TIME_PERIOD")?"TIME_PERIOD":null,s.measure=r[0].includes("OBS_VALUE")?"OBS_VALUE":null,s.attributes=r[0].filter(function(e){return!s.dimensions.includes(e)&&e!=s.measure&&!e.match(/^(DATAFLOW|STRUCTURE|STRUCTURE_ID|ACTION)$/)}),s.codelists=n||{};for(let e=r[0].length-1;e>=0;e--){const t=s.codelists[r[0][e]];if(t){r[0].splice(e+1,0,r[0][e]+"_label");for(let n=1;n<r.length;n++){const o=r[n][e];r[n].splice(e+1,0,void 0!==t[o]?t[o]:o)}}}t.callback?t.callback(r,t):(this.__sdmx=s,this.__createDataTableObject(r,t.type,t))},c.Feed.prototype.__doJsonDBImport=function(e,t){_LOG("__doJsonDBImport: "+e);const n=this;t.url=e,$.getScript(e+".gz").done(function(e,o){n.__processJsonDBData(e,t)}).fail(function(o,r,s){$.getScript(e).done(function(e,o){n.__processJsonDBData(e,t)}).fail(function(n,o,r){h(t,"LOAD_ERROR",'"'+e+'" '+r)})})},c.Feed.prototype.__processJsonDBData=function(t,n){_LOG("__processJsonDBData:"),this.dbtable=new c.Table;let o=null;if("string"==typeof t){const t=n.source.split(/\//).pop().split(/\./)[0];o=void 0!==e?e[t]:global[t]}else o=n.source;this.dbtable.table=o.table,this.dbtable.fields=o.fields,this.dbtable.records=o.records,n.callback?n.callback(newData,n):void 0!==n&&n.success&&n.success(this.dbtable)};const y=function(){return e.ixmaps&&"string"==typeof e.ixmaps.szResourceBase?e.ixmaps.szResourceBase+"ui/libs/PapaParse-4.6.0/papaparse.min.js":"https://cdnjs.cloudflare.com/ajax/libs/PapaParse/4.6.0/papaparse.min.js"};c.Feed.prototype.__doCSVImport=function(e,t){_LOG("__doCSVImport: "+e);const n=this;$.ajax({type:"GET",url:e,cache:t.cache,dataType:"text",success:function(e){n.__processCSVData(e,t)},error:function(n,o,r){h(t,"LOAD_ERROR",'"'+e+'" '+r)}})},c.Feed.prototype.__processCSVData=function(e,t){if(_LOG("__processCSVData - start"),"undefined"==typeof Papa){_LOG("__processCSVData:load csv parser!");const n=this;return $.getScript(y()).done(function(o,r){n.__processCSVData(e,t)}).fail(function(e,n,o){h(t,"PARSER_NOT_LOADED","'"+t.type+"' parser not loaded !")}),!1}let n=Papa.parse(e,t.parser);if(n.errors.length)return h(t,"PARSE_ERROR","csv parsing error: "+n.errors.map(e=>e.message).join(";"),{row:n.errors[0].row}),!1;let o=n.data;if(o.length<2||void 0===o[0]||void 0===o[1])return h(t,"PARSE_ERROR","csv parsing error: insufficient rows in data !"),!1;if(!(t.parser&&t.parser.delimiter||o[0].length===o[1].length)){_LOG("csv parser: autodetect failed");const n=[";",","];let r=!1;for(const t of n){if(_LOG(`csv parser: delimiter = ${t}`),o=Papa.parse(e,{delimiter:t}).data,o[0].length===o[1].length){r=!0;break}_LOG(`csv parser: delimiter = ${t} failed`)}if(!r)return h(t,"PARSE_ERROR","csv parsing error: unable to auto detect delimiter!"),!1}return this.__finishCSVData(o,t),!1},c.Feed.prototype.__finishCSVData=function(e,t){e[e.length-1].length!==e[0].length&&e.length>1&&e.pop(),e[0].length-e[1].length===1&&""===e[0][e[0].length-1].trim()&&e[0].pop(),t.callback?t.callback(e,t):(_LOG("__createDataTableObject: "+(t.options?" -> "+t.options.name:"")),this.__createDataTableObject(e,t.type,t))},c.Feed.prototype.__doCSVStreamImport=function(t,n){_LOG("__doCSVStreamImport: "+t);const o=this;if(this.cancelled)return;if(n.worker&&e.Worker&&e.Blob)return void this.__doCSVWorkerImport(t,n);if("undefined"==typeof Papa)return void $.getScript(y()).done(function(e,r){o.__doCSVStreamImport(t,n)}).fail(function(e,t,o){h(n,"PARSER_NOT_LOADED","'"+n.type+"' parser not loaded !")});const r=this.__csvProgress(t,n),s=n.parser&&n.parser.delimiter?[n.parser.delimiter]:[null,";",","];this.__parser=null;const i=function(e){const l=[];let c=[],a=1==s.length,u=!1;const p=Object.assign({},n.parser,{download:!0,chunkSize:n.chunkSize||Papa.RemoteChunkSize,chunk:function(t,n){if(o.__parser=n,o.cancelled)n.abort();else{for(const e of t.data)l.push(e);if(!a&&l.length>=2&&(a=!0,l[0].length!==l[1].length))return _LOG("csv parser: delimiter "+(s[e]||"autodetect")+" failed"),u=!0,void n.abort();t.errors.length&&(c=c.concat(t.errors)),r(Math.max(l.length-1,0),t.meta.cursor)}},complete:function(){o.__parser=null,o.cancelled?_LOG("__doCSVStreamImport: cancelled "+t):u?e+1<s.length?i(e+1):h(n,"PARSE_ERROR","csv parsing error: unable to auto detect delimiter!"):(c.length&&_LOG("csv parsing: "+c.length+" errors, first: "+c[0].message+" (row "+c[0].row+")"),l.length<2?h(n,"PARSE_ERROR","csv parsing error: insufficient rows in data !"):o.__finishCSVData(l,n))},error:function(e){o.__parser=null,h(n,"LOAD_ERROR",'"'+t+'" '+f(e),{cause:e})}});s[e]&&(p.delimiter=s[e]),Papa.parse(t,p)};i(0)},c.Feed.prototype.__csvProgress=function(e,t){let n=null;return t.progress?($.ajax({type:"HEAD",url:e,success:function(e,t,o){const r=parseInt(o.getResponseHeader("Content-Length"),10);n=isNaN(r)?null:r}}),function(e,o){t.progress({rows:e,bytes:o,totalBytes:n,percent:n?Math.min(100,Math.round(o/n*100)):null})}):function(){}},c.Feed.prototype.__doCSVWorkerImport=function(e,n){_LOG("__doCSVWorkerImport: "+e);const o=this,r=this.__csvProgress(e,n),s=URL.createObjectURL(new Blob([b],{type:"application/javascript"})),i=new Worker(s),l=function(){o.__parser=null,i.terminate(),URL.revokeObjectURL(s)};this.__parser={abort:l},i.onmessage=function(e){const t=e.data;"progress"===t.type?r(t.rows,t.bytes):"complete"===t.type?(l(),t.errors&&_LOG("csv parsing: "+t.errors+" errors, first: "+t.firstError),o.__finishCSVData(t.rows,n)):"error"===t.type&&(l(),h(n,t.code,t.message))},i.onerror=function(e){l(),h(n,"PARSER_NOT_LOADED","'"+n.type+"' parser worker: "+f(e),{cause:e})},i.postMessage({url:new URL(e,t.baseURI).href,scriptUrl:new URL(y(),t.baseURI).href,parser:n.parser?JSON.parse(JSON.stringify(n.parser)):{},chunkSize:n.chunkSize||null})};const b='\n        self.onmessage = function (e) {\n            const options = e.data;\n            try {\n                importScripts(options.scriptUrl);\n            } catch (error) {\n                self.postMessage({\n                    type: "error",\n                    code: "PARSER_NOT_LOADED",\n                    message: "\'csv\' parser not loaded !"\n                });\n                return;\n            }\n            const delimiterA = options.parser.delimiter ? [options.parser.delimiter] : [null, ";", ","];\n\n            const parse = function (nTry) {\n                const rows = [];\n                let errors = 0;\n                let firstError = null;\n                let fChecked = (delimiterA.length == 1);\n                let fRetry = false;\n\n                const config = Object.assign({}, options.parser, {\n                    download: true,\n                    chunkSize: options.chunkSize || Papa.RemoteChunkSize,\n                    chunk: function (results, parser) {\n                        for (const row of results.data) {\n                            rows.push(row);\n                        }\n                        if (!fChecked && (rows.length >= 2)) {\n                            fChecked = true;\n                            if (rows[0].length !== rows[1].length) {\n                                fRetry = true;\n                                parser.abort();\n                                return;\n                            }\n                        }\n                        if (results.errors.length) {\n                            errors += results.errors.length;\n                            firstError = firstError || (results.errors[0].message + " (row " + results.errors[0].row + ")");\n                        }\n                        self.postMessage({\n                            type: "progress",\n                            rows: Math.max(rows.length - 1, 0),\n                            bytes: results.meta.cursor\n                        });\n                    },\n                    complete: function () {\n                        if (fRetry) {\n                            if (nTry + 1 < delimiterA.length) {\n                                parse(nTry + 1);\n                            } else {\n                                self.postMessage({\n                                    type: "error",\n                                    code: "PARSE_ERROR",\n                                    message: "csv parsing error: unable to auto detect delimiter!"\n                                });\n                            }\n                            return;\n                        }\n                        if (rows.length < 2) {\n                            self.postMessage({\n                                type: "error",\n                                code: "PARSE_ERROR",\n                                message: "csv parsing error: insufficient rows in data !"\n                            });\n                            return;\n                        }\n                        self.postMessage({\n                            type: "complete",\n                            errors: errors,\n                            firstError: firstError,\n                            rows: rows\n                        });\n                    },\n                    error: function (error) {\n                        self.postMessage({\n                            type: "error",\n                            code: "LOAD_ERROR",\n                            message: "\\"" + options.url + "\\" " + ((error && error.message) || String(error))\n                        });\n                    }\n                });\n                if (delimiterA[nTry]) {\n                    config.delimiter = delimiterA[nTry];\n                }\n                Papa.parse(options.url, config);\n            };\n\n            parse(0);\n        };\n    ';c.Feed.prototype.__doRSSImport=function(e,t){_LOG("__doRSSImport: "+e);const n=this;t.format="xml",$.ajax({type:"GET",url:e,dataType:"xml",success:function(e){n.__processRSSData(e,t)},error:function(n,o,r){h(t,"LOAD_ERROR",'"'+e+'" '+(r||f(n)),{cause:n})}})},c.Feed.prototype.__processRSSData=function(e,t){"xml"==t.format&&($(e).find("rss").length?this.__parseRSSData(e,t):$(e).find("feed").length?h(t,"UNKNOWN_FORMAT","feed not yet supported"):$(e).find("atom").length&&h(t,"UNKNOWN_FORMAT","atom not yet supported"))},c.Feed.prototype.__parseRSSData=function(e,t){const n=this;"xml"==t.format&&$(e).find("channel").each(function(){const o=[];let r=null;$(e).find("item").each(function(){if(!r){const e=[];r=[];const t=$(this).children();for(let n=0;n<t.length;n++){let t=$(this).children()[n].nodeName;for(;e[t];)t+="*";e[t]=t,r[n]=t}o.push(r)}const e=[];for(let t=0;t<r.length;t++)"enclosure"==r[t]?e.push($(this).find(r[t]+":first").attr("url")||""):e.push($(this).find(r[t]+":first").text()||"");o.push(e)}),n.__createDataTableObject(o,"rss",t)})},c.Feed.prototype.__doKMLImport=function(e,t){_LOG("__doKMLImport: "+e);const n=this;t.format="xml",$.ajax({type:"GET",url:e,dataType:"xml",success:function(e){n.__processKMLData(e,t)},error:function(n,o,r){h(t,"LOAD_ERROR",'"'+e+'" '+(r||f(n)),{cause:n})}})},c.Feed.prototype.__doGMLImport=function(e,t){_LOG("__doGMLImport: "+e);const n=this;t.format="xml",$.ajax({type:"GET",url:e,dataType:"xml",success:function(e){n.__processGMLData(e,t)},error:function(n,o,r){h(t,"LOAD_ERROR",'"'+e+'" '+(r||f(n)),{cause:n})}})},c.Feed.prototype.__processKMLData=function(e,t){"xml"==t.format&&($(e).find("kml").length?this.__parseKMLData(e,t):h(t,"PARSE_ERROR","feed not kml"))},c.Feed.prototype.__parseKMLData=function(e,t){const n=this;if("xml"==t.format){const o=$(e).find("Document"),r=[];let s=null;o.find("Placemark").each(function(){const e=$(this).find("ExtendedData")||$(this);s||(s=[],e.find("Data").each(function(){s.push($(this).attr("name"))}),$(this).find("Point").find("coordinates")&&s.push("KML.Point"),r.push(s));const t=[];e.find("Data").each(function(){t.push($(this).find("value").text())}),$(this).find("Point").find("coordinates")&&t.push($(this).find("Point").find("coordinates").text()),r.push(t)}),n.__createDataTableObject(r,"kml",t)}},c.Feed.prototype.__processGMLData=function(e,t){"xml"==t.format&&("string"==typeof e&&(parser=new DOMParser,e=parser.parseFromString(e,"text/xml")),console.log(e),console.log($(e).find("wfs\\:FeatureCollection, gml\\:FeatureCollection, FeatureCollection")),$(e).find("wfs\\:FeatureCollection, gml\\:FeatureCollection, FeatureCollection").length?this.__parseGMLData(e,t):h(t,"PARSE_ERROR","feed not gml"))},c.Feed.prototype.__parseGMLData=function(e,t){const n=this;if("xml"==t.format){const o=$(e).find("wfs\\:FeatureCollection, FeatureCollection").first();if(0===o.length)return void h(t,"PARSE_ERROR","No FeatureCollection found in GML data");const r=[];let s=null;o.find("wfs\\:member, gml\\:featureMember, featureMember, gml\\:featureMembers, featureMembers").each(function(){const e=$(this).find("gml\\:*, *").first();if(0===e.length)return;s||(s=[],e.find("gml\\:*, *").each(function(){const e=$(this).prop("tagName");e&&!e.match(/^(gml:)?(boundedBy|location|pos|coordinates|geometry|geometryProperty)$/i)&&s.push(e.replace(/^gml:/,""))}),s.push("GML.Geometry"),r.push(s));const t=[];e.find("gml\\:*, *").each(function(){const e=$(this).prop("tagName");e&&!e.match(/^(gml:)?(boundedBy|location|pos|coordinates|geometry|geometryProperty)$/i)&&t.push($(this).text())});const n=e.find("gml\\:Polygon").first();if(n.length>0){let e='{"type":"Polygon","coordinates":[[',r=n.text().split(" "),s=0;for(var o=0;o<r.length;o++)if(Number(r[o])&&!isNaN(Number(r[o]))){s=o;break}if(console.log("coords:",r),console.log("start:",s),console.log("coords length:",r.length),s<r.length-1)for(console.log("coords[start]:",r[s]),console.log("coords[start+1]:",r[s+1]),o=s;o<r.length-1;o+=2)r[o]&&r[o+1]&&!isNaN(Number(r[o]))&&!isNaN(Number(r[o+1]))&&(e+=(o>s?",":"")+"["+r[o+1]+","+r[o]+"]");e+="]]}",console.log("final value:",e),t.push(e)}else t.push("");r.push(t)}),n.__createDataTableObject(r,"gml",t)}},c.Feed.prototype.__doJSONImport=function(e,t){const n=this;$.get(e,function(e){n.__processJsonData(e,t)}).fail(function(n){h(t,"LOAD_ERROR",'"'+e+'" '+f(n),{cause:n})})},__getNestedPaths=function(e,t=""){const n=[];if("object"!=typeof e||null===e||Array.isArray(e))Array.isArray(e)?e.forEach((e,o)=>{const r=t?`${t}.${o}`:String(o);n.push(...__getNestedPaths(e,r))}):n.push(t);else for(const o in e)if(Object.prototype.hasOwnProperty.call(e,o)){const r=e[o],s=t?`${t}.${o}`:o;n.push(...__getNestedPaths(r,s))}return n},__extractValuesRecursive=function(e,t){let o=[];if(null==e)o.push("null");else if("object"!=typeof t||null===t||Array.isArray(t))if(Array.isArray(t))for(let r=0;r<t.length;r++){const s=r<e.length?e[r]:n;o=o.concat(__extractValuesRecursive(s,t[r]))}else o.push(e);else for(const r in t)if(Object.prototype.hasOwnProperty.call(t,r)){const s=Object.prototype.hasOwnProperty.call(e,r)?e[r]:n;o=o.concat(__extractValuesRecursive(s,t[r]))}return o},c.Feed.prototype.__processJsonData=function(e,t){let n=null;if("string"==typeof e)try{n=JSON.parse(e)}catch(e){this.__createDataTableObject([],"json",t)}else n=e;this.data=n;let o=[],r=[];if(n&&n.data&&n.data.columns&&n.data.rows){const e=n.data.columns,t=n.data.rows;for(let t=0,n=e.length;t<n;t++)r.push(e[t]);o.push(r);for(let e=0,n=t.length;e<n;e++){r=[];for(let n=0,o=t[0].length;n<o;n++)r.push(t[e][n]);o.push(r)}}else{if(n&&n.data&&(n=n.data),!Array.isArray(n)){__findAllArraysInJson=function(e){const t=[];return function e(n){if(Array.isArray(n))t.push(n);else if("object"==typeof n&&null!==n)for(const t in n)n.hasOwnProperty(t)&&e(n[t])}(e),t},n=__findAllArraysInJson(n)[0]}if(!n){let n=[];n.push(["unknown type"]);const o=e.split("\n");for(let e=0,t=o.length;e<t;e++)n.push([o[e]]);return void this.__createDataTableObject(n,"json",t)}o.push(__getNestedPaths(n[0]));for(let e=0;e<n.length;e++)o.push(__extractValuesRecursive(n[e],n[0]))}this.__createDataTableObject(o,"json",t)},c.Feed.prototype.__doGeoJSONImport=function(e,t){const n=this;$.get(e,function(e){n.__processGeoJsonData(e,t)}).fail(function(n){h(t,"LOAD_ERROR",'"'+e+'" '+f(n),{cause:n})})},c.Feed.prototype.__processGeoJsonData=function(e,t){let o=null;if("string"==typeof e)try{o=JSON.parse(e)}catch(e){return void this.__createDataTableObject([],"json",t)}else o=e;this.data=o;const r=[],s={};if(o&&o.features&&o.features.length){for(const e of o.features)if(e.properties)for(const t in e.properties)s[t]=!0;const e=Object.keys(s);e.push("geometry"),r.push(e);for(const t of o.features){const o=[],s=t.properties||{};for(let t=0;t<e.length-1;t++){const r=s[e[t]];"object"==typeof r?o.push(JSON.stringify(r)):o.push(r!==n?r:"")}o.push(JSON.stringify(t.geometry)),r.push(o)}}this.__createDataTableObject(r,"json",t)},c.Feed.prototype.__processGeoJsonData_expandProperty=function(e,t){let n=null;if("string"==typeof e)try{n=JSON.parse(e)}catch(e){this.__createDataTableObject([],"json",t)}else n=e;this.data=n;let o=[],r=[];const s=[];if(n&&n.features&&n.features.length){for(let e=0;e<n.features.length;e++)for(const t in n.features[e].properties)if("string"==typeof n.features[e].properties[t]||"number"==typeof n.features[e].properties[t])s[t]=!0;else for(const o in n.features[e].properties[t])s[t+"."+o]=!0;for(const e in s)r.push(e);r.push("geometry"),o.push(r);for(let e=0;e<n.features.length;e++){r=[];for(let t=0;t<o[0].length-1;t++){const s=o[0][t].split(".");s.length>=2?r.push(n.features[e].properties[s[0]][s[1]]||""):r.push(n.features[e].properties[o[0][t]]||"")}r.push(JSON.stringify(n.features[e].geometry)),o.push(r)}}this.__createDataTableObject(o,"json",t)},c.Feed.prototype.__doTopoJSONImport=function(e,t){const n=this;$.get(e,function(e){n.__processTopoJsonData(e,t)}).fail(function(n){h(t,"LOAD_ERROR",'"'+e+'" '+f(n),{cause:n})})},c.Feed.prototype.__processTopoJsonData=function(e,t){if("undefined"==typeof topojson)return void h(t,"PARSER_NOT_LOADED","'"+t.type+"' parser not loaded !");let n=null;if("string"==typeof e)try{n=JSON.parse(e)}catch(e){this.__createDataTableObject([],"json",t)}else n=e;this.data=n;let o=null;if(t.options&&t.options.name&&n.objects[t.options.name])o=topojson.feature(n,n.objects[t.options.name]);else for(var r in n.objects){o=topojson.feature(n,n.objects[r]);break}for(const e in o.features)o.features[e].properties.id=o.features[e].id;this.__processGeoJsonData(o,t)};c.Feed.prototype.__doShapefileImport=function(e,t){_LOG("__doShapefileImport: "+e);const n=this;"undefined"!=typeof shp?fetch(e,{method:"GET",cache:t.cache?"default":"no-cache",signal:t.signal}).then(function(e){if(!e.ok)throw new Error("HTTP "+e.status+": "+e.statusText);return e.arrayBuffer()}).then(function(e){return shp(e)}).then(function(e){n.__processShapefileData(e,t)}).catch(function(n){_LOG("__doShapefileImport: "+n),h(t,"LOAD_ERROR",'"'+e+'" '+f(n),{cause:n})}):$.getScript("https://unpkg.com/shpjs@4.0.4/dist/shp.min.js").done(function(o,r){n.__doShapefileImport(e,t)}).fail(function(e,n,o){h(t,"PARSER_NOT_LOADED","'"+t.type+"' parser not loaded !")})},c.Feed.prototype.__processShapefileData=function(e,t){if(r(e)){let n=e[0];if(t.layer&&(n=e.filter(function(e){return String(e.fileName).split("/").pop()==t.layer})[0],!n))return void h(t,"INVALID_OPTION","shapefile '"+t.layer+"' not found in "+e.map(function(e){return e.fileName}).join(", "));e=n}this.__processGeoJsonData(e,t)},c.Feed.prototype.__doGeoPackageImport=function(t,n){_LOG("__doGeoPackageImport: "+t);const o=this,r="__gpkg_"+Date.now()+".gpkg",s=function(o){_LOG("__doGeoPackageImport: "+o),e.duckdb&&e.duckdb.db.dropFile(r),h(n,"LOAD_ERROR",'"'+t+'" '+f(o),{cause:o})};fetch(t,{method:"GET",cache:n.cache?"default":"no-cache",signal:n.signal}).then(function(e){if(!e.ok)throw new Error("HTTP "+e.status+": "+e.statusText);return e.arrayBuffer()}).then(function(e){D(function(){o.__processGeoPackageData(e,r,n).catch(s)},s)}).catch(s)},c.Feed.prototype.__processGeoPackageData=function(t,n,o){const r=this,s=e.duckdb.db,i=e.duckdb.conn;let l=null;const c=function(e){return e.toArray().map(function(e){return e.toJSON()})},a=function(e){return"'"+String(e).replace(/'/g,"''")+"'"};return s.registerFileBuffer(n,new Uint8Array(t)).then(function(){return i.query("INSTALL spatial; LOAD spatial;")}).then(function(){return i.query("SELECT UNNEST(layers) AS layer FROM ST_Read_Meta("+a(n)+")")}).then(function(e){const t=c(e).map(function(e){return e.layer});if(l=o.layer?t.filter(function(e){return e.name==o.layer})[0]:t[0],!l)throw new Error("layer '"+(o.layer||"")+"' not found");const r=l.geometry_fields&&l.geometry_fields.toArray?l.geometry_fields.toArray()[0]:(l.geometry_fields||[])[0],s=r&&r.crs,u=s&&s.auth_name&&s.auth_code?s.auth_name+":"+s.auth_code:null;_LOG("__processGeoPackageData: layer "+l.name+", CRS "+(u||"unknown"));let h="geom";return u&&"EPSG:4326"!=u&&(h="ST_Transform(geom, "+a(u)+", 'EPSG:4326', always_xy := true)"),i.query("SELECT * EXCLUDE (geom), ST_AsGeoJSON("+h+") AS __geometry FROM ST_Read("+a(n)+", layer = "+a(l.name)+")")}).then(function(e){s.dropFile(n);const t=c(e).map(function(e){const t={};for(const n in e)"__geometry"!=n&&(t[n]="bigint"==typeof e[n]?Number(e[n]):e[n]);return{type:"Feature",properties:t,geometry:e.__geometry?JSON.parse(e.__geometry):null}});r.__processGeoJsonData({type:"FeatureCollection",features:t},o)})};const O=function(e,t){const n=[];for(const e in t)null!=t[e]&&""!==t[e]&&n.push(encodeURIComponent(e)+"="+encodeURIComponent(t[e]));return n.length?e+(e.indexOf("?")>=0?"&":"?")+n.join("&"):e},S=function(e){return r(e)?e.join(","):e?String(e):null};c.Feed.prototype.__doOGCFeaturesImport=function(e,t){_LOG("__doOGCFeaturesImport: "+e);let n=e.split("?")[0].replace(/\/+$/,"");t.collection&&(n+="/collections/"+encodeURIComponent(t.collection)),n.match(/\/items$/)||(n+="/items"),e.indexOf("?")>=0&&(n+="?"+e.split("?").slice(1).join("?"));const o=t.pageSize||1e3,r=Object.assign({limit:t.maxFeatures?Math.min(o,t.maxFeatures):o,bbox:S(t.bbox)},t.filter?{filter:t.filter,"filter-lang":t.filterLang||"cql2-text"}:{},t.params);this.__doFeaturePagesImport(O(n,r),t,function(e,t){const n=(e.links||[]).filter(function(e){return"next"==e.rel&&(!e.type||e.type.match(/json/))})[0];return n?new URL(n.href,t).href:null})},c.Feed.prototype.__doWFSImport=function(e,t){_LOG("__doWFSImport: "+e);const n=t.typeName||t.typeNames||t.layer;if(!n)return void h(t,"INVALID_OPTION",'"'+e+'" wfs: no typeName defined !');const o=t.pageSize||1e3,r={SERVICE:"WFS",VERSION:"2.0.0",REQUEST:"GetFeature",TYPENAMES:n,OUTPUTFORMAT:t.outputFormat||"application/json",SRSNAME:"EPSG:4326"},s=S(t.bbox);t.filter&&String(t.filter).match(/^\s*</)?r.FILTER=t.filter:t.filter?r.CQL_FILTER=s?"("+t.filter+") AND BBOX("+(t.geometryName||"the_geom")+","+s+",'EPSG:4326')":t.filter:s&&(r.BBOX=s+",EPSG:4326"),Object.assign(r,t.params);let i=0;const l=function(){return O(e,Object.assign({},r,{COUNT:t.maxFeatures?Math.min(o,t.maxFeatures-i):o,STARTINDEX:i}))};this.__doFeaturePagesImport(l(),t,function(e){const t=(e.features||[]).length;i+=t;const n=parseInt(e.numberMatched,10);return(isNaN(n)?t<o:i>=n)?null:l()})},c.Feed.prototype.__doFeaturePagesImport=function(e,t,n){const o=this;let r=[],s=0;const i=function(e){_LOG("feature page: "+e),fetch(e,{method:"GET",headers:{Accept:"application/geo+json, application/json"},cache:t.cache?"default":"no-cache",signal:t.signal}).then(function(e){return e.text().then(function(t){if(!e.ok||t.match(/^\s*</)){const n=t.match(/<(?:\w+:)?ExceptionText>([\s\S]*?)<\//);let o=n?n[1].trim():null;try{o=o||JSON.parse(t).description}catch(e){o=o||null}throw new Error("HTTP "+e.status+": "+(o||e.statusText||"no GeoJSON"))}return s+=t.length,JSON.parse(t)})}).then(function(l){if(o.cancelled)return;if(r=r.concat(l.features||[]),t.maxFeatures&&r.length>=t.maxFeatures&&(r.length=t.maxFeatures),t.progress){const e=t.maxFeatures?Math.min(t.maxFeatures,l.numberMatched||t.maxFeatures):l.numberMatched;t.progress({rows:r.length,bytes:s,totalBytes:null,percent:e?Math.min(100,Math.round(r.length/e*100)):null})}const c=!l.features||!l.features.length||t.maxFeatures&&r.length>=t.maxFeatures?null:n(l,e);c?i(c):(_LOG("features loaded: "+r.length),o.__processGeoJsonData({type:"FeatureCollection",features:r},t))}).catch(function(n){_LOG("__doFeaturePagesImport: "+n),h(t,"LOAD_ERROR",'"'+e+'" '+f(n),{cause:n})})};i(e)};c.Feed.prototype.__doSpreadsheetImport=function(e,t){_LOG("__doSpreadsheetImport: "+e);const n=this;"undefined"!=typeof XLSX?fetch(e,{method:"GET",cache:t.cache?"default":"no-cache",signal:t.signal}).then(function(e){if(!e.ok)throw new Error("HTTP "+e.status+": "+e.statusText);return e.arrayBuffer()}).then(function(e){n.__processSpreadsheetData(e,t)}).catch(function(n){_LOG("__doSpreadsheetImport: "+n),h(t,"LOAD_ERROR",'"'+e+'" '+f(n),{cause:n})}):$.getScript("https://cdn.sheetjs.com/xlsx-0.20.3/package/dist/xlsx.full.min.js").done(function(o,r){n.__doSpreadsheetImport(e,t)}).fail(function(e,n,o){h(t,"PARSER_NOT_LOADED","'"+t.type+"' parser not loaded !")})};c.Feed.prototype.__processSpreadsheetData=function(e,t){if(null!=t.range){const e=String(t.range).trim().toUpperCase().match(/^([A-Z]{1,3})([1-9][0-9]*):([A-Z]{1,3})([1-9][0-9]*)?$/);if(!e||XLSX.utils.decode_col(e[3])<XLSX.utils.decode_col(e[1])||e[4]&&Number(e[4])<Number(e[2]))return void h(t,"INVALID_OPTION","invalid range '"+t.range+"', use e.g. 'A3:H200' or 'A3:H'")}let n=null;try{n=XLSX.read(new Uint8Array(e),{type:"array",cellNF:!0})}catch(e){return void h(t,"PARSE_ERROR","spreadsheet parsing error: "+f(e),{cause:e})}const o=!!(n.Workbook&&n.Workbook.WBProps&&n.Workbook.WBProps.date1904);let r=n.SheetNames[0];if(null!=t.sheet&&(r="number"==typeof t.sheet?n.SheetNames[t.sheet]:String(t.sheet),!n.Sheets[r]))return void h(t,"INVALID_OPTION","sheet '"+t.sheet+"' not found in "+n.SheetNames.join(", "));const s=n.Sheets[r];if(!s||!s["!ref"])return void h(t,"PARSE_ERROR","sheet '"+r+"' is empty !");const i=XLSX.utils.decode_range(t.range?String(t.range).trim().toUpperCase():s["!ref"]);if(t.range){const e=XLSX.utils.decode_range(s["!ref"]);i.e.r=i.e.r<0?e.e.r:Math.min(i.e.r,e.e.r)}const l={};for(const e of s["!merges"]||[])for(let t=e.s.r;t<=e.e.r;t++)for(let n=e.s.c;n<=e.e.c;n++)l[XLSX.utils.encode_cell({r:t,c:n})]=XLSX.utils.encode_cell(e.s);const c=function(e,t,n){let r=XLSX.utils.encode_cell({r:e,c:t});r=n&&l[r]||r;const i=s[r];return i&&null!=i.v&&"e"!=i.t&&"z"!=i.t?i.v instanceof Date||"n"==i.t&&i.z&&XLSX.SSF.is_date(i.z)?function(e,t){e instanceof Date||(e=new Date(1e3*Math.round(86400*(e+(t?1462:0)-25569))));const n=e.toISOString();return"00:00:00"==n.substr(11,8)?n.substr(0,10):n.substr(0,10)+" "+n.substr(11,8)}(i.v,o):i.v:""},a=!1===t.header||0===t.header?0:t.headerRows||1,u="number"==typeof t.header&&t.header?t.header-1:i.s.r,p=[];for(let e=i.s.c;e<=i.e.c;e++){const t=[];for(let n=u;n<u+a;n++){const o=String(c(n,e,!0)).trim();o&&t[t.length-1]!=o&&t.push(o)}let n=t.join(" ")||XLSX.utils.encode_col(e);for(let o=2;p.includes(n);o++)n=(t.join(" ")||XLSX.utils.encode_col(e))+"_"+o;p.push(n)}const d=[p];for(let e=a?u+a:i.s.r;e<=i.e.r;e++){const n=[];let o=!0;for(let r=i.s.c;r<=i.e.c;r++){const s=c(e,r,!!t.fillMerged);o=o&&""===s,n.push(s)}o||d.push(n)}_LOG("spreadsheet: sheet '"+r+"', "+(d.length-1)+" rows"),this.__createDataTableObject(d,"json",t)},c.Feed.prototype.__doParquetImport=function(e,t){_LOG("__doParquetImport: "+e);const n=this;_LOG("Attempting to load parquet file using Fetch API..."),fetch(e,{method:"GET",cache:t.cache?"default":"no-cache",signal:t.signal}).then(e=>{if(_LOG("Fetch response received, status: "+e.status),_LOG("Response headers: "+JSON.stringify([...e.headers.entries()])),!e.ok)throw new Error(`HTTP ${e.status}: ${e.statusText}`);return e.arrayBuffer()}).then(e=>{_LOG("Successfully loaded parquet as ArrayBuffer: "+e.byteLength+" bytes");const o=new Uint8Array(e);if(o.length>=4){const r=String.fromCharCode(...o.slice(0,4));_LOG("Magic number: "+r),"PAR1"===r?(_LOG("✅ SUCCESS: Valid parquet file detected!"),n.__processParquetData(e,t)):(_LOG("⚠️ Warning: Magic number is not PAR1: "+r),_LOG("First 16 bytes: "+Array.from(o.slice(0,16)).map(e=>e.toString(16).padStart(2,"0")).join(" ")),_LOG("Attempting to process anyway..."),n.__processParquetData(e,t))}else _LOG("⚠️ Warning: Response too short to check magic number"),n.__processParquetData(e,t)}).catch(o=>{_LOG("Fetch failed: "+o.message),_LOG("Falling back to XMLHttpRequest..."),n.__loadParquetWithXHR(e,t)})},c.Feed.prototype.__loadParquetWithXHR=function(e,t){const n=this;_LOG("Loading parquet with XMLHttpRequest...");const o=new XMLHttpRequest;o.open("GET",e,!0),o.responseType="arraybuffer",o.onload=function(){if(200===o.status){const e=o.response;_LOG("XHR successful: "+e.byteLength+" bytes");const r=new Uint8Array(e);if(r.length>=4){const o=String.fromCharCode(...r.slice(0,4));_LOG("XHR magic number: "+o),"PAR1"===o?(_LOG("✅ SUCCESS: Valid parquet file via XHR!"),n.__processParquetData(e,t)):(_LOG("⚠️ Warning: XHR magic number is not PAR1: "+o),_LOG("First 16 bytes: "+Array.from(r.slice(0,16)).map(e=>e.toString(16).padStart(2,"0")).join(" ")),_LOG("Attempting to process anyway..."),n.__processParquetData(e,t))}else _LOG("⚠️ Warning: XHR response too short to check magic number"),n.__processParquetData(e,t)}else _LOG("XHR failed with status: "+o.status+" "+o.statusText),h(t,"LOAD_ERROR","XHR failed: "+o.status+" "+o.statusText)},o.onerror=function(){_LOG("XHR network error"),h(t,"LOAD_ERROR","XHR network error")},o.send()},c.Feed.prototype.__checkGeoParquetMetadataWithDuckDB=function(t,n,o){try{console.log("🔍 Checking GeoParquet metadata with DuckDB WASM...");const o=t.slice(),r="temp_parquet_"+Date.now()+".parquet";e.duckdb.db.registerFileBuffer(r,new Uint8Array(o)).then(function(){console.log("📊 Parquet file registered in DuckDB virtual filesystem");const t=`\n                        SELECT * FROM read_parquet('${r}') LIMIT 1\n                    `;return e.duckdb.conn.query(t)}).then(function(e){console.log("📊 Metadata query result type:",typeof e),console.log("📊 Metadata query result methods:",Object.getOwnPropertyNames(e)),console.log("📊 Metadata query result:",e);let t,o=!1;if("function"==typeof e.toArray)t=e.toArray(),console.log("📊 Using toArray(), rows:",t);else if("function"==typeof e.fetchAll)t=e.fetchAll(),console.log("📊 Using fetchAll(), rows:",t);else if(Array.isArray(e))t=e,console.log("📊 Result is array, rows:",t);else{if(!e.data||!Array.isArray(e.data))return console.warn("⚠️ Cannot extract rows from metadata result, assuming regular parquet"),console.log("📊 Full result object:",e),void n(!1);t=e.data,console.log("📊 Using result.data, rows:",t)}if(t&&t.length>0){console.log("📊 Checking columns for geometry indicators...");const e=t[0],n=Object.keys(e);console.log("📊 Column names found:",n);const r=["geometry","geom","the_geom","wkb_geometry","shape"];for(const e of n){const t=e.toLowerCase();if(console.log(`📊 Checking column: ${e}`),r.includes(t)){console.log("✅ GeoParquet detected via geometry column name:",e),o=!0;break}}for(const e of n){const t=e.toLowerCase();if(t.includes("wkb")||t.includes("geojson")||t.includes("wkt")||t.includes("coordinates")){console.log("✅ GeoParquet detected via geometry-related column name:",e),o=!0;break}}}else console.log("📊 No rows found in metadata query");console.log("🎯 Final GeoParquet detection result:",o),n(o)}).catch(function(e){console.warn("⚠️ Error checking GeoParquet metadata, assuming regular parquet:",e),n(!1)}).finally(function(){try{e.duckdb.db.dropFile(r)}catch(e){console.warn("Warning: Could not clean up temporary file:",e)}})}catch(e){console.error("❌ Error in GeoParquet detection:",e),o(e)}},c.Feed.prototype.__detectColumnTypes=function(e){if(!e||!e.fields)return null;return e.fields.map(e=>{const t=e.type.toString().toLowerCase(),n=e.name.toLowerCase();let o;return o=t.includes("geometry")||t.includes("wkb")||t.includes("wkt")||t.includes("blob")||t.includes("binary")||"geometry"===n||"geom"===n||"wkb_geometry"===n||"wkt_geometry"===n||n.includes("shape")?"geometry":t.includes("list")||t.includes("array")?"array":t.includes("utf8")||t.includes("string")||t.includes("varchar")?"string":t.includes("int")&&!t.includes("interval")?"integer":t.includes("float")||t.includes("double")||t.includes("decimal")?"number":t.includes("bool")?"boolean":t.includes("date")||t.includes("timestamp")?"date":"other","geometry"===o?c.log(`🗺️ Detected geometry column: "${e.name}" (type: ${t})`):"array"===o&&c.log(`📋 Detected array column: "${e.name}" (type: ${t})`),o})},c.Feed.prototype.__convertGeometryToGeoJSON=function(e){if(!e)return"";try{if(e instanceof ArrayBuffer||e instanceof Uint8Array){const t=e instanceof Uint8Array?e:new Uint8Array(e);return this.__parseWKB(t)}return"string"==typeof e?e.match(/^(POINT|LINESTRING|POLYGON|MULTIPOINT|MULTILINESTRING|MULTIPOLYGON|GEOMETRYCOLLECTION)\s*\(/i)?this.__wktToGeoJSON(e):(e.trim().startsWith("{"),e):"object"==typeof e?JSON.stringify(e):String(e)}catch(t){console.warn("⚠️ Failed to convert geometry to GeoJSON:",t),console.warn("⚠️ Geometry value that failed:",e);try{return JSON.stringify(e)}catch(t){return String(e||"")}}},c.Feed.prototype.__parseWKB=function(e){try{if(e.length<5)return"";const t=1===e[0],n=new DataView(e.buffer,e.byteOffset,e.byteLength),o=n.getUint32(1,t);switch(o){case 1:return this.__parseWKBPoint(n,t);case 2:return this.__parseWKBLineString(n,t);case 3:return this.__parseWKBPolygon(n,t);case 4:case 5:case 6:case 7:const r=Array.from(e).map(e=>e.toString(16).padStart(2,"0")).join("");return JSON.stringify({type:"WKB",wkb:r,geomType:o});default:const s=Array.from(e).map(e=>e.toString(16).padStart(2,"0")).join("");return JSON.stringify({type:"WKB",wkb:s,geomType:o})}}catch(t){console.warn("⚠️ WKB parsing error:",t);const n=Array.from(e).map(e=>e.toString(16).padStart(2,"0")).join("");return JSON.stringify({type:"WKB",wkb:n})}},c.Feed.prototype.__parseWKBPoint=function(e,t){const n=e.getFloat64(5,t),o=e.getFloat64(13,t);return JSON.stringify({type:"Point",coordinates:[n,o]})},c.Feed.prototype.__parseWKBLineString=function(e,t){const n=e.getUint32(5,t),o=[];for(let r=0;r<n;r++){const n=9+16*r,s=e.getFloat64(n,t),i=e.getFloat64(n+8,t);o.push([s,i])}return JSON.stringify({type:"LineString",coordinates:o})},c.Feed.prototype.__parseWKBPolygon=function(e,t){const n=e.getUint32(5,t),o=[];let r=9;for(let s=0;s<n;s++){const n=e.getUint32(r,t);r+=4;const s=[];for(let o=0;o<n;o++){const n=e.getFloat64(r,t),o=e.getFloat64(r+8,t);s.push([n,o]),r+=16}o.push(s)}return JSON.stringify({type:"Polygon",coordinates:o})},c.Feed.prototype.__wktToGeoJSON=function(e){try{const t=e.match(/POINT\s*\(\s*([^\s]+)\s+([^\s]+)\s*\)/i);return t?JSON.stringify({type:"Point",coordinates:[parseFloat(t[1]),parseFloat(t[2])]}):JSON.stringify({type:"WKT",wkt:e})}catch(t){return e}},c.Feed.prototype.__convertValue=function(e,t){if(null==e)return"";if(t)switch(t){case"geometry":return this.__convertGeometryToGeoJSON(e);case"array":if(Array.isArray(e))return JSON.stringify(e);if(e&&"object"==typeof e&&"function"==typeof e.toArray)return JSON.stringify(e.toArray());if(e&&"object"==typeof e)try{return JSON.stringify(Array.from(e))}catch(t){return JSON.stringify(e)}return String(e);case"string":return e;case"number":case"integer":case"boolean":return String(e);case"date":return e instanceof Date?e.toISOString():String(e);default:return"string"==typeof e?e:"object"==typeof e?JSON.stringify(e):String(e)}else{if("string"==typeof e)return e;if("number"==typeof e||"boolean"==typeof e)return String(e);if(e instanceof Date)return e.toISOString();if(Array.isArray(e))return JSON.stringify(e);if(e&&"object"==typeof e&&"function"==typeof e.toArray)try{return JSON.stringify(e.toArray())}catch(t){return JSON.stringify(e)}else try{return JSON.stringify(e)}catch(t){return String(e)}}},c.Feed.prototype.__processRow=function(e,t,n,o,r){const s=new Array(t.length);for(let i=0;i<t.length;i++){let l;l=o?e[i]:r?e[t[i]]:e,s[i]=this.__convertValue(l,n?n[i]:null)}return s},c.Feed.prototype.__createParquetWorker=function(){const e=new Blob(["\n            // Web Worker for processing parquet data\n            self.onmessage = function(e) {\n                const { rows, columns, isArrayFormat, isObjectFormat, batchSize } = e.data;\n                \n                try {\n                    const cellsPerRow = columns.length;\n                    const totalRows = rows.length;\n                    let processedRows = 0;\n                    \n                    // Process data in batches\n                    for (let batchStart = 0; batchStart < totalRows; batchStart += batchSize) {\n                        const batchEnd = Math.min(batchStart + batchSize, totalRows);\n                        const batchData = [];\n                        \n                        // Process batch\n                        for (let i = batchStart; i < batchEnd; i++) {\n                            const row = new Array(cellsPerRow);\n                            \n                            for (let j = 0; j < cellsPerRow; j++) {\n                                let value;\n                                \n                                // Get value based on pre-detected format\n                                if (isArrayFormat) {\n                                    value = rows[i][j];\n                                } else if (isObjectFormat) {\n                                    value = rows[i][columns[j]];\n                                } else {\n                                    value = rows[i];\n                                }\n                                \n                                // Optimized type handling\n                                if (value == null) {\n                                    row[j] = '';\n                                } else if (typeof value === 'string') {\n                                    row[j] = value;\n                                } else if (typeof value === 'number' || typeof value === 'boolean') {\n                                    row[j] = String(value);\n                                } else if (value instanceof Date) {\n                                    row[j] = value.toISOString();\n                                } else {\n                                    try {\n                                        row[j] = JSON.stringify(value);\n                                    } catch (e) {\n                                        row[j] = String(value);\n                                    }\n                                }\n                            }\n                            batchData.push(row);\n                        }\n                        \n                        processedRows = batchEnd;\n                        \n                        // Send batch back to main thread\n                        self.postMessage({\n                            type: 'batch',\n                            data: batchData,\n                            processed: processedRows,\n                            total: totalRows,\n                            progress: Math.round((processedRows / totalRows) * 100)\n                        });\n                        \n                        // Clear batch to free memory\n                        batchData.length = 0;\n                    }\n                    \n                    // Send completion message\n                    self.postMessage({\n                        type: 'complete',\n                        processed: processedRows,\n                        total: totalRows\n                    });\n                    \n                } catch (error) {\n                    self.postMessage({\n                        type: 'error',\n                        error: error.message || String(error)\n                    });\n                }\n            };\n        "],{type:"application/javascript"}),t=URL.createObjectURL(e);return new Worker(t)},c.Feed.prototype.__processStreamingDataset=function(t,n,o,r,s){const i=this;console.log("📊 Starting Web Worker-based processing for maximum performance...");if(!("undefined"!=typeof Worker))return console.warn("⚠️ Web Workers not supported, falling back to main thread processing"),i.__processStreamingDatasetFallback(t,n,o,r,s);const l=t.length>0&&Array.isArray(t[0]),c=t.length>0&&"object"==typeof t[0]&&null!==t[0]&&!Array.isArray(t[0]),a=new Array(t.length+1);a[0]=n;const u=n.length,p=t.length*u,d=Math.min(5e6,Math.max(5e5,Math.floor(1e7/u))),g=t.length*u*50/1048576;if(g>500)return console.log(`📊 Dataset too large for worker transfer (estimated ${Math.round(g)}MB)`),console.log("📊 Using optimized main-thread processing instead..."),i.__processStreamingDatasetFallback(t,n,o,r,s);console.log(`📊 Processing ${t.length.toLocaleString()} rows (${p.toLocaleString()} cells) using Web Worker`),console.log(`⚡ Extracting data from DuckDB rows for worker transfer (estimated ${Math.round(g)}MB)...`);return(async()=>{const e=[],o=1e5;for(let r=0;r<t.length;r+=o)await new Promise(s=>{setTimeout(()=>{const i=Math.min(r+o,t.length);for(let o=r;o<i;o++)if(l)e.push(Array.from(t[o]));else if(c){const r={};for(let e=0;e<n.length;e++)r[n[e]]=t[o][n[e]];e.push(r)}else e.push(t[o]);i%5e5!=0&&i!==t.length||console.log(`📊 Extracted ${i.toLocaleString()} of ${t.length.toLocaleString()} rows (${Math.round(i/t.length*100)}%)`),s()},0)});return e})().then(function(u){return console.log("📊 Data extraction complete, starting worker processing..."),new Promise((h,f)=>{try{const t=i.__createParquetWorker();let o=null;t.onmessage=function(n){const{type:l,data:c,processed:u,total:p,progress:d,error:g}=n.data;if("batch"===l){const e=u-c.length+1;for(let t=0;t<c.length;t++)a[e+t]=c[t];u%2e6!=0&&u!==p||(console.log(`📊 Worker progress: ${u.toLocaleString()} of ${p.toLocaleString()} rows (${d}%)`),(()=>{if(performance.memory){const e=Math.round(performance.memory.usedJSHeapSize/1024/1024),t=Math.round(performance.memory.totalJSHeapSize/1024/1024);console.log(`📊 Memory usage: ${e}MB / ${t}MB`)}})())}else if("complete"===l){console.log("✅ Worker processing completed successfully"),t.terminate(),o&&URL.revokeObjectURL(o);try{e.duckdb.db.dropFile(r)}catch(e){console.warn("Warning: Could not clean up temporary file:",e)}_LOG("Worker converted: "+a.length+" total rows (including header)"),i.__createDataTableObject(a,"parquet",s),h()}else if("error"===l){console.error("❌ Worker error:",g),t.terminate(),o&&URL.revokeObjectURL(o);try{e.duckdb.db.dropFile(r)}catch(e){console.warn("Warning: Could not clean up temporary file:",e)}f(new Error(g))}},t.onerror=function(e){console.error("❌ Worker error:",e),t.terminate(),o&&URL.revokeObjectURL(o),f(e)},t.postMessage({rows:u,columns:n,isArrayFormat:l,isObjectFormat:c,batchSize:d})}catch(e){return console.error("❌ Failed to create worker, falling back:",e),i.__processStreamingDatasetFallback(t,n,o,r,s)}})}).catch(function(t){console.error("❌ Error in worker processing or data extraction:",t);try{e.duckdb.db.dropFile(r)}catch(e){console.warn("Warning: Could not clean up temporary file:",e)}h(s,"PARSE_ERROR",f(t),{cause:t})})},c.Feed.prototype.__processStreamingDatasetFallback=function(t,n,o,r,s){const i=this;console.log("📊 Starting fallback main-thread processing...");const l=t.length>0&&Array.isArray(t[0]),a=t.length>0&&"object"==typeof t[0]&&null!==t[0]&&!Array.isArray(t[0]),u=new Array(t.length+1);u[0]=n;const p=n.length,d=t.length*p,g=1e6;c.log(`📊 Processing ${t.length.toLocaleString()} rows (${d.toLocaleString()} cells) in batches of ${g.toLocaleString()} rows`),o&&c.log("⚡ Schema-based optimization active for faster processing");const m=async(e,r)=>new Promise(s=>{setTimeout(()=>{for(let s=e;s<r;s++)u[s+1]=i.__processRow(t[s],n,o,l,a);s()},0)});return(async()=>{const e=Date.now();let n=e;for(let o=0;o<t.length;o+=g){const r=Math.min(o+g,t.length);await m(o,r);const s=Date.now(),i=s-n;if(r%5e5==0||r===t.length||i>2e3){const o=((s-e)/1e3).toFixed(1),i=Math.round(r/((s-e)/1e3));let l="";if(performance.memory){l=` | Memory: ${Math.round(performance.memory.usedJSHeapSize/1024/1024)}MB / ${Math.round(performance.memory.totalJSHeapSize/1024/1024)}MB`}c.log(` ${r.toLocaleString()} / ${t.length.toLocaleString()} rows (${Math.round(r/t.length*100)}%) | ${i.toLocaleString()} rows/sec | ${o}s${l}`),n=s}}})().then(function(){console.log("📊 Fallback dataset processing completed"),_LOG("Fallback converted: "+u.length+" total rows (including header)");try{e.duckdb.db.dropFile(r)}catch(e){console.warn("Warning: Could not clean up temporary file:",e)}i.__createDataTableObject(u,"parquet",s)}).catch(function(t){console.error("❌ Error in fallback processing:",t);try{e.duckdb.db.dropFile(r)}catch(e){console.warn("Warning: Could not clean up temporary file:",e)}h(s,"PARSE_ERROR",f(t),{cause:t})})},c.Feed.prototype.__processParquetData=function(t,n){const o=this;console.log("🚀 Starting parquet processing with DuckDB WASM..."),_LOG("Processing parquet data with DuckDB WASM..."),void 0!==e.duckdb&&e.duckdbLoaded?(console.log("📦 Using existing DuckDB WASM module"),o.__processParquetWithDuckDB(t,n)):(console.log("📦 Loading DuckDB WASM module..."),o.__loadDuckDBAndProcess(t,n))},c.Feed.prototype.__processParquetWithDuckDB=function(e,t){const n=this;console.log("🔍 Starting GeoParquet detection with DuckDB WASM..."),_LOG("Detecting if parquet file is GeoParquet..."),n.__checkGeoParquetMetadataWithDuckDB(e,function(o){console.log("🎯 GeoParquet detection result:",o),o?(_LOG("✅ GeoParquet detected! Switching to GeoParquet processing..."),console.log("🎯 Branching to GeoParquet processing"),"function"==typeof n.__processGeoParquetData?n.__processGeoParquetData(e,t):(_LOG("⚠️ GeoParquet processing function not found, falling back to regular parquet processing"),console.log("⚠️ GeoParquet function not found, using regular processing"),n.__processWithDuckDB(e,t))):(_LOG("✅ Regular parquet file detected, proceeding with standard processing..."),console.log("🎯 Branching to regular parquet processing"),n.__processWithDuckDB(e,t))},function(o){_LOG("⚠️ Error detecting GeoParquet, falling back to regular parquet processing: "+o),console.error("❌ Detection error:",o),n.__processWithDuckDB(e,t)})};const D=function(n,o){if(e.duckdbLoaded&&e.duckdb)return void n();_LOG("Loading DuckDB WASM module dynamically...");const r=t.createElement("script");r.type="module",r.textContent='\n            // Try to load DuckDB WASM from CDN\n            let duckdb;\n            try {\n                // Try jsDelivr first (most reliable for DuckDB WASM)\n                duckdb = await import("https://cdn.jsdelivr.net/npm/@duckdb/duckdb-wasm@latest/+esm");\n                console.log("✅ DuckDB loaded from jsDelivr");\n            } catch (e1) {\n                try {\n                    // Fallback to ESM.sh\n                    duckdb = await import("https://esm.sh/@duckdb/duckdb-wasm@1.30.0");\n                    console.log("✅ DuckDB loaded from ESM.sh");\n                } catch (e2) {\n                    try {\n                        // Fallback to unpkg\n                        duckdb = await import("https://unpkg.com/@duckdb/duckdb-wasm@1.30.0");\n                        console.log("✅ DuckDB loaded from unpkg");\n                    } catch (e3) {\n                        throw new Error("Failed to load DuckDB from any CDN: " + e3.message);\n                    }\n                }\n            }\n            \n            console.log("DuckDB WASM module imported:", duckdb);\n            console.log("Available DuckDB methods:", Object.keys(duckdb));\n            \n            // Initialize DuckDB\n            try {\n                console.log(\'🔧 Selecting bundle from jsDelivr CDN...\');\n                const JSDELIVR_BUNDLES = duckdb.getJsDelivrBundles();\n                const bundle = await duckdb.selectBundle(JSDELIVR_BUNDLES);\n                \n                console.log("👷 Creating worker from bundle...");\n                // Create worker using blob URL approach to avoid CORS issues\n                const worker_url = URL.createObjectURL(\n                    new Blob([`importScripts("${bundle.mainWorker}");`], { type: \'text/javascript\' })\n                );\n                const worker = new Worker(worker_url);\n                console.log("✅ Worker created successfully");\n                \n                const logger = new duckdb.ConsoleLogger();\n                const db = new duckdb.AsyncDuckDB(logger, worker);\n                \n                console.log("🚀 Instantiating DuckDB with WASM module...");\n                await db.instantiate(bundle.mainModule, bundle.pthreadWorker);\n                console.log("✅ DuckDB WASM instantiated successfully");\n                \n                // Revoke the blob URL to free memory\n                URL.revokeObjectURL(worker_url);\n                \n                // Create connection\n                const conn = await db.connect();\n                \n                console.log("✅ DuckDB WASM initialized successfully");\n                console.log("📊 DuckDB connection object type:", typeof conn);\n                console.log("📊 DuckDB connection methods:", Object.getOwnPropertyNames(conn));\n                console.log("📊 DuckDB connection constructor:", conn.constructor.name);\n                \n                // Store references globally\n                window.duckdb = {\n                    db: db,\n                    conn: conn,\n                    module: duckdb\n                };\n                window.duckdbLoaded = true;\n            \n            } catch (error) {\n                console.error("❌ Failed to initialize DuckDB WASM:", error);\n                window.duckdbLoadError = error;\n            }\n            ',e.duckdbLoading||(e.duckdbLoading=!0,t.head.appendChild(r));const s=setInterval(function(){e.duckdbLoaded&&e.duckdb?(clearInterval(s),_LOG("DuckDB WASM module loaded successfully"),n()):e.duckdbLoadError&&(clearInterval(s),_LOG("Failed to load DuckDB WASM module: "+e.duckdbLoadError),o("Failed to load DuckDB WASM module: "+e.duckdbLoadError))},100);setTimeout(function(){e.duckdbLoaded||e.duckdbLoadError||(clearInterval(s),_LOG("Timeout loading DuckDB WASM module"),o("Timeout loading DuckDB WASM module"))},15e3)};c.Feed.prototype.__loadDuckDBAndProcess=function(e,t){const n=this;D(function(){n.__processParquetWithDuckDB(e,t)},function(e){h(t,"PARSER_NOT_LOADED",e)})},c.Feed.prototype.__processWithDuckDB=function(t,n){const o=this;try{if(_LOG("Processing parquet data with DuckDB WASM, buffer size: "+t.byteLength+" bytes"),c.log("🦆 Starting DuckDB parquet processing..."),t.byteLength<4)throw new Error("File too small to be a valid parquet file");const r=new Uint8Array(t),s=String.fromCharCode(...r.slice(0,4));if(_LOG("Parquet file magic number: "+s),"PAR1"!==s)throw new Error("File does not appear to be a valid parquet file (missing PAR1 magic number). Magic: "+s);_LOG("Valid parquet file detected, processing with DuckDB WASM...");const i="temp_parquet_"+Date.now()+".parquet",l=new Uint8Array(r);e.duckdb.db.registerFileBuffer(i,l).then(function(){console.log("📊 Parquet file registered in DuckDB virtual filesystem");const t=`SELECT * FROM read_parquet('${i}') LIMIT 10000000`;return e.duckdb.conn.query(t)}).then(async function(e){if(console.log("📊 DuckDB query completed successfully"),_LOG("DuckDB query result type: "+typeof e),console.log("📊 DuckDB result object type:",typeof e),console.log("📊 DuckDB result methods:",Object.getOwnPropertyNames(e)),console.log("📊 DuckDB result constructor:",e.constructor.name),!e)throw new Error("DuckDB query returned null/undefined");let t,r;if("function"==typeof e.toArray)t=e.toArray(),console.log("📊 Using toArray() method, rows count:",t.length);else if("function"==typeof e.fetchAll)t=e.fetchAll(),console.log("📊 Using fetchAll() method, rows count:",t.length);else if(Array.isArray(e))t=e,console.log("📊 Result is already an array, rows count:",t.length);else{if(!e.data||!Array.isArray(e.data))throw new Error("Cannot convert DuckDB result to array. Available methods: "+Object.getOwnPropertyNames(e).join(", "));t=e.data,console.log("📊 Using result.data, rows count:",t.length)}if(0===t.length)throw new Error("No rows found in parquet file");let s=null;if(e.schema&&e.schema.fields)r=e.schema.fields.map(e=>e.name),s=o.__detectColumnTypes(e.schema),o.__columnTypes=s,s&&_LOG("Schema-based optimization enabled - detected column types: "+s.join(", "));else if(e.columns)r=e.columns;else{if(!(t.length>0&&"object"==typeof t[0]))throw new Error("Cannot determine column names from DuckDB result");r=Object.keys(t[0])}if(_LOG("Extracted columns: "+r.join(", ")),0===r.length)throw new Error("No columns found in parquet file");const l=[];if(t.length>1e7)throw new Error(`Dataset too large (${t.length} rows). Maximum supported: 10,000,000 rows. Consider using a smaller LIMIT in your query.`);if(t.length>5e5&&c.log(`⚠️ Processing very large dataset (${t.length} rows). This may take a while and use significant memory.`),t.length>1e5)return c.log("📊 Large dataset detected, using streaming processing..."),o.__processStreamingDataset(t,r,s,i,n);if(t.length>5e4){console.log("📊 Medium-large dataset detected, using optimized batch processing...");const e=t.length>0&&Array.isArray(t[0]),n=t.length>0&&"object"==typeof t[0]&&null!==t[0]&&!Array.isArray(t[0]),i=r.length,a=t.length*i,u=Math.min(2e6,Math.max(1e5,Math.floor(1e7/i)));console.log(`📊 Processing ${t.length.toLocaleString()} rows (${a.toLocaleString()} cells) in batches of ${u.toLocaleString()} rows`),s&&c.log("⚡ Schema-based optimization active for medium dataset");try{const i=async(i,c)=>new Promise(a=>{setTimeout(()=>{for(let a=i;a<c;a++)l.push(o.__processRow(t[a],r,s,e,n));a()},0)}),a=Date.now();let h=a;for(let e=0;e<t.length;e+=u){const n=Math.min(e+u,t.length);await i(e,n);const o=Date.now(),r=o-h;if(n%5e5==0||n===t.length||r>2e3){const e=((o-a)/1e3).toFixed(1),r=Math.round(n/((o-a)/1e3));let s="";if(performance.memory){const e=Math.round(performance.memory.usedJSHeapSize/1024/1024);s=` | Memory: ${e}MB / ${Math.round(performance.memory.totalJSHeapSize/1024/1024)}MB`}c.log(`📊 Processing: ${n.toLocaleString()} / ${t.length.toLocaleString()} rows (${Math.round(n/t.length*100)}%) | ${r.toLocaleString()} rows/sec | ${e}s${s}`),h=o}}}catch(e){console.warn("⚠️ Async processing failed, falling back to optimized synchronous processing:",e);const n=t.length>0&&Array.isArray(t[0]),o=t.length>0&&"object"==typeof t[0]&&null!==t[0]&&!Array.isArray(t[0]),s=1e4,i=Date.now();let a=i;if(n)for(let e=0;e<t.length;e+=s){const n=Math.min(e+s,t.length);for(let o=e;o<n;o++){const e=new Array(r.length);for(let n=0;n<r.length;n++){const r=t[o][n];if(null==r)e[n]="";else if("string"==typeof r)e[n]=r;else if("number"==typeof r||"boolean"==typeof r)e[n]=String(r);else if(r instanceof Date)e[n]=r.toISOString();else try{e[n]=JSON.stringify(r)}catch(t){e[n]=String(r)}}l.push(e)}const o=Date.now(),u=o-a;if(n%5e4==0||n===t.length||u>2e3){const e=((o-i)/1e3).toFixed(1),r=Math.round(n/((o-i)/1e3));let s="";if(performance.memory){s=` | Memory: ${Math.round(performance.memory.usedJSHeapSize/1024/1024)}MB / ${Math.round(performance.memory.totalJSHeapSize/1024/1024)}MB`}c.log(`📊 Fallback: ${n.toLocaleString()} / ${t.length.toLocaleString()} rows (${Math.round(n/t.length*100)}%) | ${r.toLocaleString()} rows/sec | ${e}s${s}`),a=o}}else if(o)for(let e=0;e<t.length;e+=s){const n=Math.min(e+s,t.length);for(let o=e;o<n;o++){const e=new Array(r.length);for(let n=0;n<r.length;n++){const s=t[o][r[n]];if(null==s)e[n]="";else if("string"==typeof s)e[n]=s;else if("number"==typeof s||"boolean"==typeof s)e[n]=String(s);else if(s instanceof Date)e[n]=s.toISOString();else try{e[n]=JSON.stringify(s)}catch(t){e[n]=String(s)}}l.push(e)}const o=Date.now(),u=o-a;if(n%5e4==0||n===t.length||u>2e3){const e=((o-i)/1e3).toFixed(1),r=Math.round(n/((o-i)/1e3));let s="";if(performance.memory){s=` | Memory: ${Math.round(performance.memory.usedJSHeapSize/1024/1024)}MB / ${Math.round(performance.memory.totalJSHeapSize/1024/1024)}MB`}c.log(`📊 Fallback: ${n.toLocaleString()} / ${t.length.toLocaleString()} rows (${Math.round(n/t.length*100)}%) | ${r.toLocaleString()} rows/sec | ${e}s${s}`),a=o}}else for(let e=0;e<t.length;e+=s){const n=Math.min(e+s,t.length);for(let o=e;o<n;o++){const e=new Array(r.length);for(let n=0;n<r.length;n++){const r=t[o];if(null==r)e[n]="";else if("string"==typeof r)e[n]=r;else if("number"==typeof r||"boolean"==typeof r)e[n]=String(r);else if(r instanceof Date)e[n]=r.toISOString();else try{e[n]=JSON.stringify(r)}catch(t){e[n]=String(r)}}l.push(e)}const o=Date.now(),u=o-a;if(n%5e4==0||n===t.length||u>2e3){const e=((o-i)/1e3).toFixed(1),r=Math.round(n/((o-i)/1e3));let s="";if(performance.memory){s=` | Memory: ${Math.round(performance.memory.usedJSHeapSize/1024/1024)}MB / ${Math.round(performance.memory.totalJSHeapSize/1024/1024)}MB`}c.log(`📊 Fallback: ${n.toLocaleString()} / ${t.length.toLocaleString()} rows (${Math.round(n/t.length*100)}%) | ${r.toLocaleString()} rows/sec | ${e}s${s}`),a=o}}}}else{console.log(`📊 Processing small dataset (${t.length.toLocaleString()} rows) synchronously`);const e=t.length>0&&Array.isArray(t[0]),n=t.length>0&&"object"==typeof t[0]&&null!==t[0]&&!Array.isArray(t[0]);for(let o=0;o<t.length;o++){const s=new Array(r.length);for(let i=0;i<r.length;i++){let l;if(l=e?t[o][i]:n?t[o][r[i]]:t[o],null==l)s[i]="";else if("string"==typeof l)s[i]=l;else if("number"==typeof l||"boolean"==typeof l)s[i]=String(l);else if(l instanceof Date)s[i]=l.toISOString();else try{s[i]=JSON.stringify(l)}catch(e){s[i]=String(l)}}l.push(s)}}_LOG("Converted "+l.length+" rows with "+r.length+" columns");const a=[r];a.push(...l),console.log("🎯 Creating data table object..."),o.__createDataTableObject(a,"parquet",n)}).catch(function(e){_LOG("Error in DuckDB parquet processing: "+e),console.error("❌ DuckDB processing error:",e),h(n,"PARSE_ERROR","Error processing parquet file with DuckDB: "+e.message)}).finally(function(){try{e.duckdb.db.dropFile(i),console.log("🧹 Cleaned up temporary file")}catch(e){console.warn("Warning: Could not clean up temporary file:",e)}})}catch(e){_LOG("Error in DuckDB parquet processing setup: "+e),console.error("❌ DuckDB setup error:",e),h(n,"PARSE_ERROR","Error setting up DuckDB parquet processing: "+e.message)}},c.Feed.prototype.__processGeoParquetData=function(n,o){const r=this;if(void 0!==e.geoparquet)_LOG("GeoParquet library already loaded, processing data..."),r.__processWithGeoParquet(n,o,e.geoparquet);else{_LOG("Loading GeoParquet library dynamically...");const s=t.createElement("script");s.type="module",s.textContent='\n                import { asyncBufferFromUrl, toGeoJson } from \'https://cdn.jsdelivr.net/npm/geoparquet@0.5.0/+esm\';\n                \n                console.log("GeoParquet module imported");\n                console.log("Available geoparquet methods:", Object.keys({ asyncBufferFromUrl, toGeoJson }));\n                \n                // Make geoparquet available globally\n                window.geoparquet = { asyncBufferFromUrl, toGeoJson };\n                window.geoparquetLoaded = true;\n            ';const i=setInterval(function(){e.geoparquetLoaded&&e.geoparquet&&(clearInterval(i),_LOG("GeoParquet module loaded successfully"),r.__processWithGeoParquet(n,o,e.geoparquet))},100);setTimeout(function(){e.geoparquetLoaded||(clearInterval(i),_LOG("Failed to load GeoParquet module"),h(o,"PARSER_NOT_LOADED","Failed to load GeoParquet module"))},1e4),t.head.appendChild(s)}},c.Feed.prototype.__processWithGeoParquet=function(t,n,o){const r=this;try{if(_LOG("Processing GeoParquet data, buffer size: "+t.byteLength+" bytes"),_LOG("GeoParquet object: "+JSON.stringify(o)),_LOG("Available geoparquet methods: "+Object.keys(o).join(", ")),t.byteLength<4)throw new Error("File too small to be a valid parquet file");const s=new Uint8Array(t),i=String.fromCharCode(...s.slice(0,4));if(_LOG("Parquet file magic number: "+i),"PAR1"!==i)throw new Error("File does not appear to be a valid parquet file (missing PAR1 magic number). Magic: "+i);if(_LOG("Valid parquet file detected, processing with geoparquet..."),"function"!=typeof o.toGeoJson)throw new Error("toGeoJson method not found in geoparquet. Available methods: "+Object.keys(o).join(", "));let l;_LOG("Calling geoparquet.toGeoJson...");try{l=o.toGeoJson({file:t})}catch(o){if(o.message&&o.message.includes("non-delta field"))return console.warn("⚠️ GeoParquet library doesn't support this file's encoding"),console.log("🔄 Falling back to DuckDB WASM for GeoParquet processing..."),_LOG("GeoParquet library failed with encoding issue, using DuckDB fallback"),e.duckdb&&e.duckdb.db?r.__processWithDuckDB(t,n):(console.log("📦 DuckDB not loaded yet, loading now..."),r.__loadDuckDBAndProcess(t,n));throw o}if(_LOG("GeoJSON conversion result type: "+typeof l),_LOG("GeoJSON conversion result: "+JSON.stringify(l)),l&&"function"==typeof l.then)_LOG("GeoJSON conversion is a Promise, waiting for resolution..."),l.then(function(e){try{_LOG("GeoJSON conversion completed successfully"),_LOG("GeoJSON type: "+e.type),_LOG("Number of features: "+(e.features?e.features.length:"unknown")),r.__processGeoJsonData(e,n)}catch(e){throw _LOG("Error processing GeoJSON data: "+e),new Error("Error processing GeoJSON data: "+e)}}).catch(function(o){_LOG("Error in GeoJSON conversion: "+o),_LOG("Error stack: "+o.stack),_LOG("Error message: "+o.message),o.message&&o.message.includes("non-delta field")?(console.warn("⚠️ GeoParquet library doesn't support this file's encoding"),console.log("🔄 Falling back to DuckDB WASM for GeoParquet processing..."),_LOG("GeoParquet library failed with encoding issue, using DuckDB fallback"),e.duckdb&&e.duckdb.db?r.__processWithDuckDB(t,n):(console.log("📦 DuckDB not loaded yet, loading now..."),r.__loadDuckDBAndProcess(t,n))):h(n,"PARSE_ERROR","Error converting GeoParquet to GeoJSON: "+o)});else{if(_LOG("GeoJSON conversion returned directly"),!l)throw new Error("GeoJSON conversion returned null or undefined");_LOG("GeoJSON type: "+l.type),_LOG("Number of features: "+(l.features?l.features.length:"unknown")),this.__processGeoJsonData(l,n)}}catch(e){_LOG("Error processing GeoParquet data: "+e),h(n,"PARSE_ERROR","Error processing GeoParquet data: "+e)}};const w=function(e){return'"'+String(e).replace(/"/g,'""')+'"'},k=function(e){return"'"+String(e).replace(/'/g,"''")+"'"};let N=0;const A=function(e){return e+Date.now()+"_"+N++};let L=Promise.resolve();const E=function(t){return e.duckdb.conn.query("DROP TABLE IF EXISTS "+w(t)).catch(function(e){_LOG("DuckDB: drop table "+t+": "+e)})},v=function(t){return Promise.resolve().then(function(){return e.duckdb.db.dropFile(t)}).catch(function(e){_LOG("DuckDB: drop file "+t+": "+e)})},R=function(t,n){const o=e.duckdb.db,r=A("__table_")+".csv",s=new c.Table;s.fields=t.fields.map(function(e,t){return{id:"c"+t}}),s.records=t.records.map(function(e){return e.map(function(e,n){const o=F(e,t.fields[n]);return o instanceof Date?o.toISOString():o})});const i={number:"DOUBLE",integer:"BIGINT",boolean:"BOOLEAN",date:"TIMESTAMP"},l=t.fields.map(function(e,t){const n=i[e.type];return(n?'TRY_CAST("c'+t+'" AS '+n+")":'"c'+t+'"')+" AS "+w(e.id)});return o.registerFileText(r,s.toCSV()).then(function(){return e.duckdb.conn.query("CREATE OR REPLACE TEMP TABLE "+w(n)+" AS SELECT "+l.join(", ")+" FROM read_csv("+k(r)+", header = true, all_varchar = true)")}).finally(function(){return v(r)})};c.Feed.prototype.__processDuckDBResult=function(e,t){const n=e.schema.fields.map(e=>e.name),o=this.__detectColumnTypes(e.schema)||n.map(()=>"other"),r=[n];e.toArray().forEach(function(e){o.forEach(function(t,o){"date"==t&&"number"==typeof e[n[o]]&&(e[n[o]]=new Date(e[n[o]]))}),r.push(this.__processRow(e,n,o,!1,!0))},this),this.__columnTypes=o,this.__createDataTableObject(r,"sql",t)},c.Feed.prototype.__doParquetQueryImport=function(n,o){_LOG("__doParquetQueryImport: "+n);const r=this,i=A("__query_")+".parquet",l=function(e){_LOG("__doParquetQueryImport: "+e),h(o,"QUERY_ERROR",'"'+n+'" '+f(e),{cause:e})};let c=o.sql;if(!c){const e=o.columns?s(o.columns).map(function(e){return w(String(e).trim())}):["*"];c="SELECT "+e.join(", ")+" FROM data"+(o.where?" WHERE "+o.where:"")}D(function(){const s=e.duckdb.db,a=new URL(n,t.baseURI).href;s.registerFileURL(i,a,e.duckdb.module.DuckDBDataProtocol.HTTP,!1).then(function(){return e.duckdb.conn.query("WITH data AS (SELECT * FROM read_parquet("+k(i)+")) "+c)}).then(function(e){v(i),r.__processDuckDBResult(e,o)}).catch(function(e){v(i),l(e)})},l)},c.sql=function(t,n,o){return new Promise(function(r,s){D(function(){const i=Object.keys(n||{}),l=new c.Feed({success:function(e){o&&o(e),r(e)}}),a=function(){return Promise.all(i.map(E))},h=L.then(function(){return Promise.all(i.map(function(e){return R(n[e],e)}))}).then(function(){return e.duckdb.conn.query(t)}).then(function(e){return a().then(function(){return e})},function(e){return a().then(function(){throw e})});L=h.catch(function(){}),h.then(function(e){l.__processDuckDBResult(e,l.options)}).catch(function(e){_LOG("Data.sql: "+e),s(u("QUERY_ERROR",f(e),{source:"Data.sql",cause:e}))})},function(e){s(u("PARSER_NOT_LOADED",e,{source:"Data.sql"}))})})},c.Feed.prototype.__createDataTableObject=function(e,t,n){e&&(this.dbtable=(new c.Table).setArray(e),e=null,this.__completeDataTableObject(n))},c.Feed.prototype.__completeDataTableObject=function(e){if(!1!==(e=e||{}).types&&this.dbtable.inferTypes({decimal:e.decimal}),this.__columnTypes&&this.__columnTypes.length==this.dbtable.fields.length&&this.__columnTypes.forEach(function(e,t){String(e).match(/^(number|integer|date|boolean|string|geometry)$/)&&(this.dbtable.fields[t].type=e)},this),e.schema&&this.dbtable.setTypes(e.schema),e.convert&&this.dbtable.convertTypes(),this.__sdmx&&(this.dbtable.sdmx=this.__sdmx),e.pipeline){const t=U(this.dbtable,e.pipeline);if(!t.table)return void h(e,t.error);this.dbtable=t.table}void 0!==e&&e.success?e.success(this.dbtable):_LOG("callback to call on succes is 'undefined'!")},c.Table=function(e){e?(this.table=e.table,this.fields=e.fields,this.records=e.records):(this.table={records:0,fields:0},this.fields=[],this.records=[])},c.Table.prototype={getArray:function(){let e=[[]];for(let t=0,n=this.fields.length;t<n;t++)e[0].push(this.fields[t].id);for(let t=0,n=this.records.length;t<n;t++)e.push(this.records[t]);return e},setArray:function(e){if(e.length<2)return this;this.fields=[];for(let t=0,n=e[0].length;t<n;t++)this.fields.push({id:(e[0][t]||" ").trim(),typ:0,width:60,decimals:0});e.shift(),this.records=[];for(let t=0,n=e.length;t<n;t++)e[t].length==this.fields.length&&this.records.push(e[t]);return this.table={records:this.records.length,fields:this.fields.length},this},revert:function(){let e=[];for(let t=this.records.length-1;t>=0;t--)e.push(this.records[t]);return this.records=e,this},reverse:function(){let e=[];for(let t=this.records.length-1;t>=0;t--)e.push(this.records[t]);return this.records=e,this},columnNames:function(){const e=[];for(let t=0,n=this.fields.length;t<n;t++)e.push(this.fields[t].id);return e},columnIndex:function(e){for(var t in this.fields)if(this.fields[t].id==e)return t;return null},column:function(e){for(let t in this.fields)if(this.fields[t].id==e){const e=new c.Column;return e.index=t,e.table=this,e}return null},lookupArray:function(e,t){let n="overwrite";e&&e.key&&(n=e.calc||n,t=e.key,e=e.value);let o=[];this.column(t)||u("COLUMN_NOT_FOUND","'"+t+"' column not found!",{source:"lookup",column:t}),this.column(e)||u("COLUMN_NOT_FOUND","'"+e+"' column not found!",{source:"lookup",column:e});const r=this.column(t).values(),s=this.column(e).values();if("sum"==n)for(let e=0,t=r.length;e<t;e++)o[String(r[e])]=(o[String(r[e])]||0)+s[e];else if("max"==n)for(let e=0,t=r.length;e<t;e++)o[String(r[e])]=Math.max(o[String(r[e])]||0,s[e]);else for(let e=0,t=r.length;e<t;e++)o[String(r[e])]=s[e];return o},lookupStringArray:function(e,t){e&&e.key&&(t=e.key,e=e.value);let n=[];this.column(t)||u("COLUMN_NOT_FOUND","'"+t+"' column not found!",{source:"lookup",column:t}),this.column(e)||u("COLUMN_NOT_FOUND","'"+e+"' column not found!",{source:"lookup",column:e});const o=this.column(t).values(),r=this.column(e).values();for(let e=0,t=o.length;e<t;e++)n[String(o[e])]=n[String(o[e])]?n[String(o[e])]+", "+r[e]:r[e];return n},lookup:function(e,t){const n=t.value,o=t.lookup,r=n+"_"+o;return this.lookupsA&&this.lookupsA[r]||(this.lookupsA=this.lookupsA||[],this.lookupsA[r]=this.lookupArray(n,o)),this.lookupsA[r][e]||"-"},toKeyValue:function(e){return this.lookupArray(e.value,e.key)},addColumn:function(e,t){if(!e.destination)return u("INVALID_OPTION","'data.addColumn' no destination defined!",{source:"addColumn"}),null;var n=null;if(e.source){for(let t=0,o=this.fields.length;t<o;t++)this.fields[t].id==e.source&&(n=t);if(null==n)return u("COLUMN_NOT_FOUND","'data.addColumn' source column '"+e.source+"' not found!",{source:"addColumn",column:e.source}),null}if(e.expr){const o=c.formula(e.expr);if(!(t=o.compile(this.fields)))return u("INVALID_OPTION","'data.addColumn' "+o.error,{source:"addColumn"}),null;n=null}if(this.fields.push({id:String(e.destination),created:!0}),this.table.fields++,t&&"function"==typeof t)for(let e=0,o=this.records.length;e<o;e++)this.records[e].push(null!=n?t(this.records[e][n],this.records[e]):t(this.records[e]));else if(t&&"object"==typeof t)for(let e=0,n=this.records.length;e<n;e++)this.records[e].push(t[e]||0);else if(e.values&&"object"==typeof e.values)for(let t=0,n=this.records.length;t<n;t++)this.records[t].push(e.values[t]||0);else for(let e=0,t=this.records.length;e<t;e++)this.records[e].push(0);return this},addRow:function(e){if(!e||"object"!=typeof e)return u("INVALID_OPTION","'data.addRow' no options defined!",{source:"addRow"}),null;var t=[];for(let e=0,n=this.fields.length;e<n;e++)t.push("");for(var n in e)this.column(n)?t[this.column(n).index]=e[n]:u("COLUMN_NOT_FOUND","'data.addRow' column '"+n+"' not found!",{source:"addRow",column:n});return this.records.push(t),this.table.records++,this},filter:function(e){this.selection=new c.Table;for(const t in this.records)e&&e(this.records[t])&&(this.selection.records.push(this.records[t]),this.selection.table.records++);return this.selection.fields=this.fields.slice(),this.selection.table.fields=this.table.fields,this.sdmx&&(this.selection.sdmx=this.sdmx),this.selection},select:function(e){this.selection=new c.Table,this.selection.fields=this.fields.slice(),this.selection.table.fields=this.table.fields,this.sdmx&&(this.selection.sdmx=this.sdmx);const t=c.expression(e),n=t.compile(this.fields);if(!n)return u("QUERY_ERROR","data.js - "+t.error,{source:"select"}),this.selection;for(let e=0,t=this.records.length;e<t;e++)n(this.records[e])&&(this.selection.records.push(this.records[e].slice()),this.selection.table.records++);return this.selection},aggregate:function(e,t){let n=!1;e.lead&&(n=e.calc&&"mean"==e.calc,t=e.lead,e=e.column||e.value);const o=t.split("|"),r=[];let s=null;for(let t=0;t<o.length;t++)for(let n=0;n<this.fields.length;n++)this.fields[n].id==o[t]&&(r[t]=n),this.fields[n].id==e&&(s=n);this.aggregation=new c.Table;const i=this.fields[s],l=i&&String(i.type).match(/^(number|integer)$/)?function(e){return F(e,i)||0}:__scanValue,a={},u={};for(let e=0,t=this.records.length;e<t;e++){const t=[];for(let n=0,o=r.length;n<o;n++)t.push(this.records[e][r[n]]);const n=t.join("");if(a[n])a[n][r.length]+=l(this.records[e][s]),u[n][r.length]++;else{a[n]=[],a[n][r.length]=l(this.records[e][s]);for(let t=0;t<r.length;t++)a[n][t]=this.records[e][r[t]];u[n]=[],u[n][r.length]=1}}for(const e in a)n&&(a[e][r.length]/=u[e][r.length]),this.aggregation.records.push(a[e]),this.aggregation.table.records++;const h=[];for(let e=0;e<o.length;e++)h[e]={id:o[e]};return h[o.length]={id:e},this.aggregation.fields=h,this.aggregation.table.fields=h,this.aggregation},condense:function(e,t){const n={},o=[];e&&e.lead&&(e=(t=e).lead);const r=this.columnIndex(e);if(t&&t.keep)if("string"==typeof t.keep)o[this.columnIndex(t.keep)]=!0;else for(i=0;i<t.keep.length;i++)o[this.columnIndex(t.keep[i])]=!0;const s=[];for(let e=0;e<this.records.length;e++){const i=String(this.records[e][r]);if(null!=n[i]){const r=n[i];for(let n=0,i=this.records[e].length;n<i;n++)if(!o[n])if(isNaN(this.records[e][n])){if(isNaN(this.records[e][n])&&s[r][n]!=this.records[e][n]){let e=parseFloat(String(s[r][n]).split(" (+")[1])||0;s[r][n]=String(s[r][n]).split(" (+")[0]+" (+"+ ++e+") "}}else t&&"max"==t.calc?s[r][n]=Math.max(Number(s[r][n]),Number(this.records[e][n])):s[r][n]=Number(s[r][n])+Number(this.records[e][n])}else s.push(this.records[e].slice()),n[i]=s.length-1}return this.__condense=new c.Table,this.__condense.fields=this.fields,this.__condense.table.fields=this.fields,this.__condense.records=s.slice(),this.__condense.table.records=this.__condense.records.length,this.__condense},groupColumns:function(e){let t=e.source,n=[];for(let e=0,o=t.length;e<o;e++)n[e]=this.column(t[e]).index;return this.addColumn({destination:e.destination},function(e){let t=0;for(let o=0,r=n.length;o<r;o++)t+=Number(e[n[o]]);return t}),this},pivot:function(e){if(e=e||{},this.sdmx){const t=this.sdmx;e.cols=e.cols||e.columns||t.timeDimension,e.value=e.value||t.measure,e.lead||e.rows||(e.lead=t.dimensions.filter(function(t){return t!=e.cols&&this.column(t).uniqueValues().length>1},this),e.keep=e.keep||e.lead.map(function(e){return e+"_label"}).filter(function(e){return null!=this.columnIndex(e)},this))}e.lead=e.lead||e.rows,e.cols=e.cols||e.columns,e.keep=e.keep||[],e.sum=e.sum||[],e.lead=s(e.lead),e.cols=s(e.cols),e.keep=s(e.keep),e.sum=s(e.sum),e.value=s(e.value),e.forced=s(e.forced);let t=[];for(let e=0;e<this.fields.length;e++)t[String(this.fields[e].id)]=e;for(let n=0,o=e.lead.length;n<o;n++)void 0===t[e.lead[n]]&&u("COLUMN_NOT_FOUND","data.pivot - pivot keep column '"+e.lead[n]+"' not found",{source:"pivot",column:e.lead[n]});for(let n=0,o=e.cols.length;n<o;n++)e.cols&&void 0===t[e.cols[n]]&&u("COLUMN_NOT_FOUND","data.pivot - pivot columns source column '"+e.cols[n]+"' not found",{source:"pivot",column:e.cols[n]});for(let n=0,o=e.keep.length;n<o;n++)void 0===t[e.keep[n]]&&u("COLUMN_NOT_FOUND","data.pivot - pivot keep column '"+e.keep[n]+"' not found",{source:"pivot",column:e.keep[n]});for(let n=0,o=e.sum.length;n<o;n++)void 0===t[e.sum[n]]&&u("COLUMN_NOT_FOUND","data.pivot - pivot sum column '"+e.sum[n]+"' not found",{source:"pivot",column:e.sum[n]});for(let n=0,o=e.value.length;n<o;n++)void 0===t[e.value[n]]&&u("COLUMN_NOT_FOUND","data.pivot - pivot value column '"+e.value[n]+"' not found",{source:"pivot",column:e.value[n]});let n=[],o=[],r=this.records;if(e.forced)for(let t=0;t<e.forced.length;t++)o[String(e.forced[t])]=0;for(let s=0,i=r.length;s<i;s++){const i=[r[s][t[e.lead[0]]]];for(let n=1;n<e.lead.length;n++)i.push(r[s][t[e.lead[n]]]);const l=i.join("|");let c=String(r[s][t[e.cols[0]]]),a=null;if("string"==e.calc)a=r[s][t[e.value[0]]];else if(a=1,e.value&&e.value.length){a=0;for(let n=0;n<e.value.length;n++)a+=e.value[n]?__scanValue(r[s][t[e.value[n]]]):1}if((!c||c.length<1)&&(c="undefined"),void 0===o[c]&&(o[c]=0),n[l]){for(let o=0;o<e.keep.length;o++)r[s][t[e.keep[o]]]&&r[s][t[e.keep[o]]].length&&n[l][e.keep[o]]!=r[s][t[e.keep[o]]]&&(n[l][e.keep[o]]=r[s][t[e.keep[o]]]);for(let o=0;o<e.sum.length;o++)n[l][e.sum[o]]+=Number(r[s][t[e.sum[o]]])}else{n[l]={Total:0};for(let o=0;o<e.keep.length;o++)n[l][e.keep[o]]=r[s][t[e.keep[o]]];for(let o=0;o<e.sum.length;o++)n[l][e.sum[o]]=Number(r[s][t[e.sum[o]]])}n[l].Total+=a,n[l][c]?(e.calc,"max"==e.calc?n[l][c]=Math.max(a,n[l][c]):(n[l][c]+=a,n[l][c+"count"]++)):(n[l][c]=a,n[l][c+"count"]=1)}this.__pivot=new c.Table;for(let t=0;t<e.lead.length;t++)this.__pivot.fields.push({id:e.lead[t]});for(let t=0;t<e.keep.length;t++)this.__pivot.fields.push({id:e.keep[t]});for(let t=0;t<e.sum.length;t++)this.__pivot.fields.push({id:e.sum[t]});if(e.cols&&e.cols.length)for(let e in o)Object.prototype.hasOwnProperty.call(o,e)&&this.__pivot.fields.push({id:e});this.__pivot.fields.push({id:"Total"});for(let t in n)if(Object.prototype.hasOwnProperty.call(n,t)){const r=[],s=t.split("|");if(e.lead&&e.lead.length)for(let e=0;e<s.length;e++)r.push(s[e]);for(let o=0;o<e.keep.length;o++)r.push(n[t][e.keep[o]]);for(let o=0;o<e.sum.length;o++)r.push(n[t][e.sum[o]]);if(e.cols&&e.cols.length)for(let s in o)Object.prototype.hasOwnProperty.call(o,s)&&("mean"==e.calc?r.push((n[t][s]||0)/(n[t][s+"count"]||1)):r.push(n[t][s]||0));r.push(n[t].Total),this.__pivot.records.push(r),this.__pivot.table.records++}return this.__pivot},unpivot:function(e){const t=(e=e||{}).names_to||"name",n=e.values_to||"value";let o=e.keep?s(e.keep):null,r=e.columns?s(e.columns):null;if(!o&&!r)return u("INVALID_OPTION","unpivot: define 'keep' or 'columns'",{source:"unpivot"}),null;o=o||this.fields.map(e=>e.id).filter(e=>r.indexOf(e)<0),r=r||this.fields.map(e=>e.id).filter(e=>o.indexOf(e)<0);const i=o.map(e=>this.columnIndex(e)),l=r.map(e=>this.columnIndex(e)),a=o.concat(r).filter((e,t)=>null==i.concat(l)[t]);if(a.length)return u("COLUMN_NOT_FOUND","unpivot: column(s) '"+a.join(",")+"' not found",{source:"unpivot",column:a.join(",")}),null;const h=[t,n].filter((e,n)=>o.includes(e)||1==n&&e==t);if(h.length)return u("INVALID_OPTION","unpivot: column '"+h[0]+"' exists already, define another 'names_to' or 'values_to'",{source:"unpivot",column:h[0]}),null;this.__unpivot=new c.Table,i.forEach(function(e){this.__unpivot.fields.push(Object.assign({},this.fields[e]))},this);const f={id:t};Object.assign(f,G(r.map(e=>String(e)))),this.__unpivot.fields.push(f);const p={id:n},d=l.map(e=>this.fields[e]);d[0].type&&d.every(e=>e.type==d[0].type&&e.decimalMark==d[0].decimalMark)&&(p.type=d[0].type,d[0].decimalMark&&(p.decimalMark=d[0].decimalMark)),this.__unpivot.fields.push(p);for(let e=0;e<this.records.length;e++){const t=i.map(t=>this.records[e][t]);for(let n=0;n<l.length;n++)this.__unpivot.records.push(t.concat([r[n],this.records[e][l[n]]]))}return this.__unpivot.table={records:this.__unpivot.records.length,fields:this.__unpivot.fields.length},this.__unpivot},transpose:function(e){const t=void 0!==(e=e||{}).lead?this.columnIndex(e.lead):0,n=Number(t);if(null==t||isNaN(n)||!this.fields[n])return u("COLUMN_NOT_FOUND","transpose: lead column '"+e.lead+"' not found",{source:"transpose",column:e.lead}),null;const o=this.fields.filter((e,t)=>t!=n),r=this.transposedFields||[];this.__transpose=new c.Table,this.__transpose.fields.push(Object.assign({},r[0]||{id:this.fields[n].id,type:"string"}));for(let e=0;e<this.records.length;e++){const t=String(this.records[e][n]),o=r.filter(e=>e.id==t)[0];this.__transpose.fields.push(o?Object.assign({},o):{id:t})}return o.forEach(function(e){const t=this.fields.indexOf(e);this.__transpose.records.push([e.id].concat(this.records.map(e=>e[t])))},this),this.__transpose.fields.forEach(function(e,t){t&&!e.type&&Object.assign(e,G(this.__transpose.records.map(e=>e[t])))},this),this.__transpose.transposedFields=[this.fields[n]].concat(o).map(e=>Object.assign({},e)),this.__transpose.table={records:this.__transpose.records.length,fields:this.__transpose.fields.length},this.__transpose},subtable:function(e){if(this.__subt=new c.Table,e.fields){e.columns=[];for(let t=0;t<e.fields.length;t++)for(let n=0;n<this.fields.length;n++)this.fields[n].id==e.fields[t]&&e.columns.push(n)}for(let t=0;t<e.columns.length;t++)this.__subt.fields.push({id:String(this.fields[e.columns[t]].id)}),this.__subt.table.fields++;for(const t in this.records){let n=[];for(let o=0;o<e.columns.length;o++)n.push(this.records[t][e.columns[o]]);this.__subt.records.push(n),this.__subt.table.records++}return this.__subt},sort:function(e,t){let n=this.column(e).values();const o=this.fields[this.columnIndex(e)];if(o&&String(o.type).match(/^(number|integer|date|boolean)$/)){const e=n.map(function(e,t){const n=F(e,o);return{index:t,value:null==n?null:Number(n)}}),r=t&&"DOWN"==t?-1:1;return e.sort(function(e,t){return e.value===t.value?e.index-t.index:null===e.value?1:null===t.value?-1:(e.value-t.value)*r}),this.records=e.map(function(e){return this.records[e.index]},this),this}let r=0;for(let e=0;e<Math.min(n.length,10);e++)isNaN(parseFloat(String(n[e]).replace(",",".")))||r++;let s=[];if(r)for(let e=0;e<n.length;e++)s.push({index:e,value:Number(String(n[e]).replace(",","."))});else for(let e=0;e<n.length;e++)s.push({index:e,value:n[e]});t&&"DOWN"==t?s.sort(function(e,t){return e.value>t.value?-1:1}):s.sort(function(e,t){return e.value<t.value?-1:1});let i=[];for(let e=0;e<s.length;e++)i.push(this.records[s[e].index]);return this.records=i,this},append:function(e){if(this.table.fields.length!=e.table.fields.length)return null;for(let t=0;t<this.table.fields.length;t++)if(this.table.fields[t].id!=e.table.fields[t].id)return null;let t=e.records;for(let e=0;e<t.length;e++)this.records.push(t[e]);return this.table.records=this.records.length,this},inferTypes:function(e){for(let t=0,n=this.fields.length;t<n;t++){const n=[];for(let o=0,r=this.records.length;o<r&&n.length<2*(e&&e.sample||1e3);o++)n.push(this.records[o][t]);const o=G(n,e);this.fields[t].type=o.type,o.decimalMark?this.fields[t].decimalMark=o.decimalMark:delete this.fields[t].decimalMark}return this},setTypes:function(e){for(const t in e){const n=this.columnIndex(t);if(null==n){u("COLUMN_NOT_FOUND","setTypes: '"+t+"' column not found!",{source:"setTypes",column:t});continue}const o="object"==typeof e[t]?e[t]:{type:e[t]};String(o.type).match(/^(number|integer|date|boolean|string|geometry)$/)?(this.fields[n].type=o.type,o.decimalMark&&(this.fields[n].decimalMark=o.decimalMark)):u("INVALID_OPTION","setTypes: '"+o.type+"' unknown type!",{source:"setTypes",column:t})}return this},schema:function(){return this.fields.map(function(e){const t={id:e.id,type:e.type||"string"};return e.decimalMark&&(t.decimalMark=e.decimalMark),t})},convertTypes:function(){for(let e=0,t=this.fields.length;e<t;e++){const t=this.fields[e];if(String(t.type).match(/^(number|integer|boolean)$/)){for(let n=0,o=this.records.length;n<o;n++)this.records[n][e]=F(this.records[n][e],t);delete t.decimalMark}}return this},join:function(e,t){t=t||{};const n=String(t.how||"left").toLowerCase(),o=t.suffixes||["","_2"];if(!t.on)return u("INVALID_OPTION","join: no key column ('on') defined!",{source:"join"}),null;if(!n.match(/^(left|inner|outer|anti)$/))return u("INVALID_OPTION","join: '"+n+"' unknown join type!",{source:"join"}),null;const r=s(t.on.left||t.on),i=s(t.on.right||t.on);if(r.length!=i.length)return u("INVALID_OPTION","join: key column count differs!",{source:"join"}),null;const l=function(e,t){for(let n=0;n<e.fields.length;n++)if(e.fields[n].id==t)return n;return u("COLUMN_NOT_FOUND","join: '"+t+"' column not found!",{source:"join",column:t}),-1},a=r.map(function(e){return l(this,e)},this),h=i.map(function(t){return l(e,t)});if(a.includes(-1)||h.includes(-1))return null;const f=t.normalize||{},p="function"==typeof f?f:function(e){let t=null==e?"":String(e);return f.trim&&(t=t.trim()),f.digits&&(t=("000000000000000"+t).slice(-f.digits)),f.tonumber&&(t=String(Number(t))),f.toupper&&(t=t.toUpperCase()),t},d=function(e,t){return t.map(function(t){return String(p(e[t]))}).join("|")},g={};for(let t=0;t<e.records.length;t++){const n=d(e.records[t],h);(g[n]=g[n]||[]).push(t)}const m=new c.Table,_=[];for(let t=0;t<e.fields.length;t++)h.includes(t)||_.push(t);const y=this.fields.map(function(e){return String(e.id)}),b=_.map(function(t){return String(e.fields[t].id)});for(let e=0;e<y.length;e++){const t=b.includes(y[e])&&!r.includes(y[e]);m.fields.push({id:y[e]+(t?o[0]:"")})}if("anti"!=n)for(let e=0;e<b.length;e++){const t=y.includes(b[e]);m.fields.push({id:b[e]+(t?o[1]:"")})}m.table.fields=m.fields.length;const O={matched:0,unmatchedLeft:[],unmatchedRight:[]},S={},D=_.map(function(){return""});for(let t=0;t<this.records.length;t++){const o=d(this.records[t],a),r=g[o];if(r){if(O.matched++,S[o]=!0,"anti"==n)continue;for(const n of r){const o=this.records[t].slice();for(const t of _)o.push(e.records[n][t]);m.records.push(o)}}else{if(O.unmatchedLeft.push(o),"inner"==n)continue;m.records.push("anti"==n?this.records[t].slice():this.records[t].concat(D))}}for(const t in g)if(!S[t]&&(O.unmatchedRight.push(t),"outer"==n))for(const n of g[t]){const t=this.fields.map(function(){return""});for(let o=0;o<a.length;o++)t[a[o]]=e.records[n][h[o]];for(const o of _)t.push(e.records[n][o]);m.records.push(t)}return m.table.records=m.records.length,m.report=O,(O.unmatchedLeft.length||O.unmatchedRight.length)&&_LOG("join: "+O.unmatchedLeft.length+" keys without match in this table, "+O.unmatchedRight.length+" in the other table"),this.__join=m,m},json:function(){this.__json=[];for(const e in this.records){let t={};for(const n in this.fields)t[String(this.fields[n].id)]=this.records[e][n];this.__json.push(t)}return this.__json},toCSV:function(e){const t=(e=e||{}).delimiter||",",n=e.newline||"\r\n",o=this.fields,r=function(n,o){if(null==n)return"";if(e.decimal&&o&&String(o.type).match(/^(number|integer)$/)){const t=F(n,o);n=null==t?"":String(t).replace(".",e.decimal)}else"object"==typeof n&&(n=n instanceof Date?n.toISOString():JSON.stringify(n));const r=String(n);return r.indexOf(t)>=0||r.match(/["\r\n]/)?'"'+r.replace(/"/g,'""')+'"':r},s=[];!1!==e.header&&s.push(o.map(function(e){return r(e.id)}).join(t));for(let e=0,n=this.records.length;e<n;e++)s.push(this.records[e].map(function(e,t){return r(e,o[t])}).join(t));return s.join(n)+n},toGeoJSON:function(e){const t=this.fields,n=J(this,e);if(!n)return u("INVALID_OPTION","toGeoJSON: no geometry or lat/lon columns found!",{source:"toGeoJSON"}),null;const o=n.geometryIndex,r=n.latIndex,s=n.lonIndex,i=[];for(let e=0,l=this.records.length;e<l;e++){const l=this.records[e],c={};for(let e=0;e<t.length;e++)if(e!=o&&e!=r&&e!=s){const n=t[e].type?F(l[e],t[e]):l[e];c[String(t[e].id)]=n instanceof Date?l[e]:n}i.push({type:"Feature",geometry:n.read(l),properties:c})}return{type:"FeatureCollection",features:i}},toJSONstat:function(e){e=e||{};const t=this.columnIndex(e.value);if(null==t)return u("COLUMN_NOT_FOUND","toJSONstat: value column '"+e.value+"' not found!",{source:"toJSONstat",column:e.value}),null;const n=e.dimensions?s(e.dimensions):this.fields.filter(function(e,n){return n!=t}).map(function(e){return String(e.id)}),o=[];for(const e of n){const t=this.columnIndex(e);if(null==t)return u("COLUMN_NOT_FOUND","toJSONstat: dimension column '"+e+"' not found!",{source:"toJSONstat",column:e}),null;o.push(t)}const r=o.map(function(){return{}}),i=o.map(function(){return 0});for(let e=0,t=this.records.length;e<t;e++)o.forEach(function(t,n){const o=String(this.records[e][t]);void 0===r[n][o]&&(r[n][o]=i[n]++)},this);const l=i.reduce(function(e,t){return e*t},1),c=new Array(l).fill(null),a=this.fields[t];for(let e=0,n=this.records.length;e<n;e++){let n=0;o.forEach(function(t,o){n=n*i[o]+r[o][String(this.records[e][t])]},this);const s=a.type?F(this.records[e][t],a):M(this.records[e][t]);c[n]=null==s||"number"==typeof s&&isNaN(s)?null:s}const h={};return n.forEach(function(e,t){const n={};for(const e in r[t])n[e]=e;h[e]={label:e,category:{index:r[t],label:n}}}),{version:"2.0",class:"dataset",label:e.label||String(e.value),id:n,size:i,dimension:h,value:c}},toParquet:function(t){const n=this;return new Promise(function(o,r){D(function(){const s=A("__table_"),i=s+".parquet",l=e.duckdb.db;R(n,s).then(function(){return e.duckdb.conn.query("COPY "+w(s)+" TO "+k(i)+" (FORMAT PARQUET)")}).then(function(){return l.copyFileToBuffer(i)}).then(function(e){E(s),v(i),t&&t(e),o(e)}).catch(function(e){_LOG("toParquet: "+e),E(s),v(i),r(u("QUERY_ERROR",f(e),{source:"toParquet",cause:e}))})},function(e){r(u("PARSER_NOT_LOADED",e,{source:"toParquet"}))})})}},__myNumber=function(e){let t=parseFloat(e.replace(/\./g,"").replace(/\,/g,"."));return isNaN(t)?0:t},__scanValue=function(e){let t=null;return String(e).match(/,/)?(t=parseFloat(String(e).replace(/\./gi,"").replace(/,/gi,".")),isNaN(t)?0:t):(t=parseFloat(String(e).replace(/ /gi,"")),isNaN(t)?0:t)};const M=function(e,t){if(null==e)return NaN;let n=String(e).trim();return n=n.match(/,/)?n.replace(/\./g,"").replace(/,/g,"."):n.replace(/ /g,""),n.length?t?Number(n):parseFloat(n):NaN},T=function(e){return String(e).replace(/[.*+?^${}()|[\]\\]/g,"\\$&")},x={".":/^[-+]?(\d+|\d{1,3}(,\d{3})+)(\.\d+)?([eE][-+]?\d+)?$/,",":/^[-+]?(\d+|\d{1,3}(\.\d{3})+)(,\d+)?$/},P=function(e){return null==e||""===String(e).trim()||"null"===e},I=function(e,t){if("number"==typeof e)return e;if(P(e))return NaN;const n=String(e).trim().replace(/ /g,"");return","==t?Number(n.replace(/\./g,"").replace(",",".")):"."==t?Number(n.replace(/,/g,"")):M(n,!0)},G=function(e,t){const n=(t=t||{}).sample||1e3,o=[];for(let t=0;t<e.length&&o.length<n;t++)P(e[t])||o.push(e[t]);if(!o.length)return{type:"string"};const r=function(e){return o.every(e)};if(r(function(e){return"object"==typeof e&&(e.coordinates||e.geometries||"Feature"==e.type)})||r(function(e){return String(e).match(/^\s*(\{\s*"type"\s*:\s*"(Point|MultiPoint|LineString|MultiLineString|Polygon|MultiPolygon|GeometryCollection)"|(POINT|LINESTRING|POLYGON|MULTIPOINT|MULTILINESTRING|MULTIPOLYGON|GEOMETRYCOLLECTION)\s*\()/i)}))return{type:"geometry"};if(r(function(e){return"boolean"==typeof e||String(e).match(/^(true|false)$/i)}))return{type:"boolean"};if(r(function(e){return"number"==typeof e||!String(e).trim().match(/^[-+]?0\d/)})){let e=[".",","].filter(function(e){return r(function(t){return"number"==typeof t||x[e].test(String(t).trim().replace(/ /g,""))})});if(t.decimal&&(e=e.filter(function(e){return e==t.decimal})),e.length){const t=1==e.length?e[0]:o.some(function(e){return String(e).match(/,/)})?",":".";return{type:r(function(e){return"number"==typeof e?Number.isInteger(e):!String(e).match(","==t?/,|[eE]/:/\.|[eE]/)})?"integer":"number",decimalMark:t}}}return r(function(e){return e instanceof Date||String(e).match(/^\d{4}-\d{2}-\d{2}([T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/)&&!isNaN(Date.parse(String(e).replace(" ","T")))||String(e).match(/^\d{1,2}[./]\d{1,2}[./]\d{4}$/)})?{type:"date"}:{type:"string"}},F=function(e,t){if(P(e))return null;switch(t&&t.type){case"number":case"integer":{const n=I(e,t.decimalMark);return isNaN(n)?null:n}case"boolean":return"boolean"==typeof e?e:!!String(e).match(/^true$/i)||!String(e).match(/^false$/i)&&null;case"date":{if(e instanceof Date)return e;const t=String(e).match(/^(\d{1,2})[./](\d{1,2})[./](\d{4})$/),n=t?new Date(Number(t[3]),Number(t[2])-1,Number(t[1])):new Date(String(e).replace(" ","T"));return isNaN(n.getTime())?null:n}case"geometry":if("object"==typeof e)return e;try{return JSON.parse(e)}catch(t){return String(e)}default:return e}};c.Expression=function(e,t){this.szQuery=String(e||""),this.options=t||{},this.tree=null,this.error=null,this.parse()},c.Expression.prototype={parse:function(){const e=this.szQuery.match(/\bWHERE\b/)?this.szQuery.split(/\bWHERE\b/).slice(1).join("WHERE"):this.szQuery;try{if(this.tokenA=this.__tokenize(e),this.nToken=0,!this.tokenA.length)throw new Error("empty query");if(this.tree=this.__parseOr(),this.nToken<this.tokenA.length)throw new Error("unexpected '"+this.tokenA[this.nToken].value+"'")}catch(e){this.tree=null,this.error="selection error - "+e.message+"!\nquery: "+this.szQuery}return this},columns:function(){const e=[],t=function(n){if(n){for(const t of[n.field,n.value,n.value2].concat(n.list||[]))t&&t.column&&"*"!=t.column&&!e.includes(t.column)&&e.push(t.column);t(n.left),t(n.right),t(n.expr)}};return t(this.tree),e},compile:function(e){if(!this.tree)return null;const t={};for(let n=0,o=e.length;n<o;n++)void 0===t[e[n].id]&&(t[e[n].id]=n);const n=this.columns().filter(function(e){return void 0===t[e]});return n.length?(this.error="selection error - column '"+n.join("', '")+"' not found!\nquery: "+this.szQuery,null):this.__compileNode(this.tree,t)},__tokenize:function(e){const t=[];let n=0;for(;n<e.length;){const o=e[n];if(o.match(/\s/))n++;else if('"'==o||"'"==o){const r=e.indexOf(o,n+1);if(r<0)throw new Error("missing closing quote");t.push({type:"string",value:e.substring(n+1,r)}),n=r+1}else if("("==o||")"==o)t.push({type:o,value:o}),n++;else{const r=e.substr(n,2).match(/^(<=|>=|<>|!=|==)/)||o.match(/^[=<>]/);if(r)t.push({type:"op",value:r[0]}),n+=r[0].length;else{let r=n;for(;r<e.length&&!e[r].match(/[\s"'()=<>!]/);)r++;if(r==n)throw new Error("unexpected '"+o+"'");t.push({type:"word",value:e.substring(n,r)}),n=r}}}return t},__peek:function(){return this.tokenA[this.nToken]},__next:function(){const e=this.tokenA[this.nToken++];if(!e)throw new Error("incomplete query");return e},__isKeyword:function(e,t){return e&&"word"==e.type&&e.value.toUpperCase()==t},__parseOr:function(){let e=this.__parseAnd();for(;this.__isKeyword(this.__peek(),"OR");)this.nToken++,e={type:"or",left:e,right:this.__parseAnd()};return e},__parseAnd:function(){let e=this.__parseNot();for(;this.__isKeyword(this.__peek(),"AND");)this.nToken++,e={type:"and",left:e,right:this.__parseNot()};return e},__parseNot:function(){if(this.__isKeyword(this.__peek(),"NOT"))return this.nToken++,{type:"not",expr:this.__parseNot()};const e=this.__peek();if(e&&"("==e.type){this.nToken++;const e=this.__parseOr();if(")"!=this.__next().type)throw new Error("missing ')'");return e}return this.__parseCondition()},__parseCondition:function(){const e=this.__next();if("string"!=e.type&&"word"!=e.type)throw new Error("column name expected instead of '"+e.value+"'");const t={field:{column:e.value},negate:!1};let n=this.__next();if("op"==n.type)return t.type="compare",t.op="=="==n.value?"=":"!="==n.value?"<>":n.value,t.value=this.__parseValue(),t;if("word"!=n.type)throw new Error("operator expected instead of '"+n.value+"'");let o=n.value.toUpperCase();if("IS"==o){if(t.type="null",this.__isKeyword(this.__peek(),"NOT")&&(this.nToken++,t.negate=!0),!this.__isKeyword(this.__next(),"NULL"))throw new Error("NULL expected after IS");return t}if("NOT"==o){const e=this.__peek();if(!e||"word"!=e.type||!e.value.toUpperCase().match(/^(LIKE|IN|BETWEEN|REGEXP|MATCH)$/))return t.type="like",t.negate=!0,t.value=this.__parseValue(),t;t.negate=!0,n=this.__next(),o=n.value.toUpperCase()}if("LIKE"==o)t.type="like",t.value=this.__parseValue();else if("REGEXP"==o||"MATCH"==o)t.type="regexp",t.value=this.__parseValue();else if("IN"==o)t.type="in",t.list=this.__parseList();else if("BETWEEN"==o){if(t.type="between",t.value=this.__parseValue(),!this.__isKeyword(this.__next(),"AND"))throw new Error("AND expected in BETWEEN");t.value2=this.__parseValue()}else t.type="like",t.value=this.__parseValue();return t},__parseValue:function(){const e=this.__next();if("string"!=e.type&&"word"!=e.type)throw new Error("value expected instead of '"+e.value+"'");const t=e.value.match(/^\$(.+)\$$/);return t?{column:t[1]}:{value:e.value}},__parseList:function(){const e=[],t=function(t){if(t.column)e.push(t);else for(const n of String(t.value).split(","))n.trim().length&&e.push({value:n.trim()})},n=this.__peek();if(n&&"("==n.type){for(this.nToken++;this.__peek()&&")"!=this.__peek().type;){const n=this.__next();"string"==n.type?e.push({value:n.value}):(this.nToken--,t(this.__parseValue()))}if(")"!=this.__next().type)throw new Error("missing ')'")}else t(this.__parseValue());if(!e.length)throw new Error("empty IN list");return e},__compileOperand:function(e,t){if("*"==e.column)return function(e){return e.join("|")};if(e.column){const n=t[e.column];return function(e){return e[n]}}const n=e.value;return function(){return n}},__compileRegExp:function(e,t,n){const o=this.options.likeAsRegExp,r=function(e){const t=(e=String(e)).match(/^\/(.*)\/([gimsuy]*)$/);if(t)return new RegExp(t[1],t[2].replace("g",""));if(n&&e.match(/%/))return new RegExp("^"+e.split("%").map(function(e){return e.split("_").map(T).join(".")}).join(".*")+"$","i");if(o)try{return new RegExp(e,"i")}catch(t){return new RegExp(T(e),"i")}return new RegExp(T(e),"i")};if(e.column){const n=this.__compileOperand(e,t);return function(e){return r(n(e))}}const s=r(e.value);return function(){return s}},__compileNode:function(e,t){const n=this;if("and"==e.type||"or"==e.type){const n=this.__compileNode(e.left,t),o=this.__compileNode(e.right,t);return"and"==e.type?function(e){return n(e)&&o(e)}:function(e){return n(e)||o(e)}}if("not"==e.type){const n=this.__compileNode(e.expr,t);return function(e){return!n(e)}}const o=this.__compileOperand(e.field,t);let r=null;switch(e.type){case"compare":{const s=this.__compileOperand(e.value,t),i=e.op;r=function(e){const t=o(e),r=s(e);if("="==i)return"*"==r?""!=String(t).replace(/ /g,""):0===n.__compare(t,r);if("<>"==i)return 0!==n.__compare(t,r);const l=n.__compare(t,r);return null!==l&&(">"==i?l>0:"<"==i?l<0:">="==i?l>=0:l<=0)};break}case"between":{const s=this.__compileOperand(e.value,t),i=this.__compileOperand(e.value2,t);r=function(e){const t=o(e),r=n.__compare(t,s(e)),l=n.__compare(t,i(e));return null!==r&&null!==l&&r>=0&&l<=0};break}case"like":case"regexp":{const n=this.__compileRegExp(e.value,t,"like"==e.type),s="like"==e.type&&!e.value.column&&"*"==e.value.value;r=function(e){const t=null==o(e)?"":String(o(e));return s?t.length>0:n(e).test(t)};break}case"in":{const s=e.list.map(function(e){return n.__compileOperand(e,t)});r=function(e){const t=String(o(e));for(let n=0;n<s.length;n++)if(String(s[n](e))==t)return!0;return!1};break}case"null":r=function(e){return n.__isNull(o(e))}}return e.negate?function(e){return!r(e)}:r},__compare:function(e,t){const n=M(t,!0);if(!isNaN(n)){const o=M(e);return isNaN(o)?String(e)==String(t)?0:null:o<n?-1:o>n?1:0}if(this.__isNull(e))return""==String(t)?0:null;const o=String(e),r=String(t);return o<r?-1:o>r?1:0},__isNull:function(e){return null==e||""===String(e).trim()||"null"===e}},c.expression=function(e,t){return new c.Expression(e,t)},c.Formula=function(e){this.szFormula=String(e||""),this.tree=null,this.error=null,this.parse()};const j=function(e){return"number"==typeof e?e:"boolean"==typeof e?NaN:e instanceof Date?e.getTime():M(e,!0)},C=function(e){return isFinite(e)?e:null},B={round:function(e,t){const n=Math.pow(10,j(t)||0);return C(Math.round(j(e)*n)/n)},floor:function(e){return C(Math.floor(j(e)))},ceil:function(e){return C(Math.ceil(j(e)))},abs:function(e){return C(Math.abs(j(e)))},sqrt:function(e){return C(Math.sqrt(j(e)))},log:function(e){return C(Math.log(j(e)))},exp:function(e){return C(Math.exp(j(e)))},pow:function(e,t){return C(Math.pow(j(e),j(t)))},min:function(){const e=Array.prototype.map.call(arguments,j).filter(function(e){return!isNaN(e)});return e.length?Math.min.apply(null,e):null},max:function(){const e=Array.prototype.map.call(arguments,j).filter(function(e){return!isNaN(e)});return e.length?Math.max.apply(null,e):null},number:function(e){return C(j(e))},coalesce:function(){for(let e=0;e<arguments.length;e++)if(!P(arguments[e]))return arguments[e];return null},concat:function(){return Array.prototype.map.call(arguments,function(e){return null==e?"":String(e)}).join("")},upper:function(e){return null==e?null:String(e).toUpperCase()},lower:function(e){return null==e?null:String(e).toLowerCase()},trim:function(e){return null==e?null:String(e).trim()},substr:function(e,t,n){if(null==e)return null;const o=j(t)||0;return null==n?String(e).substr(o):String(e).substr(o,j(n))}};c.Formula.prototype={parse:function(){try{if(this.tokenA=this.__tokenize(this.szFormula),this.nToken=0,!this.tokenA.length)throw new Error("empty formula");if(this.tree=this.__parseSum(),this.nToken<this.tokenA.length)throw new Error("unexpected '"+this.tokenA[this.nToken].value+"'")}catch(e){this.tree=null,this.error="formula error - "+e.message+"!\nformula: "+this.szFormula}return this},columns:function(){const e=[],t=function(n){n&&("column"!=n.type||e.includes(n.column)||e.push(n.column),t(n.left),t(n.right),t(n.expr),(n.args||[]).forEach(t))};return t(this.tree),e},compile:function(e){if(!this.tree)return null;const t={};for(let n=0,o=e.length;n<o;n++)void 0===t[e[n].id]&&(t[e[n].id]=n);const n=this.columns().filter(function(e){return void 0===t[e]});return n.length?(this.error="formula error - column '"+n.join("', '")+"' not found!\nformula: "+this.szFormula,null):this.__compileNode(this.tree,t,e)},__tokenize:function(e){const t=[];let n=0;for(;n<e.length;){const o=e[n];if(o.match(/\s/))n++;else if('"'==o||"'"==o||"$"==o){const r=e.indexOf(o,n+1);if(r<0)throw new Error("missing closing "+o);t.push({type:"'"==o?"string":"column",value:e.substring(n+1,r)}),n=r+1}else if("+-*/%^(),".indexOf(o)>=0)t.push({type:o,value:o}),n++;else{const o=e.substr(n).match(/^(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?(?![\w.])/);if(o){t.push({type:"number",value:Number(o[0])}),n+=o[0].length;continue}let r=n;for(;r<e.length&&!e[r].match(/[\s"'$+\-*/%^(),]/);)r++;t.push({type:"word",value:e.substring(n,r)}),n=r}}return t},__peek:function(){return this.tokenA[this.nToken]},__next:function(){const e=this.tokenA[this.nToken++];if(!e)throw new Error("incomplete formula");return e},__parseSum:function(){let e=this.__parseProduct();for(;this.__peek()&&("+"==this.__peek().type||"-"==this.__peek().type);)e={type:"op",op:this.__next().type,left:e,right:this.__parseProduct()};return e},__parseProduct:function(){let e=this.__parseUnary();for(;this.__peek()&&this.__peek().type.match(/^[*/%]$/);)e={type:"op",op:this.__next().type,left:e,right:this.__parseUnary()};return e},__parseUnary:function(){const e=this.__peek();if(e&&"-"==e.type)return this.nToken++,{type:"neg",expr:this.__parseUnary()};if(e&&"+"==e.type)return this.nToken++,this.__parseUnary();const t=this.__parsePrimary();return this.__peek()&&"^"==this.__peek().type?(this.nToken++,{type:"op",op:"^",left:t,right:this.__parseUnary()}):t},__parsePrimary:function(){const e=this.__next();if("number"==e.type||"string"==e.type)return{type:"value",value:e.value};if("column"==e.type)return{type:"column",column:e.value};if("("==e.type){const e=this.__parseSum();if(")"!=this.__next().type)throw new Error("missing ')'");return e}if("word"==e.type){if(!this.__peek()||"("!=this.__peek().type)return{type:"column",column:e.value};const t=e.value.toLowerCase();if(!Object.prototype.hasOwnProperty.call(B,t))throw new Error("unknown function '"+e.value+"'");this.nToken++;const n=[];if(this.__peek()&&")"==this.__peek().type)this.nToken++;else{n.push(this.__parseSum());let e=this.__next();for(;","==e.type;)n.push(this.__parseSum()),e=this.__next();if(")"!=e.type)throw new Error("missing ')'")}return{type:"function",fn:t,args:n}}throw new Error("unexpected '"+e.value+"'")},__compileNode:function(e,t,n){switch(e.type){case"value":{const t=e.value;return function(){return t}}case"column":{const o=t[e.column],r=n[o];return r.type&&"string"!=r.type?function(e){return F(e[o],r)}:function(e){return e[o]}}case"neg":{const o=this.__compileNode(e.expr,t,n);return function(e){return C(-j(o(e)))}}case"function":{const o=B[e.fn],r=e.args.map(function(e){return this.__compileNode(e,t,n)},this);return function(e){return o.apply(null,r.map(function(t){return t(e)}))}}case"op":{const o=this.__compileNode(e.left,t,n),r=this.__compileNode(e.right,t,n),s=e.op;return function(e){const t=o(e),n=r(e),i=j(t),l=j(n);return"+"==s?P(t)||P(n)?null:isNaN(i)||isNaN(l)?String(t)+String(n):i+l:C("-"==s?i-l:"*"==s?i*l:"/"==s?i/l:"%"==s?i%l:Math.pow(i,l))}}}return null}},c.formula=function(e){return new c.Formula(e)},c.Table.prototype.addTimeColumns=function(e){if(!e.source)return null;for(const t in this.fields)if(this.fields[t].id==e.source){let n=e.create||["date","year","month","day","hour"];for(let e=0;e<n.length;e++)this.fields.push({id:String(n[e])}),this.table.fields++;let o=this.records.length,r=0;for(r=0;r<o;r++){let e=new Date(this.records[r][t]);if(e)for(let t=0;t<n.length;t++)switch(n[t]){case"date":let t=String(e.getDate())+"."+String(e.getMonth()+1)+"."+String(e.getFullYear());this.records[r].push(t);break;case"year":this.records[r].push(e.getFullYear());break;case"month":this.records[r].push(e.getMonth()+1);break;case"day":this.records[r].push(e.getDay());break;case"hour":this.records[r].push(e.getHours())}}}return this},c.Table.prototype.window=function(e){const t=s(e.fn),n=e.column||e.order;if(!t.length)return u("INVALID_OPTION","'data.window' no function defined!",{source:"window"}),null;for(const e of t)if(!["rank","cumsum","lag","lead","rolling_mean"].includes(e))return u("INVALID_OPTION","'data.window' unknown function '"+e+"'!",{source:"window"}),null;const o=[];for(const t of s(e.partition)){const e=this.columnIndex(t);if(null==e)return u("COLUMN_NOT_FOUND","'data.window' partition column '"+t+"' not found!",{source:"window",column:t}),null;o.push(e)}const r=e.order?this.columnIndex(e.order):null;if(e.order&&null==r)return u("COLUMN_NOT_FOUND","'data.window' order column '"+e.order+"' not found!",{source:"window",column:e.order}),null;const i=n?this.columnIndex(n):null;if(null==i)return u("COLUMN_NOT_FOUND","'data.window' value column '"+(n||"")+"' not found!",{source:"window",column:n}),null;const l={};for(let e=0,t=this.records.length;e<t;e++){const t=o.map(function(t){return String(this.records[e][t])},this).join("|");(l[t]=l[t]||[]).push(e)}const c=null!=r?r:t.includes("rank")?i:null;if(null!=c){const t=this.records,n=this.fields[c],o=n&&String(n.type).match(/^(number|integer|date)$/),r=!o&&t.every(function(e){return P(e[c])||!isNaN(M(e[c],!0))}),s=t.map(function(e){if(P(e[c]))return null;if(o){const t=F(e[c],n);return null==t?null:Number(t)}return r?M(e[c],!0):String(e[c])}),i=e.descending?-1:1;for(const e in l)l[e].sort(function(e,t){const n=s[e],o=s[t];return n===o?e-t:null===n?1:null===o?-1:(n<o?-1:n>o?1:e-t)*i})}const a=Number(e.size)||1,h=this.fields[i];for(const o of t){const r=new Array(this.records.length).fill("");for(const e in l){const t=l[e],n=t.map(function(e){return I(this.records[e][i],h.decimalMark)},this);switch(o){case"rank":{let e=0;for(let n=0;n<t.length;n++)0!=n&&String(this.records[t[n]][c])==String(this.records[t[n-1]][c])||(e=n+1),r[t[n]]=e;break}case"cumsum":{let e=0;for(let o=0;o<t.length;o++)isNaN(n[o])||(e+=n[o],r[t[o]]=e);break}case"lag":case"lead":{const e="lag"==o?-a:a;for(let n=0;n<t.length;n++)n+e>=0&&n+e<t.length&&(r[t[n]]=this.records[t[n+e]][i]);break}case"rolling_mean":{let e=0,o=0;for(let s=0;s<t.length;s++)isNaN(n[s])||(e+=n[s],o++),s>=a&&!isNaN(n[s-a])&&(e-=n[s-a],o--),s>=a-1&&o&&(r[t[s]]=e/o);break}}}this.fields.push({id:String(e.destination&&1==t.length?e.destination:n+"_"+o),created:!0}),this.table.fields++;for(let e=0,t=this.records.length;e<t;e++)this.records[e].push(r[e])}return this},c.Table.prototype.rows=async function*(e){const t=e||{},n=t.batch||1e4,o=this.fields.map(function(e){return e.id});for(let e=0,r=this.records.length;e<r;e++){if(!e||e%n||await new Promise(function(e){setTimeout(e,0)}),t.signal&&t.signal.aborted)return;const r=this.records[e];if(t.objects){const e={};for(let t=0;t<o.length;t++)e[o[t]]=r[t];yield e}else yield r}},c.Table.prototype[Symbol.asyncIterator]=function(){return this.rows()};const q={select:function(e,t){return e.select(t)},addColumn:function(e,t){return t.expr||t.values?e.addColumn(t):(u("INVALID_OPTION","'data.apply' addColumn needs 'expr' or 'values'!",{source:"apply"}),null)},aggregate:function(e,t){return e.aggregate(t)},condense:function(e,t){return e.condense(t)},groupColumns:function(e,t){return e.groupColumns(t)},pivot:function(e,t){return e.pivot(t)},unpivot:function(e,t){return e.unpivot(t)},transpose:function(e,t){return e.transpose(t)},subtable:function(e,t){return e.subtable(r(t)?{fields:t}:t)},sort:function(e,t){const n="string"==typeof t?t:t.column;return null==e.columnIndex(n)?(u("COLUMN_NOT_FOUND","'data.apply' sort column '"+n+"' not found!",{source:"apply",column:n}),null):e.sort(n,t.order)},rename:function(e,t){for(const n in t){const o=e.column(n);if(!o)return u("COLUMN_NOT_FOUND","'data.apply' rename column '"+n+"' not found!",{source:"apply",column:n}),null;o.rename(t[n])}return e},remove:function(e,t){for(const n of s(t)){const t=e.column(n);if(!t)return u("COLUMN_NOT_FOUND","'data.apply' remove column '"+n+"' not found!",{source:"apply",column:n}),null;t.remove()}return e},window:function(e,t){return e.window(t)},addTimeColumns:function(e,t){return e.addTimeColumns(t)},inferTypes:function(e,t){return e.inferTypes("object"==typeof t?t:{})},setTypes:function(e,t){return e.setTypes(t)},convertTypes:function(e){return e.convertTypes()},revert:function(e){return e.revert()},reverse:function(e){return e.reverse()}},U=function(e,t){let n=null;try{n=JSON.parse("string"==typeof t?t:JSON.stringify(t))}catch(e){return{error:u("INVALID_OPTION","'data.apply' pipeline is not valid JSON: "+e.message,{source:"apply",cause:e})}}if(!r(n))return{error:u("INVALID_OPTION","'data.apply' pipeline must be an array of steps!",{source:"apply"})};for(let t=0;t<n.length;t++){const o=n[t]&&"object"==typeof n[t]?Object.keys(n[t]):[],r=o[0];if(1!=o.length||!Object.prototype.hasOwnProperty.call(q,r))return{error:u("INVALID_OPTION","'data.apply' step "+(t+1)+": unknown step '"+o.join(",")+"'!",{source:"apply"})};_LOG("Data.apply: step "+(t+1)+" "+r);const s=a;let i=null;try{i=q[r](e,n[t][r])}catch(e){return{error:u("INVALID_OPTION","'data.apply' step "+(t+1)+" '"+r+"' failed: "+e.message,{source:"apply",cause:e})}}if(!i||a>s)return{error:a>s?c.errors[c.errors.length-1]:u("INVALID_OPTION","'data.apply' step "+(t+1)+" '"+r+"' failed!",{source:"apply"})};e=i}return{table:e}};c.Table.prototype.apply=function(e){return U(function(e){const t=new c.Table;return t.table=Object.assign({},e.table),t.fields=e.fields.map(function(e){return Object.assign({},e)}),t.records=e.records.map(function(e){return e.slice()}),e.sdmx&&(t.sdmx=e.sdmx),t}(this),e).table||null};const J=function(e,t){t=t||{};const n=e.fields,o=function(e){for(let t=0;t<n.length;t++)if(String(n[t].id).match(e))return n[t].id;return null};let r=t.geometry,s=t.lat,i=t.lon||t.lng;r||s&&i||(r=n.filter(function(e){return"geometry"==e.type}).map(function(e){return e.id})[0]||o(/^(geometry|geom)$/i),r||(s=o(/^(lat|latitude)$/i),i=o(/^(lon|lng|long|longitude)$/i)));const l=r?e.columnIndex(r):null,a=s?e.columnIndex(s):null,u=i?e.columnIndex(i):null;if(null==l&&(null==a||null==u))return null;const h={geometryIndex:null==l?null:Number(l),latIndex:null==a?null:Number(a),lonIndex:null==u?null:Number(u),unsupported:0,read:function(e){if(null!=l){let t=e[l];if("string"==typeof t){t.match(/^\s*[A-Z]+\s*\(/i)&&(t=c.Feed.prototype.__wktToGeoJSON(t));try{t=JSON.parse(t)}catch(e){return null}if(t&&"WKT"==t.type)return h.unsupported++,null}return t&&(t.coordinates||t.geometries)?t:t&&t.geometry?t.geometry:null}const t=I(e[a],n[a].decimalMark),o=I(e[u],n[u].decimalMark);return isNaN(t)||isNaN(o)?null:{type:"Point",coordinates:[o,t]}}};return h},W=110.574,V=111.32,z=function(e){const t={points:[],lines:[],polygons:[]},n=function(e){if(!e)return;const o=e.coordinates;switch(e.type){case"Point":t.points.push(o);break;case"MultiPoint":t.points.push.apply(t.points,o);break;case"LineString":t.lines.push(o);break;case"MultiLineString":t.lines.push.apply(t.lines,o);break;case"Polygon":t.polygons.push(o);break;case"MultiPolygon":t.polygons.push.apply(t.polygons,o);break;case"GeometryCollection":(e.geometries||[]).forEach(n)}};n(e),t.fPoint=!t.lines.length&&!t.polygons.length;for(const e of t.polygons)t.lines.push.apply(t.lines,e);for(const e of t.lines)t.points.push.apply(t.points,e);if(t.points=t.points.filter(function(e){return e&&isFinite(e[0])&&isFinite(e[1])}),!t.points.length)return null;const o=[1/0,1/0,-1/0,-1/0];for(const e of t.points)o[0]=Math.min(o[0],e[0]),o[1]=Math.min(o[1],e[1]),o[2]=Math.max(o[2],e[0]),o[3]=Math.max(o[3],e[1]);return t.box=o,t},X=function(e,t,n){let o=!1;for(const r of n)for(let n=0,s=r.length-1;n<r.length;s=n++){const i=r[n][0],l=r[n][1],c=r[s][0],a=r[s][1];l>t!=a>t&&e<(c-i)*(t-l)/(a-l)+i&&(o=!o)}return o},H=function(e,t){for(const n of t.polygons)if(X(e[0],e[1],n))return!0;return!1},K=function(e,t,n,o){const r=function(e,t,n){const o=(t[1]-e[1])*(n[0]-t[0])-(t[0]-e[0])*(n[1]-t[1]);return o>0?1:o<0?-1:0},s=function(e,t,n){return t[0]<=Math.max(e[0],n[0])&&t[0]>=Math.min(e[0],n[0])&&t[1]<=Math.max(e[1],n[1])&&t[1]>=Math.min(e[1],n[1])},i=r(e,t,n),l=r(e,t,o),c=r(n,o,e),a=r(n,o,t);return i!=l&&c!=a||(0==i&&s(e,n,t)||0==l&&s(e,o,t)||0==c&&s(n,e,o)||0==a&&s(n,t,o))},Q=function(e,t){for(const n of e.lines)for(let e=1;e<n.length;e++)for(const o of t.lines)for(let t=1;t<o.length;t++)if(K(n[e-1],n[e],o[t-1],o[t]))return!0;return!1},Y=function(e,t){return e[0]<=t[2]&&e[2]>=t[0]&&e[1]<=t[3]&&e[3]>=t[1]},Z=function(e,t){if(!t.polygons.length||!Y(e.box,t.box))return!1;for(const n of e.points)if(!H(n,t))return!1;return e.fPoint||!Q(e,t)},ee=function(e,t){return!!Y(e.box,t.box)&&(e.fPoint&&t.fPoint?e.points.some(function(e){return t.points.some(function(t){return e[0]==t[0]&&e[1]==t[1]})}):e.points.some(function(e){return H(e,t)})||t.points.some(function(t){return H(t,e)})||Q(e,t))},te=function(e,t,n){if(H([e,t],n))return 0;const o=Math.cos(t*Math.PI/180)*V,r=W;let s=1/0;const i=function(n){const i=(n[0]-e)*o,l=(n[1]-t)*r;s=Math.min(s,Math.sqrt(i*i+l*l))};if(!n.lines.length)return n.points.forEach(i),s;for(const l of n.lines){1==l.length&&i(l[0]);for(let n=1;n<l.length;n++){const i=(l[n-1][0]-e)*o,c=(l[n-1][1]-t)*r,a=(l[n][0]-e)*o-i,u=(l[n][1]-t)*r-c,h=a*a+u*u,f=h?Math.max(0,Math.min(1,-(i*a+c*u)/h)):0,p=i+f*a,d=c+f*u;s=Math.min(s,Math.sqrt(p*p+d*d))}}return s},ne=function(e){this.shapeA=e;const t=[1/0,1/0,-1/0,-1/0];let n=0;for(const o of e)o&&(t[0]=Math.min(t[0],o.box[0]),t[1]=Math.min(t[1],o.box[1]),t[2]=Math.max(t[2],o.box[2]),t[3]=Math.max(t[3],o.box[3]),n++);this.box=t;const o=Math.max(t[2]-t[0],1e-9),r=Math.max(t[3]-t[1],1e-9),s=Math.max(1,Math.min(n,25e4));this.nCols=Math.max(1,Math.round(Math.sqrt(s*o/r))),this.nRows=Math.max(1,Math.round(s/this.nCols)),this.nCellWidth=o/this.nCols,this.nCellHeight=r/this.nRows,this.cellA={},e.forEach(function(e,t){if(e){const n=this.__range(e.box);for(let e=n[0];e<=n[2];e++)for(let o=n[1];o<=n[3];o++)(this.cellA[e+"|"+o]=this.cellA[e+"|"+o]||[]).push(t)}},this),this.nMinCos=Math.max(0,Math.min(Math.cos(t[1]*Math.PI/180),Math.cos(t[3]*Math.PI/180)))};ne.prototype={__col:function(e){return Math.max(0,Math.min(this.nCols-1,Math.floor((e-this.box[0])/this.nCellWidth)))},__row:function(e){return Math.max(0,Math.min(this.nRows-1,Math.floor((e-this.box[1])/this.nCellHeight)))},__range:function(e){return[this.__col(e[0]),this.__row(e[1]),this.__col(e[2]),this.__row(e[3])]},search:function(e){const t=[];if(!Y(e,this.box))return t;const n=this.__range(e),o={};for(let r=n[0];r<=n[2];r++)for(let s=n[1];s<=n[3];s++)for(const n of this.cellA[r+"|"+s]||[])!o[n]&&Y(e,this.shapeA[n].box)&&(o[n]=!0,t.push(n));return t},nearest:function(e,t,n){const o=this.__col(e),r=this.__row(t),s=Math.min(this.nCellWidth*this.nMinCos*V,this.nCellHeight*W),i=Math.max(this.nCols,this.nRows),l={};let c=null;for(let a=0;a<=i;a++){for(let n=o-a;n<=o+a;n++)for(let s=r-a;s<=r+a;s++)if(Math.abs(n-o)==a||Math.abs(s-r)==a)for(const o of this.cellA[n+"|"+s]||[])if(!l[o]){l[o]=!0;const n=te(e,t,this.shapeA[o]);(!c||n<c.distance)&&(c={index:o,distance:n})}const i=a*s;if(c&&c.distance<=i||i>n)break}return c&&c.distance<=n?c:null}},c.Table.prototype.spatialJoin=function(e,t){t=t||{};const n=String(t.predicate||"within").toLowerCase(),o=String(t.how||"left").toLowerCase(),r=t.suffixes||["","_2"],i=null!=t.maxDistance?Number(t.maxDistance):1/0;if(!e||!e.fields)return u("INVALID_OPTION","spatialJoin: no polygon table defined!",{source:"spatialJoin"}),null;if(!n.match(/^(within|intersects|nearest)$/))return u("INVALID_OPTION","spatialJoin: '"+n+"' unknown predicate!",{source:"spatialJoin"}),null;if(!o.match(/^(left|inner)$/))return u("INVALID_OPTION","spatialJoin: '"+o+"' unknown join type!",{source:"spatialJoin"}),null;const l=J(this,t),a=J(e,{geometry:t.polygonGeometry});if(!l||!a)return u("COLUMN_NOT_FOUND","spatialJoin: no geometry or lat/lon columns found in the "+(l?"polygon":"point")+" table!",{source:"spatialJoin"}),null;const h=s(t.aggregate).map(function(e){"string"==typeof e&&(e={calc:e});const t=String(e.calc||(e.column?"sum":"count")).toLowerCase();return{column:e.column,index:e.column?this.columnIndex(e.column):null,calc:t,destination:e.destination||("count"==t?"count":e.column+"_"+t)}},this);for(const e of h){if(!e.calc.match(/^(count|sum|mean|min|max)$/))return u("INVALID_OPTION","spatialJoin: '"+e.calc+"' unknown aggregation!",{source:"spatialJoin"}),null;if(e.column&&null==e.index)return u("COLUMN_NOT_FOUND","spatialJoin: '"+e.column+"' column not found!",{source:"spatialJoin",column:e.column}),null}const f=[];for(const n of t.columns?s(t.columns):e.fields.map(function(e){return e.id})){const o=e.columnIndex(n);if(null==o)return u("COLUMN_NOT_FOUND","spatialJoin: '"+n+"' column not found!",{source:"spatialJoin",column:n}),null;(t.columns||Number(o)!=a.geometryIndex)&&f.push(Number(o))}const p=e.records.map(function(e){return z(a.read(e))}),d=new ne(p),g={matched:0,unmatched:[],noGeometry:[]},m=function(e){if("nearest"==n){const t=d.nearest((e.box[0]+e.box[2])/2,(e.box[1]+e.box[3])/2,i);return t?[t]:[]}const t="within"==n?Z:ee;return d.search(e.box).filter(function(n){return t(e,p[n])}).map(function(e){return{index:e}})},_=[];for(let e=0,t=this.records.length;e<t;e++){const t=z(l.read(this.records[e]));if(!t){g.noGeometry.push(e),_.push([]);continue}const n=m(t);n.length?g.matched++:g.unmatched.push(e),_.push(n)}(l.unsupported||a.unsupported)&&u("PARSE_ERROR","spatialJoin: only POINT WKT geometries are supported; "+l.unsupported+" rows without geometry, "+a.unsupported+" polygons ignored (convert them to GeoJSON)!",{source:"spatialJoin"});const y=new c.Table;if(h.length){const t=this.fields;y.fields=e.fields.map(function(e){return Object.assign({},e)});const n=e.records.map(function(){return h.map(function(){return[]})});_.forEach(function(e,o){for(const r of e)h.forEach(function(e,s){if(null==e.index)return void n[r.index][s].push(1);const i=this.records[o][e.index],l=t[e.index].type?F(i,t[e.index]):M(i);("count"==e.calc?P(i):null==l||isNaN(l))||n[r.index][s].push(Number(l))},this)},this);for(const e of h)y.fields.push({id:String(e.destination),type:"number",created:!0});return y.records=e.records.map(function(e,t){return e.concat(h.map(function(e,o){const r=n[t][o];switch(e.calc){case"count":return r.length;case"sum":return r.reduce(function(e,t){return e+t},0);case"mean":return r.length?r.reduce(function(e,t){return e+t},0)/r.length:null;case"min":return r.length?r.reduce(function(e,t){return t<e?t:e}):null;case"max":return r.length?r.reduce(function(e,t){return t>e?t:e}):null}return null}))}),y.table.fields=y.fields.length,y.table.records=y.records.length,y.report=g,y}const b=this.fields.map(function(e){return String(e.id)}),O=f.map(function(t){return String(e.fields[t].id)}),S=t.distance||"distance";for(let e=0;e<b.length;e++)y.fields.push(Object.assign({},this.fields[e],{id:b[e]+(O.includes(b[e])?r[0]:"")}));for(let t=0;t<O.length;t++)y.fields.push(Object.assign({},e.fields[f[t]],{id:O[t]+(b.includes(O[t])?r[1]:"")}));"nearest"==n&&y.fields.push({id:S,type:"number",created:!0}),y.table.fields=y.fields.length;const D=y.fields.slice(b.length).map(function(){return""});return _.forEach(function(t,r){if(t.length)for(const o of t){const t=this.records[r].slice();for(const n of f)t.push(e.records[o.index][n]);"nearest"==n&&t.push(Math.round(1e3*o.distance)/1e3),y.records.push(t)}else"left"==o&&y.records.push(this.records[r].concat(D))},this),y.table.records=y.records.length,y.report=g,(g.unmatched.length||g.noGeometry.length)&&_LOG("spatialJoin: "+g.unmatched.length+" rows without match, "+g.noGeometry.length+" rows without geometry"),y};const oe=function(e){return String(null==e?"":e).normalize("NFD").replace(/[\u0300-\u036f]/g,"").toLowerCase().replace(/[^\p{L}\p{N}]+/gu," ").trim()},re=function(e,t,n){if(Math.abs(e.length-t.length)>n)return n+1;let o=[];for(let e=0;e<=t.length;e++)o[e]=e;for(let r=1;r<=e.length;r++){const s=[r];let i=r;for(let n=1;n<=t.length;n++)s[n]=Math.min(o[n]+1,s[n-1]+1,o[n-1]+(e[r-1]==t[n-1]?0:1)),i=Math.min(i,s[n]);if(i>n)return n+1;o=s}return o[t.length]};c.Table.prototype.geocode=function(e){const t=(e=e||{}).gazetteer,n=e.suffixes||["","_2"],o=null!=e.threshold?Number(e.threshold):.8;if(!t||!t.fields)return u("INVALID_OPTION","geocode: no gazetteer table defined!",{source:"geocode"}),null;if(!e.column)return u("INVALID_OPTION","geocode: no name column defined!",{source:"geocode"}),null;const r=function(e,n,o){const r=e.columnIndex(n);return null==r?(u("COLUMN_NOT_FOUND","geocode: "+(e==t?"gazetteer ":"")+"column '"+n+"' not found"+(o||"")+"!",{source:"geocode",column:n}),-1):Number(r)},i=r(this,e.column),l=r(t,e.name||e.column,e.name?"":" (define the gazetteer name column by 'name')"),a=[];for(const n in e.context||{})a.push([r(this,n),r(t,e.context[n])]);let h=e.add?s(e.add):null;if(!h){const e=J(t,{});if(!e)return u("INVALID_OPTION","geocode: the gazetteer has no lat/lon or geometry columns, define the columns to add!",{source:"geocode"}),null;h=(null!=e.geometryIndex?[e.geometryIndex]:[e.latIndex,e.lonIndex]).map(function(e){return t.fields[e].id})}const f=h.map(function(e){return r(t,e)});if(i<0||l<0||f.includes(-1)||a.some(function(e){return e.includes(-1)}))return null;const p={};for(let e=0;e<t.records.length;e++){const n=oe(t.records[e][l]);n&&(p[n]=p[n]||[]).push(e)}const d=Object.keys(p),g={matched:0,fuzzy:[],ambiguous:[],unmatched:[]},m={},_=function(n){const r=oe(n[i]),s=r+"|"+a.map(function(e){return oe(n[e[0]])}).join("|");if(m[s])return m[s];let c="exact",u=p[r]||[],h=null;!u.length&&e.fuzzy&&r&&(h=function(e){let t=[],n=o;for(const o of d){const r=Math.max(e.length,o.length),s=Math.floor(r*(1-n)),i=re(e,o,s);if(i<=s){const e=1-i/r;e>n&&(n=e,t=[]),e>=n&&t.push(o)}}return{names:t,score:Math.round(1e3*n)/1e3}}(r),u=[].concat.apply([],h.names.map(function(e){return p[e]})),c="fuzzy"),u=u.filter(function(e){return a.every(function(o){return oe(t.records[e][o[1]])==oe(n[o[0]])})});const g={};for(const e of u){const n=JSON.stringify(f.map(function(n){return t.records[e][n]}));n in g||(g[n]=e)}const _=Object.keys(g).map(function(e){return g[e]}),y={status:_.length?_.length>1?"ambiguous":c:"unmatched",candidates:_,match:h&&1==_.length?t.records[_[0]][l]:null,score:h?h.score:1};return m[s]=y,y},y=new c.Table,b=this.fields.map(function(e){return String(e.id)});for(let e=0;e<b.length;e++)y.fields.push(Object.assign({},this.fields[e],{id:b[e]+(h.includes(b[e])?n[0]:"")}));for(let e=0;e<f.length;e++)y.fields.push(Object.assign({},t.fields[f[e]],{id:String(h[e])+(b.includes(String(h[e]))?n[1]:"")}));e.status&&y.fields.push({id:String(e.status),type:"string",created:!0}),y.table.fields=y.fields.length;for(let n=0,o=this.records.length;n<o;n++){const o=this.records[n],r=_(o),s=o.slice();for(const e of f)s.push(1==r.candidates.length?t.records[r.candidates[0]][e]:"");switch(e.status&&s.push(r.status),y.records.push(s),r.status){case"exact":g.matched++;break;case"fuzzy":g.matched++,g.fuzzy.push({row:n,value:o[i],match:r.match,score:r.score});break;case"ambiguous":g.ambiguous.push({row:n,value:o[i],candidates:r.candidates});break;default:g.unmatched.push({row:n,value:o[i]})}}return y.table.records=y.records.length,y.report=g,(g.ambiguous.length||g.unmatched.length)&&_LOG("geocode: "+g.ambiguous.length+" ambiguous and "+g.unmatched.length+" unmatched rows"),y};const se=function(e,t){const n=(e.length-1)*t,o=Math.floor(n),r=Math.ceil(n);return e[o]+(e[r]-e[o])*(n-o)};c.Table.prototype.profile=function(e){const t=(e=e||{}).bins||10,n=null!=e.top?e.top:5,o=e.quantiles||[.25,.5,.75],r=e.columns?s(e.columns):this.fields.map(function(e){return e.id}),i={rows:this.records.length,columns:[]};for(const e of r){const r=this.columnIndex(e);if(null==r){u("COLUMN_NOT_FOUND","profile: '"+e+"' column not found!",{source:"profile",column:e});continue}const s=this.fields[Number(r)],l=this.records.map(function(e){return e[Number(r)]}),c=s.type?{type:s.type,decimalMark:s.decimalMark}:G(l),a={name:s.id,type:c.type,nulls:0},h=Object.assign({},s,c),f=new Map,p=[];let d=null,g=null,m=0;for(const e of l)if(P(e))a.nulls++;else{if("geometry"!=a.type){const t=String(e);f.set(t,(f.get(t)||0)+1)}if("number"==a.type||"integer"==a.type){const t=F(e,h);null==t?m++:p.push(t)}else if("date"==a.type){const t=F(e,h);t&&(d=!d||t<d?t:d,g=!g||t>g?t:g)}}if("geometry"!=a.type&&(a.distinct=f.size,a.top=Array.from(f.entries()).sort(function(e,t){return t[1]-e[1]}).slice(0,n).map(function(e){return{value:e[0],count:e[1]}})),("number"==a.type||"integer"==a.type)&&p.length){p.sort(function(e,t){return e-t});const e=p[0],n=p[p.length-1];let r=0;for(const e of p)r+=e;const s=r/p.length;let i=0;for(const e of p)i+=(e-s)*(e-s);a.min=e,a.max=n,a.sum=r,a.mean=s,a.stddev=Math.sqrt(i/p.length),a.quantiles={};for(const e of o)a.quantiles[e]=se(p,e);a.invalid=m;const l=n>e?t:1,c=(n-e)/l;a.histogram=[];for(let t=0;t<l;t++)a.histogram.push({from:e+t*c,to:t==l-1?n:e+(t+1)*c,count:0});for(const t of p)a.histogram[c?Math.min(l-1,Math.floor((t-e)/c)):0].count++}"date"==a.type&&d&&(a.min=d,a.max=g),i.columns.push(a)}return i},c.Column=function(){this.table=null,this.index=null,this.valueA=null},c.Column.prototype={values:function(e){if(this.valueA=[],e&&e.typed){const e=this.table.fields[this.index];for(const t in this.table.records)this.valueA.push(F(this.table.records[t][this.index],e));return this.valueA}for(const e in this.table.records)this.valueA.push(this.table.records[e][this.index]);return this.valueA},uniqueValues:function(){this.valueA=[];for(const e in this.table.records)this.valueA.push(this.table.records[e][this.index]);return this.valueA.filter(l)},map:function(e){for(const t in this.table.records)this.table.records[t][this.index]=e(this.table.records[t][this.index],this.table.records[t],this.index);return this},rename:function(e){return this.table.fields[this.index].id=e,this},remove:function(){this.table.fields.splice(this.index,1);for(const e in this.table.records)this.table.records[e].splice(this.index,1);return this.table.table.fields--,this}},c.Feed.prototype.column=function(e){return this.dbtable.column(e)},c.Feed.prototype.select=function(e){return this.dbtable.select(e)},c.Feed.prototype.aggregate=function(e,t){return this.dbtable.aggregate(e,t)},c.Feed.prototype.revert=function(){return this.dbtable.revert()},c.Feed.prototype.reverse=function(){return this.dbtable.reverse()},c.Feed.prototype.pivot=function(e){return this.dbtable.pivot(e)},c.Feed.prototype.subtable=function(e){return this.dbtable.subtable(e)},c.Feed.prototype.rows=function(e){return this.dbtable.rows(e)},c.Feed.prototype.apply=function(e){return this.dbtable.apply(e)},c.Feed.prototype.profile=function(e){return this.dbtable.profile(e)},c.Feed.prototype.addTimeColumns=function(e){return this.dbtable.addTimeColumns(e)},c.Broker=function(e){this.souceQueryA=[],this.options=e||{},this.concurrency=4,this.retries=0,this.retryDelay=500,e&&this.parseDefinition(e),this.onNotify=function(){},this.onError=function(){}},c.Broker.prototype=new c.Feed,c.Broker.prototype={addSource:function(e,t,n){return _LOG("Data.Broker.addSource: "+e),n=n||{},this.souceQueryA.push({url:e,type:t,name:n.name||null,depends:n.depends?s(n.depends):[],retries:n.retries,attempts:0,error:null,data:null,result:null,next:this}),this},setCallback:function(e){return this.callback=e,this},realize:function(e){return this.callback=e||this.callback,this.running=0,this.__settled=null,this.__started=!0,this.__schedule(),this},error:function(e){return this.onError=e||this.onError,this},notify:function(e){return this.onNotify=e||this.onNotify,this},then:d,catch:g},c.Broker.prototype.parseDefinition=function(e){this.callback=e.callback||null,"number"==typeof e.concurrency&&(this.concurrency=Math.max(1,e.concurrency)),"number"==typeof e.retries&&(this.retries=e.retries),"number"==typeof e.retryDelay&&(this.retryDelay=e.retryDelay)},c.Broker.prototype.__getQuery=function(e){for(let t=0;t<this.souceQueryA.length;t++)if(this.souceQueryA[t].name&&this.souceQueryA[t].name==e)return this.souceQueryA[t];return String(e).match(/^\d+$/)&&this.souceQueryA[Number(e)]||null},c.Broker.prototype.__schedule=function(){let e=!0;for(;e;){e=!1;for(let t=0;t<this.souceQueryA.length;t++){const n=this.souceQueryA[t];if(!n.result&&!n.loading)for(let t=0;t<n.depends.length;t++){const o=this.__getQuery(n.depends[t]);if(!o||o===n||"error"===o.result){n.result="error",n.error=u("DEPENDENCY_ERROR",o&&o!==n?"dependency '"+n.depends[t]+"' failed":"unknown dependency '"+n.depends[t]+"'",{source:"string"==typeof n.url?n.url:null}),this.onError(n.error,n),e=!0;break}}}}for(let e=0;e<this.souceQueryA.length&&this.running<this.concurrency;e++){const t=this.souceQueryA[e];if(t.result||t.loading||!t.url)continue;const n=t.depends.map(e=>this.__getQuery(e));if(n.every(e=>"success"===e.result)){if("function"==typeof t.url){let e=null;try{t.url=t.url.apply(this,n.map(e=>e.data))}catch(n){t.url=null,e="source url function: "+n}if(!t.url)return t.result="error",t.error=u("DEPENDENCY_ERROR",e||"source url function returned no url"),this.onError(t.error,t),void this.__schedule()}t.loading=!0,this.running++,this.getData(t)}}if(!this.running){for(let e=0;e<this.souceQueryA.length;e++){const t=this.souceQueryA[e];t.url&&!t.result&&(t.result="error",t.error=u("DEPENDENCY_ERROR","circular dependency",{source:"string"==typeof t.url?t.url:null}),this.onError(t.error,t))}this.data=[],this.result={complete:!0,loaded:[],failed:[]};for(let e=0;e<this.souceQueryA.length;e++){const t=this.souceQueryA[e];this.data.push(t.data||new c.Table),"success"===t.result?this.result.loaded.push(e):"error"===t.result&&(this.result.complete=!1,this.result.failed.push({index:e,name:t.name,url:"string"==typeof t.url?t.url:null,error:t.error,attempts:t.attempts}))}this.data.result=this.result,p(this,null,this.data),this.callback&&this.callback(this.data,this.result)}},c.Broker.prototype.getData=function(e){const t=this,n="number"==typeof e.retries?e.retries:this.retries,o=++e.attempts;this.onNotify(e),e.feed=c.feed({source:e.url,type:e.type,options:e.next.options,signal:this.options.signal,persist:this.options.persist,parent:this}).load(function(n){e.loading&&o===e.attempts&&(e.data=n,e.data.raw=e.feed.data,t.onNotify(e),e.result="success",e.error=null,e.loading=!1,t.running--,t.__schedule())}).error(function(r){if(e.loading&&o===e.attempts){if(e.error=r instanceof c.Error?r:u("LOAD_ERROR",f(r),{source:e.url}),e.attempts<=n&&"CANCELLED"!=e.error.code)return _LOG("Data.Broker: retry "+e.attempts+" "+e.url),void setTimeout(function(){t.getData(e)},t.retryDelay*Math.pow(2,e.attempts-1));t.onError(e.error,e),e.data=null,e.result="error",e.loading=!1,t.running--,t.__schedule()}})},c.Broker.prototype.setData=function(e){this.parent.__doCreateTableDataObject(e,null,this.parent.options)},c.Feed.prototype.broker=function(e){let t=new c.Broker(e);return t.parent=this,t},c.broker=function(e){return new c.Broker(e)},c.provider=function(){return new c.Broker},c.Merger=function(e){this.sourceA=[],this.options=e||{},this.onError=function(){},e&&this.parseDefinition(e)},c.Merger.prototype={addSource:function(e,t){return this.sourceA.push({data:e,opt:t}),this},setOutputColumns:function(e){return this.outColumnsA=e,this},realize:function(e){this.callback=e||this.callback,this.__settled=null,this.__started=!0,_LOG("DataMerger: >>>");let t=[];for(const e in this.sourceA){let n=this.sourceA[e];n.opt.columns=n.opt.columns||n.data.columnNames(),n.opt.label=n.opt.label||[],n.opt.columns=s(n.opt.columns),n.opt.label=s(n.opt.label),this.sourceA[e].data||this.onError(u("INVALID_OPTION","DataMerger: source '"+e+"' not found",{source:"Data.Merger"})),this.sourceA[e].data[0]||(this.sourceA[e].data=this.sourceA[e].data.getArray()),this.sourceA[e].data[0]||this.onError(u("INVALID_OPTION","DataMerger: source '"+e+"' not found or not of type Array",{source:"Data.Merger"}));let o=[];for(const t in this.sourceA[e].data[0]){this.sourceA[e].data[0][t]==this.sourceA[e].opt.lookup&&(o[this.sourceA[e].opt.lookup]=t);for(const n in this.sourceA[e].opt.columns)this.sourceA[e].opt.label[n]||(this.sourceA[e].opt.label[n]=this.sourceA[e].opt.columns[n]+"."+(Number(e)+1)),this.sourceA[e].data[0][t]==this.sourceA[e].opt.columns[n]&&(o[this.sourceA[e].opt.label[n]]=t)}for(const t in this.sourceA[e].opt.columns)o[this.sourceA[e].opt.label[t]]||_LOG("DataMerger: '"+this.sourceA[e].opt.label[t]+"' not found");t.push(o)}let n=[];for(const e in this.sourceA)for(const t in this.sourceA[e].opt.label)n.push(this.sourceA[e].opt.label[t]);if(!this.outColumnsA){this.outColumnsA=[];for(const e in n)this.outColumnsA.push(n[e])}let o=[];for(const e in this.outColumnsA)for(const n in t)for(const r in t[n])r==this.outColumnsA[e]&&(o[r]={input:n,index:t[n][r]});for(const e in this.outColumnsA)if(!o[this.outColumnsA[e]])for(const t in this.sourceA[0].data[0])this.sourceA[0].data[0][t]==this.outColumnsA[e]&&(o[this.outColumnsA[e]]={input:0,index:t});this.namedSourceA=[];for(let e=1;e<this.sourceA.length;e++){this.namedSourceA[e]=[];for(let n=1;n<this.sourceA[e].data.length;n++)this.namedSourceA[e][String(this.sourceA[e].data[n][t[e][this.sourceA[e].opt.lookup]])]=this.sourceA[e].data[n]}let r=[];r.push(this.outColumnsA);for(let e=1;e<this.sourceA[0].data.length;e++){let n=String(this.sourceA[0].data[e][[t[0][this.sourceA[0].opt.lookup]]]),s=[];for(const t in this.outColumnsA){let r=o[this.outColumnsA[t]];if(!r){const e=u("COLUMN_NOT_FOUND",'DataMerger - missing "'+this.outColumnsA[t]+'" in label:[...]',{source:"Data.Merger",column:this.outColumnsA[t]});return p(this,e),this.onError(e),null}0==r.input?s.push(this.sourceA[0].data[e][r.index]):this.namedSourceA[r.input][n]?s.push(this.namedSourceA[r.input][n][r.index]):s.push(" ")}r.push(s)}_LOG("DataMerger: done");let i=new c.Table;return i.setArray(r),p(this,null,i),this.callback&&this.callback(i),i},error:function(e){return this.onError=e||this.onError,this},then:function(e,t){return this.__settled||this.realize(),d.call(this,e,t)},catch:g},c.merger=function(){return new c.Merger},console.log("*** data.js "+c.version+" ***")}(window,document);
\ No newline at end of file
@@ -1,119 +1,60 @@
-/*
- CC BY SA
- @license MIT
-*/
-var $jscomp=$jscomp||{};$jscomp.scope={};$jscomp.ASSUME_ES5=!1;$jscomp.ASSUME_NO_NATIVE_MAP=!1;$jscomp.ASSUME_NO_NATIVE_SET=!1;$jscomp.defineProperty=$jscomp.ASSUME_ES5||"function"==typeof Object.defineProperties?Object.defineProperty:function(d,l,k){d!=Array.prototype&&d!=Object.prototype&&(d[l]=k.value)};$jscomp.getGlobal=function(d){return"undefined"!=typeof window&&window===d?d:"undefined"!=typeof global&&null!=global?global:d};$jscomp.global=$jscomp.getGlobal(this);$jscomp.SYMBOL_PREFIX="jscomp_symbol_";
-$jscomp.initSymbol=function(){$jscomp.initSymbol=function(){};$jscomp.global.Symbol||($jscomp.global.Symbol=$jscomp.Symbol)};$jscomp.Symbol=function(){var d=0;return function(l){return $jscomp.SYMBOL_PREFIX+(l||"")+d++}}();
-$jscomp.initSymbolIterator=function(){$jscomp.initSymbol();var d=$jscomp.global.Symbol.iterator;d||(d=$jscomp.global.Symbol.iterator=$jscomp.global.Symbol("iterator"));"function"!=typeof Array.prototype[d]&&$jscomp.defineProperty(Array.prototype,d,{configurable:!0,writable:!0,value:function(){return $jscomp.arrayIterator(this)}});$jscomp.initSymbolIterator=function(){}};$jscomp.arrayIterator=function(d){var l=0;return $jscomp.iteratorPrototype(function(){return l<d.length?{done:!1,value:d[l++]}:{done:!0}})};
-$jscomp.iteratorPrototype=function(d){$jscomp.initSymbolIterator();d={next:d};d[$jscomp.global.Symbol.iterator]=function(){return this};return d};$jscomp.makeIterator=function(d){$jscomp.initSymbolIterator();var l=d[Symbol.iterator];return l?l.call(d):$jscomp.arrayIterator(d)};$jscomp.arrayFromIterator=function(d){for(var l,k=[];!(l=d.next()).done;)k.push(l.value);return k};$jscomp.arrayFromIterable=function(d){return d instanceof Array?d:$jscomp.arrayFromIterator($jscomp.makeIterator(d))};
-$jscomp.findInternal=function(d,l,k){d instanceof String&&(d=String(d));for(var r=d.length,v=0;v<r;v++){var w=d[v];if(l.call(k,w,v,d))return{i:v,v:w}}return{i:-1,v:void 0}};$jscomp.polyfill=function(d,l,k,r){if(l){k=$jscomp.global;d=d.split(".");for(r=0;r<d.length-1;r++){var v=d[r];v in k||(k[v]={});k=k[v]}d=d[d.length-1];r=k[d];l=l(r);l!=r&&null!=l&&$jscomp.defineProperty(k,d,{configurable:!0,writable:!0,value:l})}};
-$jscomp.polyfill("Array.prototype.find",function(d){return d?d:function(d,k){return $jscomp.findInternal(this,d,k).v}},"es6","es3");$jscomp.iteratorFromArray=function(d,l){$jscomp.initSymbolIterator();d instanceof String&&(d+="");var k=0,r={next:function(){if(k<d.length){var v=k++;return{value:l(v,d[v]),done:!1}}r.next=function(){return{done:!0,value:void 0}};return r.next()}};r[Symbol.iterator]=function(){return r};return r};
-$jscomp.polyfill("Array.prototype.keys",function(d){return d?d:function(){return $jscomp.iteratorFromArray(this,function(d){return d})}},"es6","es3");$jscomp.polyfill("Array.prototype.entries",function(d){return d?d:function(){return $jscomp.iteratorFromArray(this,function(d,k){return[d,k]})}},"es6","es3");
-$jscomp.polyfill("Array.from",function(d){return d?d:function(d,k,r){$jscomp.initSymbolIterator();k=null!=k?k:function(d){return d};var l=[],w=d[Symbol.iterator];if("function"==typeof w)for(d=w.call(d);!(w=d.next()).done;)l.push(k.call(r,w.value));else{w=d.length;for(var z=0;z<w;z++)l.push(k.call(r,d[z]))}return l}},"es6","es3");
-$jscomp.checkStringArgs=function(d,l,k){if(null==d)throw new TypeError("The 'this' value for String.prototype."+k+" must not be null or undefined");if(l instanceof RegExp)throw new TypeError("First argument to String.prototype."+k+" must not be a regular expression");return d+""};
-$jscomp.polyfill("String.prototype.repeat",function(d){return d?d:function(d){var k=$jscomp.checkStringArgs(this,null,"repeat");if(0>d||1342177279<d)throw new RangeError("Invalid count value");d|=0;for(var l="";d;)if(d&1&&(l+=k),d>>>=1)k+=k;return l}},"es6","es3");$jscomp.stringPadding=function(d,l){d=void 0!==d?String(d):" ";return 0<l&&d?d.repeat(Math.ceil(l/d.length)).substring(0,l):""};
-$jscomp.polyfill("String.prototype.padStart",function(d){return d?d:function(d,k){var l=$jscomp.checkStringArgs(this,null,"padStart");return $jscomp.stringPadding(k,d-l.length)+l}},"es8","es3");$jscomp.polyfill("Object.is",function(d){return d?d:function(d,k){return d===k?0!==d||1/d===1/k:d!==d&&k!==k}},"es6","es3");
-$jscomp.polyfill("Array.prototype.includes",function(d){return d?d:function(d,k){var l=this;l instanceof String&&(l=String(l));var v=l.length;for(k=k||0;k<v;k++)if(l[k]==d||Object.is(l[k],d))return!0;return!1}},"es7","es3");$jscomp.polyfill("String.prototype.includes",function(d){return d?d:function(d,k){return-1!==$jscomp.checkStringArgs(this,d,"includes").indexOf(d,k||0)}},"es6","es3");
-$jscomp.polyfill("Array.prototype.values",function(d){return d?d:function(){return $jscomp.iteratorFromArray(this,function(d,k){return k})}},"es6","es3");
-(function(d,l,k){function r(){var a=d.Data;h.noConflict=function(){d.Data=a;return this};d.Data=h}var v=new Date;_LOG=function(a){console.log("_LOG: time[sec.ms] "+(new Date-v)/1E3+"\n"+a)};var w=function(a){return a&&"undefined"!=typeof a?"[object Array]"===Object.prototype.toString.call(a)?a:String(a).match(/\|/)?String(a).split("|"):String(a).split(","):[]},z=function(a,b,c){return c.indexOf(a)===b},h={version:"1.54",errors:[]};"object"===typeof module&&"object"===typeof module.exports?module.exports=
-h:"function"===typeof define&&define.amd&&define(h);"undefined"!==typeof d&&r();h.Object=function(a){this.options=a;this.debug=!1};h.Object.prototype={import:function(a){this.options.success=this.options.success||a;console.log("xxxxxxxxxxxxxxxxxxxxxxxx");console.log(this.options.success);console.log("xxxxxxxxxxxxxxxxxxxxxxxx");this.feed=h.feed({});this.feed.options=this.options;"csv"==this.options.type||"CSV"==this.options.type?this.feed.__processCSVData(this.options.source,this.options):"rss"==this.options.type||
-"RSS"==this.options.type?(this.options.format="xml",this.feed.__processRSSData(this.options.source,this.options)):"kml"==this.options.type||"KML"==this.options.type?(this.options.format="xml",this.feed.__processKMLData(this.options.source,this.options)):"gml"==this.options.type||"GML"==this.options.type?(this.options.format="xml",this.feed.__processGMLData(this.options.source,this.options)):"json"==this.options.type||"JSON"==this.options.type||"Json"==this.options.type?this.feed.__processJsonData(this.options.source,
-this.options):"geojson"==this.options.type||"GEOJSON"==this.options.type||"GeoJson"==this.options.type?this.feed.__processGeoJsonData(this.options.source,this.options):"topojson"==this.options.type||"TOPOJSON"==this.options.type||"TopoJson"==this.options.type?this.feed.__processTopoJsonData(this.options.source,this.options):"jsonDB"==this.options.type||"JSONDB"==this.options.type||"JsonDB"==this.options.type||"jsondb"==this.options.type?this.feed.__processJsonDBData(this.options.source,this.options):
-"parquet"==this.options.type||"PARQUET"==this.options.type?this.options.source instanceof ArrayBuffer&&(_LOG("Processing parquet ArrayBuffer directly: "+this.options.source.byteLength+" bytes"),this.feed.__processParquetData(this.options.source,this.options)):("geoparquet"==this.options.type||"GEOPARQUET"==this.options.type)&&this.options.source instanceof ArrayBuffer&&(_LOG("Processing geoparquet ArrayBuffer directly: "+this.options.source.byteLength+" bytes"),this.feed.__processGeoParquetData(this.options.source,
-this.options));return this},error:function(a){this.options.error=a;return this}};h.Import=function(a){this.options=a;this.debug=!1};h.Feed=function(a){this.options=a||{};this.debug=!1;this.options.error=function(a){h.errors.push(a)}};h.Feed.prototype={load:function(a){this.options.success=a;var b=this.options,c=b.source||b.src||b.url||b.ext;"undefined"===typeof b.cache&&(b.cache=!0,b.options&&"undefined"!==typeof b.options.cache&&(b.cache=b.options.cache));var e=this;c||q("Data.feed(...).load(): no source defined !",
-2E3);"csv"==b.type||"CSV"==b.type?this.__doCSVImport(c,b):"rss"==b.type||"RSS"==b.type?this.__doRSSImport(c,b):"kml"==b.type||"KML"==b.type?this.__doKMLImport(c,b):"gml"==b.type||"GML"==b.type?this.__doGMLImport(c,b):"json"==b.type||"JSON"==b.type||"Json"==b.type?this.__doJSONImport(c,b):"geojson"==b.type||"GEOJSON"==b.type||"GeoJson"==b.type?this.__doGeoJSONImport(c,b):"topojson"==b.type||"TOPOJSON"==b.type||"TopoJson"==b.type?this.__doTopoJSONImport(c,b):"jsonDB"==b.type||"JSONDB"==b.type||"JsonDB"==
-b.type||"jsondb"==b.type?this.__doJsonDBImport(c,b):"jsonstat"==b.type||"jsonStat"==b.type||"JSONSTAT"==b.type?$.getScript("http://json-stat.org/lib/json-stat.js").done(function(a,f){e.__doLoadJSONstat(c,b)}).fail(function(a,c,e){q("'"+b.type+"' unknown format !")}):"parquet"==b.type||"PARQUET"==b.type?this.__doParquetImport(c,b):q("'"+b.type+"' unknown format !");return this},error:function(a){this.options.error=a;return this}};h.feed=function(a){return new h.Feed(a)};h.object=function(a){return new h.Object(a)};
-h.import=function(a){return(new h.Object(a)).import().feed.dbtable};h.Feed.prototype.__doLoadJSONstat=function(a,b){var c=this;JSONstat(a,function(){for(var a=[],m=[this.Dataset(0).Dimension(0).label],f=this.Dataset(0).Dimension(1).id,g=0;g<f.length;g++)m.push(this.Dataset(0).Dimension(1).Category(f[g]).label);a.push(m);for(f=0;f<this.Dataset(0).Dimension(0).length;f++){m=[];m.push(this.Dataset(0).Dimension(0).Category(this.Dataset(0).Dimension(0).id[f]).label);for(g=0;g<this.Dataset(0).Dimension(1).length;g++)m.push(this.Dataset(0).Data([f,
-g]).value);a.push(m)}b.callback?b.callback(a,b):c.__createDataTableObject(a,b.type,b)})};h.Feed.prototype.__doJsonDBImport=function(a,b){_LOG("__doJsonDBImport: "+a);var c=this;b.url=a;$.getScript(a+".gz").done(function(a,m){c.__processJsonDBData(a,b)}).fail(function(e,m,f){$.getScript(a).done(function(a,e){c.__processJsonDBData(a,b)}).fail(function(b,e,m){c.options.error&&c.options.error('"'+a+'" '+m)})})};h.Feed.prototype.__processJsonDBData=function(a,b){_LOG("__processJsonDBData:");this.dbtable=
-new h.Table;"string"==typeof a?(a=b.source.split(/\//).pop().split(/\./)[0],a="undefined"!==typeof d?d[a]:global[a]):a=b.source;this.dbtable.table=a.table;this.dbtable.fields=a.fields;this.dbtable.records=a.records;b.callback?b.callback(newData,b):"undefined"!=typeof b&&b.success&&b.success(this.dbtable)};h.Feed.prototype.__doCSVImport=function(a,b){_LOG("__doCSVImport: "+a);var c=this;$.ajax({type:"GET",url:a,cache:b.cache,dataType:"text",success:function(a){c.__processCSVData(a,b)},error:function(c,
-m,f){"undefined"!=typeof b&&b.error&&b.error('"'+a+'" '+f)}})};h.Feed.prototype.__processCSVData=function(a,b){_LOG("__processCSVData - start");if("undefined"===typeof Papa){_LOG("__processCSVData:load csv parser!");var c=this;$.getScript("https://cdnjs.cloudflare.com/ajax/libs/PapaParse/4.1.2/papaparse.min.js").done(function(e,m){c.__processCSVData(a,b)}).fail(function(a,c,e){q("'"+b.type+"' parser not loaded !");b.error&&b.error("'"+b.type+"' parser not loaded !")});return!1}var e=Papa.parse(a,
-b.parser);if(e.errors.length)return q("csv parsing error: "+e.errors.map(function(a){return a.message}).join(";")),b.error&&b.error("csv parsing error: "+e.errors.map(function(a){return a.message}).join(";")),!1;e=e.data;if(2>e.length||"undefined"===typeof e[0]||"undefined"===typeof e[1])return q("csv parsing error: insufficient rows in data !"),b.error&&b.error("csv parsing error: insufficient rows in data !"),!1;if(!(b.parser&&b.parser.delimiter||e[0].length===e[1].length)){_LOG("csv parser: autodetect failed");
-for(var m=!1,f=$jscomp.makeIterator([";",","]),g=f.next();!g.done;g=f.next()){g=g.value;_LOG("csv parser: delimiter = "+g);e=Papa.parse(a,{delimiter:g}).data;if(e[0].length===e[1].length){m=!0;break}_LOG("csv parser: delimiter = "+g+" failed")}if(!m)return q("csv parsing error: unable to auto detect delimiter!"),b.error&&b.error("csv parsing error: unable to auto detect delimiter!"),!1}e[e.length-1].length!==e[0].length&&1<e.length&&e.pop();1===e[0].length-e[1].length&&""===e[0][e[0].length-1].trim()&&
-e[0].pop();if(b.callback)return b.callback(e,b),!1;_LOG("__createDataTableObject: "+(b.options?" -> "+b.options.name:""));this.__createDataTableObject(e,b.type,b);return!1};h.Feed.prototype.__doRSSImport=function(a,b){_LOG("__doRSSImport: "+a);var c=this;b.format="xml";$.ajax({type:"GET",url:a,dataType:"xml",success:function(a){c.__processRSSData(a,b)},error:function(a,c,f){"undefined"!=typeof b&&b.error&&b.error(a,c,f)}})};h.Feed.prototype.__processRSSData=function(a,b){"xml"==b.format&&($(a).find("rss").length?
-this.__parseRSSData(a,b):$(a).find("feed").length?q("feed not yet supported"):$(a).find("atom").length&&q("atom not yet supported"))};h.Feed.prototype.__parseRSSData=function(a,b){var c=this;"xml"==b.format&&$(a).find("channel").each(function(){var e=[],m=null;$(a).find("item").each(function(){if(!m){var a=[];m=[];for(var b=$(this).children(),c=0;c<b.length;c++){for(var d=$(this).children()[c].nodeName;a[d];)d+="*";a[d]=d;m[c]=d}e.push(m)}a=[];for(b=0;b<m.length;b++)"enclosure"==m[b]?a.push($(this).find(m[b]+
-":first").attr("url")||""):a.push($(this).find(m[b]+":first").text()||"");e.push(a)});c.__createDataTableObject(e,"rss",b)})};h.Feed.prototype.__doKMLImport=function(a,b){_LOG("__doKMLImport: "+a);var c=this;b.format="xml";$.ajax({type:"GET",url:a,dataType:"xml",success:function(a){c.__processKMLData(a,b)},error:function(a,c,f){"undefined"!=typeof b&&b.error&&b.error(a,c,f)}})};h.Feed.prototype.__doGMLImport=function(a,b){_LOG("__doGMLImport: "+a);var c=this;b.format="xml";$.ajax({type:"GET",url:a,
-dataType:"xml",success:function(a){c.__processGMLData(a,b)},error:function(a,c,f){"undefined"!=typeof b&&b.error&&b.error(a,c,f)}})};h.Feed.prototype.__processKMLData=function(a,b){"xml"==b.format&&($(a).find("kml").length?this.__parseKMLData(a,b):q("feed not kml"))};h.Feed.prototype.__parseKMLData=function(a,b){if("xml"==b.format){var c=[],e=null;$(a).find("Document").find("Placemark").each(function(){var a=$(this).find("ExtendedData")||$(this);e||(e=[],a.find("Data").each(function(){e.push($(this).attr("name"))}),
-$(this).find("Point").find("coordinates")&&e.push("KML.Point"),c.push(e));var b=[];a.find("Data").each(function(){b.push($(this).find("value").text())});$(this).find("Point").find("coordinates")&&b.push($(this).find("Point").find("coordinates").text());c.push(b)});this.__createDataTableObject(c,"kml",b)}};h.Feed.prototype.__processGMLData=function(a,b){"xml"==b.format&&("string"===typeof a&&(parser=new DOMParser,a=parser.parseFromString(a,"text/xml")),console.log(a),console.log($(a).find("wfs\\:FeatureCollection, gml\\:FeatureCollection, FeatureCollection")),
-$(a).find("wfs\\:FeatureCollection, gml\\:FeatureCollection, FeatureCollection").length?this.__parseGMLData(a,b):q("feed not gml"))};h.Feed.prototype.__parseGMLData=function(a,b){if("xml"==b.format)if(a=$(a).find("wfs\\:FeatureCollection, FeatureCollection").first(),0===a.length)q("No FeatureCollection found in GML data");else{var c=[],e=null;a.find("wfs\\:member, gml\\:featureMember, featureMember, gml\\:featureMembers, featureMembers").each(function(){var a=$(this).find("gml\\:*, *").first();if(0!==
-a.length){e||(e=[],a.find("gml\\:*, *").each(function(){var a=$(this).prop("tagName");a&&!a.match(/^(gml:)?(boundedBy|location|pos|coordinates|geometry|geometryProperty)$/i)&&e.push(a.replace(/^gml:/,""))}),e.push("GML.Geometry"),c.push(e));var b=[];a.find("gml\\:*, *").each(function(){var a=$(this).prop("tagName");a&&!a.match(/^(gml:)?(boundedBy|location|pos|coordinates|geometry|geometryProperty)$/i)&&b.push($(this).text())});var g=a.find("gml\\:Polygon").first();if(0<g.length){a='{"type":"Polygon","coordinates":[[';
-g=g.text().split(" ");for(var d=0,h=0;h<g.length;h++)if(Number(g[h])&&!isNaN(Number(g[h]))){d=h;break}console.log("coords:",g);console.log("start:",d);console.log("coords length:",g.length);if(d<g.length-1)for(console.log("coords[start]:",g[d]),console.log("coords[start+1]:",g[d+1]),h=d;h<g.length-1;h+=2)g[h]&&g[h+1]&&!isNaN(Number(g[h]))&&!isNaN(Number(g[h+1]))&&(a+=(h>d?",":"")+"["+g[h+1]+","+g[h]+"]");a+="]]}";console.log("final value:",a);b.push(a)}else b.push("");c.push(b)}});this.__createDataTableObject(c,
-"gml",b)}};h.Feed.prototype.__doJSONImport=function(a,b){var c=this;$.get(a,function(a){c.__processJsonData(a,b)}).fail(function(a){"undefined"!=typeof b&&b.error&&b.error(a)})};__getNestedPaths=function(a,b){b=b===k?"":b;var c=[];if("object"!==typeof a||null===a||Array.isArray(a))Array.isArray(a)?a.forEach(function(a,e){c.push.apply(c,[].concat($jscomp.arrayFromIterable(__getNestedPaths(a,b?b+"."+e:String(e)))))}):c.push(b);else for(var e in a)Object.prototype.hasOwnProperty.call(a,e)&&c.push.apply(c,
-[].concat($jscomp.arrayFromIterable(__getNestedPaths(a[e],b?b+"."+e:e))));return c};__extractValuesRecursive=function(a,b){var c=[];if(null===a||"undefined"===typeof a)c.push("null");else if("object"!==typeof b||null===b||Array.isArray(b))if(Array.isArray(b))for(var e=0;e<b.length;e++)c=c.concat(__extractValuesRecursive(e<a.length?a[e]:k,b[e]));else c.push(a);else for(e in b)if(Object.prototype.hasOwnProperty.call(b,e)){var m=Object.prototype.hasOwnProperty.call(a,e)?a[e]:k;c=c.concat(__extractValuesRecursive(m,
-b[e]))}return c};h.Feed.prototype.__processJsonData=function(a,b){var c=null;if("string"==typeof a)try{c=JSON.parse(a)}catch(x){this.__createDataTableObject([],"json",b)}else c=a;this.data=c;var e=[],m=[];if(c&&c.data&&c.data.columns&&c.data.rows){var d=c.data.columns;a=c.data.rows;var g=0;for(c=d.length;g<c;g++)m.push(d[g]);e.push(m);d=0;for(c=a.length;d<c;d++){m=[];g=0;for(var h=a[0].length;g<h;g++)m.push(a[d][g]);e.push(m)}}else{c&&c.data&&(c=c.data);Array.isArray(c)||(__findAllArraysInJson=function(a){function b(a){if(Array.isArray(a))c.push(a);
-else if("object"===typeof a&&null!==a)for(var e in a)a.hasOwnProperty(e)&&b(a[e])}var c=[];b(a);return c},c=__findAllArraysInJson(c)[0]);if(!c){e=[];e.push(["unknown type"]);m=a.split("\n");a=0;for(c=m.length;a<c;a++)e.push([m[a]]);this.__createDataTableObject(e,"json",b);return}e.push(__getNestedPaths(c[0]));for(m=0;m<c.length;m++)e.push(__extractValuesRecursive(c[m],c[0]))}this.__createDataTableObject(e,"json",b)};h.Feed.prototype.__doGeoJSONImport=function(a,b){var c=this;$.get(a,function(a){c.__processGeoJsonData(a,
-b)}).fail(function(a){"undefined"!=typeof b&&b.error&&b.error(a)})};h.Feed.prototype.__processGeoJsonData=function(a,b){var c=null;if("string"===typeof a)try{c=JSON.parse(a)}catch(p){this.__createDataTableObject([],"json",b);return}else c=a;this.data=c;a=[];var e={};if(c&&c.features&&c.features.length){for(var d=$jscomp.makeIterator(c.features),f=d.next();!f.done;f=d.next())if(f=f.value,f.properties)for(var g in f.properties)e[g]=!0;g=Object.keys(e);g.push("geometry");a.push(g);c=$jscomp.makeIterator(c.features);
-for(f=c.next();!f.done;f=c.next()){f=f.value;e=[];d=f.properties||{};for(var h=0;h<g.length-1;h++){var x=d[g[h]];"object"===typeof x?e.push(JSON.stringify(x)):e.push(x!==k?x:"")}e.push(JSON.stringify(f.geometry));a.push(e)}}this.__createDataTableObject(a,"json",b)};h.Feed.prototype.__processGeoJsonData_expandProperty=function(a,b){var c=null;if("string"==typeof a)try{c=JSON.parse(a)}catch(p){this.__createDataTableObject([],"json",b)}else c=a;this.data=c;a=[];var e=[],d=[];if(c&&c.features&&c.features.length){for(var f=
-0;f<c.features.length;f++)for(var g in c.features[f].properties)if("string"===typeof c.features[f].properties[g]||"number"===typeof c.features[f].properties[g])d[g]=!0;else for(var h in c.features[f].properties[g])d[g+"."+h]=!0;for(var k in d)e.push(k);e.push("geometry");a.push(e);for(g=0;g<c.features.length;g++){e=[];for(h=0;h<a[0].length-1;h++)k=a[0][h].split("."),2<=k.length?e.push(c.features[g].properties[k[0]][k[1]]||""):e.push(c.features[g].properties[a[0][h]]||"");e.push(JSON.stringify(c.features[g].geometry));
-a.push(e)}}this.__createDataTableObject(a,"json",b)};h.Feed.prototype.__doTopoJSONImport=function(a,b){var c=this;$.get(a,function(a){c.__processTopoJsonData(a,b)}).fail(function(a){"undefined"!=typeof b&&b.error&&b.error(a)})};h.Feed.prototype.__processTopoJsonData=function(a,b){if("undefined"==typeof topojson)q("'"+b.type+"' parser not loaded !");else{var c=null;if("string"==typeof a)try{c=JSON.parse(a)}catch(f){this.__createDataTableObject([],"json",b)}else c=a;this.data=c;a=null;if(b.options&&
-b.options.name&&c.objects[b.options.name])a=topojson.feature(c,c.objects[b.options.name]);else for(var e in c.objects){a=topojson.feature(c,c.objects[e]);break}for(var d in a.features)a.features[d].properties.id=a.features[d].id;this.__processGeoJsonData(a,b)}};h.Feed.prototype.__doParquetImport=function(a,b){_LOG("__doParquetImport: "+a);var c=this;_LOG("Attempting to load parquet file using Fetch API...");fetch(a,{method:"GET",cache:b.cache?"default":"no-cache"}).then(function(a){_LOG("Fetch response received, status: "+
-a.status);_LOG("Response headers: "+JSON.stringify([].concat($jscomp.arrayFromIterable(a.headers.entries()))));if(!a.ok)throw Error("HTTP "+a.status+": "+a.statusText);return a.arrayBuffer()}).then(function(a){_LOG("Successfully loaded parquet as ArrayBuffer: "+a.byteLength+" bytes");var e=new Uint8Array(a);if(4<=e.length){var d=String.fromCharCode.apply(String,[].concat($jscomp.arrayFromIterable(e.slice(0,4))));_LOG("Magic number: "+d);"PAR1"===d?_LOG("\u2705 SUCCESS: Valid parquet file detected!"):
-(_LOG("\u26a0\ufe0f Warning: Magic number is not PAR1: "+d),_LOG("First 16 bytes: "+Array.from(e.slice(0,16)).map(function(a){return a.toString(16).padStart(2,"0")}).join(" ")),_LOG("Attempting to process anyway..."))}else _LOG("\u26a0\ufe0f Warning: Response too short to check magic number");c.__processParquetData(a,b)}).catch(function(e){_LOG("Fetch failed: "+e.message);_LOG("Falling back to XMLHttpRequest...");c.__loadParquetWithXHR(a,b)})};h.Feed.prototype.__loadParquetWithXHR=function(a,b){var c=
-this;_LOG("Loading parquet with XMLHttpRequest...");var e=new XMLHttpRequest;e.open("GET",a,!0);e.responseType="arraybuffer";e.onload=function(){if(200===e.status){var a=e.response;_LOG("XHR successful: "+a.byteLength+" bytes");var d=new Uint8Array(a);if(4<=d.length){var g=String.fromCharCode.apply(String,[].concat($jscomp.arrayFromIterable(d.slice(0,4))));_LOG("XHR magic number: "+g);"PAR1"===g?_LOG("\u2705 SUCCESS: Valid parquet file via XHR!"):(_LOG("\u26a0\ufe0f Warning: XHR magic number is not PAR1: "+
-g),_LOG("First 16 bytes: "+Array.from(d.slice(0,16)).map(function(a){return a.toString(16).padStart(2,"0")}).join(" ")),_LOG("Attempting to process anyway..."))}else _LOG("\u26a0\ufe0f Warning: XHR response too short to check magic number");c.__processParquetData(a,b)}else _LOG("XHR failed with status: "+e.status+" "+e.statusText),"undefined"!==typeof b&&b.error?b.error("XHR failed: "+e.status+" "+e.statusText):q("XHR failed: "+e.status+" "+e.statusText)};e.onerror=function(){_LOG("XHR network error");
-"undefined"!==typeof b&&b.error?b.error("XHR network error"):q("XHR network error")};e.send()};h.Feed.prototype.__checkGeoParquetMetadata=function(a,b,c,e){try{if(console.log("\ud83d\udd0d Checking GeoParquet metadata with existing hyparquet..."),"function"===typeof b.parquetMetadataAsync)console.log("\ud83d\udcca Using parquetMetadataAsync method"),b.parquetMetadataAsync(a).then(function(a){console.log("\ud83d\udcca Metadata received:",a);var b=!1;a&&a.key_value_metadata&&(console.log("\ud83d\udcca Schema metadata found:",
-a.key_value_metadata),a.key_value_metadata.some(function(a){return"geo"===a.key||a.key.toLowerCase().includes("geo")})&&(console.log("\u2705 GeoParquet detected via metadata geo key"),b=!0));!b&&a&&a.schema&&a.schema.fields&&(console.log("\ud83d\udcca Schema fields found:",a.schema.fields),a.schema.fields.some(function(a){return a.type&&(a.type.toLowerCase().includes("geometry")||a.type.toLowerCase().includes("geography")||a.type.toLowerCase().includes("point")||a.type.toLowerCase().includes("polygon")||
-a.type.toLowerCase().includes("linestring"))})&&(console.log("\u2705 GeoParquet detected via field types"),b=!0));if(!b&&a&&a.schema&&a.schema.fields){var e=["geometry","geom","the_geom","wkb_geometry","shape"];a.schema.fields.some(function(a){return e.some(function(b){return a.name&&a.name.toLowerCase().includes(b.toLowerCase())})})&&(console.log("\u2705 GeoParquet detected via column names"),b=!0)}console.log("\ud83c\udfaf GeoParquet detection result:",b);c(b)}).catch(function(a){console.warn("Error reading parquet metadata:",
-a);c(!1)});else{console.log("\ud83d\udcca parquetMetadataAsync not available, trying fallback methods");try{var d=b.parquetReadObjects({file:a,rowStart:0,rowEnd:1,compressors:b.compressors});if(d&&0<d.length){var f=d[0];console.log("\ud83d\udcca Sample row columns:",Object.keys(f));["geometry","geom","the_geom","wkb_geometry","shape"].some(function(a){return f.hasOwnProperty(a)})?(console.log("\u2705 GeoParquet detected via column names"),c(!0)):c(!1)}else c(!1)}catch(g){console.warn("Error in fallback detection:",
-g),c(!1)}}}catch(g){console.warn("Error detecting GeoParquet metadata:",g),c(!1)}};h.Feed.prototype.__processParquetData=function(a,b){console.log("\ud83d\ude80 Starting parquet processing...");_LOG("Processing parquet data...");"undefined"!==typeof d.hyparquet?(console.log("\ud83d\udce6 Using existing hyparquet module"),this.__processParquetWithHyparquet(a,b,d.hyparquet)):(console.log("\ud83d\udce6 Loading hyparquet module..."),this.__loadHyparquetAndProcess(a,b))};h.Feed.prototype.__processParquetWithHyparquet=
-function(a,b,c){var e=this;console.log("\ud83d\udd0d Starting GeoParquet detection with loaded hyparquet...");_LOG("Detecting if parquet file is GeoParquet...");e.__checkGeoParquetMetadata(a,c,function(d){console.log("\ud83c\udfaf GeoParquet detection result:",d);d?(_LOG("\u2705 GeoParquet detected! Switching to GeoParquet processing..."),console.log("\ud83c\udfaf Branching to GeoParquet processing"),"function"===typeof e.__processGeoParquetData?e.__processGeoParquetData(a,b):(_LOG("\u26a0\ufe0f GeoParquet processing function not found, falling back to regular parquet processing"),
-console.log("\u26a0\ufe0f GeoParquet function not found, using regular processing"),e.__processWithHyparquet(a,b,c))):(_LOG("\u2705 Regular parquet file detected, proceeding with standard processing..."),console.log("\ud83c\udfaf Branching to regular parquet processing"),e.__processWithHyparquet(a,b,c))},function(d){_LOG("\u26a0\ufe0f Error detecting GeoParquet, falling back to regular parquet processing: "+d);console.error("\u274c Detection error:",d);e.__processWithHyparquet(a,b,c)})};h.Feed.prototype.__loadHyparquetAndProcess=
-function(a,b){var c=this;_LOG("Loading hyparquet module dynamically...");var e=l.createElement("script");e.type="module";e.textContent='\n            import * as hyparquet from "https://cdn.jsdelivr.net/npm/hyparquet@1.8.0/src/hyparquet.min.js";\n            import * as compressors from "https://cdn.jsdelivr.net/npm/hyparquet-compressors@1.1.1/+esm";\n            \n            console.log("Hyparquet module imported:", hyparquet);\n            console.log("Available hyparquet methods:", Object.keys(hyparquet));\n            \n            console.log("Compressor module imported:", compressors);\n            console.log("Available compressors methods:", Object.keys(compressors));\n            console.log("Full compressors object:", compressors);\n            \n            \n            // Create a wrapper object that includes both hyparquet and compressors\n            const hyparquetWithCompressors = {\n                ...hyparquet,\n                compressors: null\n            };\n            \n            // Try to attach compressors to the wrapper\n            if (compressors && compressors.compressors) {\n                hyparquetWithCompressors.compressors = compressors.compressors;\n                console.log("\u2705 ZSTD compressors attached to wrapper");\n                console.log("Available compressors:", Object.keys(compressors.compressors));\n            } else if (compressors && compressors.default && compressors.default.compressors) {\n                hyparquetWithCompressors.compressors = compressors.default.compressors;\n                console.log("\u2705 ZSTD compressors attached to wrapper (default export)");\n                console.log("Available compressors:", Object.keys(compressors.default.compressors));\n            } else {\n                console.log("\u26a0\ufe0f Compressors structure:", Object.keys(compressors));\n                // Try to find compressors in the module\n                for (const key in compressors) {\n                    if (compressors[key] && typeof compressors[key] === \'object\' && compressors[key].zstd) {\n                        hyparquetWithCompressors.compressors = compressors[key];\n                        console.log("\u2705 Found compressors in:", key);\n                        break;\n                    }\n                }\n            }\n           \n            window.hyparquet = hyparquetWithCompressors;\n            window.compressors = compressors;\n            window.hyparquetLoaded = true;\n            console.log("Hyparquet wrapper with compressors loaded and set to window.hyparquet");\n        ';
-var m=setInterval(function(){d.hyparquetLoaded&&d.hyparquet&&(clearInterval(m),_LOG("Hyparquet module loaded successfully"),c.__processParquetWithHyparquet(a,b,d.hyparquet))},100);setTimeout(function(){d.hyparquetLoaded||(clearInterval(m),_LOG("Failed to load hyparquet module"),"undefined"!==typeof b&&b.error?b.error("Failed to load hyparquet module"):q("Failed to load hyparquet module"))},1E4);l.head.appendChild(e)};h.Feed.prototype.__processWithHyparquet=function(a,b,c){try{_LOG("Processing parquet data with hyparquet, buffer size: "+
-a.byteLength+" bytes");_LOG("Hyparquet object: "+JSON.stringify(c));_LOG("Available hyparquet methods: "+Object.keys(c).join(", "));if(4>a.byteLength)throw Error("File too small to be a valid parquet file");var e=new Uint8Array(a),m=String.fromCharCode.apply(String,[].concat($jscomp.arrayFromIterable(e.slice(0,4))));_LOG("Parquet file magic number: "+m);_LOG("Parquet file size: "+a.byteLength+" bytes");_LOG("First 16 bytes: "+Array.from(e.slice(0,16)).map(function(a){return a.toString(16).padStart(2,
-"0")}).join(" "));_LOG("Buffer analysis:");_LOG("  - Total bytes: "+a.byteLength);_LOG("  - Last 16 bytes: "+Array.from(e.slice(-16)).map(function(a){return a.toString(16).padStart(2,"0")}).join(" "));_LOG("  - Buffer constructor: "+a.constructor.name);_LOG("  - Is ArrayBuffer: "+(a instanceof ArrayBuffer));if("PAR1"!==m)throw Error("File does not appear to be a valid parquet file (missing PAR1 magic number). Magic: "+m);_LOG("Valid parquet file detected, processing with hyparquet...");if("function"!==
-typeof c.parquetReadObjects)throw Error("parquetReadObjects method not found in hyparquet. Available methods: "+Object.keys(c).join(", "));_LOG("Calling hyparquet.parquetReadObjects...");_LOG("Available hyparquet methods: "+Object.keys(c).join(", "));try{_LOG("Using original ArrayBuffer, size: "+a.byteLength+" bytes");_LOG("ArrayBuffer constructor: "+a.constructor.name);_LOG("ArrayBuffer isView: "+ArrayBuffer.isView(a));_LOG("ArrayBuffer byteLength: "+a.byteLength);if(!(a instanceof ArrayBuffer))throw Error("parquetBuffer is not an ArrayBuffer: "+
-typeof a);if("function"===typeof c.parquetReadObjects){_LOG("Using parquetReadObjects method with ArrayBuffer...");c.compressors?(_LOG("\u2705 Compressors available: "+Object.keys(c.compressors).join(", ")),c.compressors.zstd&&(_LOG("\u2705 ZSTD compression supported!"),_LOG("ZSTD compressor details:",c.compressors.zstd)),_LOG("Full compressors object:",c.compressors)):(_LOG("\u26a0\ufe0f No compressors available - ZSTD files may not work"),_LOG("Hyparquet object keys:",Object.keys(c)),_LOG("Window compressors available:",
-d.compressors?Object.keys(d.compressors):"None"));var f=null;c.compressors?(f=c.compressors,_LOG("Using compressors from hyparquet.compressors")):d.compressors&&d.compressors.compressors?(f=d.compressors.compressors,_LOG("Using compressors from window.compressors.compressors")):d.compressors&&d.compressors.default&&d.compressors.default.compressors?(f=d.compressors.default.compressors,_LOG("Using compressors from window.compressors.default.compressors")):_LOG("\u26a0\ufe0f No compressors found anywhere - ZSTD files will fail");
-var g=c.parquetReadObjects({file:a,rowStart:0,rowEnd:1E5,compressors:f})}else if("function"===typeof c.read)_LOG("Using read method with ArrayBuffer..."),g=c.read(a);else if("function"===typeof c.parse)_LOG("Using parse method with ArrayBuffer..."),g=c.parse(a);else{e=!1;f=$jscomp.makeIterator(["readParquet","parseParquet","load","fromBuffer"]);for(var h=f.next();!h.done;h=f.next()){var l=h.value;if("function"===typeof c[l]){_LOG("Using "+l+" method with ArrayBuffer...");g=c[l](a);e=!0;break}}if(!e)throw Error("No suitable hyparquet method found. Available: "+
-Object.keys(c).join(", "));}_LOG("Method result type: "+typeof g);_LOG("Method result: "+JSON.stringify(g));_LOG("Method result constructor: "+(g?g.constructor.name:"null/undefined"));if(null===g||g===k)throw Error("Method returned null or undefined");}catch(t){throw _LOG("Error calling hyparquet method: "+t),Error("Failed to call hyparquet method: "+t);}if(g&&"function"===typeof g.then){_LOG("Result is a Promise, waiting for resolution...");var p=this;g.then(function(a){try{if(!Array.isArray(a))throw Error("Expected rows to be an array, got: "+
-typeof a);if(0===a.length)throw Error("No rows found in parquet file");if(!a[0]||"object"!==typeof a[0])throw Error("First row is not a valid object: "+JSON.stringify(a[0]));var c=Object.keys(a[0]);_LOG("Extracted columns: "+c.join(", "));if(0===c.length)throw Error("No columns found in first row");for(var e=[],d=0;d<a.length;d++){for(var f=[],g=0;g<c.length;g++){var m=a[d][c[g]];null===m||m===k?f.push(""):"object"===typeof m&&m.toDate?f.push(m.toDate().toISOString()):"object"===typeof m?f.push(JSON.stringify(m)):
-f.push(String(m))}e.push(f)}_LOG("Converted "+e.length+" rows with "+c.length+" columns");a=[c];a.push.apply(a,[].concat($jscomp.arrayFromIterable(e)));console.log(b);p.__createDataTableObject(a,"parquet",b)}catch(B){throw _LOG("Error in rows processing: "+B),Error("Error processing parquet rows: "+B);}}).catch(function(a){_LOG("Error in hyparquet method: "+a);_LOG("Error stack: "+a.stack);_LOG("Error message: "+a.message);throw Error("Error reading parquet data: "+a);})}else{_LOG("Result is not a Promise, treating as direct return");
-c=g;_LOG("Direct return rows type: "+typeof c);_LOG("Direct return rows value: "+JSON.stringify(c));_LOG("Direct return rows constructor: "+(c?c.constructor.name:"null/undefined"));_LOG("Direct return rows length: "+(c?c.length:"N/A"));try{_LOG("Parquet data read successfully (direct return), rows type: "+typeof c);_LOG("Rows value: "+JSON.stringify(c));if(!Array.isArray(c))throw Error("Expected rows to be an array, got: "+typeof c);if(0===c.length)throw Error("No rows found in parquet file");_LOG("Number of rows: "+
-c.length);_LOG("First row: "+JSON.stringify(c[0]));if(!c[0]||"object"!==typeof c[0])throw Error("First row is not a valid object: "+JSON.stringify(c[0]));var n=Object.keys(c[0]);_LOG("Extracted columns: "+n.join(", "));if(0===n.length)throw Error("No columns found in first row");a=[];for(g=0;g<c.length;g++){f=[];for(h=0;h<n.length;h++){var u=c[g][n[h]];null===u||u===k?f.push(""):"object"===typeof u&&u.toDate?f.push(u.toDate().toISOString()):"object"===typeof u?f.push(JSON.stringify(u)):f.push(String(u))}a.push(f)}_LOG("Converted "+
-a.length+" rows with "+n.length+" columns");n=[n];n.push.apply(n,[].concat($jscomp.arrayFromIterable(a)));this.__createDataTableObject(n,"parquet",b)}catch(t){throw _LOG("Error in rows processing: "+t),Error("Error processing parquet rows: "+t);}}}catch(t){_LOG("Error processing parquet data: "+t),"undefined"!==typeof b&&b.error?b.error("Error processing parquet data: "+t):q("Error processing parquet data: "+t)}};h.Feed.prototype.__processGeoParquetData=function(a,b){var c=this;if("undefined"!==typeof d.geoparquet)_LOG("GeoParquet library already loaded, processing data..."),
-c.__processWithGeoParquet(a,b,d.geoparquet);else{_LOG("Loading GeoParquet library dynamically...");var e=l.createElement("script");e.type="module";e.textContent='\n                import { asyncBufferFromUrl, toGeoJson } from \'https://cdn.jsdelivr.net/npm/geoparquet@0.5.0/+esm\';\n                \n                console.log("GeoParquet module imported");\n                console.log("Available geoparquet methods:", Object.keys({ asyncBufferFromUrl, toGeoJson }));\n                \n                // Make geoparquet available globally\n                window.geoparquet = { asyncBufferFromUrl, toGeoJson };\n                window.geoparquetLoaded = true;\n            ';
-var m=setInterval(function(){d.geoparquetLoaded&&d.geoparquet&&(clearInterval(m),_LOG("GeoParquet module loaded successfully"),c.__processWithGeoParquet(a,b,d.geoparquet))},100);setTimeout(function(){d.geoparquetLoaded||(clearInterval(m),_LOG("Failed to load GeoParquet module"),"undefined"!==typeof b&&b.error?b.error("Failed to load GeoParquet module"):q("Failed to load GeoParquet module"))},1E4);l.head.appendChild(e)}};h.Feed.prototype.__processWithGeoParquet=function(a,b,c){try{_LOG("Processing GeoParquet data, buffer size: "+
-a.byteLength+" bytes");_LOG("GeoParquet object: "+JSON.stringify(c));_LOG("Available geoparquet methods: "+Object.keys(c).join(", "));if(4>a.byteLength)throw Error("File too small to be a valid parquet file");var e=new Uint8Array(a),d=String.fromCharCode.apply(String,[].concat($jscomp.arrayFromIterable(e.slice(0,4))));_LOG("Parquet file magic number: "+d);if("PAR1"!==d)throw Error("File does not appear to be a valid parquet file (missing PAR1 magic number). Magic: "+d);_LOG("Valid parquet file detected, processing with geoparquet...");
-if("function"!==typeof c.toGeoJson)throw Error("toGeoJson method not found in geoparquet. Available methods: "+Object.keys(c).join(", "));_LOG("Calling geoparquet.toGeoJson...");var f=c.toGeoJson({file:a});_LOG("GeoJSON conversion result type: "+typeof f);_LOG("GeoJSON conversion result: "+JSON.stringify(f));if(f&&"function"===typeof f.then){_LOG("GeoJSON conversion is a Promise, waiting for resolution...");var g=this;f.then(function(a){try{_LOG("GeoJSON conversion completed successfully"),_LOG("GeoJSON type: "+
-a.type),_LOG("Number of features: "+(a.features?a.features.length:"unknown")),g.__processGeoJsonData(a,b)}catch(x){throw _LOG("Error processing GeoJSON data: "+x),Error("Error processing GeoJSON data: "+x);}}).catch(function(a){_LOG("Error in GeoJSON conversion: "+a);_LOG("Error stack: "+a.stack);_LOG("Error message: "+a.message);"undefined"!==typeof b&&b.error?b.error("Error converting GeoParquet to GeoJSON: "+a):q("Error converting GeoParquet to GeoJSON: "+a)})}else{_LOG("GeoJSON conversion returned directly");
-if(!f)throw Error("GeoJSON conversion returned null or undefined");_LOG("GeoJSON type: "+f.type);_LOG("Number of features: "+(f.features?f.features.length:"unknown"));this.__processGeoJsonData(f,b)}}catch(A){_LOG("Error processing GeoParquet data: "+A),"undefined"!==typeof b&&b.error?b.error("Error processing GeoParquet data: "+A):q("Error processing GeoParquet data: "+A)}};h.Feed.prototype.__createDataTableObject=function(a,b,c){a&&(console.log(a),this.dbtable=(new h.Table).setArray(a),console.log(this.dbtable),
-"undefined"!=typeof c&&c.success?c.success(this.dbtable):_LOG("callback to call on succes is 'undefined'!"))};h.Table=function(a){a?(this.table=a.table,this.fields=a.fields,this.records=a.records):(this.table={records:0,fields:0},this.fields=[],this.records=[])};h.Table.prototype={getArray:function(){for(var a=[[]],b=0,c=this.fields.length;b<c;b++)a[0].push(this.fields[b].id);b=0;for(c=this.records.length;b<c;b++)a.push(this.records[b]);return a},setArray:function(a){this.fields=[];for(var b=0,c=
-a[0].length;b<c;b++)this.fields.push({id:(a[0][b]||" ").trim(),typ:0,width:60,decimals:0});a.shift();this.records=[];b=0;for(c=a.length;b<c;b++)a[b].length==this.fields.length&&this.records.push(a[b]);this.table={records:this.records.length,fields:this.fields.length};return this},revert:function(){for(var a=[],b=this.records.length-1;0<=b;b--)a.push(this.records[b]);this.records=a;return this},reverse:function(){for(var a=[],b=this.records.length-1;0<=b;b--)a.push(this.records[b]);this.records=a;
-return this},columnNames:function(){for(var a=[],b=0,c=this.fields.length;b<c;b++)a.push(this.fields[b].id);return a},columnIndex:function(a){for(var b in this.fields)if(this.fields[b].id==a)return b;return null},column:function(a){for(var b in this.fields)if(this.fields[b].id==a)return a=new h.Column,a.index=b,a.table=this,a;return null},lookupArray:function(a,b){var c="overwrite";a&&a.key&&(c=a.calc||c,b=a.key,a=a.value);var e=[];this.column(b)||alert("'"+b+"' column not found!");this.column(a)||
-alert("'"+a+"' column not found!");b=this.column(b).values();a=this.column(a).values();if("sum"==c){var d=0;for(c=b.length;d<c;d++)e[String(b[d])]=(e[String(b[d])]||0)+a[d]}else if("max"==c)for(d=0,c=b.length;d<c;d++)e[String(b[d])]=Math.max(e[String(b[d])]||0,a[d]);else for(d=0,c=b.length;d<c;d++)e[String(b[d])]=a[d];return e},lookupStringArray:function(a,b){a&&a.key&&(b=a.key,a=a.value);var c=[];this.column(b)||alert("'"+b+"' column not found!");this.column(a)||alert("'"+a+"' column not found!");
-b=this.column(b).values();a=this.column(a).values();for(var e=0,d=b.length;e<d;e++)c[String(b[e])]=c[String(b[e])]?c[String(b[e])]+", "+a[e]:a[e];return c},lookup:function(a,b){var c=b.value;b=b.lookup;var e=c+"_"+b;this.lookupsA&&this.lookupsA[e]||(this.lookupsA=this.lookupsA||[],this.lookupsA[e]=this.lookupArray(c,b));return this.lookupsA[e][a]||"-"},toKeyValue:function(a){return this.lookupArray(a.value,a.key)},addColumn:function(a,b){if(!a.destination)return alert("'data.addColumn' no destination defined!"),
-null;var c=null;if(a.source){for(var e=0,d=this.fields.length;e<d;e++)this.fields[e].id==a.source&&(c=e);if(null==c)return alert("'data.addColumn' source column '"+a.source+"' not found!"),null}this.fields.push({id:String(a.destination),created:!0});this.table.fields++;if(b&&"function"==typeof b)for(a=0,d=this.records.length;a<d;a++)this.records[a].push(null!=c?b(this.records[a][c],this.records[a]):b(this.records[a]));else if(b&&"object"==typeof b)for(a=0,d=this.records.length;a<d;a++)this.records[a].push(b[a]||
-0);else if(a.values&&"object"==typeof a.values)for(b=0,d=this.records.length;b<d;b++)this.records[b].push(a.values[b]||0);else for(b=0,d=this.records.length;b<d;b++)this.records[b].push(0);return this},addRow:function(a){if(!a||"object"!==typeof a)return alert("'data.addRow' no options defined!"),null;for(var b=[],c=0,e=this.fields.length;c<e;c++)b.push("");for(var d in a)this.column(d)?b[this.column(d).index]=a[d]:alert("'data.addRow' column '"+d+"' not found!");this.records.push(b);this.table.records++;
-return this},filter:function(a){this.selection=new h.Table;for(var b in this.records)a&&a(this.records[b])&&(this.selection.records.push(this.records[b]),this.selection.table.records++);this.selection.fields=this.fields.slice();this.selection.table.fields=this.table.fields;return this.selection},select:function(a){if(a.match(/WHERE/)){for(var b=a.split("WHERE")[1].trim().split(" "),c=0;c<b.length;c++)if(b[c].length){if('"'==b[c][0]&&'"'!=b[c][b[c].length-1]){do b[c]=b[c]+" "+b[c+1],b.splice(c+1,1);
-while('"'!=b[c][b[c].length-1])}if("("==b[c][0]&&")"!=b[c][b[c].length-1]){do b[c]=b[c]+" "+b[c+1],b.splice(c+1,1);while(")"!=b[c][b[c].length-1])}}else b.splice(c,1),c--;this.filterQueryA=[];c={};var e="";do{var d=0;3<=b.length&&(c={},c.szSelectionField=b[0].replace(/("|)/g,""),c.szSelectionOp=b[1],c.szSelectionValue=b[2].replace(/("|)/g,""),d=3);"BETWEEN"==c.szSelectionOp&&5<=b.length&&"AND"==b[3]&&(c.szSelectionValue2=b[4],d=5);if(d){for(var f=0;f<this.fields.length;f++)this.fields[f].id==c.szSelectionField&&
-(c.nFilterFieldIndex=f),"$"+this.fields[f].id+"$"==c.szSelectionValue&&(c.nFilterValueIndex=f);c.szCombineOp=e;this.filterQueryA.push(c);b.splice(0,d)}else{q("data.js - selection error - incomplete query!\nquery: "+a);break}if(b.length&&"AND"==b[0])e="AND",b.splice(0,1);else if(b.length&&"OR"==b[0])e="OR",b.splice(0,1);else break}while(b.length);this.selection=new h.Table;for(b=0;b<this.filterQueryA.length;b++)if("undefined"===typeof this.filterQueryA[b].nFilterFieldIndex)return this.selection.fields=
-this.fields.slice(),this.selection.table.fields=this.table.fields,_LOG("Selection: invalid query: "+a),this.selection;a=0;for(b=this.records.length;a<b;a++){c=null;e=0;for(d=this.filterQueryA.length;e<d;e++)f=!0,this.__szValue=String(this.records[a][this.filterQueryA[e].nFilterFieldIndex]),this.__szSelectionOp=this.filterQueryA[e].szSelectionOp.toUpperCase(),this.__szSelectionValue=this.filterQueryA[e].szSelectionValue,this.__szSelectionValue2=this.filterQueryA[e].szSelectionValue2,this.__szCombineOp=
-this.filterQueryA[e].szCombineOp,null!=this.filterQueryA[e].nFilterValueIndex&&(this.__szSelectionValue=String(this.records[a][this.filterQueryA[e].nFilterValueIndex])),f=__scanValue(this.__szValue),"="==this.__szSelectionOp?f="*"==this.__szSelectionValue?""!=this.__szValue.replace(/ /g,""):this.__szValue==this.__szSelectionValue||f==Number(this.__szSelectionValue):"<>"==this.__szSelectionOp?f=!(this.__szValue==this.__szSelectionValue||f==Number(this.__szSelectionValue)):">"==this.__szSelectionOp?
-f=f>Number(this.__szSelectionValue):"<"==this.__szSelectionOp?f=f<Number(this.__szSelectionValue):">="==this.__szSelectionOp?f=f>=Number(this.__szSelectionValue):"<="==this.__szSelectionOp?f=f<=Number(this.__szSelectionValue):"LIKE"==this.__szSelectionOp?"*"==this.__szSelectionValue?f=this.__szValue.length:(f=this.__szSelectionValue.replace(/[.*+?^${}()|[\]\\]/g,"\\$&"),f=(new RegExp(f,"i")).test(this.__szValue)):"NOT"==this.__szSelectionOp?(f=this.__szSelectionValue.replace(/[.*+?^${}()|[\]\\]/g,
-"\\$&"),f=!(new RegExp(f,"i")).test(this.__szValue)):"IN"==this.__szSelectionOp?f=this.__szSelectionValue.split(",").map(function(a){return a.trim()}).includes(this.__szValue):"BETWEEN"==this.__szSelectionOp?f=f>=Number(this.__szSelectionValue)&&f<=Number(this.__szSelectionValue2):(f=this.__szSelectionValue.replace(/[.*+?^${}()|[\]\\]/g,"\\$&"),f=(new RegExp(f,"i")).test(this.__szValue)),c="AND"==this.__szCombineOp?c&&f:c||f;c&&(this.selection.records.push(this.records[a].slice()),this.selection.table.records++)}}this.selection.fields=
-this.fields.slice();this.selection.table.fields=this.table.fields;return this.selection},aggregate:function(a,b){var c=!1;a.lead&&(c=a.calc&&"mean"==a.calc,b=a.lead,a=a.column||a.value);b=b.split("|");for(var e=[],d=null,f=0;f<b.length;f++)for(var g=0;g<this.fields.length;g++)this.fields[g].id==b[f]&&(e[f]=g),this.fields[g].id==a&&(d=g);this.aggregation=new h.Table;xRecords=[];xCount=[];g=0;for(f=this.records.length;g<f;g++){for(var k=[],l=0,p=e.length;l<p;l++)k.push(this.records[g][e[l]]);k=k.join("");
-if(xRecords[k])xRecords[k][e.length]+=__scanValue(this.records[g][d]),xCount[k][e.length]++;else{xRecords[k]=[];xRecords[k][e.length]=__scanValue(this.records[g][d]);for(l=0;l<e.length;l++)xRecords[k][l]=this.records[g][e[l]];xCount[k]=[];xCount[k][e.length]=1}}d=0;for(f=xRecords.length;d<f;d++)c&&(xRecords[d][e.length]/=xCount[d][e.length]),this.aggregation.records.push(xRecords[d]),this.aggregation.table.records++;c=[];for(e=0;e<b.length;e++)c[e]={id:b[e]};c[b.length]={id:a};this.aggregation.fields=
-c;this.aggregation.table.fields=c;return this.aggregation},condense:function(a,b){var c={},d=[];a&&a.lead&&(b=a,a=b.lead);a=this.columnIndex(a);if(b&&b.keep)if("string"==typeof b.keep)d[this.columnIndex(b.keep)]=!0;else for(i=0;i<b.keep.length;i++)d[this.columnIndex(b.keep[i])]=!0;for(var m=[],f=0;f<this.records.length;f++){var g=String(this.records[f][a]);if(null!=c[g]){g=c[g];for(var k=0,l=this.records[f].length;k<l;k++)if(!d[k])if(!isNaN(this.records[f][k]))m[g][k]=b&&"max"==b.calc?Math.max(Number(m[g][k]),
-Number(this.records[f][k])):Number(m[g][k])+Number(this.records[f][k]);else if(isNaN(this.records[f][k])&&m[g][k]!=this.records[f][k]){var p=parseFloat(String(m[g][k]).split(" (+")[1])||0;m[g][k]=String(m[g][k]).split(" (+")[0]+" (+"+ ++p+") "}}else m.push(this.records[f].slice()),c[g]=m.length-1}this.__condense=new h.Table;this.__condense.fields=this.fields;this.__condense.table.fields=this.fields;this.__condense.records=m.slice();this.__condense.table.records=this.__condense.records.length;return this.__condense},
-groupColumns:function(a){for(var b=a.source,c=[],d=0,h=b.length;d<h;d++)c[d]=this.column(b[d]).index;this.addColumn({destination:a.destination},function(a){for(var b=0,d=0,e=c.length;d<e;d++)b+=Number(a[c[d]]);return b});return this},pivot:function(a){a.lead=a.lead||a.rows;a.cols=a.cols||a.columns;a.keep=a.keep||[];a.sum=a.sum||[];a.lead=w(a.lead);a.cols=w(a.cols);a.keep=w(a.keep);a.sum=w(a.sum);a.value=w(a.value);a.forced=w(a.forced);for(var b=[],c=0;c<this.fields.length;c++)b[String(this.fields[c].id)]=
-c;c=0;for(var d=a.lead.length;c<d;c++)"undefined"==typeof b[a.lead[c]]&&q("data.pivot - pivot keep column '"+a.lead[c]+"' not found");c=0;for(d=a.cols.length;c<d;c++)a.cols&&"undefined"==typeof b[a.cols[c]]&&q("data.pivot - pivot columns source column '"+a.cols[c]+"' not found");c=0;for(d=a.keep.length;c<d;c++)"undefined"==typeof b[a.keep[c]]&&q("data.pivot - pivot keep column '"+a.keep[c]+"' not found");c=0;for(d=a.sum.length;c<d;c++)"undefined"==typeof b[a.sum[c]]&&q("data.pivot - pivot sum column '"+
-a.sum[c]+"' not found");c=0;for(d=a.value.length;c<d;c++)"undefined"==typeof b[a.value[c]]&&q("data.pivot - pivot value column '"+a.value[c]+"' not found");c=[];var m=[],f=this.records;if(a.forced)for(d=0;d<a.forced.length;d++)m[String(a.forced[d])]=0;var g=0;for(d=f.length;g<d;g++){for(var k=[f[g][b[a.lead[0]]]],l=1;l<a.lead.length;l++)k.push(f[g][b[a.lead[l]]]);k=k.join("|");l=String(f[g][b[a.cols[0]]]);if("string"==a.calc)var p=f[g][b[a.value[0]]];else if(p=1,a.value&&a.value.length)for(var n=
-p=0;n<a.value.length;n++)p+=a.value[n]?__scanValue(f[g][b[a.value[n]]]):1;if(!l||1>l.length)l="undefined";"undefined"==typeof m[l]&&(m[l]=0);if(c[k]){for(n=0;n<a.keep.length;n++)f[g][b[a.keep[n]]]&&f[g][b[a.keep[n]]].length&&c[k][a.keep[n]]!=f[g][b[a.keep[n]]]&&(c[k][a.keep[n]]=f[g][b[a.keep[n]]]);for(n=0;n<a.sum.length;n++)c[k][a.sum[n]]+=Number(f[g][b[a.sum[n]]])}else{c[k]={Total:0};for(n=0;n<a.keep.length;n++)c[k][a.keep[n]]=f[g][b[a.keep[n]]];for(n=0;n<a.sum.length;n++)c[k][a.sum[n]]=Number(f[g][b[a.sum[n]]])}c[k].Total+=
-p;c[k][l]?"max"==a.calc?c[k][l]=Math.max(p,c[k][l]):(c[k][l]+=p,c[k][l+"count"]++):(c[k][l]=p,c[k][l+"count"]=1)}this.__pivot=new h.Table;for(b=0;b<a.lead.length;b++)this.__pivot.fields.push({id:a.lead[b]});for(b=0;b<a.keep.length;b++)this.__pivot.fields.push({id:a.keep[b]});for(b=0;b<a.sum.length;b++)this.__pivot.fields.push({id:a.sum[b]});if(a.cols&&a.cols.length)for(var u in m)Object.prototype.hasOwnProperty.call(m,u)&&this.__pivot.fields.push({id:u});this.__pivot.fields.push({id:"Total"});for(var t in c)if(Object.prototype.hasOwnProperty.call(c,
-t)){u=[];b=t.split("|");if(a.lead&&a.lead.length)for(d=0;d<b.length;d++)u.push(b[d]);for(b=0;b<a.keep.length;b++)u.push(c[t][a.keep[b]]);for(b=0;b<a.sum.length;b++)u.push(c[t][a.sum[b]]);if(a.cols&&a.cols.length)for(var r in m)Object.prototype.hasOwnProperty.call(m,r)&&("mean"==a.calc?u.push((c[t][r]||0)/(c[t][r+"count"]||1)):u.push(c[t][r]||0));u.push(c[t].Total);this.__pivot.records.push(u);this.__pivot.table.records++}return this.__pivot},subtable:function(a){this.__subt=new h.Table;if(a.fields){a.columns=
-[];for(var b=0;b<a.fields.length;b++)for(var c=0;c<this.fields.length;c++)this.fields[c].id==a.fields[b]&&a.columns.push(c)}for(b=0;b<a.columns.length;b++)this.__subt.fields.push({id:String(this.fields[a.columns[b]].id)}),this.__subt.table.fields++;for(var d in this.records){b=[];for(c=0;c<a.columns.length;c++)b.push(this.records[d][a.columns[c]]);this.__subt.records.push(b);this.__subt.table.records++}return this.__subt},sort:function(a,b){var c=this.column(a).values(),d=0;for(a=0;a<Math.min(c.length,
-10);a++)isNaN(parseFloat(String(c[a]).replace(",",".")))||d++;a=[];if(d)for(d=0;d<c.length;d++)a.push({index:d,value:Number(String(c[d]).replace(",","."))});else for(d=0;d<c.length;d++)a.push({index:d,value:c[d]});b&&"DOWN"==b?a.sort(function(a,b){return a.value>b.value?-1:1}):a.sort(function(a,b){return a.value<b.value?-1:1});b=[];for(c=0;c<a.length;c++)b.push(this.records[a[c].index]);this.records=b;return this},append:function(a){if(this.table.fields.length!=a.table.fields.length)return null;for(var b=
-0;b<this.table.fields.length;b++)if(this.table.fields[b].id!=a.table.fields[b].id)return null;a=a.records;for(b=0;b<a.length;b++)this.records.push(a[b]);this.table.records=this.records.length;return this},json:function(){this.__json=[];for(var a in this.records){var b={},c;for(c in this.fields)b[String(this.fields[c].id)]=this.records[a][c];this.__json.push(b)}return this.__json}};__myNumber=function(a){a=parseFloat(a.replace(/\./g,"").replace(/\,/g,"."));return isNaN(a)?0:a};__scanValue=function(a){a=
-String(a).match(/,/)?parseFloat(String(a).replace(/\./gi,"").replace(/,/gi,".")):parseFloat(String(a).replace(/ /gi,""));return isNaN(a)?0:a};h.Table.prototype.addTimeColumns=function(a){if(!a.source)return null;for(var b in this.fields)if(this.fields[b].id==a.source){for(var c=a.create||["date","year","month","day","hour"],d=0;d<c.length;d++)this.fields.push({id:String(c[d])}),this.table.fields++;d=this.records.length;var h;for(h=0;h<d;h++)for(var f=new Date(this.records[h][b]),g=0;g<c.length;g++)switch(c[g]){case "date":var k=
-String(f.getDate())+"."+String(f.getMonth()+1)+"."+String(f.getFullYear());this.records[h].push(k);break;case "year":this.records[h].push(f.getFullYear());break;case "month":this.records[h].push(f.getMonth()+1);break;case "day":this.records[h].push(f.getDay());break;case "hour":this.records[h].push(f.getHours())}}return this};h.Column=function(){this.valueA=this.index=this.table=null};h.Column.prototype={values:function(){this.valueA=[];for(var a in this.table.records)this.valueA.push(this.table.records[a][this.index]);
-return this.valueA},uniqueValues:function(){this.valueA=[];for(var a in this.table.records)this.valueA.push(this.table.records[a][this.index]);return this.valueA.filter(z)},map:function(a){for(var b in this.table.records)this.table.records[b][this.index]=a(this.table.records[b][this.index],this.table.records[b],this.index);return this},rename:function(a){this.table.fields[this.index].id=a;return this},remove:function(){this.table.fields.splice(this.index,1);for(var a in this.table.records)this.table.records[a].splice(this.index,
-1);this.table.table.fields--;return this}};h.Feed.prototype.column=function(a){return this.dbtable.column(a)};h.Feed.prototype.select=function(a){return this.dbtable.select(a)};h.Feed.prototype.aggregate=function(a,b){return this.dbtable.aggregate(a,b)};h.Feed.prototype.revert=function(){return this.dbtable.revert()};h.Feed.prototype.reverse=function(){return this.dbtable.reverse()};h.Feed.prototype.pivot=function(a){return this.dbtable.pivot(a)};h.Feed.prototype.subtable=function(a){return this.dbtable.subtable(a)};
-h.Feed.prototype.addTimeColumns=function(a){return this.dbtable.addTimeColumns(a)};h.Broker=function(a){this.souceQueryA=[];this.options=a||{};a&&this.parseDefinition(a);this.onNotify=function(){};this.onError=function(){}};h.Broker.prototype=new h.Feed;h.Broker.prototype={addSource:function(a,b){_LOG("Data.Broker.addSource: "+a);this.souceQueryA.push({url:a,type:b,data:null,result:null,next:this});return this},setCallback:function(a){this.callback=a;return this},realize:function(a){this.callback=
-a||this.callback;for(var b in this.souceQueryA)if(this.souceQueryA[b].url&&!this.souceQueryA[b].result)return this.getData(this.souceQueryA[b]),this;this.data=[];for(var c in this.souceQueryA)this.data.push(this.souceQueryA[c].data);this.callback(this.data);return this},error:function(a){this.onError=a||this.onError;return this},notify:function(a){this.onNotify=a||this.onNotify;return this}};h.Broker.prototype.parseDefinition=function(a){this.callback=a.callback||null};h.Broker.prototype.getData=
-function(a){this.onNotify(a);a.feed=h.feed({source:a.url,type:a.type,options:a.next.options,parent:this}).load(function(b){a.data=b;a.data.raw=a.feed.data;this.parent.onNotify(a);a.result="success";a.next.realize()}).error(function(b){a.data=null;a.result="error";a.next.realize()})};h.Broker.prototype.setData=function(a){this.parent.__doCreateTableDataObject(a,null,this.parent.options)};h.Feed.prototype.broker=function(a){a=new h.Broker(a);a.parent=this;return a};h.broker=function(){return new h.Broker};
-h.Merger=function(a){this.sourceA=[];this.options=a||{};a&&this.parseDefinition(a)};h.Merger.prototype={addSource:function(a,b){this.sourceA.push({data:a,opt:b});return this},setOutputColumns:function(a){this.outColumnsA=a;return this},realize:function(a){this.callback=a||this.callback;_LOG("DataMerger: >>>");a=[];for(var b in this.sourceA){var c=this.sourceA[b];c.opt.columns=c.opt.columns||c.data.columnNames();c.opt.label=c.opt.label||[];c.opt.columns=w(c.opt.columns);c.opt.label=w(c.opt.label);
-this.sourceA[b].data||q("DataMerger: source '"+b+"' not found");this.sourceA[b].data[0]||(this.sourceA[b].data=this.sourceA[b].data.getArray());this.sourceA[b].data[0]||q("DataMerger: source '"+b+"' not found or not of type Array");c=[];for(var d in this.sourceA[b].data[0]){this.sourceA[b].data[0][d]==this.sourceA[b].opt.lookup&&(c[this.sourceA[b].opt.lookup]=d);for(var k in this.sourceA[b].opt.columns)this.sourceA[b].opt.label[k]||(this.sourceA[b].opt.label[k]=this.sourceA[b].opt.columns[k]+"."+
-(Number(b)+1)+""),this.sourceA[b].data[0][d]==this.sourceA[b].opt.columns[k]&&(c[this.sourceA[b].opt.label[k]]=d)}for(var f in this.sourceA[b].opt.columns)c[this.sourceA[b].opt.label[f]]||_LOG("DataMerger: '"+this.sourceA[b].opt.label[f]+"' not found");a.push(c)}b=[];for(var g in this.sourceA)for(var l in this.sourceA[g].opt.label)b.push(this.sourceA[g].opt.label[l]);if(!this.outColumnsA){this.outColumnsA=[];for(var r in b)this.outColumnsA.push(b[r])}g=[];for(var p in this.outColumnsA)for(var n in a)for(var u in a[n])u==
-this.outColumnsA[p]&&(g[u]={input:n,index:a[n][u]});for(var t in this.outColumnsA)if(!g[this.outColumnsA[t]])for(var v in this.sourceA[0].data[0])this.sourceA[0].data[0][v]==this.outColumnsA[t]&&(g[this.outColumnsA[t]]={input:0,index:v});this.namedSourceA=[];for(p=1;p<this.sourceA.length;p++)for(this.namedSourceA[p]=[],n=1;n<this.sourceA[p].data.length;n++)this.namedSourceA[p][String(this.sourceA[p].data[n][a[p][this.sourceA[p].opt.lookup]])]=this.sourceA[p].data[n];p=[];p.push(this.outColumnsA);
-for(n=1;n<this.sourceA[0].data.length;n++){u=String(this.sourceA[0].data[n][[a[0][this.sourceA[0].opt.lookup]]]);t=[];for(var y in this.outColumnsA)if(v=g[this.outColumnsA[y]])0==v.input?t.push(this.sourceA[0].data[n][v.index]):this.namedSourceA[v.input][u]?t.push(this.namedSourceA[v.input][u][v.index]):t.push(" ");else return q('DataMerger - missing "'+this.outColumnsA[y]+'" in label:[...]'),null;p.push(t)}_LOG("DataMerger: done");y=new h.Table;y.setArray(p);this.callback&&this.callback(y);return y},
-error:function(a){this.onError=a||this.onError;return this}};h.merger=function(){return new h.Merger};console.log("*** data.js "+h.version+" ***");var q=function(a){console.log("data.js v"+h.version+": "+a)}})(window,document);
+/** 
+ * @fileoverview
+ * provides an object and methods to load, parse and process various data sources.<br>
+ * The <b>sources</b> may be of the following type: <b>csv</b>, <b>json</b>, <b>geojson</b>, <b>kml</b>, <b>gml</b>, <b>rss</b>, <b>shapefile</b>, and <b>parquet</b> and <b>gpkg</b> (using DuckDB WASM).<br>
+ * The <b>methods</b> to load data are: 
+ * <ul><li>Data.<b>feed()</b> to load from url</li>
+ * <li>Data.<b>import()</b> to import javascript objects and</li>
+ * <li>Data.<b>broker()</b> to load more than one source</li></ul>
+ * The loaded data is stored in a Table object which gives the user the methods to transform the data.<br>
+ * The format of the data of a Table object is jsonDB, the same format used internaly by iXmaps.
+ * @example 
+ *
+ *  // define data source
+ *  var szUrl = "https://raw.githubusercontent.com/emergenzeHack/terremotocentro/master/_data/issues.csv";
+ *
+ *  // load data from feed
+ *  var myfeed = Data.feed({"source":szUrl,"type":"csv"}).load(function(mydata){
+ *
+ *      // on data load succeeds, process the loaded data via mydata object
+ *      // create new columns 'date' and 'hour' from one timestamp column
+ *      // we need them to create pivot tables 
+ *      // ---------------------------------------------------------------
+ *      mydata.addColumn({'source':'created_at','destination':'date'},function(value){
+ *          var d = new Date(__normalizeTime(value));
+ *          return( String(d.getDate()) + "." + String(d.getMonth()+1) + "." + String(d.getFullYear()) );
+ *      });
+ *
+ *      // get the hours
+ *      // -----------------------------------------
+ *      var hoursA = mydata.column("hour").values();
+ *
+ *      // do something ... 
+ *
+ *      // make a pivot table from the values in column 'state'
+ *      // ----------------------------------------------------
+ *      var pivot = mydata.pivot({ "lead":	'date',
+ *                                 "keep":  ['created_at'],	
+ *                                 "cols":	'state' 
+ *                               });
+ *
+ *      // invert data table (let the last record be the first)
+ *      // ----------------------------------------------
+ *      pivot = pivot.revert();
+ *
+ *      // make chart with 2 curves, total and closed issues
+ *      // -------------------------------------------------
+ *      var set1  = pivot.column("Total").values();
+ *      var set2  = pivot.column("closed").values();
+ *
+ *     ....
+ * }).error(function(e){
+ *      alert("Data.feed error: " + e);
+ * });
+ *
+ * @author Guenter Richter guenter.richter@medienobjekte.de
+ * @version 1.56 
+ * @copyright CC BY SA
+ * @license MIT
+ */
+!function(e,t,n){const o=new Date;_LOG=function(e){var t=(new Date-o)/1e3;console.log("_LOG: time[sec.ms] "+t+"\n"+e)};const r=function(e){return"[object Array]"===Object.prototype.toString.call(e)},s=function(e){return e&&void 0!==e?r(e)?e:String(e).match(/\|/)?String(e).split("|"):String(e).split(","):[]},l=function(e,t,n){return n.indexOf(e)===t};var c={version:"1.56",errors:[],log:function(e){console.log(e)}};"object"==typeof module&&"object"==typeof module.exports?module.exports=c:"function"==typeof define&&define.amd&&define(c),void 0!==e&&function(){const t=e.Data;c.noConflict=function(){return e.Data=t,this},e.Data=c}(),c.Error=function(e,t,n){n=n||{},this.name="Data.Error",this.code=e,this.message=t,this.source=void 0!==n.source?n.source:null,this.column=void 0!==n.column?n.column:null,this.row=void 0!==n.row?n.row:null,this.cause=n.cause||null,this.stack=new Error(t).stack},c.Error.prototype=Object.create(Error.prototype),c.Error.prototype.constructor=c.Error,c.Error.prototype.toString=function(){return this.message},c.onError=null,c.silent=!1,c.maxErrors=100;let a=0;const u=function(e,t,n){const o=new c.Error(e,t,n);if(a++,c.errors.push(o),c.errors.length>Math.max(c.maxErrors,1)&&c.errors.splice(0,c.errors.length-Math.max(c.maxErrors,1)),c.silent||console.log("data.js v"+c.version+": "+o.message),"function"==typeof c.onError)try{c.onError(o)}catch(e){console.log("data.js: error in Data.onError: "+e)}return o},h=function(e,t,n,o){const r=(e=e||{}).source||e.src||e.url||e.ext,s=t instanceof c.Error?t:u(t,n,Object.assign({source:"string"!=typeof r||r.match(/[\r\n]/)?null:r},o));return"function"==typeof e.error&&e.error(s),s},f=function(e){return e?"string"==typeof e?e:e.message||e.statusText||String(e):"unknown error"},p=function(e,t,n){return!e.__settled&&(e.__settled={error:t,result:n},(e.__waitA||[]).forEach(function(e){t?e.reject(t):e.resolve(n)}),e.__waitA=[],e.__abort&&(e.__abort.signal.removeEventListener("abort",e.__abort.listener),e.__abort=null),!0)},d=function(e,t){const n=this;return new Promise(function(e,t){n.__settled?n.__settled.error?t(n.__settled.error):e(n.__settled.result):n.__started?(n.__waitA=n.__waitA||[],n.__waitA.push({resolve:e,reject:t})):t(u("NOT_STARTED","then(): nothing to wait for, call load() or realize() first"))}).then(e,t)},g=function(e){return this.then(null,e)};c.Object=function(e){this.options=e,this.debug=!1},c.Object.prototype={import:function(e){return this.options.success=this.options.success||e,this.feed=c.feed({}),this.feed.options=this.options,"csv"==this.options.type||"CSV"==this.options.type?this.feed.__processCSVData(this.options.source,this.options):"rss"==this.options.type||"RSS"==this.options.type?(this.options.format="xml",this.feed.__processRSSData(this.options.source,this.options)):"kml"==this.options.type||"KML"==this.options.type?(this.options.format="xml",this.feed.__processKMLData(this.options.source,this.options)):"gml"==this.options.type||"GML"==this.options.type?(this.options.format="xml",this.feed.__processGMLData(this.options.source,this.options)):"json"==this.options.type||"JSON"==this.options.type||"Json"==this.options.type?this.feed.__processJsonData(this.options.source,this.options):"geojson"==this.options.type||"GEOJSON"==this.options.type||"GeoJson"==this.options.type?this.feed.__processGeoJsonData(this.options.source,this.options):"topojson"==this.options.type||"TOPOJSON"==this.options.type||"TopoJson"==this.options.type?this.feed.__processTopoJsonData(this.options.source,this.options):"jsonDB"==this.options.type||"JSONDB"==this.options.type||"JsonDB"==this.options.type||"jsondb"==this.options.type?this.feed.__processJsonDBData(this.options.source,this.options):"parquet"==this.options.type||"PARQUET"==this.options.type?this.options.source instanceof ArrayBuffer&&(_LOG("Processing parquet ArrayBuffer directly: "+this.options.source.byteLength+" bytes"),this.feed.__processParquetData(this.options.source,this.options)):"geoparquet"==this.options.type||"GEOPARQUET"==this.options.type?this.options.source instanceof ArrayBuffer&&(_LOG("Processing geoparquet ArrayBuffer directly: "+this.options.source.byteLength+" bytes"),this.feed.__processGeoParquetData(this.options.source,this.options)):"xlsx"!=this.options.type&&"XLSX"!=this.options.type&&"xls"!=this.options.type&&"ods"!=this.options.type&&"ODS"!=this.options.type||this.options.source instanceof ArrayBuffer&&this.feed.__processSpreadsheetData(this.options.source,this.options),this},error:function(e){return this.options.error=e,this}},c.Import=function(e){this.options=e,this.debug=!1},c.Feed=function(e){this.options=e||{},this.debug=!1},c.Feed.prototype={load:function(e){const t=this,n=this.options,o=n.source||n.src||n.url||n.ext;this.__optionCallbacks||(this.__optionCallbacks={success:n.success,error:n.error});const r=this.__optionCallbacks;if(this.__settled=null,this.__started=!0,this.cancelled=!1,n.success=function(n){p(t,null,n)&&(e&&e.call(this,n),"function"==typeof r.success&&r.success.call(this,n))},n.error=function(e){p(t,e)&&(t.onError&&t.onError(e),"function"==typeof r.error&&r.error.call(this,e))},n.signal){if(n.signal.aborted)return this.cancel(),this;this.__abort={signal:n.signal,listener:function(){t.cancel()}},n.signal.addEventListener("abort",this.__abort.listener)}return void 0===n.cache&&(n.cache=!0,n.options&&void 0!==n.options.cache&&(n.cache=n.options.cache)),o?(n.persist&&"string"==typeof o&&c.cache.available()?this.__doCachedImport(o,n):this.__doImport(o,n),this):(h(n,"NO_SOURCE","Data.feed(...).load(): no source defined !"),this)},__doImport:function(e,t){const n=this;"csv"==t.type||"CSV"==t.type?t.stream||t.chunkSize||t.worker?this.__doCSVStreamImport(e,t):this.__doCSVImport(e,t):"rss"==t.type||"RSS"==t.type?this.__doRSSImport(e,t):"kml"==t.type||"KML"==t.type?this.__doKMLImport(e,t):"gml"==t.type||"GML"==t.type?this.__doGMLImport(e,t):"json"==t.type||"JSON"==t.type||"Json"==t.type?this.__doJSONImport(e,t):"geojson"==t.type||"GEOJSON"==t.type||"GeoJson"==t.type?this.__doGeoJSONImport(e,t):"topojson"==t.type||"TOPOJSON"==t.type||"TopoJson"==t.type?this.__doTopoJSONImport(e,t):"jsonDB"==t.type||"JSONDB"==t.type||"JsonDB"==t.type||"jsondb"==t.type?this.__doJsonDBImport(e,t):"jsonstat"==t.type||"jsonStat"==t.type||"JSONSTAT"==t.type?$.getScript("http://json-stat.org/lib/json-stat.js").done(function(o,r){n.__doLoadJSONstat(e,t)}).fail(function(e,n,o){h(t,"PARSER_NOT_LOADED","'"+t.type+"' parser not loaded !")}):"sdmx"==t.type||"SDMX"==t.type?this.__doLoadSDMX(e,t):"parquet"==t.type||"PARQUET"==t.type?t.sql||t.columns||t.where?this.__doParquetQueryImport(e,t):this.__doParquetImport(e,t):"shapefile"==t.type||"SHAPEFILE"==t.type||"shp"==t.type||"SHP"==t.type?this.__doShapefileImport(e,t):"gpkg"==t.type||"GPKG"==t.type||"geopackage"==t.type||"GeoPackage"==t.type?this.__doGeoPackageImport(e,t):"ogcapi"==t.type||"OGCAPI"==t.type||"ogcapi-features"==t.type?this.__doOGCFeaturesImport(e,t):"wfs"==t.type||"WFS"==t.type?this.__doWFSImport(e,t):"xlsx"==t.type||"XLSX"==t.type||"xls"==t.type||"ods"==t.type||"ODS"==t.type?this.__doSpreadsheetImport(e,t):h(t,"UNKNOWN_FORMAT","'"+t.type+"' unknown format !")},error:function(e){return this.onError=e,this},progress:function(e){return this.options.progress=e,this},cancel:function(){if(this.cancelled||this.__settled)return this;this.cancelled=!0,this.__parser&&this.__parser.abort();const e=this.options.source||this.options.src||this.options.url||this.options.ext;return h(this.options,"CANCELLED",'"'+e+'" loading cancelled'),this},then:d,catch:g},c.feed=function(e){return new c.Feed(e)},c.object=function(e){return new c.Object(e)},c.import=function(e){return new c.Object(e).import().feed.dbtable};const m="tables",_=function(t,n){return new Promise(function(t,n){const o=e.indexedDB.open("data.js-cache",1);o.onupgradeneeded=function(){o.result.createObjectStore(m,{keyPath:"key"})},o.onsuccess=function(){t(o.result)},o.onerror=function(){n(o.error)}}).then(function(e){return new Promise(function(o,r){let s=null,i=null;try{s=e.transaction(m,t),i=n(s.objectStore(m))}catch(t){return e.close(),void r(t)}s.oncomplete=function(){e.close(),o(i?i.result:null)},s.onerror=s.onabort=function(){e.close(),r(s.error)}})})};c.cache={ttl:86400,available:function(){return!!e.indexedDB},key:function(e,t){let o="";try{o=JSON.stringify(t,function(e,t){return"function"==typeof t||"persist"==e||"cache"==e?n:t})}catch(e){o=String(t.type)}return e+"|"+o},get:function(e){return _("readonly",function(t){return t.get(e)})},set:function(e){return _("readwrite",function(t){return t.put(e)})},remove:function(e){return _("readwrite",function(t){const n=t.openCursor();return n.onsuccess=function(){const t=n.result;t&&(t.value.url==e&&t.delete(),t.continue())},null})},clear:function(){return _("readwrite",function(e){return e.clear()})}},c.Feed.prototype.__doCachedImport=function(e,t){const n=this,o=c.cache.key(e,t),r="object"==typeof t.persist&&"number"==typeof t.persist.ttl?t.persist.ttl:c.cache.ttl,s=function(n){_LOG("Data.cache: "+n),h(t,"LOAD_ERROR",'"'+e+'" '+f(n),{cause:n})},i=function(e){const o=new c.Table({table:{records:e.records.length,fields:e.fields.length},fields:e.fields,records:e.records});e.sdmx&&(o.sdmx=e.sdmx),n.dbtable=o,t.success&&t.success(o)},l=function(r){const s=t.success;t.success=function(n){t.success=s,c.cache.set({key:o,url:e,time:Date.now(),etag:r?r.get("ETag"):null,lastModified:r?r.get("Last-Modified"):null,fields:n.fields,records:n.records,sdmx:n.sdmx||null}).catch(function(e){_LOG("Data.cache: table not stored: "+e)}),s&&s(n)},n.__doImport(e,t)};c.cache.get(o).then(function(t){t&&Date.now()-t.time<1e3*r?(_LOG("Data.cache: from cache: "+e),i(t)):function(t){fetch(e,{method:"HEAD",cache:"no-cache"}).then(function(n){const o=n.ok?n.headers:null;t&&o&&(t.etag&&o.get("ETag")==t.etag||!t.etag&&t.lastModified&&o.get("Last-Modified")==t.lastModified)?(_LOG("Data.cache: not modified: "+e),t.time=Date.now(),c.cache.set(t).catch(function(e){_LOG("Data.cache: table time not updated: "+e)}),i(t)):l(o)},function(){l(null)}).catch(s)}(t)},function(o){_LOG("Data.cache: not available: "+o),n.__doImport(e,t)}).catch(s)};c.Feed.prototype.__doLoadJSONstat=function(e,t){const n=this;JSONstat(e,function(){const e=[];let o=[this.Dataset(0).Dimension(0).label];const r=this.Dataset(0).Dimension(1).id;for(let e=0;e<r.length;e++)o.push(this.Dataset(0).Dimension(1).Category(r[e]).label);e.push(o);for(let t=0;t<this.Dataset(0).Dimension(0).length;t++){o=[],o.push(this.Dataset(0).Dimension(0).Category(this.Dataset(0).Dimension(0).id[t]).label);for(let e=0;e<this.Dataset(0).Dimension(1).length;e++)o.push(this.Dataset(0).Data([t,e]).value);e.push(o)}t.callback?t.callback(e,t):n.__createDataTableObject(e,t.type,t)})},c.Feed.prototype.__doLoadSDMX=function(e,t){_LOG("__doLoadSDMX: "+e);const n=this,o=function(o){$.ajax({type:"GET",url:e,cache:t.cache,dataType:"text",success:function(e){n.__processSDMXData(e,t,o)},error:function(n,o,r){h(t,"LOAD_ERROR",'"'+e+'" '+r)}})};t.structure?$.ajax({type:"GET",url:t.structure,cache:t.cache,dataType:"text",success:function(e){o(n.__parseSDMXStructure(e,t))},error:function(e,n,r){_LOG("__doLoadSDMX: structure not loaded, no labels! "+r),o(t.codelists||{})}}):o(t.codelists||{})},c.Feed.prototype.__parseSDMXStructure=function(e,t){const n=t.lang||"en",o=(new DOMParser).parseFromString(e,"text/xml"),r=function(e,t){return Array.from(e.getElementsByTagNameNS("*",t))},s=function(e){let t=null;for(const o of r(e,"Name"))o.parentNode==e&&(t&&o.getAttribute("xml:lang")!=n||(t=o.textContent));return t},i={};for(const e of r(o,"Codelist")){const t={};for(const n of r(e,"Code"))t[n.getAttribute("id")]=s(n)||n.getAttribute("id");i[e.getAttribute("id")]=t}const l=Object.assign({},t.codelists);for(const e of r(o,"Dimension").concat(r(o,"Attribute"))){const t=e.getAttribute("id"),n=r(e,"Enumeration")[0],o=n?r(n,"Ref")[0]:null;t&&o&&i[o.getAttribute("id")]&&!l[t]&&(l[t]=i[o.getAttribute("id")])}return l},c.Feed.prototype.__processSDMXData=function(e,t,n){const o=this;let r=null,s=null;if("<"==String(e).trim()[0]){const t=(new DOMParser).parseFromString(e,"text/xml"),n=function(e,t){return Array.from(e.getElementsByTagNameNS("*",t))},o=function(e,t){for(const n of Array.from(e.attributes))n.name.match(/^xmlns|:/)||(t[n.name]=n.value);return t},i=function(e,t){for(const o of n(e,"Value"))t[o.getAttribute("id")||o.getAttribute("concept")]=o.getAttribute("value");return t},l=[];let c=!1;for(const e of n(t,"Series")){const t=n(e,"SeriesKey")[0];c=c||!!t;const r=t?i(t,{}):o(e,{});t&&n(e,"Attributes")[0]&&i(n(e,"Attributes")[0],r);for(const s of n(e,"Obs")){const e=Object.assign({},r);if(t){const t=n(s,"ObsDimension")[0],o=n(s,"ObsValue")[0];e.TIME_PERIOD=t?t.getAttribute("value"):"",e.OBS_VALUE=o?o.getAttribute("value"):"",n(s,"Attributes")[0]&&i(n(s,"Attributes")[0],e)}else o(s,e);l.push(e)}}if(!l.length)for(const e of n(t,"Obs"))l.push(o(e,{}));const a=n(t,"DataSet")[0],u=n(t,"Structure")[0]||n(t,"StructureUsage")[0],h=[];for(const e of l)for(const t in e)h.includes(t)||h.push(t);const f=h.indexOf("TIME_PERIOD"),p=h.indexOf("OBS_VALUE"),d=h.filter(function(e){return"TIME_PERIOD"!=e&&"OBS_VALUE"!=e}),g=d.concat(f>=0?["TIME_PERIOD"]:[],p>=0?["OBS_VALUE"]:[]);r=[g];for(const e of l)r.push(g.map(function(t){return void 0===e[t]?"":e[t]}));s={dataflow:a&&(a.getAttribute("structureRef")||a.getAttribute("ss:dataScope"))||u&&u.getAttribute("structureID")||"",dimensions:d.concat(f>=0?["TIME_PERIOD"]:[])},_LOG("__processSDMXData: SDMX-ML "+(c?"generic":"structure specific")+", "+l.length+" observations")}else{if("undefined"==typeof Papa)return void $.getScript(y()).done(function(r,s){o.__processSDMXData(e,t,n)}).fail(function(e,n,o){h(t,"PARSER_NOT_LOADED","'"+t.type+"' parser not loaded !")});if(r=Papa.parse(e,{skipEmptyLines:!0}).data,r.length<2)return void h(t,"PARSE_ERROR","sdmx parsing error: insufficient rows in data !");const i=r[0],l="STRUCTURE"==i[0]?"ACTION"==i[2]?3:2:1,c=i.indexOf("TIME_PERIOD"),a=i.indexOf("OBS_VALUE"),u=c>=0?c:a>=0?a-1:i.length-1;s={dataflow:r[1][l-1]||"",dimensions:i.slice(l,u+1)};const f=a>=0?a+1:i.length;for(let e=i.length-1;e>=f;e--){let t=!0;for(let n=1;n<r.length&&t;n++)t=!String(r[n][e]||"").length;if(t)for(const t of r)t.splice(e,1)}}s.timeDimension=s.dimensions.includes("TIME_PERIOD")?"TIME_PERIOD":null,s.measure=r[0].includes("OBS_VALUE")?"OBS_VALUE":null,s.attributes=r[0].filter(function(e){return!s.dimensions.includes(e)&&e!=s.measure&&!e.match(/^(DATAFLOW|STRUCTURE|STRUCTURE_ID|ACTION)$/)}),s.codelists=n||{};for(let e=r[0].length-1;e>=0;e--){const t=s.codelists[r[0][e]];if(t){r[0].splice(e+1,0,r[0][e]+"_label");for(let n=1;n<r.length;n++){const o=r[n][e];r[n].splice(e+1,0,void 0!==t[o]?t[o]:o)}}}t.callback?t.callback(r,t):(this.__sdmx=s,this.__createDataTableObject(r,t.type,t))},c.Feed.prototype.__doJsonDBImport=function(e,t){_LOG("__doJsonDBImport: "+e);const n=this;t.url=e,$.getScript(e+".gz").done(function(e,o){n.__processJsonDBData(e,t)}).fail(function(o,r,s){$.getScript(e).done(function(e,o){n.__processJsonDBData(e,t)}).fail(function(n,o,r){h(t,"LOAD_ERROR",'"'+e+'" '+r)})})},c.Feed.prototype.__processJsonDBData=function(t,n){_LOG("__processJsonDBData:"),this.dbtable=new c.Table;let o=null;if("string"==typeof t){const t=n.source.split(/\//).pop().split(/\./)[0];o=void 0!==e?e[t]:global[t]}else o=n.source;this.dbtable.table=o.table,this.dbtable.fields=o.fields,this.dbtable.records=o.records,n.callback?n.callback(newData,n):void 0!==n&&n.success&&n.success(this.dbtable)};const y=function(){return e.ixmaps&&"string"==typeof e.ixmaps.szResourceBase?e.ixmaps.szResourceBase+"ui/libs/PapaParse-4.6.0/papaparse.min.js":"https://cdnjs.cloudflare.com/ajax/libs/PapaParse/4.6.0/papaparse.min.js"};c.Feed.prototype.__doCSVImport=function(e,t){_LOG("__doCSVImport: "+e);const n=this;$.ajax({type:"GET",url:e,cache:t.cache,dataType:"text",success:function(e){n.__processCSVData(e,t)},error:function(n,o,r){h(t,"LOAD_ERROR",'"'+e+'" '+r)}})},c.Feed.prototype.__processCSVData=function(e,t){if(_LOG("__processCSVData - start"),"undefined"==typeof Papa){_LOG("__processCSVData:load csv parser!");const n=this;return $.getScript(y()).done(function(o,r){n.__processCSVData(e,t)}).fail(function(e,n,o){h(t,"PARSER_NOT_LOADED","'"+t.type+"' parser not loaded !")}),!1}let n=Papa.parse(e,t.parser);if(n.errors.length)return h(t,"PARSE_ERROR","csv parsing error: "+n.errors.map(e=>e.message).join(";"),{row:n.errors[0].row}),!1;let o=n.data;if(o.length<2||void 0===o[0]||void 0===o[1])return h(t,"PARSE_ERROR","csv parsing error: insufficient rows in data !"),!1;if(!(t.parser&&t.parser.delimiter||o[0].length===o[1].length)){_LOG("csv parser: autodetect failed");const n=[";",","];let r=!1;for(const t of n){if(_LOG(`csv parser: delimiter = ${t}`),o=Papa.parse(e,{delimiter:t}).data,o[0].length===o[1].length){r=!0;break}_LOG(`csv parser: delimiter = ${t} failed`)}if(!r)return h(t,"PARSE_ERROR","csv parsing error: unable to auto detect delimiter!"),!1}return this.__finishCSVData(o,t),!1},c.Feed.prototype.__finishCSVData=function(e,t){e[e.length-1].length!==e[0].length&&e.length>1&&e.pop(),e[0].length-e[1].length===1&&""===e[0][e[0].length-1].trim()&&e[0].pop(),t.callback?t.callback(e,t):(_LOG("__createDataTableObject: "+(t.options?" -> "+t.options.name:"")),this.__createDataTableObject(e,t.type,t))},c.Feed.prototype.__doCSVStreamImport=function(t,n){_LOG("__doCSVStreamImport: "+t);const o=this;if(this.cancelled)return;if(n.worker&&e.Worker&&e.Blob)return void this.__doCSVWorkerImport(t,n);if("undefined"==typeof Papa)return void $.getScript(y()).done(function(e,r){o.__doCSVStreamImport(t,n)}).fail(function(e,t,o){h(n,"PARSER_NOT_LOADED","'"+n.type+"' parser not loaded !")});const r=this.__csvProgress(t,n),s=n.parser&&n.parser.delimiter?[n.parser.delimiter]:[null,";",","];this.__parser=null;const i=function(e){const l=[];let c=[],a=1==s.length,u=!1;const p=Object.assign({},n.parser,{download:!0,chunkSize:n.chunkSize||Papa.RemoteChunkSize,chunk:function(t,n){if(o.__parser=n,o.cancelled)n.abort();else{for(const e of t.data)l.push(e);if(!a&&l.length>=2&&(a=!0,l[0].length!==l[1].length))return _LOG("csv parser: delimiter "+(s[e]||"autodetect")+" failed"),u=!0,void n.abort();t.errors.length&&(c=c.concat(t.errors)),r(Math.max(l.length-1,0),t.meta.cursor)}},complete:function(){o.__parser=null,o.cancelled?_LOG("__doCSVStreamImport: cancelled "+t):u?e+1<s.length?i(e+1):h(n,"PARSE_ERROR","csv parsing error: unable to auto detect delimiter!"):(c.length&&_LOG("csv parsing: "+c.length+" errors, first: "+c[0].message+" (row "+c[0].row+")"),l.length<2?h(n,"PARSE_ERROR","csv parsing error: insufficient rows in data !"):o.__finishCSVData(l,n))},error:function(e){o.__parser=null,h(n,"LOAD_ERROR",'"'+t+'" '+f(e),{cause:e})}});s[e]&&(p.delimiter=s[e]),Papa.parse(t,p)};i(0)},c.Feed.prototype.__csvProgress=function(e,t){let n=null;return t.progress?($.ajax({type:"HEAD",url:e,success:function(e,t,o){const r=parseInt(o.getResponseHeader("Content-Length"),10);n=isNaN(r)?null:r}}),function(e,o){t.progress({rows:e,bytes:o,totalBytes:n,percent:n?Math.min(100,Math.round(o/n*100)):null})}):function(){}},c.Feed.prototype.__doCSVWorkerImport=function(e,n){_LOG("__doCSVWorkerImport: "+e);const o=this,r=this.__csvProgress(e,n),s=URL.createObjectURL(new Blob([b],{type:"application/javascript"})),i=new Worker(s),l=function(){o.__parser=null,i.terminate(),URL.revokeObjectURL(s)};this.__parser={abort:l},i.onmessage=function(e){const t=e.data;"progress"===t.type?r(t.rows,t.bytes):"complete"===t.type?(l(),t.errors&&_LOG("csv parsing: "+t.errors+" errors, first: "+t.firstError),o.__finishCSVData(t.rows,n)):"error"===t.type&&(l(),h(n,t.code,t.message))},i.onerror=function(e){l(),h(n,"PARSER_NOT_LOADED","'"+n.type+"' parser worker: "+f(e),{cause:e})},i.postMessage({url:new URL(e,t.baseURI).href,scriptUrl:new URL(y(),t.baseURI).href,parser:n.parser?JSON.parse(JSON.stringify(n.parser)):{},chunkSize:n.chunkSize||null})};const b='\n        self.onmessage = function (e) {\n            const options = e.data;\n            try {\n                importScripts(options.scriptUrl);\n            } catch (error) {\n                self.postMessage({\n                    type: "error",\n                    code: "PARSER_NOT_LOADED",\n                    message: "\'csv\' parser not loaded !"\n                });\n                return;\n            }\n            const delimiterA = options.parser.delimiter ? [options.parser.delimiter] : [null, ";", ","];\n\n            const parse = function (nTry) {\n                const rows = [];\n                let errors = 0;\n                let firstError = null;\n                let fChecked = (delimiterA.length == 1);\n                let fRetry = false;\n\n                const config = Object.assign({}, options.parser, {\n                    download: true,\n                    chunkSize: options.chunkSize || Papa.RemoteChunkSize,\n                    chunk: function (results, parser) {\n                        for (const row of results.data) {\n                            rows.push(row);\n                        }\n                        if (!fChecked && (rows.length >= 2)) {\n                            fChecked = true;\n                            if (rows[0].length !== rows[1].length) {\n                                fRetry = true;\n                                parser.abort();\n                                return;\n                            }\n                        }\n                        if (results.errors.length) {\n                            errors += results.errors.length;\n                            firstError = firstError || (results.errors[0].message + " (row " + results.errors[0].row + ")");\n                        }\n                        self.postMessage({\n                            type: "progress",\n                            rows: Math.max(rows.length - 1, 0),\n                            bytes: results.meta.cursor\n                        });\n                    },\n                    complete: function () {\n                        if (fRetry) {\n                            if (nTry + 1 < delimiterA.length) {\n                                parse(nTry + 1);\n                            } else {\n                                self.postMessage({\n                                    type: "error",\n                                    code: "PARSE_ERROR",\n                                    message: "csv parsing error: unable to auto detect delimiter!"\n                                });\n                            }\n                            return;\n                        }\n                        if (rows.length < 2) {\n                            self.postMessage({\n                                type: "error",\n                                code: "PARSE_ERROR",\n                                message: "csv parsing error: insufficient rows in data !"\n                            });\n                            return;\n                        }\n                        self.postMessage({\n                            type: "complete",\n                            errors: errors,\n                            firstError: firstError,\n                            rows: rows\n                        });\n                    },\n                    error: function (error) {\n                        self.postMessage({\n                            type: "error",\n                            code: "LOAD_ERROR",\n                            message: "\\"" + options.url + "\\" " + ((error && error.message) || String(error))\n                        });\n                    }\n                });\n                if (delimiterA[nTry]) {\n                    config.delimiter = delimiterA[nTry];\n                }\n                Papa.parse(options.url, config);\n            };\n\n            parse(0);\n        };\n    ';c.Feed.prototype.__doRSSImport=function(e,t){_LOG("__doRSSImport: "+e);const n=this;t.format="xml",$.ajax({type:"GET",url:e,dataType:"xml",success:function(e){n.__processRSSData(e,t)},error:function(n,o,r){h(t,"LOAD_ERROR",'"'+e+'" '+(r||f(n)),{cause:n})}})},c.Feed.prototype.__processRSSData=function(e,t){"xml"==t.format&&($(e).find("rss").length?this.__parseRSSData(e,t):$(e).find("feed").length?h(t,"UNKNOWN_FORMAT","feed not yet supported"):$(e).find("atom").length&&h(t,"UNKNOWN_FORMAT","atom not yet supported"))},c.Feed.prototype.__parseRSSData=function(e,t){const n=this;"xml"==t.format&&$(e).find("channel").each(function(){const o=[];let r=null;$(e).find("item").each(function(){if(!r){const e=[];r=[];const t=$(this).children();for(let n=0;n<t.length;n++){let t=$(this).children()[n].nodeName;for(;e[t];)t+="*";e[t]=t,r[n]=t}o.push(r)}const e=[];for(let t=0;t<r.length;t++)"enclosure"==r[t]?e.push($(this).find(r[t]+":first").attr("url")||""):e.push($(this).find(r[t]+":first").text()||"");o.push(e)}),n.__createDataTableObject(o,"rss",t)})},c.Feed.prototype.__doKMLImport=function(e,t){_LOG("__doKMLImport: "+e);const n=this;t.format="xml",$.ajax({type:"GET",url:e,dataType:"xml",success:function(e){n.__processKMLData(e,t)},error:function(n,o,r){h(t,"LOAD_ERROR",'"'+e+'" '+(r||f(n)),{cause:n})}})},c.Feed.prototype.__doGMLImport=function(e,t){_LOG("__doGMLImport: "+e);const n=this;t.format="xml",$.ajax({type:"GET",url:e,dataType:"xml",success:function(e){n.__processGMLData(e,t)},error:function(n,o,r){h(t,"LOAD_ERROR",'"'+e+'" '+(r||f(n)),{cause:n})}})},c.Feed.prototype.__processKMLData=function(e,t){"xml"==t.format&&($(e).find("kml").length?this.__parseKMLData(e,t):h(t,"PARSE_ERROR","feed not kml"))},c.Feed.prototype.__parseKMLData=function(e,t){const n=this;if("xml"==t.format){const o=$(e).find("Document"),r=[];let s=null;o.find("Placemark").each(function(){const e=$(this).find("ExtendedData")||$(this);s||(s=[],e.find("Data").each(function(){s.push($(this).attr("name"))}),$(this).find("Point").find("coordinates")&&s.push("KML.Point"),r.push(s));const t=[];e.find("Data").each(function(){t.push($(this).find("value").text())}),$(this).find("Point").find("coordinates")&&t.push($(this).find("Point").find("coordinates").text()),r.push(t)}),n.__createDataTableObject(r,"kml",t)}},c.Feed.prototype.__processGMLData=function(e,t){"xml"==t.format&&("string"==typeof e&&(parser=new DOMParser,e=parser.parseFromString(e,"text/xml")),console.log(e),console.log($(e).find("wfs\\:FeatureCollection, gml\\:FeatureCollection, FeatureCollection")),$(e).find("wfs\\:FeatureCollection, gml\\:FeatureCollection, FeatureCollection").length?this.__parseGMLData(e,t):h(t,"PARSE_ERROR","feed not gml"))},c.Feed.prototype.__parseGMLData=function(e,t){const n=this;if("xml"==t.format){const o=$(e).find("wfs\\:FeatureCollection, FeatureCollection").first();if(0===o.length)return void h(t,"PARSE_ERROR","No FeatureCollection found in GML data");const r=[];let s=null;o.find("wfs\\:member, gml\\:featureMember, featureMember, gml\\:featureMembers, featureMembers").each(function(){const e=$(this).find("gml\\:*, *").first();if(0===e.length)return;s||(s=[],e.find("gml\\:*, *").each(function(){const e=$(this).prop("tagName");e&&!e.match(/^(gml:)?(boundedBy|location|pos|coordinates|geometry|geometryProperty)$/i)&&s.push(e.replace(/^gml:/,""))}),s.push("GML.Geometry"),r.push(s));const t=[];e.find("gml\\:*, *").each(function(){const e=$(this).prop("tagName");e&&!e.match(/^(gml:)?(boundedBy|location|pos|coordinates|geometry|geometryProperty)$/i)&&t.push($(this).text())});const n=e.find("gml\\:Polygon").first();if(n.length>0){let e='{"type":"Polygon","coordinates":[[',r=n.text().split(" "),s=0;for(var o=0;o<r.length;o++)if(Number(r[o])&&!isNaN(Number(r[o]))){s=o;break}if(console.log("coords:",r),console.log("start:",s),console.log("coords length:",r.length),s<r.length-1)for(console.log("coords[start]:",r[s]),console.log("coords[start+1]:",r[s+1]),o=s;o<r.length-1;o+=2)r[o]&&r[o+1]&&!isNaN(Number(r[o]))&&!isNaN(Number(r[o+1]))&&(e+=(o>s?",":"")+"["+r[o+1]+","+r[o]+"]");e+="]]}",console.log("final value:",e),t.push(e)}else t.push("");r.push(t)}),n.__createDataTableObject(r,"gml",t)}},c.Feed.prototype.__doJSONImport=function(e,t){const n=this;$.get(e,function(e){n.__processJsonData(e,t)}).fail(function(n){h(t,"LOAD_ERROR",'"'+e+'" '+f(n),{cause:n})})},__getNestedPaths=function(e,t=""){const n=[];if("object"!=typeof e||null===e||Array.isArray(e))Array.isArray(e)?e.forEach((e,o)=>{const r=t?`${t}.${o}`:String(o);n.push(...__getNestedPaths(e,r))}):n.push(t);else for(const o in e)if(Object.prototype.hasOwnProperty.call(e,o)){const r=e[o],s=t?`${t}.${o}`:o;n.push(...__getNestedPaths(r,s))}return n},__extractValuesRecursive=function(e,t){let o=[];if(null==e)o.push("null");else if("object"!=typeof t||null===t||Array.isArray(t))if(Array.isArray(t))for(let r=0;r<t.length;r++){const s=r<e.length?e[r]:n;o=o.concat(__extractValuesRecursive(s,t[r]))}else o.push(e);else for(const r in t)if(Object.prototype.hasOwnProperty.call(t,r)){const s=Object.prototype.hasOwnProperty.call(e,r)?e[r]:n;o=o.concat(__extractValuesRecursive(s,t[r]))}return o},c.Feed.prototype.__processJsonData=function(e,t){let n=null;if("string"==typeof e)try{n=JSON.parse(e)}catch(e){this.__createDataTableObject([],"json",t)}else n=e;this.data=n;let o=[],r=[];if(n&&n.data&&n.data.columns&&n.data.rows){const e=n.data.columns,t=n.data.rows;for(let t=0,n=e.length;t<n;t++)r.push(e[t]);o.push(r);for(let e=0,n=t.length;e<n;e++){r=[];for(let n=0,o=t[0].length;n<o;n++)r.push(t[e][n]);o.push(r)}}else{if(n&&n.data&&(n=n.data),!Array.isArray(n)){__findAllArraysInJson=function(e){const t=[];return function e(n){if(Array.isArray(n))t.push(n);else if("object"==typeof n&&null!==n)for(const t in n)n.hasOwnProperty(t)&&e(n[t])}(e),t},n=__findAllArraysInJson(n)[0]}if(!n){let n=[];n.push(["unknown type"]);const o=e.split("\n");for(let e=0,t=o.length;e<t;e++)n.push([o[e]]);return void this.__createDataTableObject(n,"json",t)}o.push(__getNestedPaths(n[0]));for(let e=0;e<n.length;e++)o.push(__extractValuesRecursive(n[e],n[0]))}this.__createDataTableObject(o,"json",t)},c.Feed.prototype.__doGeoJSONImport=function(e,t){const n=this;$.get(e,function(e){n.__processGeoJsonData(e,t)}).fail(function(n){h(t,"LOAD_ERROR",'"'+e+'" '+f(n),{cause:n})})},c.Feed.prototype.__processGeoJsonData=function(e,t){let o=null;if("string"==typeof e)try{o=JSON.parse(e)}catch(e){return void this.__createDataTableObject([],"json",t)}else o=e;this.data=o;const r=[],s={};if(o&&o.features&&o.features.length){for(const e of o.features)if(e.properties)for(const t in e.properties)s[t]=!0;const e=Object.keys(s);e.push("geometry"),r.push(e);for(const t of o.features){const o=[],s=t.properties||{};for(let t=0;t<e.length-1;t++){const r=s[e[t]];"object"==typeof r?o.push(JSON.stringify(r)):o.push(r!==n?r:"")}o.push(JSON.stringify(t.geometry)),r.push(o)}}this.__createDataTableObject(r,"json",t)},c.Feed.prototype.__processGeoJsonData_expandProperty=function(e,t){let n=null;if("string"==typeof e)try{n=JSON.parse(e)}catch(e){this.__createDataTableObject([],"json",t)}else n=e;this.data=n;let o=[],r=[];const s=[];if(n&&n.features&&n.features.length){for(let e=0;e<n.features.length;e++)for(const t in n.features[e].properties)if("string"==typeof n.features[e].properties[t]||"number"==typeof n.features[e].properties[t])s[t]=!0;else for(const o in n.features[e].properties[t])s[t+"."+o]=!0;for(const e in s)r.push(e);r.push("geometry"),o.push(r);for(let e=0;e<n.features.length;e++){r=[];for(let t=0;t<o[0].length-1;t++){const s=o[0][t].split(".");s.length>=2?r.push(n.features[e].properties[s[0]][s[1]]||""):r.push(n.features[e].properties[o[0][t]]||"")}r.push(JSON.stringify(n.features[e].geometry)),o.push(r)}}this.__createDataTableObject(o,"json",t)},c.Feed.prototype.__doTopoJSONImport=function(e,t){const n=this;$.get(e,function(e){n.__processTopoJsonData(e,t)}).fail(function(n){h(t,"LOAD_ERROR",'"'+e+'" '+f(n),{cause:n})})},c.Feed.prototype.__processTopoJsonData=function(e,t){if("undefined"==typeof topojson)return void h(t,"PARSER_NOT_LOADED","'"+t.type+"' parser not loaded !");let n=null;if("string"==typeof e)try{n=JSON.parse(e)}catch(e){this.__createDataTableObject([],"json",t)}else n=e;this.data=n;let o=null;if(t.options&&t.options.name&&n.objects[t.options.name])o=topojson.feature(n,n.objects[t.options.name]);else for(var r in n.objects){o=topojson.feature(n,n.objects[r]);break}for(const e in o.features)o.features[e].properties.id=o.features[e].id;this.__processGeoJsonData(o,t)};c.Feed.prototype.__doShapefileImport=function(e,t){_LOG("__doShapefileImport: "+e);const n=this;"undefined"!=typeof shp?fetch(e,{method:"GET",cache:t.cache?"default":"no-cache",signal:t.signal}).then(function(e){if(!e.ok)throw new Error("HTTP "+e.status+": "+e.statusText);return e.arrayBuffer()}).then(function(e){return shp(e)}).then(function(e){n.__processShapefileData(e,t)}).catch(function(n){_LOG("__doShapefileImport: "+n),h(t,"LOAD_ERROR",'"'+e+'" '+f(n),{cause:n})}):$.getScript("https://unpkg.com/shpjs@4.0.4/dist/shp.min.js").done(function(o,r){n.__doShapefileImport(e,t)}).fail(function(e,n,o){h(t,"PARSER_NOT_LOADED","'"+t.type+"' parser not loaded !")})},c.Feed.prototype.__processShapefileData=function(e,t){if(r(e)){let n=e[0];if(t.layer&&(n=e.filter(function(e){return String(e.fileName).split("/").pop()==t.layer})[0],!n))return void h(t,"INVALID_OPTION","shapefile '"+t.layer+"' not found in "+e.map(function(e){return e.fileName}).join(", "));e=n}this.__processGeoJsonData(e,t)},c.Feed.prototype.__doGeoPackageImport=function(t,n){_LOG("__doGeoPackageImport: "+t);const o=this,r="__gpkg_"+Date.now()+".gpkg",s=function(o){_LOG("__doGeoPackageImport: "+o),e.duckdb&&e.duckdb.db.dropFile(r),h(n,"LOAD_ERROR",'"'+t+'" '+f(o),{cause:o})};fetch(t,{method:"GET",cache:n.cache?"default":"no-cache",signal:n.signal}).then(function(e){if(!e.ok)throw new Error("HTTP "+e.status+": "+e.statusText);return e.arrayBuffer()}).then(function(e){D(function(){o.__processGeoPackageData(e,r,n).catch(s)},s)}).catch(s)},c.Feed.prototype.__processGeoPackageData=function(t,n,o){const r=this,s=e.duckdb.db,i=e.duckdb.conn;let l=null;const c=function(e){return e.toArray().map(function(e){return e.toJSON()})},a=function(e){return"'"+String(e).replace(/'/g,"''")+"'"};return s.registerFileBuffer(n,new Uint8Array(t)).then(function(){return i.query("INSTALL spatial; LOAD spatial;")}).then(function(){return i.query("SELECT UNNEST(layers) AS layer FROM ST_Read_Meta("+a(n)+")")}).then(function(e){const t=c(e).map(function(e){return e.layer});if(l=o.layer?t.filter(function(e){return e.name==o.layer})[0]:t[0],!l)throw new Error("layer '"+(o.layer||"")+"' not found");const r=l.geometry_fields&&l.geometry_fields.toArray?l.geometry_fields.toArray()[0]:(l.geometry_fields||[])[0],s=r&&r.crs,u=s&&s.auth_name&&s.auth_code?s.auth_name+":"+s.auth_code:null;_LOG("__processGeoPackageData: layer "+l.name+", CRS "+(u||"unknown"));let h="geom";return u&&"EPSG:4326"!=u&&(h="ST_Transform(geom, "+a(u)+", 'EPSG:4326', always_xy := true)"),i.query("SELECT * EXCLUDE (geom), ST_AsGeoJSON("+h+") AS __geometry FROM ST_Read("+a(n)+", layer = "+a(l.name)+")")}).then(function(e){s.dropFile(n);const t=c(e).map(function(e){const t={};for(const n in e)"__geometry"!=n&&(t[n]="bigint"==typeof e[n]?Number(e[n]):e[n]);return{type:"Feature",properties:t,geometry:e.__geometry?JSON.parse(e.__geometry):null}});r.__processGeoJsonData({type:"FeatureCollection",features:t},o)})};const O=function(e,t){const n=[];for(const e in t)null!=t[e]&&""!==t[e]&&n.push(encodeURIComponent(e)+"="+encodeURIComponent(t[e]));return n.length?e+(e.indexOf("?")>=0?"&":"?")+n.join("&"):e},S=function(e){return r(e)?e.join(","):e?String(e):null};c.Feed.prototype.__doOGCFeaturesImport=function(e,t){_LOG("__doOGCFeaturesImport: "+e);let n=e.split("?")[0].replace(/\/+$/,"");t.collection&&(n+="/collections/"+encodeURIComponent(t.collection)),n.match(/\/items$/)||(n+="/items"),e.indexOf("?")>=0&&(n+="?"+e.split("?").slice(1).join("?"));const o=t.pageSize||1e3,r=Object.assign({limit:t.maxFeatures?Math.min(o,t.maxFeatures):o,bbox:S(t.bbox)},t.filter?{filter:t.filter,"filter-lang":t.filterLang||"cql2-text"}:{},t.params);this.__doFeaturePagesImport(O(n,r),t,function(e,t){const n=(e.links||[]).filter(function(e){return"next"==e.rel&&(!e.type||e.type.match(/json/))})[0];return n?new URL(n.href,t).href:null})},c.Feed.prototype.__doWFSImport=function(e,t){_LOG("__doWFSImport: "+e);const n=t.typeName||t.typeNames||t.layer;if(!n)return void h(t,"INVALID_OPTION",'"'+e+'" wfs: no typeName defined !');const o=t.pageSize||1e3,r={SERVICE:"WFS",VERSION:"2.0.0",REQUEST:"GetFeature",TYPENAMES:n,OUTPUTFORMAT:t.outputFormat||"application/json",SRSNAME:"EPSG:4326"},s=S(t.bbox);t.filter&&String(t.filter).match(/^\s*</)?r.FILTER=t.filter:t.filter?r.CQL_FILTER=s?"("+t.filter+") AND BBOX("+(t.geometryName||"the_geom")+","+s+",'EPSG:4326')":t.filter:s&&(r.BBOX=s+",EPSG:4326"),Object.assign(r,t.params);let i=0;const l=function(){return O(e,Object.assign({},r,{COUNT:t.maxFeatures?Math.min(o,t.maxFeatures-i):o,STARTINDEX:i}))};this.__doFeaturePagesImport(l(),t,function(e){const t=(e.features||[]).length;i+=t;const n=parseInt(e.numberMatched,10);return(isNaN(n)?t<o:i>=n)?null:l()})},c.Feed.prototype.__doFeaturePagesImport=function(e,t,n){const o=this;let r=[],s=0;const i=function(e){_LOG("feature page: "+e),fetch(e,{method:"GET",headers:{Accept:"application/geo+json, application/json"},cache:t.cache?"default":"no-cache",signal:t.signal}).then(function(e){return e.text().then(function(t){if(!e.ok||t.match(/^\s*</)){const n=t.match(/<(?:\w+:)?ExceptionText>([\s\S]*?)<\//);let o=n?n[1].trim():null;try{o=o||JSON.parse(t).description}catch(e){o=o||null}throw new Error("HTTP "+e.status+": "+(o||e.statusText||"no GeoJSON"))}return s+=t.length,JSON.parse(t)})}).then(function(l){if(o.cancelled)return;if(r=r.concat(l.features||[]),t.maxFeatures&&r.length>=t.maxFeatures&&(r.length=t.maxFeatures),t.progress){const e=t.maxFeatures?Math.min(t.maxFeatures,l.numberMatched||t.maxFeatures):l.numberMatched;t.progress({rows:r.length,bytes:s,totalBytes:null,percent:e?Math.min(100,Math.round(r.length/e*100)):null})}const c=!l.features||!l.features.length||t.maxFeatures&&r.length>=t.maxFeatures?null:n(l,e);c?i(c):(_LOG("features loaded: "+r.length),o.__processGeoJsonData({type:"FeatureCollection",features:r},t))}).catch(function(n){_LOG("__doFeaturePagesImport: "+n),h(t,"LOAD_ERROR",'"'+e+'" '+f(n),{cause:n})})};i(e)};c.Feed.prototype.__doSpreadsheetImport=function(e,t){_LOG("__doSpreadsheetImport: "+e);const n=this;"undefined"!=typeof XLSX?fetch(e,{method:"GET",cache:t.cache?"default":"no-cache",signal:t.signal}).then(function(e){if(!e.ok)throw new Error("HTTP "+e.status+": "+e.statusText);return e.arrayBuffer()}).then(function(e){n.__processSpreadsheetData(e,t)}).catch(function(n){_LOG("__doSpreadsheetImport: "+n),h(t,"LOAD_ERROR",'"'+e+'" '+f(n),{cause:n})}):$.getScript("https://cdn.sheetjs.com/xlsx-0.20.3/package/dist/xlsx.full.min.js").done(function(o,r){n.__doSpreadsheetImport(e,t)}).fail(function(e,n,o){h(t,"PARSER_NOT_LOADED","'"+t.type+"' parser not loaded !")})};c.Feed.prototype.__processSpreadsheetData=function(e,t){if(null!=t.range){const e=String(t.range).trim().toUpperCase().match(/^([A-Z]{1,3})([1-9][0-9]*):([A-Z]{1,3})([1-9][0-9]*)?$/);if(!e||XLSX.utils.decode_col(e[3])<XLSX.utils.decode_col(e[1])||e[4]&&Number(e[4])<Number(e[2]))return void h(t,"INVALID_OPTION","invalid range '"+t.range+"', use e.g. 'A3:H200' or 'A3:H'")}let n=null;try{n=XLSX.read(new Uint8Array(e),{type:"array",cellNF:!0})}catch(e){return void h(t,"PARSE_ERROR","spreadsheet parsing error: "+f(e),{cause:e})}const o=!!(n.Workbook&&n.Workbook.WBProps&&n.Workbook.WBProps.date1904);let r=n.SheetNames[0];if(null!=t.sheet&&(r="number"==typeof t.sheet?n.SheetNames[t.sheet]:String(t.sheet),!n.Sheets[r]))return void h(t,"INVALID_OPTION","sheet '"+t.sheet+"' not found in "+n.SheetNames.join(", "));const s=n.Sheets[r];if(!s||!s["!ref"])return void h(t,"PARSE_ERROR","sheet '"+r+"' is empty !");const i=XLSX.utils.decode_range(t.range?String(t.range).trim().toUpperCase():s["!ref"]);if(t.range){const e=XLSX.utils.decode_range(s["!ref"]);i.e.r=i.e.r<0?e.e.r:Math.min(i.e.r,e.e.r)}const l={};for(const e of s["!merges"]||[])for(let t=e.s.r;t<=e.e.r;t++)for(let n=e.s.c;n<=e.e.c;n++)l[XLSX.utils.encode_cell({r:t,c:n})]=XLSX.utils.encode_cell(e.s);const c=function(e,t,n){let r=XLSX.utils.encode_cell({r:e,c:t});r=n&&l[r]||r;const i=s[r];return i&&null!=i.v&&"e"!=i.t&&"z"!=i.t?i.v instanceof Date||"n"==i.t&&i.z&&XLSX.SSF.is_date(i.z)?function(e,t){e instanceof Date||(e=new Date(1e3*Math.round(86400*(e+(t?1462:0)-25569))));const n=e.toISOString();return"00:00:00"==n.substr(11,8)?n.substr(0,10):n.substr(0,10)+" "+n.substr(11,8)}(i.v,o):i.v:""},a=!1===t.header||0===t.header?0:t.headerRows||1,u="number"==typeof t.header&&t.header?t.header-1:i.s.r,p=[];for(let e=i.s.c;e<=i.e.c;e++){const t=[];for(let n=u;n<u+a;n++){const o=String(c(n,e,!0)).trim();o&&t[t.length-1]!=o&&t.push(o)}let n=t.join(" ")||XLSX.utils.encode_col(e);for(let o=2;p.includes(n);o++)n=(t.join(" ")||XLSX.utils.encode_col(e))+"_"+o;p.push(n)}const d=[p];for(let e=a?u+a:i.s.r;e<=i.e.r;e++){const n=[];let o=!0;for(let r=i.s.c;r<=i.e.c;r++){const s=c(e,r,!!t.fillMerged);o=o&&""===s,n.push(s)}o||d.push(n)}_LOG("spreadsheet: sheet '"+r+"', "+(d.length-1)+" rows"),this.__createDataTableObject(d,"json",t)},c.Feed.prototype.__doParquetImport=function(e,t){_LOG("__doParquetImport: "+e);const n=this;_LOG("Attempting to load parquet file using Fetch API..."),fetch(e,{method:"GET",cache:t.cache?"default":"no-cache",signal:t.signal}).then(e=>{if(_LOG("Fetch response received, status: "+e.status),_LOG("Response headers: "+JSON.stringify([...e.headers.entries()])),!e.ok)throw new Error(`HTTP ${e.status}: ${e.statusText}`);return e.arrayBuffer()}).then(e=>{_LOG("Successfully loaded parquet as ArrayBuffer: "+e.byteLength+" bytes");const o=new Uint8Array(e);if(o.length>=4){const r=String.fromCharCode(...o.slice(0,4));_LOG("Magic number: "+r),"PAR1"===r?(_LOG("✅ SUCCESS: Valid parquet file detected!"),n.__processParquetData(e,t)):(_LOG("⚠️ Warning: Magic number is not PAR1: "+r),_LOG("First 16 bytes: "+Array.from(o.slice(0,16)).map(e=>e.toString(16).padStart(2,"0")).join(" ")),_LOG("Attempting to process anyway..."),n.__processParquetData(e,t))}else _LOG("⚠️ Warning: Response too short to check magic number"),n.__processParquetData(e,t)}).catch(o=>{_LOG("Fetch failed: "+o.message),_LOG("Falling back to XMLHttpRequest..."),n.__loadParquetWithXHR(e,t)})},c.Feed.prototype.__loadParquetWithXHR=function(e,t){const n=this;_LOG("Loading parquet with XMLHttpRequest...");const o=new XMLHttpRequest;o.open("GET",e,!0),o.responseType="arraybuffer",o.onload=function(){if(200===o.status){const e=o.response;_LOG("XHR successful: "+e.byteLength+" bytes");const r=new Uint8Array(e);if(r.length>=4){const o=String.fromCharCode(...r.slice(0,4));_LOG("XHR magic number: "+o),"PAR1"===o?(_LOG("✅ SUCCESS: Valid parquet file via XHR!"),n.__processParquetData(e,t)):(_LOG("⚠️ Warning: XHR magic number is not PAR1: "+o),_LOG("First 16 bytes: "+Array.from(r.slice(0,16)).map(e=>e.toString(16).padStart(2,"0")).join(" ")),_LOG("Attempting to process anyway..."),n.__processParquetData(e,t))}else _LOG("⚠️ Warning: XHR response too short to check magic number"),n.__processParquetData(e,t)}else _LOG("XHR failed with status: "+o.status+" "+o.statusText),h(t,"LOAD_ERROR","XHR failed: "+o.status+" "+o.statusText)},o.onerror=function(){_LOG("XHR network error"),h(t,"LOAD_ERROR","XHR network error")},o.send()},c.Feed.prototype.__checkGeoParquetMetadataWithDuckDB=function(t,n,o){try{console.log("🔍 Checking GeoParquet metadata with DuckDB WASM...");const o=t.slice(),r="temp_parquet_"+Date.now()+".parquet";e.duckdb.db.registerFileBuffer(r,new Uint8Array(o)).then(function(){console.log("📊 Parquet file registered in DuckDB virtual filesystem");const t=`\n                        SELECT * FROM read_parquet('${r}') LIMIT 1\n                    `;return e.duckdb.conn.query(t)}).then(function(e){console.log("📊 Metadata query result type:",typeof e),console.log("📊 Metadata query result methods:",Object.getOwnPropertyNames(e)),console.log("📊 Metadata query result:",e);let t,o=!1;if("function"==typeof e.toArray)t=e.toArray(),console.log("📊 Using toArray(), rows:",t);else if("function"==typeof e.fetchAll)t=e.fetchAll(),console.log("📊 Using fetchAll(), rows:",t);else if(Array.isArray(e))t=e,console.log("📊 Result is array, rows:",t);else{if(!e.data||!Array.isArray(e.data))return console.warn("⚠️ Cannot extract rows from metadata result, assuming regular parquet"),console.log("📊 Full result object:",e),void n(!1);t=e.data,console.log("📊 Using result.data, rows:",t)}if(t&&t.length>0){console.log("📊 Checking columns for geometry indicators...");const e=t[0],n=Object.keys(e);console.log("📊 Column names found:",n);const r=["geometry","geom","the_geom","wkb_geometry","shape"];for(const e of n){const t=e.toLowerCase();if(console.log(`📊 Checking column: ${e}`),r.includes(t)){console.log("✅ GeoParquet detected via geometry column name:",e),o=!0;break}}for(const e of n){const t=e.toLowerCase();if(t.includes("wkb")||t.includes("geojson")||t.includes("wkt")||t.includes("coordinates")){console.log("✅ GeoParquet detected via geometry-related column name:",e),o=!0;break}}}else console.log("📊 No rows found in metadata query");console.log("🎯 Final GeoParquet detection result:",o),n(o)}).catch(function(e){console.warn("⚠️ Error checking GeoParquet metadata, assuming regular parquet:",e),n(!1)}).finally(function(){try{e.duckdb.db.dropFile(r)}catch(e){console.warn("Warning: Could not clean up temporary file:",e)}})}catch(e){console.error("❌ Error in GeoParquet detection:",e),o(e)}},c.Feed.prototype.__detectColumnTypes=function(e){if(!e||!e.fields)return null;return e.fields.map(e=>{const t=e.type.toString().toLowerCase(),n=e.name.toLowerCase();let o;return o=t.includes("geometry")||t.includes("wkb")||t.includes("wkt")||t.includes("blob")||t.includes("binary")||"geometry"===n||"geom"===n||"wkb_geometry"===n||"wkt_geometry"===n||n.includes("shape")?"geometry":t.includes("list")||t.includes("array")?"array":t.includes("utf8")||t.includes("string")||t.includes("varchar")?"string":t.includes("int")&&!t.includes("interval")?"integer":t.includes("float")||t.includes("double")||t.includes("decimal")?"number":t.includes("bool")?"boolean":t.includes("date")||t.includes("timestamp")?"date":"other","geometry"===o?c.log(`🗺️ Detected geometry column: "${e.name}" (type: ${t})`):"array"===o&&c.log(`📋 Detected array column: "${e.name}" (type: ${t})`),o})},c.Feed.prototype.__convertGeometryToGeoJSON=function(e){if(!e)return"";try{if(e instanceof ArrayBuffer||e instanceof Uint8Array){const t=e instanceof Uint8Array?e:new Uint8Array(e);return this.__parseWKB(t)}return"string"==typeof e?e.match(/^(POINT|LINESTRING|POLYGON|MULTIPOINT|MULTILINESTRING|MULTIPOLYGON|GEOMETRYCOLLECTION)\s*\(/i)?this.__wktToGeoJSON(e):(e.trim().startsWith("{"),e):"object"==typeof e?JSON.stringify(e):String(e)}catch(t){console.warn("⚠️ Failed to convert geometry to GeoJSON:",t),console.warn("⚠️ Geometry value that failed:",e);try{return JSON.stringify(e)}catch(t){return String(e||"")}}},c.Feed.prototype.__parseWKB=function(e){try{if(e.length<5)return"";const t=1===e[0],n=new DataView(e.buffer,e.byteOffset,e.byteLength),o=n.getUint32(1,t);switch(o){case 1:return this.__parseWKBPoint(n,t);case 2:return this.__parseWKBLineString(n,t);case 3:return this.__parseWKBPolygon(n,t);case 4:case 5:case 6:case 7:const r=Array.from(e).map(e=>e.toString(16).padStart(2,"0")).join("");return JSON.stringify({type:"WKB",wkb:r,geomType:o});default:const s=Array.from(e).map(e=>e.toString(16).padStart(2,"0")).join("");return JSON.stringify({type:"WKB",wkb:s,geomType:o})}}catch(t){console.warn("⚠️ WKB parsing error:",t);const n=Array.from(e).map(e=>e.toString(16).padStart(2,"0")).join("");return JSON.stringify({type:"WKB",wkb:n})}},c.Feed.prototype.__parseWKBPoint=function(e,t){const n=e.getFloat64(5,t),o=e.getFloat64(13,t);return JSON.stringify({type:"Point",coordinates:[n,o]})},c.Feed.prototype.__parseWKBLineString=function(e,t){const n=e.getUint32(5,t),o=[];for(let r=0;r<n;r++){const n=9+16*r,s=e.getFloat64(n,t),i=e.getFloat64(n+8,t);o.push([s,i])}return JSON.stringify({type:"LineString",coordinates:o})},c.Feed.prototype.__parseWKBPolygon=function(e,t){const n=e.getUint32(5,t),o=[];let r=9;for(let s=0;s<n;s++){const n=e.getUint32(r,t);r+=4;const s=[];for(let o=0;o<n;o++){const n=e.getFloat64(r,t),o=e.getFloat64(r+8,t);s.push([n,o]),r+=16}o.push(s)}return JSON.stringify({type:"Polygon",coordinates:o})},c.Feed.prototype.__wktToGeoJSON=function(e){try{const t=e.match(/POINT\s*\(\s*([^\s]+)\s+([^\s]+)\s*\)/i);return t?JSON.stringify({type:"Point",coordinates:[parseFloat(t[1]),parseFloat(t[2])]}):JSON.stringify({type:"WKT",wkt:e})}catch(t){return e}},c.Feed.prototype.__convertValue=function(e,t){if(null==e)return"";if(t)switch(t){case"geometry":return this.__convertGeometryToGeoJSON(e);case"array":if(Array.isArray(e))return JSON.stringify(e);if(e&&"object"==typeof e&&"function"==typeof e.toArray)return JSON.stringify(e.toArray());if(e&&"object"==typeof e)try{return JSON.stringify(Array.from(e))}catch(t){return JSON.stringify(e)}return String(e);case"string":return e;case"number":case"integer":case"boolean":return String(e);case"date":return e instanceof Date?e.toISOString():String(e);default:return"string"==typeof e?e:"object"==typeof e?JSON.stringify(e):String(e)}else{if("string"==typeof e)return e;if("number"==typeof e||"boolean"==typeof e)return String(e);if(e instanceof Date)return e.toISOString();if(Array.isArray(e))return JSON.stringify(e);if(e&&"object"==typeof e&&"function"==typeof e.toArray)try{return JSON.stringify(e.toArray())}catch(t){return JSON.stringify(e)}else try{return JSON.stringify(e)}catch(t){return String(e)}}},c.Feed.prototype.__processRow=function(e,t,n,o,r){const s=new Array(t.length);for(let i=0;i<t.length;i++){let l;l=o?e[i]:r?e[t[i]]:e,s[i]=this.__convertValue(l,n?n[i]:null)}return s},c.Feed.prototype.__createParquetWorker=function(){const e=new Blob(["\n            // Web Worker for processing parquet data\n            self.onmessage = function(e) {\n                const { rows, columns, isArrayFormat, isObjectFormat, batchSize } = e.data;\n                \n                try {\n                    const cellsPerRow = columns.length;\n                    const totalRows = rows.length;\n                    let processedRows = 0;\n                    \n                    // Process data in batches\n                    for (let batchStart = 0; batchStart < totalRows; batchStart += batchSize) {\n                        const batchEnd = Math.min(batchStart + batchSize, totalRows);\n                        const batchData = [];\n                        \n                        // Process batch\n                        for (let i = batchStart; i < batchEnd; i++) {\n                            const row = new Array(cellsPerRow);\n                            \n                            for (let j = 0; j < cellsPerRow; j++) {\n                                let value;\n                                \n                                // Get value based on pre-detected format\n                                if (isArrayFormat) {\n                                    value = rows[i][j];\n                                } else if (isObjectFormat) {\n                                    value = rows[i][columns[j]];\n                                } else {\n                                    value = rows[i];\n                                }\n                                \n                                // Optimized type handling\n                                if (value == null) {\n                                    row[j] = '';\n                                } else if (typeof value === 'string') {\n                                    row[j] = value;\n                                } else if (typeof value === 'number' || typeof value === 'boolean') {\n                                    row[j] = String(value);\n                                } else if (value instanceof Date) {\n                                    row[j] = value.toISOString();\n                                } else {\n                                    try {\n                                        row[j] = JSON.stringify(value);\n                                    } catch (e) {\n                                        row[j] = String(value);\n                                    }\n                                }\n                            }\n                            batchData.push(row);\n                        }\n                        \n                        processedRows = batchEnd;\n                        \n                        // Send batch back to main thread\n                        self.postMessage({\n                            type: 'batch',\n                            data: batchData,\n                            processed: processedRows,\n                            total: totalRows,\n                            progress: Math.round((processedRows / totalRows) * 100)\n                        });\n                        \n                        // Clear batch to free memory\n                        batchData.length = 0;\n                    }\n                    \n                    // Send completion message\n                    self.postMessage({\n                        type: 'complete',\n                        processed: processedRows,\n                        total: totalRows\n                    });\n                    \n                } catch (error) {\n                    self.postMessage({\n                        type: 'error',\n                        error: error.message || String(error)\n                    });\n                }\n            };\n        "],{type:"application/javascript"}),t=URL.createObjectURL(e);return new Worker(t)},c.Feed.prototype.__processStreamingDataset=function(t,n,o,r,s){const i=this;console.log("📊 Starting Web Worker-based processing for maximum performance...");if(!("undefined"!=typeof Worker))return console.warn("⚠️ Web Workers not supported, falling back to main thread processing"),i.__processStreamingDatasetFallback(t,n,o,r,s);const l=t.length>0&&Array.isArray(t[0]),c=t.length>0&&"object"==typeof t[0]&&null!==t[0]&&!Array.isArray(t[0]),a=new Array(t.length+1);a[0]=n;const u=n.length,p=t.length*u,d=Math.min(5e6,Math.max(5e5,Math.floor(1e7/u))),g=t.length*u*50/1048576;if(g>500)return console.log(`📊 Dataset too large for worker transfer (estimated ${Math.round(g)}MB)`),console.log("📊 Using optimized main-thread processing instead..."),i.__processStreamingDatasetFallback(t,n,o,r,s);console.log(`📊 Processing ${t.length.toLocaleString()} rows (${p.toLocaleString()} cells) using Web Worker`),console.log(`⚡ Extracting data from DuckDB rows for worker transfer (estimated ${Math.round(g)}MB)...`);return(async()=>{const e=[],o=1e5;for(let r=0;r<t.length;r+=o)await new Promise(s=>{setTimeout(()=>{const i=Math.min(r+o,t.length);for(let o=r;o<i;o++)if(l)e.push(Array.from(t[o]));else if(c){const r={};for(let e=0;e<n.length;e++)r[n[e]]=t[o][n[e]];e.push(r)}else e.push(t[o]);i%5e5!=0&&i!==t.length||console.log(`📊 Extracted ${i.toLocaleString()} of ${t.length.toLocaleString()} rows (${Math.round(i/t.length*100)}%)`),s()},0)});return e})().then(function(u){return console.log("📊 Data extraction complete, starting worker processing..."),new Promise((h,f)=>{try{const t=i.__createParquetWorker();let o=null;t.onmessage=function(n){const{type:l,data:c,processed:u,total:p,progress:d,error:g}=n.data;if("batch"===l){const e=u-c.length+1;for(let t=0;t<c.length;t++)a[e+t]=c[t];u%2e6!=0&&u!==p||(console.log(`📊 Worker progress: ${u.toLocaleString()} of ${p.toLocaleString()} rows (${d}%)`),(()=>{if(performance.memory){const e=Math.round(performance.memory.usedJSHeapSize/1024/1024),t=Math.round(performance.memory.totalJSHeapSize/1024/1024);console.log(`📊 Memory usage: ${e}MB / ${t}MB`)}})())}else if("complete"===l){console.log("✅ Worker processing completed successfully"),t.terminate(),o&&URL.revokeObjectURL(o);try{e.duckdb.db.dropFile(r)}catch(e){console.warn("Warning: Could not clean up temporary file:",e)}_LOG("Worker converted: "+a.length+" total rows (including header)"),i.__createDataTableObject(a,"parquet",s),h()}else if("error"===l){console.error("❌ Worker error:",g),t.terminate(),o&&URL.revokeObjectURL(o);try{e.duckdb.db.dropFile(r)}catch(e){console.warn("Warning: Could not clean up temporary file:",e)}f(new Error(g))}},t.onerror=function(e){console.error("❌ Worker error:",e),t.terminate(),o&&URL.revokeObjectURL(o),f(e)},t.postMessage({rows:u,columns:n,isArrayFormat:l,isObjectFormat:c,batchSize:d})}catch(e){return console.error("❌ Failed to create worker, falling back:",e),i.__processStreamingDatasetFallback(t,n,o,r,s)}})}).catch(function(t){console.error("❌ Error in worker processing or data extraction:",t);try{e.duckdb.db.dropFile(r)}catch(e){console.warn("Warning: Could not clean up temporary file:",e)}h(s,"PARSE_ERROR",f(t),{cause:t})})},c.Feed.prototype.__processStreamingDatasetFallback=function(t,n,o,r,s){const i=this;console.log("📊 Starting fallback main-thread processing...");const l=t.length>0&&Array.isArray(t[0]),a=t.length>0&&"object"==typeof t[0]&&null!==t[0]&&!Array.isArray(t[0]),u=new Array(t.length+1);u[0]=n;const p=n.length,d=t.length*p,g=1e6;c.log(`📊 Processing ${t.length.toLocaleString()} rows (${d.toLocaleString()} cells) in batches of ${g.toLocaleString()} rows`),o&&c.log("⚡ Schema-based optimization active for faster processing");const m=async(e,r)=>new Promise(s=>{setTimeout(()=>{for(let s=e;s<r;s++)u[s+1]=i.__processRow(t[s],n,o,l,a);s()},0)});return(async()=>{const e=Date.now();let n=e;for(let o=0;o<t.length;o+=g){const r=Math.min(o+g,t.length);await m(o,r);const s=Date.now(),i=s-n;if(r%5e5==0||r===t.length||i>2e3){const o=((s-e)/1e3).toFixed(1),i=Math.round(r/((s-e)/1e3));let l="";if(performance.memory){l=` | Memory: ${Math.round(performance.memory.usedJSHeapSize/1024/1024)}MB / ${Math.round(performance.memory.totalJSHeapSize/1024/1024)}MB`}c.log(` ${r.toLocaleString()} / ${t.length.toLocaleString()} rows (${Math.round(r/t.length*100)}%) | ${i.toLocaleString()} rows/sec | ${o}s${l}`),n=s}}})().then(function(){console.log("📊 Fallback dataset processing completed"),_LOG("Fallback converted: "+u.length+" total rows (including header)");try{e.duckdb.db.dropFile(r)}catch(e){console.warn("Warning: Could not clean up temporary file:",e)}i.__createDataTableObject(u,"parquet",s)}).catch(function(t){console.error("❌ Error in fallback processing:",t);try{e.duckdb.db.dropFile(r)}catch(e){console.warn("Warning: Could not clean up temporary file:",e)}h(s,"PARSE_ERROR",f(t),{cause:t})})},c.Feed.prototype.__processParquetData=function(t,n){const o=this;console.log("🚀 Starting parquet processing with DuckDB WASM..."),_LOG("Processing parquet data with DuckDB WASM..."),void 0!==e.duckdb&&e.duckdbLoaded?(console.log("📦 Using existing DuckDB WASM module"),o.__processParquetWithDuckDB(t,n)):(console.log("📦 Loading DuckDB WASM module..."),o.__loadDuckDBAndProcess(t,n))},c.Feed.prototype.__processParquetWithDuckDB=function(e,t){const n=this;console.log("🔍 Starting GeoParquet detection with DuckDB WASM..."),_LOG("Detecting if parquet file is GeoParquet..."),n.__checkGeoParquetMetadataWithDuckDB(e,function(o){console.log("🎯 GeoParquet detection result:",o),o?(_LOG("✅ GeoParquet detected! Switching to GeoParquet processing..."),console.log("🎯 Branching to GeoParquet processing"),"function"==typeof n.__processGeoParquetData?n.__processGeoParquetData(e,t):(_LOG("⚠️ GeoParquet processing function not found, falling back to regular parquet processing"),console.log("⚠️ GeoParquet function not found, using regular processing"),n.__processWithDuckDB(e,t))):(_LOG("✅ Regular parquet file detected, proceeding with standard processing..."),console.log("🎯 Branching to regular parquet processing"),n.__processWithDuckDB(e,t))},function(o){_LOG("⚠️ Error detecting GeoParquet, falling back to regular parquet processing: "+o),console.error("❌ Detection error:",o),n.__processWithDuckDB(e,t)})};const D=function(n,o){if(e.duckdbLoaded&&e.duckdb)return void n();_LOG("Loading DuckDB WASM module dynamically...");const r=t.createElement("script");r.type="module",r.textContent='\n            // Try to load DuckDB WASM from CDN\n            let duckdb;\n            try {\n                // Try jsDelivr first (most reliable for DuckDB WASM)\n                duckdb = await import("https://cdn.jsdelivr.net/npm/@duckdb/duckdb-wasm@latest/+esm");\n                console.log("✅ DuckDB loaded from jsDelivr");\n            } catch (e1) {\n                try {\n                    // Fallback to ESM.sh\n                    duckdb = await import("https://esm.sh/@duckdb/duckdb-wasm@1.30.0");\n                    console.log("✅ DuckDB loaded from ESM.sh");\n                } catch (e2) {\n                    try {\n                        // Fallback to unpkg\n                        duckdb = await import("https://unpkg.com/@duckdb/duckdb-wasm@1.30.0");\n                        console.log("✅ DuckDB loaded from unpkg");\n                    } catch (e3) {\n                        throw new Error("Failed to load DuckDB from any CDN: " + e3.message);\n                    }\n                }\n            }\n            \n            console.log("DuckDB WASM module imported:", duckdb);\n            console.log("Available DuckDB methods:", Object.keys(duckdb));\n            \n            // Initialize DuckDB\n            try {\n                console.log(\'🔧 Selecting bundle from jsDelivr CDN...\');\n                const JSDELIVR_BUNDLES = duckdb.getJsDelivrBundles();\n                const bundle = await duckdb.selectBundle(JSDELIVR_BUNDLES);\n                \n                console.log("👷 Creating worker from bundle...");\n                // Create worker using blob URL approach to avoid CORS issues\n                const worker_url = URL.createObjectURL(\n                    new Blob([`importScripts("${bundle.mainWorker}");`], { type: \'text/javascript\' })\n                );\n                const worker = new Worker(worker_url);\n                console.log("✅ Worker created successfully");\n                \n                const logger = new duckdb.ConsoleLogger();\n                const db = new duckdb.AsyncDuckDB(logger, worker);\n                \n                console.log("🚀 Instantiating DuckDB with WASM module...");\n                await db.instantiate(bundle.mainModule, bundle.pthreadWorker);\n                console.log("✅ DuckDB WASM instantiated successfully");\n                \n                // Revoke the blob URL to free memory\n                URL.revokeObjectURL(worker_url);\n                \n                // Create connection\n                const conn = await db.connect();\n                \n                console.log("✅ DuckDB WASM initialized successfully");\n                console.log("📊 DuckDB connection object type:", typeof conn);\n                console.log("📊 DuckDB connection methods:", Object.getOwnPropertyNames(conn));\n                console.log("📊 DuckDB connection constructor:", conn.constructor.name);\n                \n                // Store references globally\n                window.duckdb = {\n                    db: db,\n                    conn: conn,\n                    module: duckdb\n                };\n                window.duckdbLoaded = true;\n            \n            } catch (error) {\n                console.error("❌ Failed to initialize DuckDB WASM:", error);\n                window.duckdbLoadError = error;\n            }\n            ',e.duckdbLoading||(e.duckdbLoading=!0,t.head.appendChild(r));const s=setInterval(function(){e.duckdbLoaded&&e.duckdb?(clearInterval(s),_LOG("DuckDB WASM module loaded successfully"),n()):e.duckdbLoadError&&(clearInterval(s),_LOG("Failed to load DuckDB WASM module: "+e.duckdbLoadError),o("Failed to load DuckDB WASM module: "+e.duckdbLoadError))},100);setTimeout(function(){e.duckdbLoaded||e.duckdbLoadError||(clearInterval(s),_LOG("Timeout loading DuckDB WASM module"),o("Timeout loading DuckDB WASM module"))},15e3)};c.Feed.prototype.__loadDuckDBAndProcess=function(e,t){const n=this;D(function(){n.__processParquetWithDuckDB(e,t)},function(e){h(t,"PARSER_NOT_LOADED",e)})},c.Feed.prototype.__processWithDuckDB=function(t,n){const o=this;try{if(_LOG("Processing parquet data with DuckDB WASM, buffer size: "+t.byteLength+" bytes"),c.log("🦆 Starting DuckDB parquet processing..."),t.byteLength<4)throw new Error("File too small to be a valid parquet file");const r=new Uint8Array(t),s=String.fromCharCode(...r.slice(0,4));if(_LOG("Parquet file magic number: "+s),"PAR1"!==s)throw new Error("File does not appear to be a valid parquet file (missing PAR1 magic number). Magic: "+s);_LOG("Valid parquet file detected, processing with DuckDB WASM...");const i="temp_parquet_"+Date.now()+".parquet",l=new Uint8Array(r);e.duckdb.db.registerFileBuffer(i,l).then(function(){console.log("📊 Parquet file registered in DuckDB virtual filesystem");const t=`SELECT * FROM read_parquet('${i}') LIMIT 10000000`;return e.duckdb.conn.query(t)}).then(async function(e){if(console.log("📊 DuckDB query completed successfully"),_LOG("DuckDB query result type: "+typeof e),console.log("📊 DuckDB result object type:",typeof e),console.log("📊 DuckDB result methods:",Object.getOwnPropertyNames(e)),console.log("📊 DuckDB result constructor:",e.constructor.name),!e)throw new Error("DuckDB query returned null/undefined");let t,r;if("function"==typeof e.toArray)t=e.toArray(),console.log("📊 Using toArray() method, rows count:",t.length);else if("function"==typeof e.fetchAll)t=e.fetchAll(),console.log("📊 Using fetchAll() method, rows count:",t.length);else if(Array.isArray(e))t=e,console.log("📊 Result is already an array, rows count:",t.length);else{if(!e.data||!Array.isArray(e.data))throw new Error("Cannot convert DuckDB result to array. Available methods: "+Object.getOwnPropertyNames(e).join(", "));t=e.data,console.log("📊 Using result.data, rows count:",t.length)}if(0===t.length)throw new Error("No rows found in parquet file");let s=null;if(e.schema&&e.schema.fields)r=e.schema.fields.map(e=>e.name),s=o.__detectColumnTypes(e.schema),o.__columnTypes=s,s&&_LOG("Schema-based optimization enabled - detected column types: "+s.join(", "));else if(e.columns)r=e.columns;else{if(!(t.length>0&&"object"==typeof t[0]))throw new Error("Cannot determine column names from DuckDB result");r=Object.keys(t[0])}if(_LOG("Extracted columns: "+r.join(", ")),0===r.length)throw new Error("No columns found in parquet file");const l=[];if(t.length>1e7)throw new Error(`Dataset too large (${t.length} rows). Maximum supported: 10,000,000 rows. Consider using a smaller LIMIT in your query.`);if(t.length>5e5&&c.log(`⚠️ Processing very large dataset (${t.length} rows). This may take a while and use significant memory.`),t.length>1e5)return c.log("📊 Large dataset detected, using streaming processing..."),o.__processStreamingDataset(t,r,s,i,n);if(t.length>5e4){console.log("📊 Medium-large dataset detected, using optimized batch processing...");const e=t.length>0&&Array.isArray(t[0]),n=t.length>0&&"object"==typeof t[0]&&null!==t[0]&&!Array.isArray(t[0]),i=r.length,a=t.length*i,u=Math.min(2e6,Math.max(1e5,Math.floor(1e7/i)));console.log(`📊 Processing ${t.length.toLocaleString()} rows (${a.toLocaleString()} cells) in batches of ${u.toLocaleString()} rows`),s&&c.log("⚡ Schema-based optimization active for medium dataset");try{const i=async(i,c)=>new Promise(a=>{setTimeout(()=>{for(let a=i;a<c;a++)l.push(o.__processRow(t[a],r,s,e,n));a()},0)}),a=Date.now();let h=a;for(let e=0;e<t.length;e+=u){const n=Math.min(e+u,t.length);await i(e,n);const o=Date.now(),r=o-h;if(n%5e5==0||n===t.length||r>2e3){const e=((o-a)/1e3).toFixed(1),r=Math.round(n/((o-a)/1e3));let s="";if(performance.memory){const e=Math.round(performance.memory.usedJSHeapSize/1024/1024);s=` | Memory: ${e}MB / ${Math.round(performance.memory.totalJSHeapSize/1024/1024)}MB`}c.log(`📊 Processing: ${n.toLocaleString()} / ${t.length.toLocaleString()} rows (${Math.round(n/t.length*100)}%) | ${r.toLocaleString()} rows/sec | ${e}s${s}`),h=o}}}catch(e){console.warn("⚠️ Async processing failed, falling back to optimized synchronous processing:",e);const n=t.length>0&&Array.isArray(t[0]),o=t.length>0&&"object"==typeof t[0]&&null!==t[0]&&!Array.isArray(t[0]),s=1e4,i=Date.now();let a=i;if(n)for(let e=0;e<t.length;e+=s){const n=Math.min(e+s,t.length);for(let o=e;o<n;o++){const e=new Array(r.length);for(let n=0;n<r.length;n++){const r=t[o][n];if(null==r)e[n]="";else if("string"==typeof r)e[n]=r;else if("number"==typeof r||"boolean"==typeof r)e[n]=String(r);else if(r instanceof Date)e[n]=r.toISOString();else try{e[n]=JSON.stringify(r)}catch(t){e[n]=String(r)}}l.push(e)}const o=Date.now(),u=o-a;if(n%5e4==0||n===t.length||u>2e3){const e=((o-i)/1e3).toFixed(1),r=Math.round(n/((o-i)/1e3));let s="";if(performance.memory){s=` | Memory: ${Math.round(performance.memory.usedJSHeapSize/1024/1024)}MB / ${Math.round(performance.memory.totalJSHeapSize/1024/1024)}MB`}c.log(`📊 Fallback: ${n.toLocaleString()} / ${t.length.toLocaleString()} rows (${Math.round(n/t.length*100)}%) | ${r.toLocaleString()} rows/sec | ${e}s${s}`),a=o}}else if(o)for(let e=0;e<t.length;e+=s){const n=Math.min(e+s,t.length);for(let o=e;o<n;o++){const e=new Array(r.length);for(let n=0;n<r.length;n++){const s=t[o][r[n]];if(null==s)e[n]="";else if("string"==typeof s)e[n]=s;else if("number"==typeof s||"boolean"==typeof s)e[n]=String(s);else if(s instanceof Date)e[n]=s.toISOString();else try{e[n]=JSON.stringify(s)}catch(t){e[n]=String(s)}}l.push(e)}const o=Date.now(),u=o-a;if(n%5e4==0||n===t.length||u>2e3){const e=((o-i)/1e3).toFixed(1),r=Math.round(n/((o-i)/1e3));let s="";if(performance.memory){s=` | Memory: ${Math.round(performance.memory.usedJSHeapSize/1024/1024)}MB / ${Math.round(performance.memory.totalJSHeapSize/1024/1024)}MB`}c.log(`📊 Fallback: ${n.toLocaleString()} / ${t.length.toLocaleString()} rows (${Math.round(n/t.length*100)}%) | ${r.toLocaleString()} rows/sec | ${e}s${s}`),a=o}}else for(let e=0;e<t.length;e+=s){const n=Math.min(e+s,t.length);for(let o=e;o<n;o++){const e=new Array(r.length);for(let n=0;n<r.length;n++){const r=t[o];if(null==r)e[n]="";else if("string"==typeof r)e[n]=r;else if("number"==typeof r||"boolean"==typeof r)e[n]=String(r);else if(r instanceof Date)e[n]=r.toISOString();else try{e[n]=JSON.stringify(r)}catch(t){e[n]=String(r)}}l.push(e)}const o=Date.now(),u=o-a;if(n%5e4==0||n===t.length||u>2e3){const e=((o-i)/1e3).toFixed(1),r=Math.round(n/((o-i)/1e3));let s="";if(performance.memory){s=` | Memory: ${Math.round(performance.memory.usedJSHeapSize/1024/1024)}MB / ${Math.round(performance.memory.totalJSHeapSize/1024/1024)}MB`}c.log(`📊 Fallback: ${n.toLocaleString()} / ${t.length.toLocaleString()} rows (${Math.round(n/t.length*100)}%) | ${r.toLocaleString()} rows/sec | ${e}s${s}`),a=o}}}}else{console.log(`📊 Processing small dataset (${t.length.toLocaleString()} rows) synchronously`);const e=t.length>0&&Array.isArray(t[0]),n=t.length>0&&"object"==typeof t[0]&&null!==t[0]&&!Array.isArray(t[0]);for(let o=0;o<t.length;o++){const s=new Array(r.length);for(let i=0;i<r.length;i++){let l;if(l=e?t[o][i]:n?t[o][r[i]]:t[o],null==l)s[i]="";else if("string"==typeof l)s[i]=l;else if("number"==typeof l||"boolean"==typeof l)s[i]=String(l);else if(l instanceof Date)s[i]=l.toISOString();else try{s[i]=JSON.stringify(l)}catch(e){s[i]=String(l)}}l.push(s)}}_LOG("Converted "+l.length+" rows with "+r.length+" columns");const a=[r];a.push(...l),console.log("🎯 Creating data table object..."),o.__createDataTableObject(a,"parquet",n)}).catch(function(e){_LOG("Error in DuckDB parquet processing: "+e),console.error("❌ DuckDB processing error:",e),h(n,"PARSE_ERROR","Error processing parquet file with DuckDB: "+e.message)}).finally(function(){try{e.duckdb.db.dropFile(i),console.log("🧹 Cleaned up temporary file")}catch(e){console.warn("Warning: Could not clean up temporary file:",e)}})}catch(e){_LOG("Error in DuckDB parquet processing setup: "+e),console.error("❌ DuckDB setup error:",e),h(n,"PARSE_ERROR","Error setting up DuckDB parquet processing: "+e.message)}},c.Feed.prototype.__processGeoParquetData=function(n,o){const r=this;if(void 0!==e.geoparquet)_LOG("GeoParquet library already loaded, processing data..."),r.__processWithGeoParquet(n,o,e.geoparquet);else{_LOG("Loading GeoParquet library dynamically...");const s=t.createElement("script");s.type="module",s.textContent='\n                import { asyncBufferFromUrl, toGeoJson } from \'https://cdn.jsdelivr.net/npm/geoparquet@0.5.0/+esm\';\n                \n                console.log("GeoParquet module imported");\n                console.log("Available geoparquet methods:", Object.keys({ asyncBufferFromUrl, toGeoJson }));\n                \n                // Make geoparquet available globally\n                window.geoparquet = { asyncBufferFromUrl, toGeoJson };\n                window.geoparquetLoaded = true;\n            ';const i=setInterval(function(){e.geoparquetLoaded&&e.geoparquet&&(clearInterval(i),_LOG("GeoParquet module loaded successfully"),r.__processWithGeoParquet(n,o,e.geoparquet))},100);setTimeout(function(){e.geoparquetLoaded||(clearInterval(i),_LOG("Failed to load GeoParquet module"),h(o,"PARSER_NOT_LOADED","Failed to load GeoParquet module"))},1e4),t.head.appendChild(s)}},c.Feed.prototype.__processWithGeoParquet=function(t,n,o){const r=this;try{if(_LOG("Processing GeoParquet data, buffer size: "+t.byteLength+" bytes"),_LOG("GeoParquet object: "+JSON.stringify(o)),_LOG("Available geoparquet methods: "+Object.keys(o).join(", ")),t.byteLength<4)throw new Error("File too small to be a valid parquet file");const s=new Uint8Array(t),i=String.fromCharCode(...s.slice(0,4));if(_LOG("Parquet file magic number: "+i),"PAR1"!==i)throw new Error("File does not appear to be a valid parquet file (missing PAR1 magic number). Magic: "+i);if(_LOG("Valid parquet file detected, processing with geoparquet..."),"function"!=typeof o.toGeoJson)throw new Error("toGeoJson method not found in geoparquet. Available methods: "+Object.keys(o).join(", "));let l;_LOG("Calling geoparquet.toGeoJson...");try{l=o.toGeoJson({file:t})}catch(o){if(o.message&&o.message.includes("non-delta field"))return console.warn("⚠️ GeoParquet library doesn't support this file's encoding"),console.log("🔄 Falling back to DuckDB WASM for GeoParquet processing..."),_LOG("GeoParquet library failed with encoding issue, using DuckDB fallback"),e.duckdb&&e.duckdb.db?r.__processWithDuckDB(t,n):(console.log("📦 DuckDB not loaded yet, loading now..."),r.__loadDuckDBAndProcess(t,n));throw o}if(_LOG("GeoJSON conversion result type: "+typeof l),_LOG("GeoJSON conversion result: "+JSON.stringify(l)),l&&"function"==typeof l.then)_LOG("GeoJSON conversion is a Promise, waiting for resolution..."),l.then(function(e){try{_LOG("GeoJSON conversion completed successfully"),_LOG("GeoJSON type: "+e.type),_LOG("Number of features: "+(e.features?e.features.length:"unknown")),r.__processGeoJsonData(e,n)}catch(e){throw _LOG("Error processing GeoJSON data: "+e),new Error("Error processing GeoJSON data: "+e)}}).catch(function(o){_LOG("Error in GeoJSON conversion: "+o),_LOG("Error stack: "+o.stack),_LOG("Error message: "+o.message),o.message&&o.message.includes("non-delta field")?(console.warn("⚠️ GeoParquet library doesn't support this file's encoding"),console.log("🔄 Falling back to DuckDB WASM for GeoParquet processing..."),_LOG("GeoParquet library failed with encoding issue, using DuckDB fallback"),e.duckdb&&e.duckdb.db?r.__processWithDuckDB(t,n):(console.log("📦 DuckDB not loaded yet, loading now..."),r.__loadDuckDBAndProcess(t,n))):h(n,"PARSE_ERROR","Error converting GeoParquet to GeoJSON: "+o)});else{if(_LOG("GeoJSON conversion returned directly"),!l)throw new Error("GeoJSON conversion returned null or undefined");_LOG("GeoJSON type: "+l.type),_LOG("Number of features: "+(l.features?l.features.length:"unknown")),this.__processGeoJsonData(l,n)}}catch(e){_LOG("Error processing GeoParquet data: "+e),h(n,"PARSE_ERROR","Error processing GeoParquet data: "+e)}};const w=function(e){return'"'+String(e).replace(/"/g,'""')+'"'},k=function(e){return"'"+String(e).replace(/'/g,"''")+"'"};let N=0;const A=function(e){return e+Date.now()+"_"+N++};let L=Promise.resolve();const E=function(t){return e.duckdb.conn.query("DROP TABLE IF EXISTS "+w(t)).catch(function(e){_LOG("DuckDB: drop table "+t+": "+e)})},v=function(t){return Promise.resolve().then(function(){return e.duckdb.db.dropFile(t)}).catch(function(e){_LOG("DuckDB: drop file "+t+": "+e)})},R=function(t,n){const o=e.duckdb.db,r=A("__table_")+".csv",s=new c.Table;s.fields=t.fields.map(function(e,t){return{id:"c"+t}}),s.records=t.records.map(function(e){return e.map(function(e,n){const o=F(e,t.fields[n]);return o instanceof Date?o.toISOString():o})});const i={number:"DOUBLE",integer:"BIGINT",boolean:"BOOLEAN",date:"TIMESTAMP"},l=t.fields.map(function(e,t){const n=i[e.type];return(n?'TRY_CAST("c'+t+'" AS '+n+")":'"c'+t+'"')+" AS "+w(e.id)});return o.registerFileText(r,s.toCSV()).then(function(){return e.duckdb.conn.query("CREATE OR REPLACE TEMP TABLE "+w(n)+" AS SELECT "+l.join(", ")+" FROM read_csv("+k(r)+", header = true, all_varchar = true)")}).finally(function(){return v(r)})};c.Feed.prototype.__processDuckDBResult=function(e,t){const n=e.schema.fields.map(e=>e.name),o=this.__detectColumnTypes(e.schema)||n.map(()=>"other"),r=[n];e.toArray().forEach(function(e){o.forEach(function(t,o){"date"==t&&"number"==typeof e[n[o]]&&(e[n[o]]=new Date(e[n[o]]))}),r.push(this.__processRow(e,n,o,!1,!0))},this),this.__columnTypes=o,this.__createDataTableObject(r,"sql",t)},c.Feed.prototype.__doParquetQueryImport=function(n,o){_LOG("__doParquetQueryImport: "+n);const r=this,i=A("__query_")+".parquet",l=function(e){_LOG("__doParquetQueryImport: "+e),h(o,"QUERY_ERROR",'"'+n+'" '+f(e),{cause:e})};let c=o.sql;if(!c){const e=o.columns?s(o.columns).map(function(e){return w(String(e).trim())}):["*"];c="SELECT "+e.join(", ")+" FROM data"+(o.where?" WHERE "+o.where:"")}D(function(){const s=e.duckdb.db,a=new URL(n,t.baseURI).href;s.registerFileURL(i,a,e.duckdb.module.DuckDBDataProtocol.HTTP,!1).then(function(){return e.duckdb.conn.query("WITH data AS (SELECT * FROM read_parquet("+k(i)+")) "+c)}).then(function(e){v(i),r.__processDuckDBResult(e,o)}).catch(function(e){v(i),l(e)})},l)},c.sql=function(t,n,o){return new Promise(function(r,s){D(function(){const i=Object.keys(n||{}),l=new c.Feed({success:function(e){o&&o(e),r(e)}}),a=function(){return Promise.all(i.map(E))},h=L.then(function(){return Promise.all(i.map(function(e){return R(n[e],e)}))}).then(function(){return e.duckdb.conn.query(t)}).then(function(e){return a().then(function(){return e})},function(e){return a().then(function(){throw e})});L=h.catch(function(){}),h.then(function(e){l.__processDuckDBResult(e,l.options)}).catch(function(e){_LOG("Data.sql: "+e),s(u("QUERY_ERROR",f(e),{source:"Data.sql",cause:e}))})},function(e){s(u("PARSER_NOT_LOADED",e,{source:"Data.sql"}))})})},c.Feed.prototype.__createDataTableObject=function(e,t,n){e&&(this.dbtable=(new c.Table).setArray(e),e=null,this.__completeDataTableObject(n))},c.Feed.prototype.__completeDataTableObject=function(e){if(!1!==(e=e||{}).types&&this.dbtable.inferTypes({decimal:e.decimal}),this.__columnTypes&&this.__columnTypes.length==this.dbtable.fields.length&&this.__columnTypes.forEach(function(e,t){String(e).match(/^(number|integer|date|boolean|string|geometry)$/)&&(this.dbtable.fields[t].type=e)},this),e.schema&&this.dbtable.setTypes(e.schema),e.convert&&this.dbtable.convertTypes(),this.__sdmx&&(this.dbtable.sdmx=this.__sdmx),e.pipeline){const t=U(this.dbtable,e.pipeline);if(!t.table)return void h(e,t.error);this.dbtable=t.table}void 0!==e&&e.success?e.success(this.dbtable):_LOG("callback to call on succes is 'undefined'!")},c.Table=function(e){e?(this.table=e.table,this.fields=e.fields,this.records=e.records):(this.table={records:0,fields:0},this.fields=[],this.records=[])},c.Table.prototype={getArray:function(){let e=[[]];for(let t=0,n=this.fields.length;t<n;t++)e[0].push(this.fields[t].id);for(let t=0,n=this.records.length;t<n;t++)e.push(this.records[t]);return e},setArray:function(e){if(e.length<2)return this;this.fields=[];for(let t=0,n=e[0].length;t<n;t++)this.fields.push({id:(e[0][t]||" ").trim(),typ:0,width:60,decimals:0});e.shift(),this.records=[];for(let t=0,n=e.length;t<n;t++)e[t].length==this.fields.length&&this.records.push(e[t]);return this.table={records:this.records.length,fields:this.fields.length},this},revert:function(){let e=[];for(let t=this.records.length-1;t>=0;t--)e.push(this.records[t]);return this.records=e,this},reverse:function(){let e=[];for(let t=this.records.length-1;t>=0;t--)e.push(this.records[t]);return this.records=e,this},columnNames:function(){const e=[];for(let t=0,n=this.fields.length;t<n;t++)e.push(this.fields[t].id);return e},columnIndex:function(e){for(var t in this.fields)if(this.fields[t].id==e)return t;return null},column:function(e){for(let t in this.fields)if(this.fields[t].id==e){const e=new c.Column;return e.index=t,e.table=this,e}return null},lookupArray:function(e,t){let n="overwrite";e&&e.key&&(n=e.calc||n,t=e.key,e=e.value);let o=[];this.column(t)||u("COLUMN_NOT_FOUND","'"+t+"' column not found!",{source:"lookup",column:t}),this.column(e)||u("COLUMN_NOT_FOUND","'"+e+"' column not found!",{source:"lookup",column:e});const r=this.column(t).values(),s=this.column(e).values();if("sum"==n)for(let e=0,t=r.length;e<t;e++)o[String(r[e])]=(o[String(r[e])]||0)+s[e];else if("max"==n)for(let e=0,t=r.length;e<t;e++)o[String(r[e])]=Math.max(o[String(r[e])]||0,s[e]);else for(let e=0,t=r.length;e<t;e++)o[String(r[e])]=s[e];return o},lookupStringArray:function(e,t){e&&e.key&&(t=e.key,e=e.value);let n=[];this.column(t)||u("COLUMN_NOT_FOUND","'"+t+"' column not found!",{source:"lookup",column:t}),this.column(e)||u("COLUMN_NOT_FOUND","'"+e+"' column not found!",{source:"lookup",column:e});const o=this.column(t).values(),r=this.column(e).values();for(let e=0,t=o.length;e<t;e++)n[String(o[e])]=n[String(o[e])]?n[String(o[e])]+", "+r[e]:r[e];return n},lookup:function(e,t){const n=t.value,o=t.lookup,r=n+"_"+o;return this.lookupsA&&this.lookupsA[r]||(this.lookupsA=this.lookupsA||[],this.lookupsA[r]=this.lookupArray(n,o)),this.lookupsA[r][e]||"-"},toKeyValue:function(e){return this.lookupArray(e.value,e.key)},addColumn:function(e,t){if(!e.destination)return u("INVALID_OPTION","'data.addColumn' no destination defined!",{source:"addColumn"}),null;var n=null;if(e.source){for(let t=0,o=this.fields.length;t<o;t++)this.fields[t].id==e.source&&(n=t);if(null==n)return u("COLUMN_NOT_FOUND","'data.addColumn' source column '"+e.source+"' not found!",{source:"addColumn",column:e.source}),null}if(e.expr){const o=c.formula(e.expr);if(!(t=o.compile(this.fields)))return u("INVALID_OPTION","'data.addColumn' "+o.error,{source:"addColumn"}),null;n=null}if(this.fields.push({id:String(e.destination),created:!0}),this.table.fields++,t&&"function"==typeof t)for(let e=0,o=this.records.length;e<o;e++)this.records[e].push(null!=n?t(this.records[e][n],this.records[e]):t(this.records[e]));else if(t&&"object"==typeof t)for(let e=0,n=this.records.length;e<n;e++)this.records[e].push(t[e]||0);else if(e.values&&"object"==typeof e.values)for(let t=0,n=this.records.length;t<n;t++)this.records[t].push(e.values[t]||0);else for(let e=0,t=this.records.length;e<t;e++)this.records[e].push(0);return this},addRow:function(e){if(!e||"object"!=typeof e)return u("INVALID_OPTION","'data.addRow' no options defined!",{source:"addRow"}),null;var t=[];for(let e=0,n=this.fields.length;e<n;e++)t.push("");for(var n in e)this.column(n)?t[this.column(n).index]=e[n]:u("COLUMN_NOT_FOUND","'data.addRow' column '"+n+"' not found!",{source:"addRow",column:n});return this.records.push(t),this.table.records++,this},filter:function(e){this.selection=new c.Table;for(const t in this.records)e&&e(this.records[t])&&(this.selection.records.push(this.records[t]),this.selection.table.records++);return this.selection.fields=this.fields.slice(),this.selection.table.fields=this.table.fields,this.sdmx&&(this.selection.sdmx=this.sdmx),this.selection},select:function(e){this.selection=new c.Table,this.selection.fields=this.fields.slice(),this.selection.table.fields=this.table.fields,this.sdmx&&(this.selection.sdmx=this.sdmx);const t=c.expression(e),n=t.compile(this.fields);if(!n)return u("QUERY_ERROR","data.js - "+t.error,{source:"select"}),this.selection;for(let e=0,t=this.records.length;e<t;e++)n(this.records[e])&&(this.selection.records.push(this.records[e].slice()),this.selection.table.records++);return this.selection},aggregate:function(e,t){let n=!1;e.lead&&(n=e.calc&&"mean"==e.calc,t=e.lead,e=e.column||e.value);const o=t.split("|"),r=[];let s=null;for(let t=0;t<o.length;t++)for(let n=0;n<this.fields.length;n++)this.fields[n].id==o[t]&&(r[t]=n),this.fields[n].id==e&&(s=n);this.aggregation=new c.Table;const i=this.fields[s],l=i&&String(i.type).match(/^(number|integer)$/)?function(e){return F(e,i)||0}:__scanValue,a={},u={};for(let e=0,t=this.records.length;e<t;e++){const t=[];for(let n=0,o=r.length;n<o;n++)t.push(this.records[e][r[n]]);const n=t.join("");if(a[n])a[n][r.length]+=l(this.records[e][s]),u[n][r.length]++;else{a[n]=[],a[n][r.length]=l(this.records[e][s]);for(let t=0;t<r.length;t++)a[n][t]=this.records[e][r[t]];u[n]=[],u[n][r.length]=1}}for(const e in a)n&&(a[e][r.length]/=u[e][r.length]),this.aggregation.records.push(a[e]),this.aggregation.table.records++;const h=[];for(let e=0;e<o.length;e++)h[e]={id:o[e]};return h[o.length]={id:e},this.aggregation.fields=h,this.aggregation.table.fields=h,this.aggregation},condense:function(e,t){const n={},o=[];e&&e.lead&&(e=(t=e).lead);const r=this.columnIndex(e);if(t&&t.keep)if("string"==typeof t.keep)o[this.columnIndex(t.keep)]=!0;else for(i=0;i<t.keep.length;i++)o[this.columnIndex(t.keep[i])]=!0;const s=[];for(let e=0;e<this.records.length;e++){const i=String(this.records[e][r]);if(null!=n[i]){const r=n[i];for(let n=0,i=this.records[e].length;n<i;n++)if(!o[n])if(isNaN(this.records[e][n])){if(isNaN(this.records[e][n])&&s[r][n]!=this.records[e][n]){let e=parseFloat(String(s[r][n]).split(" (+")[1])||0;s[r][n]=String(s[r][n]).split(" (+")[0]+" (+"+ ++e+") "}}else t&&"max"==t.calc?s[r][n]=Math.max(Number(s[r][n]),Number(this.records[e][n])):s[r][n]=Number(s[r][n])+Number(this.records[e][n])}else s.push(this.records[e].slice()),n[i]=s.length-1}return this.__condense=new c.Table,this.__condense.fields=this.fields,this.__condense.table.fields=this.fields,this.__condense.records=s.slice(),this.__condense.table.records=this.__condense.records.length,this.__condense},groupColumns:function(e){let t=e.source,n=[];for(let e=0,o=t.length;e<o;e++)n[e]=this.column(t[e]).index;return this.addColumn({destination:e.destination},function(e){let t=0;for(let o=0,r=n.length;o<r;o++)t+=Number(e[n[o]]);return t}),this},pivot:function(e){if(e=e||{},this.sdmx){const t=this.sdmx;e.cols=e.cols||e.columns||t.timeDimension,e.value=e.value||t.measure,e.lead||e.rows||(e.lead=t.dimensions.filter(function(t){return t!=e.cols&&this.column(t).uniqueValues().length>1},this),e.keep=e.keep||e.lead.map(function(e){return e+"_label"}).filter(function(e){return null!=this.columnIndex(e)},this))}e.lead=e.lead||e.rows,e.cols=e.cols||e.columns,e.keep=e.keep||[],e.sum=e.sum||[],e.lead=s(e.lead),e.cols=s(e.cols),e.keep=s(e.keep),e.sum=s(e.sum),e.value=s(e.value),e.forced=s(e.forced);let t=[];for(let e=0;e<this.fields.length;e++)t[String(this.fields[e].id)]=e;for(let n=0,o=e.lead.length;n<o;n++)void 0===t[e.lead[n]]&&u("COLUMN_NOT_FOUND","data.pivot - pivot keep column '"+e.lead[n]+"' not found",{source:"pivot",column:e.lead[n]});for(let n=0,o=e.cols.length;n<o;n++)e.cols&&void 0===t[e.cols[n]]&&u("COLUMN_NOT_FOUND","data.pivot - pivot columns source column '"+e.cols[n]+"' not found",{source:"pivot",column:e.cols[n]});for(let n=0,o=e.keep.length;n<o;n++)void 0===t[e.keep[n]]&&u("COLUMN_NOT_FOUND","data.pivot - pivot keep column '"+e.keep[n]+"' not found",{source:"pivot",column:e.keep[n]});for(let n=0,o=e.sum.length;n<o;n++)void 0===t[e.sum[n]]&&u("COLUMN_NOT_FOUND","data.pivot - pivot sum column '"+e.sum[n]+"' not found",{source:"pivot",column:e.sum[n]});for(let n=0,o=e.value.length;n<o;n++)void 0===t[e.value[n]]&&u("COLUMN_NOT_FOUND","data.pivot - pivot value column '"+e.value[n]+"' not found",{source:"pivot",column:e.value[n]});let n=[],o=[],r=this.records;if(e.forced)for(let t=0;t<e.forced.length;t++)o[String(e.forced[t])]=0;for(let s=0,i=r.length;s<i;s++){const i=[r[s][t[e.lead[0]]]];for(let n=1;n<e.lead.length;n++)i.push(r[s][t[e.lead[n]]]);const l=i.join("|");let c=String(r[s][t[e.cols[0]]]),a=null;if("string"==e.calc)a=r[s][t[e.value[0]]];else if(a=1,e.value&&e.value.length){a=0;for(let n=0;n<e.value.length;n++)a+=e.value[n]?__scanValue(r[s][t[e.value[n]]]):1}if((!c||c.length<1)&&(c="undefined"),void 0===o[c]&&(o[c]=0),n[l]){for(let o=0;o<e.keep.length;o++)r[s][t[e.keep[o]]]&&r[s][t[e.keep[o]]].length&&n[l][e.keep[o]]!=r[s][t[e.keep[o]]]&&(n[l][e.keep[o]]=r[s][t[e.keep[o]]]);for(let o=0;o<e.sum.length;o++)n[l][e.sum[o]]+=Number(r[s][t[e.sum[o]]])}else{n[l]={Total:0};for(let o=0;o<e.keep.length;o++)n[l][e.keep[o]]=r[s][t[e.keep[o]]];for(let o=0;o<e.sum.length;o++)n[l][e.sum[o]]=Number(r[s][t[e.sum[o]]])}n[l].Total+=a,n[l][c]?(e.calc,"max"==e.calc?n[l][c]=Math.max(a,n[l][c]):(n[l][c]+=a,n[l][c+"count"]++)):(n[l][c]=a,n[l][c+"count"]=1)}this.__pivot=new c.Table;for(let t=0;t<e.lead.length;t++)this.__pivot.fields.push({id:e.lead[t]});for(let t=0;t<e.keep.length;t++)this.__pivot.fields.push({id:e.keep[t]});for(let t=0;t<e.sum.length;t++)this.__pivot.fields.push({id:e.sum[t]});if(e.cols&&e.cols.length)for(let e in o)Object.prototype.hasOwnProperty.call(o,e)&&this.__pivot.fields.push({id:e});this.__pivot.fields.push({id:"Total"});for(let t in n)if(Object.prototype.hasOwnProperty.call(n,t)){const r=[],s=t.split("|");if(e.lead&&e.lead.length)for(let e=0;e<s.length;e++)r.push(s[e]);for(let o=0;o<e.keep.length;o++)r.push(n[t][e.keep[o]]);for(let o=0;o<e.sum.length;o++)r.push(n[t][e.sum[o]]);if(e.cols&&e.cols.length)for(let s in o)Object.prototype.hasOwnProperty.call(o,s)&&("mean"==e.calc?r.push((n[t][s]||0)/(n[t][s+"count"]||1)):r.push(n[t][s]||0));r.push(n[t].Total),this.__pivot.records.push(r),this.__pivot.table.records++}return this.__pivot},unpivot:function(e){const t=(e=e||{}).names_to||"name",n=e.values_to||"value";let o=e.keep?s(e.keep):null,r=e.columns?s(e.columns):null;if(!o&&!r)return u("INVALID_OPTION","unpivot: define 'keep' or 'columns'",{source:"unpivot"}),null;o=o||this.fields.map(e=>e.id).filter(e=>r.indexOf(e)<0),r=r||this.fields.map(e=>e.id).filter(e=>o.indexOf(e)<0);const i=o.map(e=>this.columnIndex(e)),l=r.map(e=>this.columnIndex(e)),a=o.concat(r).filter((e,t)=>null==i.concat(l)[t]);if(a.length)return u("COLUMN_NOT_FOUND","unpivot: column(s) '"+a.join(",")+"' not found",{source:"unpivot",column:a.join(",")}),null;const h=[t,n].filter((e,n)=>o.includes(e)||1==n&&e==t);if(h.length)return u("INVALID_OPTION","unpivot: column '"+h[0]+"' exists already, define another 'names_to' or 'values_to'",{source:"unpivot",column:h[0]}),null;this.__unpivot=new c.Table,i.forEach(function(e){this.__unpivot.fields.push(Object.assign({},this.fields[e]))},this);const f={id:t};Object.assign(f,G(r.map(e=>String(e)))),this.__unpivot.fields.push(f);const p={id:n},d=l.map(e=>this.fields[e]);d[0].type&&d.every(e=>e.type==d[0].type&&e.decimalMark==d[0].decimalMark)&&(p.type=d[0].type,d[0].decimalMark&&(p.decimalMark=d[0].decimalMark)),this.__unpivot.fields.push(p);for(let e=0;e<this.records.length;e++){const t=i.map(t=>this.records[e][t]);for(let n=0;n<l.length;n++)this.__unpivot.records.push(t.concat([r[n],this.records[e][l[n]]]))}return this.__unpivot.table={records:this.__unpivot.records.length,fields:this.__unpivot.fields.length},this.__unpivot},transpose:function(e){const t=void 0!==(e=e||{}).lead?this.columnIndex(e.lead):0,n=Number(t);if(null==t||isNaN(n)||!this.fields[n])return u("COLUMN_NOT_FOUND","transpose: lead column '"+e.lead+"' not found",{source:"transpose",column:e.lead}),null;const o=this.fields.filter((e,t)=>t!=n),r=this.transposedFields||[];this.__transpose=new c.Table,this.__transpose.fields.push(Object.assign({},r[0]||{id:this.fields[n].id,type:"string"}));for(let e=0;e<this.records.length;e++){const t=String(this.records[e][n]),o=r.filter(e=>e.id==t)[0];this.__transpose.fields.push(o?Object.assign({},o):{id:t})}return o.forEach(function(e){const t=this.fields.indexOf(e);this.__transpose.records.push([e.id].concat(this.records.map(e=>e[t])))},this),this.__transpose.fields.forEach(function(e,t){t&&!e.type&&Object.assign(e,G(this.__transpose.records.map(e=>e[t])))},this),this.__transpose.transposedFields=[this.fields[n]].concat(o).map(e=>Object.assign({},e)),this.__transpose.table={records:this.__transpose.records.length,fields:this.__transpose.fields.length},this.__transpose},subtable:function(e){if(this.__subt=new c.Table,e.fields){e.columns=[];for(let t=0;t<e.fields.length;t++)for(let n=0;n<this.fields.length;n++)this.fields[n].id==e.fields[t]&&e.columns.push(n)}for(let t=0;t<e.columns.length;t++)this.__subt.fields.push({id:String(this.fields[e.columns[t]].id)}),this.__subt.table.fields++;for(const t in this.records){let n=[];for(let o=0;o<e.columns.length;o++)n.push(this.records[t][e.columns[o]]);this.__subt.records.push(n),this.__subt.table.records++}return this.__subt},sort:function(e,t){let n=this.column(e).values();const o=this.fields[this.columnIndex(e)];if(o&&String(o.type).match(/^(number|integer|date|boolean)$/)){const e=n.map(function(e,t){const n=F(e,o);return{index:t,value:null==n?null:Number(n)}}),r=t&&"DOWN"==t?-1:1;return e.sort(function(e,t){return e.value===t.value?e.index-t.index:null===e.value?1:null===t.value?-1:(e.value-t.value)*r}),this.records=e.map(function(e){return this.records[e.index]},this),this}let r=0;for(let e=0;e<Math.min(n.length,10);e++)isNaN(parseFloat(String(n[e]).replace(",",".")))||r++;let s=[];if(r)for(let e=0;e<n.length;e++)s.push({index:e,value:Number(String(n[e]).replace(",","."))});else for(let e=0;e<n.length;e++)s.push({index:e,value:n[e]});t&&"DOWN"==t?s.sort(function(e,t){return e.value>t.value?-1:1}):s.sort(function(e,t){return e.value<t.value?-1:1});let i=[];for(let e=0;e<s.length;e++)i.push(this.records[s[e].index]);return this.records=i,this},append:function(e){if(this.table.fields.length!=e.table.fields.length)return null;for(let t=0;t<this.table.fields.length;t++)if(this.table.fields[t].id!=e.table.fields[t].id)return null;let t=e.records;for(let e=0;e<t.length;e++)this.records.push(t[e]);return this.table.records=this.records.length,this},inferTypes:function(e){for(let t=0,n=this.fields.length;t<n;t++){const n=[];for(let o=0,r=this.records.length;o<r&&n.length<2*(e&&e.sample||1e3);o++)n.push(this.records[o][t]);const o=G(n,e);this.fields[t].type=o.type,o.decimalMark?this.fields[t].decimalMark=o.decimalMark:delete this.fields[t].decimalMark}return this},setTypes:function(e){for(const t in e){const n=this.columnIndex(t);if(null==n){u("COLUMN_NOT_FOUND","setTypes: '"+t+"' column not found!",{source:"setTypes",column:t});continue}const o="object"==typeof e[t]?e[t]:{type:e[t]};String(o.type).match(/^(number|integer|date|boolean|string|geometry)$/)?(this.fields[n].type=o.type,o.decimalMark&&(this.fields[n].decimalMark=o.decimalMark)):u("INVALID_OPTION","setTypes: '"+o.type+"' unknown type!",{source:"setTypes",column:t})}return this},schema:function(){return this.fields.map(function(e){const t={id:e.id,type:e.type||"string"};return e.decimalMark&&(t.decimalMark=e.decimalMark),t})},convertTypes:function(){for(let e=0,t=this.fields.length;e<t;e++){const t=this.fields[e];if(String(t.type).match(/^(number|integer|boolean)$/)){for(let n=0,o=this.records.length;n<o;n++)this.records[n][e]=F(this.records[n][e],t);delete t.decimalMark}}return this},join:function(e,t){t=t||{};const n=String(t.how||"left").toLowerCase(),o=t.suffixes||["","_2"];if(!t.on)return u("INVALID_OPTION","join: no key column ('on') defined!",{source:"join"}),null;if(!n.match(/^(left|inner|outer|anti)$/))return u("INVALID_OPTION","join: '"+n+"' unknown join type!",{source:"join"}),null;const r=s(t.on.left||t.on),i=s(t.on.right||t.on);if(r.length!=i.length)return u("INVALID_OPTION","join: key column count differs!",{source:"join"}),null;const l=function(e,t){for(let n=0;n<e.fields.length;n++)if(e.fields[n].id==t)return n;return u("COLUMN_NOT_FOUND","join: '"+t+"' column not found!",{source:"join",column:t}),-1},a=r.map(function(e){return l(this,e)},this),h=i.map(function(t){return l(e,t)});if(a.includes(-1)||h.includes(-1))return null;const f=t.normalize||{},p="function"==typeof f?f:function(e){let t=null==e?"":String(e);return f.trim&&(t=t.trim()),f.digits&&(t=("000000000000000"+t).slice(-f.digits)),f.tonumber&&(t=String(Number(t))),f.toupper&&(t=t.toUpperCase()),t},d=function(e,t){return t.map(function(t){return String(p(e[t]))}).join("|")},g={};for(let t=0;t<e.records.length;t++){const n=d(e.records[t],h);(g[n]=g[n]||[]).push(t)}const m=new c.Table,_=[];for(let t=0;t<e.fields.length;t++)h.includes(t)||_.push(t);const y=this.fields.map(function(e){return String(e.id)}),b=_.map(function(t){return String(e.fields[t].id)});for(let e=0;e<y.length;e++){const t=b.includes(y[e])&&!r.includes(y[e]);m.fields.push({id:y[e]+(t?o[0]:"")})}if("anti"!=n)for(let e=0;e<b.length;e++){const t=y.includes(b[e]);m.fields.push({id:b[e]+(t?o[1]:"")})}m.table.fields=m.fields.length;const O={matched:0,unmatchedLeft:[],unmatchedRight:[]},S={},D=_.map(function(){return""});for(let t=0;t<this.records.length;t++){const o=d(this.records[t],a),r=g[o];if(r){if(O.matched++,S[o]=!0,"anti"==n)continue;for(const n of r){const o=this.records[t].slice();for(const t of _)o.push(e.records[n][t]);m.records.push(o)}}else{if(O.unmatchedLeft.push(o),"inner"==n)continue;m.records.push("anti"==n?this.records[t].slice():this.records[t].concat(D))}}for(const t in g)if(!S[t]&&(O.unmatchedRight.push(t),"outer"==n))for(const n of g[t]){const t=this.fields.map(function(){return""});for(let o=0;o<a.length;o++)t[a[o]]=e.records[n][h[o]];for(const o of _)t.push(e.records[n][o]);m.records.push(t)}return m.table.records=m.records.length,m.report=O,(O.unmatchedLeft.length||O.unmatchedRight.length)&&_LOG("join: "+O.unmatchedLeft.length+" keys without match in this table, "+O.unmatchedRight.length+" in the other table"),this.__join=m,m},json:function(){this.__json=[];for(const e in this.records){let t={};for(const n in this.fields)t[String(this.fields[n].id)]=this.records[e][n];this.__json.push(t)}return this.__json},toCSV:function(e){const t=(e=e||{}).delimiter||",",n=e.newline||"\r\n",o=this.fields,r=function(n,o){if(null==n)return"";if(e.decimal&&o&&String(o.type).match(/^(number|integer)$/)){const t=F(n,o);n=null==t?"":String(t).replace(".",e.decimal)}else"object"==typeof n&&(n=n instanceof Date?n.toISOString():JSON.stringify(n));const r=String(n);return r.indexOf(t)>=0||r.match(/["\r\n]/)?'"'+r.replace(/"/g,'""')+'"':r},s=[];!1!==e.header&&s.push(o.map(function(e){return r(e.id)}).join(t));for(let e=0,n=this.records.length;e<n;e++)s.push(this.records[e].map(function(e,t){return r(e,o[t])}).join(t));return s.join(n)+n},toGeoJSON:function(e){const t=this.fields,n=J(this,e);if(!n)return u("INVALID_OPTION","toGeoJSON: no geometry or lat/lon columns found!",{source:"toGeoJSON"}),null;const o=n.geometryIndex,r=n.latIndex,s=n.lonIndex,i=[];for(let e=0,l=this.records.length;e<l;e++){const l=this.records[e],c={};for(let e=0;e<t.length;e++)if(e!=o&&e!=r&&e!=s){const n=t[e].type?F(l[e],t[e]):l[e];c[String(t[e].id)]=n instanceof Date?l[e]:n}i.push({type:"Feature",geometry:n.read(l),properties:c})}return{type:"FeatureCollection",features:i}},toJSONstat:function(e){e=e||{};const t=this.columnIndex(e.value);if(null==t)return u("COLUMN_NOT_FOUND","toJSONstat: value column '"+e.value+"' not found!",{source:"toJSONstat",column:e.value}),null;const n=e.dimensions?s(e.dimensions):this.fields.filter(function(e,n){return n!=t}).map(function(e){return String(e.id)}),o=[];for(const e of n){const t=this.columnIndex(e);if(null==t)return u("COLUMN_NOT_FOUND","toJSONstat: dimension column '"+e+"' not found!",{source:"toJSONstat",column:e}),null;o.push(t)}const r=o.map(function(){return{}}),i=o.map(function(){return 0});for(let e=0,t=this.records.length;e<t;e++)o.forEach(function(t,n){const o=String(this.records[e][t]);void 0===r[n][o]&&(r[n][o]=i[n]++)},this);const l=i.reduce(function(e,t){return e*t},1),c=new Array(l).fill(null),a=this.fields[t];for(let e=0,n=this.records.length;e<n;e++){let n=0;o.forEach(function(t,o){n=n*i[o]+r[o][String(this.records[e][t])]},this);const s=a.type?F(this.records[e][t],a):M(this.records[e][t]);c[n]=null==s||"number"==typeof s&&isNaN(s)?null:s}const h={};return n.forEach(function(e,t){const n={};for(const e in r[t])n[e]=e;h[e]={label:e,category:{index:r[t],label:n}}}),{version:"2.0",class:"dataset",label:e.label||String(e.value),id:n,size:i,dimension:h,value:c}},toParquet:function(t){const n=this;return new Promise(function(o,r){D(function(){const s=A("__table_"),i=s+".parquet",l=e.duckdb.db;R(n,s).then(function(){return e.duckdb.conn.query("COPY "+w(s)+" TO "+k(i)+" (FORMAT PARQUET)")}).then(function(){return l.copyFileToBuffer(i)}).then(function(e){E(s),v(i),t&&t(e),o(e)}).catch(function(e){_LOG("toParquet: "+e),E(s),v(i),r(u("QUERY_ERROR",f(e),{source:"toParquet",cause:e}))})},function(e){r(u("PARSER_NOT_LOADED",e,{source:"toParquet"}))})})}},__myNumber=function(e){let t=parseFloat(e.replace(/\./g,"").replace(/\,/g,"."));return isNaN(t)?0:t},__scanValue=function(e){let t=null;return String(e).match(/,/)?(t=parseFloat(String(e).replace(/\./gi,"").replace(/,/gi,".")),isNaN(t)?0:t):(t=parseFloat(String(e).replace(/ /gi,"")),isNaN(t)?0:t)};const M=function(e,t){if(null==e)return NaN;let n=String(e).trim();return n=n.match(/,/)?n.replace(/\./g,"").replace(/,/g,"."):n.replace(/ /g,""),n.length?t?Number(n):parseFloat(n):NaN},T=function(e){return String(e).replace(/[.*+?^${}()|[\]\\]/g,"\\$&")},x={".":/^[-+]?(\d+|\d{1,3}(,\d{3})+)(\.\d+)?([eE][-+]?\d+)?$/,",":/^[-+]?(\d+|\d{1,3}(\.\d{3})+)(,\d+)?$/},P=function(e){return null==e||""===String(e).trim()||"null"===e},I=function(e,t){if("number"==typeof e)return e;if(P(e))return NaN;const n=String(e).trim().replace(/ /g,"");return","==t?Number(n.replace(/\./g,"").replace(",",".")):"."==t?Number(n.replace(/,/g,"")):M(n,!0)},G=function(e,t){const n=(t=t||{}).sample||1e3,o=[];for(let t=0;t<e.length&&o.length<n;t++)P(e[t])||o.push(e[t]);if(!o.length)return{type:"string"};const r=function(e){return o.every(e)};if(r(function(e){return"object"==typeof e&&(e.coordinates||e.geometries||"Feature"==e.type)})||r(function(e){return String(e).match(/^\s*(\{\s*"type"\s*:\s*"(Point|MultiPoint|LineString|MultiLineString|Polygon|MultiPolygon|GeometryCollection)"|(POINT|LINESTRING|POLYGON|MULTIPOINT|MULTILINESTRING|MULTIPOLYGON|GEOMETRYCOLLECTION)\s*\()/i)}))return{type:"geometry"};if(r(function(e){return"boolean"==typeof e||String(e).match(/^(true|false)$/i)}))return{type:"boolean"};if(r(function(e){return"number"==typeof e||!String(e).trim().match(/^[-+]?0\d/)})){let e=[".",","].filter(function(e){return r(function(t){return"number"==typeof t||x[e].test(String(t).trim().replace(/ /g,""))})});if(t.decimal&&(e=e.filter(function(e){return e==t.decimal})),e.length){const t=1==e.length?e[0]:o.some(function(e){return String(e).match(/,/)})?",":".";return{type:r(function(e){return"number"==typeof e?Number.isInteger(e):!String(e).match(","==t?/,|[eE]/:/\.|[eE]/)})?"integer":"number",decimalMark:t}}}return r(function(e){return e instanceof Date||String(e).match(/^\d{4}-\d{2}-\d{2}([T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/)&&!isNaN(Date.parse(String(e).replace(" ","T")))||String(e).match(/^\d{1,2}[./]\d{1,2}[./]\d{4}$/)})?{type:"date"}:{type:"string"}},F=function(e,t){if(P(e))return null;switch(t&&t.type){case"number":case"integer":{const n=I(e,t.decimalMark);return isNaN(n)?null:n}case"boolean":return"boolean"==typeof e?e:!!String(e).match(/^true$/i)||!String(e).match(/^false$/i)&&null;case"date":{if(e instanceof Date)return e;const t=String(e).match(/^(\d{1,2})[./](\d{1,2})[./](\d{4})$/),n=t?new Date(Number(t[3]),Number(t[2])-1,Number(t[1])):new Date(String(e).replace(" ","T"));return isNaN(n.getTime())?null:n}case"geometry":if("object"==typeof e)return e;try{return JSON.parse(e)}catch(t){return String(e)}default:return e}};c.Expression=function(e,t){this.szQuery=String(e||""),this.options=t||{},this.tree=null,this.error=null,this.parse()},c.Expression.prototype={parse:function(){const e=this.szQuery.match(/\bWHERE\b/)?this.szQuery.split(/\bWHERE\b/).slice(1).join("WHERE"):this.szQuery;try{if(this.tokenA=this.__tokenize(e),this.nToken=0,!this.tokenA.length)throw new Error("empty query");if(this.tree=this.__parseOr(),this.nToken<this.tokenA.length)throw new Error("unexpected '"+this.tokenA[this.nToken].value+"'")}catch(e){this.tree=null,this.error="selection error - "+e.message+"!\nquery: "+this.szQuery}return this},columns:function(){const e=[],t=function(n){if(n){for(const t of[n.field,n.value,n.value2].concat(n.list||[]))t&&t.column&&"*"!=t.column&&!e.includes(t.column)&&e.push(t.column);t(n.left),t(n.right),t(n.expr)}};return t(this.tree),e},compile:function(e){if(!this.tree)return null;const t={};for(let n=0,o=e.length;n<o;n++)void 0===t[e[n].id]&&(t[e[n].id]=n);const n=this.columns().filter(function(e){return void 0===t[e]});return n.length?(this.error="selection error - column '"+n.join("', '")+"' not found!\nquery: "+this.szQuery,null):this.__compileNode(this.tree,t)},__tokenize:function(e){const t=[];let n=0;for(;n<e.length;){const o=e[n];if(o.match(/\s/))n++;else if('"'==o||"'"==o){const r=e.indexOf(o,n+1);if(r<0)throw new Error("missing closing quote");t.push({type:"string",value:e.substring(n+1,r)}),n=r+1}else if("("==o||")"==o)t.push({type:o,value:o}),n++;else{const r=e.substr(n,2).match(/^(<=|>=|<>|!=|==)/)||o.match(/^[=<>]/);if(r)t.push({type:"op",value:r[0]}),n+=r[0].length;else{let r=n;for(;r<e.length&&!e[r].match(/[\s"'()=<>!]/);)r++;if(r==n)throw new Error("unexpected '"+o+"'");t.push({type:"word",value:e.substring(n,r)}),n=r}}}return t},__peek:function(){return this.tokenA[this.nToken]},__next:function(){const e=this.tokenA[this.nToken++];if(!e)throw new Error("incomplete query");return e},__isKeyword:function(e,t){return e&&"word"==e.type&&e.value.toUpperCase()==t},__parseOr:function(){let e=this.__parseAnd();for(;this.__isKeyword(this.__peek(),"OR");)this.nToken++,e={type:"or",left:e,right:this.__parseAnd()};return e},__parseAnd:function(){let e=this.__parseNot();for(;this.__isKeyword(this.__peek(),"AND");)this.nToken++,e={type:"and",left:e,right:this.__parseNot()};return e},__parseNot:function(){if(this.__isKeyword(this.__peek(),"NOT"))return this.nToken++,{type:"not",expr:this.__parseNot()};const e=this.__peek();if(e&&"("==e.type){this.nToken++;const e=this.__parseOr();if(")"!=this.__next().type)throw new Error("missing ')'");return e}return this.__parseCondition()},__parseCondition:function(){const e=this.__next();if("string"!=e.type&&"word"!=e.type)throw new Error("column name expected instead of '"+e.value+"'");const t={field:{column:e.value},negate:!1};let n=this.__next();if("op"==n.type)return t.type="compare",t.op="=="==n.value?"=":"!="==n.value?"<>":n.value,t.value=this.__parseValue(),t;if("word"!=n.type)throw new Error("operator expected instead of '"+n.value+"'");let o=n.value.toUpperCase();if("IS"==o){if(t.type="null",this.__isKeyword(this.__peek(),"NOT")&&(this.nToken++,t.negate=!0),!this.__isKeyword(this.__next(),"NULL"))throw new Error("NULL expected after IS");return t}if("NOT"==o){const e=this.__peek();if(!e||"word"!=e.type||!e.value.toUpperCase().match(/^(LIKE|IN|BETWEEN|REGEXP|MATCH)$/))return t.type="like",t.negate=!0,t.value=this.__parseValue(),t;t.negate=!0,n=this.__next(),o=n.value.toUpperCase()}if("LIKE"==o)t.type="like",t.value=this.__parseValue();else if("REGEXP"==o||"MATCH"==o)t.type="regexp",t.value=this.__parseValue();else if("IN"==o)t.type="in",t.list=this.__parseList();else if("BETWEEN"==o){if(t.type="between",t.value=this.__parseValue(),!this.__isKeyword(this.__next(),"AND"))throw new Error("AND expected in BETWEEN");t.value2=this.__parseValue()}else t.type="like",t.value=this.__parseValue();return t},__parseValue:function(){const e=this.__next();if("string"!=e.type&&"word"!=e.type)throw new Error("value expected instead of '"+e.value+"'");const t=e.value.match(/^\$(.+)\$$/);return t?{column:t[1]}:{value:e.value}},__parseList:function(){const e=[],t=function(t){if(t.column)e.push(t);else for(const n of String(t.value).split(","))n.trim().length&&e.push({value:n.trim()})},n=this.__peek();if(n&&"("==n.type){for(this.nToken++;this.__peek()&&")"!=this.__peek().type;){const n=this.__next();"string"==n.type?e.push({value:n.value}):(this.nToken--,t(this.__parseValue()))}if(")"!=this.__next().type)throw new Error("missing ')'")}else t(this.__parseValue());if(!e.length)throw new Error("empty IN list");return e},__compileOperand:function(e,t){if("*"==e.column)return function(e){return e.join("|")};if(e.column){const n=t[e.column];return function(e){return e[n]}}const n=e.value;return function(){return n}},__compileRegExp:function(e,t,n){const o=this.options.likeAsRegExp,r=function(e){const t=(e=String(e)).match(/^\/(.*)\/([gimsuy]*)$/);if(t)return new RegExp(t[1],t[2].replace("g",""));if(n&&e.match(/%/))return new RegExp("^"+e.split("%").map(function(e){return e.split("_").map(T).join(".")}).join(".*")+"$","i");if(o)try{return new RegExp(e,"i")}catch(t){return new RegExp(T(e),"i")}return new RegExp(T(e),"i")};if(e.column){const n=this.__compileOperand(e,t);return function(e){return r(n(e))}}const s=r(e.value);return function(){return s}},__compileNode:function(e,t){const n=this;if("and"==e.type||"or"==e.type){const n=this.__compileNode(e.left,t),o=this.__compileNode(e.right,t);return"and"==e.type?function(e){return n(e)&&o(e)}:function(e){return n(e)||o(e)}}if("not"==e.type){const n=this.__compileNode(e.expr,t);return function(e){return!n(e)}}const o=this.__compileOperand(e.field,t);let r=null;switch(e.type){case"compare":{const s=this.__compileOperand(e.value,t),i=e.op;r=function(e){const t=o(e),r=s(e);if("="==i)return"*"==r?""!=String(t).replace(/ /g,""):0===n.__compare(t,r);if("<>"==i)return 0!==n.__compare(t,r);const l=n.__compare(t,r);return null!==l&&(">"==i?l>0:"<"==i?l<0:">="==i?l>=0:l<=0)};break}case"between":{const s=this.__compileOperand(e.value,t),i=this.__compileOperand(e.value2,t);r=function(e){const t=o(e),r=n.__compare(t,s(e)),l=n.__compare(t,i(e));return null!==r&&null!==l&&r>=0&&l<=0};break}case"like":case"regexp":{const n=this.__compileRegExp(e.value,t,"like"==e.type),s="like"==e.type&&!e.value.column&&"*"==e.value.value;r=function(e){const t=null==o(e)?"":String(o(e));return s?t.length>0:n(e).test(t)};break}case"in":{const s=e.list.map(function(e){return n.__compileOperand(e,t)});r=function(e){const t=String(o(e));for(let n=0;n<s.length;n++)if(String(s[n](e))==t)return!0;return!1};break}case"null":r=function(e){return n.__isNull(o(e))}}return e.negate?function(e){return!r(e)}:r},__compare:function(e,t){const n=M(t,!0);if(!isNaN(n)){const o=M(e);return isNaN(o)?String(e)==String(t)?0:null:o<n?-1:o>n?1:0}if(this.__isNull(e))return""==String(t)?0:null;const o=String(e),r=String(t);return o<r?-1:o>r?1:0},__isNull:function(e){return null==e||""===String(e).trim()||"null"===e}},c.expression=function(e,t){return new c.Expression(e,t)},c.Formula=function(e){this.szFormula=String(e||""),this.tree=null,this.error=null,this.parse()};const j=function(e){return"number"==typeof e?e:"boolean"==typeof e?NaN:e instanceof Date?e.getTime():M(e,!0)},C=function(e){return isFinite(e)?e:null},B={round:function(e,t){const n=Math.pow(10,j(t)||0);return C(Math.round(j(e)*n)/n)},floor:function(e){return C(Math.floor(j(e)))},ceil:function(e){return C(Math.ceil(j(e)))},abs:function(e){return C(Math.abs(j(e)))},sqrt:function(e){return C(Math.sqrt(j(e)))},log:function(e){return C(Math.log(j(e)))},exp:function(e){return C(Math.exp(j(e)))},pow:function(e,t){return C(Math.pow(j(e),j(t)))},min:function(){const e=Array.prototype.map.call(arguments,j).filter(function(e){return!isNaN(e)});return e.length?Math.min.apply(null,e):null},max:function(){const e=Array.prototype.map.call(arguments,j).filter(function(e){return!isNaN(e)});return e.length?Math.max.apply(null,e):null},number:function(e){return C(j(e))},coalesce:function(){for(let e=0;e<arguments.length;e++)if(!P(arguments[e]))return arguments[e];return null},concat:function(){return Array.prototype.map.call(arguments,function(e){return null==e?"":String(e)}).join("")},upper:function(e){return null==e?null:String(e).toUpperCase()},lower:function(e){return null==e?null:String(e).toLowerCase()},trim:function(e){return null==e?null:String(e).trim()},substr:function(e,t,n){if(null==e)return null;const o=j(t)||0;return null==n?String(e).substr(o):String(e).substr(o,j(n))}};c.Formula.prototype={parse:function(){try{if(this.tokenA=this.__tokenize(this.szFormula),this.nToken=0,!this.tokenA.length)throw new Error("empty formula");if(this.tree=this.__parseSum(),this.nToken<this.tokenA.length)throw new Error("unexpected '"+this.tokenA[this.nToken].value+"'")}catch(e){this.tree=null,this.error="formula error - "+e.message+"!\nformula: "+this.szFormula}return this},columns:function(){const e=[],t=function(n){n&&("column"!=n.type||e.includes(n.column)||e.push(n.column),t(n.left),t(n.right),t(n.expr),(n.args||[]).forEach(t))};return t(this.tree),e},compile:function(e){if(!this.tree)return null;const t={};for(let n=0,o=e.length;n<o;n++)void 0===t[e[n].id]&&(t[e[n].id]=n);const n=this.columns().filter(function(e){return void 0===t[e]});return n.length?(this.error="formula error - column '"+n.join("', '")+"' not found!\nformula: "+this.szFormula,null):this.__compileNode(this.tree,t,e)},__tokenize:function(e){const t=[];let n=0;for(;n<e.length;){const o=e[n];if(o.match(/\s/))n++;else if('"'==o||"'"==o||"$"==o){const r=e.indexOf(o,n+1);if(r<0)throw new Error("missing closing "+o);t.push({type:"'"==o?"string":"column",value:e.substring(n+1,r)}),n=r+1}else if("+-*/%^(),".indexOf(o)>=0)t.push({type:o,value:o}),n++;else{const o=e.substr(n).match(/^(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?(?![\w.])/);if(o){t.push({type:"number",value:Number(o[0])}),n+=o[0].length;continue}let r=n;for(;r<e.length&&!e[r].match(/[\s"'$+\-*/%^(),]/);)r++;t.push({type:"word",value:e.substring(n,r)}),n=r}}return t},__peek:function(){return this.tokenA[this.nToken]},__next:function(){const e=this.tokenA[this.nToken++];if(!e)throw new Error("incomplete formula");return e},__parseSum:function(){let e=this.__parseProduct();for(;this.__peek()&&("+"==this.__peek().type||"-"==this.__peek().type);)e={type:"op",op:this.__next().type,left:e,right:this.__parseProduct()};return e},__parseProduct:function(){let e=this.__parseUnary();for(;this.__peek()&&this.__peek().type.match(/^[*/%]$/);)e={type:"op",op:this.__next().type,left:e,right:this.__parseUnary()};return e},__parseUnary:function(){const e=this.__peek();if(e&&"-"==e.type)return this.nToken++,{type:"neg",expr:this.__parseUnary()};if(e&&"+"==e.type)return this.nToken++,this.__parseUnary();const t=this.__parsePrimary();return this.__peek()&&"^"==this.__peek().type?(this.nToken++,{type:"op",op:"^",left:t,right:this.__parseUnary()}):t},__parsePrimary:function(){const e=this.__next();if("number"==e.type||"string"==e.type)return{type:"value",value:e.value};if("column"==e.type)return{type:"column",column:e.value};if("("==e.type){const e=this.__parseSum();if(")"!=this.__next().type)throw new Error("missing ')'");return e}if("word"==e.type){if(!this.__peek()||"("!=this.__peek().type)return{type:"column",column:e.value};const t=e.value.toLowerCase();if(!Object.prototype.hasOwnProperty.call(B,t))throw new Error("unknown function '"+e.value+"'");this.nToken++;const n=[];if(this.__peek()&&")"==this.__peek().type)this.nToken++;else{n.push(this.__parseSum());let e=this.__next();for(;","==e.type;)n.push(this.__parseSum()),e=this.__next();if(")"!=e.type)throw new Error("missing ')'")}return{type:"function",fn:t,args:n}}throw new Error("unexpected '"+e.value+"'")},__compileNode:function(e,t,n){switch(e.type){case"value":{const t=e.value;return function(){return t}}case"column":{const o=t[e.column],r=n[o];return r.type&&"string"!=r.type?function(e){return F(e[o],r)}:function(e){return e[o]}}case"neg":{const o=this.__compileNode(e.expr,t,n);return function(e){return C(-j(o(e)))}}case"function":{const o=B[e.fn],r=e.args.map(function(e){return this.__compileNode(e,t,n)},this);return function(e){return o.apply(null,r.map(function(t){return t(e)}))}}case"op":{const o=this.__compileNode(e.left,t,n),r=this.__compileNode(e.right,t,n),s=e.op;return function(e){const t=o(e),n=r(e),i=j(t),l=j(n);return"+"==s?P(t)||P(n)?null:isNaN(i)||isNaN(l)?String(t)+String(n):i+l:C("-"==s?i-l:"*"==s?i*l:"/"==s?i/l:"%"==s?i%l:Math.pow(i,l))}}}return null}},c.formula=function(e){return new c.Formula(e)},c.Table.prototype.addTimeColumns=function(e){if(!e.source)return null;for(const t in this.fields)if(this.fields[t].id==e.source){let n=e.create||["date","year","month","day","hour"];for(let e=0;e<n.length;e++)this.fields.push({id:String(n[e])}),this.table.fields++;let o=this.records.length,r=0;for(r=0;r<o;r++){let e=new Date(this.records[r][t]);if(e)for(let t=0;t<n.length;t++)switch(n[t]){case"date":let t=String(e.getDate())+"."+String(e.getMonth()+1)+"."+String(e.getFullYear());this.records[r].push(t);break;case"year":this.records[r].push(e.getFullYear());break;case"month":this.records[r].push(e.getMonth()+1);break;case"day":this.records[r].push(e.getDay());break;case"hour":this.records[r].push(e.getHours())}}}return this},c.Table.prototype.window=function(e){const t=s(e.fn),n=e.column||e.order;if(!t.length)return u("INVALID_OPTION","'data.window' no function defined!",{source:"window"}),null;for(const e of t)if(!["rank","cumsum","lag","lead","rolling_mean"].includes(e))return u("INVALID_OPTION","'data.window' unknown function '"+e+"'!",{source:"window"}),null;const o=[];for(const t of s(e.partition)){const e=this.columnIndex(t);if(null==e)return u("COLUMN_NOT_FOUND","'data.window' partition column '"+t+"' not found!",{source:"window",column:t}),null;o.push(e)}const r=e.order?this.columnIndex(e.order):null;if(e.order&&null==r)return u("COLUMN_NOT_FOUND","'data.window' order column '"+e.order+"' not found!",{source:"window",column:e.order}),null;const i=n?this.columnIndex(n):null;if(null==i)return u("COLUMN_NOT_FOUND","'data.window' value column '"+(n||"")+"' not found!",{source:"window",column:n}),null;const l={};for(let e=0,t=this.records.length;e<t;e++){const t=o.map(function(t){return String(this.records[e][t])},this).join("|");(l[t]=l[t]||[]).push(e)}const c=null!=r?r:t.includes("rank")?i:null;if(null!=c){const t=this.records,n=this.fields[c],o=n&&String(n.type).match(/^(number|integer|date)$/),r=!o&&t.every(function(e){return P(e[c])||!isNaN(M(e[c],!0))}),s=t.map(function(e){if(P(e[c]))return null;if(o){const t=F(e[c],n);return null==t?null:Number(t)}return r?M(e[c],!0):String(e[c])}),i=e.descending?-1:1;for(const e in l)l[e].sort(function(e,t){const n=s[e],o=s[t];return n===o?e-t:null===n?1:null===o?-1:(n<o?-1:n>o?1:e-t)*i})}const a=Number(e.size)||1,h=this.fields[i];for(const o of t){const r=new Array(this.records.length).fill("");for(const e in l){const t=l[e],n=t.map(function(e){return I(this.records[e][i],h.decimalMark)},this);switch(o){case"rank":{let e=0;for(let n=0;n<t.length;n++)0!=n&&String(this.records[t[n]][c])==String(this.records[t[n-1]][c])||(e=n+1),r[t[n]]=e;break}case"cumsum":{let e=0;for(let o=0;o<t.length;o++)isNaN(n[o])||(e+=n[o],r[t[o]]=e);break}case"lag":case"lead":{const e="lag"==o?-a:a;for(let n=0;n<t.length;n++)n+e>=0&&n+e<t.length&&(r[t[n]]=this.records[t[n+e]][i]);break}case"rolling_mean":{let e=0,o=0;for(let s=0;s<t.length;s++)isNaN(n[s])||(e+=n[s],o++),s>=a&&!isNaN(n[s-a])&&(e-=n[s-a],o--),s>=a-1&&o&&(r[t[s]]=e/o);break}}}this.fields.push({id:String(e.destination&&1==t.length?e.destination:n+"_"+o),created:!0}),this.table.fields++;for(let e=0,t=this.records.length;e<t;e++)this.records[e].push(r[e])}return this},c.Table.prototype.rows=async function*(e){const t=e||{},n=t.batch||1e4,o=this.fields.map(function(e){return e.id});for(let e=0,r=this.records.length;e<r;e++){if(!e||e%n||await new Promise(function(e){setTimeout(e,0)}),t.signal&&t.signal.aborted)return;const r=this.records[e];if(t.objects){const e={};for(let t=0;t<o.length;t++)e[o[t]]=r[t];yield e}else yield r}},c.Table.prototype[Symbol.asyncIterator]=function(){return this.rows()};const q={select:function(e,t){return e.select(t)},addColumn:function(e,t){return t.expr||t.values?e.addColumn(t):(u("INVALID_OPTION","'data.apply' addColumn needs 'expr' or 'values'!",{source:"apply"}),null)},aggregate:function(e,t){return e.aggregate(t)},condense:function(e,t){return e.condense(t)},groupColumns:function(e,t){return e.groupColumns(t)},pivot:function(e,t){return e.pivot(t)},unpivot:function(e,t){return e.unpivot(t)},transpose:function(e,t){return e.transpose(t)},subtable:function(e,t){return e.subtable(r(t)?{fields:t}:t)},sort:function(e,t){const n="string"==typeof t?t:t.column;return null==e.columnIndex(n)?(u("COLUMN_NOT_FOUND","'data.apply' sort column '"+n+"' not found!",{source:"apply",column:n}),null):e.sort(n,t.order)},rename:function(e,t){for(const n in t){const o=e.column(n);if(!o)return u("COLUMN_NOT_FOUND","'data.apply' rename column '"+n+"' not found!",{source:"apply",column:n}),null;o.rename(t[n])}return e},remove:function(e,t){for(const n of s(t)){const t=e.column(n);if(!t)return u("COLUMN_NOT_FOUND","'data.apply' remove column '"+n+"' not found!",{source:"apply",column:n}),null;t.remove()}return e},window:function(e,t){return e.window(t)},addTimeColumns:function(e,t){return e.addTimeColumns(t)},inferTypes:function(e,t){return e.inferTypes("object"==typeof t?t:{})},setTypes:function(e,t){return e.setTypes(t)},convertTypes:function(e){return e.convertTypes()},revert:function(e){return e.revert()},reverse:function(e){return e.reverse()}},U=function(e,t){let n=null;try{n=JSON.parse("string"==typeof t?t:JSON.stringify(t))}catch(e){return{error:u("INVALID_OPTION","'data.apply' pipeline is not valid JSON: "+e.message,{source:"apply",cause:e})}}if(!r(n))return{error:u("INVALID_OPTION","'data.apply' pipeline must be an array of steps!",{source:"apply"})};for(let t=0;t<n.length;t++){const o=n[t]&&"object"==typeof n[t]?Object.keys(n[t]):[],r=o[0];if(1!=o.length||!Object.prototype.hasOwnProperty.call(q,r))return{error:u("INVALID_OPTION","'data.apply' step "+(t+1)+": unknown step '"+o.join(",")+"'!",{source:"apply"})};_LOG("Data.apply: step "+(t+1)+" "+r);const s=a;let i=null;try{i=q[r](e,n[t][r])}catch(e){return{error:u("INVALID_OPTION","'data.apply' step "+(t+1)+" '"+r+"' failed: "+e.message,{source:"apply",cause:e})}}if(!i||a>s)return{error:a>s?c.errors[c.errors.length-1]:u("INVALID_OPTION","'data.apply' step "+(t+1)+" '"+r+"' failed!",{source:"apply"})};e=i}return{table:e}};c.Table.prototype.apply=function(e){return U(function(e){const t=new c.Table;return t.table=Object.assign({},e.table),t.fields=e.fields.map(function(e){return Object.assign({},e)}),t.records=e.records.map(function(e){return e.slice()}),e.sdmx&&(t.sdmx=e.sdmx),t}(this),e).table||null};const J=function(e,t){t=t||{};const n=e.fields,o=function(e){for(let t=0;t<n.length;t++)if(String(n[t].id).match(e))return n[t].id;return null};let r=t.geometry,s=t.lat,i=t.lon||t.lng;r||s&&i||(r=n.filter(function(e){return"geometry"==e.type}).map(function(e){return e.id})[0]||o(/^(geometry|geom)$/i),r||(s=o(/^(lat|latitude)$/i),i=o(/^(lon|lng|long|longitude)$/i)));const l=r?e.columnIndex(r):null,a=s?e.columnIndex(s):null,u=i?e.columnIndex(i):null;if(null==l&&(null==a||null==u))return null;const h={geometryIndex:null==l?null:Number(l),latIndex:null==a?null:Number(a),lonIndex:null==u?null:Number(u),unsupported:0,read:function(e){if(null!=l){let t=e[l];if("string"==typeof t){t.match(/^\s*[A-Z]+\s*\(/i)&&(t=c.Feed.prototype.__wktToGeoJSON(t));try{t=JSON.parse(t)}catch(e){return null}if(t&&"WKT"==t.type)return h.unsupported++,null}return t&&(t.coordinates||t.geometries)?t:t&&t.geometry?t.geometry:null}const t=I(e[a],n[a].decimalMark),o=I(e[u],n[u].decimalMark);return isNaN(t)||isNaN(o)?null:{type:"Point",coordinates:[o,t]}}};return h},W=110.574,V=111.32,z=function(e){const t={points:[],lines:[],polygons:[]},n=function(e){if(!e)return;const o=e.coordinates;switch(e.type){case"Point":t.points.push(o);break;case"MultiPoint":t.points.push.apply(t.points,o);break;case"LineString":t.lines.push(o);break;case"MultiLineString":t.lines.push.apply(t.lines,o);break;case"Polygon":t.polygons.push(o);break;case"MultiPolygon":t.polygons.push.apply(t.polygons,o);break;case"GeometryCollection":(e.geometries||[]).forEach(n)}};n(e),t.fPoint=!t.lines.length&&!t.polygons.length;for(const e of t.polygons)t.lines.push.apply(t.lines,e);for(const e of t.lines)t.points.push.apply(t.points,e);if(t.points=t.points.filter(function(e){return e&&isFinite(e[0])&&isFinite(e[1])}),!t.points.length)return null;const o=[1/0,1/0,-1/0,-1/0];for(const e of t.points)o[0]=Math.min(o[0],e[0]),o[1]=Math.min(o[1],e[1]),o[2]=Math.max(o[2],e[0]),o[3]=Math.max(o[3],e[1]);return t.box=o,t},X=function(e,t,n){let o=!1;for(const r of n)for(let n=0,s=r.length-1;n<r.length;s=n++){const i=r[n][0],l=r[n][1],c=r[s][0],a=r[s][1];l>t!=a>t&&e<(c-i)*(t-l)/(a-l)+i&&(o=!o)}return o},H=function(e,t){for(const n of t.polygons)if(X(e[0],e[1],n))return!0;return!1},K=function(e,t,n,o){const r=function(e,t,n){const o=(t[1]-e[1])*(n[0]-t[0])-(t[0]-e[0])*(n[1]-t[1]);return o>0?1:o<0?-1:0},s=function(e,t,n){return t[0]<=Math.max(e[0],n[0])&&t[0]>=Math.min(e[0],n[0])&&t[1]<=Math.max(e[1],n[1])&&t[1]>=Math.min(e[1],n[1])},i=r(e,t,n),l=r(e,t,o),c=r(n,o,e),a=r(n,o,t);return i!=l&&c!=a||(0==i&&s(e,n,t)||0==l&&s(e,o,t)||0==c&&s(n,e,o)||0==a&&s(n,t,o))},Q=function(e,t){for(const n of e.lines)for(let e=1;e<n.length;e++)for(const o of t.lines)for(let t=1;t<o.length;t++)if(K(n[e-1],n[e],o[t-1],o[t]))return!0;return!1},Y=function(e,t){return e[0]<=t[2]&&e[2]>=t[0]&&e[1]<=t[3]&&e[3]>=t[1]},Z=function(e,t){if(!t.polygons.length||!Y(e.box,t.box))return!1;for(const n of e.points)if(!H(n,t))return!1;return e.fPoint||!Q(e,t)},ee=function(e,t){return!!Y(e.box,t.box)&&(e.fPoint&&t.fPoint?e.points.some(function(e){return t.points.some(function(t){return e[0]==t[0]&&e[1]==t[1]})}):e.points.some(function(e){return H(e,t)})||t.points.some(function(t){return H(t,e)})||Q(e,t))},te=function(e,t,n){if(H([e,t],n))return 0;const o=Math.cos(t*Math.PI/180)*V,r=W;let s=1/0;const i=function(n){const i=(n[0]-e)*o,l=(n[1]-t)*r;s=Math.min(s,Math.sqrt(i*i+l*l))};if(!n.lines.length)return n.points.forEach(i),s;for(const l of n.lines){1==l.length&&i(l[0]);for(let n=1;n<l.length;n++){const i=(l[n-1][0]-e)*o,c=(l[n-1][1]-t)*r,a=(l[n][0]-e)*o-i,u=(l[n][1]-t)*r-c,h=a*a+u*u,f=h?Math.max(0,Math.min(1,-(i*a+c*u)/h)):0,p=i+f*a,d=c+f*u;s=Math.min(s,Math.sqrt(p*p+d*d))}}return s},ne=function(e){this.shapeA=e;const t=[1/0,1/0,-1/0,-1/0];let n=0;for(const o of e)o&&(t[0]=Math.min(t[0],o.box[0]),t[1]=Math.min(t[1],o.box[1]),t[2]=Math.max(t[2],o.box[2]),t[3]=Math.max(t[3],o.box[3]),n++);this.box=t;const o=Math.max(t[2]-t[0],1e-9),r=Math.max(t[3]-t[1],1e-9),s=Math.max(1,Math.min(n,25e4));this.nCols=Math.max(1,Math.round(Math.sqrt(s*o/r))),this.nRows=Math.max(1,Math.round(s/this.nCols)),this.nCellWidth=o/this.nCols,this.nCellHeight=r/this.nRows,this.cellA={},e.forEach(function(e,t){if(e){const n=this.__range(e.box);for(let e=n[0];e<=n[2];e++)for(let o=n[1];o<=n[3];o++)(this.cellA[e+"|"+o]=this.cellA[e+"|"+o]||[]).push(t)}},this),this.nMinCos=Math.max(0,Math.min(Math.cos(t[1]*Math.PI/180),Math.cos(t[3]*Math.PI/180)))};ne.prototype={__col:function(e){return Math.max(0,Math.min(this.nCols-1,Math.floor((e-this.box[0])/this.nCellWidth)))},__row:function(e){return Math.max(0,Math.min(this.nRows-1,Math.floor((e-this.box[1])/this.nCellHeight)))},__range:function(e){return[this.__col(e[0]),this.__row(e[1]),this.__col(e[2]),this.__row(e[3])]},search:function(e){const t=[];if(!Y(e,this.box))return t;const n=this.__range(e),o={};for(let r=n[0];r<=n[2];r++)for(let s=n[1];s<=n[3];s++)for(const n of this.cellA[r+"|"+s]||[])!o[n]&&Y(e,this.shapeA[n].box)&&(o[n]=!0,t.push(n));return t},nearest:function(e,t,n){const o=this.__col(e),r=this.__row(t),s=Math.min(this.nCellWidth*this.nMinCos*V,this.nCellHeight*W),i=Math.max(this.nCols,this.nRows),l={};let c=null;for(let a=0;a<=i;a++){for(let n=o-a;n<=o+a;n++)for(let s=r-a;s<=r+a;s++)if(Math.abs(n-o)==a||Math.abs(s-r)==a)for(const o of this.cellA[n+"|"+s]||[])if(!l[o]){l[o]=!0;const n=te(e,t,this.shapeA[o]);(!c||n<c.distance)&&(c={index:o,distance:n})}const i=a*s;if(c&&c.distance<=i||i>n)break}return c&&c.distance<=n?c:null}},c.Table.prototype.spatialJoin=function(e,t){t=t||{};const n=String(t.predicate||"within").toLowerCase(),o=String(t.how||"left").toLowerCase(),r=t.suffixes||["","_2"],i=null!=t.maxDistance?Number(t.maxDistance):1/0;if(!e||!e.fields)return u("INVALID_OPTION","spatialJoin: no polygon table defined!",{source:"spatialJoin"}),null;if(!n.match(/^(within|intersects|nearest)$/))return u("INVALID_OPTION","spatialJoin: '"+n+"' unknown predicate!",{source:"spatialJoin"}),null;if(!o.match(/^(left|inner)$/))return u("INVALID_OPTION","spatialJoin: '"+o+"' unknown join type!",{source:"spatialJoin"}),null;const l=J(this,t),a=J(e,{geometry:t.polygonGeometry});if(!l||!a)return u("COLUMN_NOT_FOUND","spatialJoin: no geometry or lat/lon columns found in the "+(l?"polygon":"point")+" table!",{source:"spatialJoin"}),null;const h=s(t.aggregate).map(function(e){"string"==typeof e&&(e={calc:e});const t=String(e.calc||(e.column?"sum":"count")).toLowerCase();return{column:e.column,index:e.column?this.columnIndex(e.column):null,calc:t,destination:e.destination||("count"==t?"count":e.column+"_"+t)}},this);for(const e of h){if(!e.calc.match(/^(count|sum|mean|min|max)$/))return u("INVALID_OPTION","spatialJoin: '"+e.calc+"' unknown aggregation!",{source:"spatialJoin"}),null;if(e.column&&null==e.index)return u("COLUMN_NOT_FOUND","spatialJoin: '"+e.column+"' column not found!",{source:"spatialJoin",column:e.column}),null}const f=[];for(const n of t.columns?s(t.columns):e.fields.map(function(e){return e.id})){const o=e.columnIndex(n);if(null==o)return u("COLUMN_NOT_FOUND","spatialJoin: '"+n+"' column not found!",{source:"spatialJoin",column:n}),null;(t.columns||Number(o)!=a.geometryIndex)&&f.push(Number(o))}const p=e.records.map(function(e){return z(a.read(e))}),d=new ne(p),g={matched:0,unmatched:[],noGeometry:[]},m=function(e){if("nearest"==n){const t=d.nearest((e.box[0]+e.box[2])/2,(e.box[1]+e.box[3])/2,i);return t?[t]:[]}const t="within"==n?Z:ee;return d.search(e.box).filter(function(n){return t(e,p[n])}).map(function(e){return{index:e}})},_=[];for(let e=0,t=this.records.length;e<t;e++){const t=z(l.read(this.records[e]));if(!t){g.noGeometry.push(e),_.push([]);continue}const n=m(t);n.length?g.matched++:g.unmatched.push(e),_.push(n)}(l.unsupported||a.unsupported)&&u("PARSE_ERROR","spatialJoin: only POINT WKT geometries are supported; "+l.unsupported+" rows without geometry, "+a.unsupported+" polygons ignored (convert them to GeoJSON)!",{source:"spatialJoin"});const y=new c.Table;if(h.length){const t=this.fields;y.fields=e.fields.map(function(e){return Object.assign({},e)});const n=e.records.map(function(){return h.map(function(){return[]})});_.forEach(function(e,o){for(const r of e)h.forEach(function(e,s){if(null==e.index)return void n[r.index][s].push(1);const i=this.records[o][e.index],l=t[e.index].type?F(i,t[e.index]):M(i);("count"==e.calc?P(i):null==l||isNaN(l))||n[r.index][s].push(Number(l))},this)},this);for(const e of h)y.fields.push({id:String(e.destination),type:"number",created:!0});return y.records=e.records.map(function(e,t){return e.concat(h.map(function(e,o){const r=n[t][o];switch(e.calc){case"count":return r.length;case"sum":return r.reduce(function(e,t){return e+t},0);case"mean":return r.length?r.reduce(function(e,t){return e+t},0)/r.length:null;case"min":return r.length?r.reduce(function(e,t){return t<e?t:e}):null;case"max":return r.length?r.reduce(function(e,t){return t>e?t:e}):null}return null}))}),y.table.fields=y.fields.length,y.table.records=y.records.length,y.report=g,y}const b=this.fields.map(function(e){return String(e.id)}),O=f.map(function(t){return String(e.fields[t].id)}),S=t.distance||"distance";for(let e=0;e<b.length;e++)y.fields.push(Object.assign({},this.fields[e],{id:b[e]+(O.includes(b[e])?r[0]:"")}));for(let t=0;t<O.length;t++)y.fields.push(Object.assign({},e.fields[f[t]],{id:O[t]+(b.includes(O[t])?r[1]:"")}));"nearest"==n&&y.fields.push({id:S,type:"number",created:!0}),y.table.fields=y.fields.length;const D=y.fields.slice(b.length).map(function(){return""});return _.forEach(function(t,r){if(t.length)for(const o of t){const t=this.records[r].slice();for(const n of f)t.push(e.records[o.index][n]);"nearest"==n&&t.push(Math.round(1e3*o.distance)/1e3),y.records.push(t)}else"left"==o&&y.records.push(this.records[r].concat(D))},this),y.table.records=y.records.length,y.report=g,(g.unmatched.length||g.noGeometry.length)&&_LOG("spatialJoin: "+g.unmatched.length+" rows without match, "+g.noGeometry.length+" rows without geometry"),y};const oe=function(e){return String(null==e?"":e).normalize("NFD").replace(/[\u0300-\u036f]/g,"").toLowerCase().replace(/[^\p{L}\p{N}]+/gu," ").trim()},re=function(e,t,n){if(Math.abs(e.length-t.length)>n)return n+1;let o=[];for(let e=0;e<=t.length;e++)o[e]=e;for(let r=1;r<=e.length;r++){const s=[r];let i=r;for(let n=1;n<=t.length;n++)s[n]=Math.min(o[n]+1,s[n-1]+1,o[n-1]+(e[r-1]==t[n-1]?0:1)),i=Math.min(i,s[n]);if(i>n)return n+1;o=s}return o[t.length]};c.Table.prototype.geocode=function(e){const t=(e=e||{}).gazetteer,n=e.suffixes||["","_2"],o=null!=e.threshold?Number(e.threshold):.8;if(!t||!t.fields)return u("INVALID_OPTION","geocode: no gazetteer table defined!",{source:"geocode"}),null;if(!e.column)return u("INVALID_OPTION","geocode: no name column defined!",{source:"geocode"}),null;const r=function(e,n,o){const r=e.columnIndex(n);return null==r?(u("COLUMN_NOT_FOUND","geocode: "+(e==t?"gazetteer ":"")+"column '"+n+"' not found"+(o||"")+"!",{source:"geocode",column:n}),-1):Number(r)},i=r(this,e.column),l=r(t,e.name||e.column,e.name?"":" (define the gazetteer name column by 'name')"),a=[];for(const n in e.context||{})a.push([r(this,n),r(t,e.context[n])]);let h=e.add?s(e.add):null;if(!h){const e=J(t,{});if(!e)return u("INVALID_OPTION","geocode: the gazetteer has no lat/lon or geometry columns, define the columns to add!",{source:"geocode"}),null;h=(null!=e.geometryIndex?[e.geometryIndex]:[e.latIndex,e.lonIndex]).map(function(e){return t.fields[e].id})}const f=h.map(function(e){return r(t,e)});if(i<0||l<0||f.includes(-1)||a.some(function(e){return e.includes(-1)}))return null;const p={};for(let e=0;e<t.records.length;e++){const n=oe(t.records[e][l]);n&&(p[n]=p[n]||[]).push(e)}const d=Object.keys(p),g={matched:0,fuzzy:[],ambiguous:[],unmatched:[]},m={},_=function(n){const r=oe(n[i]),s=r+"|"+a.map(function(e){return oe(n[e[0]])}).join("|");if(m[s])return m[s];let c="exact",u=p[r]||[],h=null;!u.length&&e.fuzzy&&r&&(h=function(e){let t=[],n=o;for(const o of d){const r=Math.max(e.length,o.length),s=Math.floor(r*(1-n)),i=re(e,o,s);if(i<=s){const e=1-i/r;e>n&&(n=e,t=[]),e>=n&&t.push(o)}}return{names:t,score:Math.round(1e3*n)/1e3}}(r),u=[].concat.apply([],h.names.map(function(e){return p[e]})),c="fuzzy"),u=u.filter(function(e){return a.every(function(o){return oe(t.records[e][o[1]])==oe(n[o[0]])})});const g={};for(const e of u){const n=JSON.stringify(f.map(function(n){return t.records[e][n]}));n in g||(g[n]=e)}const _=Object.keys(g).map(function(e){return g[e]}),y={status:_.length?_.length>1?"ambiguous":c:"unmatched",candidates:_,match:h&&1==_.length?t.records[_[0]][l]:null,score:h?h.score:1};return m[s]=y,y},y=new c.Table,b=this.fields.map(function(e){return String(e.id)});for(let e=0;e<b.length;e++)y.fields.push(Object.assign({},this.fields[e],{id:b[e]+(h.includes(b[e])?n[0]:"")}));for(let e=0;e<f.length;e++)y.fields.push(Object.assign({},t.fields[f[e]],{id:String(h[e])+(b.includes(String(h[e]))?n[1]:"")}));e.status&&y.fields.push({id:String(e.status),type:"string",created:!0}),y.table.fields=y.fields.length;for(let n=0,o=this.records.length;n<o;n++){const o=this.records[n],r=_(o),s=o.slice();for(const e of f)s.push(1==r.candidates.length?t.records[r.candidates[0]][e]:"");switch(e.status&&s.push(r.status),y.records.push(s),r.status){case"exact":g.matched++;break;case"fuzzy":g.matched++,g.fuzzy.push({row:n,value:o[i],match:r.match,score:r.score});break;case"ambiguous":g.ambiguous.push({row:n,value:o[i],candidates:r.candidates});break;default:g.unmatched.push({row:n,value:o[i]})}}return y.table.records=y.records.length,y.report=g,(g.ambiguous.length||g.unmatched.length)&&_LOG("geocode: "+g.ambiguous.length+" ambiguous and "+g.unmatched.length+" unmatched rows"),y};const se=function(e,t){const n=(e.length-1)*t,o=Math.floor(n),r=Math.ceil(n);return e[o]+(e[r]-e[o])*(n-o)};c.Table.prototype.profile=function(e){const t=(e=e||{}).bins||10,n=null!=e.top?e.top:5,o=e.quantiles||[.25,.5,.75],r=e.columns?s(e.columns):this.fields.map(function(e){return e.id}),i={rows:this.records.length,columns:[]};for(const e of r){const r=this.columnIndex(e);if(null==r){u("COLUMN_NOT_FOUND","profile: '"+e+"' column not found!",{source:"profile",column:e});continue}const s=this.fields[Number(r)],l=this.records.map(function(e){return e[Number(r)]}),c=s.type?{type:s.type,decimalMark:s.decimalMark}:G(l),a={name:s.id,type:c.type,nulls:0},h=Object.assign({},s,c),f=new Map,p=[];let d=null,g=null,m=0;for(const e of l)if(P(e))a.nulls++;else{if("geometry"!=a.type){const t=String(e);f.set(t,(f.get(t)||0)+1)}if("number"==a.type||"integer"==a.type){const t=F(e,h);null==t?m++:p.push(t)}else if("date"==a.type){const t=F(e,h);t&&(d=!d||t<d?t:d,g=!g||t>g?t:g)}}if("geometry"!=a.type&&(a.distinct=f.size,a.top=Array.from(f.entries()).sort(function(e,t){return t[1]-e[1]}).slice(0,n).map(function(e){return{value:e[0],count:e[1]}})),("number"==a.type||"integer"==a.type)&&p.length){p.sort(function(e,t){return e-t});const e=p[0],n=p[p.length-1];let r=0;for(const e of p)r+=e;const s=r/p.length;let i=0;for(const e of p)i+=(e-s)*(e-s);a.min=e,a.max=n,a.sum=r,a.mean=s,a.stddev=Math.sqrt(i/p.length),a.quantiles={};for(const e of o)a.quantiles[e]=se(p,e);a.invalid=m;const l=n>e?t:1,c=(n-e)/l;a.histogram=[];for(let t=0;t<l;t++)a.histogram.push({from:e+t*c,to:t==l-1?n:e+(t+1)*c,count:0});for(const t of p)a.histogram[c?Math.min(l-1,Math.floor((t-e)/c)):0].count++}"date"==a.type&&d&&(a.min=d,a.max=g),i.columns.push(a)}return i},c.Column=function(){this.table=null,this.index=null,this.valueA=null},c.Column.prototype={values:function(e){if(this.valueA=[],e&&e.typed){const e=this.table.fields[this.index];for(const t in this.table.records)this.valueA.push(F(this.table.records[t][this.index],e));return this.valueA}for(const e in this.table.records)this.valueA.push(this.table.records[e][this.index]);return this.valueA},uniqueValues:function(){this.valueA=[];for(const e in this.table.records)this.valueA.push(this.table.records[e][this.index]);return this.valueA.filter(l)},map:function(e){for(const t in this.table.records)this.table.records[t][this.index]=e(this.table.records[t][this.index],this.table.records[t],this.index);return this},rename:function(e){return this.table.fields[this.index].id=e,this},remove:function(){this.table.fields.splice(this.index,1);for(const e in this.table.records)this.table.records[e].splice(this.index,1);return this.table.table.fields--,this}},c.Feed.prototype.column=function(e){return this.dbtable.column(e)},c.Feed.prototype.select=function(e){return this.dbtable.select(e)},c.Feed.prototype.aggregate=function(e,t){return this.dbtable.aggregate(e,t)},c.Feed.prototype.revert=function(){return this.dbtable.revert()},c.Feed.prototype.reverse=function(){return this.dbtable.reverse()},c.Feed.prototype.pivot=function(e){return this.dbtable.pivot(e)},c.Feed.prototype.subtable=function(e){return this.dbtable.subtable(e)},c.Feed.prototype.rows=function(e){return this.dbtable.rows(e)},c.Feed.prototype.apply=function(e){return this.dbtable.apply(e)},c.Feed.prototype.profile=function(e){return this.dbtable.profile(e)},c.Feed.prototype.addTimeColumns=function(e){return this.dbtable.addTimeColumns(e)},c.Broker=function(e){this.souceQueryA=[],this.options=e||{},this.concurrency=4,this.retries=0,this.retryDelay=500,e&&this.parseDefinition(e),this.onNotify=function(){},this.onError=function(){}},c.Broker.prototype=new c.Feed,c.Broker.prototype={addSource:function(e,t,n){return _LOG("Data.Broker.addSource: "+e),n=n||{},this.souceQueryA.push({url:e,type:t,name:n.name||null,depends:n.depends?s(n.depends):[],retries:n.retries,attempts:0,error:null,data:null,result:null,next:this}),this},setCallback:function(e){return this.callback=e,this},realize:function(e){return this.callback=e||this.callback,this.running=0,this.__settled=null,this.__started=!0,this.__schedule(),this},error:function(e){return this.onError=e||this.onError,this},notify:function(e){return this.onNotify=e||this.onNotify,this},then:d,catch:g},c.Broker.prototype.parseDefinition=function(e){this.callback=e.callback||null,"number"==typeof e.concurrency&&(this.concurrency=Math.max(1,e.concurrency)),"number"==typeof e.retries&&(this.retries=e.retries),"number"==typeof e.retryDelay&&(this.retryDelay=e.retryDelay)},c.Broker.prototype.__getQuery=function(e){for(let t=0;t<this.souceQueryA.length;t++)if(this.souceQueryA[t].name&&this.souceQueryA[t].name==e)return this.souceQueryA[t];return String(e).match(/^\d+$/)&&this.souceQueryA[Number(e)]||null},c.Broker.prototype.__schedule=function(){let e=!0;for(;e;){e=!1;for(let t=0;t<this.souceQueryA.length;t++){const n=this.souceQueryA[t];if(!n.result&&!n.loading)for(let t=0;t<n.depends.length;t++){const o=this.__getQuery(n.depends[t]);if(!o||o===n||"error"===o.result){n.result="error",n.error=u("DEPENDENCY_ERROR",o&&o!==n?"dependency '"+n.depends[t]+"' failed":"unknown dependency '"+n.depends[t]+"'",{source:"string"==typeof n.url?n.url:null}),this.onError(n.error,n),e=!0;break}}}}for(let e=0;e<this.souceQueryA.length&&this.running<this.concurrency;e++){const t=this.souceQueryA[e];if(t.result||t.loading||!t.url)continue;const n=t.depends.map(e=>this.__getQuery(e));if(n.every(e=>"success"===e.result)){if("function"==typeof t.url){let e=null;try{t.url=t.url.apply(this,n.map(e=>e.data))}catch(n){t.url=null,e="source url function: "+n}if(!t.url)return t.result="error",t.error=u("DEPENDENCY_ERROR",e||"source url function returned no url"),this.onError(t.error,t),void this.__schedule()}t.loading=!0,this.running++,this.getData(t)}}if(!this.running){for(let e=0;e<this.souceQueryA.length;e++){const t=this.souceQueryA[e];t.url&&!t.result&&(t.result="error",t.error=u("DEPENDENCY_ERROR","circular dependency",{source:"string"==typeof t.url?t.url:null}),this.onError(t.error,t))}this.data=[],this.result={complete:!0,loaded:[],failed:[]};for(let e=0;e<this.souceQueryA.length;e++){const t=this.souceQueryA[e];this.data.push(t.data||new c.Table),"success"===t.result?this.result.loaded.push(e):"error"===t.result&&(this.result.complete=!1,this.result.failed.push({index:e,name:t.name,url:"string"==typeof t.url?t.url:null,error:t.error,attempts:t.attempts}))}this.data.result=this.result,p(this,null,this.data),this.callback&&this.callback(this.data,this.result)}},c.Broker.prototype.getData=function(e){const t=this,n="number"==typeof e.retries?e.retries:this.retries,o=++e.attempts;this.onNotify(e),e.feed=c.feed({source:e.url,type:e.type,options:e.next.options,signal:this.options.signal,persist:this.options.persist,parent:this}).load(function(n){e.loading&&o===e.attempts&&(e.data=n,e.data.raw=e.feed.data,t.onNotify(e),e.result="success",e.error=null,e.loading=!1,t.running--,t.__schedule())}).error(function(r){if(e.loading&&o===e.attempts){if(e.error=r instanceof c.Error?r:u("LOAD_ERROR",f(r),{source:e.url}),e.attempts<=n&&"CANCELLED"!=e.error.code)return _LOG("Data.Broker: retry "+e.attempts+" "+e.url),void setTimeout(function(){t.getData(e)},t.retryDelay*Math.pow(2,e.attempts-1));t.onError(e.error,e),e.data=null,e.result="error",e.loading=!1,t.running--,t.__schedule()}})},c.Broker.prototype.setData=function(e){this.parent.__doCreateTableDataObject(e,null,this.parent.options)},c.Feed.prototype.broker=function(e){let t=new c.Broker(e);return t.parent=this,t},c.broker=function(e){return new c.Broker(e)},c.provider=function(){return new c.Broker},c.Merger=function(e){this.sourceA=[],this.options=e||{},this.onError=function(){},e&&this.parseDefinition(e)},c.Merger.prototype={addSource:function(e,t){return this.sourceA.push({data:e,opt:t}),this},setOutputColumns:function(e){return this.outColumnsA=e,this},realize:function(e){this.callback=e||this.callback,this.__settled=null,this.__started=!0,_LOG("DataMerger: >>>");let t=[];for(const e in this.sourceA){let n=this.sourceA[e];n.opt.columns=n.opt.columns||n.data.columnNames(),n.opt.label=n.opt.label||[],n.opt.columns=s(n.opt.columns),n.opt.label=s(n.opt.label),this.sourceA[e].data||this.onError(u("INVALID_OPTION","DataMerger: source '"+e+"' not found",{source:"Data.Merger"})),this.sourceA[e].data[0]||(this.sourceA[e].data=this.sourceA[e].data.getArray()),this.sourceA[e].data[0]||this.onError(u("INVALID_OPTION","DataMerger: source '"+e+"' not found or not of type Array",{source:"Data.Merger"}));let o=[];for(const t in this.sourceA[e].data[0]){this.sourceA[e].data[0][t]==this.sourceA[e].opt.lookup&&(o[this.sourceA[e].opt.lookup]=t);for(const n in this.sourceA[e].opt.columns)this.sourceA[e].opt.label[n]||(this.sourceA[e].opt.label[n]=this.sourceA[e].opt.columns[n]+"."+(Number(e)+1)),this.sourceA[e].data[0][t]==this.sourceA[e].opt.columns[n]&&(o[this.sourceA[e].opt.label[n]]=t)}for(const t in this.sourceA[e].opt.columns)o[this.sourceA[e].opt.label[t]]||_LOG("DataMerger: '"+this.sourceA[e].opt.label[t]+"' not found");t.push(o)}let n=[];for(const e in this.sourceA)for(const t in this.sourceA[e].opt.label)n.push(this.sourceA[e].opt.label[t]);if(!this.outColumnsA){this.outColumnsA=[];for(const e in n)this.outColumnsA.push(n[e])}let o=[];for(const e in this.outColumnsA)for(const n in t)for(const r in t[n])r==this.outColumnsA[e]&&(o[r]={input:n,index:t[n][r]});for(const e in this.outColumnsA)if(!o[this.outColumnsA[e]])for(const t in this.sourceA[0].data[0])this.sourceA[0].data[0][t]==this.outColumnsA[e]&&(o[this.outColumnsA[e]]={input:0,index:t});this.namedSourceA=[];for(let e=1;e<this.sourceA.length;e++){this.namedSourceA[e]=[];for(let n=1;n<this.sourceA[e].data.length;n++)this.namedSourceA[e][String(this.sourceA[e].data[n][t[e][this.sourceA[e].opt.lookup]])]=this.sourceA[e].data[n]}let r=[];r.push(this.outColumnsA);for(let e=1;e<this.sourceA[0].data.length;e++){let n=String(this.sourceA[0].data[e][[t[0][this.sourceA[0].opt.lookup]]]),s=[];for(const t in this.outColumnsA){let r=o[this.outColumnsA[t]];if(!r){const e=u("COLUMN_NOT_FOUND",'DataMerger - missing "'+this.outColumnsA[t]+'" in label:[...]',{source:"Data.Merger",column:this.outColumnsA[t]});return p(this,e),this.onError(e),null}0==r.input?s.push(this.sourceA[0].data[e][r.index]):this.namedSourceA[r.input][n]?s.push(this.namedSourceA[r.input][n][r.index]):s.push(" ")}r.push(s)}_LOG("DataMerger: done");let i=new c.Table;return i.setArray(r),p(this,null,i),this.callback&&this.callback(i),i},error:function(e){return this.onError=e||this.onError,this},then:function(e,t){return this.__settled||this.realize(),d.call(this,e,t)},catch:g},c.merger=function(){return new c.Merger},console.log("*** data.js "+c.version+" ***")}(window,document);
\ No newline at end of file
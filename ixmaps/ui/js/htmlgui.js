@@ -2859,7 +2859,7 @@ $Log: htmlgui.js,v $
 							ixmaps.showLoadingArrayStop();
 							ixmaps.hideLoading();
 						})
-						.realize(function (dataA) {
+						.realize(function (dataA, result) {
 
 							ixmaps.showLoadingArrayStop();
 							//ixmaps.showLoading("processing data ...");
@@ -2867,6 +2867,10 @@ $Log: htmlgui.js,v $
 
 							var themeDataObj = dataA[0];
 
+							// GR a failed source is passed as empty table, the error is shown by .error()
+							if ( result && (!result.complete || result.failed.length) ){
+								return;
+							}
 							if ( !themeDataObj ){
 								ixmaps.error("loading data error: '" + szUrl + "' could not be loaded !", 2000);
 								return;
@@ -134,6 +134,14 @@ $Log: maptheme.js,v $
 	}, {
 		style: "dbtableQuery",
 		obj: "coTableQuery"
+	}, {
+		style: "dbtablePipeline",
+		obj: "coTablePipeline",
+		type: "object"
+	}, {
+		style: "dbtablePersist",
+		obj: "coTablePersist",
+		type: "object"
 	}, {
 		style: "datacache",
 		obj: "fDataCache"
@@ -546,6 +554,12 @@ $Log: maptheme.js,v $
 	}, {
 		style: "gridoffsety",
 		obj: "nGridOffsetY"
+	}, {
+		style: "bandwidth",
+		obj: "szBandwidth"
+	}, {
+		style: "kernel",
+		obj: "szKernel"
 	}, {
 		style: "aggregationfield",
 		obj: "szAggregationField"
@@ -1004,6 +1018,17 @@ $Log: maptheme.js,v $
 			styleObj.type += "|CATEGORICAL";
 		}
 
+		// GR cartogram symbols, DORLING are circles, DEMERS are squares
+		if (styleObj.type.match(/\bCARTOGRAM\b/)) {
+			if (styleObj.type.match(/\bDEMERS\b/)) {
+				if (!styleObj.type.match(/\bSQUARE\b/)) {
+					styleObj.type += "|SQUARE";
+				}
+			} else if (!styleObj.type.match(/\bBUBBLE\b/)) {
+				styleObj.type += "|BUBBLE";
+			}
+		}
+
 		// make new theme object
 
 		_TRACE(" ");
@@ -1181,6 +1206,12 @@ $Log: maptheme.js,v $
 			if (__isdef(styleObj.dbtableQuery)) {
 				mapTheme.coTableQuery = styleObj.dbtableQuery;
 			}
+			if (__isdef(styleObj.dbtablePipeline)) {
+				mapTheme.coTablePipeline = styleObj.dbtablePipeline;
+			}
+			if (__isdef(styleObj.dbtablePersist)) {
+				mapTheme.coTablePersist = styleObj.dbtablePersist;
+			}
 			if (__isdef(styleObj.lookupfield)) {
 				mapTheme.szSelectionField = mapTheme.szItemField = styleObj.lookupfield;
 			}
@@ -1329,6 +1360,10 @@ $Log: maptheme.js,v $
 			if (__isdef(styleObj.sizefield)) {
 				mapTheme.szSizeField = styleObj.sizefield;
 			}
+			// GR HEATMAP weight field (is the size field of the points)
+			if (__isdef(styleObj.weightfield)) {
+				mapTheme.szSizeField = styleObj.weightfield;
+			}
 			if (__isdef(styleObj.timefield)) {
 				mapTheme.szTimeField = styleObj.timefield;
 			}
@@ -1698,6 +1733,14 @@ $Log: maptheme.js,v $
 			if (__isdef(styleObj.gridoffsety)) {
 				mapTheme.nGridOffsetY = Number(styleObj.gridoffsety) || 0;
 			}
+			// GR define HEATMAP kernel bandwidth (in meter or in pixel, like "20px")  
+			if (__isdef(styleObj.bandwidth)) {
+				mapTheme.szBandwidth = String(styleObj.bandwidth);
+			}
+			// GR define HEATMAP kernel (quartic|epanechnikov|triangular|uniform|gaussian)  
+			if (__isdef(styleObj.kernel)) {
+				mapTheme.szKernel = String(styleObj.kernel);
+			}
 			// GR 12.05.2015 define field for aggregation
 			if (__isdef(styleObj.aggregationfield)) {
 				mapTheme.szAggregationField = styleObj.aggregationfield;
@@ -2141,7 +2184,8 @@ $Log: maptheme.js,v $
 
 			if (this.themeDataCacheA[szData]) {
 				if (((!this.themeDataCacheA[szData].coTableUrl && !themeObj.coTableUrl) || (this.themeDataCacheA[szData].coTableUrl == themeObj.coTableUrl)) &&
-					((!this.themeDataCacheA[szData].coTableExt && !themeObj.coTableExt) || (this.themeDataCacheA[szData].coTableExt == themeObj.coTableExt))) {
+					((!this.themeDataCacheA[szData].coTableExt && !themeObj.coTableExt) || (this.themeDataCacheA[szData].coTableExt == themeObj.coTableExt)) &&
+					(JSON.stringify(this.themeDataCacheA[szData].coTablePersist || null) == JSON.stringify(themeObj.coTablePersist || null))) {
 					fCached = true;
 				}
 			}
@@ -2174,7 +2218,8 @@ $Log: maptheme.js,v $
 						// set cached object
 						this.themeDataCacheA[szData] = {
 							"coTableUrl": themeObj.coTableUrl,
-							"coTableExt": themeObj.coTableExt
+							"coTableExt": themeObj.coTableExt,
+							"coTablePersist": themeObj.coTablePersist
 						};
 
 						this.fWaitforData = true;
@@ -2185,7 +2230,10 @@ $Log: maptheme.js,v $
 							"theme": themeObj,
 							"type": themeObj.coTableType,
 							"name": themeObj.coTable,
-							"ext": themeObj.coTableExt
+							"ext": themeObj.coTableExt,
+							"pipeline": themeObj.coTablePipeline,
+							// GR persistent browser cache (IndexedDB) of data.js, not if the theme data cache is off
+							"persist": (themeObj.fDataCache === false) ? null : themeObj.coTablePersist
 						});
 
 						// htmlgui_loadExternalData resolves the path of the external data script to load changing .coTableExt
@@ -3230,9 +3278,103 @@ $Log: maptheme.js,v $
 		}
 	};
 
+	/**
+	 * make a DORLING (circles) or DEMERS (squares) cartogram with the charts
+	 * the symbols are sized by value (BUBBLE or SQUARE) and moved by a force simulation, 
+	 * so that they don't overlap but stay adjacent to their neighbours;
+	 * the layout is made asynchronously, until it is done the charts stay at their original positions;
+	 * on the first draw the charts move animated from their original positions
+	 * @type void
+	 */
+	MapTheme.prototype.cartogramCharts = function () {
+
+		// stop a layout still running for the former symbols
+		if (this.cartogramLayout) {
+			this.cartogramLayout.cancel();
+			this.cartogramLayout = null;
+		}
+
+		if (!this.chartGroup) {
+			return;
+		}
+
+		var nodesA = this.chartGroup.childNodes;
+
+		// remove old cartogram position changes and collect the symbols
+		// -------------------------------------------------------------
+		var chartNodesA = [];
+		var symbolsA = [];
+		for (var i = 0; i < nodesA.length; i++) {
+			if (!nodesA[i].fu) {
+				continue;
+			}
+			if (nodesA[i].cartogramOrigin) {
+				nodesA[i].fu.setPosition(nodesA[i].cartogramOrigin.x, nodesA[i].cartogramOrigin.y);
+				nodesA[i].cartogramOrigin = null;
+				nodesA[i].cartogramOffset = null;
+			}
+			var pos = nodesA[i].fu.getPosition();
+			var box = nodesA[i].fu.getBox();
+			if (!box.width || !box.height) {
+				continue;
+			}
+			chartNodesA.push(nodesA[i]);
+			symbolsA.push({
+				x: pos.x + box.x + box.width / 2,
+				y: pos.y + box.y + box.height / 2,
+				r: Math.min(box.width, box.height) / 2
+			});
+		}
+
+		// make the layout only if the symbols (data or sizes) have changed since the last one
+		// -----------------------------------------------------------------------------------
+		var fSquare = this.szFlag.match(/DEMERS/) ? true : false;
+		var cache = this.cartogramCache;
+		var fChanged = !cache || (cache.fSquare != fSquare) || (cache.symbolsA.length != symbolsA.length);
+		for (var i = 0; !fChanged && (i < symbolsA.length); i++) {
+			fChanged = (cache.symbolsA[i].x != symbolsA[i].x) || (cache.symbolsA[i].y != symbolsA[i].y) || (cache.symbolsA[i].r != symbolsA[i].r);
+		}
+		if (fChanged) {
+			var __this = this;
+			this.cartogramLayout = __maptheme_getCartogramPositions(symbolsA, fSquare, 300, function (posA) {
+				__this.cartogramLayout = null;
+				__this.cartogramCache = {
+					fSquare: fSquare,
+					symbolsA: symbolsA,
+					posA: posA
+				};
+				__this.moveCartogramCharts(chartNodesA, symbolsA, posA);
+			});
+			return;
+		}
+		this.moveCartogramCharts(chartNodesA, symbolsA, this.cartogramCache.posA);
+	};
+
+	/**
+	 * move the charts of a cartogram to the positions of the layout
+	 * @param chartNodesA the chart nodes
+	 * @param symbolsA the symbols of the charts (original centers)
+	 * @param posA the new centers of the symbols
+	 * @type void
+	 */
+	MapTheme.prototype.moveCartogramCharts = function (chartNodesA, symbolsA, posA) {
+
+		for (var i = 0; i < chartNodesA.length; i++) {
+			var pos = chartNodesA[i].fu.getPosition();
+			chartNodesA[i].cartogramOrigin = pos;
+			chartNodesA[i].cartogramOffset = new point(posA[i].x - symbolsA[i].x, posA[i].y - symbolsA[i].y);
+			chartNodesA[i].fu.setPosition(pos.x + chartNodesA[i].cartogramOffset.x, pos.y + chartNodesA[i].cartogramOffset.y);
+		}
+
+		if (!this.fCartogramAnimated) {
+			this.animateCharts("cartogram");
+			this.fCartogramAnimated = true;
+		}
+	};
+
 	/**
 	 * animate charts
-	 * at this time only scale
+	 * scale, or move from the original to the cartogram position
 	 * @type void
 	 */
 	MapTheme.prototype.animateCharts = function (szMode) {
@@ -3272,6 +3414,29 @@ $Log: maptheme.js,v $
 					'repeatCount': '3'
 				});
 			}
+
+		// animate position from the original to the cartogram position
+		// -------------------------------------
+		if (szMode == "cartogram")
+			for (i = 0; i < nodesA.length; i++) {
+				if (!nodesA[i].cartogramOffset) {
+					continue;
+				}
+				var scale = nodesA[i].fu.getScale();
+				var myAnimation = map.Dom.constructNode('animateTransform', nodesA[i], {
+					'attributeName': 'transform',
+					'type': 'translate',
+					'additive': 'sum',
+					'from': String(-nodesA[i].cartogramOffset.x / scale.x) + ' ' + String(-nodesA[i].cartogramOffset.y / scale.y),
+					'to': '0 0',
+					'begin': 'indefinite',
+					'dur': '2s',
+					'repeatCount': '1'
+				});
+				try {
+					myAnimation.beginElement();
+				} catch (e) { }
+			}
 	};
 
 	/**
@@ -3894,7 +4059,12 @@ $Log: maptheme.js,v $
 							styleObj.type.match(/POW2/) ||
 							styleObj.type.match(/POW3/) ||
 							styleObj.type.match(/LOG/) ||
-							styleObj.type.match(/QUANTILE/)
+							styleObj.type.match(/QUANTILE/) ||
+							styleObj.type.match(/JENKS/) ||
+							styleObj.type.match(/CLUSTER/) ||
+							styleObj.type.match(/STDDEV/) ||
+							styleObj.type.match(/PRETTY/) ||
+							styleObj.type.match(/BIVARIATE/)
 						)) {
 						mapTheme.szOldRanges = mapTheme.szRanges ? mapTheme.szRanges : mapTheme.szOldRanges;
 						mapTheme.szRanges = null;
@@ -4259,6 +4429,18 @@ $Log: maptheme.js,v $
 					mapTheme.szSizeField = String(styleObj.sizefield);
 					mapTheme.fRealize = true;
 				}
+				if (__isdef(styleObj.weightfield)) {
+					mapTheme.szSizeField = String(styleObj.weightfield);
+					mapTheme.fRealize = true;
+				}
+				if (__isdef(styleObj.bandwidth)) {
+					mapTheme.szBandwidth = String(styleObj.bandwidth);
+					mapTheme.fRedraw = true;
+				}
+				if (__isdef(styleObj.kernel)) {
+					mapTheme.szKernel = String(styleObj.kernel);
+					mapTheme.fRedraw = true;
+				}
 				if (__isdef(styleObj.timefield)) {
 					mapTheme.szTimeField = String(styleObj.timefield);
 					mapTheme.fRealize = true;
@@ -5763,6 +5945,22 @@ $Log: maptheme.js,v $
 			//
 			map.Dom.newShape('line', histGroup, -map.Scale.normalX(0.5), nHeight + 1, nWidth - map.Scale.normalX(0.5), nHeight + 1, "stroke:black;stroke-width:" + map.Scale.normalX(0.1) + ";");
 
+			// STDDEV classes: mark the mean and the standard deviations
+			//
+			if (mapTheme.szFlag.match(/STDDEV/) && mapTheme.nStdDev) {
+				for (var s = -3; s <= 3; s++) {
+					var xValue = mapTheme.nStdDevMean + s * mapTheme.nStdDev;
+					if (xValue < mapTheme.nMin || xValue > mapTheme.nMax) {
+						continue;
+					}
+					var nSigmaPos = ((fDoLog ? Math.log(xValue + dValue) : xValue) - nMin) / nClassStep * nClassWidth;
+					var newLine = map.Dom.newShape('line', histGroup, nSigmaPos, nY, nSigmaPos, nY + nHeight, "stroke:black;stroke-width:" + map.Scale.normalX(s ? 0.2 : 0.4) + ";stroke-dasharray:" + map.Scale.normalX(1) + "," + map.Scale.normalX(0.5) + ";stroke-opacity:0.7");
+					if (newLine) {
+						newLine.setAttributeNS(szMapNs, "tooltip", (s ? ((s > 0 ? "+" : "") + s + "\u03c3: ") : "mean: ") + mapTheme.formatValue(xValue, 2) + mapTheme.szUnit);
+					}
+				}
+			}
+
 			// draw x axis
 			// ===========
 			var nPosXLeft = -map.Scale.normalX(0.5);
@@ -6032,6 +6230,10 @@ $Log: maptheme.js,v $
 				if (nZoomChangeFactor && (nZoomChangeFactor != 1) && this.themesA[i].szFlag.match(/BEZIER/)) {
 					this.themesA[i].fRedraw = true;
 				}
+				// GR heatmap raster covers only the map view, make it new on zoom and pan
+				if (this.themesA[i].szFlag.match(/HEATMAP/)) {
+					this.themesA[i].fRedraw = true;
+				}
 				if (this.themesA[i].szFlag.match(/DECLUTTER/)) {
 					this.themesA[i].fDeclutter = true;
 					map.Themes.execute();
@@ -7203,6 +7405,442 @@ $Log: maptheme.js,v $
 		return stats.headTail(valuesA);
 	};
 
+	/**
+	 * get the sorted and valid values of a field, used to calculate class breaks
+	 * @param nField the index of the field (optional, default = first field)
+	 * @return array
+	 */
+	MapTheme.prototype.getClassValues = function (nField) {
+		nField = nField || 0;
+		this.getMeanMedianQuantile();
+		var valuesA = [];
+		var quantileA = this.quantileA[nField] || [];
+		for (var i = 0; i < quantileA.length; i++) {
+			if ((typeof (quantileA[i]) == "number") && isFinite(quantileA[i])) {
+				valuesA.push(quantileA[i]);
+			}
+		}
+		return valuesA.sort(this.sortUp);
+	};
+
+	/**
+	 * get natural breaks (Jenks/Fisher) from sorted values
+	 * minimizes the variance within the classes; the exact optimization is O(k*n*n),
+	 * so more than 1000 values are sampled along the sorted values
+	 * @param valuesA the sorted values
+	 * @param nClasses the number of classes
+	 * @return array of nClasses+1 breaks
+	 */
+	MapTheme.prototype.getJenksBreaks = function (valuesA, nClasses) {
+
+		var dataA = valuesA;
+		if (valuesA.length > 1000) {
+			dataA = [];
+			for (var i = 0; i < 1000; i++) {
+				dataA.push(valuesA[Math.round(i * (valuesA.length - 1) / 999)]);
+			}
+		}
+		var n = dataA.length;
+		nClasses = Math.max(1, Math.min(nClasses, n));
+
+		// lowerA[l][j] = first value (1 based) of class j, if the first l values are divided into j classes
+		var lowerA = [];
+		var varianceA = [];
+		for (var l = 0; l <= n; l++) {
+			lowerA[l] = [];
+			varianceA[l] = [];
+			for (var j = 0; j <= nClasses; j++) {
+				lowerA[l][j] = (l == 1) ? 1 : 0;
+				varianceA[l][j] = (l > 1) ? Infinity : 0;
+			}
+		}
+		for (var l = 2; l <= n; l++) {
+			var nSum = 0;
+			var nSumSquare = 0;
+			var nVariance = 0;
+			for (var m = 1; m <= l; m++) {
+				var nLower = l - m + 1;
+				var nValue = dataA[nLower - 1];
+				nSum += nValue;
+				nSumSquare += nValue * nValue;
+				nVariance = nSumSquare - (nSum * nSum) / m;
+				if (nLower > 1) {
+					for (var j = 2; j <= nClasses; j++) {
+						if (varianceA[l][j] >= (nVariance + varianceA[nLower - 1][j - 1])) {
+							lowerA[l][j] = nLower;
+							varianceA[l][j] = nVariance + varianceA[nLower - 1][j - 1];
+						}
+					}
+				}
+			}
+			lowerA[l][1] = 1;
+			varianceA[l][1] = nVariance;
+		}
+
+		var breaksA = [];
+		breaksA[0] = dataA[0];
+		breaksA[nClasses] = dataA[n - 1];
+		var k = n;
+		for (var j = nClasses; j > 1; j--) {
+			breaksA[j - 1] = dataA[lowerA[k][j] - 1];
+			k = lowerA[k][j] - 1;
+		}
+		return breaksA;
+	};
+
+	/**
+	 * get class breaks by k-means clustering of sorted values
+	 * in 1 dimension the clusters are contiguous, so the breaks are the first values of the clusters
+	 * @param valuesA the sorted values
+	 * @param nClasses the number of classes (clusters)
+	 * @return array of nClasses+1 breaks
+	 */
+	MapTheme.prototype.getKMeansBreaks = function (valuesA, nClasses) {
+
+		var n = valuesA.length;
+		nClasses = Math.max(1, Math.min(nClasses, n));
+
+		// start with the centers of the quantiles
+		var centerA = [];
+		for (var c = 0; c < nClasses; c++) {
+			centerA[c] = valuesA[Math.min(n - 1, Math.floor((c + 0.5) * n / nClasses))];
+		}
+
+		var firstA = [];
+		for (var nIteration = 0; nIteration < 100; nIteration++) {
+			var sumA = [];
+			var countA = [];
+			var c = 0;
+			for (var i = 0; i < n; i++) {
+				while ((c < nClasses - 1) && (valuesA[i] >= (centerA[c] + centerA[c + 1]) / 2)) {
+					c++;
+				}
+				if (!countA[c]) {
+					firstA[c] = i;
+					sumA[c] = 0;
+					countA[c] = 0;
+				}
+				sumA[c] += valuesA[i];
+				countA[c]++;
+			}
+			var fChanged = false;
+			for (c = 0; c < nClasses; c++) {
+				if (countA[c] && (sumA[c] / countA[c] != centerA[c])) {
+					centerA[c] = sumA[c] / countA[c];
+					fChanged = true;
+				}
+				if (!countA[c]) {
+					firstA[c] = null;
+				}
+			}
+			if (!fChanged) {
+				break;
+			}
+		}
+
+		var breaksA = [];
+		for (c = 0; c < nClasses; c++) {
+			if (firstA[c] != null) {
+				breaksA.push(valuesA[firstA[c]]);
+			}
+		}
+		breaksA.push(valuesA[n - 1]);
+		return breaksA;
+	};
+
+	/**
+	 * get standard deviation class breaks, classes of 1 standard deviation centered around the mean;
+	 * with an odd number of classes the middle class covers mean +- 0.5 sigma
+	 * sets this.nStdDevMean and this.nStdDev used by legend and histogram
+	 * @param valuesA the sorted values
+	 * @param nClasses the number of classes
+	 * @return array of breaks
+	 */
+	MapTheme.prototype.getStdDevBreaks = function (valuesA, nClasses) {
+
+		var n = valuesA.length;
+		var nSum = 0;
+		for (var i = 0; i < n; i++) {
+			nSum += valuesA[i];
+		}
+		var nMean = nSum / n;
+		var nVarianz = 0;
+		for (var i = 0; i < n; i++) {
+			nVarianz += Math.pow(valuesA[i] - nMean, 2);
+		}
+		var nStdDev = Math.sqrt(nVarianz / n);
+
+		this.nStdDevMean = nMean;
+		this.nStdDev = nStdDev;
+
+		var breaksA = [valuesA[0]];
+		if (nStdDev) {
+			for (var j = 1; j < nClasses; j++) {
+				var nBreak = nMean + (j - nClasses / 2) * nStdDev;
+				if ((nBreak > valuesA[0]) && (nBreak < valuesA[n - 1])) {
+					breaksA.push(nBreak);
+				}
+			}
+		}
+		breaksA.push(valuesA[n - 1]);
+		return breaksA;
+	};
+
+	/**
+	 * get the range of a class in standard deviations from the mean, like "-1.5 sigma ... -0.5 sigma"
+	 * @param nClass the class number
+	 * @return string, empty if not a STDDEV theme
+	 */
+	MapTheme.prototype.getStdDevLabel = function (nClass) {
+		if (!this.szFlag.match(/STDDEV/) || !this.nStdDev || !this.partsA[nClass]) {
+			return "";
+		}
+		var szSigma = function (nValue) {
+			var nSigma = Math.round(nValue * 10) / 10;
+			return (nSigma > 0 ? "+" : "") + String(nSigma) + "\u03c3";
+		};
+		var nMinSigma = (this.partsA[nClass].min - this.nStdDevMean) / this.nStdDev;
+		var nMaxSigma = (this.partsA[nClass].max - this.nStdDevMean) / this.nStdDev;
+		if (nClass === 0) {
+			return "< " + szSigma(nMaxSigma);
+		}
+		if (nClass == this.partsA.length - 1) {
+			return "> " + szSigma(nMinSigma);
+		}
+		return szSigma(nMinSigma) + " ... " + szSigma(nMaxSigma);
+	};
+
+	/**
+	 * get "pretty" class breaks, rounded to steps of 1, 2, 2.5 or 5 times a power of 10;
+	 * the number of classes is at most nClasses
+	 * @param nMin the minimum value
+	 * @param nMax the maximum value
+	 * @param nClasses the number of classes
+	 * @return array of breaks
+	 */
+	MapTheme.prototype.getPrettyBreaks = function (nMin, nMax, nClasses) {
+
+		var nRange = nMax - nMin;
+		if (!(nRange > 0)) {
+			return [nMin, nMax];
+		}
+		var nMagnitude = Math.pow(10, Math.floor(Math.log(nRange / nClasses) / Math.LN10));
+		var niceA = [1, 2, 2.5, 5, 10, 20];
+		var nStep, nStart, nEnd;
+		for (var i = 0; i < niceA.length; i++) {
+			nStep = niceA[i] * nMagnitude;
+			nStart = Math.floor(nMin / nStep) * nStep;
+			nEnd = Math.ceil(nMax / nStep) * nStep;
+			if (Math.round((nEnd - nStart) / nStep) <= nClasses) {
+				break;
+			}
+		}
+		var breaksA = [];
+		var nBreaks = Math.round((nEnd - nStart) / nStep);
+		for (var j = 0; j <= nBreaks; j++) {
+			breaksA.push(Number((nStart + j * nStep).toPrecision(12)));
+		}
+		return breaksA;
+	};
+
+	/**
+	 * set the theme classes (this.partsA) from class breaks
+	 * equal breaks are removed; if there are less classes than colors,
+	 * the colors are taken evenly from the whole color scheme
+	 * @param breaksA the n+1 breaks of n classes
+	 * @return void
+	 */
+	MapTheme.prototype.setClassBreaks = function (breaksA) {
+
+		var uniqueA = [breaksA[0]];
+		for (var i = 1; i < breaksA.length; i++) {
+			if (breaksA[i] > uniqueA[uniqueA.length - 1]) {
+				uniqueA.push(breaksA[i]);
+			}
+		}
+		if (uniqueA.length < 2) {
+			uniqueA.push(uniqueA[0]);
+		}
+		var nParts = uniqueA.length - 1;
+
+		if (nParts < this.colorScheme.length) {
+			var colorA = [];
+			for (var i = 0; i < nParts; i++) {
+				colorA.push(this.colorScheme[(nParts > 1) ? Math.round(i * (this.colorScheme.length - 1) / (nParts - 1)) : 0]);
+			}
+			this.colorScheme = colorA;
+		}
+		while (this.colorScheme.length < nParts) {
+			this.colorScheme[this.colorScheme.length] = this.colorScheme[this.colorScheme.length - 1] || "#dddddd";
+		}
+
+		this.partsA = [];
+		for (var i = 0; i < nParts; i++) {
+			this.partsA[this.partsA.length] = {
+				min: uniqueA[i],
+				max: uniqueA[i + 1],
+				color: this.colorScheme[i],
+				nCount: 0,
+				nSum: 0
+			};
+		}
+	};
+
+	/**
+	 * convert the actual value classes (QUANTILE, JENKS, etc.) into explicit ranges,
+	 * so the class breaks stay fixed if the data changes
+	 * @return void
+	 */
+	MapTheme.prototype.classesToRanges = function () {
+
+		if (!this.partsA || !this.partsA.length || this.szFlag.match(/CATEGORICAL/)) {
+			return;
+		}
+		var rangesA = [this.partsA[0].min];
+		for (var i = 0; i < this.partsA.length; i++) {
+			rangesA.push(this.partsA[i].max);
+		}
+		// keep the exact last max, it includes the little distributeValues() adds to include the maximum value
+
+		// the colorscheme must have as many colors as we have classes
+		if (Number(this.origColorScheme[0])) {
+			this.origColorScheme[0] = this.partsA.length;
+		}
+		map.Themes.changeThemeStyle(null, this.szId, "ranges:" + rangesA.join(","));
+	};
+
+	/**
+	 * create the classes of a BIVARIATE theme
+	 * both fields are classified into n classes (QUANTILE, or EQUIDISTANT, JENKS, CLUSTER),
+	 * which gives n*n classes mapped onto a n*n color matrix;
+	 * the class index is: class of the 2. field * n + class of the 1. field
+	 * n is 3, or the square root of 'classes' (classes:16 gives 4*4 classes);
+	 * a colorscheme of n*n explicit colors defines the matrix, a number of classes followed by 4 colors the corners of the matrix
+	 * @return true if classes created
+	 */
+	MapTheme.prototype.setBivariateClasses = function () {
+
+		var n = 3;
+		var colorA = null;
+		var nSqrt;
+		if (isNaN(Number(this.origColorScheme[0]))) {
+			nSqrt = Math.round(Math.sqrt(this.origColorScheme.length));
+			if ((nSqrt > 1) && (nSqrt * nSqrt == this.origColorScheme.length)) {
+				n = nSqrt;
+				colorA = this.origColorScheme.slice(0);
+			}
+		} else {
+			nSqrt = Math.round(Math.sqrt(Number(this.origColorScheme[0])));
+			if ((nSqrt > 1) && (nSqrt * nSqrt == Number(this.origColorScheme[0]))) {
+				n = nSqrt;
+			}
+			if (this.origColorScheme.length >= 5) {
+				colorA = __maptheme_getBivariateColorScheme(n, this.origColorScheme.slice(1, 5));
+			}
+		}
+		this.colorScheme = colorA || __maptheme_getBivariateColorScheme(n);
+
+		this.bivariateBreaksA = [];
+		for (var f = 0; f < 2; f++) {
+			var valuesA = this.getClassValues(f);
+			if (!valuesA.length) {
+				this.bivariateBreaksA = null;
+				return false;
+			}
+			var breaksA = [];
+			if (this.szFlag.match(/JENKS/)) {
+				breaksA = this.getJenksBreaks(valuesA, n);
+			} else
+				if (this.szFlag.match(/CLUSTER/)) {
+					breaksA = this.getKMeansBreaks(valuesA, n);
+				} else
+					if (this.szFlag.match(/EQUIDISTANT/)) {
+						for (var i = 0; i <= n; i++) {
+							breaksA.push(valuesA[0] + (valuesA[valuesA.length - 1] - valuesA[0]) / n * i);
+						}
+					} else {
+						for (var i = 0; i < n; i++) {
+							breaksA.push(valuesA[Math.floor(i * valuesA.length / n)]);
+						}
+						breaksA.push(valuesA[valuesA.length - 1]);
+					}
+			while (breaksA.length < n + 1) {
+				breaksA.push(breaksA[breaksA.length - 1]);
+			}
+			this.bivariateBreaksA[f] = breaksA;
+		}
+		this.nBivariateClasses = n;
+
+		this.partsA = [];
+		for (var y = 0; y < n; y++) {
+			for (var x = 0; x < n; x++) {
+				this.partsA[this.partsA.length] = {
+					min: this.bivariateBreaksA[0][x],
+					max: this.bivariateBreaksA[0][x + 1],
+					min2: this.bivariateBreaksA[1][y],
+					max2: this.bivariateBreaksA[1][y + 1],
+					color: this.colorScheme[y * n + x],
+					nCount: 0,
+					nSum: 0
+				};
+			}
+		}
+		return true;
+	};
+
+	/**
+	 * get the class of a BIVARIATE theme for the values of the 2 fields
+	 * @param nValueX the value of the 1. field
+	 * @param nValueY the value of the 2. field
+	 * @return the class index or -1, if no class found
+	 */
+	MapTheme.prototype.getBivariateClass = function (nValueX, nValueY) {
+		if (!this.bivariateBreaksA) {
+			return -1;
+		}
+		var n = this.nBivariateClasses;
+		var valueA = [nValueX, nValueY];
+		var classA = [];
+		for (var f = 0; f < 2; f++) {
+			var breaksA = this.bivariateBreaksA[f];
+			if ((typeof (valueA[f]) != "number") || isNaN(valueA[f]) || (valueA[f] < breaksA[0]) || (valueA[f] > breaksA[n])) {
+				return -1;
+			}
+			var c = 0;
+			while ((c < n - 1) && (valueA[f] >= breaksA[c + 1])) {
+				c++;
+			}
+			classA[f] = c;
+		}
+		return classA[1] * n + classA[0];
+	};
+
+	/**
+	 * get the names of the 2 axes of a BIVARIATE theme; the theme label, if it has 2 parts, or the field names
+	 * @return array of 2 names
+	 */
+	MapTheme.prototype.getBivariateAxisNames = function () {
+		if (this.szLabelA && (this.szLabelA.length == 2)) {
+			return this.szLabelA;
+		}
+		return [this.szFieldsA[0], this.szFieldsA[1]];
+	};
+
+	/**
+	 * get the label of a BIVARIATE class, like "fieldA 10...20, fieldB 0.5...1"
+	 * @param nClass the class number
+	 * @return string, empty if not a BIVARIATE class
+	 */
+	MapTheme.prototype.getBivariateLabel = function (nClass) {
+		var part = this.partsA[nClass];
+		if (!part || (typeof (part.min2) == "undefined")) {
+			return "";
+		}
+		var szNamesA = this.getBivariateAxisNames();
+		return szNamesA[0] + " " + this.formatValue(part.min, 2) + "..." + this.formatValue(part.max, 2) + ", " +
+			szNamesA[1] + " " + this.formatValue(part.min2, 2) + "..." + this.formatValue(part.max2, 2) + this.szUnit;
+	};
+
 	/**
 	 * realize the map theme
 	 */
@@ -8196,6 +8834,28 @@ $Log: maptheme.js,v $
 		}
 	};
 
+	/**
+	 * get the number value of a data table cell by the type of its column,
+	 * if the table is typed by data.js (Data.Table.inferTypes() or feed option schema)
+	 * @param nValue the cell value
+	 * @param field the field (column definition) with the properties type and decimalMark
+	 * @param fScanValue if true, untyped values are read by __scanValue(), else by parseFloat()
+	 * @return the number value
+	 */
+	var __scanFieldValue = function (nValue, field, fScanValue) {
+		if (field && field.decimalMark && String(field.type).match(/^(number|integer)$/)) {
+			if (typeof (nValue) == "number") {
+				return nValue;
+			}
+			var szValue = String(nValue).replace(/ /gi, "");
+			if (field.decimalMark == ",") {
+				return parseFloat(szValue.replace(/\./gi, "").replace(/,/gi, "."));
+			}
+			return parseFloat(szValue.replace(/,/gi, ""));
+		}
+		return fScanValue ? __scanValue(nValue) : parseFloat(nValue);
+	};
+
 	/**
 	 * load the values of the map theme from the map
 	 * @type boolean
@@ -8264,165 +8924,36 @@ $Log: maptheme.js,v $
 
 		if (this.szFilter.match(/WHERE/)) {
 
-			// first time ?
-			// get query parts
-			if (!this.objTheme.filterQueryA) {
-
-				// tokenize
-				// ---------
-				var szTokenA = this.szFilter.split('WHERE ')[1].split(' ');
-
-				// test for quotes and join the included text parts
-				for (var ii = 0; ii < szTokenA.length; ii++) {
-					if (szTokenA[ii].length) {
-						if ((szTokenA[ii][0] == '"') && (szTokenA[ii][szTokenA[ii].length - 1] != '"')) {
-							do {
-								szTokenA[ii] = szTokenA[ii] + " " + szTokenA[ii + 1];
-								szTokenA.splice(ii + 1, 1);
-							}
-							while (szTokenA[ii][szTokenA[ii].length - 1] != '"');
-						}
-						if ((szTokenA[ii][0] == '(') && (szTokenA[ii][szTokenA[ii].length - 1] != ')')) {
-							do {
-								szTokenA[ii] = szTokenA[ii] + " " + szTokenA[ii + 1];
-								szTokenA.splice(ii + 1, 1);
-							}
-							while (szTokenA[ii][szTokenA[ii].length - 1] != ')');
-						}
-					} else {
-						szTokenA.splice(ii, 1);
-						ii--;
-					}
-				}
-				this.objTheme.filterQueryA = [];
-				var filterObj = {};
-
-				// make the query object(s)
-				// ------------------------
-				do {
-					var nToken = 0;
-					if (szTokenA.length >= 3) {
-						filterObj = {};
-						filterObj.szFilterField = szTokenA[0].replace(/("|)/g, "");
-						filterObj.szFilterOp = szTokenA[1];
-						filterObj.szFilterValue = szTokenA[2].replace(/("|)/g, "");
-						nToken = 3;
-					}
-					if (filterObj.szFilterOp == "BETWEEN") {
-						if (szTokenA.length >= 5) {
-							if (szTokenA[3] == "AND") {
-								filterObj.szFilterValue2 = szTokenA[4].replace(/("|)/g, "");
-								nToken = 5;
-							}
-						}
-					}
-
-					if (nToken) {
-
-						// get data table column index for query field
-						if (filterObj.szFilterField == "*") {
-							filterObj.nFilterFieldIndex = -1;
-						} else
-							for (var ii = 0; ii < this.objTheme.dbFields.length; ii++) {
-								if (this.objTheme.dbFields[ii].id == filterObj.szFilterField) {
-									filterObj.nFilterFieldIndex = ii;
-								}
-								if (("$" + this.objTheme.dbFields[ii].id + "$") == (filterObj.szFilterValue)) {
-									filterObj.nFilterValueIndex = ii;
-								}
-							}
-
-						// add the query object
-						this.objTheme.filterQueryA.push(filterObj);
-						szTokenA.splice(0, nToken);
-
-					} else {
-						alert("ixmaps - filter error - incomplete query!\nquery: " + this.szFilter);
-						break;
-					}
+			// first time or filter changed ?
+			// parse and compile the query with the data.js expression parser
+			if (!this.objTheme.filterQuery || (this.objTheme.filterQuery.szFilter != this.szFilter)) {
 
-					// only 'AND' combination (OR tdb)
-					if (szTokenA.length && (szTokenA[0] == "AND")) {
-						szTokenA.splice(0, 1);
-					} else {
-						break;
+				var Data = map.HTMLWindow.Data;
+				this.objTheme.filterQuery = {
+					szFilter: this.szFilter,
+					test: null
+				};
+				if (!(Data && Data.expression)) {
+					// GR the filter needs the expression parser of data.js (Data.expression)
+					alert("ixmaps - filter error - data.js is too old for the theme filter, please update it; the filter is not applied!");
+				} else {
+					// LIKE and NOT values are regular expressions in theme filter
+					var expression = Data.expression(this.szFilter, {
+						likeAsRegExp: true
+					});
+					this.objTheme.filterQuery.test = expression.compile(this.objTheme.dbFields);
+					if (!this.objTheme.filterQuery.test) {
+						alert("ixmaps - filter error - " + expression.error);
 					}
 				}
-				while (szTokenA.length);
 			}
 
-			// start filtering
-			for (var i in this.objTheme.filterQueryA) {
-
-				// get the value to test
-				if (this.objTheme.filterQueryA[i].nFilterFieldIndex == -1) {
-					this.__szValue = this.objTheme.dbRecords[j].join('|');
-				} else {
-					this.__szValue = String(this.objTheme.dbRecords[j][this.objTheme.filterQueryA[i].nFilterFieldIndex]);
-				}
-				this.__szFilterOp = this.objTheme.filterQueryA[i].szFilterOp.toUpperCase();
-				this.__szFilterValue = this.objTheme.filterQueryA[i].szFilterValue;
-				this.__szFilterValue2 = this.objTheme.filterQueryA[i].szFilterValue2;
-
-				// GR 26.12.2019 filter value may be column name
-				if (this.objTheme.filterQueryA[i].nFilterValueIndex != null) {
-					this.__szFilterValue = String(this.objTheme.dbRecords[j][this.objTheme.filterQueryA[i].nFilterValueIndex]);
-				}
-
-				// do the query 
-				// ------------
-				var result = true;
-				//var nValue = parseFloat(this.__szValue);
-				// gr 23.11.2017
-				var nValue = __scanValue(this.__szValue);
-				if (this.__szFilterOp == "=") {
-					result = ((this.__szValue == this.__szFilterValue) || (nValue == Number(this.__szFilterValue)));
-				} else
-					if (this.__szFilterOp == "!=") {
-						result = !((this.__szValue == this.__szFilterValue) || (nValue == Number(this.__szFilterValue)));
-					} else
-						if (this.__szFilterOp == "<>") {
-							result = !((this.__szValue == this.__szFilterValue) || (nValue == Number(this.__szFilterValue)));
-						} else
-							if (this.__szFilterOp == ">") {
-								result = (nValue > Number(this.__szFilterValue));
-							} else
-								if (this.__szFilterOp == "<") {
-									result = (nValue < Number(this.__szFilterValue));
-								} else
-									if (this.__szFilterOp == ">=") {
-										result = (nValue >= Number(this.__szFilterValue));
-									} else
-										if (this.__szFilterOp == "<=") {
-											result = (nValue <= Number(this.__szFilterValue));
-										} else
-											if (this.__szFilterOp == "LIKE") {
-												if (this.__szFilterValue == "*") {
-													result = this.__szValue.length;
-												} else {
-													result = eval("this.__szValue.match(/" + this.__szFilterValue.replace(/\//gi, '\\/') + "/i)");
-												}
-											} else
-												if (this.__szFilterOp == "NOT") {
-													result = eval("!this.__szValue.match(/" + this.__szFilterValue.replace(/\//gi, '\\/') + "/i)");
-												} else
-													if (this.__szFilterOp == "IN") {
-														result = eval("this.__szFilterValue.match(/\\(" + this.__szValue.replace(/\//gi, '\\/') + "\\)/)") ||
-															eval("this.__szFilterValue.match(/\\(" + this.__szValue.replace(/\//gi, '\\/') + "\\,/)") ||
-															eval("this.__szFilterValue.match(/\\," + this.__szValue.replace(/\//gi, '\\/') + "\\,/)") ||
-															eval("this.__szFilterValue.match(/\\," + this.__szValue.replace(/\//gi, '\\/') + "\\)/)");
-													} else
-														if ((this.__szFilterOp == "BETWEEN")) {
-															result = ((nValue >= Number(this.__szFilterValue)) &&
-																(nValue <= Number(this.__szFilterValue2)));
-														} else {
-															// default operator	
-															result = eval("this.__szValue.match(/" + this.__szFilterValue.replace(/\//gi, '\\/') + "/i)");
-														}
-				// exec query result
-				if (!result) {
-					return false;
-				}
+			// invalid query or no parser: don't filter
+			if (!this.objTheme.filterQuery.test) {
+				return true;
+			}
+			if (!this.objTheme.filterQuery.test(this.objTheme.dbRecords[j])) {
+				return false;
 			}
 		} else {
 
@@ -8692,13 +9223,10 @@ $Log: maptheme.js,v $
 							if (this.__fExact) {
 								nValue = this.valueMap ? this.valueMap[String(nValue)] : nValue;
 								nValue = this.getStringValueIndex(String(nValue));
-							} else
-								if (this.__fScanValue) {
-									// GR 17.01.2014 strip all blancs ( es. 12 345 456.34 --> 12345456.34 )
-									nValue = __scanValue(nValue);
-								} else {
-									nValue = parseFloat(nValue);
-								}
+							} else {
+								// GR 17.01.2014 strip all blancs ( es. 12 345 456.34 --> 12345456.34 )
+								nValue = __scanFieldValue(nValue, this.objTheme.dbFields[this.objTheme.nFieldIndexA[k]], this.__fScanValue);
+							}
 							if (isNaN(nValue)) {
 								if (!this.fUndefinedValuePossible) {
 									continue;
@@ -8728,7 +9256,7 @@ $Log: maptheme.js,v $
 					} else {
 						for (k = 0; k < this.szField100A.length; k++) {
 
-							var nValue = __scanValue(this.objTheme.dbRecords[j][this.objTheme.nField100IndexA[k]]);
+							var nValue = __scanFieldValue(this.objTheme.dbRecords[j][this.objTheme.nField100IndexA[k]], this.objTheme.dbFields[this.objTheme.nField100IndexA[k]], true);
 
 							if (nValue === 0 && !this.fNullIsValue) {
 								continue;
@@ -9413,7 +9941,7 @@ $Log: maptheme.js,v $
 			const scanValue = value => parseFloat(value.toString().replace(/\s/g, ''));
 
 			const getValue = (record, index) => {
-				return __scanValue(record[index]);
+				return __scanFieldValue(record[index], this.objTheme.dbFields[index], true);
 			};
 
 			const isValidValue = (value, allowUndefined, allowNegative, allowNull) => {
@@ -9442,13 +9970,10 @@ $Log: maptheme.js,v $
 					if (this.__fExact) {
 						nValue = this.getStringValueIndex(String(nValue));
 						this.exactCountA[nValue - 1] = (this.exactCountA[nValue - 1] || 0) + 1;
-					} else
-						if (this.__fScanValue) {
-							// GR 17.01.2014 strip all blancs ( es. 12 345 456.34 --> 12345456.34 )
-							nValue = __scanValue(nValue) * (this.szWeightsA[k] || 1);
-						} else {
-							nValue = parseFloat(nValue) * (this.szWeightsA[k] || 1);
-						}
+					} else {
+						// GR 17.01.2014 strip all blancs ( es. 12 345 456.34 --> 12345456.34 )
+						nValue = __scanFieldValue(nValue, this.objTheme.dbFields[this.objTheme.nFieldIndexA[k]], this.__fScanValue) * (this.szWeightsA[k] || 1);
+					}
 					if (isNaN(nValue)) {
 						if (!this.fUndefinedValuePossible) {
 							suppress = true;
@@ -9520,6 +10045,9 @@ $Log: maptheme.js,v $
 						Math.round((ptPos.x + (hasOffset ? this.dX : 0)) / this.nGridWidthMap) * this.nGridWidthMap - (hasOffset ? this.dX : 0),
 						Math.round((ptPos.y + (hasOffset ? this.dY : 0)) / this.nGridWidthMap) * this.nGridWidthMap - (hasOffset ? this.dY : 0)
 					);
+				} else if (this.szFlag.match(/HEXAGON/)) {
+					// exact hexagonal grid (hexbin)
+					ptPos = __maptheme_getHexagonCenter(ptPos, this.nGridWidthMap, this.dX, this.dY);
 				} else {
 					// diagonal grid
 
@@ -9593,6 +10121,8 @@ $Log: maptheme.js,v $
 						ptPos2 = new point(Math.round(ptPos2.x / this.nGridWidthMap) * this.nGridWidthMap,
 							Math.round(ptPos2.y / this.nGridWidthMap) * this.nGridWidthMap);
 					}
+				} else if (this.szFlag.match(/HEXAGON/)) {
+					ptPos2 = __maptheme_getHexagonCenter(ptPos2, this.nGridWidthMap, this.dX, this.dY);
 				} else {
 					// diagonal grid
 
@@ -10456,6 +10986,15 @@ $Log: maptheme.js,v $
 								newPos = new point(Math.round(ptPos.x / nGridWidthMap) * nGridWidthMap,
 									Math.round(ptPos.y / nGridWidthMap) * nGridWidthMap);
 							}
+						} else if (this.szFlag.match(/HEXAGON/)) {
+							// exact hexagonal grid (hexbin)
+							if (this.szFlag.match(/FIXGRID/)) {
+								var dX = map.Scale.mapCenter.x * map.Scale.nZoomScale;
+								var dY = map.Scale.mapCenter.y * map.Scale.nZoomScale;
+								newPos = __maptheme_getHexagonCenter(ptPos, nGridWidthMap, dX, dY);
+							} else {
+								newPos = __maptheme_getHexagonCenter(ptPos, nGridWidthMap);
+							}
 						} else {
 							// diagonal grid
 
@@ -11561,6 +12100,7 @@ $Log: maptheme.js,v $
 
 		// distribute values in ranges (classes)
 		// -------------------------------------
+		this.bivariateBreaksA = null;
 		var nParts = this.colorScheme.length;
 		var nRange = this.nMax - this.nMin;
 		var nMin = this.nMin;
@@ -11758,6 +12298,27 @@ $Log: maptheme.js,v $
 				this.partsA[this.partsA.length - 1].max = nMax;
 			}
 
+			// GR natural breaks, k-means, standard deviation and pretty breaks
+			// may result in less classes than colors, setClassBreaks() adapts the colorscheme
+			if (this.szFlag.match(/JENKS/) || this.szFlag.match(/CLUSTER/) || this.szFlag.match(/STDDEV/)) {
+				var valuesA = this.getClassValues();
+				if (valuesA.length) {
+					if (this.szFlag.match(/JENKS/)) {
+						this.setClassBreaks(this.getJenksBreaks(valuesA, nParts));
+					} else
+						if (this.szFlag.match(/CLUSTER/)) {
+							this.setClassBreaks(this.getKMeansBreaks(valuesA, nParts));
+						} else {
+							this.setClassBreaks(this.getStdDevBreaks(valuesA, nParts));
+						}
+					this.partsA[0].min = Math.min(this.partsA[0].min, nMin);
+					this.partsA[this.partsA.length - 1].max = Math.max(this.partsA[this.partsA.length - 1].max, nMax);
+				}
+			}
+			if (this.szFlag.match(/PRETTY/)) {
+				this.setClassBreaks(this.getPrettyBreaks(nMin, nMax, nParts));
+			}
+
 			if (this.szFlag.match(/LOG/)) {
 				var nMin = Math.log(this.nMin ? this.nMin : (Math.min(0.1, this.nMax / 10)));
 				var nRange = Math.log(this.nMax ? this.nMax : 0.1) - nMin;
@@ -11807,6 +12368,11 @@ $Log: maptheme.js,v $
 						this.partsA[this.partsA.length - 1].max = this.nMax;
 					}
 
+			// GR bivariate choropleth, classify 2 fields into a matrix of classes
+			if (this.szFlag.match(/BIVARIATE/) && (this.szFieldsA.length > 1)) {
+				this.setBivariateClasses();
+			}
+
 			if (this.szFlag.match(/DOMINANT/) || this.szFlag.match(/OFFSETMEAN/) || this.szFlag.match(/OFFSETMEDIAN/) ||
 				this.szFlag.match(/DEVIATION/) || this.szFlag.match(/PLOTVAR/)) {
 				this.getMeanMedianQuantile();
@@ -11972,6 +12538,365 @@ $Log: maptheme.js,v $
 		return r;
 	};
 
+	// ----------------
+	//  hexagon grid 
+	// ----------------
+
+	/**
+	 * private function to get the center of the hexagonal grid cell a point belongs to (hexbin)
+	 * the hexagons are flat topped, the columns are nGridWidthMap apart (= 1.5 * hexagon radius),
+	 * like the diagonal aggregation grid
+	 * @param ptPos the point to aggregate
+	 * @param nGridWidthMap the grid width in map units
+	 * @param dX optional grid offset x
+	 * @param dY optional grid offset y
+	 * @return the center of the hexagon
+	 */
+	var __maptheme_getHexagonCenter = function (ptPos, nGridWidthMap, dX, dY) {
+		dX = dX || 0;
+		dY = dY || 0;
+		var nRadius = nGridWidthMap / 1.5;
+		var x = ptPos.x + dX;
+		var y = ptPos.y + dY;
+
+		// fractional axial coordinates, rounded by cube coordinates (q+r+s = 0)
+		var q = x / nGridWidthMap;
+		var r = (-x / 3 + Math.sqrt(3) / 3 * y) / nRadius;
+		var s = -q - r;
+		var rq = Math.round(q);
+		var rr = Math.round(r);
+		var rs = Math.round(s);
+		var dq = Math.abs(rq - q);
+		var dr = Math.abs(rr - r);
+		var ds = Math.abs(rs - s);
+		if ((dq > dr) && (dq > ds)) {
+			rq = -rr - rs;
+		} else if (dr > ds) {
+			rr = -rq - rs;
+		}
+		return new point(rq * nGridWidthMap - dX, Math.sqrt(3) * nRadius * (rr + rq / 2) - dY);
+	};
+
+	/**
+	 * private function to get the SVG path of a flat topped hexagon centered at 0,0
+	 * @param nRadius the radius (center to corner)
+	 * @return the path string
+	 */
+	var __maptheme_getHexagonPath = function (nRadius) {
+		var szPath = "";
+		for (var i = 0; i < 6; i++) {
+			szPath += ((i === 0) ? "M" : " L") + (nRadius * Math.cos(Math.PI / 3 * i)) + "," + (nRadius * Math.sin(Math.PI / 3 * i));
+		}
+		return szPath + " z";
+	};
+
+	// ----------------
+	//  cartogram 
+	// ----------------
+
+	/**
+	 * private function to make the layout of a DORLING (circles) or DEMERS (squares) cartogram
+	 * overlapping symbols are pushed apart, symbols which were neighbours at the original positions 
+	 * are pulled together to keep them adjacent, and all symbols are weakly pulled back to their origin
+	 * @param symbolsA array of objects with x,y (original center) and r (radius or half side of the square)
+	 * @param fSquare if true, the symbols are squares (DEMERS)
+	 * after the simulation the symbols are pushed apart until no overlap is left;
+	 * the layout runs asynchronously in time slices, so big cartograms don't block the browser
+	 * @param nIterations the number of simulation steps
+	 * @param callback function(posA) called with the array of the new positions (points)
+	 * @return the layout object; layout.cancel() stops it, the callback is not called
+	 */
+	var __maptheme_getCartogramPositions = function (symbolsA, fSquare, nIterations, callback) {
+
+		var n = symbolsA.length;
+		var posA = [];
+		var nMaxR = 0;
+		for (var i = 0; i < n; i++) {
+			posA.push(new point(symbolsA[i].x, symbolsA[i].y));
+			nMaxR = Math.max(nMaxR, symbolsA[i].r);
+		}
+		if (!nMaxR) {
+			callback(posA);
+			return null;
+		}
+
+		// the distance between 2 symbols, for squares the chessboard distance
+		var __distance = function (dx, dy) {
+			return fSquare ? Math.max(Math.abs(dx), Math.abs(dy)) : Math.sqrt(dx * dx + dy * dy);
+		};
+
+		// the neighbours: the 4 symbols with the smallest gap at the original positions;
+		// searched ring by ring in a grid of cells, as large as the largest symbol
+		// -----------------------------------------------------------------------------
+		var nCell = nMaxR * 2;
+		var originCellA = {};
+		var nCellMinX = Infinity,
+			nCellMaxX = -Infinity,
+			nCellMinY = Infinity,
+			nCellMaxY = -Infinity;
+		for (var i = 0; i < n; i++) {
+			var cx = Math.floor(symbolsA[i].x / nCell);
+			var cy = Math.floor(symbolsA[i].y / nCell);
+			(originCellA[cx + ":" + cy] = originCellA[cx + ":" + cy] || []).push(i);
+			nCellMinX = Math.min(nCellMinX, cx);
+			nCellMaxX = Math.max(nCellMaxX, cx);
+			nCellMinY = Math.min(nCellMinY, cy);
+			nCellMaxY = Math.max(nCellMaxY, cy);
+		}
+		var nMaxRing = Math.max(nCellMaxX - nCellMinX, nCellMaxY - nCellMinY);
+
+		var neighboursA = [];
+		var __findNeighbours = function (i) {
+			var cx = Math.floor(symbolsA[i].x / nCell);
+			var cy = Math.floor(symbolsA[i].y / nCell);
+			// the 4 closest, sorted by gap
+			var gapA = [];
+			for (var ring = 0; ring <= nMaxRing; ring++) {
+				for (var gx = cx - ring; gx <= cx + ring; gx++) {
+					for (var gy = cy - ring; gy <= cy + ring; gy++) {
+						// only the cells on the border of the ring
+						if ((Math.abs(gx - cx) < ring) && (Math.abs(gy - cy) < ring)) {
+							continue;
+						}
+						var cellItemsA = originCellA[gx + ":" + gy];
+						if (!cellItemsA) {
+							continue;
+						}
+						for (var c = 0; c < cellItemsA.length; c++) {
+							var j = cellItemsA[c];
+							if (j == i) {
+								continue;
+							}
+							var nGap = __distance(symbolsA[j].x - symbolsA[i].x, symbolsA[j].y - symbolsA[i].y) - symbolsA[i].r - symbolsA[j].r;
+							if ((gapA.length == 4) && (nGap >= gapA[3].gap)) {
+								continue;
+							}
+							var k = Math.min(gapA.length, 3);
+							while ((k > 0) && (gapA[k - 1].gap > nGap)) {
+								gapA[k] = gapA[k - 1];
+								k--;
+							}
+							gapA[k] = {
+								j: j,
+								gap: nGap
+							};
+						}
+					}
+				}
+				// symbols in the next ring are at least ring * nCell away
+				if ((gapA.length == 4) && (gapA[3].gap <= ring * nCell - symbolsA[i].r - nMaxR)) {
+					break;
+				}
+			}
+			neighboursA[i] = [];
+			for (var k = 0; k < gapA.length; k++) {
+				neighboursA[i].push(gapA[k].j);
+			}
+		};
+
+		// push overlapping symbols apart, one pass over all pairs found by a grid of cells;
+		// the symbols are moved at once, the smaller symbol moves more;
+		// nRelax > 1 pushes beyond touching; returns the number of overlapping pairs (overlap > margin)
+		// -------------------------------------------------------------------------------
+		var nMargin = nMaxR * 0.01;
+		var nHash = 1;
+		while (nHash < n * 2) {
+			nHash *= 2;
+		}
+		var cellHeadA = new Int32Array(nHash);
+		var cellNextA = new Int32Array(n);
+		var cellXA = new Int32Array(n);
+		var cellYA = new Int32Array(n);
+		var __cellHash = function (cx, cy) {
+			return ((cx * 73856093) ^ (cy * 19349663)) & (nHash - 1);
+		};
+		var __collide = function (nRelax) {
+
+			// the grid as hashed linked lists of symbols: cellHeadA[hash] -> first symbol, cellNextA[symbol] -> next symbol
+			cellHeadA.fill(-1);
+			for (var i = n - 1; i >= 0; i--) {
+				var h = __cellHash(cellXA[i] = Math.floor(posA[i].x / nCell), cellYA[i] = Math.floor(posA[i].y / nCell));
+				cellNextA[i] = cellHeadA[h];
+				cellHeadA[h] = i;
+			}
+
+			var nOverlaps = 0;
+			for (var i = 0; i < n; i++) {
+				var cx = cellXA[i];
+				var cy = cellYA[i];
+				for (var gy = cy - 1; gy <= cy + 1; gy++) {
+					for (var gx = cx - 1; gx <= cx + 1; gx++) {
+						for (var j = cellHeadA[__cellHash(gx, gy)]; j >= 0; j = cellNextA[j]) {
+							// other cells may have the same hash
+							if ((j <= i) || (cellXA[j] != gx) || (cellYA[j] != gy)) {
+								continue;
+							}
+							var dx = posA[j].x - posA[i].x;
+							var dy = posA[j].y - posA[i].y;
+							var nR = symbolsA[i].r + symbolsA[j].r + nMargin;
+							var nPush = 0;
+							if (fSquare) {
+								var ox = nR - Math.abs(dx);
+								var oy = nR - Math.abs(dy);
+								if ((ox <= 0) || (oy <= 0)) {
+									continue;
+								}
+							} else
+							if (dx * dx + dy * dy >= nR * nR) {
+								continue;
+							}
+							// push along the line of the centers, until the symbols touch
+							var d = Math.sqrt(dx * dx + dy * dy);
+							var ux = (d > 0) ? (dx / d) : 1;
+							var uy = (d > 0) ? (dy / d) : 0;
+							if (fSquare) {
+								nPush = Math.min(ux ? (ox / Math.abs(ux)) : Infinity, uy ? (oy / Math.abs(uy)) : Infinity);
+							} else {
+								nPush = nR - d;
+							}
+							if (nPush > nMargin) {
+								nOverlaps++;
+							}
+							nPush *= nRelax;
+							var fi = symbolsA[j].r / (symbolsA[i].r + symbolsA[j].r);
+							var fj = 1 - fi;
+							posA[i].x -= ux * nPush * fi;
+							posA[i].y -= uy * nPush * fi;
+							posA[j].x += ux * nPush * fj;
+							posA[j].y += uy * nPush * fj;
+						}
+					}
+				}
+			}
+			return nOverlaps;
+		};
+
+		// the layout runs in steps, in slices of 40 ms, so the browser stays responsive:
+		// 1. the neighbours of every symbol, 2. the force simulation, 3. pushing apart until no overlap is left
+		// ------------------------------------------------------------------------------------------------------
+		var moveA = [];
+		for (var i = 0; i < n; i++) {
+			moveA[i] = new point(0, 0);
+		}
+		var nNeighbour = 0;
+		var nIteration = 0;
+		var nPass = 0;
+		var __step = function () {
+
+			if (nNeighbour < n) {
+				__findNeighbours(nNeighbour++);
+				return false;
+			}
+
+			// pull neighbours together and the symbols back to their origin, then push apart;
+			// the pull cools down, so the last steps only remove the overlaps
+			var nCool = Math.max(0, 1 - nIteration / (nIterations * 0.75));
+			if ((nIteration++ < nIterations) && nCool) {
+				for (var i = 0; i < n; i++) {
+					moveA[i].x = (symbolsA[i].x - posA[i].x) * 0.01 * nCool;
+					moveA[i].y = (symbolsA[i].y - posA[i].y) * 0.01 * nCool;
+					for (var k = 0; k < neighboursA[i].length; k++) {
+						var j = neighboursA[i][k];
+						var dx = posA[j].x - posA[i].x;
+						var dy = posA[j].y - posA[i].y;
+						var d = Math.sqrt(dx * dx + dy * dy);
+						var nGap = __distance(dx, dy) - symbolsA[i].r - symbolsA[j].r;
+						if ((nGap > 0) && (d > 0)) {
+							moveA[i].x += dx / d * nGap * 0.1 * nCool;
+							moveA[i].y += dy / d * nGap * 0.1 * nCool;
+						}
+					}
+				}
+				for (var i = 0; i < n; i++) {
+					posA[i].x += moveA[i].x;
+					posA[i].y += moveA[i].y;
+				}
+				__collide(1);
+				return false;
+			}
+
+			// only push apart, until no overlap is left; dense clusters must grow,
+			// so the pushes go increasingly beyond touching (over-relaxation) to spread faster
+			return !__collide(Math.min(1.8, 1 + nPass / 50)) || (++nPass >= 1000);
+		};
+
+		var layout = {
+			timeout: null,
+			cancel: function () {
+				clearTimeout(this.timeout);
+			}
+		};
+		var __run = function () {
+			var nStart = new Date().getTime();
+			while (new Date().getTime() - nStart < 40) {
+				if (__step()) {
+					callback(posA);
+					return;
+				}
+			}
+			layout.timeout = setTimeout(__run, 0);
+		};
+		layout.timeout = setTimeout(__run, 0);
+
+		return layout;
+	};
+
+	// ----------------
+	//  heatmap kernel 
+	// ----------------
+
+	/**
+	 * private function to get the kernel function of a HEATMAP (kernel density estimation)
+	 * the kernel function is called with the squared distance in bandwidth units (u*u),
+	 * nSupport is the radius of the kernel in bandwidth units, nNorm makes the kernel volume = 1
+	 * @param szKernel the kernel name (quartic|epanechnikov|triangular|uniform|gaussian), default is quartic
+	 * @return an object with the kernel function, its support and its norm
+	 */
+	var __maptheme_getKernel = function (szKernel) {
+		switch (String(szKernel || "quartic").toLowerCase()) {
+			case "gaussian":
+				return {
+					nSupport: 3,
+					nNorm: 1 / (2 * Math.PI),
+					fu: function (u2) {
+						return Math.exp(-u2 / 2);
+					}
+				};
+			case "epanechnikov":
+				return {
+					nSupport: 1,
+					nNorm: 2 / Math.PI,
+					fu: function (u2) {
+						return 1 - u2;
+					}
+				};
+			case "triangular":
+				return {
+					nSupport: 1,
+					nNorm: 3 / Math.PI,
+					fu: function (u2) {
+						return 1 - Math.sqrt(u2);
+					}
+				};
+			case "uniform":
+				return {
+					nSupport: 1,
+					nNorm: 1 / Math.PI,
+					fu: function (u2) {
+						return 1;
+					}
+				};
+			default:
+				return {
+					nSupport: 1,
+					nNorm: 3 / Math.PI,
+					fu: function (u2) {
+						return (1 - u2) * (1 - u2);
+					}
+				};
+		}
+	};
+
 	// ----------------
 	//  compose color 
 	// ----------------
@@ -12042,6 +12967,36 @@ $Log: maptheme.js,v $
 		return ColorScheme.getHexaColor("rgb(" + rr1 + "," + gg1 + "," + bb1 + ")");
 	};
 
+	/**
+	 * private function to create the n*n colors of a bivariate color matrix (rows = y classes from low to high)
+	 * by bilinear interpolation of 4 corner colors: low x/low y, high x/low y, low x/high y, high x/high y
+	 * without corner colors, the 3*3 matrix is the palette by Joshua Stevens
+	 */
+	var __maptheme_getBivariateColorScheme = function (n, szCornerA) {
+		if (!szCornerA && (n == 3)) {
+			return ["#e8e8e8", "#ace4e4", "#5ac8c8", "#dfb0d6", "#a5add3", "#5698b9", "#be64ac", "#8c62aa", "#3b4994"];
+		}
+		szCornerA = szCornerA || ["#e8e8e8", "#5ac8c8", "#be64ac", "#3b4994"];
+		var rgbA = [];
+		for (var c = 0; c < 4; c++) {
+			var cc1 = ColorScheme.getHexaColor(szCornerA[c]);
+			rgbA.push([parseInt(cc1.substr(1, 2), 16), parseInt(cc1.substr(3, 2), 16), parseInt(cc1.substr(5, 2), 16)]);
+		}
+		var colorA = [];
+		for (var y = 0; y < n; y++) {
+			for (var x = 0; x < n; x++) {
+				var fx = (n > 1) ? x / (n - 1) : 0;
+				var fy = (n > 1) ? y / (n - 1) : 0;
+				var cA = [];
+				for (var k = 0; k < 3; k++) {
+					cA[k] = Math.round(rgbA[0][k] * (1 - fx) * (1 - fy) + rgbA[1][k] * fx * (1 - fy) + rgbA[2][k] * (1 - fx) * fy + rgbA[3][k] * fx * fy);
+				}
+				colorA.push(ColorScheme.getHexaColor("rgb(" + cA[0] + "," + cA[1] + "," + cA[2] + ")"));
+			}
+		}
+		return colorA;
+	};
+
 	// .............................................................................
 	//
 	// make CHOROPLETH themes
@@ -12341,6 +13296,38 @@ $Log: maptheme.js,v $
 						}
 					}
 				}
+				else
+
+				// ===================================
+				// bivariate CHOROPLETH theme
+				// ===================================
+
+				if (this.szFlag.match(/BIVARIATE/) && this.bivariateBreaksA) {
+
+					var nClass = this.getBivariateClass(this.itemA[a].nValuesA[0], this.itemA[a].nValuesA[1]);
+					if (nClass >= 0) {
+						var szNamesA = this.getBivariateAxisNames();
+						nValue = this.itemA[a].nValuesA[0];
+
+						// colorize 
+						this.itemA[a].nValue = nValue;
+						this.itemA[a].szColor = this.partsA[nClass].color;
+						this.itemA[a].nClass = nClass;
+
+						tilesNodesA = this.getItemNodes(a);
+						for (j = 0; j < tilesNodesA.length; j++) {
+							var paintShape = this.paintShape(tilesNodesA[j], this.partsA[nClass].color, nValue, nClass);
+							paintShape.setAttributeNS(szMapNs, "tooltip",
+								(this.itemA[a].szTitle ? this.itemA[a].szTitle + " " : "") +
+								szNamesA[0] + ": " + this.formatValue(this.itemA[a].nValuesA[0], 2) + this.szUnit + ", " +
+								szNamesA[1] + ": " + this.formatValue(this.itemA[a].nValuesA[1], 2) + this.szUnit);
+						}
+						this.itemA[a].todo = false;
+						this.partsA[nClass].nCount++;
+						this.partsA[nClass].nSum += nValue;
+						xFound = true;
+					}
+				}
 				else {
 
 					// ===================================
@@ -14310,6 +15297,11 @@ $Log: maptheme.js,v $
 		if (this.szFlag.match(/GRIDSIZE/) && !this.szFlag.match(/AGGREGATE/)) {
 			map.antiZoomAndPanList.addGroup(this.chartGroup);
 		}
+		// GR heatmap raster is in map units, no object scaling on zoom	 
+		if (this.szFlag.match(/HEATMAP/)) {
+			this.chartGroup.style.setProperty("pointer-events", "none", "");
+			map.antiZoomAndPanList.addGroup(this.chartGroup);
+		}
 
 		if (this.szFlag.match(/BUFFER/)) {
 			if (this.szFlag.match(/OVERLAY/) && !this.szShapeType.match(/line/)) {
@@ -14363,6 +15355,182 @@ $Log: maptheme.js,v $
 		}
 	};
 
+	/**
+	 * create the kernel density raster of a HEATMAP theme
+	 * the theme points are weighted by the theme value (or by the weightfield) and summed up with the kernel
+	 * into a Canvas 2D raster covering the actual map view; the raster is placed as image into the chart group
+	 * and made new on every zoom or pan (see ixMap.Themes.actualize(), called after htmlgui_synchronizeSVG())
+	 * the density (weight per km2) is divided into equal classes for the colors of the color scheme
+	 */
+	MapTheme.prototype.heatMap = function () {
+
+		_TRACE("== MapTheme.heatMap()  ");
+
+		if (!this.chartGroup) {
+			this.createChartGroup(map.Layer.objectGroup);
+		}
+		if (this.heatmapNode && this.heatmapNode.parentNode) {
+			this.heatmapNode.parentNode.removeChild(this.heatmapNode);
+		}
+		this.heatmapNode = null;
+
+		if (!this.partsA || !this.colorScheme || !this.colorScheme.length) {
+			this.realizeDone();
+			return;
+		}
+
+		var zoomBox = map.Zoom.getBox();
+
+		// screen pixel per map unit
+		var nPixel = map.Zoom.nZoomX / map.Scale.normalX(1);
+
+		// bandwidth in meter (like gridwidth) or in pixel (e.g. "20px")
+		var szBandwidth = String(this.szBandwidth || "20px");
+		var nBandwidthMap = 0;
+		if (szBandwidth.match(/px/)) {
+			nBandwidthMap = (parseFloat(szBandwidth) || 20) / nPixel;
+		} else {
+			nBandwidthMap = map.Scale.getDeltaXofDistanceInMeter(parseFloat(szBandwidth) || 0) * map.Scale.nZoomScale;
+		}
+		var yCenter = zoomBox.y + zoomBox.height / 2;
+		var nBandwidthKm = map.Scale.getDistanceInMeter(zoomBox.x, yCenter, zoomBox.x + nBandwidthMap, yCenter) / map.Scale.nZoomScale / 1000;
+		if (!(nBandwidthMap > 0) || !(nBandwidthKm > 0)) {
+			this.realizeDone();
+			return;
+		}
+
+		// the raster, 2 pixel per cell, but not more than 500000 cells
+		var nCellMap = 2 / nPixel;
+		if ((zoomBox.width / nCellMap) * (zoomBox.height / nCellMap) > 500000) {
+			nCellMap *= Math.sqrt((zoomBox.width / nCellMap) * (zoomBox.height / nCellMap) / 500000);
+		}
+		var nCols = Math.ceil(zoomBox.width / nCellMap);
+		var nRows = Math.ceil(zoomBox.height / nCellMap);
+
+		var densityA = [];
+		for (var i = 0; i < nCols * nRows; i++) {
+			densityA[i] = 0;
+		}
+
+		var kernel = __maptheme_getKernel(this.szKernel);
+		var nRadius = nBandwidthMap * kernel.nSupport;
+		var nRadiusCells = Math.ceil(nRadius / nCellMap);
+		var nSupport2 = kernel.nSupport * kernel.nSupport;
+		var nCellBandwidth = nCellMap / nBandwidthMap;
+
+		// sum up the kernels of all points near to the map view
+		// ------------------------------------------------------
+		var pointsA = [];
+		for (var a in this.itemA) {
+			var ptPos = this.itemA[a].ptPos || this.getNodePosition(this.itemA[a].szSelectionId);
+			if (!ptPos ||
+				ptPos.x < zoomBox.x - nRadius ||
+				ptPos.x > zoomBox.x + zoomBox.width + nRadius ||
+				ptPos.y < zoomBox.y - nRadius ||
+				ptPos.y > zoomBox.y + zoomBox.height + nRadius) {
+				continue;
+			}
+			var nWeight = this.szSizeField ? this.itemA[a].nSize : (this.itemA[a].nValuesA ? this.itemA[a].nValuesA[this.nActualFrame || 0] : 1);
+			if (!(nWeight > 0)) {
+				continue;
+			}
+			// position in cells, cell centers are at .5
+			var cx = (ptPos.x - zoomBox.x) / nCellMap - 0.5;
+			var cy = (ptPos.y - zoomBox.y) / nCellMap - 0.5;
+			var x0 = Math.max(0, Math.floor(cx - nRadiusCells));
+			var x1 = Math.min(nCols - 1, Math.ceil(cx + nRadiusCells));
+			var y0 = Math.max(0, Math.floor(cy - nRadiusCells));
+			var y1 = Math.min(nRows - 1, Math.ceil(cy + nRadiusCells));
+			for (var y = y0; y <= y1; y++) {
+				var dy = (y - cy) * nCellBandwidth;
+				for (var x = x0; x <= x1; x++) {
+					var dx = (x - cx) * nCellBandwidth;
+					var u2 = dx * dx + dy * dy;
+					if (u2 < nSupport2) {
+						densityA[y * nCols + x] += nWeight * kernel.fu(u2);
+					}
+				}
+			}
+			if ((cx >= 0) && (cx < nCols) && (cy >= 0) && (cy < nRows)) {
+				pointsA.push({
+					ix: Math.floor(cy) * nCols + Math.floor(cx),
+					nWeight: nWeight
+				});
+			}
+		}
+
+		// density in weight per km2
+		var nNorm = kernel.nNorm / (nBandwidthKm * nBandwidthKm);
+		var nMax = 0;
+		for (var i = 0; i < densityA.length; i++) {
+			densityA[i] *= nNorm;
+			nMax = Math.max(nMax, densityA[i]);
+		}
+		this.nHeatmapMax = nMax;
+		if (!(nMax > 0)) {
+			this.realizeDone();
+			return;
+		}
+
+		// classes of equal density steps, count the points within
+		// -------------------------------------------------------
+		var nParts = this.colorScheme.length;
+		var breaksA = [];
+		for (var i = 0; i <= nParts; i++) {
+			breaksA.push(nMax * i / nParts);
+		}
+		this.setClassBreaks(breaksA);
+		for (var i = 0; i < pointsA.length; i++) {
+			var nClass = Math.min(nParts - 1, Math.floor(densityA[pointsA[i].ix] / nMax * nParts));
+			this.partsA[nClass].nCount++;
+			this.partsA[nClass].nSum += pointsA[i].nWeight;
+		}
+
+		// color ramp, class colors at the class centers, low densities fade out
+		// -------------------------------------------------------------------
+		var rgbA = [];
+		for (var i = 0; i < nParts; i++) {
+			var cc1 = ColorScheme.getHexaColor(this.colorScheme[i]);
+			rgbA.push([parseInt(cc1.substr(1, 2), 16), parseInt(cc1.substr(3, 2), 16), parseInt(cc1.substr(5, 2), 16)]);
+		}
+
+		var canvas = map.SVGDocument.createElementNS("http://www.w3.org/1999/xhtml", "canvas");
+		canvas.width = nCols;
+		canvas.height = nRows;
+		var context = canvas.getContext("2d");
+		var imageData = context.createImageData(nCols, nRows);
+		var pixelA = imageData.data;
+
+		for (var i = 0; i < densityA.length; i++) {
+			var t = densityA[i] / nMax;
+			if (t <= 0) {
+				continue;
+			}
+			var f = Math.min(nParts - 1, Math.max(0, t * nParts - 0.5));
+			var k = Math.max(0, Math.min(nParts - 2, Math.floor(f)));
+			var nMix = (nParts > 1) ? (f - k) : 0;
+			for (var c = 0; c < 3; c++) {
+				pixelA[i * 4 + c] = Math.round(rgbA[k][c] * (1 - nMix) + rgbA[Math.min(nParts - 1, k + 1)][c] * nMix);
+			}
+			pixelA[i * 4 + 3] = Math.round(255 * Math.min(1, t * nParts));
+		}
+		context.putImageData(imageData, 0, 0);
+
+		this.heatmapNode = map.Dom.constructNode("image", this.chartGroup, {
+			x: String(zoomBox.x),
+			y: String(zoomBox.y),
+			width: String(nCols * nCellMap),
+			height: String(nRows * nCellMap),
+			preserveAspectRatio: "none",
+			style: "pointer-events:none",
+			"xlink:href": canvas.toDataURL("image/png")
+		});
+
+		this.nDoneCount = pointsA.length;
+		this.fRedrawInfo = true;
+		this.realizeDone();
+	};
+
 	/**
 	 * create charts of one theme on the map
 	 * is called several times with a item index to start or continue
@@ -14394,6 +15562,12 @@ $Log: maptheme.js,v $
 			}
 		}
 
+		// GR HEATMAP, kernel density raster instead of charts
+		if (this.szFlag.match(/HEATMAP/)) {
+			this.heatMap();
+			return;
+		}
+
 		if (this.chartGroup && !startIndex) {
 			this.chartPosA = [];
 		}
@@ -16401,6 +17575,10 @@ $Log: maptheme.js,v $
 			//map.Themes.execute();
 		}
 
+		if (this.szFlag.match(/CARTOGRAM/)) {
+			this.cartogramCharts();
+		}
+
 		if (this.szFlag.match(/\bANIMATESCALE\b/)) {
 			this.animateCharts("scale");
 		}
@@ -17965,9 +19143,13 @@ $Log: maptheme.js,v $
 			szFlag.match(/LABEL/)) {
 
 			var nMaxRadius = map.Scale.normalX(nChartSize / 2);
-			if (szFlag.match(/AUTOSIZE/)) {
+			if (szFlag.match(/AUTOSIZE/) || (szFlag.match(/HEXAGON/) && szFlag.match(/GRIDSIZE/))) {
 				var nDynScale = map.Layer.nDynamicObjectScale;
 				var nAutoSize = szFlag.match(/\bRECT\b/) ? (szFlag.match(/GAP/) ? 2.3 : 2.0) : (szFlag.match(/GAP/) ? 1.7 : 1.6);
+				// hexagon cells: the grid width is 1.5 * hexagon radius
+				if (szFlag.match(/HEXAGON/)) {
+					nAutoSize = szFlag.match(/GAP/) ? 1.65 : 1.5;
+				}
 				nMaxValue = Math.max(this.nAllMaxValue, this.nMax);
 				if (this.nGridWidthPx) {
 					nMaxRadius = map.Scale.normalX(this.nGridWidthPx) / nAutoSize / nDynScale;
@@ -18034,6 +19216,10 @@ $Log: maptheme.js,v $
 								}
 
 			}
+			// GR hexagon cells fill the grid, the value is shown by the color only
+			if (szFlag.match(/HEXAGON/) && szFlag.match(/GRIDSIZE/)) {
+				nRadius = nMaxRadius;
+			}
 
 			var fDoDraw = true;
 			var nClass = null;
@@ -18210,6 +19396,9 @@ $Log: maptheme.js,v $
 					nLineWidth = map.Scale.normalX(nLineWidth / Math.sqrt(nMaxRadius) * Math.sqrt(nRadius));
 				}
 
+				if (szFlag.match(/HEXAGON/)) {
+					newShape = map.Dom.newShape('path', shapeGroup, __maptheme_getHexagonPath(nRadius), "fill:" + szColor + ";stroke:" + szLineColor + ";stroke-width:" + nLineWidth + ";");
+				} else
 				if (szFlag.match(/BUBBLE/)) {
 					var uTime = null;
 					if (this.szTimeField == "$item$") {
@@ -22658,7 +23847,9 @@ $Log: maptheme.js,v $
 					var szLineStyle = "fill:none;stroke:black;stroke-width:" + map.Scale.normalX(0.25) + "px";
 
 					var maxGroup = map.Dom.newGroup(minmaxGroup);
-					if (this.szFlag.match(/BUBBLE/)) {
+					if (this.szFlag.match(/HEXAGON/)) {
+						map.Dom.newShape('path', maxGroup, __maptheme_getHexagonPath(nMaxRadius), szLineStyle);
+					} else if (this.szFlag.match(/BUBBLE/)) {
 						map.Dom.newShape('circle', maxGroup, 0, 0, nMaxRadius, szLineStyle);
 					} else if (this.szFlag.match(/SQUARE/)) {
 						map.Dom.newShape('rect', maxGroup, -nMaxRadius, -nMaxRadius, nMaxRadius * 2, nMaxRadius * 2, szLineStyle);
@@ -22669,7 +23860,9 @@ $Log: maptheme.js,v $
 
 					if ((nMinRadius > 0) && (nMinRadius != nMaxRadius)) {
 						var minGroup = map.Dom.newGroup(minmaxGroup);
-						if (this.szFlag.match(/BUBBLE/)) {
+						if (this.szFlag.match(/HEXAGON/)) {
+							map.Dom.newShape('path', minGroup, __maptheme_getHexagonPath(nMinRadius), szLineStyle);
+						} else if (this.szFlag.match(/BUBBLE/)) {
 							map.Dom.newShape('circle', minGroup, 0, 0, nMinRadius, szLineStyle);
 						} else if (this.szFlag.match(/SQUARE/)) {
 							map.Dom.newShape('rect', minGroup, -nMinRadius, -nMinRadius, nMinRadius * 2, nMinRadius * 2, szLineStyle);
@@ -22950,11 +24143,17 @@ $Log: maptheme.js,v $
 				} else {
 					szLabel = szMin + (this.szLegendUnits ? this.szLegendUnits : "") + this.szUnit + szMembers;
 				}
+				if ((nStep == 1) && this.getStdDevLabel(nIndex)) {
+					szLabel += "  (" + this.getStdDevLabel(nIndex) + ")";
+				}
 				if (!this.szFlag.match(/\bCLIP\b/) || this.szFlag.match(/MORPH/)) {
 					if (this.szLabelA && this.szLabelA[nIndex]) {
 						szLabel = this.szLabelA[nIndex];
 					}
 				}
+				if ((nStep == 1) && this.getBivariateLabel(nIndex)) {
+					szLabel = this.getBivariateLabel(nIndex) + szMembers;
+				}
 				this.szLegendLabelA[nIndex] = szLabel;
 
 				if (this.szLegendStyle.match(/compact/)) {
@@ -23459,6 +24658,9 @@ $Log: maptheme.js,v $
 				if (szOrigFlag.match(/HEX/)) {
 					szOrigFlagKeep += "|HEX";
 				}
+				if (szOrigFlag.match(/HEXAGON/)) {
+					szOrigFlagKeep += "|HEXAGON";
+				}
 				if (szOrigFlag.match(/RELOCATE/)) {
 					szOrigFlagKeep += "|RELOCATE";
 				}
@@ -23501,6 +24703,18 @@ $Log: maptheme.js,v $
 				if (szOrigFlag.match(/QUANTILE/)) {
 					szOrigFlagKeep += "|QUANTILE";
 				}
+				if (szOrigFlag.match(/JENKS/)) {
+					szOrigFlagKeep += "|JENKS";
+				}
+				if (szOrigFlag.match(/CLUSTER/)) {
+					szOrigFlagKeep += "|CLUSTER";
+				}
+				if (szOrigFlag.match(/STDDEV/)) {
+					szOrigFlagKeep += "|STDDEV";
+				}
+				if (szOrigFlag.match(/PRETTY/)) {
+					szOrigFlagKeep += "|PRETTY";
+				}
 				if (szOrigFlag.match(/DENSITY/)) {
 					szOrigFlagKeep += "|DENSITY";
 				}
@@ -23720,6 +24934,9 @@ $Log: maptheme.js,v $
 			if (this.szFlag.match(/DECLUTTER/)) {
 				this.declutterCharts();
 			}
+			if (this.szFlag.match(/CARTOGRAM/)) {
+				this.cartogramCharts();
+			}
 			if ((this.szFlag.match(/BUFFER/))) {
 				var nodeStyleA = this.chartGroup.getElementsByTagName('circle');
 				for (var n = 0; n < nodeStyleA.length; n++) {
@@ -1187,6 +1187,12 @@ $Log: htmlgui.js,v $
 				if (i == "query") {
 					theme.style["dbtableQuery"] = theme.data[i];
 				} else
+				if (i == "pipeline") {
+					theme.style["dbtablePipeline"] = theme.data[i];
+				} else
+				if (i == "persist") {
+					theme.style["dbtablePersist"] = theme.data[i];
+				} else
 				if (i == "cache") {
 					theme.style["datacache"] = theme.data[i];
 				} else
@@ -1358,6 +1364,14 @@ $Log: htmlgui.js,v $
 				theme.data["ext"] = theme.style[i];
 				theme.style[i] = null;
 			}
+			if (i == "dbtablePipeline") {
+				theme.data["pipeline"] = theme.style[i];
+				theme.style[i] = null;
+			}
+			if (i == "dbtablePersist") {
+				theme.data["persist"] = theme.style[i];
+				theme.style[i] = null;
+			}
 			if (i == "datacache") {
 				theme.data["cache"] = theme.style[i];
 				theme.style[i] = null;
@@ -2976,7 +2990,7 @@ $Log: htmlgui.js,v $
 							ixmaps.showLoadingArrayStop();
 							ixmaps.hideLoading();
 						})
-						.realize(function (dataA) {
+						.realize(function (dataA, result) {
 
 							ixmaps.showLoadingArrayStop();
 							//ixmaps.showLoading("processing data ...");
@@ -2984,11 +2998,24 @@ $Log: htmlgui.js,v $
 
 							var themeDataObj = dataA[0];
 
+							// GR a failed source is passed as empty table, the error is shown by .error()
+							if ( result && (!result.complete || result.failed.length) ){
+								return;
+							}
 							if ( !themeDataObj ){
 								ixmaps.error("loading data error: '" + szUrl + "' could not be loaded !", 2000);
 								return;
 							}
 
+							// data preparation defined by the theme as JSON pipeline (data.pipeline)
+							if (options.pipeline) {
+								themeDataObj = themeDataObj.apply(options.pipeline);
+								if ( !themeDataObj ){
+									ixmaps.error("data.pipeline error: " + Data.errors[Data.errors.length - 1], 2000);
+									return;
+								}
+							}
+
 							// if there is an ext data after processor defined, call it
 							// --------------------------------------------------
 							if (typeof (options.ext) != "undefined") {
@@ -536,7 +536,10 @@ $Log: htmlgui.js,v $
 		this.openDialog('export-dialog',ixmaps.szResourceBase+"ui/html/tools/export.html",'export map',position||'auto',500,150);
 	};
 
-	ixmaps.viewTable = function(target,position){
+	// szView "profile" opens the table with the column profile instead of the rows
+	ixmaps.viewTable = function(target,position,szView){
+		ixmaps.tmp = ixmaps.tmp || {};
+		ixmaps.tmp.szTableView = szView || "rows";
 		this.openDialog('table-dialog',ixmaps.szResourceBase+"ui/html/tools/table_new.html",'data table',position||'auto',800,600);
 	};
 
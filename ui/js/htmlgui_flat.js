@@ -1254,6 +1254,14 @@ $Log: htmlgui_api.js,v $
             this.def.data.process = szProcess;
             return this;
         },
+        pipeline: function (pipeline) {
+            this.def.data.pipeline = pipeline;
+            return this;
+        },
+        persist: function (persist) {
+            this.def.data.persist = persist;
+            return this;
+        },
         query: function (szQuery) {
             this.def.data.query = szQuery;
             alert("hi");
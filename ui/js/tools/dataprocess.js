@@ -76,6 +76,7 @@
      * @property {string} sortDir - The sort direction.
      * @property {boolean} fPivot - Whether the data has been pivoted.
      * @property {boolean} fShowAnalytics - Whether to show analytics.
+     * @property {boolean} fShowProfile - Whether to show the column profile instead of the rows.
      * @property {boolean} fShowFilter - Whether to show the filter.
      * @property {object} map - The map object.
      * @constructor
@@ -93,6 +94,7 @@
         this.fShowAnalytics = null;
         this.fShowFilter = true;
         this.fShowCards = null;
+        this.fShowProfile = null;
 
         this.map = null;
 
@@ -116,6 +118,9 @@
         if (this.fShowCards) {
             return this.makeDataCards(height);
         }
+        if (this.fShowProfile) {
+            return this.makeDataProfile(height);
+        }
 
         // Constants
         const MAX_RECORDS = 100;
@@ -205,9 +210,7 @@
         // add table info 
         // -------------
         table += `<div id='${INFO_ID}' style='margin-top:0.5em;'>
-                records: ${this.escapeHtml(data.table.records || 0)} &nbsp;&nbsp;<button class="export-csv-btn" data-datasink="${this.escapeHtml(name || '')}" style="background:none; border:none; color:#007bff; text-decoration:none; cursor:pointer; padding:0;">
-                    <i class='bi-download me-1'></i> export data
-                </button>
+                records: ${this.escapeHtml(data.table.records || 0)} &nbsp;&nbsp;${this.makeInfoButtons()}
             </div>`;
 
         // Handle analytics
@@ -236,6 +239,19 @@
         });
     };
 
+    /**
+     * Creates the buttons of the table info line: export data and switch between rows and column profile
+     * @returns {string} HTML string of the buttons
+     */
+    DataSink.prototype.makeInfoButtons = function () {
+        const szStyle = "background:none; border:none; color:#007bff; text-decoration:none; cursor:pointer; padding:0;";
+        return `<button class="export-csv-btn" data-datasink="${this.escapeHtml(this.name || '')}" style="${szStyle}">
+                    <i class='bi-download me-1'></i> export data
+                </button> &nbsp;&nbsp;<button class="profile-btn" data-datasink="${this.escapeHtml(this.name || '')}" style="${szStyle}">
+                    ${this.fShowProfile ? "<i class='bi-table me-1'></i> show rows" : "<i class='bi-bar-chart me-1'></i> column profile"}
+                </button>`;
+    };
+
     /**
      * Sets up event listeners for the data table
      * @param {string} name - The name of the DataSink
@@ -255,6 +271,18 @@
                 }
             });
         });
+        // Set up profile button event listeners: switch between rows and column profile
+        const profileButtons = document.querySelectorAll(`#input-table-info-${name} .profile-btn`);
+        profileButtons.forEach(button => {
+            button.addEventListener('click', (event) => {
+                event.preventDefault();
+                const dataSink = window.dataSinks.get(button.getAttribute('data-datasink'));
+                if (dataSink) {
+                    dataSink.fShowProfile = !dataSink.fShowProfile;
+                    dataSink.refreshTable();
+                }
+            });
+        });
     };
 
     /**
@@ -452,13 +480,9 @@
         const $info = $(`#input-table-info-${dataName}`);
         const totalRecords = this.data.table.records;
         if (newFilter) {
-            $info.html(`records: <b>${this.escapeHtml(data.table.records || 0)}</b> / ${this.escapeHtml(totalRecords || 0)} &nbsp; <small><i class='bi-funnel me-1'></i> ${this.escapeHtml(newFilter || '')}</small> &nbsp; <button class="export-csv-btn" data-datasink="${this.escapeHtml(dataName || '')}" style="background:none; border:none; color:#007bff; text-decoration:none; cursor:pointer; padding:0;">
-                <i class='bi-download me-1'></i> export data
-            </button>`);
+            $info.html(`records: <b>${this.escapeHtml(data.table.records || 0)}</b> / ${this.escapeHtml(totalRecords || 0)} &nbsp; <small><i class='bi-funnel me-1'></i> ${this.escapeHtml(newFilter || '')}</small> &nbsp; ${this.makeInfoButtons()}`);
         } else {
-            $info.html(`records: ${this.escapeHtml(data.table.records || 0)}&nbsp;&nbsp; <button class="export-csv-btn" data-datasink="${this.escapeHtml(dataName || '')}" style="background:none; border:none; color:#007bff; text-decoration:none; cursor:pointer; padding:0;">
-                <i class='bi-download me-1'></i> export data
-            </button>`);
+            $info.html(`records: ${this.escapeHtml(data.table.records || 0)}&nbsp;&nbsp; ${this.makeInfoButtons()}`);
         }
         
         // Set up event listeners for the new export buttons
@@ -494,6 +518,88 @@
         }
     };
 
+    /**
+     * Creates the profile of the data columns (see Data.Table.profile): one row per column with type,
+     * missing and distinct values, statistics, histogram and most frequent values
+     * @param {number} height - Table height
+     * @returns {string} HTML string of the generated profile
+     */
+    DataSink.prototype.makeDataProfile = function (height) {
+        const name = this.name;
+        const SCROLL_ID = `input-table-table-${name}`;
+        const TABLE_ID = `input-table-table-${name}-table`;
+        const INFO_ID = `input-table-info-${name}`;
+
+        let dbtable = this.data;
+        if (this.facetsFilter && !this.fPivot) {
+            dbtable = dbtable.select(this.facetsFilter);
+        }
+        const profile = dbtable.profile();
+
+        const __format = (value) => {
+            if (value instanceof Date) {
+                return value.toLocaleDateString();
+            }
+            return (typeof (value) === "number") ? ixmaps.formatValue(value, 2, "BLANK") : "";
+        };
+
+        var table = `
+            <div id='${SCROLL_ID}' class='data-scroll' style='resize:vertical;min-height:0px;height:${height}px;overflow:auto;'>
+                <div class='data-body' style='border-top:black solid 1px;'>
+                    <div class='card-body'>
+                        <div style='margin-top:0.5em'>
+                             <table id='${TABLE_ID}' class='display dataTable' >`;
+
+        table += "<tr style='vertical-align:top;line-height:1em'>";
+        for (const szTitle of ["column", "type", "missing", "distinct", "min", "median", "mean", "max", "histogram", "top values"]) {
+            table += "<th style='text-align:left;padding-right:1em;white-space:nowrap'>" + szTitle + "</th>";
+        }
+        table += "</tr>";
+
+        profile.columns.forEach((column, r) => {
+            table += r % 2 ? "<tr class='odd' style='vertical-align:top'>" : "<tr class='even' style='vertical-align:top'>";
+            table += "<td style='padding-right:1em;white-space:nowrap'><b>" + this.escapeHtml(column.name) + "</b></td>";
+            table += "<td style='padding-right:1em'>" + column.type + "</td>";
+            table += "<td class='td_right " + (column.nulls ? "td_red" : "") + "' style='padding-right:1em'>" + column.nulls + "</td>";
+            table += "<td class='td_right' style='padding-right:1em'>" + (column.distinct != null ? column.distinct : "") + "</td>";
+            table += "<td class='td_right' style='padding-right:1em;white-space:nowrap'>" + __format(column.min) + "</td>";
+            table += "<td class='td_right' style='padding-right:1em;white-space:nowrap'>" + __format(column.quantiles ? column.quantiles[0.5] : null) + "</td>";
+            table += "<td class='td_right' style='padding-right:1em;white-space:nowrap'>" + __format(column.mean) + "</td>";
+            table += "<td class='td_right' style='padding-right:1em;white-space:nowrap'>" + __format(column.max) + "</td>";
+
+            // histogram as small bars, the tooltip gives the bin
+            let histogram = "";
+            if (column.histogram) {
+                const nMax = Math.max(...column.histogram.map(bin => bin.count));
+                histogram = "<div style='display:flex;align-items:flex-end;height:30px'>";
+                for (const bin of column.histogram) {
+                    const szTitle = __format(bin.from) + " - " + __format(bin.to) + ": " + bin.count;
+                    histogram += "<div title='" + szTitle + "' style='width:8px;margin-right:1px;background:#428BCA;height:" + Math.max(1, Math.round(bin.count / nMax * 30)) + "px'></div>";
+                }
+                histogram += "</div>";
+            }
+            table += "<td style='padding-right:1em'>" + histogram + "</td>";
+
+            table += "<td style='white-space:nowrap'><small>" + (column.top || []).map(top => {
+                const szValue = top.value.length > 30 ? top.value.substr(0, 30) + "..." : top.value;
+                return this.escapeHtml(szValue) + " <span style='color:#aaa'>(" + top.count + ")</span>";
+            }).join("<br>") + "</small></td>";
+            table += "</tr>";
+        });
+
+        table += `</table>
+                        </div>
+                    </div>
+                </div>
+            </div>`;
+
+        table += `<div id='${INFO_ID}' style='margin-top:0.5em;'>
+                records: ${this.escapeHtml(dbtable.records.length)} &nbsp;&nbsp;columns: ${this.escapeHtml(profile.columns.length)} &nbsp;&nbsp;${this.makeInfoButtons()}
+            </div>`;
+
+        return table;
+    };
+
     /**
      * Creates a alternative data visualization as cards 
      * @returns {string} HTML string of the generated table
@@ -651,7 +757,10 @@
             data = data.select(dataSink.facetsFilter);
         }
 
-        var textToWrite = dumpTable(data);
+        // use the CSV writer of data.js (quotes values with delimiters), if available
+        var textToWrite = data.toCSV ? data.toCSV({
+            delimiter: ";"
+        }) : dumpTable(data);
         var textFileAsBlob = new Blob([textToWrite], {
             type: 'text/plain'
         });
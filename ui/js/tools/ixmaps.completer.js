@@ -37,6 +37,16 @@
 	{"word":"EQUIDISTANT","freq":24,"score":300,"flags":"bc","syllables":"2","help":"classes equidistant"},
 	{"word":"LOG","freq":24,"score":300,"flags":"bc","syllables":"2","help":"classes logarithmical"},
 	{"word":"QUANTILE","freq":24,"score":300,"flags":"bc","syllables":"2","help":"classes x quantile"},
+	{"word":"JENKS","freq":24,"score":300,"flags":"bc","syllables":"1","help":"classes natural breaks"},
+	{"word":"CLUSTER","freq":24,"score":300,"flags":"bc","syllables":"2","help":"classes k-means clustering"},
+	{"word":"STDDEV","freq":24,"score":300,"flags":"bc","syllables":"2","help":"classes standard deviation"},
+	{"word":"PRETTY","freq":24,"score":300,"flags":"bc","syllables":"2","help":"classes rounded breaks"},
+	{"word":"BIVARIATE","freq":24,"score":300,"flags":"bc","syllables":"4","help":"choropleth of 2 fields, n x n color matrix"},
+	{"word":"HEXAGON","freq":24,"score":300,"flags":"bc","syllables":"3","help":"aggregate into hexagon grid cells"},
+	{"word":"HEATMAP","freq":24,"score":300,"flags":"bc","syllables":"3","help":"kernel density surface of points"},
+	{"word":"CARTOGRAM","freq":24,"score":300,"flags":"bc","syllables":"3","help":"move sized symbols apart, keep neighbours"},
+	{"word":"DORLING","freq":24,"score":300,"flags":"bc","syllables":"2","help":"cartogram with circles"},
+	{"word":"DEMERS","freq":24,"score":300,"flags":"bc","syllables":"2","help":"cartogram with squares"},
 	{"word":"FRACTION","freq":24,"score":300,"flags":"bc","syllables":"2","help":"classes x quantile"},
 	{"word":"PERMILLE","freq":24,"score":300,"flags":"bc","syllables":"2","help":"classes x quantile"},
 	{"word":"DIFF","freq":24,"score":300,"flags":"bc","syllables":"2","help":"classes x quantile"},
@@ -149,6 +159,9 @@
 	{"word":"minchartsize","freq":24,"score":300,"flags":"bc","syllables":"1","help":"set minimal chart size"},
 	{"word":"showparts","freq":24,"score":300,"flags":"bc","syllables":"1","help":"showonly some parts of chart"},
 	{"word":"gridx","freq":24,"score":300,"flags":"bc","syllables":"1","help":"parameter for MULTIPLE"},
-	{"word":"gridwidth","freq":24,"score":300,"flags":"bc","syllables":"1","help":"parameter for AGGREGATION"}
+	{"word":"gridwidth","freq":24,"score":300,"flags":"bc","syllables":"1","help":"parameter for AGGREGATION"},
+	{"word":"bandwidth","freq":24,"score":300,"flags":"bc","syllables":"2","help":"kernel bandwidth for HEATMAP (meter or px)"},
+	{"word":"kernel","freq":24,"score":300,"flags":"bc","syllables":"2","help":"kernel for HEATMAP (quartic, gaussian, ...)"},
+	{"word":"weightfield","freq":24,"score":300,"flags":"bc","syllables":"2","help":"weight of the points for HEATMAP"}
 
 ]
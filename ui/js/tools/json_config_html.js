@@ -164,6 +164,12 @@ $Log: theme_legend.js,v $
             }
             if(themeObj.style.dbtableProcess){
                 data.process = String(themeObj.style.dbtableProcess);
+            }
+            if(themeObj.style.dbtablePipeline){
+                data.pipeline = themeObj.style.dbtablePipeline;
+            }
+            if(themeObj.style.dbtablePersist){
+                data.persist = themeObj.style.dbtablePersist;
             }        
             
             let dataObj = new Config(data);
@@ -173,6 +179,8 @@ $Log: theme_legend.js,v $
                 '\t\t\t.data(' + szData + ')\n';
 
             delete themeObj.style.dbtableProcess;
+            delete themeObj.style.dbtablePipeline;
+            delete themeObj.style.dbtablePersist;
             delete themeObj.style.dbtableQuery;
             delete themeObj.style.dbtableUrl;
             delete themeObj.style.dbtableExt;
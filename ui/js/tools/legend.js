@@ -320,6 +320,9 @@ window.ixmaps.legend = window.ixmaps.legend || {};
             var len = Math.min(colorA.length, themeObj.partsA.length);
             for (var i = 0; i < len; i++) {
                 var szPart = parseFloat(themeObj.partsA[i].min).toFixed(2) + "&nbsp;" + " ... " + parseFloat(themeObj.partsA[i].max).toFixed(2) + "&nbsp;" + szUnit;
+                if (themeObj.getStdDevLabel && themeObj.getStdDevLabel(i)) {
+                    szPart += "&nbsp;(" + themeObj.getStdDevLabel(i) + ")";
+                }
                 labelA.push(szPart);
             }
         }
@@ -826,6 +829,84 @@ window.ixmaps.legend = window.ixmaps.legend || {};
     };
 
 
+    // --------------------------------
+    // bivariate color matrix 
+    // --------------------------------
+
+    /**
+     * make a n*n color matrix legend for BIVARIATE themes
+     * columns are the classes of the 1. field, rows the classes of the 2. field (high values on top);
+     * a click on a matrix cell marks the items of the class
+     * @param {string} szId the theme id 
+     * @param {string} szLegendId a target id (div) [optional] 
+     */
+    ixmaps.legend.makeColorLegendHTMLBivariate = function (szId, szLegendId) {
+
+        szLegendId = szLegendId || "generic";
+
+        var themeObj = ixmaps.getThemeObj(szId);
+
+        var n = themeObj.nBivariateClasses;
+        var namesA = themeObj.getBivariateAxisNames();
+
+        var szHtml = "<table id='legend-classes" + szLegendId + "' class='legend-bivariate' cellspacing='1' cellpadding='0' >";
+
+        for (var row = n - 1; row >= 0; row--) {
+            szHtml += "<tr>";
+            if (row == n - 1) {
+                szHtml += "<td rowspan='" + n + "' class='legend-range-text' style='writing-mode:vertical-rl;transform:rotate(180deg);text-align:center;padding-left:0.3em'>" + namesA[1] + " &#8594;</td>";
+            }
+            for (var col = 0; col < n; col++) {
+                var ix = row * n + col;
+                var part = themeObj.partsA[ix];
+                var fMarked = (((typeof (themeObj.markedClass) != "undefined") && (themeObj.markedClass == ix)) ||
+                    ((typeof (themeObj.markedClasses) != "undefined") && (themeObj.markedClasses[ix])));
+                var szTitle = (themeObj.getBivariateLabel(ix) + " (" + part.nCount + ") click to see").replace(/'/g, "&#39;");
+                szHtml += "<td><a class='legend-color-button' href='#' title='" + szTitle + "'>";
+                szHtml += "<span onclick='javascript:ixmaps.markThemeClass(\"" + szId + "\"," + ix + ");event.stopPropagation();return false;' style='display:inline-block;width:1.8em;height:1.8em;line-height:1.8em;text-align:center;background:" + part.color + ";opacity:" + (part.nCount ? 1 : 0.3) + "'>";
+                szHtml += fMarked ? "<span style='font-size:2em;line-height:0;vertical-align:-0.35em;color:#444'>*</span>" : "&nbsp;";
+                szHtml += "</span></a></td>";
+            }
+            szHtml += "</tr>";
+        }
+        szHtml += "<tr class='legend-range-text' ><td></td><td colspan='" + n + "' align='center'>" + namesA[0] + " &#8594;</td></tr>";
+        szHtml += "</table>";
+
+        return szHtml;
+    };
+
+    // --------------------------------
+    // heatmap color ramp 
+    // --------------------------------
+
+    /**
+     * make a color ramp legend for HEATMAP themes
+     * shows the density from 0 to the maximal density of the actual map view (weight per km2) 
+     * @param {string} szId the theme id 
+     * @param {string} szLegendId a target id (div) [optional] 
+     */
+    ixmaps.legend.makeColorLegendHTMLHeatmap = function (szId, szLegendId) {
+
+        szLegendId = szLegendId || "generic";
+
+        var themeObj = ixmaps.getThemeObj(szId);
+
+        var nDecimals = (typeof (themeObj.nValueDecimals) != 'undefined') ? themeObj.nValueDecimals : 2;
+        var szUnit = themeObj.szLegendUnits || ((themeObj.szUnits ? themeObj.szUnits + " " : "") + "/ km&sup2;");
+
+        var szHtml = "<table id='legend-classes" + szLegendId + "' class='legend-heatmap' cellspacing='1' cellpadding='0' style='width:100%'>";
+
+        szHtml += "<tr><td colspan='2'><div style='height:1em;background:linear-gradient(to right,transparent," + themeObj.colorScheme.join(",") + ")'></div></td></tr>";
+        szHtml += "<tr class='legend-range-text' >";
+        szHtml += "<td align='left'>0</td>";
+        szHtml += "<td align='right'>" + ixmaps.__formatValue(themeObj.nHeatmapMax, nDecimals, "SPACE") + " " + szUnit + "</td>";
+        szHtml += "</tr>";
+        szHtml += "<tr class='legend-range-text' ><td colspan='2'>density, kernel: " + (themeObj.szKernel || "quartic") + ", bandwidth: " + (themeObj.szBandwidth || "20px") + "</td></tr>";
+        szHtml += "</table>";
+
+        return szHtml;
+    };
+
     /**
      * make a color scheme legend in HTML 	
      * @param {string} szId the theme id 
@@ -845,6 +926,16 @@ window.ixmaps.legend = window.ixmaps.legend || {};
             }
         }
 
+        // check whether to make a color matrix legend 
+        // -----------------------------------------------
+        if (themeObj.szFlag.match(/BIVARIATE/) && themeObj.nBivariateClasses && themeObj.bivariateBreaksA) {
+            return ixmaps.legend.makeColorLegendHTMLBivariate(szId, szLegendId);
+        }
+        // check whether to make a heatmap color ramp legend 
+        // -----------------------------------------------
+        if (themeObj.szFlag.match(/HEATMAP/) && themeObj.nHeatmapMax) {
+            return ixmaps.legend.makeColorLegendHTMLHeatmap(szId, szLegendId);
+        }
         // check whether to make VECTOR legend 
         // -----------------------------------------------
         if (themeObj.szFlag.match(/VECTOR/) && themeObj.szLineColor && 0 ) {